@@ -24,21 +24,21 @@
       loadingEl.dataset.asyncLoaded = 'true';
 
       // Hide the Next button during async loading.
-      var nextButton = document.getElementById('edit-next-step2');
+      var nextButton = document.getElementById('edit-create-page');
       if (nextButton && nextButton.dataset.asyncHide === 'true') {
         nextButton.style.display = 'none';
       }
 
       // Get endpoint from settings.
-      var endpoint = null;
-      if (settings && settings.aiContentPreparationWizard) {
-        endpoint = settings.aiContentPreparationWizard.asyncPlanEndpoint;
-      }
-      if (!endpoint && drupalSettings && drupalSettings.aiContentPreparationWizard) {
-        endpoint = drupalSettings.aiContentPreparationWizard.asyncPlanEndpoint;
+      var endpoint = Drupal.wizardClient.url('asyncPlan');
+      if (!endpoint) {
+        return;
       }
 
-      if (!endpoint) {
+      // Oversized sources wait for the editor to choose how to handle them,
+      // see prompt-budget.js.
+      if (loadingEl.dataset.awaitBudget === 'true') {
+        loadingEl.style.display = 'none';
         return;
       }
 
@@ -46,15 +46,265 @@
       this.loadPlanAsync(endpoint, context);
     },
 
+    /**
+     * Progress stages reported by the streaming endpoint, in order.
+     */
+    progressStages: ['analyzing', 'requesting', 'receiving', 'parsing', 'saving'],
+
     /**
      * Loads the content plan asynchronously.
+     *
+     * Streams progress and sections when the browser supports it, and falls
+     * back to a single JSON request otherwise. The request can be cancelled
+     * from the loading container.
      */
     loadPlanAsync: function (endpoint, context) {
       var self = this;
-      var statusEl = document.getElementById('plan-loading-status');
+      var signal = this.startRequest(Drupal.t('Cancel generation'), null);
+
+      if (!this.supportsStreaming()) {
+        this.fetchPlan(endpoint, context, signal);
+        return;
+      }
+
+      this.streamPlan(endpoint, context, signal).catch(function (error) {
+        // Without rendered sections, other failures are retried without
+        // streaming.
+        if (error.sectionsReceived || ['abort', 'timeout', 'permission', 'session'].indexOf(error.type) !== -1) {
+          self.handleRequestError(error, endpoint, context);
+          return;
+        }
+        console.error('Plan streaming error:', error);
+        self.fetchPlan(endpoint, context, signal);
+      });
+    },
+
+    /**
+     * Shows the loading container with a button cancelling the request.
+     *
+     * @param {string} cancelLabel
+     *   The label of the cancel button.
+     * @param {string|null} message
+     *   The status message, or NULL to keep the default one.
+     *
+     * @return {AbortSignal}
+     *   The signal of the new request. Earlier requests are cancelled.
+     */
+    startRequest: function (cancelLabel, message) {
+      if (this.requestController) {
+        this.requestController.abort();
+      }
+      var controller = new AbortController();
+      this.requestController = controller;
+
       var loadingEl = document.getElementById('plan-loading');
+      if (!loadingEl) {
+        return controller.signal;
+      }
+
+      // Keep the initial markup, so that it can be restored for retries.
+      if (this.loadingMarkup === undefined) {
+        this.loadingMarkup = loadingEl.innerHTML;
+      }
+      else {
+        loadingEl.className = 'plan-loading-container';
+        loadingEl.innerHTML = this.loadingMarkup;
+      }
+      loadingEl.style.display = '';
+
+      var statusEl = document.getElementById('plan-loading-status');
+      if (statusEl && message) {
+        statusEl.textContent = message;
+      }
+
+      var cancelButton = document.createElement('button');
+      cancelButton.type = 'button';
+      cancelButton.className = 'button button--small plan-cancel-button';
+      cancelButton.textContent = cancelLabel;
+      cancelButton.addEventListener('click', function () {
+        cancelButton.disabled = true;
+        controller.abort();
+      });
+      loadingEl.appendChild(cancelButton);
+
+      // Keep the focus in the editor when the control that started the
+      // request was disabled or removed.
+      var active = document.activeElement;
+      if (active && active !== document.body && (active.disabled || !document.body.contains(active))) {
+        cancelButton.focus();
+      }
+
+      return controller.signal;
+    },
+
+    /**
+     * Checks whether the browser can read streamed fetch responses.
+     */
+    supportsStreaming: function () {
+      return typeof window.fetch === 'function' &&
+        typeof window.ReadableStream === 'function' &&
+        typeof window.TextDecoder === 'function';
+    },
+
+    /**
+     * Streams the content plan as newline-delimited JSON events.
+     *
+     * @param {string} endpoint
+     *   The plan generation endpoint.
+     * @param {Element} context
+     *   The behavior context.
+     * @param {AbortSignal} signal
+     *   Cancels the request.
+     *
+     * @return {Promise}
+     *   Resolves once the stream has ended. Rejects with an error whose
+     *   sectionsReceived property tells whether sections were rendered, see
+     *   Drupal.wizardClient.request() for the error types.
+     */
+    streamPlan: function (endpoint, context, signal) {
+      var self = this;
+      var sectionsContainer = document.getElementById('plan-sections-container');
+      var state = {
+        componentOptions: {},
+        renderedIds: [],
+        finished: false
+      };
+
+      this.renderProgressStages();
+
+      // The timeout covers the whole stream, not just the response headers.
+      var controller = new AbortController();
+      var timedOut = false;
+      var timer = setTimeout(function () {
+        timedOut = true;
+        controller.abort();
+      }, Drupal.wizardClient.timeout('generation'));
+      var onAbort = function () {
+        controller.abort();
+      };
+      signal.addEventListener('abort', onAbort, {once: true});
+
+      var fail = function (error) {
+        if (timedOut) {
+          error = new Error(Drupal.t('The server took too long to respond. Please try again.'));
+          error.type = 'timeout';
+        }
+        else if (!error.type && error.name === 'AbortError') {
+          error.type = 'abort';
+        }
+        error.sectionsReceived = state.renderedIds.length > 0;
+        throw error;
+      };
+
+      var handleEvent = function (event) {
+        switch (event.type) {
+          case 'start':
+            state.componentOptions = event.componentOptions || {};
+            break;
+
+          case 'progress':
+            if (event.reset) {
+              state.renderedIds = [];
+              if (sectionsContainer) {
+                sectionsContainer.innerHTML = '';
+              }
+            }
+            self.updateProgress(event.stage, event.message);
+            break;
+
+          case 'section':
+            if (sectionsContainer && event.section) {
+              self.updateProgress('receiving');
+              self.renderSection(sectionsContainer, event.section, state.componentOptions);
+              state.renderedIds.push(event.section.id);
+            }
+            break;
+
+          case 'plan':
+            state.finished = true;
+            self.renderPlan(event.plan, event.componentOptions, context, state.renderedIds);
+            break;
+
+          case 'error':
+            state.finished = true;
+            if (event.code === 'session_expired') {
+              Drupal.wizardClient.expireSession(event.error);
+              self.showError(event.error);
+            }
+            else {
+              self.showError(event.error || Drupal.t('Failed to generate plan.'), self.getRetry(endpoint, context));
+            }
+            break;
+        }
+      };
+
+      return Drupal.wizardClient.request(endpoint, {
+        method: 'POST',
+        // The server retries the AI provider itself.
+        retries: 0,
+        accept: 'application/x-ndjson, application/json',
+        responseType: 'response',
+        timeout: 0,
+        signal: controller.signal
+      })
+      .then(function (response) {
+        var contentType = response.headers.get('Content-Type') || '';
+        if (contentType.indexOf('application/x-ndjson') === -1 || !response.body) {
+          // The server answered with a regular JSON response.
+          return response.json().then(function (data) {
+            self.handlePlanResponse(data, context);
+          });
+        }
 
-      // Update status messages during loading.
+        var reader = response.body.getReader();
+        var decoder = new TextDecoder();
+        var buffer = '';
+
+        var processLines = function () {
+          var newlineIndex;
+          while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            var line = buffer.substring(0, newlineIndex).trim();
+            buffer = buffer.substring(newlineIndex + 1);
+            if (line) {
+              handleEvent(JSON.parse(line));
+            }
+          }
+        };
+
+        var read = function () {
+          return reader.read().then(function (result) {
+            if (result.done) {
+              buffer += decoder.decode();
+              buffer += '\n';
+              processLines();
+              if (!state.finished) {
+                throw new Error('Plan stream ended unexpectedly.');
+              }
+              return;
+            }
+            buffer += decoder.decode(result.value, {stream: true});
+            processLines();
+            return read();
+          });
+        };
+
+        return read();
+      })
+      .catch(fail)
+      .finally(function () {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+      });
+    },
+
+    /**
+     * Loads the content plan with a single JSON request.
+     */
+    fetchPlan: function (endpoint, context, signal) {
+      var self = this;
+      var statusEl = document.getElementById('plan-loading-status');
+
+      // Without streaming there is no real progress, so rotate messages.
       var statusMessages = [
         Drupal.t('Analyzing document content...'),
         Drupal.t('Identifying key sections...'),
@@ -71,46 +321,185 @@
         }
       }, 3000);
 
-      // Make the AJAX request.
-      fetch(endpoint, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        credentials: 'same-origin'
-      })
-      .then(function (response) {
-        if (!response.ok) {
-          throw new Error('Network response was not ok: ' + response.status);
-        }
-        return response.json();
+      Drupal.wizardClient.request(endpoint, {
+        method: 'POST',
+        retries: 0,
+        timeout: 'generation',
+        signal: signal
       })
       .then(function (data) {
         clearInterval(statusInterval);
-
-        if (data.success) {
-          self.renderPlan(data.plan, data.componentOptions, context);
-        } else {
-          self.showError(data.error || Drupal.t('Failed to generate plan.'));
-        }
+        self.handlePlanResponse(data, context);
       })
       .catch(function (error) {
         clearInterval(statusInterval);
-        console.error('Plan generation error:', error);
-        self.showError(Drupal.t('An error occurred while generating the plan. Please try again.'));
+        self.handleRequestError(error, endpoint, context);
+      });
+    },
+
+    /**
+     * Handles a complete (non-streamed) plan response.
+     */
+    handlePlanResponse: function (data, context) {
+      if (data.success) {
+        this.renderPlan(data.plan, data.componentOptions, context);
+      } else {
+        this.showError(data.error || Drupal.t('Failed to generate plan.'));
+      }
+    },
+
+    /**
+     * Shows a failed or cancelled plan request.
+     *
+     * @param {Error} error
+     *   The request error, see Drupal.wizardClient.request().
+     * @param {string} endpoint
+     *   The plan generation endpoint, used to retry.
+     * @param {Element} context
+     *   The behavior context.
+     */
+    handleRequestError: function (error, endpoint, context) {
+      var retry = this.getRetry(endpoint, context);
+
+      if (Drupal.wizardClient.isAbort(error)) {
+        this.showCancelled(Drupal.t('Plan generation was cancelled.'), retry, Drupal.t('Generate plan'));
+        return;
+      }
+
+      console.error('Plan generation error:', error);
+      // Errors without a type, such as invalid stream data, are not meant
+      // for editors.
+      var message = error.type ? error.message : Drupal.t('An error occurred while generating the plan. Please try again.');
+      this.showError(message, error.type === 'session' || error.type === 'permission' ? null : retry);
+    },
+
+    /**
+     * Gets a callback loading the plan again without reloading the page.
+     *
+     * The plan generation endpoint returns the stored plan if there is one,
+     * so the callback also restores the current plan after a failed
+     * regeneration.
+     *
+     * @return {Function}
+     *   The retry callback.
+     */
+    getRetry: function (endpoint, context) {
+      var self = this;
+      if (!endpoint) {
+        return function () {
+          window.location.reload();
+        };
+      }
+      return function () {
+        self.loadPlanAsync(endpoint, context || document);
+      };
+    },
+
+    /**
+     * Renders the list of progress stages in the loading container.
+     */
+    renderProgressStages: function () {
+      var loadingEl = document.getElementById('plan-loading');
+      if (!loadingEl || loadingEl.querySelector('.plan-progress-stages')) {
+        return;
+      }
+
+      var labels = {
+        analyzing: Drupal.t('Analyze content'),
+        requesting: Drupal.t('Generate plan'),
+        receiving: Drupal.t('Receive sections'),
+        parsing: Drupal.t('Finalize'),
+        saving: Drupal.t('Save')
+      };
+
+      var list = document.createElement('ol');
+      list.className = 'plan-progress-stages';
+      list.setAttribute('aria-label', Drupal.t('Plan generation progress'));
+      this.progressStages.forEach(function (stage) {
+        var item = document.createElement('li');
+        item.className = 'plan-progress-stage';
+        item.dataset.stage = stage;
+        item.textContent = labels[stage];
+        list.appendChild(item);
+      });
+      loadingEl.appendChild(list);
+
+      var statusEl = document.getElementById('plan-loading-status');
+      if (statusEl) {
+        statusEl.setAttribute('role', 'status');
+      }
+    },
+
+    /**
+     * Marks a progress stage as active and all earlier stages as complete.
+     */
+    updateProgress: function (stage, message) {
+      var loadingEl = document.getElementById('plan-loading');
+      var statusEl = document.getElementById('plan-loading-status');
+
+      if (statusEl && message) {
+        statusEl.textContent = message;
+      }
+      if (!loadingEl) {
+        return;
+      }
+
+      // A retry restarts the generation stage, and summaries are part of
+      // the analysis.
+      var activeStage = stage === 'retrying' ? 'requesting' : stage;
+      if (stage === 'summarizing') {
+        activeStage = 'analyzing';
+      }
+      var activeIndex = this.progressStages.indexOf(activeStage);
+      if (activeIndex === -1) {
+        return;
+      }
+
+      loadingEl.classList.toggle('is-streaming', activeStage === 'receiving');
+      loadingEl.querySelectorAll('.plan-progress-stage').forEach(function (item, index) {
+        item.classList.toggle('is-complete', index < activeIndex);
+        item.classList.toggle('is-active', index === activeIndex);
+        if (index === activeIndex) {
+          item.setAttribute('aria-current', 'step');
+        }
+        else {
+          item.removeAttribute('aria-current');
+        }
       });
     },
 
     /**
      * Renders the plan content.
+     *
+     * @param {Object} plan
+     *   The plan data.
+     * @param {Object} componentOptions
+     *   The component type options keyed by component ID.
+     * @param {Element} context
+     *   The behavior context.
+     * @param {Array} [renderedIds]
+     *   IDs of sections already rendered while streaming. Sections are only
+     *   re-rendered when the final plan differs from what was streamed.
      */
-    renderPlan: function (plan, componentOptions, context) {
+    renderPlan: function (plan, componentOptions, context, renderedIds) {
       var loadingEl = document.getElementById('plan-loading');
       var sectionsContainer = document.getElementById('plan-sections-container');
       var titleField = document.getElementById('edit-title-async');
       var asyncContent = document.getElementById('plan-async-content');
 
+      var streamedIds = (plan.sections || []).map(function (section) {
+        return section.id;
+      });
+      var alreadyRendered = Array.isArray(renderedIds) && renderedIds.join('|') === streamedIds.join('|');
+
+      // The focus is lost when the element holding it is hidden or replaced.
+      var active = document.activeElement;
+      var moveFocus = !!active && active !== document.body && (
+        (loadingEl && loadingEl.contains(active)) ||
+        (sectionsContainer && sectionsContainer.contains(active) && !alreadyRendered) ||
+        active.disabled
+      );
+
       // Hide loading spinner.
       if (loadingEl) {
         loadingEl.style.display = 'none';
@@ -138,8 +527,8 @@
 
         // Summary.
         var summaryDiv = document.createElement('div');
-        summaryDiv.className = 'js-form-item form-item';
-        summaryDiv.innerHTML = '<label>' + Drupal.t('Summary') + '</label><p>' + this.escapeHtml(plan.summary) + '</p>';
+        summaryDiv.className = 'js-form-item form-item plan-summary';
+        summaryDiv.innerHTML = '<div class="form-item__label">' + Drupal.t('Summary') + '</div><p>' + this.escapeHtml(plan.summary) + '</p>';
         asyncContent.appendChild(summaryDiv);
 
         // Metadata.
@@ -154,16 +543,32 @@
       }
 
       // Render sections one by one with animation.
-      if (sectionsContainer && plan.sections) {
+      var renderDelay = 0;
+      if (sectionsContainer && plan.sections && !alreadyRendered) {
         sectionsContainer.innerHTML = '';
+        sectionsContainer.setAttribute('aria-busy', 'true');
 
         plan.sections.forEach(function (section, index) {
           setTimeout(function () {
             this.renderSection(sectionsContainer, section, componentOptions);
           }.bind(this), index * 150); // Stagger section appearance.
         }.bind(this));
+        renderDelay = plan.sections.length * 150;
       }
 
+      // Let other features know once all sections are in place.
+      setTimeout(function () {
+        if (sectionsContainer) {
+          sectionsContainer.removeAttribute('aria-busy');
+        }
+        document.dispatchEvent(new CustomEvent('aiContentPreparationWizard:planRendered'));
+
+        Drupal.announce(Drupal.formatPlural(streamedIds.length, 'The content plan is ready with 1 section.', 'The content plan is ready with @count sections.'));
+        if (moveFocus && titleField) {
+          titleField.focus();
+        }
+      }, renderDelay);
+
       // Enable refinement controls using explicit IDs.
       var refinementTextarea = document.getElementById('edit-refinement-textarea');
       var regenerateButton = document.getElementById('edit-regenerate-plan');
@@ -178,7 +583,7 @@
       }
 
       // Show and enable navigation buttons.
-      var nextButton = document.getElementById('edit-next-step2');
+      var nextButton = document.getElementById('edit-create-page');
       if (nextButton) {
         nextButton.disabled = false;
         nextButton.classList.remove('is-disabled');
@@ -198,6 +603,7 @@
      */
     renderSection: function (container, section, componentOptions) {
       var sectionId = section.id;
+      var idPrefix = 'edit-sections-' + sectionId.replace(/_/g, '-');
       var content = section.content;
       var previewLength = 300;
       var needsReadMore = content.length > previewLength;
@@ -207,11 +613,12 @@
       var details = document.createElement('details');
       details.className = 'plan-section-item section-animate-in';
       details.setAttribute('data-section-id', sectionId);
+      // The image IDs are picked up by plan-images.js.
+      details.setAttribute('data-section-images', JSON.stringify(section.images || []));
 
-      // Create summary (title).
+      // Create summary (title). The element exposes its expanded state
+      // natively.
       var summary = document.createElement('summary');
-      summary.setAttribute('role', 'button');
-      summary.setAttribute('aria-expanded', 'false');
       summary.textContent = section.title;
       details.appendChild(summary);
 
@@ -224,10 +631,13 @@
       selectWrapper.className = 'js-form-item form-item js-form-type-select form-type--select';
 
       var selectLabel = document.createElement('label');
+      selectLabel.setAttribute('for', idPrefix + '-component-type');
+      selectLabel.className = 'form-item__label';
       selectLabel.textContent = Drupal.t('Component Type');
       selectWrapper.appendChild(selectLabel);
 
       var select = document.createElement('select');
+      select.id = idPrefix + '-component-type';
       select.name = 'sections[' + sectionId + '][component_type]';
       select.className = 'section-component-select form-select';
 
@@ -251,10 +661,13 @@
       contentWrapper.className = 'js-form-item form-item js-form-type-textarea form-type--textarea';
 
       var contentLabel = document.createElement('label');
+      contentLabel.setAttribute('for', idPrefix + '-content');
+      contentLabel.className = 'form-item__label';
       contentLabel.textContent = Drupal.t('Section Content');
       contentWrapper.appendChild(contentLabel);
 
       var textarea = document.createElement('textarea');
+      textarea.id = idPrefix + '-content';
       textarea.name = 'sections[' + sectionId + '][content]';
       textarea.className = 'section-content-textarea form-textarea';
       textarea.rows = 6;
@@ -273,6 +686,9 @@
       details.appendChild(innerDiv);
       container.appendChild(details);
 
+      // Let the section manager enhance the new section.
+      Drupal.attachBehaviors(container, drupalSettings);
+
       // Trigger animation.
       requestAnimationFrame(function () {
         details.classList.add('section-visible');
@@ -281,18 +697,67 @@
 
     /**
      * Shows an error message.
+     *
+     * @param {string} message
+     *   The error message.
+     * @param {Function} [retry]
+     *   Called by the Retry button. Without it no button is shown.
+     * @param {string} [retryLabel]
+     *   The label of the Retry button.
+     */
+    showError: function (message, retry, retryLabel) {
+      this.showMessage('error', Drupal.t('Failed to generate content plan'), message, retry, retryLabel || Drupal.t('Retry'));
+    },
+
+    /**
+     * Shows that a plan request was cancelled.
+     *
+     * @param {string} message
+     *   The message.
+     * @param {Function} [retry]
+     *   Called by the button starting the request again.
+     * @param {string} [retryLabel]
+     *   The label of that button.
      */
-    showError: function (message) {
+    showCancelled: function (message, retry, retryLabel) {
+      this.showMessage('warning', Drupal.t('Cancelled'), message, retry, retryLabel);
+    },
+
+    /**
+     * Replaces the loading container with a message.
+     */
+    showMessage: function (type, heading, message, retry, retryLabel) {
       var loadingEl = document.getElementById('plan-loading');
-      if (loadingEl) {
-        loadingEl.className = 'plan-error-container';
-        loadingEl.innerHTML =
-          '<div class="messages messages--error">' +
-          '<h3>' + Drupal.t('Failed to generate content plan') + '</h3>' +
-          '<p>' + this.escapeHtml(message) + '</p>' +
-          '<p><button type="button" class="button" onclick="location.reload()">' + Drupal.t('Retry') + '</button></p>' +
-          '</div>';
+      if (!loadingEl) {
+        return;
+      }
+      this.requestController = null;
+      var hadFocus = loadingEl.contains(document.activeElement);
+      loadingEl.style.display = '';
+      loadingEl.className = 'plan-error-container';
+      loadingEl.innerHTML =
+        '<div class="messages messages--' + type + '">' +
+        '<h3>' + this.escapeHtml(heading) + '</h3>' +
+        '<p>' + this.escapeHtml(message) + '</p>' +
+        '</div>';
+
+      if (retry) {
+        var paragraph = document.createElement('p');
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'button';
+        button.textContent = retryLabel;
+        button.addEventListener('click', retry);
+        paragraph.appendChild(button);
+        loadingEl.firstChild.appendChild(paragraph);
+        button.focus();
+      }
+      else if (hadFocus) {
+        loadingEl.firstChild.setAttribute('tabindex', '-1');
+        loadingEl.firstChild.focus();
       }
+
+      Drupal.announce(heading + ': ' + message, type === 'error' ? 'assertive' : 'polite');
     },
 
     /**
@@ -305,6 +770,33 @@
     }
   };
 
+  /**
+   * Shows an error message below a field until it is edited.
+   *
+   * @param {HTMLElement} field
+   *   The invalid field.
+   * @param {string} message
+   *   The error message.
+   */
+  function showFieldError(field, message) {
+    var errorId = field.id + '-error';
+    var error = document.getElementById(errorId);
+    if (!error) {
+      error = document.createElement('div');
+      error.id = errorId;
+      error.className = 'form-item--error-message';
+      field.parentNode.insertBefore(error, field.nextSibling);
+      field.setAttribute('aria-describedby', ((field.getAttribute('aria-describedby') || '') + ' ' + errorId).trim());
+    }
+    error.textContent = message;
+    field.setAttribute('aria-invalid', 'true');
+
+    field.addEventListener('input', function () {
+      field.removeAttribute('aria-invalid');
+      error.textContent = '';
+    }, {once: true});
+  }
+
   /**
    * Regenerate plan button behavior.
    */
@@ -329,7 +821,12 @@
         var refinementPrompt = refinementTextarea ? refinementTextarea.value.trim() : '';
 
         if (!refinementPrompt) {
-          alert(Drupal.t('Please enter refinement instructions.'));
+          var message = Drupal.t('Please enter refinement instructions.');
+          if (refinementTextarea) {
+            showFieldError(refinementTextarea, message);
+            refinementTextarea.focus();
+          }
+          Drupal.announce(message, 'assertive');
           return;
         }
 
@@ -340,40 +837,26 @@
         regenerateButton.value = Drupal.t('Regenerating...');
 
         // Show loading in plan area.
-        var loadingEl = document.getElementById('plan-loading');
+        var asyncPlan = Drupal.behaviors.asyncPlanGeneration;
         var sectionsContainer = document.getElementById('plan-sections-container');
-        var asyncContent = document.getElementById('plan-async-content');
+        var signal = asyncPlan.startRequest(Drupal.t('Cancel'), Drupal.t('Regenerating content plan...'));
 
-        if (loadingEl) {
-          loadingEl.style.display = '';
-          loadingEl.innerHTML = '<div class="ajax-progress ajax-progress--throbber"><div class="ajax-progress__throbber">&nbsp;</div><div class="ajax-progress__message" id="plan-loading-status">' + Drupal.t('Regenerating content plan...') + '</div></div>';
-        }
         if (sectionsContainer) {
           sectionsContainer.innerHTML = '';
         }
 
-        // Call JSON endpoint.
-        var endpoint = drupalSettings.path.baseUrl + 'admin/content/preparation-wizard/regenerate-plan-json';
+        // Failed or cancelled regenerations leave the stored plan unchanged.
+        var showCurrentPlan = asyncPlan.getRetry(Drupal.wizardClient.url('asyncPlan'), context);
 
-        fetch(endpoint, {
+        Drupal.wizardClient.request(Drupal.wizardClient.url('regeneratePlan'), {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest'
-          },
-          credentials: 'same-origin',
-          body: JSON.stringify({
+          data: {
             refinement_prompt: refinementPrompt
-          })
-        })
-        .then(function (response) {
-          if (!response.ok) {
-            return response.json().then(function (data) {
-              throw new Error(data.error || 'Request failed: ' + response.status);
-            });
-          }
-          return response.json();
+          },
+          timeout: 'generation',
+          // The server retries the AI provider itself.
+          retries: 0,
+          signal: signal
         })
         .then(function (data) {
           if (data.success) {
@@ -383,7 +866,12 @@
             }
 
             // Re-render the plan using the existing method.
-            Drupal.behaviors.asyncPlanGeneration.renderPlan(data.plan, data.componentOptions, context);
+            asyncPlan.renderPlan(data.plan, data.componentOptions, context);
+
+            // Let the refinement history show what changed.
+            document.dispatchEvent(new CustomEvent('aiContentPreparationWizard:planChanged', {
+              detail: {showChanges: true}
+            }));
 
             // Show success message.
             var messagesArea = document.querySelector('.messages-list, .region-highlighted, #block-claro-content');
@@ -400,12 +888,16 @@
               }, 5000);
             }
           } else {
-            Drupal.behaviors.asyncPlanGeneration.showError(data.error || Drupal.t('Failed to regenerate plan.'));
+            asyncPlan.showError(data.error || Drupal.t('Failed to regenerate plan.'), showCurrentPlan, Drupal.t('Show current plan'));
           }
         })
         .catch(function (error) {
+          if (Drupal.wizardClient.isAbort(error)) {
+            asyncPlan.showCancelled(Drupal.t('The plan was not regenerated.'), showCurrentPlan, Drupal.t('Show current plan'));
+            return;
+          }
           console.error('Regenerate plan error:', error);
-          Drupal.behaviors.asyncPlanGeneration.showError(error.message || Drupal.t('An error occurred while regenerating the plan.'));
+          asyncPlan.showError(error.message || Drupal.t('An error occurred while regenerating the plan.'), error.type === 'session' || error.type === 'permission' ? null : showCurrentPlan, Drupal.t('Show current plan'));
         })
         .finally(function () {
           // Re-enable button.
@@ -417,4 +909,38 @@
     }
   };
 
+  /**
+   * Keyboard shortcuts of the plan editor.
+   *
+   * Buttons declare their shortcut with aria-keyshortcuts, such as
+   * "Alt+Shift+R". Only Alt+Shift combinations are supported, which neither
+   * conflict with typing nor with common browser shortcuts.
+   */
+  Drupal.behaviors.planEditorShortcuts = {
+    attach: function () {
+      if (this.listening) {
+        return;
+      }
+      this.listening = true;
+      document.addEventListener('keydown', this.onKeydown);
+    },
+
+    /**
+     * Clicks the visible, enabled button with the pressed shortcut.
+     */
+    onKeydown: function (e) {
+      // The key code does not depend on the characters Alt produces.
+      if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey || !/^Key[A-Z]$/.test(e.code)) {
+        return;
+      }
+      var shortcut = 'Alt+Shift+' + e.code.substring(3);
+      var button = document.querySelector('#wizard-form-wrapper [aria-keyshortcuts="' + shortcut + '"]');
+      if (!button || button.disabled || !button.offsetParent) {
+        return;
+      }
+      e.preventDefault();
+      button.click();
+    }
+  };
+
 })(Drupal, drupalSettings);
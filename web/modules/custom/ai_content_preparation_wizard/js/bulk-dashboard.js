@@ -0,0 +1,537 @@
+/**
+ * @file
+ * Dashboard of a bulk run of the Content Preparation Wizard.
+ *
+ * Processes the queued items one request at a time while the page is open,
+ * shows the status of every item and lets the editor retry failed items and
+ * approve ready plans, which creates their Canvas pages. Items left behind
+ * when the page is closed are processed on cron.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * How often the run is reloaded while other requests process it, in ms.
+   */
+  var POLL_INTERVAL = 5000;
+
+  /**
+   * Bulk dashboard behavior.
+   */
+  Drupal.behaviors.bulkDashboard = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      if (!wizardSettings.bulkRun) {
+        return;
+      }
+
+      once('bulk-dashboard', '[data-bulk-dashboard]', context).forEach(function (element) {
+        new BulkDashboard(element, wizardSettings);
+      });
+    }
+  };
+
+  /**
+   * Gets the label of an item status.
+   *
+   * @param {string} status
+   *   The status value.
+   *
+   * @return {string}
+   *   The translated label.
+   */
+  function getStatusLabel(status) {
+    var labels = {
+      queued: Drupal.t('Queued'),
+      processing: Drupal.t('Processing'),
+      planning: Drupal.t('Planning'),
+      ready: Drupal.t('Ready'),
+      created: Drupal.t('Created'),
+      failed: Drupal.t('Failed')
+    };
+    return labels[status] || status;
+  }
+
+  /**
+   * Creates an element with a class and text.
+   */
+  function createElement(tag, className, text) {
+    var element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  /**
+   * Creates a button.
+   */
+  function createButton(label, className, onClick) {
+    var button = createElement('button', 'button ' + (className || ''), label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Drives the dashboard of one bulk run.
+   *
+   * @param {Element} element
+   *   The [data-bulk-dashboard] container.
+   * @param {Object} settings
+   *   The wizard settings with the run data and endpoints.
+   */
+  function BulkDashboard(element, settings) {
+    this.element = element;
+    this.settings = settings;
+    this.run = settings.bulkRun;
+    this.selected = {};
+    this.paused = false;
+    this.processing = false;
+    this.busy = false;
+    this.pollTimer = null;
+
+    this.build();
+    this.render();
+    this.processQueue();
+  }
+
+  /**
+   * Builds the summary, toolbar and item table.
+   */
+  BulkDashboard.prototype.build = function () {
+    var summary = createElement('div', 'bulk-dashboard__summary');
+    this.progress = createElement('progress', 'bulk-dashboard__progress');
+    this.progress.id = 'bulk-dashboard-progress';
+    this.progressLabel = createElement('label', 'bulk-dashboard__progress-label');
+    this.progressLabel.htmlFor = this.progress.id;
+    this.counts = createElement('ul', 'bulk-dashboard__counts');
+    summary.appendChild(this.progressLabel);
+    summary.appendChild(this.progress);
+    summary.appendChild(this.counts);
+
+    var toolbar = createElement('div', 'bulk-dashboard__toolbar');
+    this.createButton = createButton(Drupal.t('Create pages for selected'), 'button--primary', this.createSelected.bind(this));
+    this.selectButton = createButton(Drupal.t('Select all ready'), '', this.selectReady.bind(this));
+    this.retryButton = createButton(Drupal.t('Retry failed'), '', this.retryFailed.bind(this));
+    this.pauseButton = createButton(Drupal.t('Pause processing'), '', this.togglePause.bind(this));
+    this.pauseButton.setAttribute('aria-pressed', 'false');
+    [this.createButton, this.selectButton, this.retryButton, this.pauseButton].forEach(function (button) {
+      toolbar.appendChild(button);
+    });
+
+    this.status = createElement('div', 'bulk-dashboard__status');
+    this.status.setAttribute('role', 'status');
+
+    var table = createElement('table', 'bulk-dashboard__table');
+    var caption = createElement('caption', 'visually-hidden', Drupal.t('Bulk items'));
+    table.appendChild(caption);
+    var head = table.createTHead().insertRow();
+    [Drupal.t('Approve'), Drupal.t('Source'), Drupal.t('Status'), Drupal.t('Content plan'), Drupal.t('Page')].forEach(function (label) {
+      var cell = createElement('th', '', label);
+      cell.scope = 'col';
+      head.appendChild(cell);
+    });
+    this.body = table.createTBody();
+
+    var intro = this.element.firstElementChild;
+    [summary, toolbar, this.status, table].reverse().forEach(function (child) {
+      this.element.insertBefore(child, intro ? intro.nextSibling : this.element.firstChild);
+    }, this);
+  };
+
+  /**
+   * Renders the current run.
+   */
+  BulkDashboard.prototype.render = function () {
+    var run = this.run;
+    var counts = run.counts || {};
+    var done = run.total - (counts.queued || 0) - (counts.processing || 0) - (counts.planning || 0);
+
+    this.progress.max = run.total || 1;
+    this.progress.value = done;
+    this.progressLabel.textContent = Drupal.t('@done of @total items processed', {'@done': done, '@total': run.total});
+
+    this.counts.textContent = '';
+    ['queued', 'processing', 'planning', 'ready', 'created', 'failed'].forEach(function (status) {
+      if (counts[status]) {
+        var count = createElement('li', 'bulk-status bulk-status--' + status, getStatusLabel(status) + ': ' + counts[status]);
+        this.counts.appendChild(count);
+      }
+    }, this);
+
+    // Forget selections of items that are no longer ready.
+    var items = {};
+    run.items.forEach(function (item) {
+      items[item.id] = item;
+    });
+    Object.keys(this.selected).forEach(function (id) {
+      if (!items[id] || items[id].status !== 'ready') {
+        delete this.selected[id];
+      }
+    }, this);
+
+    this.body.textContent = '';
+    run.items.forEach(function (item) {
+      this.body.appendChild(this.renderItem(item));
+    }, this);
+
+    this.updateButtons();
+  };
+
+  /**
+   * Renders the table row of an item.
+   *
+   * @param {Object} item
+   *   The item data.
+   *
+   * @return {HTMLTableRowElement}
+   *   The row.
+   */
+  BulkDashboard.prototype.renderItem = function (item) {
+    var row = createElement('tr', 'bulk-item bulk-item--' + item.status);
+    row.dataset.itemId = item.id;
+
+    var selectCell = row.insertCell();
+    if (item.status === 'ready') {
+      var checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !!this.selected[item.id];
+      checkbox.setAttribute('aria-label', Drupal.t('Approve @label', {'@label': item.label}));
+      checkbox.addEventListener('change', function () {
+        if (checkbox.checked) {
+          this.selected[item.id] = true;
+        }
+        else {
+          delete this.selected[item.id];
+        }
+        this.updateButtons();
+      }.bind(this));
+      selectCell.appendChild(checkbox);
+    }
+
+    var sourceCell = row.insertCell();
+    sourceCell.appendChild(createElement('span', 'bulk-item__label', item.label));
+    sourceCell.appendChild(createElement('span', 'bulk-item__type', item.sourceType === 'url' ? Drupal.t('Webpage') : Drupal.t('Document')));
+
+    var statusCell = row.insertCell();
+    statusCell.appendChild(createElement('span', 'bulk-status bulk-status--' + item.status, getStatusLabel(item.status)));
+    if (item.error) {
+      statusCell.appendChild(createElement('span', 'bulk-item__error', item.error));
+    }
+
+    var planCell = row.insertCell();
+    if (item.plan) {
+      planCell.appendChild(createElement('span', 'bulk-item__plan-title', item.plan.title));
+      planCell.appendChild(createElement('span', 'bulk-item__plan-meta', Drupal.formatPlural(item.plan.sectionCount, '1 section', '@count sections')));
+    }
+
+    var pageCell = row.insertCell();
+    if (item.pageUrl) {
+      var link = createElement('a', '', Drupal.t('View page'));
+      link.href = item.pageUrl;
+      pageCell.appendChild(link);
+    }
+
+    return row;
+  };
+
+  /**
+   * Enables the buttons that apply to the current run.
+   */
+  BulkDashboard.prototype.updateButtons = function () {
+    var counts = this.run.counts || {};
+    var selectedCount = Object.keys(this.selected).length;
+
+    this.createButton.disabled = this.busy || !selectedCount;
+    this.createButton.textContent = selectedCount ?
+      Drupal.formatPlural(selectedCount, 'Create 1 page', 'Create @count pages') :
+      Drupal.t('Create pages for selected');
+    this.selectButton.disabled = this.busy || !counts.ready;
+    this.retryButton.disabled = this.busy || !counts.failed;
+    this.pauseButton.hidden = !this.run.pending;
+  };
+
+  /**
+   * Processes queued items until none are left or processing is paused.
+   */
+  BulkDashboard.prototype.processQueue = function () {
+    if (this.processing || this.paused) {
+      return;
+    }
+    this.stopPolling();
+
+    if (!(this.run.counts || {}).queued) {
+      // Other requests or cron may still be working on items.
+      if (this.run.pending) {
+        this.poll();
+      }
+      else if (!this.busy) {
+        this.setStatus(Drupal.t('All items have been processed.'));
+      }
+      return;
+    }
+
+    this.processing = true;
+    this.setStatus(Drupal.t('Processing the next item...'));
+
+    Drupal.wizardClient.request(this.settings.bulkProcessEndpoint, {
+      method: 'POST',
+      timeout: 'generation',
+      // The server records failures on the item; a retry would process the
+      // next item instead.
+      retries: 0
+    })
+      .then(function (data) {
+        this.processing = false;
+        this.run = data.run;
+        this.render();
+        if (data.item) {
+          this.announceItem(data.item);
+        }
+        this.processQueue();
+      }.bind(this))
+      .catch(function (error) {
+        this.processing = false;
+        this.handleError(error);
+        this.setPaused(true);
+      }.bind(this));
+  };
+
+  /**
+   * Reloads the run until no item is pending anymore.
+   */
+  BulkDashboard.prototype.poll = function () {
+    this.stopPolling();
+    this.setStatus(Drupal.t('Waiting for items that are processed elsewhere...'));
+
+    this.pollTimer = setTimeout(function () {
+      this.pollTimer = null;
+      this.refresh().then(function () {
+        if (!this.paused) {
+          this.processQueue();
+        }
+      }.bind(this));
+    }.bind(this), POLL_INTERVAL);
+  };
+
+  /**
+   * Stops reloading the run.
+   */
+  BulkDashboard.prototype.stopPolling = function () {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+  };
+
+  /**
+   * Reloads the run.
+   *
+   * @return {Promise}
+   *   Resolves once the run was rendered; errors are shown, not rejected.
+   */
+  BulkDashboard.prototype.refresh = function () {
+    return Drupal.wizardClient.request(this.settings.bulkStatusEndpoint)
+      .then(function (data) {
+        this.run = data.run;
+        this.render();
+        if (!this.run.pending) {
+          this.setStatus(Drupal.t('All items have been processed.'));
+        }
+      }.bind(this))
+      .catch(this.handleError.bind(this));
+  };
+
+  /**
+   * Pauses or resumes processing.
+   */
+  BulkDashboard.prototype.togglePause = function () {
+    this.setPaused(!this.paused);
+    if (!this.paused) {
+      this.processQueue();
+    }
+  };
+
+  /**
+   * Updates the paused state.
+   *
+   * A request that is already running finishes; no further items are
+   * started while paused.
+   */
+  BulkDashboard.prototype.setPaused = function (paused) {
+    this.paused = paused;
+    this.pauseButton.setAttribute('aria-pressed', paused ? 'true' : 'false');
+    this.pauseButton.textContent = paused ? Drupal.t('Resume processing') : Drupal.t('Pause processing');
+    if (paused) {
+      this.stopPolling();
+      if (!this.processing && !this.status.classList.contains('is-error')) {
+        this.setStatus(Drupal.t('Processing is paused. Remaining items are processed on cron.'));
+      }
+    }
+  };
+
+  /**
+   * Selects all ready items.
+   */
+  BulkDashboard.prototype.selectReady = function () {
+    this.run.items.forEach(function (item) {
+      if (item.status === 'ready') {
+        this.selected[item.id] = true;
+      }
+    }, this);
+    this.render();
+  };
+
+  /**
+   * Queues all failed items again.
+   */
+  BulkDashboard.prototype.retryFailed = function () {
+    var itemIds = this.run.items.filter(function (item) {
+      return item.status === 'failed';
+    }).map(function (item) {
+      return item.id;
+    });
+    if (!itemIds.length) {
+      return;
+    }
+
+    this.setBusy(true);
+    Drupal.wizardClient.request(this.settings.bulkRetryEndpoint, {
+      method: 'POST',
+      data: {item_ids: itemIds}
+    })
+      .then(function (data) {
+        this.run = data.run;
+        this.setBusy(false);
+        this.render();
+        Drupal.announce(Drupal.formatPlural(itemIds.length, '1 item will be retried.', '@count items will be retried.'));
+        this.setPaused(false);
+        this.processQueue();
+      }.bind(this))
+      .catch(function (error) {
+        this.setBusy(false);
+        this.handleError(error);
+      }.bind(this));
+  };
+
+  /**
+   * Creates the pages of the selected items, one after another.
+   */
+  BulkDashboard.prototype.createSelected = function () {
+    var itemIds = Object.keys(this.selected);
+    if (!itemIds.length) {
+      return;
+    }
+
+    var created = 0;
+    var failed = 0;
+    this.setBusy(true);
+
+    var next = function (index) {
+      if (index >= itemIds.length) {
+        return Promise.resolve();
+      }
+      this.setStatus(Drupal.t('Creating page @current of @total...', {'@current': index + 1, '@total': itemIds.length}));
+
+      return Drupal.wizardClient.request(this.settings.bulkCreateEndpoint, {
+        method: 'POST',
+        timeout: 'generation',
+        // Page creation is not idempotent on server errors.
+        retries: 0,
+        data: {item_id: itemIds[index]}
+      })
+        .then(function (data) {
+          // Failed creations are recorded on the item.
+          if (data.success) {
+            created++;
+          }
+          else {
+            failed++;
+          }
+          this.updateItem(data.item);
+        }.bind(this))
+        .catch(function (error) {
+          // The other pages would fail the same way.
+          if (error.type === 'session' || error.type === 'permission') {
+            throw error;
+          }
+          failed++;
+          if (error.data && error.data.item) {
+            this.updateItem(error.data.item);
+          }
+        }.bind(this))
+        .then(function () {
+          return next(index + 1);
+        });
+    }.bind(this);
+
+    next(0)
+      .then(function () {
+        var message = Drupal.formatPlural(created, '1 page was created.', '@count pages were created.');
+        if (failed) {
+          message += ' ' + Drupal.formatPlural(failed, '1 page could not be created.', '@count pages could not be created.');
+        }
+        this.setStatus(message, failed > 0);
+      }.bind(this))
+      .catch(this.handleError.bind(this))
+      .finally(function () {
+        this.setBusy(false);
+        this.refresh();
+      }.bind(this));
+  };
+
+  /**
+   * Replaces an item of the run and re-renders the dashboard.
+   */
+  BulkDashboard.prototype.updateItem = function (item) {
+    this.run.items = this.run.items.map(function (current) {
+      return current.id === item.id ? item : current;
+    });
+    this.render();
+  };
+
+  /**
+   * Announces the result of a processed item to screen reader users.
+   */
+  BulkDashboard.prototype.announceItem = function (item) {
+    if (item.status === 'failed') {
+      Drupal.announce(Drupal.t('@label failed: @error', {'@label': item.label, '@error': item.error || ''}));
+    }
+    else {
+      Drupal.announce(Drupal.t('The content plan for @label is ready.', {'@label': item.label}));
+    }
+  };
+
+  /**
+   * Disables the actions while a request changes the run.
+   */
+  BulkDashboard.prototype.setBusy = function (busy) {
+    this.busy = busy;
+    this.element.setAttribute('aria-busy', busy ? 'true' : 'false');
+    this.updateButtons();
+  };
+
+  /**
+   * Shows a failed request.
+   */
+  BulkDashboard.prototype.handleError = function (error) {
+    if (Drupal.wizardClient.isAbort(error)) {
+      return;
+    }
+    console.error('Bulk dashboard error:', error);
+    this.setStatus(error.message || Drupal.t('The request failed. Please try again.'), true);
+  };
+
+  /**
+   * Updates the status line.
+   */
+  BulkDashboard.prototype.setStatus = function (message, isError) {
+    this.status.textContent = message;
+    this.status.classList.toggle('is-error', !!isError);
+  };
+
+})(Drupal, drupalSettings, once);
@@ -1,9 +1,15 @@
 /**
  * @file
  * JavaScript for document tabs in the Content Preparation Wizard.
+ *
+ * Implements the WAI-ARIA tabs pattern with automatic activation: only the
+ * selected tab is in the tab sequence, the arrow keys move between tabs and
+ * Home/End jump to the first and last tab. The selected tab is kept in the
+ * URL hash, so it survives reloads and form rebuilds.
  */
 
 (function (Drupal, once) {
+
   'use strict';
 
   /**
@@ -11,50 +17,112 @@
    */
   Drupal.behaviors.documentTabs = {
     attach: function (context) {
-      const tabContainers = once('document-tabs', '.document-tabs-nav', context);
-
-      tabContainers.forEach(function (tabNav) {
-        const tabs = tabNav.querySelectorAll('.document-tab');
-        const panelsContainer = tabNav.nextElementSibling;
-
-        if (!panelsContainer || !panelsContainer.classList.contains('document-tabs-content')) {
-          return;
-        }
-
-        tabs.forEach(function (tab) {
-          tab.addEventListener('click', function (e) {
-            e.preventDefault();
-
-            const targetId = this.getAttribute('data-target');
-            if (!targetId) {
-              return;
-            }
-
-            // Remove active class from all tabs.
-            tabs.forEach(function (t) {
-              t.classList.remove('active');
-            });
-
-            // Add active class to clicked tab.
-            this.classList.add('active');
-
-            // Hide all panels.
-            const panels = panelsContainer.querySelectorAll('.document-tab-panel');
-            panels.forEach(function (panel) {
-              panel.style.display = 'none';
-              panel.classList.remove('active');
-            });
-
-            // Show target panel.
-            const targetPanel = document.getElementById(targetId);
-            if (targetPanel) {
-              targetPanel.style.display = 'block';
-              targetPanel.classList.add('active');
-            }
-          });
-        });
+      once('document-tabs', '[data-document-tabs]', context).forEach(function (element) {
+        new DocumentTabs(element);
       });
     }
   };
 
+  /**
+   * Controls one set of document tabs.
+   *
+   * @param {Element} element
+   *   The [data-document-tabs] container.
+   */
+  function DocumentTabs(element) {
+    this.element = element;
+    this.tabs = Array.prototype.slice.call(element.querySelectorAll('[role="tab"]'));
+    if (!this.tabs.length) {
+      return;
+    }
+
+    this.tabs.forEach(function (tab) {
+      tab.addEventListener('click', function () {
+        this.select(tab, true);
+      }.bind(this));
+      tab.addEventListener('keydown', this.onKeydown.bind(this));
+    }, this);
+
+    window.addEventListener('hashchange', this.restoreFromHash.bind(this));
+    this.restoreFromHash();
+  }
+
+  /**
+   * Moves between tabs with the arrow, Home and End keys.
+   */
+  DocumentTabs.prototype.onKeydown = function (e) {
+    var index = this.tabs.indexOf(e.currentTarget);
+    var last = this.tabs.length - 1;
+    var target;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        target = index === 0 ? last : index - 1;
+        break;
+
+      case 'ArrowRight':
+      case 'ArrowDown':
+        target = index === last ? 0 : index + 1;
+        break;
+
+      case 'Home':
+        target = 0;
+        break;
+
+      case 'End':
+        target = last;
+        break;
+
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.select(this.tabs[target], true);
+    this.tabs[target].focus();
+  };
+
+  /**
+   * Selects a tab and shows its panel.
+   *
+   * @param {HTMLElement} tab
+   *   The tab to select.
+   * @param {boolean} updateHash
+   *   Whether to remember the tab in the URL hash.
+   */
+  DocumentTabs.prototype.select = function (tab, updateHash) {
+    this.tabs.forEach(function (item) {
+      var selected = item === tab;
+      item.setAttribute('aria-selected', selected ? 'true' : 'false');
+      item.tabIndex = selected ? 0 : -1;
+
+      var panel = document.getElementById(item.getAttribute('aria-controls'));
+      if (panel) {
+        panel.hidden = !selected;
+      }
+    });
+
+    // Replacing the state neither scrolls nor adds a history entry per tab.
+    if (updateHash && tab.dataset.tabHash && window.history.replaceState) {
+      window.history.replaceState(window.history.state, '', '#' + tab.dataset.tabHash);
+    }
+  };
+
+  /**
+   * Selects the tab named in the URL hash, if any.
+   */
+  DocumentTabs.prototype.restoreFromHash = function () {
+    var hash = window.location.hash.substring(1);
+    if (!hash) {
+      return;
+    }
+    var tab = this.tabs.filter(function (item) {
+      return item.dataset.tabHash === hash;
+    })[0];
+    if (tab && tab.getAttribute('aria-selected') !== 'true') {
+      this.select(tab, false);
+    }
+  };
+
 })(Drupal, once);
@@ -0,0 +1,516 @@
+/**
+ * @file
+ * Lightweight Markdown editing for plan section content.
+ *
+ * Adds a formatting toolbar, an edit/preview toggle and component fit
+ * warnings to every section content textarea. Section content is converted
+ * from Markdown when the Canvas page is created, so the preview and the
+ * warnings follow CanvasCreator::convertMarkdownToHtml() and
+ * CanvasCreator::parseListItems(). Everything runs in the browser without
+ * external resources.
+ */
+
+(function (Drupal, once) {
+
+  'use strict';
+
+  /**
+   * Delay before the warnings are updated while typing, in milliseconds.
+   */
+  var WARNING_DELAY = 300;
+
+  /**
+   * Matches list item lines, as stripped by CanvasCreator::parseListItems().
+   */
+  var LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+\S/;
+
+  /**
+   * Matches ATX heading lines.
+   */
+  var HEADING = /^#{1,6}\s+\S/;
+
+  /**
+   * Toolbar actions.
+   */
+  var actions = [
+    {id: 'h2', label: 'H2', title: Drupal.t('Heading'), apply: function (editor) {
+      editor.prefixLines(function () {
+        return '## ';
+      }, /^#{1,6}\s+/);
+    }},
+    {id: 'h3', label: 'H3', title: Drupal.t('Subheading'), apply: function (editor) {
+      editor.prefixLines(function () {
+        return '### ';
+      }, /^#{1,6}\s+/);
+    }},
+    {id: 'bold', label: 'B', title: Drupal.t('Bold (Ctrl+B)'), key: 'b', apply: function (editor) {
+      editor.wrapSelection('**', '**', Drupal.t('bold text'));
+    }},
+    {id: 'italic', label: 'I', title: Drupal.t('Italic (Ctrl+I)'), key: 'i', apply: function (editor) {
+      editor.wrapSelection('_', '_', Drupal.t('italic text'));
+    }},
+    {id: 'bullet-list', label: '•', title: Drupal.t('Bulleted list'), apply: function (editor) {
+      editor.prefixLines(function () {
+        return '- ';
+      }, /^\s*([-*+]|\d+[.)])\s+/);
+    }},
+    {id: 'numbered-list', label: '1.', title: Drupal.t('Numbered list'), apply: function (editor) {
+      editor.prefixLines(function (index) {
+        return (index + 1) + '. ';
+      }, /^\s*([-*+]|\d+[.)])\s+/);
+    }},
+    {id: 'link', label: Drupal.t('Link'), title: Drupal.t('Link (Ctrl+K)'), key: 'k', apply: function (editor) {
+      editor.insertLink();
+    }}
+  ];
+
+  /**
+   * Markdown editor behavior.
+   */
+  Drupal.behaviors.markdownEditor = {
+    attach: function (context) {
+      once('markdown-editor', 'textarea.section-content-textarea', context).forEach(function (textarea) {
+        new MarkdownEditor(textarea);
+      });
+    }
+  };
+
+  /**
+   * Markdown editing controls for one section textarea.
+   *
+   * @param {HTMLTextAreaElement} textarea
+   *   The section content textarea.
+   */
+  function MarkdownEditor(textarea) {
+    this.textarea = textarea;
+    this.timer = null;
+
+    if (!textarea.id) {
+      textarea.id = 'markdown-editor-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    var wrapper = document.createElement('div');
+    wrapper.className = 'markdown-editor';
+    textarea.parentNode.insertBefore(wrapper, textarea);
+
+    this.toolbar = this.buildToolbar();
+    wrapper.appendChild(this.toolbar);
+    wrapper.appendChild(textarea);
+
+    this.preview = document.createElement('div');
+    this.preview.className = 'markdown-editor-preview';
+    this.preview.id = textarea.id + '-preview';
+    this.preview.hidden = true;
+    this.preview.tabIndex = 0;
+    this.preview.setAttribute('aria-label', Drupal.t('Rendered preview'));
+    wrapper.appendChild(this.preview);
+
+    this.warnings = document.createElement('ul');
+    this.warnings.className = 'markdown-editor-warnings';
+    this.warnings.id = textarea.id + '-warnings';
+    this.warnings.setAttribute('aria-live', 'polite');
+    wrapper.appendChild(this.warnings);
+    textarea.setAttribute('aria-describedby', ((textarea.getAttribute('aria-describedby') || '') + ' ' + this.warnings.id).trim());
+
+    textarea.addEventListener('input', function () {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(this.update.bind(this), WARNING_DELAY);
+    }.bind(this));
+
+    textarea.addEventListener('keydown', function (e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) {
+        return;
+      }
+      var action = actions.filter(function (item) {
+        return item.key === e.key.toLowerCase();
+      })[0];
+      if (action) {
+        e.preventDefault();
+        action.apply(this);
+      }
+    }.bind(this));
+
+    // The component type decides how the content is mapped.
+    var details = textarea.closest('[data-section-id]');
+    if (details) {
+      details.addEventListener('change', function (e) {
+        if (e.target.name && /\[component_type\]$/.test(e.target.name)) {
+          this.update();
+        }
+      }.bind(this));
+    }
+
+    this.update();
+  }
+
+  /**
+   * Builds the toolbar with the formatting actions and the preview toggle.
+   */
+  MarkdownEditor.prototype.buildToolbar = function () {
+    var toolbar = document.createElement('div');
+    toolbar.className = 'markdown-editor-toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', Drupal.t('Formatting'));
+    toolbar.setAttribute('aria-controls', this.textarea.id);
+
+    actions.forEach(function (action) {
+      var button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'markdown-editor-button markdown-editor-button--' + action.id;
+      button.textContent = action.label;
+      button.title = action.title;
+      button.setAttribute('aria-label', action.title);
+      button.addEventListener('click', function () {
+        action.apply(this);
+      }.bind(this));
+      toolbar.appendChild(button);
+    }, this);
+
+    this.previewToggle = document.createElement('button');
+    this.previewToggle.type = 'button';
+    this.previewToggle.className = 'markdown-editor-button markdown-editor-toggle';
+    this.previewToggle.textContent = Drupal.t('Preview');
+    this.previewToggle.setAttribute('aria-pressed', 'false');
+    this.previewToggle.addEventListener('click', function () {
+      this.setPreview(this.preview.hidden);
+    }.bind(this));
+    toolbar.appendChild(this.previewToggle);
+
+    return toolbar;
+  };
+
+  /**
+   * Switches between editing and the rendered preview.
+   */
+  MarkdownEditor.prototype.setPreview = function (show) {
+    if (show) {
+      this.preview.innerHTML = renderMarkdown(this.textarea.value) || '<p><em>' + Drupal.t('No content.') + '</em></p>';
+    }
+    this.preview.hidden = !show;
+    this.textarea.hidden = show;
+    this.previewToggle.setAttribute('aria-pressed', show ? 'true' : 'false');
+    this.toolbar.querySelectorAll('.markdown-editor-button:not(.markdown-editor-toggle)').forEach(function (button) {
+      button.disabled = show;
+    });
+    (show ? this.preview : this.textarea).focus();
+  };
+
+  /**
+   * Refreshes the preview and the component fit warnings.
+   */
+  MarkdownEditor.prototype.update = function () {
+    if (!this.preview.hidden) {
+      this.preview.innerHTML = renderMarkdown(this.textarea.value);
+    }
+
+    var details = this.textarea.closest('[data-section-id]');
+    var select = details ? details.querySelector('[name$="[component_type]"]') : null;
+    var messages = getWarnings(this.textarea.value, select ? select.value : '');
+
+    this.warnings.innerHTML = '';
+    messages.forEach(function (message) {
+      var item = document.createElement('li');
+      item.textContent = message;
+      this.warnings.appendChild(item);
+    }, this);
+    this.textarea.classList.toggle('has-markdown-warnings', messages.length > 0);
+  };
+
+  /**
+   * Wraps the selection, or a selected placeholder, in the given markers.
+   */
+  MarkdownEditor.prototype.wrapSelection = function (before, after, placeholder) {
+    var textarea = this.textarea;
+    var start = textarea.selectionStart;
+    var end = textarea.selectionEnd;
+    var selected = textarea.value.slice(start, end) || placeholder;
+
+    this.replaceRange(start, end, before + selected + after);
+    textarea.setSelectionRange(start + before.length, start + before.length + selected.length);
+  };
+
+  /**
+   * Prefixes every selected line, or removes the prefix if all have it.
+   *
+   * @param {function} prefix
+   *   Returns the prefix for the line at the given index.
+   * @param {RegExp} existing
+   *   Matches a prefix to replace.
+   */
+  MarkdownEditor.prototype.prefixLines = function (prefix, existing) {
+    var textarea = this.textarea;
+    var value = textarea.value;
+    var start = value.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+    var end = value.indexOf('\n', textarea.selectionEnd);
+    if (end === -1 || (textarea.selectionEnd > textarea.selectionStart && value[textarea.selectionEnd - 1] === '\n')) {
+      end = end === -1 ? value.length : textarea.selectionEnd - 1;
+    }
+
+    var lines = value.slice(start, end).split('\n');
+    var removing = lines.every(function (line, index) {
+      return line.indexOf(prefix(index)) === 0;
+    });
+    var result = lines.map(function (line, index) {
+      if (removing) {
+        return line.slice(prefix(index).length);
+      }
+      return line.trim() === '' && lines.length > 1 ? line : prefix(index) + line.replace(existing, '');
+    }).join('\n');
+
+    this.replaceRange(start, end, result);
+    textarea.setSelectionRange(start, start + result.length);
+  };
+
+  /**
+   * Inserts a link around the selection and selects the URL placeholder.
+   */
+  MarkdownEditor.prototype.insertLink = function () {
+    var textarea = this.textarea;
+    var start = textarea.selectionStart;
+    var end = textarea.selectionEnd;
+    var text = textarea.value.slice(start, end) || Drupal.t('link text');
+    var url = 'https://';
+
+    this.replaceRange(start, end, '[' + text + '](' + url + ')');
+    var urlStart = start + text.length + 3;
+    textarea.setSelectionRange(urlStart, urlStart + url.length);
+  };
+
+  /**
+   * Replaces a range of the textarea value, keeping the browser's undo.
+   */
+  MarkdownEditor.prototype.replaceRange = function (start, end, text) {
+    var textarea = this.textarea;
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+
+    // execCommand keeps the native undo history; not every browser has it.
+    if (!document.execCommand || !document.execCommand('insertText', false, text)) {
+      textarea.setRangeText(text, start, end, 'end');
+      textarea.dispatchEvent(new Event('input', {bubbles: true}));
+    }
+  };
+
+  /**
+   * Reduces a component ID such as "sdc.mercury.hero" to its kind.
+   */
+  function getComponentKind(componentType) {
+    var name = (componentType || '').split(/[.:]/).pop().toLowerCase();
+    var kinds = ['heading', 'list', 'quote', 'image', 'hero', 'cta'];
+    for (var i = 0; i < kinds.length; i++) {
+      if (name === kinds[i] || name.indexOf(kinds[i]) !== -1) {
+        return kinds[i];
+      }
+    }
+    return 'text';
+  }
+
+  /**
+   * Lists problems with the Markdown or how it maps onto the component.
+   *
+   * @param {string} content
+   *   The section content.
+   * @param {string} componentType
+   *   The selected component type.
+   *
+   * @return {Array}
+   *   Warning messages.
+   */
+  function getWarnings(content, componentType) {
+    var warnings = [];
+    var lines = content.split(/\r?\n/);
+    var hasText = content.trim() !== '';
+    var listItems = lines.filter(function (line) {
+      return LIST_ITEM.test(line);
+    });
+    var headings = lines.filter(function (line) {
+      return HEADING.test(line);
+    });
+
+    // Syntax that is easy to break without noticing.
+    if (lines.some(function (line) {
+      return /^#{1,6}[^#\s]/.test(line);
+    })) {
+      warnings.push(Drupal.t('A heading is missing the space after "#", so it will show as plain text.'));
+    }
+    if (lines.some(function (line) {
+      return /^\s*[-+](?![-+\s])\S/.test(line);
+    })) {
+      warnings.push(Drupal.t('A list item is missing the space after its marker, so it will show as plain text.'));
+    }
+    lines.forEach(function (line) {
+      var stripped = line.replace(/`[^`]*`/g, '');
+      if ((stripped.match(/\*\*/g) || []).length % 2 === 1) {
+        warnings.push(Drupal.t('Bold text is not closed: "@line".', {'@line': line.trim()}));
+      }
+      if (/\[[^\]]*\]\([^)]*$/.test(stripped)) {
+        warnings.push(Drupal.t('A link is not closed: "@line".', {'@line': line.trim()}));
+      }
+    });
+
+    switch (getComponentKind(componentType)) {
+      case 'list':
+        if (hasText && !listItems.length) {
+          warnings.push(Drupal.t('The list component has no list items. Every line will become a separate item; start items with "- " or "1. ".'));
+        }
+        else if (listItems.length && listItems.length < lines.filter(function (line) {
+          return line.trim() !== '';
+        }).length) {
+          warnings.push(Drupal.t('Lines that are not list items will also become list items.'));
+        }
+        if (headings.length) {
+          warnings.push(Drupal.t('Headings are not supported in a list component and will become list items.'));
+        }
+        break;
+
+      case 'heading':
+        if (hasText) {
+          warnings.push(Drupal.t('The heading component only shows the section title; this content will not be used.'));
+        }
+        break;
+
+      case 'quote':
+        if (headings.length || listItems.length) {
+          warnings.push(Drupal.t('Headings and lists do not fit a quote component.'));
+        }
+        break;
+
+      case 'image':
+        if (hasText && (content.length > 150 || /[#*_[\]]/.test(content))) {
+          warnings.push(Drupal.t('The image component uses this content as alternative text; keep it short and without formatting.'));
+        }
+        break;
+
+      case 'hero':
+      case 'cta':
+        if (headings.length || listItems.length) {
+          warnings.push(Drupal.t('Headings and lists do not fit this component; keep the text short.'));
+        }
+        break;
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Renders Markdown to HTML for the preview.
+   *
+   * Supports the subset the content plan uses: headings, paragraphs, lists,
+   * block quotes, code, emphasis and links. The input is escaped first.
+   *
+   * @param {string} markdown
+   *   The Markdown source.
+   *
+   * @return {string}
+   *   The HTML.
+   */
+  function renderMarkdown(markdown) {
+    var lines = escapeHtml(markdown).split(/\r?\n/);
+    var html = [];
+    var paragraph = [];
+    var list = null;
+    var inCode = false;
+
+    var flushParagraph = function () {
+      if (paragraph.length) {
+        html.push('<p>' + renderInline(paragraph.join(' ')) + '</p>');
+        paragraph = [];
+      }
+    };
+    var flushList = function () {
+      if (list) {
+        html.push('<' + list.tag + '>' + list.items.map(function (item) {
+          return '<li>' + renderInline(item) + '</li>';
+        }).join('') + '</' + list.tag + '>');
+        list = null;
+      }
+    };
+
+    lines.forEach(function (line) {
+      if (/^```/.test(line)) {
+        flushParagraph();
+        flushList();
+        html.push(inCode ? '</code></pre>' : '<pre><code>');
+        inCode = !inCode;
+        return;
+      }
+      if (inCode) {
+        html.push(line + '\n');
+        return;
+      }
+
+      var match;
+      if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+        flushParagraph();
+        flushList();
+        html.push('<h' + match[1].length + '>' + renderInline(match[2]) + '</h' + match[1].length + '>');
+      }
+      else if ((match = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/))) {
+        flushParagraph();
+        var tag = /\d/.test(match[1]) ? 'ol' : 'ul';
+        if (list && list.tag !== tag) {
+          flushList();
+        }
+        list = list || {tag: tag, items: []};
+        list.items.push(match[2]);
+      }
+      else if ((match = line.match(/^&gt;\s?(.*)$/))) {
+        flushParagraph();
+        flushList();
+        html.push('<blockquote><p>' + renderInline(match[1]) + '</p></blockquote>');
+      }
+      else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flushParagraph();
+        flushList();
+        html.push('<hr>');
+      }
+      else if (line.trim() === '') {
+        flushParagraph();
+        flushList();
+      }
+      else {
+        flushList();
+        paragraph.push(line.trim());
+      }
+    });
+
+    if (inCode) {
+      html.push('</code></pre>');
+    }
+    flushParagraph();
+    flushList();
+
+    return html.join('');
+  }
+
+  /**
+   * Renders inline Markdown of an already escaped line.
+   */
+  function renderInline(text) {
+    return text
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, function (match, a, b) {
+        return '<strong>' + (a || b) + '</strong>';
+      })
+      .replace(/(^|[^*])\*([^*\s][^*]*)\*|(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, function (match, p1, a, p2, b) {
+        return a !== undefined ? p1 + '<em>' + a + '</em>' : p2 + '<em>' + b + '</em>';
+      })
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, function (match, label, url) {
+        // Only allow the link protocols the page will keep.
+        if (!/^(https?:|mailto:|\/|#)/i.test(url)) {
+          return label;
+        }
+        return '<a href="' + url + '" rel="noopener" target="_blank">' + label + '</a>';
+      });
+  }
+
+  /**
+   * Escapes HTML entities.
+   */
+  function escapeHtml(text) {
+    var div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+})(Drupal, once);
@@ -0,0 +1,513 @@
+/**
+ * @file
+ * Autosave and restore of unsaved Step 2 edits in the Content Preparation Wizard.
+ *
+ * Edits to the page title and the plan sections are saved as a draft through
+ * a debounced JSON endpoint. When the server cannot be reached the draft is
+ * kept in localStorage and sent once the connection is back. On reload the
+ * editor is offered to restore a draft that differs from the plan.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Delay after the last change before the draft is saved, in milliseconds.
+   */
+  var SAVE_DELAY = 1500;
+
+  /**
+   * Delay before a failed save is retried, in milliseconds.
+   */
+  var RETRY_DELAY = 15000;
+
+  /**
+   * The localStorage key of the local draft copy.
+   */
+  var STORAGE_KEY = 'aiContentPreparationWizard.planDraft';
+
+  /**
+   * Plan autosave behavior.
+   */
+  Drupal.behaviors.planAutosave = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      var endpoint = wizardSettings.planDraftEndpoint;
+      if (!endpoint) {
+        return;
+      }
+
+      once('plan-autosave', '[data-section-manager]', context).forEach(function (container) {
+        var form = container.closest('form');
+        if (form) {
+          new PlanAutosave(container, form, endpoint);
+        }
+      });
+    }
+  };
+
+  /**
+   * Keeps the draft of one plan editor in sync.
+   *
+   * @param {Element} container
+   *   The [data-section-manager] sections container.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   * @param {string} endpoint
+   *   The draft endpoint URL.
+   */
+  function PlanAutosave(container, form, endpoint) {
+    this.container = container;
+    this.form = form;
+    this.endpoint = endpoint;
+    this.planKey = null;
+    this.baseline = null;
+    this.lastSaved = null;
+    this.started = false;
+    this.saving = false;
+    this.saveAgain = false;
+    this.prompt = null;
+    this.timer = null;
+    this.submitting = false;
+
+    this.status = document.createElement('div');
+    this.status.className = 'plan-autosave-status';
+    this.status.hidden = true;
+    container.parentNode.insertBefore(this.status, container);
+
+    var schedule = this.schedule.bind(this);
+    form.addEventListener('input', schedule);
+    form.addEventListener('change', schedule);
+    new MutationObserver(schedule).observe(container, {childList: true});
+
+    form.addEventListener('submit', function () {
+      this.submitting = true;
+    }.bind(this));
+
+    window.addEventListener('online', function () {
+      if (this.isDirty()) {
+        this.save();
+      }
+    }.bind(this));
+    window.addEventListener('offline', function () {
+      if (this.isDirty()) {
+        this.setStatus('offline');
+      }
+    }.bind(this));
+    window.addEventListener('pagehide', this.flush.bind(this));
+
+    // A new plan state (regenerated, rewritten or reverted) starts afresh.
+    document.addEventListener('aiContentPreparationWizard:planRendered', function () {
+      this.baseline = this.serialize(this.collect());
+      if (this.started) {
+        this.refresh();
+      }
+      else {
+        this.start();
+      }
+    }.bind(this));
+    document.addEventListener('aiContentPreparationWizard:planChanged', function () {
+      if (this.started) {
+        this.refresh();
+      }
+    }.bind(this));
+
+    // Server-rendered plans are complete on load; generated plans announce
+    // themselves through the planRendered event.
+    if (this.container.querySelector('[data-section-id]')) {
+      this.baseline = this.serialize(this.collect());
+      this.start();
+    }
+  }
+
+  /**
+   * Loads the stored draft and offers to restore it.
+   */
+  PlanAutosave.prototype.start = function () {
+    this.started = true;
+    // Saves on leaving the page cannot wait for the token.
+    Drupal.wizardClient.getCsrfToken().catch(function () {});
+
+    var local = readLocalDraft();
+    var finish = function (serverDraft) {
+      this.lastSaved = serverDraft ? this.serialize(serverDraft) : this.baseline;
+
+      // Prefer the most recent of the server and browser copies.
+      var draft = serverDraft;
+      if (local && (!this.planKey || local.planKey === this.planKey) && (!draft || Date.parse(local.savedAt) > Date.parse(draft.savedAt))) {
+        draft = local;
+      }
+      else if (local) {
+        clearLocalDraft();
+      }
+
+      if (draft && this.serialize(draft) !== this.baseline) {
+        this.showPrompt(draft);
+      }
+    }.bind(this);
+
+    this.request('GET')
+      .then(function (data) {
+        this.planKey = data.planKey;
+        finish(data.draft);
+      }.bind(this))
+      .catch(function () {
+        finish(null);
+      });
+  };
+
+  /**
+   * Updates the plan key after the plan changed on the server.
+   */
+  PlanAutosave.prototype.refresh = function () {
+    this.request('GET')
+      .then(function (data) {
+        this.planKey = data.planKey;
+        this.lastSaved = data.draft ? this.serialize(data.draft) : this.baseline;
+        this.schedule();
+      }.bind(this))
+      .catch(function () {
+        this.setStatus('offline');
+      }.bind(this));
+  };
+
+  /**
+   * Schedules a save after the editor stops typing.
+   */
+  PlanAutosave.prototype.schedule = function () {
+    if (!this.started || this.prompt || this.isRendering()) {
+      return;
+    }
+    clearTimeout(this.timer);
+    if (this.isDirty()) {
+      this.setStatus('dirty');
+      this.timer = setTimeout(this.save.bind(this), SAVE_DELAY);
+    }
+  };
+
+  /**
+   * Saves the current edits as a draft.
+   */
+  PlanAutosave.prototype.save = function () {
+    clearTimeout(this.timer);
+    if (this.prompt || this.isRendering()) {
+      return;
+    }
+    if (this.saving) {
+      this.saveAgain = true;
+      return;
+    }
+
+    var draft = this.collect();
+    var snapshot = this.serialize(draft);
+    if (snapshot === this.lastSaved) {
+      this.setStatus('saved');
+      return;
+    }
+
+    if (!navigator.onLine) {
+      this.storeLocally(draft);
+      return;
+    }
+
+    this.saving = true;
+    this.setStatus('saving');
+
+    this.request('POST', this.buildRequestBody(draft))
+      .then(function (data) {
+        this.lastSaved = snapshot;
+        clearLocalDraft();
+        this.setStatus('saved', data.savedAt);
+      }.bind(this))
+      .catch(function (error) {
+        if (error.status === 409) {
+          // The plan was changed elsewhere, e.g. in another window.
+          writeLocalDraft(this.planKey, draft);
+          this.setStatus('error', Drupal.t('The content plan has changed in another window. Reload the page to continue editing.'));
+        }
+        else if (error.type === 'session' || error.status === 401) {
+          writeLocalDraft(this.planKey, draft);
+          this.setStatus('error', Drupal.t('Your session has expired. Your changes are kept in this browser; log in again and reload the page to restore them.'));
+        }
+        else {
+          this.storeLocally(draft);
+          this.timer = setTimeout(this.save.bind(this), RETRY_DELAY);
+        }
+      }.bind(this))
+      .finally(function () {
+        this.saving = false;
+        if (this.saveAgain) {
+          this.saveAgain = false;
+          this.schedule();
+        }
+      }.bind(this));
+  };
+
+  /**
+   * Keeps the edits in the browser while the server cannot be reached.
+   */
+  PlanAutosave.prototype.storeLocally = function (draft) {
+    var stored = writeLocalDraft(this.planKey, draft);
+    this.setStatus(stored ? 'offline' : 'error', stored ? null : Drupal.t('Your changes could not be saved.'));
+  };
+
+  /**
+   * Keeps unsaved edits when the page is left or reloaded.
+   */
+  PlanAutosave.prototype.flush = function () {
+    if (this.submitting || !this.started || this.prompt || !this.isDirty()) {
+      return;
+    }
+
+    var draft = this.collect();
+    writeLocalDraft(this.planKey, draft);
+
+    // Unlike sendBeacon(), keepalive requests can carry the CSRF token.
+    this.request('POST', this.buildRequestBody(draft), true).catch(function () {});
+  };
+
+  /**
+   * Offers to restore a draft.
+   */
+  PlanAutosave.prototype.showPrompt = function (draft) {
+    var prompt = document.createElement('div');
+    prompt.className = 'messages messages--warning plan-autosave-prompt';
+    prompt.setAttribute('role', 'group');
+    prompt.setAttribute('aria-label', Drupal.t('Unsaved changes'));
+
+    var message = document.createElement('p');
+    message.textContent = Drupal.t('You have unsaved changes to this plan from @time. Do you want to restore them?', {
+      '@time': formatTime(draft.savedAt)
+    });
+    prompt.appendChild(message);
+
+    var actions = document.createElement('div');
+    actions.className = 'plan-autosave-prompt__actions';
+
+    var restore = document.createElement('button');
+    restore.type = 'button';
+    restore.className = 'button button--small button--primary';
+    restore.textContent = Drupal.t('Restore changes');
+    actions.appendChild(restore);
+
+    var discard = document.createElement('button');
+    discard.type = 'button';
+    discard.className = 'button button--small';
+    discard.textContent = Drupal.t('Discard');
+    actions.appendChild(discard);
+
+    prompt.appendChild(actions);
+    this.status.parentNode.insertBefore(prompt, this.status);
+    this.prompt = prompt;
+
+    Drupal.announce(message.textContent);
+
+    restore.addEventListener('click', function () {
+      this.closePrompt();
+      this.apply(draft);
+      Drupal.announce(Drupal.t('Your unsaved changes have been restored.'));
+      this.save();
+    }.bind(this));
+
+    discard.addEventListener('click', function () {
+      this.closePrompt();
+      clearLocalDraft();
+      this.lastSaved = this.baseline;
+      this.request('DELETE').catch(function () {});
+      Drupal.announce(Drupal.t('Your unsaved changes have been discarded.'));
+      this.schedule();
+    }.bind(this));
+  };
+
+  /**
+   * Removes the restore prompt.
+   */
+  PlanAutosave.prototype.closePrompt = function () {
+    if (this.prompt) {
+      this.prompt.remove();
+      this.prompt = null;
+    }
+  };
+
+  /**
+   * Applies a draft to the editor.
+   */
+  PlanAutosave.prototype.apply = function (draft) {
+    var titleField = this.getTitleField();
+    if (titleField && typeof draft.title === 'string') {
+      titleField.value = draft.title;
+    }
+    Drupal.behaviors.sectionManager.restoreSections(this.container, draft.sections);
+  };
+
+  /**
+   * Collects the current title and sections of the editor.
+   */
+  PlanAutosave.prototype.collect = function () {
+    var titleField = this.getTitleField();
+
+    return {
+      title: titleField ? titleField.value : null,
+      sections: Drupal.behaviors.sectionManager.collectSections(this.container)
+    };
+  };
+
+  /**
+   * Builds the body posted to the draft endpoint.
+   */
+  PlanAutosave.prototype.buildRequestBody = function (draft) {
+    return {
+      plan_key: this.planKey,
+      title: draft.title,
+      sections: Drupal.behaviors.sectionManager.serializeSections(draft.sections)
+    };
+  };
+
+  /**
+   * Serializes a draft for comparison.
+   */
+  PlanAutosave.prototype.serialize = function (draft) {
+    return JSON.stringify({
+      title: typeof draft.title === 'string' ? draft.title : null,
+      sections: draft.sections.map(function (section) {
+        return [section.id, section.title, section.content, section.componentType];
+      })
+    });
+  };
+
+  /**
+   * Whether the editor has changes that are not saved on the server.
+   */
+  PlanAutosave.prototype.isDirty = function () {
+    return this.lastSaved !== null && this.serialize(this.collect()) !== this.lastSaved;
+  };
+
+  /**
+   * Whether the sections are still being rendered.
+   */
+  PlanAutosave.prototype.isRendering = function () {
+    return this.container.getAttribute('aria-busy') === 'true';
+  };
+
+  /**
+   * Gets the page title field.
+   */
+  PlanAutosave.prototype.getTitleField = function () {
+    return this.form.querySelector('input[name="title"]');
+  };
+
+  /**
+   * Updates the save indicator.
+   *
+   * @param {string} state
+   *   One of 'dirty', 'saving', 'saved', 'offline' or 'error'.
+   * @param {string} [detail]
+   *   The save time for 'saved', or the message for 'error'.
+   */
+  PlanAutosave.prototype.setStatus = function (state, detail) {
+    var messages = {
+      dirty: Drupal.t('Unsaved changes'),
+      saving: Drupal.t('Saving...'),
+      saved: detail ? Drupal.t('Saved at @time', {'@time': formatTime(detail, true)}) : Drupal.t('All changes saved'),
+      offline: Drupal.t('Offline: changes are kept in this browser'),
+      error: detail
+    };
+
+    var previous = this.status.dataset.state;
+    this.status.hidden = false;
+    this.status.dataset.state = state;
+    this.status.textContent = messages[state];
+
+    // Only announce changes that need the editor's attention.
+    if (state !== previous && (state === 'offline' || state === 'error')) {
+      Drupal.announce(messages[state], 'assertive');
+    }
+  };
+
+  /**
+   * Sends a request to the draft endpoint.
+   *
+   * @param {string} method
+   *   The HTTP method.
+   * @param {Object} [body]
+   *   The JSON request body.
+   * @param {boolean} [keepalive]
+   *   Whether the request must outlive the page.
+   *
+   * @return {Promise}
+   *   Resolves with the response data. Rejects with an error that has the
+   *   response status, see Drupal.wizardClient.request().
+   */
+  PlanAutosave.prototype.request = function (method, body, keepalive) {
+    return Drupal.wizardClient.request(this.endpoint, {
+      method: method,
+      data: body,
+      keepalive: !!keepalive
+    })
+    .then(function (data) {
+      if (!data.success) {
+        throw new Error(data.error || Drupal.t('The draft could not be saved.'));
+      }
+      return data;
+    });
+  };
+
+  /**
+   * Reads the draft copy kept in the browser.
+   */
+  function readLocalDraft() {
+    try {
+      var draft = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+      return draft && Array.isArray(draft.sections) ? draft : null;
+    }
+    catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Keeps a draft copy in the browser.
+   *
+   * @return {boolean}
+   *   Whether the draft could be stored.
+   */
+  function writeLocalDraft(planKey, draft) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        planKey: planKey,
+        title: draft.title,
+        sections: draft.sections,
+        savedAt: new Date().toISOString()
+      }));
+      return true;
+    }
+    catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Removes the draft copy kept in the browser.
+   */
+  function clearLocalDraft() {
+    try {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+    catch (e) {
+      // Storage is unavailable, so there is nothing to clear.
+    }
+  }
+
+  /**
+   * Formats an ISO date for display.
+   */
+  function formatTime(value, timeOnly) {
+    var date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return value;
+    }
+    return timeOnly ? date.toLocaleTimeString() : date.toLocaleString();
+  }
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,155 @@
+/**
+ * @file
+ * Plan download in the Content Preparation Wizard.
+ *
+ * The download links point to the stored plan. With JavaScript, the plan is
+ * downloaded with the editor's unsaved title and sections instead, so the
+ * file matches what the editor sees.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Plan export behavior.
+   */
+  Drupal.behaviors.planExport = {
+    attach: function (context) {
+      once('plan-export', '[data-plan-export]', context).forEach(function (wrapper) {
+        var form = wrapper.closest('form');
+        if (form) {
+          new PlanExport(wrapper, form);
+        }
+      });
+    }
+  };
+
+  /**
+   * Handles the download links of one plan editor.
+   *
+   * @param {Element} wrapper
+   *   The [data-plan-export] element with the download links.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   */
+  function PlanExport(wrapper, form) {
+    this.wrapper = wrapper;
+    this.form = form;
+
+    this.status = document.createElement('div');
+    this.status.className = 'plan-export__status';
+    this.status.setAttribute('role', 'status');
+    wrapper.appendChild(this.status);
+
+    wrapper.querySelectorAll('[data-plan-export-type]').forEach(function (link) {
+      link.addEventListener('click', function (e) {
+        e.preventDefault();
+        this.download(link);
+      }.bind(this));
+    }, this);
+
+    // Plans generated in the browser can be downloaded once they are shown.
+    document.addEventListener('aiContentPreparationWizard:planRendered', function () {
+      wrapper.hidden = false;
+    });
+  }
+
+  /**
+   * Downloads the plan in the format of a link.
+   *
+   * @param {HTMLAnchorElement} link
+   *   The download link.
+   */
+  PlanExport.prototype.download = function (link) {
+    if (link.getAttribute('aria-disabled') === 'true') {
+      return;
+    }
+    link.setAttribute('aria-disabled', 'true');
+    this.setStatus(Drupal.t('Preparing the download...'));
+
+    Drupal.wizardClient.request(link.href, {
+      method: 'POST',
+      accept: link.dataset.planExportType === 'json' ? 'application/json' : 'text/markdown',
+      responseType: 'response',
+      data: this.collect()
+    })
+      .then(function (response) {
+        return response.blob().then(function (blob) {
+          save(blob, getFilename(response) || 'content-plan.' + link.dataset.planExportType);
+        });
+      })
+      .then(function () {
+        this.setStatus('');
+        Drupal.announce(Drupal.t('The content plan has been downloaded.'));
+      }.bind(this))
+      .catch(function (error) {
+        if (Drupal.wizardClient.isAbort(error)) {
+          this.setStatus('');
+          return;
+        }
+        console.error('Plan export error:', error);
+        this.setStatus(error.message || Drupal.t('The content plan could not be downloaded.'), true);
+      }.bind(this))
+      .finally(function () {
+        link.removeAttribute('aria-disabled');
+      });
+  };
+
+  /**
+   * Collects the current title and sections of the editor.
+   *
+   * @return {Object}
+   *   The request body for the export endpoint.
+   */
+  PlanExport.prototype.collect = function () {
+    return Drupal.behaviors.sectionManager.collectPlanEdits(this.form);
+  };
+
+  /**
+   * Updates the status line below the links.
+   */
+  PlanExport.prototype.setStatus = function (message, isError) {
+    this.status.textContent = message;
+    this.status.classList.toggle('is-error', !!isError);
+  };
+
+  /**
+   * Gets the file name from the Content-Disposition header of a response.
+   *
+   * @param {Response} response
+   *   The response.
+   *
+   * @return {string|null}
+   *   The file name, or NULL if the header has none.
+   */
+  function getFilename(response) {
+    var disposition = response.headers.get('Content-Disposition') || '';
+    var match = disposition.match(/filename="?([^";]+)"?/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Saves a file through a temporary download link.
+   *
+   * @param {Blob} blob
+   *   The file contents.
+   * @param {string} filename
+   *   The file name.
+   */
+  function save(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename;
+    anchor.hidden = true;
+    document.body.appendChild(anchor);
+    anchor.click();
+    document.body.removeChild(anchor);
+    // Some browsers start the download asynchronously.
+    setTimeout(function () {
+      URL.revokeObjectURL(url);
+    }, 1000);
+  }
+
+})(Drupal, drupalSettings, once);
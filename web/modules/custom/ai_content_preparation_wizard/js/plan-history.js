@@ -0,0 +1,531 @@
+/**
+ * @file
+ * Refinement history panel with diff view and revert for the content plan.
+ *
+ * Lists every stored plan version with its refinement prompt and timestamp,
+ * shows section- and word-level changes against the version it was derived
+ * from, and reverts the plan to any earlier version.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Maximum number of word comparisons for a word-level diff.
+   *
+   * Larger texts are shown as fully replaced instead.
+   */
+  var MAX_DIFF_CELLS = 1000000;
+
+  /**
+   * Refinement history behavior.
+   */
+  Drupal.behaviors.planHistory = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      var endpoint = wizardSettings.planVersionsEndpoint;
+      if (!endpoint) {
+        return;
+      }
+
+      once('plan-history', '[data-plan-history]', context).forEach(function (panel) {
+        var history = new PlanHistory(panel, endpoint);
+
+        panel.addEventListener('toggle', function () {
+          if (panel.open && !history.loaded) {
+            history.load();
+          }
+        });
+
+        document.addEventListener('aiContentPreparationWizard:planChanged', function (e) {
+          var showChanges = e.detail && e.detail.showChanges;
+          if (showChanges) {
+            panel.open = true;
+          }
+          if (showChanges || history.loaded) {
+            history.load(showChanges);
+          }
+        });
+      });
+    }
+  };
+
+  /**
+   * Controls a single history panel.
+   *
+   * @param {HTMLElement} panel
+   *   The history details element.
+   * @param {string} endpoint
+   *   The plan versions endpoint.
+   */
+  function PlanHistory(panel, endpoint) {
+    this.panel = panel;
+    this.endpoint = endpoint;
+    this.loaded = false;
+    this.content = panel.querySelector('.plan-history-content') || panel;
+  }
+
+  /**
+   * Loads and renders the version list.
+   *
+   * @param {boolean} [showLatestChanges]
+   *   Whether to show the changes of the newest version afterwards.
+   */
+  PlanHistory.prototype.load = function (showLatestChanges) {
+    var self = this;
+    this.content.textContent = Drupal.t('Loading history...');
+
+    request(this.endpoint, 'GET')
+      .then(function (data) {
+        self.loaded = true;
+        self.renderList(data.versions, data.refinementsRemaining);
+        if (showLatestChanges && data.versions.length && data.versions[0].parentId) {
+          self.showChanges(data.versions[0].id);
+        }
+      })
+      .catch(function (error) {
+        self.content.textContent = error.message;
+      });
+  };
+
+  /**
+   * Renders the list of versions, newest first.
+   */
+  PlanHistory.prototype.renderList = function (versions, refinementsRemaining) {
+    var self = this;
+    this.content.innerHTML = '';
+
+    var remaining = document.createElement('p');
+    remaining.className = 'plan-history-remaining';
+    remaining.textContent = Drupal.formatPlural(refinementsRemaining, '1 refinement remaining.', '@count refinements remaining.');
+    this.content.appendChild(remaining);
+
+    var list = document.createElement('ol');
+    list.className = 'plan-history-list';
+    list.setAttribute('reversed', 'reversed');
+
+    versions.forEach(function (version) {
+      var item = document.createElement('li');
+      item.className = 'plan-history-entry' + (version.isCurrent ? ' is-current' : '');
+      item.dataset.versionId = version.id;
+
+      var header = document.createElement('div');
+      header.className = 'plan-history-entry__header';
+
+      var time = document.createElement('time');
+      time.dateTime = version.createdAt;
+      time.textContent = new Date(version.createdAt).toLocaleString();
+      header.appendChild(time);
+
+      if (version.isCurrent) {
+        var badge = document.createElement('span');
+        badge.className = 'plan-history-badge';
+        badge.textContent = Drupal.t('Current');
+        header.appendChild(badge);
+      }
+      item.appendChild(header);
+
+      var prompt = document.createElement('p');
+      prompt.className = 'plan-history-entry__prompt';
+      prompt.textContent = version.instructions || Drupal.t('Initial plan');
+      item.appendChild(prompt);
+
+      if (version.response) {
+        var response = document.createElement('p');
+        response.className = 'plan-history-entry__response';
+        response.textContent = version.response;
+        item.appendChild(response);
+      }
+
+      var actions = document.createElement('div');
+      actions.className = 'plan-history-entry__actions';
+
+      if (version.parentId) {
+        actions.appendChild(createButton(Drupal.t('Show changes'), function () {
+          self.showChanges(version.id);
+        }));
+      }
+      if (!version.isCurrent) {
+        actions.appendChild(createButton(Drupal.t('Revert to this version'), function () {
+          self.revert(version.id);
+        }));
+      }
+      item.appendChild(actions);
+
+      list.appendChild(item);
+    });
+
+    this.content.appendChild(list);
+
+    this.diffContainer = document.createElement('div');
+    this.diffContainer.className = 'plan-history-diff';
+    this.diffContainer.setAttribute('tabindex', '-1');
+    this.content.appendChild(this.diffContainer);
+  };
+
+  /**
+   * Loads a version and shows its changes against its parent version.
+   */
+  PlanHistory.prototype.showChanges = function (versionId) {
+    var self = this;
+    this.diffContainer.textContent = Drupal.t('Loading changes...');
+
+    this.content.querySelectorAll('.plan-history-entry').forEach(function (item) {
+      item.classList.toggle('is-selected', item.dataset.versionId === versionId);
+    });
+
+    request(this.endpoint + '/' + encodeURIComponent(versionId), 'GET')
+      .then(function (data) {
+        if (!data.previous) {
+          self.diffContainer.textContent = Drupal.t('This is the first version of the plan.');
+          return;
+        }
+        renderDiff(self.diffContainer, data.previous.plan, data.version.plan);
+        self.diffContainer.focus();
+      })
+      .catch(function (error) {
+        self.diffContainer.textContent = error.message;
+      });
+  };
+
+  /**
+   * Reverts the plan to a stored version.
+   */
+  PlanHistory.prototype.revert = function (versionId) {
+    var self = this;
+    if (!window.confirm(Drupal.t('Reverting replaces the current plan, including any unsaved edits. Continue?'))) {
+      return;
+    }
+
+    request(this.endpoint + '/' + encodeURIComponent(versionId) + '/revert', 'POST')
+      .then(function (data) {
+        // Plans rendered by the server (rather than by async-plan.js) are
+        // re-rendered by reloading the form.
+        if (!document.getElementById('plan-async-content')) {
+          window.location.reload();
+          return;
+        }
+        Drupal.behaviors.asyncPlanGeneration.renderPlan(data.plan, data.componentOptions, document);
+        Drupal.announce(Drupal.t('The plan has been reverted to the selected version.'));
+        self.load();
+      })
+      .catch(function (error) {
+        window.alert(error.message);
+      });
+  };
+
+  /**
+   * Renders the changes between two plans.
+   */
+  function renderDiff(container, oldPlan, newPlan) {
+    container.innerHTML = '';
+
+    var heading = document.createElement('h4');
+    heading.textContent = Drupal.t('Changes in this version');
+    container.appendChild(heading);
+
+    if (oldPlan.title !== newPlan.title) {
+      container.appendChild(renderFieldDiff(Drupal.t('Page title'), oldPlan.title, newPlan.title));
+    }
+    if (oldPlan.summary !== newPlan.summary) {
+      container.appendChild(renderFieldDiff(Drupal.t('Summary'), oldPlan.summary, newPlan.summary));
+    }
+
+    var changes = diffSections(oldPlan.sections || [], newPlan.sections || []);
+    var counts = {added: 0, removed: 0, changed: 0, moved: 0, unchanged: 0};
+    changes.forEach(function (change) {
+      counts[change.type]++;
+    });
+
+    var summary = document.createElement('p');
+    summary.className = 'plan-diff-summary';
+    summary.textContent = Drupal.t('@added added, @removed removed, @changed changed, @moved moved, @unchanged unchanged.', {
+      '@added': counts.added,
+      '@removed': counts.removed,
+      '@changed': counts.changed,
+      '@moved': counts.moved,
+      '@unchanged': counts.unchanged
+    });
+    container.appendChild(summary);
+
+    var labels = {
+      added: Drupal.t('Added'),
+      removed: Drupal.t('Removed'),
+      changed: Drupal.t('Changed'),
+      moved: Drupal.t('Moved')
+    };
+
+    changes.forEach(function (change) {
+      if (change.type === 'unchanged') {
+        return;
+      }
+
+      var section = change.section;
+      var item = document.createElement('div');
+      item.className = 'plan-diff-section plan-diff-section--' + change.type;
+
+      var title = document.createElement('div');
+      title.className = 'plan-diff-section__title';
+      var badge = document.createElement('span');
+      badge.className = 'plan-diff-badge';
+      badge.textContent = labels[change.type];
+      title.appendChild(badge);
+      title.appendChild(document.createTextNode(' '));
+      if (change.type === 'changed' && change.old.title !== section.title) {
+        title.appendChild(renderWordDiff(change.old.title, section.title));
+      }
+      else {
+        title.appendChild(document.createTextNode(section.title));
+      }
+      item.appendChild(title);
+
+      if (change.type === 'moved' || (change.type === 'changed' && change.oldPosition !== change.newPosition)) {
+        item.appendChild(createNote(Drupal.t('Position @old → @new', {
+          '@old': change.oldPosition + 1,
+          '@new': change.newPosition + 1
+        })));
+      }
+
+      if (change.type === 'changed' && change.old.componentType !== section.componentType) {
+        item.appendChild(createNote(Drupal.t('Component: @old → @new', {
+          '@old': change.old.componentType,
+          '@new': section.componentType
+        })));
+      }
+
+      var body = document.createElement('div');
+      body.className = 'plan-diff-section__content';
+      if (change.type === 'changed' && change.old.content !== section.content) {
+        body.appendChild(renderWordDiff(change.old.content, section.content));
+        item.appendChild(body);
+      }
+      else if (change.type === 'added' || change.type === 'removed') {
+        var wrapper = document.createElement(change.type === 'added' ? 'ins' : 'del');
+        wrapper.textContent = section.content;
+        body.appendChild(wrapper);
+        item.appendChild(body);
+      }
+
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Renders a labelled word diff for a plan-level field.
+   */
+  function renderFieldDiff(label, oldText, newText) {
+    var item = document.createElement('div');
+    item.className = 'plan-diff-section plan-diff-section--changed';
+    var title = document.createElement('div');
+    title.className = 'plan-diff-section__title';
+    title.textContent = label;
+    item.appendChild(title);
+    var body = document.createElement('div');
+    body.className = 'plan-diff-section__content';
+    body.appendChild(renderWordDiff(oldText || '', newText || ''));
+    item.appendChild(body);
+    return item;
+  }
+
+  /**
+   * Compares the sections of two plans by section ID.
+   *
+   * @return {Array}
+   *   Changes in new plan order followed by removed sections. Each change has
+   *   a type of 'added', 'removed', 'changed', 'moved' or 'unchanged'.
+   */
+  function diffSections(oldSections, newSections) {
+    var oldById = {};
+    oldSections.forEach(function (section, position) {
+      oldById[section.id] = {section: section, position: position};
+    });
+
+    var changes = [];
+    var matched = {};
+    newSections.forEach(function (section, position) {
+      var old = oldById[section.id];
+      if (!old) {
+        changes.push({type: 'added', section: section, newPosition: position});
+        return;
+      }
+      matched[section.id] = true;
+
+      var modified = old.section.title !== section.title ||
+        old.section.content !== section.content ||
+        old.section.componentType !== section.componentType;
+      var type = modified ? 'changed' : (old.position !== position ? 'moved' : 'unchanged');
+
+      changes.push({
+        type: type,
+        section: section,
+        old: old.section,
+        oldPosition: old.position,
+        newPosition: position
+      });
+    });
+
+    oldSections.forEach(function (section, position) {
+      if (!matched[section.id]) {
+        changes.push({type: 'removed', section: section, oldPosition: position});
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Renders a word-level diff of two texts.
+   *
+   * @return {DocumentFragment}
+   *   Unchanged words as text, removed words in <del>, added words in <ins>.
+   */
+  function renderWordDiff(oldText, newText) {
+    var fragment = document.createDocumentFragment();
+    var operations = diffWords(oldText.match(/\S+/g) || [], newText.match(/\S+/g) || []);
+
+    operations.forEach(function (operation, index) {
+      if (index > 0) {
+        fragment.appendChild(document.createTextNode(' '));
+      }
+      if (operation.type === 'equal') {
+        fragment.appendChild(document.createTextNode(operation.words.join(' ')));
+        return;
+      }
+      var element = document.createElement(operation.type === 'insert' ? 'ins' : 'del');
+      element.textContent = operation.words.join(' ');
+      fragment.appendChild(element);
+    });
+
+    return fragment;
+  }
+
+  /**
+   * Computes a word diff using the longest common subsequence.
+   *
+   * @return {Array}
+   *   Operations of type 'equal', 'delete' or 'insert' with their words.
+   */
+  function diffWords(oldWords, newWords) {
+    var operations = [];
+    var push = function (type, word) {
+      var last = operations[operations.length - 1];
+      if (last && last.type === type) {
+        last.words.push(word);
+      }
+      else {
+        operations.push({type: type, words: [word]});
+      }
+    };
+
+    // Common prefix and suffix need no comparison.
+    var start = 0;
+    while (start < oldWords.length && start < newWords.length && oldWords[start] === newWords[start]) {
+      start++;
+    }
+    var oldEnd = oldWords.length;
+    var newEnd = newWords.length;
+    while (oldEnd > start && newEnd > start && oldWords[oldEnd - 1] === newWords[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    var i;
+    var j;
+    for (i = 0; i < start; i++) {
+      push('equal', oldWords[i]);
+    }
+
+    var oldMiddle = oldWords.slice(start, oldEnd);
+    var newMiddle = newWords.slice(start, newEnd);
+    var rows = oldMiddle.length;
+    var cols = newMiddle.length;
+
+    if (rows * cols > MAX_DIFF_CELLS) {
+      oldMiddle.forEach(function (word) {
+        push('delete', word);
+      });
+      newMiddle.forEach(function (word) {
+        push('insert', word);
+      });
+    }
+    else {
+      // lengths[i][j] holds the LCS length of oldMiddle[i:] and newMiddle[j:].
+      var width = cols + 1;
+      var lengths = new Int32Array((rows + 1) * width);
+      for (i = rows - 1; i >= 0; i--) {
+        for (j = cols - 1; j >= 0; j--) {
+          lengths[i * width + j] = oldMiddle[i] === newMiddle[j] ?
+            lengths[(i + 1) * width + j + 1] + 1 :
+            Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+      }
+
+      i = 0;
+      j = 0;
+      while (i < rows && j < cols) {
+        if (oldMiddle[i] === newMiddle[j]) {
+          push('equal', oldMiddle[i]);
+          i++;
+          j++;
+        }
+        else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+          push('delete', oldMiddle[i]);
+          i++;
+        }
+        else {
+          push('insert', newMiddle[j]);
+          j++;
+        }
+      }
+      for (; i < rows; i++) {
+        push('delete', oldMiddle[i]);
+      }
+      for (; j < cols; j++) {
+        push('insert', newMiddle[j]);
+      }
+    }
+
+    for (i = oldEnd; i < oldWords.length; i++) {
+      push('equal', oldWords[i]);
+    }
+
+    return operations;
+  }
+
+  /**
+   * Creates a small button.
+   */
+  function createButton(label, handler) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button button--extrasmall';
+    button.textContent = label;
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  /**
+   * Creates a note line for a section change.
+   */
+  function createNote(text) {
+    var note = document.createElement('div');
+    note.className = 'plan-diff-section__note';
+    note.textContent = text;
+    return note;
+  }
+
+  /**
+   * Sends a JSON request to a history endpoint.
+   */
+  function request(url, method) {
+    return Drupal.wizardClient.request(url, {method: method})
+      .then(function (data) {
+        if (!data.success) {
+          throw new Error(data.error || Drupal.t('The request failed.'));
+        }
+        return data;
+      });
+  }
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,210 @@
+/**
+ * @file
+ * Image picker for the sections of the plan editor.
+ *
+ * Shows the images the AI placed in a section as thumbnails. Editors can swap
+ * an image for another image extracted from the documents, remove it or add
+ * one. The choices are posted as sections[ID][images][]; an empty marker is
+ * always posted so removing the last image is not lost.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Plan images behavior.
+   */
+  Drupal.behaviors.planImages = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      var pool = wizardSettings.planImages;
+      if (!pool || !pool.length) {
+        return;
+      }
+
+      once('plan-images', '[data-section-manager] [data-section-id]', context).forEach(function (details) {
+        // Only top-level sections carry images.
+        if (details.parentNode.closest('[data-section-id]')) {
+          return;
+        }
+        new SectionImages(details, pool);
+      });
+    }
+  };
+
+  /**
+   * Manages the images of one section.
+   *
+   * @param {HTMLDetailsElement} details
+   *   The section element.
+   * @param {Array} pool
+   *   Objects with id, alt, name and thumbnail of all extracted images.
+   */
+  function SectionImages(details, pool) {
+    this.details = details;
+    this.pool = pool;
+    this.sectionId = details.dataset.sectionId;
+    this.name = 'sections[' + this.sectionId + '][images][]';
+    this.counter = 0;
+
+    var selected = [];
+    try {
+      selected = JSON.parse(details.getAttribute('data-section-images') || '[]');
+    }
+    catch (e) {
+      selected = [];
+    }
+
+    this.fieldset = document.createElement('fieldset');
+    this.fieldset.className = 'section-images';
+
+    var legend = document.createElement('legend');
+    legend.className = 'section-images__legend';
+    legend.textContent = Drupal.t('Images');
+    this.fieldset.appendChild(legend);
+
+    this.marker = document.createElement('input');
+    this.marker.type = 'hidden';
+    this.marker.name = this.name;
+    this.marker.value = '';
+    this.fieldset.appendChild(this.marker);
+
+    this.list = document.createElement('ul');
+    this.list.className = 'section-images__list';
+    this.fieldset.appendChild(this.list);
+
+    selected.forEach(function (imageId) {
+      if (this.getImage(imageId)) {
+        this.addItem(imageId);
+      }
+    }, this);
+
+    this.fieldset.appendChild(this.buildAddControl());
+
+    var wrapper = details.querySelector(':scope > .details-wrapper') || details;
+    wrapper.appendChild(this.fieldset);
+  }
+
+  /**
+   * Gets an image of the pool.
+   */
+  SectionImages.prototype.getImage = function (imageId) {
+    for (var i = 0; i < this.pool.length; i++) {
+      if (this.pool[i].id === imageId) {
+        return this.pool[i];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Gets the label of an image in selects.
+   */
+  SectionImages.prototype.getLabel = function (image) {
+    var label = image.alt || image.name;
+    return label.length > 60 ? label.substring(0, 57) + '...' : label;
+  };
+
+  /**
+   * Builds a select listing all images.
+   */
+  SectionImages.prototype.buildSelect = function (selectedId) {
+    var select = document.createElement('select');
+    select.className = 'form-select form-element--extrasmall';
+    this.pool.forEach(function (image) {
+      var option = document.createElement('option');
+      option.value = image.id;
+      option.textContent = this.getLabel(image);
+      option.selected = image.id === selectedId;
+      select.appendChild(option);
+    }, this);
+    return select;
+  };
+
+  /**
+   * Adds an image to the list.
+   *
+   * @return {HTMLSelectElement}
+   *   The select of the new item.
+   */
+  SectionImages.prototype.addItem = function (imageId) {
+    var image = this.getImage(imageId);
+    var selectId = 'edit-sections-' + this.sectionId.replace(/_/g, '-') + '-image-' + (++this.counter);
+
+    var item = document.createElement('li');
+    item.className = 'section-images__item';
+
+    var thumbnail = document.createElement('img');
+    thumbnail.className = 'section-images__thumbnail';
+    thumbnail.src = image.thumbnail;
+    thumbnail.alt = '';
+    item.appendChild(thumbnail);
+
+    var label = document.createElement('label');
+    label.className = 'visually-hidden';
+    label.setAttribute('for', selectId);
+    label.textContent = Drupal.t('Image');
+    item.appendChild(label);
+
+    var select = this.buildSelect(imageId);
+    select.id = selectId;
+    select.name = this.name;
+    select.addEventListener('change', function () {
+      thumbnail.src = this.getImage(select.value).thumbnail;
+    }.bind(this));
+    item.appendChild(select);
+
+    var remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'button button--small section-images__remove';
+    remove.textContent = Drupal.t('Remove');
+    remove.setAttribute('aria-label', Drupal.t('Remove image @label', {'@label': this.getLabel(image)}));
+    remove.addEventListener('click', function () {
+      this.list.removeChild(item);
+      this.marker.dispatchEvent(new Event('change', {bubbles: true}));
+      Drupal.announce(Drupal.t('Image removed.'));
+      this.addSelect.focus();
+    }.bind(this));
+    item.appendChild(remove);
+
+    this.list.appendChild(item);
+    return select;
+  };
+
+  /**
+   * Builds the select adding an image.
+   */
+  SectionImages.prototype.buildAddControl = function () {
+    var wrapper = document.createElement('div');
+    wrapper.className = 'section-images__add';
+
+    var selectId = 'edit-sections-' + this.sectionId.replace(/_/g, '-') + '-add-image';
+    var label = document.createElement('label');
+    label.setAttribute('for', selectId);
+    label.textContent = Drupal.t('Add image');
+    wrapper.appendChild(label);
+
+    this.addSelect = this.buildSelect(null);
+    this.addSelect.id = selectId;
+    var empty = document.createElement('option');
+    empty.value = '';
+    empty.textContent = Drupal.t('- Select -');
+    this.addSelect.insertBefore(empty, this.addSelect.firstChild);
+    this.addSelect.value = '';
+
+    this.addSelect.addEventListener('change', function () {
+      if (!this.addSelect.value) {
+        return;
+      }
+      var select = this.addItem(this.addSelect.value);
+      this.addSelect.value = '';
+      select.dispatchEvent(new Event('change', {bubbles: true}));
+      Drupal.announce(Drupal.t('Image added.'));
+    }.bind(this));
+    wrapper.appendChild(this.addSelect);
+
+    return wrapper;
+  };
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,344 @@
+/**
+ * @file
+ * Live Canvas preview of the content plan in the Content Preparation Wizard.
+ *
+ * Shows the plan rendered with the selected components in a pane next to the
+ * section list. Editing a section re-renders only that section; structural
+ * changes such as reordering re-render the whole preview. Nothing is saved.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Delay after the last change before the preview is updated, in ms.
+   */
+  var UPDATE_DELAY = 600;
+
+  /**
+   * Plan preview behavior.
+   */
+  Drupal.behaviors.planPreview = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      var endpoint = wizardSettings.planPreviewEndpoint;
+      if (!endpoint) {
+        return;
+      }
+
+      once('plan-preview', '[data-plan-preview]', context).forEach(function (panel) {
+        var form = panel.closest('form');
+        var toggle = form ? form.querySelector('[data-plan-preview-toggle]') : null;
+        if (toggle) {
+          new PlanPreview(panel, toggle, form, endpoint);
+        }
+      });
+    }
+  };
+
+  /**
+   * Keeps the preview pane of one plan editor up to date.
+   *
+   * @param {Element} panel
+   *   The [data-plan-preview] pane.
+   * @param {HTMLButtonElement} toggle
+   *   The button showing and hiding the pane.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   * @param {string} endpoint
+   *   The preview endpoint URL.
+   */
+  function PlanPreview(panel, toggle, form, endpoint) {
+    this.panel = panel;
+    this.toggle = toggle;
+    this.form = form;
+    this.endpoint = endpoint;
+    this.isOpen = false;
+    this.stale = true;
+    this.fullRequest = null;
+    this.sectionRequests = {};
+    this.timers = {};
+
+    this.status = document.createElement('div');
+    this.status.className = 'canvas-preview-status';
+    this.status.setAttribute('role', 'status');
+    panel.appendChild(this.status);
+
+    // Scripts stay disabled; the parent page updates the document directly.
+    this.frame = document.createElement('iframe');
+    this.frame.className = 'canvas-preview-frame';
+    this.frame.title = Drupal.t('Live preview of the page');
+    this.frame.setAttribute('sandbox', 'allow-same-origin');
+    panel.appendChild(this.frame);
+
+    toggle.addEventListener('click', function () {
+      this.setOpen(!this.isOpen);
+    }.bind(this));
+
+    form.addEventListener('input', this.onEdit.bind(this));
+    form.addEventListener('change', this.onEdit.bind(this));
+
+    var container = this.getContainer();
+    if (container) {
+      new MutationObserver(function () {
+        if (!this.isRendering()) {
+          this.schedule('plan');
+        }
+      }.bind(this)).observe(container, {childList: true});
+    }
+
+    document.addEventListener('aiContentPreparationWizard:planRendered', this.onPlanReplaced.bind(this));
+    document.addEventListener('aiContentPreparationWizard:planChanged', this.onPlanReplaced.bind(this));
+
+    this.toggle.hidden = !this.hasSections();
+  }
+
+  /**
+   * Shows or hides the preview pane.
+   */
+  PlanPreview.prototype.setOpen = function (open) {
+    this.isOpen = open;
+    this.panel.hidden = !open;
+    this.panel.parentNode.classList.toggle('is-previewing', open);
+    this.toggle.setAttribute('aria-pressed', open ? 'true' : 'false');
+    this.toggle.textContent = open ? Drupal.t('Hide live preview') : Drupal.t('Show live preview');
+
+    // The preview and the source mapping share the same space.
+    var sourceMapToggle = this.form.querySelector('[data-source-map-toggle][aria-pressed="true"]');
+    if (open && sourceMapToggle) {
+      sourceMapToggle.click();
+    }
+
+    if (open && this.stale) {
+      this.refresh();
+    }
+  };
+
+  /**
+   * Re-renders the preview after the plan was generated or replaced.
+   */
+  PlanPreview.prototype.onPlanReplaced = function () {
+    this.toggle.hidden = !this.hasSections();
+    this.schedule('plan');
+  };
+
+  /**
+   * Updates the preview of the section an edited field belongs to.
+   */
+  PlanPreview.prototype.onEdit = function (e) {
+    var target = e.target;
+    if (!target.name || target.name.indexOf('sections[') !== 0) {
+      return;
+    }
+
+    var container = this.getContainer();
+    if (!container) {
+      return;
+    }
+
+    // Edits in nested sections update their top-level section.
+    var details = target.closest('[data-section-id]');
+    var parent;
+    while (details && (parent = details.parentElement.closest('[data-section-id]')) && container.contains(parent)) {
+      details = parent;
+    }
+    if (details && container.contains(details)) {
+      this.schedule(details.dataset.sectionId);
+    }
+  };
+
+  /**
+   * Schedules an update of the whole plan or of a single section.
+   *
+   * @param {string} key
+   *   'plan' for the whole plan, or a section ID.
+   */
+  PlanPreview.prototype.schedule = function (key) {
+    if (!this.isOpen) {
+      this.stale = true;
+      return;
+    }
+
+    if (key === 'plan') {
+      // A full refresh covers all pending section updates.
+      Object.keys(this.timers).forEach(function (timerKey) {
+        clearTimeout(this.timers[timerKey]);
+      }, this);
+      this.timers = {};
+    }
+    else if (this.timers.plan) {
+      return;
+    }
+
+    clearTimeout(this.timers[key]);
+    this.timers[key] = setTimeout(function () {
+      delete this.timers[key];
+      if (key === 'plan') {
+        this.refresh();
+      }
+      else {
+        this.updateSection(key);
+      }
+    }.bind(this), UPDATE_DELAY);
+  };
+
+  /**
+   * Renders the whole plan into the preview frame.
+   */
+  PlanPreview.prototype.refresh = function () {
+    if (!this.hasSections() || this.isRendering()) {
+      return;
+    }
+
+    if (this.fullRequest) {
+      this.fullRequest.abort();
+    }
+    var controller = new AbortController();
+    this.fullRequest = controller;
+    this.stale = false;
+    this.setStatus(Drupal.t('Updating preview...'));
+
+    var sections = Drupal.behaviors.sectionManager.collectSections(this.getContainer());
+    this.request(sections, controller.signal)
+      .then(function (html) {
+        var frameWindow = this.frame.contentWindow;
+        var scrollTop = frameWindow ? frameWindow.scrollY : 0;
+        this.frame.addEventListener('load', function () {
+          if (this.frame.contentWindow) {
+            this.frame.contentWindow.scrollTo(0, scrollTop);
+          }
+        }.bind(this), {once: true});
+        this.frame.srcdoc = html;
+        this.setStatus('');
+      }.bind(this))
+      .catch(this.handleError.bind(this))
+      .finally(function () {
+        if (this.fullRequest === controller) {
+          this.fullRequest = null;
+        }
+      }.bind(this));
+  };
+
+  /**
+   * Re-renders a single section in place.
+   */
+  PlanPreview.prototype.updateSection = function (sectionId) {
+    var frameDocument = this.frame.contentDocument;
+    var selector = '[data-preview-section-id="' + CSS.escape(sectionId) + '"]';
+    var current = frameDocument ? frameDocument.querySelector(selector) : null;
+    var section = Drupal.behaviors.sectionManager.collectSections(this.getContainer()).filter(function (item) {
+      return item.id === sectionId;
+    })[0];
+
+    // Sections that are new to the preview need a full render.
+    if (!current || !section) {
+      this.refresh();
+      return;
+    }
+    if (this.fullRequest) {
+      this.schedule(sectionId);
+      return;
+    }
+
+    if (this.sectionRequests[sectionId]) {
+      this.sectionRequests[sectionId].abort();
+    }
+    var controller = new AbortController();
+    this.sectionRequests[sectionId] = controller;
+
+    this.request([section], controller.signal)
+      .then(function (html) {
+        var rendered = new DOMParser().parseFromString(html, 'text/html');
+        var replacement = rendered.querySelector(selector);
+        var target = this.frame.contentDocument.querySelector(selector);
+        if (!replacement || !target) {
+          this.refresh();
+          return;
+        }
+
+        // A different component may need stylesheets the frame lacks.
+        rendered.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+          var href = link.getAttribute('href');
+          if (!this.frame.contentDocument.querySelector('link[rel="stylesheet"][href="' + CSS.escape(href) + '"]')) {
+            this.frame.contentDocument.head.appendChild(this.frame.contentDocument.importNode(link, true));
+          }
+        }, this);
+
+        target.replaceWith(this.frame.contentDocument.importNode(replacement, true));
+      }.bind(this))
+      .catch(this.handleError.bind(this))
+      .finally(function () {
+        if (this.sectionRequests[sectionId] === controller) {
+          delete this.sectionRequests[sectionId];
+        }
+      }.bind(this));
+  };
+
+  /**
+   * Requests the rendered preview of the given sections.
+   *
+   * @return {Promise}
+   *   Resolves with the preview HTML document.
+   */
+  PlanPreview.prototype.request = function (sections, signal) {
+    var titleField = this.form.querySelector('input[name="title"]');
+
+    return Drupal.wizardClient.request(this.endpoint, {
+      method: 'POST',
+      accept: 'text/html',
+      responseType: 'text',
+      // Newer edits replace failed previews anyway.
+      retries: 0,
+      signal: signal,
+      data: {
+        title: titleField ? titleField.value : '',
+        sections: Drupal.behaviors.sectionManager.serializeSections(sections)
+      }
+    });
+  };
+
+  /**
+   * Shows a failed update, ignoring requests replaced by newer ones.
+   */
+  PlanPreview.prototype.handleError = function (error) {
+    if (Drupal.wizardClient.isAbort(error)) {
+      return;
+    }
+    console.error('Plan preview error:', error);
+    this.stale = true;
+    this.setStatus(error.message || Drupal.t('The preview could not be rendered.'), true);
+  };
+
+  /**
+   * Updates the status line of the pane.
+   */
+  PlanPreview.prototype.setStatus = function (message, isError) {
+    this.status.textContent = message;
+    this.status.classList.toggle('is-error', !!isError);
+  };
+
+  /**
+   * Gets the sections container of the plan editor.
+   */
+  PlanPreview.prototype.getContainer = function () {
+    return this.form.querySelector('[data-section-manager]');
+  };
+
+  /**
+   * Whether the plan editor has sections to preview.
+   */
+  PlanPreview.prototype.hasSections = function () {
+    var container = this.getContainer();
+    return !!(container && container.querySelector('[data-section-id]'));
+  };
+
+  /**
+   * Whether the sections are still being rendered.
+   */
+  PlanPreview.prototype.isRendering = function () {
+    var container = this.getContainer();
+    return !!(container && container.getAttribute('aria-busy') === 'true');
+  };
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,560 @@
+/**
+ * @file
+ * Content quality panel of the plan editor in the Content Preparation Wizard.
+ *
+ * Recalculates readability, lengths against the component limits, duplicate
+ * headings, empty sections and SEO length hints while the sections are
+ * edited. Mirrors ContentQualityAnalyzer, which runs the same checks when the
+ * page is created; the limits come from the server.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Delay after the last change before the checks run again, in ms.
+   */
+  var UPDATE_DELAY = 400;
+
+  /**
+   * Component kinds with limits of their own, in matching order.
+   */
+  var KINDS = ['heading', 'list', 'quote', 'image', 'hero', 'cta'];
+
+  /**
+   * Plan quality behavior.
+   */
+  Drupal.behaviors.planQuality = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      var limits = wizardSettings.qualityLimits;
+      if (!limits) {
+        return;
+      }
+
+      once('plan-quality', '[data-plan-quality]', context).forEach(function (panel) {
+        var form = panel.closest('form');
+        if (form) {
+          new PlanQuality(panel, form, limits);
+        }
+      });
+    }
+  };
+
+  /**
+   * Keeps the quality panel of one plan editor up to date.
+   *
+   * @param {HTMLDetailsElement} panel
+   *   The [data-plan-quality] details element.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   * @param {Object} limits
+   *   The limits from ContentQualityAnalyzerInterface::getLimits().
+   */
+  function PlanQuality(panel, form, limits) {
+    this.panel = panel;
+    this.form = form;
+    this.limits = limits;
+    this.timer = null;
+
+    this.content = panel.querySelector('.plan-quality-content') || panel;
+    this.count = document.createElement('span');
+    this.count.className = 'plan-quality-count';
+    var summary = panel.querySelector('summary');
+    if (summary) {
+      summary.appendChild(this.count);
+    }
+
+    form.addEventListener('input', this.onEdit.bind(this));
+    form.addEventListener('change', this.onEdit.bind(this));
+    this.content.addEventListener('click', this.onIssueClick.bind(this));
+
+    var container = this.getContainer();
+    if (container) {
+      // Nested sections are added and removed below the top level as well.
+      new MutationObserver(function () {
+        if (!this.isRendering()) {
+          this.schedule();
+        }
+      }.bind(this)).observe(container, {childList: true, subtree: true});
+    }
+
+    document.addEventListener('aiContentPreparationWizard:planRendered', this.schedule.bind(this));
+    document.addEventListener('aiContentPreparationWizard:planChanged', this.schedule.bind(this));
+
+    this.update();
+  }
+
+  /**
+   * Runs the checks again after a section or the page title was edited.
+   */
+  PlanQuality.prototype.onEdit = function (e) {
+    var name = e.target.name || '';
+    if (name.indexOf('sections[') === 0 || name === 'title' || name === 'page_title') {
+      this.schedule();
+    }
+  };
+
+  /**
+   * Schedules the checks.
+   */
+  PlanQuality.prototype.schedule = function () {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(this.update.bind(this), UPDATE_DELAY);
+  };
+
+  /**
+   * Runs the checks and renders the results.
+   */
+  PlanQuality.prototype.update = function () {
+    var sections = this.collectSections();
+    this.panel.hidden = !sections.length;
+    if (!sections.length || this.isRendering()) {
+      return;
+    }
+    this.render(this.analyze(sections, this.getPageTitle(), this.getSummary()));
+  };
+
+  /**
+   * Collects all sections of the editor, including nested ones.
+   *
+   * @return {Array}
+   *   Objects with id, title, content and componentType in display order.
+   */
+  PlanQuality.prototype.collectSections = function () {
+    var container = this.getContainer();
+    if (!container) {
+      return [];
+    }
+    return Array.prototype.map.call(container.querySelectorAll('[data-section-id]'), function (details) {
+      var id = details.dataset.sectionId;
+      var field = function (name) {
+        return details.querySelector('[name="sections[' + id + '][' + name + ']"]');
+      };
+      var title = field('title');
+      var summary = details.querySelector('summary');
+      var content = field('content');
+      var componentType = field('component_type');
+
+      return {
+        id: id,
+        title: title ? title.value : (summary ? summary.textContent : ''),
+        content: content ? content.value : '',
+        componentType: componentType ? componentType.value : ''
+      };
+    });
+  };
+
+  /**
+   * Analyzes the sections like ContentQualityAnalyzer::analyze().
+   *
+   * @param {Array} sections
+   *   The sections in display order.
+   * @param {string} pageTitle
+   *   The page title.
+   * @param {string} summary
+   *   The plan summary.
+   *
+   * @return {Object}
+   *   The overall readability, words and characters, the statistics per
+   *   section and the issues.
+   */
+  PlanQuality.prototype.analyze = function (sections, pageTitle, summary) {
+    var limits = this.limits;
+    var stats = [];
+    var issues = [];
+    var texts = [];
+    var headings = [];
+    var totalWords = 0;
+    var totalCharacters = 0;
+
+    sections.forEach(function (section, index) {
+      var number = index + 1;
+      var kind = getComponentKind(section.componentType);
+      var componentLimits = limits.components[kind] || {};
+      var text = getPlainText(section.content);
+      var words = getWords(text).length;
+      var characters = getLength(text);
+      var readability = getReadability(text, limits.readability.minWords);
+      var title = section.title.trim();
+      var titleLabel = title !== '' ? title : Drupal.t('Section @number', {'@number': number});
+      var addIssue = function (type, message) {
+        issues.push({section: section.id, type: type, message: message});
+      };
+
+      stats.push({
+        id: section.id,
+        title: titleLabel,
+        kind: kind,
+        limits: componentLimits,
+        titleLength: getLength(title),
+        words: words,
+        characters: characters,
+        readability: readability
+      });
+      texts.push(text);
+      totalWords += words;
+      totalCharacters += characters;
+
+      if (title === '') {
+        addIssue('empty', Drupal.t('Section @number has no title.', {'@number': number}));
+      }
+      else {
+        headings.push([section.id, title]);
+      }
+      // Heading components only show the title.
+      if (kind !== 'heading' && text === '') {
+        addIssue('empty', Drupal.t('Section "@title" has no content.', {'@title': titleLabel}));
+      }
+
+      if (componentLimits.title && getLength(title) > componentLimits.title) {
+        addIssue('length', Drupal.t('The title of section "@title" has @count characters; the @component component fits at most @max.', {
+          '@title': titleLabel,
+          '@count': getLength(title),
+          '@component': kind,
+          '@max': componentLimits.title
+        }));
+      }
+      if (componentLimits.words && words > componentLimits.words) {
+        addIssue('length', Drupal.t('Section "@title" has @count words; the @component component fits at most @max.', {
+          '@title': titleLabel,
+          '@count': words,
+          '@component': kind,
+          '@max': componentLimits.words
+        }));
+      }
+      if (componentLimits.characters && characters > componentLimits.characters) {
+        addIssue('length', Drupal.t('Section "@title" has @count characters; the @component component fits at most @max.', {
+          '@title': titleLabel,
+          '@count': characters,
+          '@component': kind,
+          '@max': componentLimits.characters
+        }));
+      }
+
+      if (readability !== null && readability < limits.readability.min) {
+        addIssue('readability', Drupal.t('Section "@title" is hard to read (reading ease @score). Use shorter sentences and simpler words.', {
+          '@title': titleLabel,
+          '@score': readability
+        }));
+      }
+
+      var pattern = /^#{1,6}\s+(.+?)\s*#*\s*$/gm;
+      var match;
+      while ((match = pattern.exec(section.content)) !== null) {
+        headings.push([section.id, match[1]]);
+      }
+    });
+
+    var seen = {};
+    headings.forEach(function (heading) {
+      var key = heading[1].trim().replace(/\s+/g, ' ').toLowerCase();
+      if (seen[key] === 1) {
+        issues.push({
+          section: heading[0],
+          type: 'duplicate_heading',
+          message: Drupal.t('The heading "@heading" is used more than once.', {'@heading': heading[1].trim()})
+        });
+      }
+      seen[key] = (seen[key] || 0) + 1;
+    });
+
+    var readability = getReadability(texts.filter(Boolean).join('\n\n'), limits.readability.minWords);
+    if (readability !== null && readability < limits.readability.min) {
+      issues.push({section: null, type: 'readability', message: Drupal.t('The page is hard to read overall (reading ease @score).', {'@score': readability})});
+    }
+
+    var titleLength = getLength(pageTitle.trim());
+    if (titleLength > 0 && titleLength < limits.pageTitle.min) {
+      issues.push({section: null, type: 'seo', message: Drupal.t('The page title is short (@count characters). Titles of @min to @max characters work best in search results.', {
+        '@count': titleLength,
+        '@min': limits.pageTitle.min,
+        '@max': limits.pageTitle.max
+      })});
+    }
+    else if (titleLength > limits.pageTitle.max) {
+      issues.push({section: null, type: 'seo', message: Drupal.t('The page title is long (@count characters) and may be cut off in search results. Keep it to @max characters or fewer.', {
+        '@count': titleLength,
+        '@max': limits.pageTitle.max
+      })});
+    }
+
+    var summaryLength = getLength(summary.trim());
+    if (summaryLength < limits.summary.min) {
+      issues.push({section: null, type: 'seo', message: Drupal.t('The summary is short (@count characters). As meta description, @min to @max characters work best.', {
+        '@count': summaryLength,
+        '@min': limits.summary.min,
+        '@max': limits.summary.max
+      })});
+    }
+    else if (summaryLength > limits.summary.max) {
+      issues.push({section: null, type: 'seo', message: Drupal.t('The summary is long (@count characters) and will be cut off as meta description. Keep it to @max characters or fewer.', {
+        '@count': summaryLength,
+        '@max': limits.summary.max
+      })});
+    }
+
+    return {
+      readability: readability,
+      words: totalWords,
+      characters: totalCharacters,
+      sections: stats,
+      issues: issues
+    };
+  };
+
+  /**
+   * Renders the results into the panel.
+   *
+   * The panel is not a live region; the issue count in its summary is
+   * enough, and screen readers would otherwise announce every keystroke.
+   */
+  PlanQuality.prototype.render = function (result) {
+    this.count.textContent = result.issues.length ?
+      Drupal.formatPlural(result.issues.length, '1 issue', '@count issues') :
+      Drupal.t('No issues');
+    this.count.classList.toggle('is-clean', !result.issues.length);
+
+    this.content.textContent = '';
+
+    var overview = document.createElement('dl');
+    overview.className = 'plan-quality-overview';
+    [
+      [Drupal.t('Reading ease'), formatReadability(result.readability)],
+      [Drupal.t('Words'), String(result.words)],
+      [Drupal.t('Characters'), String(result.characters)]
+    ].forEach(function (item) {
+      var wrapper = document.createElement('div');
+      var term = document.createElement('dt');
+      var value = document.createElement('dd');
+      term.textContent = item[0];
+      value.textContent = item[1];
+      wrapper.appendChild(term);
+      wrapper.appendChild(value);
+      overview.appendChild(wrapper);
+    });
+    this.content.appendChild(overview);
+
+    if (result.issues.length) {
+      var list = document.createElement('ul');
+      list.className = 'plan-quality-issues';
+      result.issues.forEach(function (issue) {
+        var item = document.createElement('li');
+        item.className = 'plan-quality-issue plan-quality-issue--' + issue.type.replace(/_/g, '-');
+        item.appendChild(document.createTextNode(issue.message + ' '));
+        if (issue.section) {
+          var button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'plan-quality-issue__link';
+          button.dataset.sectionId = issue.section;
+          button.textContent = Drupal.t('Go to section');
+          item.appendChild(button);
+        }
+        list.appendChild(item);
+      });
+      this.content.appendChild(list);
+    }
+
+    this.content.appendChild(this.renderSectionTable(result.sections));
+  };
+
+  /**
+   * Renders the statistics per section against the component limits.
+   */
+  PlanQuality.prototype.renderSectionTable = function (sections) {
+    var table = document.createElement('table');
+    table.className = 'plan-quality-sections';
+
+    var caption = document.createElement('caption');
+    caption.textContent = Drupal.t('Sections');
+    table.appendChild(caption);
+
+    var head = table.createTHead().insertRow();
+    [Drupal.t('Section'), Drupal.t('Title'), Drupal.t('Words'), Drupal.t('Characters'), Drupal.t('Reading ease')].forEach(function (label) {
+      var cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = label;
+      head.appendChild(cell);
+    });
+
+    var body = table.createTBody();
+    sections.forEach(function (section) {
+      var row = body.insertRow();
+      var name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = section.title;
+      row.appendChild(name);
+
+      addLimitCell(row, section.titleLength, section.limits.title);
+      addLimitCell(row, section.words, section.limits.words);
+      addLimitCell(row, section.characters, section.limits.characters);
+      row.insertCell().textContent = formatReadability(section.readability);
+    });
+
+    return table;
+  };
+
+  /**
+   * Moves to the section an issue belongs to.
+   */
+  PlanQuality.prototype.onIssueClick = function (e) {
+    var button = e.target.closest('.plan-quality-issue__link');
+    var container = this.getContainer();
+    if (!button || !container) {
+      return;
+    }
+
+    var details = container.querySelector('[data-section-id="' + CSS.escape(button.dataset.sectionId) + '"]');
+    if (!details) {
+      return;
+    }
+    for (var parent = details; parent && container.contains(parent); parent = parent.parentElement.closest('details')) {
+      parent.open = true;
+    }
+    var summary = details.querySelector('summary');
+    details.scrollIntoView({behavior: 'smooth', block: 'nearest'});
+    (summary || details).focus();
+  };
+
+  /**
+   * Gets the title the page will be created with.
+   */
+  PlanQuality.prototype.getPageTitle = function () {
+    var pageTitle = this.form.querySelector('input[name="page_title"]');
+    var title = this.form.querySelector('input[name="title"]');
+    if (pageTitle && pageTitle.value.trim() !== '') {
+      return pageTitle.value;
+    }
+    return title ? title.value : '';
+  };
+
+  /**
+   * Gets the summary of the plan.
+   */
+  PlanQuality.prototype.getSummary = function () {
+    var summary = this.form.querySelector('.plan-summary p');
+    return summary ? summary.textContent : '';
+  };
+
+  /**
+   * Gets the sections container of the plan editor.
+   */
+  PlanQuality.prototype.getContainer = function () {
+    return this.form.querySelector('[data-section-manager]');
+  };
+
+  /**
+   * Whether the sections are still being rendered.
+   */
+  PlanQuality.prototype.isRendering = function () {
+    var container = this.getContainer();
+    return !!(container && container.getAttribute('aria-busy') === 'true');
+  };
+
+  /**
+   * Adds a table cell with a value and its limit, if any.
+   */
+  function addLimitCell(row, value, max) {
+    var cell = row.insertCell();
+    cell.textContent = max ? Drupal.t('@count / @max', {'@count': value, '@max': max}) : String(value);
+    if (max && value > max) {
+      cell.classList.add('is-over-limit');
+    }
+  }
+
+  /**
+   * Formats a reading ease score with a short description.
+   */
+  function formatReadability(score) {
+    if (score === null) {
+      return Drupal.t('Too short to score');
+    }
+    if (score >= 60) {
+      return Drupal.t('@score (easy)', {'@score': score});
+    }
+    if (score >= 30) {
+      return Drupal.t('@score (fairly difficult)', {'@score': score});
+    }
+    return Drupal.t('@score (difficult)', {'@score': score});
+  }
+
+  /**
+   * Reduces a component ID such as "sdc.mercury.hero" to its kind.
+   */
+  function getComponentKind(componentType) {
+    var name = (componentType || '').split(/[.:]/).pop().toLowerCase();
+    for (var i = 0; i < KINDS.length; i++) {
+      if (name.indexOf(KINDS[i]) !== -1) {
+        return KINDS[i];
+      }
+    }
+    return 'text';
+  }
+
+  /**
+   * Strips the Markdown syntax from section content.
+   */
+  function getPlainText(markdown) {
+    return markdown
+      .replace(/^(```|~~~)[\s\S]*?^\1/gm, '')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*(#{1,6}|[-*+]|\d+[.)]|>)\s+/gm, '')
+      .replace(/\*\*|__|`/g, '')
+      .replace(/<[^>]*>/g, '')
+      .trim();
+  }
+
+  /**
+   * Counts characters like mb_strlen(), not UTF-16 code units.
+   */
+  function getLength(text) {
+    return text.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length;
+  }
+
+  /**
+   * Splits text into words.
+   */
+  function getWords(text) {
+    return text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+  }
+
+  /**
+   * Calculates the Flesch reading ease of a text.
+   *
+   * @return {?number}
+   *   The score from 0 (hard) to 100 (easy), or NULL if the text is too short
+   *   to score.
+   */
+  function getReadability(text, minWords) {
+    var words = getWords(text);
+    if (words.length < minWords) {
+      return null;
+    }
+
+    // Lines without closing punctuation, such as list items, are sentences
+    // as well.
+    var sentences = text.split(/[.!?]+(?=\s|$)|\n+/).filter(function (sentence) {
+      return getWords(sentence).length > 0;
+    }).length;
+    var syllables = words.reduce(function (total, word) {
+      return total + countSyllables(word);
+    }, 0);
+    var score = 206.835 - 1.015 * (words.length / Math.max(1, sentences)) - 84.6 * (syllables / words.length);
+
+    return Math.round(Math.max(0, Math.min(100, score)) * 10) / 10;
+  }
+
+  /**
+   * Estimates the number of syllables of an English word.
+   */
+  function countSyllables(word) {
+    word = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (word.length <= 3) {
+      return 1;
+    }
+    word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    return Math.max(1, (word.match(/[aeiouy]{1,2}/g) || []).length);
+  }
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,585 @@
+/**
+ * @file
+ * Plan reviews in the Content Preparation Wizard.
+ *
+ * In Step 2, shares the plan for review, shows the share link and the
+ * review status, and adds the comment threads of the reviewers to the
+ * sections of the editor. On the review page, reviewers comment on sections
+ * and approve the plan or request changes.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Plan review behavior.
+   */
+  Drupal.behaviors.planReview = {
+    attach: function (context) {
+      var endpoint = Drupal.wizardClient.url('planReview');
+      if (endpoint) {
+        once('plan-review', '[data-plan-review]', context).forEach(function (wrapper) {
+          var form = wrapper.closest('form');
+          if (form) {
+            new PlanReview(wrapper, form, endpoint, Drupal.wizardClient.url('planReviewShare'));
+          }
+        });
+      }
+
+      var settings = drupalSettings.aiContentPreparationWizard || {};
+      if (settings.planReview) {
+        once('plan-review-page', '[data-plan-review-page]', context).forEach(function (page) {
+          new ReviewPage(page, settings.planReview);
+        });
+      }
+    }
+  };
+
+  /**
+   * Gets the label of a review status.
+   */
+  function getStatusLabel(status) {
+    var labels = {
+      pending: Drupal.t('Awaiting review'),
+      approved: Drupal.t('Approved'),
+      changes_requested: Drupal.t('Changes requested')
+    };
+    return labels[status] || status;
+  }
+
+  /**
+   * Creates an element with a class and text.
+   */
+  function createElement(tag, className, text) {
+    var element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  /**
+   * Creates a button that does not submit the form.
+   */
+  function createButton(label, onClick) {
+    var button = createElement('button', 'button button--small', label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Formats an ISO 8601 date for display.
+   */
+  function formatDate(value) {
+    var date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toLocaleString();
+  }
+
+  /**
+   * Renders the comment threads of a review and posts new comments.
+   *
+   * @param {Function} onUpdate
+   *   Called with the review data returned by the endpoints.
+   * @param {Function} onError
+   *   Called with the message of a failed request.
+   */
+  function Threads(onUpdate, onError) {
+    this.review = null;
+    this.onUpdate = onUpdate;
+    this.onError = onError;
+  }
+
+  /**
+   * Renders the thread of a section into a container.
+   *
+   * @param {Element} container
+   *   The element that holds the thread.
+   * @param {string} sectionId
+   *   The section ID.
+   */
+  Threads.prototype.render = function (container, sectionId) {
+    var review = this.review;
+    container.textContent = '';
+    if (!review) {
+      return;
+    }
+
+    var comments = review.comments.filter(function (comment) {
+      return comment.sectionId === sectionId;
+    });
+    var open = comments.filter(function (comment) {
+      return !comment.resolved;
+    }).length;
+
+    var heading = createElement('div', 'plan-review-thread__heading', comments.length
+      ? Drupal.formatPlural(open, '1 open comment', '@count open comments')
+      : Drupal.t('Review comments'));
+    container.appendChild(heading);
+    container.classList.toggle('has-open-comments', open > 0);
+
+    if (comments.length) {
+      var list = createElement('ul', 'plan-review-thread__comments');
+      comments.forEach(function (comment) {
+        list.appendChild(this.renderComment(comment));
+      }, this);
+      container.appendChild(list);
+    }
+
+    // Sections added after the plan was shared cannot be commented on yet.
+    if (!Object.prototype.hasOwnProperty.call(review.sections, sectionId)) {
+      container.appendChild(createElement('p', 'plan-review-thread__note', Drupal.t('Share the plan again to let reviewers comment on this section.')));
+      return;
+    }
+
+    var field = createElement('textarea', 'form-element plan-review-thread__field');
+    field.rows = 2;
+    field.setAttribute('aria-label', Drupal.t('Comment on this section'));
+    field.placeholder = Drupal.t('Add a comment...');
+    container.appendChild(field);
+    container.appendChild(createButton(Drupal.t('Comment'), function (event) {
+      this.addComment(sectionId, field, event.currentTarget);
+    }.bind(this)));
+  };
+
+  /**
+   * Renders one comment.
+   *
+   * @param {Object} comment
+   *   The comment data.
+   *
+   * @return {Element}
+   *   The list item.
+   */
+  Threads.prototype.renderComment = function (comment) {
+    var item = createElement('li', 'plan-review-comment' + (comment.resolved ? ' is-resolved' : ''));
+    var meta = createElement('div', 'plan-review-comment__meta');
+    meta.appendChild(createElement('strong', '', comment.authorName));
+    meta.appendChild(document.createTextNode(' ' + formatDate(comment.createdAt)));
+    if (comment.resolved) {
+      meta.appendChild(createElement('span', 'plan-review-comment__badge', Drupal.t('Resolved')));
+    }
+    item.appendChild(meta);
+    item.appendChild(createElement('div', 'plan-review-comment__body', comment.body));
+
+    if (comment.canResolve) {
+      item.appendChild(createButton(comment.resolved ? Drupal.t('Reopen') : Drupal.t('Resolve'), function (event) {
+        this.resolve(comment, event.currentTarget);
+      }.bind(this)));
+    }
+
+    return item;
+  };
+
+  /**
+   * Posts a comment on a section.
+   */
+  Threads.prototype.addComment = function (sectionId, field, button) {
+    var body = field.value.trim();
+    if (!body) {
+      field.focus();
+      return;
+    }
+
+    button.disabled = true;
+    this.send(this.review.endpoint + '/comments', {section_id: sectionId, body: body})
+      .then(function (review) {
+        if (review) {
+          Drupal.announce(Drupal.t('Your comment was added.'));
+        }
+        else {
+          button.disabled = false;
+        }
+      });
+  };
+
+  /**
+   * Resolves a comment or opens it again.
+   */
+  Threads.prototype.resolve = function (comment, button) {
+    button.disabled = true;
+    this.send(this.review.endpoint + '/comments/' + encodeURIComponent(comment.id) + '/resolve', {resolved: !comment.resolved})
+      .then(function (review) {
+        if (!review) {
+          button.disabled = false;
+        }
+      });
+  };
+
+  /**
+   * Posts to a review endpoint and passes the updated review on.
+   *
+   * @param {string} url
+   *   The endpoint URL.
+   * @param {Object} data
+   *   The request body.
+   *
+   * @return {Promise}
+   *   Resolves with the review data, or NULL if the request failed.
+   */
+  Threads.prototype.send = function (url, data) {
+    return Drupal.wizardClient.request(url, {method: 'POST', data: data})
+      .then(function (response) {
+        this.onUpdate(response.review);
+        return response.review;
+      }.bind(this))
+      .catch(function (error) {
+        if (!Drupal.wizardClient.isAbort(error)) {
+          this.onError(error.message);
+        }
+        return null;
+      }.bind(this));
+  };
+
+  /**
+   * Shares the plan of the Step 2 editor and shows the reviewers' feedback.
+   *
+   * @param {Element} wrapper
+   *   The [data-plan-review] element.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   * @param {string} endpoint
+   *   The endpoint returning the review of the session's plan.
+   * @param {string} shareEndpoint
+   *   The endpoint sharing the plan.
+   */
+  function PlanReview(wrapper, form, endpoint, shareEndpoint) {
+    this.wrapper = wrapper;
+    this.form = form;
+    this.endpoint = endpoint;
+    this.shareEndpoint = shareEndpoint;
+    this.approvalRequired = false;
+    this.threads = new Threads(this.update.bind(this), this.setMessage.bind(this));
+    this.shareButton = wrapper.querySelector('[data-plan-review-share]');
+    this.status = wrapper.querySelector('.plan-review__status') || wrapper;
+
+    this.message = createElement('div', 'plan-review__message');
+    this.message.setAttribute('role', 'status');
+    this.status.parentNode.insertBefore(this.message, this.status.nextSibling);
+
+    if (this.shareButton) {
+      this.shareButton.addEventListener('click', this.share.bind(this));
+    }
+
+    // Sections are rendered again after generation, regeneration and
+    // rewrites; their threads are added back.
+    document.addEventListener('aiContentPreparationWizard:planRendered', function () {
+      wrapper.hidden = false;
+      this.load();
+    }.bind(this));
+    document.addEventListener('aiContentPreparationWizard:planChanged', this.renderThreads.bind(this));
+
+    if (!wrapper.hidden) {
+      this.load();
+    }
+  }
+
+  /**
+   * Loads the review of the session's plan.
+   */
+  PlanReview.prototype.load = function () {
+    Drupal.wizardClient.request(this.endpoint)
+      .then(function (data) {
+        this.approvalRequired = data.approvalRequired;
+        this.update(data.review);
+      }.bind(this))
+      .catch(function (error) {
+        if (!Drupal.wizardClient.isAbort(error)) {
+          this.setMessage(error.message);
+        }
+      }.bind(this));
+  };
+
+  /**
+   * Shares the plan, with the editor's unsaved edits, for review.
+   */
+  PlanReview.prototype.share = function () {
+    this.shareButton.disabled = true;
+    this.setMessage('');
+
+    Drupal.wizardClient.request(this.shareEndpoint, {method: 'POST', data: this.collect()})
+      .then(function (data) {
+        this.approvalRequired = data.approvalRequired;
+        this.update(data.review);
+        Drupal.announce(Drupal.t('The plan was shared for review.'));
+      }.bind(this))
+      .catch(function (error) {
+        if (!Drupal.wizardClient.isAbort(error)) {
+          this.setMessage(error.message);
+        }
+      }.bind(this))
+      .finally(function () {
+        this.shareButton.disabled = false;
+      }.bind(this));
+  };
+
+  /**
+   * Collects the current title and sections of the editor.
+   *
+   * @return {Object}
+   *   The request body for the share endpoint.
+   */
+  PlanReview.prototype.collect = function () {
+    return Drupal.behaviors.sectionManager.collectPlanEdits(this.form);
+  };
+
+  /**
+   * Shows the review status and the comment threads.
+   *
+   * @param {Object|null} review
+   *   The review data, or NULL if the plan has not been shared.
+   */
+  PlanReview.prototype.update = function (review) {
+    // Endpoints of a single review do not know the editor's plan.
+    if (review && this.threads.review && typeof review.outdated === 'undefined') {
+      review.outdated = this.threads.review.outdated;
+    }
+    this.threads.review = review;
+    this.status.textContent = '';
+
+    if (this.shareButton) {
+      this.shareButton.textContent = review ? Drupal.t('Share changes') : Drupal.t('Share for review');
+    }
+    if (!review) {
+      this.renderThreads();
+      return;
+    }
+
+    var badge = createElement('p', 'plan-review__badge is-' + review.status, getStatusLabel(review.status));
+    this.status.appendChild(badge);
+    if (review.reviewerName && review.status !== 'pending') {
+      var decision = createElement('p', 'plan-review__decision', review.status === 'approved'
+        ? Drupal.t('Approved by @name.', {'@name': review.reviewerName})
+        : Drupal.t('@name requested changes.', {'@name': review.reviewerName}));
+      this.status.appendChild(decision);
+      if (review.decisionMessage) {
+        this.status.appendChild(createElement('blockquote', 'plan-review__decision-message', review.decisionMessage));
+      }
+    }
+    if (review.outdated) {
+      this.status.appendChild(createElement('p', 'plan-review__outdated', this.approvalRequired
+        ? Drupal.t('The plan was changed after it was shared. Share the changes; they need to be approved before the page can be created.')
+        : Drupal.t('The plan was changed after it was shared. Share the changes so reviewers see the current version.')));
+    }
+
+    var link = createElement('div', 'plan-review__link');
+    var input = createElement('input', 'form-text plan-review__url');
+    input.type = 'text';
+    input.readOnly = true;
+    input.value = review.url;
+    input.setAttribute('aria-label', Drupal.t('Review link'));
+    input.addEventListener('focus', function () {
+      input.select();
+    });
+    link.appendChild(input);
+    link.appendChild(createButton(Drupal.t('Copy link'), function () {
+      this.copy(input);
+    }.bind(this)));
+    link.appendChild(createButton(Drupal.t('Refresh'), this.load.bind(this)));
+    this.status.appendChild(link);
+
+    this.renderRemovedSections(review);
+    this.renderThreads();
+  };
+
+  /**
+   * Lists comments on sections that are not in the editor anymore.
+   *
+   * @param {Object} review
+   *   The review data.
+   */
+  PlanReview.prototype.renderRemovedSections = function (review) {
+    var sectionIds = this.getSectionElements().map(function (details) {
+      return details.dataset.sectionId;
+    });
+    var orphaned = review.comments.filter(function (comment) {
+      return !comment.resolved && sectionIds.indexOf(comment.sectionId) === -1;
+    });
+    if (!orphaned.length) {
+      return;
+    }
+
+    var list = createElement('ul', 'plan-review__orphaned');
+    orphaned.forEach(function (comment) {
+      var item = this.threads.renderComment(comment);
+      var title = review.sections[comment.sectionId] || comment.sectionId;
+      item.insertBefore(createElement('em', 'plan-review-comment__section', title), item.firstChild);
+      list.appendChild(item);
+    }, this);
+    this.status.appendChild(createElement('p', 'plan-review__orphaned-title', Drupal.t('Open comments on removed sections')));
+    this.status.appendChild(list);
+  };
+
+  /**
+   * Gets the section elements of the editor.
+   *
+   * @return {Array}
+   *   The [data-section-id] elements.
+   */
+  PlanReview.prototype.getSectionElements = function () {
+    return Array.prototype.slice.call(this.form.querySelectorAll('[data-section-manager] [data-section-id]'));
+  };
+
+  /**
+   * Adds the comment threads to the sections of the editor.
+   */
+  PlanReview.prototype.renderThreads = function () {
+    this.getSectionElements().forEach(function (details) {
+      var body = details.querySelector(':scope > .details-wrapper') || details;
+      var thread = body.querySelector(':scope > [data-review-thread]');
+      if (!this.threads.review) {
+        if (thread) {
+          thread.remove();
+        }
+        return;
+      }
+      if (!thread) {
+        thread = createElement('div', 'plan-review-thread');
+        thread.setAttribute('data-review-thread', '');
+        body.appendChild(thread);
+      }
+      this.threads.render(thread, details.dataset.sectionId);
+    }, this);
+  };
+
+  /**
+   * Copies the review link to the clipboard.
+   */
+  PlanReview.prototype.copy = function (input) {
+    var done = function () {
+      Drupal.announce(Drupal.t('The review link was copied.'));
+      this.setMessage(Drupal.t('The review link was copied.'), true);
+    }.bind(this);
+
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(input.value).then(done, function () {
+        input.select();
+      });
+      return;
+    }
+    input.select();
+    if (document.execCommand('copy')) {
+      done();
+    }
+  };
+
+  /**
+   * Updates the message below the review status.
+   *
+   * @param {string} message
+   *   The message, empty to remove it.
+   * @param {boolean} [isInfo]
+   *   Whether the message is not an error.
+   */
+  PlanReview.prototype.setMessage = function (message, isInfo) {
+    this.message.textContent = message;
+    this.message.classList.toggle('is-error', !!message && !isInfo);
+  };
+
+  /**
+   * Handles the review page of a shared plan.
+   *
+   * @param {Element} page
+   *   The [data-plan-review-page] element.
+   * @param {Object} review
+   *   The review data.
+   */
+  function ReviewPage(page, review) {
+    this.page = page;
+    this.threads = new Threads(this.update.bind(this), this.setMessage.bind(this));
+    this.status = page.querySelector('[data-plan-review-status]') || page;
+    this.decision = page.querySelector('[data-plan-review-decision]');
+
+    this.message = createElement('div', 'plan-review__message');
+    this.message.setAttribute('role', 'status');
+    this.status.parentNode.insertBefore(this.message, this.status.nextSibling);
+
+    if (this.decision) {
+      this.decision.querySelectorAll('[data-plan-review-decide]').forEach(function (button) {
+        button.addEventListener('click', function () {
+          this.decide(button.getAttribute('data-plan-review-decide'));
+        }.bind(this));
+      }, this);
+    }
+
+    this.update(review);
+  }
+
+  /**
+   * Shows the review status and the comment threads.
+   *
+   * @param {Object} review
+   *   The review data.
+   */
+  ReviewPage.prototype.update = function (review) {
+    this.threads.review = review;
+    this.status.textContent = '';
+    this.status.appendChild(createElement('p', 'plan-review__badge is-' + review.status, getStatusLabel(review.status)));
+    if (review.reviewerName && review.status !== 'pending') {
+      this.status.appendChild(createElement('p', 'plan-review__decision', review.status === 'approved'
+        ? Drupal.t('Approved by @name.', {'@name': review.reviewerName})
+        : Drupal.t('@name requested changes.', {'@name': review.reviewerName})));
+    }
+
+    this.page.querySelectorAll('[data-section-id]').forEach(function (section) {
+      var thread = section.querySelector('[data-review-thread]');
+      if (thread) {
+        this.threads.render(thread, section.dataset.sectionId);
+      }
+    }, this);
+
+    if (this.decision) {
+      this.decision.hidden = !review.canDecide;
+    }
+  };
+
+  /**
+   * Approves the plan or requests changes.
+   *
+   * @param {string} decision
+   *   'approved' or 'changes_requested'.
+   */
+  ReviewPage.prototype.decide = function (decision) {
+    var field = this.decision.querySelector('[data-plan-review-message]');
+    var message = field ? field.value.trim() : '';
+    if (decision === 'changes_requested' && !message && !this.threads.review.openComments) {
+      this.setMessage(Drupal.t('Describe the changes you need, in a message or in comments on the sections.'));
+      if (field) {
+        field.focus();
+      }
+      return;
+    }
+
+    var buttons = this.decision.querySelectorAll('button');
+    buttons.forEach(function (button) {
+      button.disabled = true;
+    });
+    this.setMessage('');
+
+    this.threads.send(this.threads.review.endpoint + '/decision', {decision: decision, message: message})
+      .then(function (review) {
+        if (review) {
+          var text = decision === 'approved'
+            ? Drupal.t('You approved the plan.')
+            : Drupal.t('You requested changes to the plan.');
+          this.setMessage(text, true);
+          Drupal.announce(text);
+        }
+      }.bind(this))
+      .finally(function () {
+        buttons.forEach(function (button) {
+          button.disabled = false;
+        });
+      });
+  };
+
+  /**
+   * Updates the message below the review status.
+   */
+  ReviewPage.prototype.setMessage = PlanReview.prototype.setMessage;
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,462 @@
+/**
+ * @file
+ * Translation review for the content plan in the Content Preparation Wizard.
+ *
+ * Translates the plan to the selected target languages and shows each
+ * translation next to the source text, where it can be edited before the
+ * page is created. The edits are submitted with the wizard form. After the
+ * page was created, failed translations of the page can be retried.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Plan translations behavior.
+   */
+  Drupal.behaviors.planTranslations = {
+    attach: function (context) {
+      var endpoint = Drupal.wizardClient.url('planTranslations');
+      if (!endpoint) {
+        return;
+      }
+
+      once('plan-translations', '[data-plan-translations]', context).forEach(function (wrapper) {
+        var form = wrapper.closest('form');
+        if (form) {
+          new PlanTranslations(wrapper, form, endpoint);
+        }
+      });
+
+      once('plan-translation-status', '[data-plan-translation-status]', context).forEach(function (table) {
+        new TranslationStatus(table, endpoint);
+      });
+    }
+  };
+
+  /**
+   * Gets the label of a translation status.
+   */
+  function getStatusLabel(status) {
+    var labels = {
+      translated: Drupal.t('Translated'),
+      created: Drupal.t('Created'),
+      failed: Drupal.t('Failed')
+    };
+    return labels[status] || status;
+  }
+
+  /**
+   * Creates an element with a class and text.
+   */
+  function createElement(tag, className, text) {
+    var element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  /**
+   * Creates a button that does not submit the form.
+   */
+  function createButton(label, onClick) {
+    var button = createElement('button', 'button button--small', label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Handles the target languages and the review of one plan editor.
+   *
+   * @param {Element} wrapper
+   *   The [data-plan-translations] element.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   * @param {string} endpoint
+   *   The plan translations endpoint.
+   */
+  function PlanTranslations(wrapper, form, endpoint) {
+    this.wrapper = wrapper;
+    this.form = form;
+    this.endpoint = endpoint;
+    this.panels = {};
+    this.busy = false;
+    this.review = wrapper.querySelector('.plan-translations__review') || wrapper;
+    this.translateButton = wrapper.querySelector('[data-plan-translations-translate]');
+
+    this.status = createElement('div', 'plan-translations__status');
+    this.status.setAttribute('role', 'status');
+    this.review.parentNode.insertBefore(this.status, this.review);
+
+    if (this.translateButton) {
+      this.translateButton.addEventListener('click', function () {
+        this.translateSelected();
+      }.bind(this));
+    }
+
+    this.getCheckboxes().forEach(function (checkbox) {
+      checkbox.addEventListener('change', function () {
+        this.updateVisibility();
+      }.bind(this));
+    }, this);
+
+    // Plans generated in the browser can be translated once they are shown.
+    document.addEventListener('aiContentPreparationWizard:planRendered', function () {
+      wrapper.hidden = false;
+      this.load();
+    }.bind(this));
+
+    if (!wrapper.hidden) {
+      this.load();
+    }
+  }
+
+  /**
+   * Gets the target language checkboxes.
+   *
+   * @return {Array}
+   *   The checkbox elements.
+   */
+  PlanTranslations.prototype.getCheckboxes = function () {
+    return Array.prototype.slice.call(this.wrapper.querySelectorAll('input[type="checkbox"][name^="translation_languages"]'));
+  };
+
+  /**
+   * Gets the codes of the checked target languages.
+   *
+   * @return {Array}
+   *   The language codes.
+   */
+  PlanTranslations.prototype.getSelected = function () {
+    return this.getCheckboxes().filter(function (checkbox) {
+      return checkbox.checked;
+    }).map(function (checkbox) {
+      return checkbox.value;
+    });
+  };
+
+  /**
+   * Loads and renders the stored translations.
+   */
+  PlanTranslations.prototype.load = function () {
+    Drupal.wizardClient.request(this.endpoint)
+      .then(function (data) {
+        data.translations.forEach(function (translation) {
+          this.renderPanel(translation);
+        }, this);
+        this.updateVisibility();
+      }.bind(this))
+      .catch(function (error) {
+        if (!Drupal.wizardClient.isAbort(error)) {
+          this.setStatus(error.message, true);
+        }
+      }.bind(this));
+  };
+
+  /**
+   * Translates the plan to every checked language, one after another.
+   */
+  PlanTranslations.prototype.translateSelected = function () {
+    var langcodes = this.getSelected();
+    if (this.busy) {
+      return;
+    }
+    if (!langcodes.length) {
+      this.setStatus(Drupal.t('Select at least one target language.'), true);
+      return;
+    }
+
+    this.setBusy(true);
+    var failed = 0;
+    var chain = Promise.resolve();
+    langcodes.forEach(function (langcode, index) {
+      chain = chain.then(function () {
+        this.setStatus(Drupal.t('Translating @current of @total...', {
+          '@current': index + 1,
+          '@total': langcodes.length
+        }));
+        return this.translate(langcode).then(function (translation) {
+          if (!translation || translation.status === 'failed') {
+            failed++;
+          }
+        });
+      }.bind(this));
+    }, this);
+
+    chain.then(function () {
+      var message = failed
+        ? Drupal.formatPlural(failed, '1 translation failed. Retry it or create the page without it.', '@count translations failed. Retry them or create the page without them.')
+        : Drupal.t('The translations are ready for review.');
+      this.setStatus(message, failed > 0);
+      Drupal.announce(message);
+    }.bind(this)).finally(function () {
+      this.setBusy(false);
+    }.bind(this));
+  };
+
+  /**
+   * Translates the plan, with the editor's unsaved edits, to a language.
+   *
+   * @param {string} langcode
+   *   The language code.
+   *
+   * @return {Promise}
+   *   Resolves with the translation data, or NULL if the request failed.
+   */
+  PlanTranslations.prototype.translate = function (langcode) {
+    var panel = this.panels[langcode];
+    if (panel) {
+      panel.setAttribute('aria-busy', 'true');
+    }
+
+    return Drupal.wizardClient.request(this.endpoint + '/' + encodeURIComponent(langcode), {
+      method: 'POST',
+      data: this.collect(),
+      timeout: 'generation',
+      // The server retries the AI provider itself.
+      retries: 0
+    })
+      .then(function (data) {
+        this.renderPanel(data.translation);
+        return data.translation;
+      }.bind(this))
+      .catch(function (error) {
+        if (!Drupal.wizardClient.isAbort(error)) {
+          this.setStatus(error.message, true);
+        }
+        if (panel) {
+          panel.removeAttribute('aria-busy');
+        }
+        return null;
+      }.bind(this));
+  };
+
+  /**
+   * Collects the current title and sections of the editor.
+   *
+   * @return {Object}
+   *   The request body for the translation endpoint.
+   */
+  PlanTranslations.prototype.collect = function () {
+    return Drupal.behaviors.sectionManager.collectPlanEdits(this.form);
+  };
+
+  /**
+   * Renders the side-by-side review of a translation.
+   *
+   * @param {Object} translation
+   *   The translation data from the endpoint.
+   */
+  PlanTranslations.prototype.renderPanel = function (translation) {
+    var langcode = translation.langcode;
+    var prefix = 'plan_translations[' + langcode + ']';
+    var panel = createElement('section', 'plan-translation is-' + translation.status);
+    panel.dataset.langcode = langcode;
+
+    var header = createElement('div', 'plan-translation__header');
+    header.appendChild(createElement('h3', 'plan-translation__title', translation.language));
+    header.appendChild(createElement('span', 'plan-translation__badge', getStatusLabel(translation.status)));
+    header.appendChild(createButton(translation.status === 'failed' ? Drupal.t('Retry') : Drupal.t('Translate again'), function () {
+      if (!this.busy) {
+        this.setBusy(true);
+        this.translate(langcode).finally(function () {
+          this.setBusy(false);
+        }.bind(this));
+      }
+    }.bind(this)));
+    panel.appendChild(header);
+
+    if (translation.error) {
+      panel.appendChild(createElement('p', 'plan-translation__error', translation.error));
+    }
+    if (translation.outdated) {
+      panel.appendChild(createElement('p', 'plan-translation__outdated', Drupal.t('The plan was changed after this translation. Translate it again to include the changes.')));
+    }
+
+    if (translation.status !== 'failed') {
+      var table = createElement('table', 'plan-translation__table');
+      var head = table.createTHead().insertRow();
+      head.appendChild(createElement('th', '', Drupal.t('Source')));
+      head.appendChild(createElement('th', '', translation.language));
+      var body = table.createTBody();
+
+      var titleRow = body.insertRow();
+      titleRow.insertCell().appendChild(createElement('strong', '', translation.sourceTitle));
+      var titleCell = titleRow.insertCell();
+      titleCell.setAttribute('lang', langcode);
+      titleCell.appendChild(createField('input', prefix + '[title]', translation.title, Drupal.t('Page title')));
+
+      translation.sections.forEach(function (section) {
+        var row = body.insertRow();
+        row.dataset.sectionId = section.id;
+        var source = row.insertCell();
+        source.appendChild(createElement('strong', '', section.sourceTitle));
+        source.appendChild(createElement('div', 'plan-translation__source', section.sourceContent));
+
+        var target = row.insertCell();
+        target.setAttribute('lang', langcode);
+        var sectionPrefix = prefix + '[sections][' + section.id + ']';
+        target.appendChild(createField('input', sectionPrefix + '[title]', section.title, Drupal.t('Section title')));
+        target.appendChild(createField('textarea', sectionPrefix + '[content]', section.content, Drupal.t('Section content')));
+      });
+      panel.appendChild(table);
+    }
+
+    if (this.panels[langcode]) {
+      this.review.replaceChild(panel, this.panels[langcode]);
+    }
+    else {
+      this.review.appendChild(panel);
+    }
+    this.panels[langcode] = panel;
+    this.wrapper.open = true;
+    this.updateVisibility();
+  };
+
+  /**
+   * Hides the reviews of languages that are not selected.
+   */
+  PlanTranslations.prototype.updateVisibility = function () {
+    var selected = this.getSelected();
+    Object.keys(this.panels).forEach(function (langcode) {
+      var hidden = selected.indexOf(langcode) === -1;
+      this.panels[langcode].hidden = hidden;
+      // Edits of deselected languages are not submitted.
+      this.panels[langcode].querySelectorAll('input, textarea').forEach(function (field) {
+        field.disabled = hidden;
+      });
+    }, this);
+  };
+
+  /**
+   * Disables the actions while a translation is running.
+   */
+  PlanTranslations.prototype.setBusy = function (busy) {
+    this.busy = busy;
+    this.wrapper.querySelectorAll('button').forEach(function (button) {
+      button.disabled = busy;
+    });
+    this.review.setAttribute('aria-busy', busy ? 'true' : 'false');
+  };
+
+  /**
+   * Updates the status line above the review.
+   */
+  PlanTranslations.prototype.setStatus = function (message, isError) {
+    this.status.textContent = message;
+    this.status.classList.toggle('is-error', !!isError);
+  };
+
+  /**
+   * Creates a labelled text field of the review.
+   *
+   * @param {string} tag
+   *   'input' or 'textarea'.
+   * @param {string} name
+   *   The field name.
+   * @param {string} value
+   *   The translated text.
+   * @param {string} label
+   *   The accessible label.
+   *
+   * @return {Element}
+   *   The field.
+   */
+  function createField(tag, name, value, label) {
+    var field = createElement(tag, 'form-element plan-translation__field');
+    if (tag === 'input') {
+      field.type = 'text';
+    }
+    else {
+      field.rows = Math.min(12, Math.max(3, value.split('\n').length + 1));
+    }
+    field.name = name;
+    field.value = value;
+    field.setAttribute('aria-label', label);
+    return field;
+  }
+
+  /**
+   * Retries the failed translations of a created page.
+   *
+   * @param {Element} container
+   *   The [data-plan-translation-status] element with the status table.
+   * @param {string} endpoint
+   *   The plan translations endpoint.
+   */
+  function TranslationStatus(container, endpoint) {
+    this.container = container;
+    this.endpoint = endpoint;
+
+    this.status = createElement('div', 'plan-translations__status');
+    this.status.setAttribute('role', 'status');
+    container.appendChild(this.status);
+
+    container.querySelectorAll('[data-translation-retry]').forEach(function (button) {
+      button.addEventListener('click', function () {
+        this.retry(button);
+      }.bind(this));
+    }, this);
+  }
+
+  /**
+   * Retries the translation of the row of a retry button.
+   *
+   * @param {HTMLButtonElement} button
+   *   The retry button.
+   */
+  TranslationStatus.prototype.retry = function (button) {
+    var langcode = button.dataset.translationRetry;
+    var row = button.closest('tr');
+    button.disabled = true;
+    this.setRow(row, 'processing', Drupal.t('Retrying...'));
+
+    Drupal.wizardClient.request(this.endpoint + '/' + encodeURIComponent(langcode) + '/retry', {
+      method: 'POST',
+      timeout: 'generation',
+      retries: 0
+    })
+      .then(function (data) {
+        var translation = data.translation;
+        this.setRow(row, translation.status, translation.error || '');
+        if (translation.status !== 'failed') {
+          button.remove();
+        }
+        if (data.complete) {
+          var message = Drupal.t('All translations have been added to the page.');
+          this.status.textContent = message;
+          Drupal.announce(message);
+        }
+      }.bind(this))
+      .catch(function (error) {
+        if (!Drupal.wizardClient.isAbort(error)) {
+          this.setRow(row, 'failed', error.message);
+        }
+      }.bind(this))
+      .finally(function () {
+        button.disabled = false;
+      });
+  };
+
+  /**
+   * Updates the status and message of a row.
+   */
+  TranslationStatus.prototype.setRow = function (row, status, message) {
+    row.className = row.className.replace(/\bis-[a-z]+\b/g, '').trim() + ' is-' + status;
+    var statusCell = row.querySelector('.plan-translation-status__status');
+    var messageCell = row.querySelector('.plan-translation-status__message');
+    if (statusCell) {
+      statusCell.textContent = status === 'processing' ? Drupal.t('Processing') : getStatusLabel(status);
+    }
+    if (messageCell) {
+      messageCell.textContent = message;
+    }
+  };
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,60 @@
+/**
+ * @file
+ * Prompt size of Step 2 in the Content Preparation Wizard.
+ *
+ * When the sources of the plan do not fit the prompt, plan generation waits
+ * until the editor has chosen whether oversized documents are summarized,
+ * planned in parts or truncated. The choice is sent to the plan generation
+ * endpoint as the 'oversized' query parameter.
+ */
+
+(function (Drupal, once) {
+
+  'use strict';
+
+  /**
+   * Prompt budget behavior.
+   */
+  Drupal.behaviors.promptBudget = {
+    attach: function (context) {
+      once('prompt-budget', '[data-prompt-budget-start]', context).forEach(function (button) {
+        var container = button.closest('[data-prompt-budget]');
+        button.addEventListener('click', function () {
+          startGeneration(container, button);
+        });
+      });
+    }
+  };
+
+  /**
+   * Starts plan generation with the chosen strategy.
+   *
+   * @param {Element} container
+   *   The [data-prompt-budget] details element.
+   * @param {HTMLButtonElement} button
+   *   The button starting the generation.
+   */
+  function startGeneration(container, button) {
+    var endpoint = Drupal.wizardClient.url('asyncPlan');
+    var loadingEl = document.getElementById('plan-loading');
+    if (!endpoint || !loadingEl) {
+      return;
+    }
+
+    var checked = container.querySelector('input[type="radio"]:checked');
+    var strategy = checked ? checked.value : 'truncate';
+    endpoint += (endpoint.indexOf('?') === -1 ? '?' : '&') + 'oversized=' + encodeURIComponent(strategy);
+
+    // The choice applies to this generation, retries included.
+    container.querySelectorAll('input[type="radio"]').forEach(function (radio) {
+      radio.disabled = true;
+    });
+    button.disabled = true;
+    container.open = false;
+    loadingEl.dataset.awaitBudget = 'false';
+
+    Drupal.announce(Drupal.t('Generating the content plan.'));
+    Drupal.behaviors.asyncPlanGeneration.loadPlanAsync(endpoint, document);
+  }
+
+})(Drupal, once);
@@ -0,0 +1,800 @@
+/**
+ * @file
+ * Section management for the content plan in the Content Preparation Wizard.
+ *
+ * Adds drag-and-drop and keyboard reordering, delete with undo, "add section
+ * after" and split/merge of adjacent sections to every section inside a
+ * [data-section-manager] container. The resulting structure is posted back as
+ * sections[<id>][weight] and sections[<id>][title] inputs alongside the
+ * existing component type and content fields.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * How long a deleted section can be restored, in milliseconds.
+   */
+  var UNDO_TIMEOUT = 10000;
+
+  /**
+   * The pending delete that can still be undone.
+   */
+  var pendingDelete = null;
+
+  /**
+   * The row currently being dragged.
+   */
+  var draggedRow = null;
+
+  /**
+   * Counter for client-side IDs of new sections.
+   */
+  var newSectionCounter = 0;
+
+  /**
+   * Section management behavior.
+   */
+  Drupal.behaviors.sectionManager = {
+    attach: function (context) {
+      once('section-manager', '[data-section-manager]', context).forEach(function (container) {
+        container.classList.add('is-section-managed');
+        container.addEventListener('dragover', onDragOver);
+        container.addEventListener('drop', function (e) {
+          e.preventDefault();
+        });
+      });
+
+      once('section-manager-item', '[data-section-manager] [data-section-id]', context).forEach(function (details) {
+        // Only top-level sections are managed.
+        var container = details.closest('[data-section-manager]');
+        if (details.parentNode !== container) {
+          return;
+        }
+        enhanceSection(details);
+        renumber(container);
+      });
+    },
+
+    /**
+     * Collects the current, possibly unsaved values of all sections.
+     *
+     * @param {Element} container
+     *   The [data-section-manager] container.
+     *
+     * @return {Array}
+     *   Objects with id, title, content, componentType and, if the section
+     *   has an image picker, images, in display order.
+     */
+    collectSections: function (container) {
+      var sections = container.querySelectorAll(':scope > [data-section-id], :scope > .plan-section-row > [data-section-id]');
+      return Array.prototype.map.call(sections, function (details) {
+        var id = details.dataset.sectionId;
+        var field = function (name) {
+          return details.querySelector('[name="sections[' + id + '][' + name + ']"]');
+        };
+        var title = field('title');
+        var summary = details.querySelector('summary');
+        var content = field('content');
+        var componentType = field('component_type');
+        // Only sections with an image picker (plan-images.js) have images.
+        var images = details.querySelectorAll('[name="sections[' + id + '][images][]"]');
+
+        var section = {
+          id: id,
+          title: title && title.value ? title.value : (summary ? summary.textContent.trim() : ''),
+          content: content ? content.value : '',
+          componentType: componentType ? componentType.value : ''
+        };
+        if (images.length) {
+          section.images = Array.prototype.map.call(images, function (input) {
+            return input.value;
+          }).filter(Boolean);
+        }
+        return section;
+      });
+    },
+
+    /**
+     * Converts sections to the format the wizard endpoints accept.
+     *
+     * @param {Array} sections
+     *   Sections as returned by collectSections().
+     *
+     * @return {Array}
+     *   Objects with id, title, content, component_type and, if known,
+     *   images.
+     */
+    serializeSections: function (sections) {
+      return sections.map(function (section) {
+        var entry = {
+          id: section.id,
+          title: section.title,
+          content: section.content,
+          component_type: section.componentType
+        };
+        if (section.images) {
+          entry.images = section.images;
+        }
+        return entry;
+      });
+    },
+
+    /**
+     * Collects the current title and sections of the plan editor.
+     *
+     * @param {Element} form
+     *   The wizard form.
+     *
+     * @return {Object}
+     *   The 'title' and, if sections are shown, the serialized 'sections',
+     *   as posted to the export, translation and review endpoints.
+     */
+    collectPlanEdits: function (form) {
+      var titleField = form.querySelector('input[name="title"]');
+      var container = form.querySelector('[data-section-manager]');
+      var data = {
+        title: titleField ? titleField.value : ''
+      };
+
+      if (container && container.querySelector('[data-section-id]')) {
+        data.sections = this.serializeSections(this.collectSections(container));
+      }
+
+      return data;
+    },
+
+    /**
+     * Replaces the sections of a container with the given structure.
+     *
+     * Existing sections are updated and reordered in place, missing ones are
+     * created and sections not in the list are removed.
+     *
+     * @param {Element} container
+     *   The [data-section-manager] container.
+     * @param {Array} sections
+     *   Objects with id, title, content and componentType, in display order.
+     */
+    restoreSections: function (container, sections) {
+      var rows = getRows(container);
+      if (!rows.length || !sections.length) {
+        return;
+      }
+
+      finalizePendingDelete();
+
+      var existing = {};
+      rows.forEach(function (row) {
+        existing[getDetails(row).dataset.sectionId] = row;
+      });
+
+      sections.forEach(function (section) {
+        var row = existing[section.id];
+        if (row) {
+          setTitle(row, section.title);
+          setContent(row, section.content);
+          var componentField = getField(row, 'component_type');
+          if (componentField) {
+            componentField.value = section.componentType;
+          }
+          container.appendChild(row);
+          delete existing[section.id];
+        }
+        else {
+          container.appendChild(buildSection(rows[0], section.id, section));
+        }
+      });
+
+      Object.keys(existing).forEach(function (id) {
+        existing[id].remove();
+      });
+
+      Drupal.attachBehaviors(container, drupalSettings);
+      renumber(container);
+    }
+  };
+
+  /**
+   * Wraps a section in a row with a drag handle and a toolbar.
+   */
+  function enhanceSection(details) {
+    var id = details.dataset.sectionId;
+    var row = document.createElement('div');
+    row.className = 'plan-section-row';
+    details.parentNode.insertBefore(row, details);
+
+    // Drag handle, also used for keyboard reordering.
+    var handle = document.createElement('button');
+    handle.type = 'button';
+    handle.className = 'plan-section-handle';
+    handle.innerHTML = '<span aria-hidden="true">&#x2807;&#x2807;</span>';
+    handle.addEventListener('mousedown', function () {
+      row.draggable = true;
+    });
+    handle.addEventListener('touchstart', function () {
+      row.draggable = true;
+    }, {passive: true});
+    handle.addEventListener('mouseup', function () {
+      row.draggable = false;
+    });
+    handle.addEventListener('keydown', function (e) {
+      if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        moveRow(row, e.key === 'ArrowUp' ? -1 : 1);
+      }
+    });
+
+    row.addEventListener('dragstart', function (e) {
+      if (!row.draggable) {
+        return;
+      }
+      draggedRow = row;
+      row.classList.add('is-dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      // Firefox requires data to be set for dragging to start.
+      e.dataTransfer.setData('text/plain', id);
+    });
+    row.addEventListener('dragend', function () {
+      row.draggable = false;
+      row.classList.remove('is-dragging');
+      draggedRow = null;
+      renumber(row.parentNode);
+      Drupal.announce(Drupal.t('Section @title moved to position @position.', {
+        '@title': getTitle(row),
+        '@position': getPosition(row)
+      }));
+    });
+
+    // Remember when the editor placed the cursor in the content, so that
+    // splitting happens there rather than in the middle.
+    ['mouseup', 'keyup'].forEach(function (eventName) {
+      details.addEventListener(eventName, function (e) {
+        if (e.target.tagName === 'TEXTAREA' && e.target.name === 'sections[' + id + '][content]') {
+          e.target.dataset.cursorPlaced = 'true';
+        }
+      });
+    });
+
+    row.appendChild(handle);
+    row.appendChild(details);
+    row.appendChild(buildToolbar(row));
+
+    ensureStructureInputs(row);
+  }
+
+  /**
+   * Builds the toolbar with section actions.
+   */
+  function buildToolbar(row) {
+    var toolbar = document.createElement('div');
+    toolbar.className = 'plan-section-toolbar';
+    toolbar.setAttribute('role', 'group');
+
+    var actions = [
+      {name: 'add', label: Drupal.t('Add section after'), handler: addSectionAfter},
+      {name: 'split', label: Drupal.t('Split'), handler: splitSection},
+      {name: 'merge', label: Drupal.t('Merge with next'), handler: mergeWithNext},
+      {name: 'delete', label: Drupal.t('Delete'), handler: deleteSection}
+    ];
+
+    actions.forEach(function (action) {
+      var button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'button button--extrasmall plan-section-action plan-section-action--' + action.name;
+      button.dataset.action = action.name;
+      button.textContent = action.label;
+      button.addEventListener('click', function (e) {
+        e.preventDefault();
+        action.handler(row);
+      });
+      toolbar.appendChild(button);
+    });
+
+    return toolbar;
+  }
+
+  /**
+   * Adds the weight and title inputs that describe the section structure.
+   */
+  function ensureStructureInputs(row) {
+    var details = getDetails(row);
+    var id = details.dataset.sectionId;
+
+    if (!getField(row, 'weight')) {
+      details.appendChild(createHiddenInput('sections[' + id + '][weight]', ''));
+    }
+    if (!getField(row, 'title')) {
+      var summary = details.querySelector('summary');
+      details.appendChild(createHiddenInput('sections[' + id + '][title]', summary ? summary.textContent.trim() : ''));
+    }
+  }
+
+  /**
+   * Updates weights, toolbar states and handle labels after a change.
+   */
+  function renumber(container) {
+    if (!container) {
+      return;
+    }
+    var rows = getRows(container);
+    rows.forEach(function (row, index) {
+      var weight = getField(row, 'weight');
+      if (weight) {
+        weight.value = index;
+      }
+
+      var handle = row.querySelector('.plan-section-handle');
+      handle.setAttribute('aria-label', Drupal.t('Move section @title (@position of @total). Use the up and down arrow keys to reorder.', {
+        '@title': getTitle(row),
+        '@position': index + 1,
+        '@total': rows.length
+      }));
+
+      var merge = row.querySelector('.plan-section-action--merge');
+      merge.disabled = index === rows.length - 1;
+
+      var remove = row.querySelector('.plan-section-action--delete');
+      remove.disabled = rows.length === 1;
+    });
+  }
+
+  /**
+   * Moves a row up or down by one position.
+   */
+  function moveRow(row, direction) {
+    var container = row.parentNode;
+    var sibling = direction < 0 ? getPreviousRow(row) : getNextRow(row);
+    if (!sibling) {
+      return;
+    }
+
+    container.insertBefore(row, direction < 0 ? sibling : sibling.nextSibling);
+    renumber(container);
+    row.querySelector('.plan-section-handle').focus();
+
+    Drupal.announce(Drupal.t('Section @title moved to position @position of @total.', {
+      '@title': getTitle(row),
+      '@position': getPosition(row),
+      '@total': getRows(container).length
+    }));
+  }
+
+  /**
+   * Repositions the dragged row according to the pointer position.
+   */
+  function onDragOver(e) {
+    if (!draggedRow || draggedRow.parentNode !== e.currentTarget) {
+      return;
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    var container = e.currentTarget;
+    var target = null;
+    getRows(container).some(function (row) {
+      if (row === draggedRow) {
+        return false;
+      }
+      var box = row.getBoundingClientRect();
+      if (e.clientY < box.top + box.height / 2) {
+        target = row;
+        return true;
+      }
+      return false;
+    });
+
+    if (target) {
+      if (draggedRow.nextSibling !== target) {
+        container.insertBefore(draggedRow, target);
+      }
+    }
+    else {
+      var rows = getRows(container);
+      var last = rows[rows.length - 1];
+      if (last !== draggedRow) {
+        container.insertBefore(draggedRow, last.nextSibling);
+      }
+    }
+  }
+
+  /**
+   * Inserts a new, empty section after the given row.
+   */
+  function addSectionAfter(row) {
+    var newRow = insertSectionAfter(row, {
+      title: '',
+      content: '',
+      componentType: getComponentType(row)
+    });
+
+    var titleInput = getField(newRow, 'title');
+    if (titleInput) {
+      titleInput.focus();
+    }
+    Drupal.announce(Drupal.t('New section added at position @position.', {
+      '@position': getPosition(newRow)
+    }));
+  }
+
+  /**
+   * Splits a section in two at the cursor or the middle paragraph break.
+   */
+  function splitSection(row) {
+    var contentField = getField(row, 'content');
+    if (!contentField) {
+      return;
+    }
+
+    var content = contentField.value;
+    var splitAt = findSplitPosition(contentField);
+    var first = content.substring(0, splitAt).trim();
+    var second = content.substring(splitAt).trim();
+
+    if (!first || !second) {
+      Drupal.announce(Drupal.t('This section is too short to split.'));
+      return;
+    }
+
+    setContent(row, first);
+    delete contentField.dataset.cursorPlaced;
+    var newRow = insertSectionAfter(row, {
+      title: Drupal.t('@title (continued)', {'@title': getTitle(row)}),
+      content: second,
+      componentType: getComponentType(row)
+    });
+
+    Drupal.announce(Drupal.t('Section split. The second part is now section @position.', {
+      '@position': getPosition(newRow)
+    }));
+  }
+
+  /**
+   * Determines where to split a section's content.
+   */
+  function findSplitPosition(contentField) {
+    var content = contentField.value;
+
+    // Prefer the cursor position when the editor placed one inside the text.
+    if (contentField.dataset.cursorPlaced === 'true') {
+      var cursor = contentField.selectionStart;
+      if (cursor > 0 && cursor < content.length) {
+        return cursor;
+      }
+    }
+
+    // Otherwise split at the paragraph break, or failing that the sentence
+    // end, closest to the middle.
+    var middle = content.length / 2;
+    var separators = [/\n\s*\n/g, /[.!?]\s+/g];
+    for (var i = 0; i < separators.length; i++) {
+      var best = -1;
+      var match;
+      while ((match = separators[i].exec(content)) !== null) {
+        var position = match.index + match[0].length;
+        if (position < content.length && (best === -1 || Math.abs(position - middle) < Math.abs(best - middle))) {
+          best = position;
+        }
+      }
+      if (best > 0) {
+        return best;
+      }
+    }
+
+    return Math.floor(middle);
+  }
+
+  /**
+   * Merges the following section into the given one.
+   */
+  function mergeWithNext(row) {
+    var next = getNextRow(row);
+    if (!next) {
+      return;
+    }
+
+    var merged = [getContent(row).trim(), getContent(next).trim()].filter(Boolean).join('\n\n');
+    setContent(row, merged);
+
+    var container = row.parentNode;
+    next.remove();
+    renumber(container);
+
+    Drupal.announce(Drupal.t('Section @title merged with the following section.', {
+      '@title': getTitle(row)
+    }));
+  }
+
+  /**
+   * Removes a section, offering to undo the deletion for a short time.
+   */
+  function deleteSection(row) {
+    var container = row.parentNode;
+    if (getRows(container).length === 1) {
+      return;
+    }
+
+    finalizePendingDelete();
+
+    var position = getPosition(row);
+    var title = getTitle(row);
+    var focusTarget = getNextRow(row) || getPreviousRow(row);
+    row.remove();
+    renumber(container);
+
+    var notice = document.createElement('div');
+    notice.className = 'messages messages--status plan-section-undo';
+    notice.setAttribute('role', 'status');
+
+    var message = document.createElement('span');
+    message.textContent = Drupal.t('Section "@title" deleted.', {'@title': title || Drupal.t('Untitled')});
+    notice.appendChild(message);
+
+    var undo = document.createElement('button');
+    undo.type = 'button';
+    undo.className = 'button button--extrasmall';
+    undo.textContent = Drupal.t('Undo');
+    undo.addEventListener('click', undoDelete);
+    notice.appendChild(undo);
+
+    container.parentNode.insertBefore(notice, container);
+
+    pendingDelete = {
+      row: row,
+      container: container,
+      position: position,
+      notice: notice,
+      timer: setTimeout(finalizePendingDelete, UNDO_TIMEOUT)
+    };
+
+    if (focusTarget) {
+      focusTarget.querySelector('.plan-section-handle').focus();
+    }
+  }
+
+  /**
+   * Restores the most recently deleted section.
+   */
+  function undoDelete() {
+    if (!pendingDelete) {
+      return;
+    }
+
+    var deleted = pendingDelete;
+    finalizePendingDelete();
+
+    // The plan may have been regenerated in the meantime.
+    if (!deleted.container.isConnected) {
+      return;
+    }
+
+    var rows = getRows(deleted.container);
+    var reference = rows[deleted.position - 1] || null;
+    deleted.container.insertBefore(deleted.row, reference);
+    renumber(deleted.container);
+    deleted.row.querySelector('.plan-section-handle').focus();
+
+    Drupal.announce(Drupal.t('Section @title restored.', {
+      '@title': getTitle(deleted.row)
+    }));
+  }
+
+  /**
+   * Makes the pending deletion permanent.
+   */
+  function finalizePendingDelete() {
+    if (!pendingDelete) {
+      return;
+    }
+    clearTimeout(pendingDelete.timer);
+    pendingDelete.notice.remove();
+    pendingDelete = null;
+  }
+
+  /**
+   * Creates a new section row after the given row.
+   */
+  function insertSectionAfter(row, data) {
+    var id = 'new_' + Date.now().toString(36) + '_' + (++newSectionCounter);
+    var details = buildSection(row, id, data);
+    var container = row.parentNode;
+
+    container.insertBefore(details, row.nextSibling);
+    Drupal.attachBehaviors(container, drupalSettings);
+
+    return details.parentNode;
+  }
+
+  /**
+   * Builds the markup for a new section, modelled on an existing one.
+   */
+  function buildSection(referenceRow, id, data) {
+    var idPrefix = 'edit-sections-' + id.replace(/_/g, '-');
+
+    var details = document.createElement('details');
+    details.className = 'plan-section-item';
+    details.dataset.sectionId = id;
+    details.open = true;
+
+    var summary = document.createElement('summary');
+    summary.textContent = data.title || Drupal.t('New section');
+    details.appendChild(summary);
+
+    var inner = document.createElement('div');
+    inner.className = 'details-wrapper';
+
+    // Title.
+    var titleItem = createFormItem('textfield', idPrefix + '-title', Drupal.t('Section Title'));
+    var titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.id = idPrefix + '-title';
+    titleInput.name = 'sections[' + id + '][title]';
+    titleInput.className = 'form-text';
+    titleInput.value = data.title;
+    titleInput.addEventListener('input', function () {
+      summary.textContent = titleInput.value || Drupal.t('New section');
+    });
+    titleItem.appendChild(titleInput);
+    inner.appendChild(titleItem);
+
+    // Component type, reusing the options of the reference section.
+    var referenceSelect = getDetails(referenceRow).querySelector('select[name$="[component_type]"]');
+    if (referenceSelect) {
+      var selectItem = createFormItem('select', idPrefix + '-component-type', Drupal.t('Component Type'));
+      var select = referenceSelect.cloneNode(true);
+      select.id = idPrefix + '-component-type';
+      select.name = 'sections[' + id + '][component_type]';
+      select.value = data.componentType;
+      selectItem.appendChild(select);
+      inner.appendChild(selectItem);
+    }
+    else {
+      inner.appendChild(createHiddenInput('sections[' + id + '][component_type]', data.componentType));
+    }
+
+    // Content.
+    var contentItem = createFormItem('textarea', idPrefix + '-content', Drupal.t('Section Content'));
+    var textarea = document.createElement('textarea');
+    textarea.id = idPrefix + '-content';
+    textarea.name = 'sections[' + id + '][content]';
+    textarea.className = 'section-content-textarea form-textarea';
+    textarea.rows = 6;
+    textarea.value = data.content;
+    contentItem.appendChild(textarea);
+    inner.appendChild(contentItem);
+
+    details.appendChild(inner);
+
+    return details;
+  }
+
+  /**
+   * Creates a form item wrapper with a label.
+   */
+  function createFormItem(type, inputId, labelText) {
+    var item = document.createElement('div');
+    item.className = 'js-form-item form-item js-form-type-' + type + ' form-type--' + type;
+    var label = document.createElement('label');
+    label.setAttribute('for', inputId);
+    label.className = 'form-item__label';
+    label.textContent = labelText;
+    item.appendChild(label);
+    return item;
+  }
+
+  /**
+   * Creates a hidden input.
+   */
+  function createHiddenInput(name, value) {
+    var input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = value;
+    return input;
+  }
+
+  /**
+   * Gets the details element of a row.
+   */
+  function getDetails(row) {
+    return row.querySelector('[data-section-id]');
+  }
+
+  /**
+   * Gets a posted field of the section in a row.
+   */
+  function getField(row, field) {
+    var details = getDetails(row);
+    return details.querySelector('[name="sections[' + details.dataset.sectionId + '][' + field + ']"]');
+  }
+
+  /**
+   * Gets the section title of a row.
+   */
+  function getTitle(row) {
+    var titleField = getField(row, 'title');
+    if (titleField && titleField.value) {
+      return titleField.value;
+    }
+    var summary = getDetails(row).querySelector('summary');
+    return summary ? summary.textContent.trim() : '';
+  }
+
+  /**
+   * Sets the section title of a row.
+   */
+  function setTitle(row, title) {
+    var titleField = getField(row, 'title');
+    if (titleField) {
+      titleField.value = title;
+    }
+    var summary = getDetails(row).querySelector('summary');
+    if (summary) {
+      summary.textContent = title || Drupal.t('New section');
+    }
+  }
+
+  /**
+   * Gets the content of the section in a row.
+   */
+  function getContent(row) {
+    var contentField = getField(row, 'content');
+    return contentField ? contentField.value : '';
+  }
+
+  /**
+   * Sets the content of the section in a row.
+   */
+  function setContent(row, content) {
+    var contentField = getField(row, 'content');
+    if (contentField) {
+      contentField.value = content;
+      contentField.dispatchEvent(new Event('input', {bubbles: true}));
+    }
+  }
+
+  /**
+   * Gets the component type of the section in a row.
+   */
+  function getComponentType(row) {
+    var componentField = getField(row, 'component_type');
+    return componentField ? componentField.value : 'text';
+  }
+
+  /**
+   * Gets the section rows of a container.
+   */
+  function getRows(container) {
+    return Array.prototype.slice.call(container.querySelectorAll(':scope > .plan-section-row'));
+  }
+
+  /**
+   * Gets the 1-based position of a row.
+   */
+  function getPosition(row) {
+    return getRows(row.parentNode).indexOf(row) + 1;
+  }
+
+  /**
+   * Gets the previous section row.
+   */
+  function getPreviousRow(row) {
+    var sibling = row.previousElementSibling;
+    while (sibling && !sibling.classList.contains('plan-section-row')) {
+      sibling = sibling.previousElementSibling;
+    }
+    return sibling;
+  }
+
+  /**
+   * Gets the next section row.
+   */
+  function getNextRow(row) {
+    var sibling = row.nextElementSibling;
+    while (sibling && !sibling.classList.contains('plan-section-row')) {
+      sibling = sibling.nextElementSibling;
+    }
+    return sibling;
+  }
+
+})(Drupal, drupalSettings, once);
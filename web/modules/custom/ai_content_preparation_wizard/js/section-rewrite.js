@@ -0,0 +1,253 @@
+/**
+ * @file
+ * Per-section "rewrite this section" action for the content plan.
+ *
+ * Each top-level section inside a [data-section-manager] container gets its
+ * own instruction box. Only the rewritten section's fields are replaced, so
+ * unsaved edits in other sections are kept.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Section rewrite behavior.
+   */
+  Drupal.behaviors.sectionRewrite = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      var endpoint = wizardSettings.refineSectionEndpoint;
+      if (!endpoint) {
+        return;
+      }
+
+      once('section-rewrite', '[data-section-manager] [data-section-id]', context).forEach(function (details) {
+        // Only top-level sections can be rewritten on their own.
+        if (details.parentElement.closest('[data-section-id]')) {
+          return;
+        }
+        addRewriteControls(details, endpoint);
+      });
+    }
+  };
+
+  /**
+   * Adds the rewrite toggle and instruction box to a section.
+   */
+  function addRewriteControls(details, endpoint) {
+    var id = details.dataset.sectionId;
+    var idPrefix = 'section-rewrite-' + id.replace(/_/g, '-');
+    var target = details.querySelector('.details-wrapper') || details;
+
+    var wrapper = document.createElement('div');
+    wrapper.className = 'section-rewrite';
+
+    var toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'button button--extrasmall section-rewrite-toggle';
+    toggle.textContent = Drupal.t('Rewrite this section');
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', idPrefix);
+    wrapper.appendChild(toggle);
+
+    var panel = document.createElement('div');
+    panel.className = 'section-rewrite-form';
+    panel.id = idPrefix;
+    panel.hidden = true;
+
+    var label = document.createElement('label');
+    label.setAttribute('for', idPrefix + '-instructions');
+    label.className = 'form-item__label';
+    label.textContent = Drupal.t('Instructions for this section');
+    panel.appendChild(label);
+
+    // The instructions have no name, so they are never posted with the form.
+    var instructions = document.createElement('textarea');
+    instructions.id = idPrefix + '-instructions';
+    instructions.className = 'form-textarea section-rewrite-instructions';
+    instructions.rows = 2;
+    instructions.placeholder = Drupal.t('e.g. Make it shorter and more conversational');
+    panel.appendChild(instructions);
+
+    var actions = document.createElement('div');
+    actions.className = 'section-rewrite-actions';
+
+    var submit = document.createElement('button');
+    submit.type = 'button';
+    submit.className = 'button button--small button--primary';
+    submit.textContent = Drupal.t('Rewrite');
+    actions.appendChild(submit);
+
+    var cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'button button--small';
+    cancel.textContent = Drupal.t('Cancel');
+    actions.appendChild(cancel);
+    panel.appendChild(actions);
+
+    var status = document.createElement('div');
+    status.className = 'section-rewrite-status';
+    status.setAttribute('role', 'status');
+    panel.appendChild(status);
+
+    wrapper.appendChild(panel);
+    target.appendChild(wrapper);
+
+    var pending = null;
+
+    var setOpen = function (open) {
+      panel.hidden = !open;
+      toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+      if (open) {
+        instructions.focus();
+      }
+    };
+
+    toggle.addEventListener('click', function () {
+      setOpen(panel.hidden);
+    });
+    cancel.addEventListener('click', function () {
+      // Cancelling during a rewrite stops the request.
+      if (pending) {
+        pending.abort();
+        return;
+      }
+      setOpen(false);
+      toggle.focus();
+    });
+    instructions.addEventListener('keydown', function (e) {
+      // Ctrl/Cmd+Enter submits, Escape closes the box.
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        submit.click();
+      }
+      else if (e.key === 'Escape') {
+        e.preventDefault();
+        setOpen(false);
+        toggle.focus();
+      }
+    });
+
+    submit.addEventListener('click', function () {
+      var text = instructions.value.trim();
+      if (!text) {
+        status.textContent = Drupal.t('Please enter instructions for this section.');
+        instructions.focus();
+        return;
+      }
+
+      submit.disabled = true;
+      pending = new AbortController();
+      details.setAttribute('aria-busy', 'true');
+      details.classList.add('is-rewriting');
+      status.textContent = Drupal.t('Rewriting section...');
+
+      Drupal.wizardClient.request(endpoint, {
+        method: 'POST',
+        data: {
+          section_id: id,
+          instructions: text,
+          section: getSectionValues(details)
+        },
+        timeout: 'generation',
+        // The server retries the AI provider itself.
+        retries: 0,
+        signal: pending.signal
+      })
+      .then(function (data) {
+        if (!data.success) {
+          throw new Error(data.error || Drupal.t('Failed to rewrite section.'));
+        }
+        applySection(details, data.section);
+        instructions.value = '';
+        status.textContent = '';
+        setOpen(false);
+        Drupal.announce(Drupal.t('Section @title has been rewritten.', {'@title': data.section.title}));
+        document.dispatchEvent(new CustomEvent('aiContentPreparationWizard:planChanged', {
+          detail: {showChanges: false}
+        }));
+      })
+      .catch(function (error) {
+        if (Drupal.wizardClient.isAbort(error)) {
+          status.textContent = Drupal.t('The rewrite was cancelled.');
+          return;
+        }
+        console.error('Section rewrite error:', error);
+        status.textContent = error.message || Drupal.t('An error occurred while rewriting the section.');
+      })
+      .finally(function () {
+        pending = null;
+        submit.disabled = false;
+        details.removeAttribute('aria-busy');
+        details.classList.remove('is-rewriting');
+      });
+    });
+  }
+
+  /**
+   * Gets a posted field of a section.
+   */
+  function getField(details, field) {
+    return details.querySelector('[name="sections[' + details.dataset.sectionId + '][' + field + ']"]');
+  }
+
+  /**
+   * Collects the current, possibly unsaved values of a section.
+   */
+  function getSectionValues(details) {
+    var values = {};
+    var summary = details.querySelector('summary');
+    var title = getField(details, 'title');
+    var content = getField(details, 'content');
+    var componentType = getField(details, 'component_type');
+
+    values.title = title && title.value ? title.value : (summary ? summary.textContent.trim() : '');
+    if (content) {
+      values.content = content.value;
+    }
+    if (componentType) {
+      values.component_type = componentType.value;
+    }
+    return values;
+  }
+
+  /**
+   * Replaces the fields of a section with the rewritten values.
+   */
+  function applySection(details, section) {
+    var summary = details.querySelector('summary');
+    if (summary) {
+      summary.textContent = section.title;
+    }
+
+    var title = getField(details, 'title');
+    if (title) {
+      title.value = section.title;
+    }
+
+    var content = getField(details, 'content');
+    if (content) {
+      content.value = section.content;
+      content.dispatchEvent(new Event('input', {bubbles: true}));
+    }
+
+    var componentType = getField(details, 'component_type');
+    if (componentType) {
+      if (componentType.tagName === 'SELECT' && !componentType.querySelector('option[value="' + section.componentType + '"]')) {
+        var option = document.createElement('option');
+        option.value = section.componentType;
+        option.textContent = section.componentType;
+        componentType.appendChild(option);
+      }
+      componentType.value = section.componentType;
+      componentType.dispatchEvent(new Event('change', {bubbles: true}));
+    }
+
+    details.classList.add('is-updated');
+    setTimeout(function () {
+      details.classList.remove('is-updated');
+    }, 2000);
+  }
+
+})(Drupal, drupalSettings, once);
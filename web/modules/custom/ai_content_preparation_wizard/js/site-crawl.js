@@ -0,0 +1,538 @@
+/**
+ * @file
+ * Site crawl of Step 1 in the Content Preparation Wizard.
+ *
+ * Starts a crawl from the URL and options of the "Crawl a site" fields and
+ * advances it a few pages per request, showing its progress. Every fetched
+ * page can be picked for the content plan; the picked URLs are written to a
+ * hidden field, so the form uses the crawled content without fetching the
+ * pages again.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * The delay before the next pages are requested after an error, in ms.
+   */
+  var RETRY_DELAY = 5000;
+
+  /**
+   * Site crawl behavior.
+   */
+  Drupal.behaviors.siteCrawl = {
+    attach: function (context) {
+      var endpoint = Drupal.wizardClient.url('siteCrawl');
+      if (!endpoint) {
+        return;
+      }
+
+      once('site-crawl', '[data-site-crawl]', context).forEach(function (container) {
+        var form = container.closest('form');
+        var idField = form ? form.querySelector('[data-crawl-id]') : null;
+        var pagesField = form ? form.querySelector('[data-crawl-pages]') : null;
+        if (idField && pagesField) {
+          new SiteCrawl(container, form, idField, pagesField, endpoint);
+        }
+      });
+    }
+  };
+
+  /**
+   * Controls the crawl of one wizard form.
+   *
+   * @param {Element} container
+   *   The [data-site-crawl] container.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   * @param {HTMLInputElement} idField
+   *   The hidden field holding the crawl ID.
+   * @param {HTMLInputElement} pagesField
+   *   The hidden field listing the picked page URLs.
+   * @param {string} endpoint
+   *   The crawl endpoint URL.
+   */
+  function SiteCrawl(container, form, idField, pagesField, endpoint) {
+    this.container = container;
+    this.form = form;
+    this.idField = idField;
+    this.pagesField = pagesField;
+    this.endpoint = endpoint;
+    this.crawl = null;
+    this.running = false;
+    this.pending = false;
+    this.selected = {};
+    this.known = {};
+
+    this.build();
+    container.hidden = false;
+
+    this.restore();
+  }
+
+  /**
+   * Builds the controls, the progress display and the page table.
+   */
+  SiteCrawl.prototype.build = function () {
+    var actions = document.createElement('div');
+    actions.className = 'site-crawl__actions';
+    this.container.appendChild(actions);
+
+    this.startButton = this.createButton(Drupal.t('Start crawl'), this.start);
+    this.startButton.classList.add('button--primary');
+    this.pauseButton = this.createButton(Drupal.t('Pause'), this.togglePause);
+    this.cancelButton = this.createButton(Drupal.t('Cancel crawl'), this.cancel);
+    actions.appendChild(this.startButton);
+    actions.appendChild(this.pauseButton);
+    actions.appendChild(this.cancelButton);
+
+    this.progress = document.createElement('progress');
+    this.progress.className = 'site-crawl__progress';
+    this.progress.max = 1;
+    this.progress.value = 0;
+    this.container.appendChild(this.progress);
+
+    this.status = document.createElement('p');
+    this.status.className = 'site-crawl__status';
+    this.status.setAttribute('role', 'status');
+    this.container.appendChild(this.status);
+
+    this.selection = document.createElement('div');
+    this.selection.className = 'site-crawl__selection';
+    this.selection.appendChild(this.createButton(Drupal.t('Select all'), function () {
+      this.selectAll(true);
+    }));
+    this.selection.appendChild(this.createButton(Drupal.t('Select none'), function () {
+      this.selectAll(false);
+    }));
+    this.selectionCount = document.createElement('span');
+    this.selectionCount.className = 'site-crawl__count';
+    this.selection.appendChild(this.selectionCount);
+    this.container.appendChild(this.selection);
+
+    this.table = document.createElement('table');
+    this.table.className = 'site-crawl__pages';
+    var head = this.table.createTHead().insertRow();
+    [Drupal.t('Use'), Drupal.t('Page'), Drupal.t('Depth'), Drupal.t('Status'), Drupal.t('Words')].forEach(function (label) {
+      var cell = document.createElement('th');
+      cell.textContent = label;
+      head.appendChild(cell);
+    });
+    this.body = this.table.createTBody();
+    this.container.appendChild(this.table);
+
+    this.table.addEventListener('change', this.onToggle.bind(this));
+    this.updateControls();
+  };
+
+  /**
+   * Creates a control button.
+   *
+   * @param {string} label
+   *   The button label.
+   * @param {Function} handler
+   *   The click handler, called on the crawl.
+   *
+   * @return {HTMLButtonElement}
+   *   The button.
+   */
+  SiteCrawl.prototype.createButton = function (label, handler) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button button--small';
+    button.textContent = label;
+    button.addEventListener('click', handler.bind(this));
+    return button;
+  };
+
+  /**
+   * Gets the value of a crawl option field.
+   *
+   * @param {string} name
+   *   The option name, e.g. 'max_depth'.
+   *
+   * @return {string}
+   *   The trimmed field value.
+   */
+  SiteCrawl.prototype.getOption = function (name) {
+    var field = this.form.querySelector('[data-crawl-field="' + name + '"]');
+    return field ? field.value.trim() : '';
+  };
+
+  /**
+   * Continues the crawl of the form, e.g. after a validation error.
+   */
+  SiteCrawl.prototype.restore = function () {
+    var crawlId = this.idField.value;
+    if (!crawlId) {
+      return;
+    }
+
+    var picked = this.pagesField.value.split(/\s+/);
+
+    Drupal.wizardClient.request(this.getCrawlUrl(crawlId))
+      .then(function (response) {
+        // Only the pages picked before the form was rebuilt stay picked.
+        response.crawl.pages.forEach(function (page) {
+          if (page.status === 'fetched') {
+            this.known[page.url] = true;
+            this.selected[page.url] = picked.indexOf(page.url) !== -1;
+          }
+        }, this);
+        this.render(response.crawl);
+        if (!response.crawl.finished) {
+          this.setRunning(true);
+        }
+      }.bind(this), function () {
+        this.reset();
+        this.setStatus(Drupal.t('The previous crawl has expired. Please start the crawl again.'));
+      }.bind(this));
+  };
+
+  /**
+   * Starts a new crawl with the current options.
+   */
+  SiteCrawl.prototype.start = function () {
+    var url = this.getOption('url');
+    if (!url) {
+      this.setStatus(Drupal.t('Enter the URL of a page or sitemap to crawl.'));
+      return;
+    }
+
+    var lines = function (value) {
+      return value.split(/\r?\n/).map(function (line) {
+        return line.trim();
+      }).filter(Boolean);
+    };
+
+    this.discard();
+    this.startButton.disabled = true;
+    this.setStatus(Drupal.t('Reading robots.txt of the site...'));
+
+    Drupal.wizardClient.request(this.endpoint, {
+      method: 'POST',
+      retries: 0,
+      data: {
+        url: url,
+        max_depth: parseInt(this.getOption('max_depth'), 10),
+        max_pages: parseInt(this.getOption('max_pages'), 10),
+        include: lines(this.getOption('include')),
+        exclude: lines(this.getOption('exclude'))
+      }
+    }).then(function (response) {
+      this.idField.value = response.crawl.id;
+      this.render(response.crawl);
+      this.setRunning(true);
+    }.bind(this), function (error) {
+      this.setStatus(error.message || Drupal.t('The crawl could not be started.'));
+      Drupal.announce(Drupal.t('The crawl could not be started.'), 'assertive');
+      this.updateControls();
+    }.bind(this));
+  };
+
+  /**
+   * Pauses or resumes the crawl.
+   */
+  SiteCrawl.prototype.togglePause = function () {
+    this.setRunning(!this.running);
+    if (!this.running) {
+      this.setStatus(Drupal.t('The crawl is paused.'));
+    }
+  };
+
+  /**
+   * Starts or stops requesting the next pages.
+   *
+   * @param {boolean} running
+   *   Whether the crawl should run.
+   */
+  SiteCrawl.prototype.setRunning = function (running) {
+    var wasRunning = this.running;
+    this.running = running && !!this.crawl && !this.crawl.finished;
+    this.updateControls();
+    if (this.running && !wasRunning) {
+      this.next();
+    }
+  };
+
+  /**
+   * Requests the next pages until the crawl is finished or paused.
+   */
+  SiteCrawl.prototype.next = function () {
+    if (!this.running || !this.crawl || this.pending) {
+      return;
+    }
+
+    var crawlId = this.crawl.id;
+    this.pending = true;
+    Drupal.wizardClient.request(this.getCrawlUrl(crawlId) + '/next', {
+      method: 'POST',
+      timeout: 'generation',
+      // A retry would fetch the pages of the failed batch again.
+      retries: 0
+    }).then(function (response) {
+      this.pending = false;
+      // The crawl was cancelled or replaced meanwhile.
+      if (!this.crawl || this.crawl.id !== crawlId) {
+        return;
+      }
+      this.render(response.crawl);
+      if (response.crawl.finished) {
+        this.running = false;
+        this.updateControls();
+        Drupal.announce(this.status.textContent);
+        return;
+      }
+      this.next();
+    }.bind(this), function (error) {
+      this.pending = false;
+      if (!this.crawl || this.crawl.id !== crawlId) {
+        return;
+      }
+      if (error.status === 404) {
+        this.reset();
+        this.setStatus(error.message);
+        return;
+      }
+      // Connection problems pause the crawl briefly.
+      this.setStatus(Drupal.t('@error Retrying shortly...', {'@error': error.message || ''}));
+      setTimeout(this.next.bind(this), RETRY_DELAY);
+    }.bind(this));
+  };
+
+  /**
+   * Cancels the crawl and discards its pages.
+   */
+  SiteCrawl.prototype.cancel = function () {
+    this.discard();
+    this.setStatus(Drupal.t('The crawl was cancelled.'));
+  };
+
+  /**
+   * Deletes the current crawl, if any, and clears the display.
+   */
+  SiteCrawl.prototype.discard = function () {
+    if (this.crawl) {
+      Drupal.wizardClient.request(this.getCrawlUrl(this.crawl.id), {method: 'DELETE', retries: 0}).catch(function () {
+        // The crawl expires anyway.
+      });
+    }
+    this.reset();
+  };
+
+  /**
+   * Forgets the crawl without deleting it.
+   */
+  SiteCrawl.prototype.reset = function () {
+    this.crawl = null;
+    this.running = false;
+    this.selected = {};
+    this.known = {};
+    this.idField.value = '';
+    this.pagesField.value = '';
+    this.body.textContent = '';
+    this.progress.value = 0;
+    this.progress.max = 1;
+    this.setStatus('');
+    this.updateControls();
+  };
+
+  /**
+   * Shows the state of the crawl.
+   *
+   * @param {Object} crawl
+   *   The crawl data returned by the endpoints.
+   */
+  SiteCrawl.prototype.render = function (crawl) {
+    this.crawl = crawl;
+    var counts = crawl.counts;
+    var done = counts.fetched + counts.failed;
+
+    this.progress.max = Math.max(1, done + counts.queued);
+    this.progress.value = done;
+
+    var status;
+    if (crawl.finished) {
+      status = Drupal.t('Crawl finished: @fetched pages fetched, @failed failed, @blocked blocked by robots.txt.', {
+        '@fetched': counts.fetched,
+        '@failed': counts.failed,
+        '@blocked': counts.blocked
+      });
+      if (crawl.limitReached) {
+        status += ' ' + Drupal.t('The limit of @max pages was reached.', {'@max': crawl.maxPages});
+      }
+    }
+    else {
+      status = Drupal.t('Crawling @url: @done of @total pages done.', {
+        '@url': crawl.startUrl,
+        '@done': done,
+        '@total': done + counts.queued
+      });
+    }
+    this.setStatus(status);
+
+    // Newly fetched pages are picked until they are unchecked.
+    crawl.pages.forEach(function (page) {
+      if (page.status === 'fetched' && !this.known[page.url]) {
+        this.known[page.url] = true;
+        this.selected[page.url] = true;
+      }
+    }, this);
+
+    this.renderPages(crawl.pages);
+    this.writeSelection();
+    this.updateControls();
+  };
+
+  /**
+   * Renders the page table.
+   *
+   * @param {Array} pages
+   *   The pages of the crawl data.
+   */
+  SiteCrawl.prototype.renderPages = function (pages) {
+    this.body.textContent = '';
+
+    pages.forEach(function (page) {
+      var row = this.body.insertRow();
+      row.className = 'site-crawl__page site-crawl__page--' + page.status;
+
+      var useCell = row.insertCell();
+      var checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = page.url;
+      checkbox.checked = !!this.selected[page.url];
+      checkbox.disabled = page.status !== 'fetched';
+      checkbox.setAttribute('aria-label', Drupal.t('Use @page', {'@page': page.title || page.url}));
+      useCell.appendChild(checkbox);
+
+      var pageCell = row.insertCell();
+      var title = document.createElement('span');
+      title.className = 'site-crawl__title';
+      title.textContent = page.title || page.url;
+      pageCell.appendChild(title);
+      var url = document.createElement('span');
+      url.className = 'site-crawl__url';
+      url.textContent = page.url;
+      pageCell.appendChild(url);
+
+      row.insertCell().textContent = page.depth;
+
+      var statusCell = row.insertCell();
+      statusCell.textContent = getStatusLabel(page.status);
+      if (page.error) {
+        var error = document.createElement('span');
+        error.className = 'site-crawl__error';
+        error.textContent = page.error;
+        statusCell.appendChild(error);
+      }
+
+      row.insertCell().textContent = page.status === 'fetched' ? page.words : '';
+    }, this);
+  };
+
+  /**
+   * Handles a checkbox of the page table.
+   *
+   * @param {Event} e
+   *   The change event.
+   */
+  SiteCrawl.prototype.onToggle = function (e) {
+    if (e.target.type !== 'checkbox') {
+      return;
+    }
+    this.selected[e.target.value] = e.target.checked;
+    this.writeSelection();
+  };
+
+  /**
+   * Picks all or none of the fetched pages.
+   *
+   * @param {boolean} select
+   *   Whether to pick the pages.
+   */
+  SiteCrawl.prototype.selectAll = function (select) {
+    Object.keys(this.known).forEach(function (url) {
+      this.selected[url] = select;
+    }, this);
+    this.body.querySelectorAll('input[type="checkbox"]:not(:disabled)').forEach(function (checkbox) {
+      checkbox.checked = select;
+    });
+    this.writeSelection();
+  };
+
+  /**
+   * Writes the picked page URLs to the hidden field.
+   */
+  SiteCrawl.prototype.writeSelection = function () {
+    var urls = Object.keys(this.selected).filter(function (url) {
+      return this.selected[url] && this.known[url];
+    }, this);
+    this.pagesField.value = urls.join(' ');
+    this.selectionCount.textContent = Drupal.formatPlural(urls.length, '1 page picked for the content plan.', '@count pages picked for the content plan.');
+  };
+
+  /**
+   * Enables the controls that apply to the current state.
+   */
+  SiteCrawl.prototype.updateControls = function () {
+    var active = !!this.crawl && !this.crawl.finished;
+    this.startButton.disabled = this.running;
+    this.pauseButton.hidden = !active;
+    this.pauseButton.textContent = this.running ? Drupal.t('Pause') : Drupal.t('Resume');
+    this.cancelButton.hidden = !this.crawl;
+    this.progress.hidden = !this.crawl;
+    this.selection.hidden = !this.crawl;
+    this.table.hidden = !this.crawl || !this.crawl.pages.length;
+  };
+
+  /**
+   * Sets the status text.
+   *
+   * @param {string} text
+   *   The text.
+   */
+  SiteCrawl.prototype.setStatus = function (text) {
+    this.status.textContent = text;
+  };
+
+  /**
+   * Gets the URL of a crawl.
+   *
+   * @param {string} crawlId
+   *   The crawl ID.
+   *
+   * @return {string}
+   *   The URL.
+   */
+  SiteCrawl.prototype.getCrawlUrl = function (crawlId) {
+    return this.endpoint + '/' + encodeURIComponent(crawlId);
+  };
+
+  /**
+   * Gets the label of a page status.
+   *
+   * @param {string} status
+   *   The status: 'queued', 'fetched', 'failed' or 'blocked'.
+   *
+   * @return {string}
+   *   The translated label.
+   */
+  function getStatusLabel(status) {
+    switch (status) {
+      case 'fetched':
+        return Drupal.t('Fetched');
+
+      case 'failed':
+        return Drupal.t('Failed');
+
+      case 'blocked':
+        return Drupal.t('Blocked by robots.txt');
+
+      default:
+        return Drupal.t('Queued');
+    }
+  }
+
+})(Drupal, drupalSettings, once);
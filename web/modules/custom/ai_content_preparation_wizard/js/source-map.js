@@ -0,0 +1,369 @@
+/**
+ * @file
+ * Source mapping view of the content plan in the Content Preparation Wizard.
+ *
+ * Shows the processed source content next to the section list. Selecting a
+ * section scrolls to and highlights the passages it was generated from;
+ * passages not used by any section are marked. The mapping follows edits.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Delay after the last change before the mapping is updated, in ms.
+   */
+  var UPDATE_DELAY = 1000;
+
+  /**
+   * Source map behavior.
+   */
+  Drupal.behaviors.sourceMap = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      var endpoint = wizardSettings.sourceMapEndpoint;
+      if (!endpoint) {
+        return;
+      }
+
+      once('source-map', '[data-source-map]', context).forEach(function (panel) {
+        var form = panel.closest('form');
+        var toggle = form ? form.querySelector('[data-source-map-toggle]') : null;
+        if (toggle) {
+          new SourceMap(panel, toggle, form, endpoint);
+        }
+      });
+    }
+  };
+
+  /**
+   * Links the sections of one plan editor to their source passages.
+   *
+   * @param {Element} panel
+   *   The [data-source-map] pane.
+   * @param {HTMLButtonElement} toggle
+   *   The button showing and hiding the pane.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   * @param {string} endpoint
+   *   The source map endpoint URL.
+   */
+  function SourceMap(panel, toggle, form, endpoint) {
+    this.panel = panel;
+    this.toggle = toggle;
+    this.form = form;
+    this.endpoint = endpoint;
+    this.isOpen = false;
+    this.stale = true;
+    this.request = null;
+    this.timer = null;
+    this.activeSectionId = null;
+    this.blocks = [];
+
+    this.status = document.createElement('div');
+    this.status.className = 'source-map-status';
+    this.status.setAttribute('role', 'status');
+    panel.appendChild(this.status);
+
+    var legend = document.createElement('div');
+    legend.className = 'source-map-legend';
+    legend.innerHTML =
+      '<span class="source-map-legend__item source-map-legend__item--highlighted">' + Drupal.t('Source of the selected section') + '</span>' +
+      '<span class="source-map-legend__item source-map-legend__item--unused">' + Drupal.t('Not used by any section') + '</span>';
+    panel.appendChild(legend);
+
+    this.content = document.createElement('div');
+    this.content.className = 'source-map-content';
+    panel.appendChild(this.content);
+
+    toggle.addEventListener('click', function () {
+      this.setOpen(!this.isOpen);
+    }.bind(this));
+
+    // Selecting a section, with the mouse or the keyboard, shows its source.
+    form.addEventListener('click', this.onSelect.bind(this));
+    form.addEventListener('focusin', this.onSelect.bind(this));
+    this.content.addEventListener('click', this.onBlockClick.bind(this));
+
+    form.addEventListener('input', this.onEdit.bind(this));
+    form.addEventListener('change', this.onEdit.bind(this));
+
+    var container = this.getContainer();
+    if (container) {
+      new MutationObserver(function () {
+        if (!this.isRendering()) {
+          this.schedule();
+        }
+      }.bind(this)).observe(container, {childList: true});
+    }
+
+    document.addEventListener('aiContentPreparationWizard:planRendered', this.onPlanReplaced.bind(this));
+    document.addEventListener('aiContentPreparationWizard:planChanged', this.onPlanReplaced.bind(this));
+
+    this.toggle.hidden = !this.hasSections();
+  }
+
+  /**
+   * Shows or hides the source mapping pane.
+   */
+  SourceMap.prototype.setOpen = function (open) {
+    this.isOpen = open;
+    this.panel.hidden = !open;
+    this.panel.parentNode.classList.toggle('is-source-mapping', open);
+    this.toggle.setAttribute('aria-pressed', open ? 'true' : 'false');
+    this.toggle.textContent = open ? Drupal.t('Hide source mapping') : Drupal.t('Show source mapping');
+
+    var previewToggle = this.form.querySelector('[data-plan-preview-toggle][aria-pressed="true"]');
+    if (open && previewToggle) {
+      previewToggle.click();
+    }
+
+    if (!open) {
+      this.setActiveSection(null);
+    }
+    else if (this.stale) {
+      this.refresh();
+    }
+  };
+
+  /**
+   * Updates the mapping after the plan was generated or replaced.
+   */
+  SourceMap.prototype.onPlanReplaced = function () {
+    this.toggle.hidden = !this.hasSections();
+    this.schedule();
+  };
+
+  /**
+   * Updates the mapping after a section was edited.
+   */
+  SourceMap.prototype.onEdit = function (e) {
+    var target = e.target;
+    if (target.name && target.name.indexOf('sections[') === 0) {
+      this.schedule();
+    }
+  };
+
+  /**
+   * Highlights the source of the section a click or focus landed in.
+   */
+  SourceMap.prototype.onSelect = function (e) {
+    if (!this.isOpen) {
+      return;
+    }
+    var container = this.getContainer();
+    var details = e.target.closest('[data-section-id]');
+    if (details && container && container.contains(details) && details.dataset.sectionId !== this.activeSectionId) {
+      this.setActiveSection(details.dataset.sectionId, true);
+    }
+  };
+
+  /**
+   * Shows the first section a clicked source passage belongs to.
+   */
+  SourceMap.prototype.onBlockClick = function (e) {
+    var block = e.target.closest('[data-source-block]');
+    var container = this.getContainer();
+    if (!block || !container || !block.dataset.sections) {
+      return;
+    }
+
+    var sectionId = block.dataset.sections.split(' ')[0];
+    var details = container.querySelector('[data-section-id="' + CSS.escape(sectionId) + '"]');
+    if (details) {
+      details.scrollIntoView({behavior: 'smooth', block: 'nearest'});
+      this.setActiveSection(sectionId, false);
+    }
+  };
+
+  /**
+   * Marks a section as selected and highlights its source passages.
+   *
+   * @param {?string} sectionId
+   *   The section ID, or NULL to clear the selection.
+   * @param {boolean} scroll
+   *   Whether to scroll the first passage into view.
+   */
+  SourceMap.prototype.setActiveSection = function (sectionId, scroll) {
+    this.activeSectionId = sectionId;
+
+    var container = this.getContainer();
+    if (container) {
+      container.querySelectorAll('[data-section-id]').forEach(function (details) {
+        details.classList.toggle('is-source-active', details.dataset.sectionId === sectionId);
+      });
+    }
+
+    var first = null;
+    this.blocks.forEach(function (block) {
+      var highlighted = !!sectionId && block.sections.indexOf(sectionId) !== -1;
+      block.element.classList.toggle('is-highlighted', highlighted);
+      if (highlighted && !first) {
+        first = block.element;
+      }
+    });
+
+    if (!sectionId) {
+      return;
+    }
+    if (first) {
+      if (scroll) {
+        first.scrollIntoView({behavior: 'smooth', block: 'center'});
+      }
+    }
+    else {
+      Drupal.announce(Drupal.t('No source passage was found for this section.'));
+    }
+  };
+
+  /**
+   * Schedules an update of the mapping.
+   */
+  SourceMap.prototype.schedule = function () {
+    if (!this.isOpen) {
+      this.stale = true;
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(this.refresh.bind(this), UPDATE_DELAY);
+  };
+
+  /**
+   * Requests the mapping of the current sections and renders the sources.
+   */
+  SourceMap.prototype.refresh = function () {
+    if (!this.hasSections() || this.isRendering()) {
+      return;
+    }
+
+    if (this.request) {
+      this.request.abort();
+    }
+    var controller = new AbortController();
+    this.request = controller;
+    this.stale = false;
+    this.setStatus(Drupal.t('Mapping sections to the source content...'));
+
+    var sections = Drupal.behaviors.sectionManager.collectSections(this.getContainer());
+    Drupal.wizardClient.request(this.endpoint, {
+      method: 'POST',
+      // Newer edits replace failed requests anyway.
+      retries: 0,
+      signal: controller.signal,
+      data: {
+        sections: Drupal.behaviors.sectionManager.serializeSections(sections)
+      }
+    })
+      .then(function (data) {
+        if (!data.success) {
+          throw new Error(data.error || Drupal.t('The source mapping could not be loaded.'));
+        }
+        this.render(data);
+      }.bind(this))
+      .catch(function (error) {
+        if (Drupal.wizardClient.isAbort(error)) {
+          return;
+        }
+        console.error('Source map error:', error);
+        this.stale = true;
+        this.setStatus(error.message || Drupal.t('The source mapping could not be loaded.'), true);
+      }.bind(this))
+      .finally(function () {
+        if (this.request === controller) {
+          this.request = null;
+        }
+      }.bind(this));
+  };
+
+  /**
+   * Renders the sources as blocks linked to their sections.
+   *
+   * @param {Object} data
+   *   The source map endpoint response.
+   */
+  SourceMap.prototype.render = function (data) {
+    var scrollTop = this.content.scrollTop;
+    this.content.textContent = '';
+    this.blocks = [];
+
+    data.sources.forEach(function (source) {
+      var wrapper = document.createElement('section');
+      wrapper.className = 'source-map-source';
+
+      var heading = document.createElement('h3');
+      heading.className = 'source-map-source__title';
+      heading.textContent = source.label;
+      wrapper.appendChild(heading);
+
+      source.blocks.forEach(function (block) {
+        var element = document.createElement('div');
+        element.className = 'source-map-block';
+        element.classList.toggle('is-heading', block.heading);
+        element.classList.toggle('is-unused', block.sections.length === 0);
+        element.dataset.sourceBlock = 'true';
+        element.dataset.sections = block.sections.join(' ');
+        element.textContent = block.text;
+        if (block.sections.length === 0) {
+          element.title = Drupal.t('Not used by any section');
+        }
+        wrapper.appendChild(element);
+        this.blocks.push({element: element, sections: block.sections});
+      }, this);
+
+      this.content.appendChild(wrapper);
+    }, this);
+
+    this.content.scrollTop = scrollTop;
+
+    var coverage = data.coverage || {};
+    if (coverage.totalWords) {
+      var unused = this.blocks.filter(function (block) {
+        return block.sections.length === 0;
+      }).length;
+      this.setStatus(Drupal.t('@percent% of the source text is used by the plan. @count passages are not used by any section.', {
+        '@percent': Math.round(coverage.usedWords / coverage.totalWords * 100),
+        '@count': unused
+      }));
+    }
+    else {
+      this.setStatus(Drupal.t('There is no source content to map.'));
+    }
+
+    if (this.activeSectionId) {
+      this.setActiveSection(this.activeSectionId, false);
+    }
+  };
+
+  /**
+   * Updates the status line of the pane.
+   */
+  SourceMap.prototype.setStatus = function (message, isError) {
+    this.status.textContent = message;
+    this.status.classList.toggle('is-error', !!isError);
+  };
+
+  /**
+   * Gets the sections container of the plan editor.
+   */
+  SourceMap.prototype.getContainer = function () {
+    return this.form.querySelector('[data-section-manager]');
+  };
+
+  /**
+   * Whether the plan editor has sections to map.
+   */
+  SourceMap.prototype.hasSections = function () {
+    var container = this.getContainer();
+    return !!(container && container.querySelector('[data-section-id]'));
+  };
+
+  /**
+   * Whether the sections are still being rendered.
+   */
+  SourceMap.prototype.isRendering = function () {
+    var container = this.getContainer();
+    return !!(container && container.getAttribute('aria-busy') === 'true');
+  };
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,825 @@
+/**
+ * @file
+ * Drag-and-drop upload zone of Step 1 in the Content Preparation Wizard.
+ *
+ * Accepts files and whole folders, checks their type and size right away
+ * and uploads them one at a time in chunks. Interrupted uploads resume where
+ * they stopped, also after a reload, because the upload ID is remembered per
+ * file. Each file shows how it was processed once it is complete.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * How often a chunk is retried after connection problems before pausing.
+   */
+  var MAX_ATTEMPTS = 5;
+
+  /**
+   * The first delay before resuming, doubled on every further attempt, in ms.
+   */
+  var RESUME_DELAY = 2000;
+
+  /**
+   * Prefix of the localStorage keys remembering unfinished uploads.
+   */
+  var STORAGE_PREFIX = 'aiContentPreparationWizard.upload:';
+
+  /**
+   * Upload zone behavior.
+   */
+  Drupal.behaviors.uploadZone = {
+    attach: function (context, settings) {
+      var wizardSettings = (settings && settings.aiContentPreparationWizard) || drupalSettings.aiContentPreparationWizard || {};
+      var endpoint = wizardSettings.uploadEndpoint;
+      var limits = wizardSettings.uploadLimits;
+      if (!endpoint || !limits) {
+        return;
+      }
+
+      once('upload-zone', '[data-upload-zone]', context).forEach(function (zone) {
+        var form = zone.closest('form');
+        var field = form ? form.querySelector('[data-upload-ids]') : null;
+        if (field) {
+          new UploadZone(zone, field, form, endpoint, limits);
+        }
+      });
+    }
+  };
+
+  /**
+   * Controls one upload zone.
+   *
+   * @param {Element} zone
+   *   The [data-upload-zone] container.
+   * @param {HTMLInputElement} field
+   *   The hidden field listing the complete upload IDs.
+   * @param {HTMLFormElement} form
+   *   The wizard form.
+   * @param {string} endpoint
+   *   The upload endpoint URL.
+   * @param {Object} limits
+   *   The allowed 'extensions', the 'maxFileSize' and the 'chunkSize'.
+   */
+  function UploadZone(zone, field, form, endpoint, limits) {
+    this.zone = zone;
+    this.field = field;
+    this.form = form;
+    this.endpoint = endpoint;
+    this.limits = limits;
+    this.entries = [];
+    this.active = null;
+    this.counter = 0;
+
+    this.build();
+
+    // The zone replaces the file field; without JavaScript the field is used.
+    var fallback = form.querySelector('[data-upload-fallback]');
+    if (fallback) {
+      fallback.hidden = true;
+    }
+    zone.hidden = false;
+
+    this.restore();
+  }
+
+  /**
+   * Builds the drop area, the file pickers and the file list.
+   */
+  UploadZone.prototype.build = function () {
+    var accept = this.limits.extensions.map(function (extension) {
+      return '.' + extension;
+    }).join(',');
+
+    this.drop = document.createElement('div');
+    this.drop.className = 'upload-zone__drop';
+
+    var text = document.createElement('p');
+    text.className = 'upload-zone__text';
+    text.textContent = Drupal.t('Drag and drop files or folders here, or');
+    this.drop.appendChild(text);
+
+    var buttons = document.createElement('div');
+    buttons.className = 'upload-zone__buttons';
+    this.drop.appendChild(buttons);
+
+    this.fileInput = this.createInput(accept, false);
+    buttons.appendChild(this.createPickerButton(Drupal.t('Choose files'), this.fileInput));
+
+    // Folder selection is not standardized, but all current browsers have it.
+    if ('webkitdirectory' in this.fileInput) {
+      this.folderInput = this.createInput(accept, true);
+      buttons.appendChild(this.createPickerButton(Drupal.t('Choose a folder'), this.folderInput));
+    }
+
+    var description = document.createElement('p');
+    description.className = 'upload-zone__description';
+    description.textContent = Drupal.t('Allowed file types: @extensions. Maximum file size: @size. Interrupted uploads continue where they stopped.', {
+      '@extensions': this.limits.extensions.join(', '),
+      '@size': formatSize(this.limits.maxFileSize)
+    });
+    this.drop.appendChild(description);
+
+    this.zone.appendChild(this.drop);
+
+    this.list = document.createElement('ul');
+    this.list.className = 'upload-zone__list';
+    this.list.setAttribute('aria-label', Drupal.t('Uploaded files'));
+    this.zone.appendChild(this.list);
+
+    this.drop.addEventListener('dragenter', this.onDragOver.bind(this));
+    this.drop.addEventListener('dragover', this.onDragOver.bind(this));
+    this.drop.addEventListener('dragleave', function (e) {
+      if (!this.drop.contains(e.relatedTarget)) {
+        this.drop.classList.remove('is-dragover');
+      }
+    }.bind(this));
+    this.drop.addEventListener('drop', this.onDrop.bind(this));
+  };
+
+  /**
+   * Creates a hidden file input.
+   */
+  UploadZone.prototype.createInput = function (accept, folder) {
+    var input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.hidden = true;
+    if (folder) {
+      input.webkitdirectory = true;
+    }
+    else {
+      input.accept = accept;
+    }
+    input.addEventListener('change', function () {
+      this.addFiles(Array.prototype.slice.call(input.files), folder);
+      input.value = '';
+    }.bind(this));
+    this.zone.appendChild(input);
+    return input;
+  };
+
+  /**
+   * Creates a button opening a file input.
+   */
+  UploadZone.prototype.createPickerButton = function (label, input) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button button--small';
+    button.textContent = label;
+    button.addEventListener('click', function () {
+      input.click();
+    });
+    return button;
+  };
+
+  /**
+   * Accepts dragged files.
+   */
+  UploadZone.prototype.onDragOver = function (e) {
+    if (e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types, 'Files') !== -1) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.drop.classList.add('is-dragover');
+    }
+  };
+
+  /**
+   * Adds dropped files and the files of dropped folders.
+   */
+  UploadZone.prototype.onDrop = function (e) {
+    e.preventDefault();
+    this.drop.classList.remove('is-dragover');
+
+    var items = e.dataTransfer.items;
+    if (!items || !items.length || typeof items[0].webkitGetAsEntry !== 'function') {
+      this.addFiles(Array.prototype.slice.call(e.dataTransfer.files), false);
+      return;
+    }
+
+    // Entries must be taken before the event handler returns.
+    var entries = Array.prototype.map.call(items, function (item) {
+      return item.kind === 'file' ? item.webkitGetAsEntry() : null;
+    }).filter(Boolean);
+
+    entries.forEach(function (entry) {
+      readEntry(entry).then(function (files) {
+        this.addFiles(files, entry.isDirectory);
+      }.bind(this));
+    }, this);
+  };
+
+  /**
+   * Checks new files and queues the valid ones.
+   *
+   * @param {File[]} files
+   *   The files.
+   * @param {boolean} fromFolder
+   *   Whether the files come from a folder. Files of other types are skipped
+   *   silently then, as folders usually contain more than documents.
+   */
+  UploadZone.prototype.addFiles = function (files, fromFolder) {
+    var skipped = 0;
+
+    files.forEach(function (file) {
+      if (fromFolder && (file.name.charAt(0) === '.' || !this.hasAllowedExtension(file.name))) {
+        skipped++;
+        return;
+      }
+      var duplicate = this.entries.some(function (entry) {
+        return entry.file && entry.file.name === file.name && entry.file.size === file.size && entry.file.lastModified === file.lastModified;
+      });
+      if (duplicate) {
+        return;
+      }
+
+      var entry = this.createEntry(file.name, file.size);
+      entry.file = file;
+      var errors = this.validate(file);
+      if (errors.length) {
+        this.setState(entry, 'rejected', errors.join(' '));
+      }
+      else {
+        this.setState(entry, 'queued');
+      }
+    }, this);
+
+    if (skipped) {
+      Drupal.announce(Drupal.formatPlural(skipped, '1 file of the folder was skipped because of its type.', '@count files of the folder were skipped because of their type.'));
+    }
+
+    this.processQueue();
+  };
+
+  /**
+   * Checks a file against the allowed types and the maximum size.
+   *
+   * @return {string[]}
+   *   Error messages, empty if the file may be uploaded.
+   */
+  UploadZone.prototype.validate = function (file) {
+    var errors = [];
+    if (!this.hasAllowedExtension(file.name)) {
+      errors.push(Drupal.t('This file type is not supported. Allowed types: @extensions.', {
+        '@extensions': this.limits.extensions.join(', ')
+      }));
+    }
+    if (file.size === 0) {
+      errors.push(Drupal.t('The file is empty.'));
+    }
+    else if (file.size > this.limits.maxFileSize) {
+      errors.push(Drupal.t('The file exceeds the maximum file size of @size.', {'@size': formatSize(this.limits.maxFileSize)}));
+    }
+    return errors;
+  };
+
+  /**
+   * Whether a file name has one of the allowed extensions.
+   */
+  UploadZone.prototype.hasAllowedExtension = function (name) {
+    var dot = name.lastIndexOf('.');
+    return dot > 0 && this.limits.extensions.indexOf(name.substring(dot + 1).toLowerCase()) !== -1;
+  };
+
+  /**
+   * Uploads the next queued file, one at a time.
+   */
+  UploadZone.prototype.processQueue = function () {
+    this.updateNextButton();
+    if (this.active) {
+      return;
+    }
+    var entry = this.entries.filter(function (item) {
+      return item.state === 'queued';
+    })[0];
+    if (!entry) {
+      return;
+    }
+
+    this.active = entry;
+    entry.controller = new AbortController();
+    this.setState(entry, 'uploading');
+    this.updateNextButton();
+
+    this.upload(entry)
+      .catch(function (error) {
+        if (Drupal.wizardClient.isAbort(error) || entry.removed) {
+          return;
+        }
+        if (entry.state === 'paused') {
+          return;
+        }
+        console.error('Upload error:', error);
+        this.setState(entry, 'failed', error.message || Drupal.t('The upload failed.'));
+        Drupal.announce(Drupal.t('Uploading @name failed.', {'@name': entry.name}), 'assertive');
+      }.bind(this))
+      .finally(function () {
+        this.active = null;
+        this.processQueue();
+      }.bind(this));
+  };
+
+  /**
+   * Uploads a file, resuming a remembered upload if possible.
+   *
+   * @return {Promise}
+   *   Resolves once the file is complete or paused.
+   */
+  UploadZone.prototype.upload = function (entry) {
+    var key = getStorageKey(entry.file);
+    var stored = key ? window.localStorage.getItem(key) : null;
+    var signal = entry.controller.signal;
+
+    var resume = stored && !entry.uploadId ? this.fetchUpload(stored, signal) : Promise.resolve(null);
+    return resume.then(function (upload) {
+      if (upload || entry.uploadId) {
+        return upload;
+      }
+      return Drupal.wizardClient.request(this.endpoint, {
+        method: 'POST',
+        signal: signal,
+        data: {filename: entry.file.name, size: entry.file.size}
+      }).then(function (data) {
+        if (key) {
+          window.localStorage.setItem(key, data.upload.id);
+        }
+        return data.upload;
+      });
+    }.bind(this)).then(function (upload) {
+      if (upload) {
+        this.applyUpload(entry, upload);
+      }
+      return this.sendChunks(entry);
+    }.bind(this));
+  };
+
+  /**
+   * Gets the state of a remembered upload.
+   *
+   * @return {Promise}
+   *   Resolves with the upload data, or NULL if it no longer exists.
+   */
+  UploadZone.prototype.fetchUpload = function (uploadId, signal) {
+    return Drupal.wizardClient.request(this.getUploadUrl(uploadId), {signal: signal})
+      .then(function (data) {
+        return data.upload;
+      })
+      .catch(function (error) {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      });
+  };
+
+  /**
+   * Sends the remaining chunks of a file.
+   *
+   * @return {Promise}
+   *   Resolves once the file is complete or the upload is paused.
+   */
+  UploadZone.prototype.sendChunks = function (entry) {
+    if (entry.complete) {
+      this.finish(entry);
+      return Promise.resolve();
+    }
+
+    var start = entry.received;
+    var end = Math.min(start + this.limits.chunkSize, entry.size);
+    var isLast = end === entry.size;
+
+    return Drupal.wizardClient.request(this.getUploadUrl(entry.uploadId) + '/chunk?offset=' + start, {
+      method: 'POST',
+      body: entry.file.slice(start, end),
+      signal: entry.controller.signal,
+      // The last chunk waits for the document to be processed.
+      timeout: isLast ? 'generation' : 'default'
+    })
+      .then(function (data) {
+        entry.attempts = 0;
+        this.applyUpload(entry, data.upload);
+        return this.sendChunks(entry);
+      }.bind(this), function (error) {
+        // The server has a different position, e.g. after a chunk was sent
+        // twice; continue from there.
+        if (error.status === 409 && error.data.upload) {
+          this.applyUpload(entry, error.data.upload);
+          return this.sendChunks(entry);
+        }
+        // The upload expired; start over.
+        if (error.status === 404 && !entry.restarted) {
+          entry.restarted = true;
+          this.forget(entry);
+          entry.uploadId = null;
+          entry.received = 0;
+          return this.upload(entry);
+        }
+        if (error.type === 'network' || error.type === 'timeout' || error.status >= 500) {
+          return this.retry(entry, error);
+        }
+        throw error;
+      }.bind(this));
+  };
+
+  /**
+   * Resumes after a connection problem, or pauses after too many attempts.
+   */
+  UploadZone.prototype.retry = function (entry, error) {
+    entry.attempts = (entry.attempts || 0) + 1;
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      this.setState(entry, 'paused', error.message);
+      Drupal.announce(Drupal.t('Uploading @name was paused because of connection problems.', {'@name': entry.name}), 'assertive');
+      return Promise.resolve();
+    }
+
+    var delay = RESUME_DELAY * Math.pow(2, entry.attempts - 1);
+    this.setStatus(entry, Drupal.t('Connection problem. Resuming in @seconds seconds...', {'@seconds': Math.round(delay / 1000)}));
+
+    var signal = entry.controller.signal;
+    return new Promise(function (resolve, reject) {
+      var cancel = function () {
+        clearTimeout(timer);
+        reject(Object.assign(new Error(Drupal.t('The request was cancelled.')), {name: 'AbortError', type: 'abort'}));
+      };
+      var timer = setTimeout(resolve, delay);
+      if (signal.aborted) {
+        cancel();
+        return;
+      }
+      signal.addEventListener('abort', cancel, {once: true});
+    }).then(function () {
+      // Part of the last chunk may have arrived; ask where to continue.
+      return this.fetchUpload(entry.uploadId, entry.controller.signal);
+    }.bind(this)).then(function (upload) {
+      if (!upload) {
+        throw Object.assign(new Error(Drupal.t('This upload does not exist or has expired.')), {status: 404, data: {}});
+      }
+      this.applyUpload(entry, upload);
+      this.setState(entry, 'uploading');
+      return this.sendChunks(entry);
+    }.bind(this), function (fetchError) {
+      if (Drupal.wizardClient.isAbort(fetchError)) {
+        throw fetchError;
+      }
+      return this.retry(entry, fetchError);
+    }.bind(this));
+  };
+
+  /**
+   * Takes over the state of an upload from the server.
+   */
+  UploadZone.prototype.applyUpload = function (entry, upload) {
+    entry.uploadId = upload.id;
+    entry.received = upload.received;
+    entry.complete = upload.complete;
+    entry.result = upload.result;
+    this.updateProgress(entry);
+  };
+
+  /**
+   * Shows the processing result of a complete file.
+   */
+  UploadZone.prototype.finish = function (entry) {
+    this.forget(entry);
+    var result = entry.result || {};
+    if (result.error) {
+      this.setState(entry, 'failed', Drupal.t('The file was uploaded, but could not be processed: @error', {'@error': result.error}));
+      Drupal.announce(Drupal.t('@name could not be processed.', {'@name': entry.name}), 'assertive');
+    }
+    else {
+      this.setState(entry, 'complete', formatResult(result));
+      Drupal.announce(Drupal.t('@name was uploaded and processed.', {'@name': entry.name}));
+    }
+    this.updateField();
+  };
+
+  /**
+   * Restores the complete uploads listed in the hidden field.
+   *
+   * The field keeps its value when the form is rebuilt, e.g. after a
+   * validation error, while the list is built anew.
+   */
+  UploadZone.prototype.restore = function () {
+    this.field.value.split(/\s+/).filter(Boolean).forEach(function (uploadId) {
+      var entry = this.createEntry(Drupal.t('Loading...'), 0);
+      entry.uploadId = uploadId;
+      this.setState(entry, 'complete', '');
+
+      this.fetchUpload(uploadId)
+        .then(function (upload) {
+          if (!upload || !upload.complete) {
+            this.removeEntry(entry);
+            return;
+          }
+          entry.name = upload.filename;
+          entry.size = upload.size;
+          entry.elements.name.textContent = upload.filename;
+          entry.elements.size.textContent = formatSize(upload.size);
+          this.applyUpload(entry, upload);
+          this.finish(entry);
+        }.bind(this))
+        .catch(function (error) {
+          this.setState(entry, 'failed', error.message);
+        }.bind(this));
+    }, this);
+  };
+
+  /**
+   * Creates a list entry.
+   *
+   * @return {Object}
+   *   The entry.
+   */
+  UploadZone.prototype.createEntry = function (name, size) {
+    var entry = {
+      key: 'upload-zone-' + (++this.counter),
+      name: name,
+      size: size,
+      file: null,
+      uploadId: null,
+      received: 0,
+      complete: false,
+      result: null,
+      state: null,
+      elements: {}
+    };
+
+    var item = document.createElement('li');
+    item.className = 'upload-zone__item';
+
+    var header = document.createElement('div');
+    header.className = 'upload-zone__header';
+    var label = document.createElement('span');
+    label.className = 'upload-zone__name';
+    label.textContent = name;
+    var sizeLabel = document.createElement('span');
+    sizeLabel.className = 'upload-zone__size';
+    sizeLabel.textContent = size ? formatSize(size) : '';
+    header.appendChild(label);
+    header.appendChild(sizeLabel);
+    item.appendChild(header);
+
+    var progress = document.createElement('progress');
+    progress.className = 'upload-zone__progress';
+    progress.max = 100;
+    progress.value = 0;
+    progress.setAttribute('aria-label', Drupal.t('Upload progress of @name', {'@name': name}));
+    item.appendChild(progress);
+
+    var status = document.createElement('div');
+    status.className = 'upload-zone__status';
+    status.id = entry.key + '-status';
+    item.appendChild(status);
+
+    var actions = document.createElement('div');
+    actions.className = 'upload-zone__actions';
+    var resume = document.createElement('button');
+    resume.type = 'button';
+    resume.className = 'button button--small';
+    resume.textContent = Drupal.t('Resume');
+    resume.hidden = true;
+    resume.addEventListener('click', function () {
+      entry.attempts = 0;
+      this.setState(entry, 'queued');
+      this.processQueue();
+    }.bind(this));
+    var remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'button button--small';
+    remove.setAttribute('aria-describedby', status.id);
+    remove.addEventListener('click', function () {
+      this.removeEntry(entry, true);
+    }.bind(this));
+    actions.appendChild(resume);
+    actions.appendChild(remove);
+    item.appendChild(actions);
+
+    entry.elements = {item: item, name: label, size: sizeLabel, progress: progress, status: status, resume: resume, remove: remove};
+    this.list.appendChild(item);
+    this.entries.push(entry);
+    return entry;
+  };
+
+  /**
+   * Updates the state of an entry and its display.
+   *
+   * @param {Object} entry
+   *   The entry.
+   * @param {string} state
+   *   One of 'queued', 'uploading', 'paused', 'complete', 'failed' or
+   *   'rejected'.
+   * @param {string} [message]
+   *   The status message; a default message per state is used otherwise.
+   */
+  UploadZone.prototype.setState = function (entry, state, message) {
+    entry.state = state;
+    var elements = entry.elements;
+    elements.item.className = 'upload-zone__item is-' + state;
+    elements.progress.hidden = state === 'rejected' || state === 'complete' || state === 'failed';
+    elements.resume.hidden = state !== 'paused';
+    elements.remove.textContent = state === 'uploading' || state === 'queued' ? Drupal.t('Cancel') : Drupal.t('Remove');
+
+    if (message === undefined) {
+      message = {
+        queued: Drupal.t('Waiting to upload...'),
+        uploading: Drupal.t('Uploading...')
+      }[state] || '';
+    }
+    this.setStatus(entry, message);
+    this.updateProgress(entry);
+  };
+
+  /**
+   * Updates the status line of an entry.
+   */
+  UploadZone.prototype.setStatus = function (entry, message) {
+    entry.elements.status.textContent = message;
+  };
+
+  /**
+   * Updates the progress bar of an entry.
+   */
+  UploadZone.prototype.updateProgress = function (entry) {
+    var percent = entry.size ? Math.floor(entry.received / entry.size * 100) : 0;
+    entry.elements.progress.value = percent;
+    entry.elements.progress.textContent = percent + '%';
+    if (entry.state === 'uploading' && entry.received) {
+      this.setStatus(entry, entry.received === entry.size ?
+        Drupal.t('Processing the document...') :
+        Drupal.t('@received of @size uploaded (@percent%)', {
+          '@received': formatSize(entry.received),
+          '@size': formatSize(entry.size),
+          '@percent': percent
+        }));
+    }
+  };
+
+  /**
+   * Removes an entry, cancelling its upload.
+   *
+   * @param {Object} entry
+   *   The entry.
+   * @param {boolean} [moveFocus]
+   *   Whether to move the focus, because it was on the removed entry.
+   */
+  UploadZone.prototype.removeEntry = function (entry, moveFocus) {
+    entry.removed = true;
+    if (entry.controller) {
+      entry.controller.abort();
+    }
+    if (entry.uploadId && entry.state !== 'rejected') {
+      Drupal.wizardClient.request(this.getUploadUrl(entry.uploadId), {method: 'DELETE', retries: 0}).catch(function () {
+        // Unfinished uploads expire on their own.
+      });
+    }
+    this.forget(entry);
+
+    var index = this.entries.indexOf(entry);
+    this.entries.splice(index, 1);
+    entry.elements.item.remove();
+    this.updateField();
+    this.updateNextButton();
+
+    if (moveFocus) {
+      var next = this.entries[index] || this.entries[index - 1];
+      (next ? next.elements.remove : this.drop.querySelector('button')).focus();
+      Drupal.announce(Drupal.t('@name was removed.', {'@name': entry.name}));
+    }
+  };
+
+  /**
+   * Forgets the remembered upload of an entry's file.
+   */
+  UploadZone.prototype.forget = function (entry) {
+    var key = getStorageKey(entry.file);
+    if (key) {
+      window.localStorage.removeItem(key);
+    }
+  };
+
+  /**
+   * Lists the complete, processed uploads in the hidden field.
+   */
+  UploadZone.prototype.updateField = function () {
+    this.field.value = this.entries.filter(function (entry) {
+      return entry.state === 'complete' && entry.uploadId;
+    }).map(function (entry) {
+      return entry.uploadId;
+    }).join(' ');
+  };
+
+  /**
+   * Keeps the Next button disabled while files are being uploaded.
+   */
+  UploadZone.prototype.updateNextButton = function () {
+    var button = this.form.querySelector('[name="next_step1"]');
+    if (!button) {
+      return;
+    }
+    var busy = this.entries.some(function (entry) {
+      return entry.state === 'queued' || entry.state === 'uploading';
+    });
+    button.disabled = busy;
+    button.title = busy ? Drupal.t('Wait until all files are uploaded.') : '';
+  };
+
+  /**
+   * Gets the URL of an upload.
+   */
+  UploadZone.prototype.getUploadUrl = function (uploadId) {
+    return this.endpoint + '/' + encodeURIComponent(uploadId);
+  };
+
+  /**
+   * Reads the files of a dropped file or folder entry, recursively.
+   *
+   * @return {Promise}
+   *   Resolves with the files.
+   */
+  function readEntry(entry) {
+    if (entry.isFile) {
+      return new Promise(function (resolve) {
+        entry.file(function (file) {
+          resolve([file]);
+        }, function () {
+          resolve([]);
+        });
+      });
+    }
+
+    var reader = entry.createReader();
+    var children = [];
+    // readEntries() returns the entries in batches until one is empty.
+    return new Promise(function (resolve) {
+      var readBatch = function () {
+        reader.readEntries(function (batch) {
+          if (!batch.length) {
+            resolve(children);
+            return;
+          }
+          children = children.concat(batch);
+          readBatch();
+        }, function () {
+          resolve(children);
+        });
+      };
+      readBatch();
+    }).then(function (entries) {
+      return Promise.all(entries.map(readEntry));
+    }).then(function (lists) {
+      return [].concat.apply([], lists);
+    });
+  }
+
+  /**
+   * Gets the localStorage key remembering the upload of a file.
+   *
+   * @return {?string}
+   *   The key, or NULL if there is no file or no localStorage.
+   */
+  function getStorageKey(file) {
+    try {
+      if (!file || !window.localStorage) {
+        return null;
+      }
+    }
+    catch (e) {
+      // Storage access throws when it is disabled.
+      return null;
+    }
+    return STORAGE_PREFIX + [file.name, file.size, file.lastModified].join(':');
+  }
+
+  /**
+   * Describes the processing result of a file.
+   */
+  function formatResult(result) {
+    var parts = [];
+    if (result.processor) {
+      parts.push(Drupal.t('Processed with @processor', {'@processor': result.processor}));
+    }
+    if (result.pages) {
+      parts.push(Drupal.formatPlural(result.pages, '1 page', '@count pages'));
+    }
+    if (typeof result.words === 'number') {
+      parts.push(Drupal.formatPlural(result.words, '1 word', '@count words'));
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Formats a size in bytes.
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024) {
+      return Drupal.formatPlural(bytes, '1 byte', '@count bytes');
+    }
+    if (bytes < 1048576) {
+      return Drupal.t('@size KB', {'@size': Math.round(bytes / 1024)});
+    }
+    return Drupal.t('@size MB', {'@size': (bytes / 1048576).toFixed(1)});
+  }
+
+})(Drupal, drupalSettings, once);
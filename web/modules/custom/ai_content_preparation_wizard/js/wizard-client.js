@@ -0,0 +1,632 @@
+/**
+ * @file
+ * Shared request client for the Content Preparation Wizard endpoints.
+ *
+ * All wizard JavaScript talks to the server through Drupal.wizardClient. It
+ * sends Drupal's CSRF token, aborts requests that take too long, retries
+ * rate limited and failed requests with backoff and detects when the wizard
+ * session has expired. Endpoint URLs come from drupalSettings.
+ */
+
+(function (Drupal, drupalSettings, once) {
+
+  'use strict';
+
+  /**
+   * Timeouts used when none are configured, in milliseconds.
+   */
+  var DEFAULT_TIMEOUTS = {
+    default: 30000,
+    generation: 300000
+  };
+
+  /**
+   * How often a failed request is retried by default.
+   */
+  var DEFAULT_RETRIES = 2;
+
+  /**
+   * The first retry delay, doubled on every further attempt, in ms.
+   */
+  var RETRY_BASE_DELAY = 1000;
+
+  /**
+   * The longest delay before a retry, in milliseconds.
+   */
+  var RETRY_MAX_DELAY = 30000;
+
+  /**
+   * How long before the session expires the editor is warned, in ms.
+   */
+  var SESSION_WARNING = 120000;
+
+  /**
+   * The cached CSRF token request.
+   */
+  var csrfToken = null;
+
+  /**
+   * Whether the wizard session is known to have expired.
+   */
+  var sessionExpired = false;
+
+  /**
+   * Gets the wizard settings.
+   */
+  function getSettings() {
+    return drupalSettings.aiContentPreparationWizard || {};
+  }
+
+  /**
+   * Gets the client settings.
+   */
+  function getClientSettings() {
+    return getSettings().client || {};
+  }
+
+  /**
+   * Creates a request error.
+   *
+   * @param {string} type
+   *   One of 'abort', 'timeout', 'network', 'http', 'permission' or
+   *   'session'.
+   * @param {string} message
+   *   The user-facing message.
+   * @param {Response} [response]
+   *   The response, if any.
+   * @param {Object} [data]
+   *   The decoded JSON response body, if any.
+   *
+   * @return {Error}
+   *   The error, with type, status and data properties.
+   */
+  function createError(type, message, response, data) {
+    var error = new Error(message);
+    // Keeps error.name checks of AbortController users working.
+    error.name = type === 'abort' ? 'AbortError' : 'WizardRequestError';
+    error.type = type;
+    error.status = response ? response.status : 0;
+    error.data = data || {};
+    return error;
+  }
+
+  /**
+   * Waits before a retry, unless the request is aborted meanwhile.
+   */
+  function wait(delay, signal) {
+    return new Promise(function (resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(createError('abort', Drupal.t('The request was cancelled.')));
+        return;
+      }
+      var onAbort = function () {
+        clearTimeout(timer);
+        reject(createError('abort', Drupal.t('The request was cancelled.')));
+      };
+      var timer = setTimeout(function () {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, delay);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, {once: true});
+      }
+    });
+  }
+
+  /**
+   * Gets the delay before the given retry attempt, in milliseconds.
+   *
+   * Honors the Retry-After header of rate limited responses.
+   */
+  function getRetryDelay(attempt, response) {
+    var retryAfter = response ? response.headers.get('Retry-After') : null;
+    if (retryAfter) {
+      var seconds = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) : (Date.parse(retryAfter) - Date.now()) / 1000;
+      if (seconds >= 0) {
+        return Math.min(seconds * 1000, RETRY_MAX_DELAY);
+      }
+    }
+    // Exponential backoff with jitter, so clients do not retry in lockstep.
+    var delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt), RETRY_MAX_DELAY);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  /**
+   * Whether a response status is worth retrying.
+   *
+   * Other server errors of unsafe requests are final: the request may have
+   * been processed, or fail the same way again.
+   */
+  function isRetryable(status, isSafe) {
+    return status === 429 || status === 502 || status === 503 || status === 504 || (isSafe && status >= 500);
+  }
+
+  /**
+   * The wizard request client.
+   *
+   * @namespace
+   */
+  Drupal.wizardClient = {
+
+    /**
+     * Gets the URL of a wizard endpoint from drupalSettings.
+     *
+     * @param {string} name
+     *   The endpoint name, e.g. 'planDraft' for the planDraftEndpoint setting.
+     *
+     * @return {string|null}
+     *   The URL, or NULL if the endpoint is not available on this page.
+     */
+    url: function (name) {
+      return getSettings()[name + 'Endpoint'] || null;
+    },
+
+    /**
+     * Gets a configured timeout.
+     *
+     * @param {string} [name]
+     *   The timeout name: 'default' or 'generation' for AI requests.
+     *
+     * @return {number}
+     *   The timeout in milliseconds.
+     */
+    timeout: function (name) {
+      var timeouts = getClientSettings().timeouts || {};
+      name = name || 'default';
+      return timeouts[name] || DEFAULT_TIMEOUTS[name] || DEFAULT_TIMEOUTS.default;
+    },
+
+    /**
+     * Sends a request to a wizard endpoint.
+     *
+     * @param {string} url
+     *   The endpoint URL, see url().
+     * @param {Object} [options]
+     *   Request options:
+     *   - method: The HTTP method, defaults to 'GET'.
+     *   - data: A value sent as JSON body.
+     *   - body: A Blob sent as raw body instead, e.g. a chunk of a file.
+     *   - accept: The Accept header, defaults to 'application/json'.
+     *   - responseType: 'json' (default), 'text', or 'response' to get the
+     *     Response object once the headers have arrived.
+     *   - timeout: The timeout in milliseconds or a timeout name, see
+     *     timeout(). 0 disables the timeout.
+     *   - retries: How often 429, 502, 503 and 504 responses, and other 5xx
+     *     responses of GET and HEAD requests, are retried.
+     *   - signal: An AbortSignal cancelling the request.
+     *   - keepalive: Whether the request may outlive the page.
+     *
+     * @return {Promise}
+     *   Resolves with the decoded response. Rejects with an Error that has a
+     *   'type' of 'abort', 'timeout', 'network', 'http', 'permission' or
+     *   'session', and the response 'status' and decoded 'data'.
+     */
+    request: function (url, options) {
+      options = options || {};
+      var self = this;
+      var method = (options.method || 'GET').toUpperCase();
+      var retries = typeof options.retries === 'number' ? options.retries : DEFAULT_RETRIES;
+      var timeout = typeof options.timeout === 'number' ? options.timeout : this.timeout(options.timeout);
+      var isSafe = method === 'GET' || method === 'HEAD';
+
+      var attempt = function (number, refreshToken) {
+        return (isSafe ? Promise.resolve(null) : self.getCsrfToken(refreshToken))
+          .then(function (token) {
+            return self.send(url, method, token, timeout, options);
+          })
+          .then(function (response) {
+            if (response.ok) {
+              return self.decode(response, options.responseType);
+            }
+            return response.json().catch(function () {
+              return {};
+            }).then(function (data) {
+              // The CSRF token changes when the login session is renewed.
+              if (response.status === 403 && !isSafe && !refreshToken) {
+                return attempt(number, true);
+              }
+              if (isRetryable(response.status, isSafe) && number < retries) {
+                return wait(getRetryDelay(number, response), options.signal).then(function () {
+                  return attempt(number + 1, refreshToken);
+                });
+              }
+              throw self.createResponseError(response, data, refreshToken);
+            });
+          }, function (error) {
+            // Lost connections are retried when that is safe.
+            if (error.type === 'network' && isSafe && number < retries) {
+              return wait(getRetryDelay(number), options.signal).then(function () {
+                return attempt(number + 1, refreshToken);
+              });
+            }
+            throw error;
+          });
+      };
+
+      return attempt(0, false).catch(function (error) {
+        if (error.type === 'session') {
+          self.expireSession(error.message);
+        }
+        throw error;
+      });
+    },
+
+    /**
+     * Sends a single request, aborting it once it times out.
+     *
+     * @return {Promise}
+     *   Resolves with the response once its headers have arrived. The body of
+     *   JSON and text responses is read within the timeout, too.
+     */
+    send: function (url, method, token, timeout, options) {
+      var controller = new AbortController();
+      var timedOut = false;
+      var timer = null;
+      var onAbort = function () {
+        controller.abort();
+      };
+
+      if (options.signal) {
+        if (options.signal.aborted) {
+          return Promise.reject(createError('abort', Drupal.t('The request was cancelled.')));
+        }
+        options.signal.addEventListener('abort', onAbort, {once: true});
+      }
+      if (timeout > 0) {
+        timer = setTimeout(function () {
+          timedOut = true;
+          controller.abort();
+        }, timeout);
+      }
+
+      var headers = {
+        'Accept': options.accept || 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      };
+      if (token) {
+        headers['X-CSRF-Token'] = token;
+      }
+      var init = {
+        method: method,
+        headers: headers,
+        credentials: 'same-origin',
+        signal: controller.signal,
+        keepalive: !!options.keepalive
+      };
+      if (options.data !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(options.data);
+      }
+      else if (options.body !== undefined) {
+        headers['Content-Type'] = 'application/octet-stream';
+        init.body = options.body;
+      }
+
+      var cleanup = function () {
+        clearTimeout(timer);
+        if (options.signal) {
+          options.signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      return fetch(url, init).then(function (response) {
+        if (options.responseType === 'response') {
+          cleanup();
+          return response;
+        }
+        // Buffer the body so that the timeout covers reading it.
+        return response.blob().then(function (body) {
+          cleanup();
+          return new Response(body, {status: response.status, statusText: response.statusText, headers: response.headers});
+        });
+      }).catch(function (error) {
+        cleanup();
+        if (error.type) {
+          throw error;
+        }
+        if (timedOut) {
+          throw createError('timeout', Drupal.t('The server took too long to respond. Please try again.'));
+        }
+        if (error.name === 'AbortError') {
+          throw createError('abort', Drupal.t('The request was cancelled.'));
+        }
+        throw createError('network', navigator.onLine === false ?
+          Drupal.t('You appear to be offline. Check your connection and try again.') :
+          Drupal.t('The server could not be reached. Please try again.'));
+      });
+    },
+
+    /**
+     * Decodes a successful response.
+     */
+    decode: function (response, responseType) {
+      if (responseType === 'response') {
+        return response;
+      }
+      if (responseType === 'text') {
+        return response.text();
+      }
+      return response.json().catch(function () {
+        throw createError('http', Drupal.t('The server sent an invalid response.'), response);
+      });
+    },
+
+    /**
+     * Creates the error for an unsuccessful response.
+     *
+     * @param {Response} response
+     *   The response.
+     * @param {Object} data
+     *   The decoded JSON body, or an empty object.
+     * @param {boolean} [tokenRefreshed]
+     *   Whether the request was sent again with a refreshed CSRF token.
+     *
+     * @return {Error}
+     *   The request error.
+     */
+    createResponseError: function (response, data, tokenRefreshed) {
+      if (data.code === 'session_expired') {
+        return createError('session', data.error || Drupal.t('Your wizard session has expired. Please start over.'), response, data);
+      }
+      if (response.status === 403) {
+        // A fresh token that is still rejected means the login has ended.
+        // Other denials are missing permissions, which signing in again does
+        // not fix.
+        if (tokenRefreshed && /X-CSRF-Token/.test(data.message || '')) {
+          return createError('session', Drupal.t('You are no longer allowed to use the wizard. Your login may have expired; reload the page to sign in again.'), response, data);
+        }
+        return createError('permission', data.error || Drupal.t('You do not have permission to do this.'), response, data);
+      }
+      if (response.status === 429) {
+        return createError('http', data.error || Drupal.t('Too many requests. Please wait a moment and try again.'), response, data);
+      }
+      return createError('http', data.error || Drupal.t('The request failed with status @status.', {'@status': response.status}), response, data);
+    },
+
+    /**
+     * Gets Drupal's CSRF token for the X-CSRF-Token request header.
+     *
+     * @param {boolean} [refresh]
+     *   Whether to request a new token.
+     *
+     * @return {Promise}
+     *   Resolves with the token.
+     */
+    getCsrfToken: function (refresh) {
+      if (!csrfToken || refresh) {
+        var url = getClientSettings().csrfTokenEndpoint || Drupal.url('session/token');
+        csrfToken = fetch(url, {credentials: 'same-origin'}).then(function (response) {
+          if (!response.ok) {
+            throw createError('http', Drupal.t('The security token could not be loaded.'), response);
+          }
+          return response.text();
+        }, function () {
+          throw createError('network', Drupal.t('The server could not be reached. Please try again.'));
+        });
+        // A failed token request is retried with the next request.
+        csrfToken.catch(function () {
+          csrfToken = null;
+        });
+      }
+      return csrfToken;
+    },
+
+    /**
+     * Whether an error is the result of a cancelled request.
+     */
+    isAbort: function (error) {
+      return !!error && error.type === 'abort';
+    },
+
+    /**
+     * Keeps the wizard session alive.
+     *
+     * @return {Promise}
+     *   Resolves with the keep-alive response.
+     */
+    keepAlive: function () {
+      var url = getClientSettings().keepAliveEndpoint;
+      if (!url) {
+        return Promise.resolve(null);
+      }
+      return this.request(url, {method: 'POST'}).then(function (data) {
+        if (monitor) {
+          monitor.setExpiry(data.expiresAt, data.expiresIn);
+        }
+        return data;
+      });
+    },
+
+    /**
+     * Marks the wizard session as expired and tells the editor.
+     *
+     * @param {string} [message]
+     *   The message shown to the editor.
+     */
+    expireSession: function (message) {
+      if (sessionExpired) {
+        return;
+      }
+      sessionExpired = true;
+      if (monitor) {
+        monitor.showExpired(message);
+      }
+      document.dispatchEvent(new CustomEvent('aiContentPreparationWizard:sessionExpired', {
+        detail: {message: message}
+      }));
+    }
+  };
+
+  /**
+   * The session monitor of the page, if any.
+   */
+  var monitor = null;
+
+  /**
+   * Session expiry behavior.
+   */
+  Drupal.behaviors.wizardSession = {
+    attach: function (context, settings) {
+      var clientSettings = ((settings && settings.aiContentPreparationWizard) || getSettings()).client || {};
+
+      once('wizard-session', '.content-preparation-wizard', context).forEach(function (wrapper) {
+        // AJAX rebuilds replace the wizard, and with it the monitor.
+        if (monitor) {
+          monitor.destroy();
+        }
+        monitor = new SessionMonitor(wrapper, clientSettings.sessionTimeout);
+      });
+
+      if (monitor) {
+        monitor.setExpiry(clientSettings.sessionExpires, clientSettings.sessionExpiresIn);
+      }
+    }
+  };
+
+  /**
+   * Warns the editor before the wizard session expires.
+   *
+   * Sessions are kept alive automatically while the editor is working; an
+   * idle editor is warned shortly before the session expires.
+   *
+   * @param {Element} wrapper
+   *   The wizard wrapper.
+   * @param {number} timeout
+   *   The session timeout in seconds.
+   */
+  function SessionMonitor(wrapper, timeout) {
+    this.wrapper = wrapper;
+    this.timeout = (timeout || 3600) * 1000;
+    this.expires = null;
+    this.expiresAt = null;
+    this.lastActivity = Date.now();
+    this.timer = null;
+    this.notice = null;
+
+    var onActivity = function () {
+      this.lastActivity = Date.now();
+    }.bind(this);
+    ['input', 'change', 'click', 'keydown'].forEach(function (type) {
+      wrapper.addEventListener(type, onActivity, true);
+    });
+  }
+
+  /**
+   * Sets when the session expires.
+   *
+   * @param {number|null} expires
+   *   The server's expiry timestamp, or NULL without a session.
+   * @param {number|null} expiresIn
+   *   Seconds until the session expires, or NULL without a session.
+   */
+  SessionMonitor.prototype.setExpiry = function (expires, expiresIn) {
+    // Behaviors are attached repeatedly with the same settings.
+    if (expires === this.expires || sessionExpired) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.expires = expires;
+    this.expiresAt = typeof expiresIn === 'number' ? Date.now() + expiresIn * 1000 : null;
+    if (this.expiresAt !== null) {
+      this.hideNotice();
+      this.schedule();
+    }
+  };
+
+  /**
+   * Stops monitoring.
+   */
+  SessionMonitor.prototype.destroy = function () {
+    clearTimeout(this.timer);
+    this.hideNotice();
+  };
+
+  /**
+   * Checks the session again shortly before it expires.
+   */
+  SessionMonitor.prototype.schedule = function () {
+    var remaining = this.expiresAt - Date.now();
+    var renewAt = Math.min(remaining - SESSION_WARNING, this.timeout / 2);
+    this.timer = setTimeout(this.check.bind(this), Math.max(renewAt, 1000));
+  };
+
+  /**
+   * Renews the session of an active editor or warns an idle one.
+   */
+  SessionMonitor.prototype.check = function () {
+    var now = Date.now();
+    var remaining = this.expiresAt - now;
+
+    if (remaining <= 0) {
+      Drupal.wizardClient.expireSession(Drupal.t('Your wizard session has expired. Please start over.'));
+      return;
+    }
+    if (now - this.lastActivity < this.timeout / 2) {
+      Drupal.wizardClient.keepAlive().catch(this.schedule.bind(this));
+      return;
+    }
+    if (remaining <= SESSION_WARNING) {
+      this.showWarning();
+      this.timer = setTimeout(this.check.bind(this), remaining);
+      return;
+    }
+    this.schedule();
+  };
+
+  /**
+   * Shows a notice above the wizard.
+   */
+  SessionMonitor.prototype.showNotice = function (type, message, actionLabel, action) {
+    this.hideNotice();
+    this.notice = document.createElement('div');
+    this.notice.className = 'messages messages--' + type + ' wizard-session-notice';
+    this.notice.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+    var text = document.createElement('p');
+    text.textContent = message;
+    this.notice.appendChild(text);
+
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button button--small';
+    button.textContent = actionLabel;
+    button.addEventListener('click', action);
+    this.notice.appendChild(button);
+
+    this.wrapper.insertBefore(this.notice, this.wrapper.firstChild);
+  };
+
+  /**
+   * Removes the notice.
+   */
+  SessionMonitor.prototype.hideNotice = function () {
+    if (this.notice) {
+      this.notice.remove();
+      this.notice = null;
+    }
+  };
+
+  /**
+   * Warns that the session is about to expire.
+   */
+  SessionMonitor.prototype.showWarning = function () {
+    this.showNotice('warning', Drupal.t('Your wizard session will expire soon because of inactivity.'), Drupal.t('Continue working'), function () {
+      this.lastActivity = Date.now();
+      Drupal.wizardClient.keepAlive().catch(function () {});
+    }.bind(this));
+  };
+
+  /**
+   * Tells that the session has expired.
+   */
+  SessionMonitor.prototype.showExpired = function (message) {
+    clearTimeout(this.timer);
+    var restartUrl = getClientSettings().restartUrl;
+    this.showNotice('error', message || Drupal.t('Your wizard session has expired. Please start over.'), Drupal.t('Start over'), function () {
+      window.location.href = restartUrl || window.location.href;
+    });
+  };
+
+})(Drupal, drupalSettings, once);
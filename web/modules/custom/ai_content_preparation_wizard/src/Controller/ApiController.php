@@ -0,0 +1,464 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Controller;
+
+use Drupal\ai_content_preparation_wizard\Enum\PlanStatus;
+use Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException;
+use Drupal\ai_content_preparation_wizard\Exception\DocumentProcessingException;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException;
+use Drupal\ai_content_preparation_wizard\Model\ChunkedUpload;
+use Drupal\ai_content_preparation_wizard\Model\PlanJob;
+use Drupal\ai_content_preparation_wizard\Service\ChunkedUploadManagerInterface;
+use Drupal\ai_content_preparation_wizard\Service\PlanJobManagerInterface;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Url;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Controller for the headless JSON API, version 1.
+ *
+ * The API does not use the wizard session: documents are uploads of the
+ * authenticated user and plans are jobs, both addressed by their ID. Errors
+ * are reported as {"success": false, "error": "...", "code": "..."}.
+ */
+final class ApiController extends ControllerBase {
+
+  /**
+   * Constructs an ApiController object.
+   */
+  public function __construct(
+    protected PlanJobManagerInterface $jobManager,
+    protected ChunkedUploadManagerInterface $uploadManager,
+  ) {}
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('ai_content_preparation_wizard.plan_job_manager'),
+      $container->get('ai_content_preparation_wizard.chunked_upload_manager'),
+    );
+  }
+
+  /**
+   * Uploads and processes a document.
+   *
+   * The request body is the file; the file name is taken from the
+   * Content-Disposition header, e.g. 'file; filename="report.docx"'.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   201 response with the processed document.
+   */
+  public function createDocument(Request $request): JsonResponse {
+    $disposition = (string) $request->headers->get('Content-Disposition');
+    if (!preg_match('/\bfilename="?([^";]+)"?/i', $disposition, $matches)) {
+      return $this->errorResponse('invalid_request', $this->t('The Content-Disposition header must contain the file name.'), 400);
+    }
+    $filename = rawurldecode($matches[1]);
+
+    $size = $request->headers->get('Content-Length');
+    if (!is_numeric($size)) {
+      return $this->errorResponse('length_required', $this->t('The Content-Length header is required.'), 411);
+    }
+
+    $errors = $this->uploadManager->validate($filename, (int) $size);
+    if ($errors) {
+      return $this->errorResponse('invalid_document', implode(' ', array_map('strip_tags', $errors)), 422);
+    }
+
+    try {
+      $upload = $this->uploadManager->upload($filename, (int) $size, $request->getContent(TRUE));
+    }
+    catch (\Exception $e) {
+      return $this->exceptionResponse($e);
+    }
+
+    // The upload manager records processing failures on the upload.
+    $document = $this->buildDocumentData($upload);
+    if (!$upload->isUsable()) {
+      return $this->errorResponse(PlanJobManagerInterface::ERROR_DOCUMENT_PROCESSING, (string) $document['error'], 422, [
+        'document' => $document,
+      ]);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'document' => $document,
+    ], 201, [
+      'Location' => $this->getUrl('ai_content_preparation_wizard.api.document', ['document_id' => $upload->id]),
+    ]);
+  }
+
+  /**
+   * Gets a document.
+   *
+   * @param string $document_id
+   *   The document ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the document.
+   */
+  public function document(string $document_id): JsonResponse {
+    $upload = $this->uploadManager->getUpload($document_id);
+    if ($upload === NULL || !$upload->isComplete()) {
+      return $this->errorResponse('not_found', $this->t('This document does not exist or has expired.'), 404);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'document' => $this->buildDocumentData($upload),
+    ]);
+  }
+
+  /**
+   * Starts generating a plan.
+   *
+   * Expects a JSON body with 'documents' (document IDs) and/or 'urls', and
+   * optionally 'contexts' (AI context IDs) and a 'template_id'. The plan is
+   * generated in the background; poll the returned plan until its status is
+   * no longer 'generating'.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   202 response with the plan job.
+   */
+  public function createPlan(Request $request): JsonResponse {
+    $data = Json::decode($request->getContent()) ?? [];
+    $lists = [];
+    foreach (['documents', 'urls', 'contexts'] as $key) {
+      $lists[$key] = $data[$key] ?? [];
+      if (!is_array($lists[$key]) || array_filter($lists[$key], fn($value): bool => !is_string($value))) {
+        return $this->errorResponse('invalid_request', $this->t('@key must be a list of strings.', ['@key' => $key]), 400);
+      }
+    }
+    $templateId = $data['template_id'] ?? NULL;
+    if ($templateId !== NULL && !is_scalar($templateId)) {
+      return $this->errorResponse('invalid_request', $this->t('template_id must be a string.'), 400);
+    }
+
+    try {
+      $job = $this->jobManager->createJob($lists['documents'], $lists['urls'], $lists['contexts'], $templateId !== NULL ? (string) $templateId : NULL);
+    }
+    catch (\Exception $e) {
+      return $this->exceptionResponse($e);
+    }
+
+    return $this->jobResponse($job, 202, [
+      'Location' => $this->getUrl('ai_content_preparation_wizard.api.plan', ['job_id' => $job->id]),
+    ]);
+  }
+
+  /**
+   * Gets a plan job, e.g. to poll its status.
+   *
+   * @param string $job_id
+   *   The job ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the plan job.
+   */
+  public function plan(string $job_id): JsonResponse {
+    $job = $this->jobManager->getJob($job_id);
+    if ($job === NULL) {
+      return $this->jobNotFoundResponse();
+    }
+
+    return $this->jobResponse($job);
+  }
+
+  /**
+   * Changes the title or the sections of a plan.
+   *
+   * Expects a JSON body with a 'title' and/or 'sections', an ordered list of
+   * sections with an 'id' and optional 'title', 'content' and
+   * 'component_type'. Sections without a known ID are added; sections that
+   * are not listed are removed.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $job_id
+   *   The job ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the updated plan job.
+   */
+  public function updatePlan(Request $request, string $job_id): JsonResponse {
+    if ($this->jobManager->getJob($job_id) === NULL) {
+      return $this->jobNotFoundResponse();
+    }
+
+    $data = Json::decode($request->getContent()) ?? [];
+    $title = $data['title'] ?? NULL;
+    $sections = $data['sections'] ?? NULL;
+    if ($title === NULL && $sections === NULL) {
+      return $this->errorResponse('invalid_request', $this->t('Provide a title or sections to change.'), 400);
+    }
+    if ($title !== NULL && (!is_string($title) || trim($title) === '')) {
+      return $this->errorResponse('invalid_request', $this->t('title must be a non-empty string.'), 400);
+    }
+    if ($sections !== NULL && (!is_array($sections) || array_filter($sections, fn($section): bool => !is_array($section)))) {
+      return $this->errorResponse('invalid_request', $this->t('sections must be a list of objects.'), 400);
+    }
+
+    try {
+      $job = $this->jobManager->updatePlan($job_id, $title !== NULL ? trim($title) : NULL, $sections !== NULL ? array_values($sections) : NULL);
+    }
+    catch (\Exception $e) {
+      return $this->exceptionResponse($e);
+    }
+
+    return $this->jobResponse($job);
+  }
+
+  /**
+   * Deletes a plan job.
+   *
+   * @param string $job_id
+   *   The job ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response confirming the deletion.
+   */
+  public function deletePlan(string $job_id): JsonResponse {
+    if ($this->jobManager->getJob($job_id) === NULL) {
+      return $this->jobNotFoundResponse();
+    }
+
+    $this->jobManager->deleteJob($job_id);
+
+    return new JsonResponse(['success' => TRUE]);
+  }
+
+  /**
+   * Starts refining a plan.
+   *
+   * Expects a JSON body with the 'instructions'. The plan is refined in the
+   * background; poll the plan until its status is no longer 'refining'.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $job_id
+   *   The job ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   202 response with the plan job.
+   */
+  public function refinePlan(Request $request, string $job_id): JsonResponse {
+    if ($this->jobManager->getJob($job_id) === NULL) {
+      return $this->jobNotFoundResponse();
+    }
+
+    $data = Json::decode($request->getContent()) ?? [];
+    $instructions = $data['instructions'] ?? NULL;
+    if (!is_string($instructions) || trim($instructions) === '') {
+      return $this->errorResponse('invalid_request', $this->t('Provide instructions for how to refine the plan.'), 400);
+    }
+
+    try {
+      $job = $this->jobManager->refine($job_id, trim($instructions));
+    }
+    catch (\Exception $e) {
+      return $this->exceptionResponse($e);
+    }
+
+    return $this->jobResponse($job, 202);
+  }
+
+  /**
+   * Creates the Canvas page of a plan.
+   *
+   * Accepts an optional JSON body with a 'title' overriding the plan title
+   * and 'publish' to publish the page; pages are unpublished by default.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $job_id
+   *   The job ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   201 response with the completed plan job, or 200 if the page had been
+   *   created before.
+   */
+  public function createPage(Request $request, string $job_id): JsonResponse {
+    $job = $this->jobManager->getJob($job_id);
+    if ($job === NULL) {
+      return $this->jobNotFoundResponse();
+    }
+
+    $data = Json::decode($request->getContent()) ?? [];
+    $options = [];
+    if (isset($data['title'])) {
+      if (!is_string($data['title']) || trim($data['title']) === '') {
+        return $this->errorResponse('invalid_request', $this->t('title must be a non-empty string.'), 400);
+      }
+      $options['title'] = trim($data['title']);
+    }
+    if (isset($data['publish'])) {
+      $options['status'] = (bool) $data['publish'];
+    }
+
+    $created = $job->status !== PlanStatus::COMPLETED;
+    try {
+      $job = $this->jobManager->createPage($job_id, $options);
+    }
+    catch (\Exception $e) {
+      return $this->exceptionResponse($e);
+    }
+
+    return $this->jobResponse($job, $created ? 201 : 200);
+  }
+
+  /**
+   * Builds the JSON response of a plan job.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanJob $job
+   *   The job.
+   * @param int $status
+   *   The HTTP status code.
+   * @param array<string, string> $headers
+   *   Additional response headers.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response.
+   */
+  protected function jobResponse(PlanJob $job, int $status = 200, array $headers = []): JsonResponse {
+    return new JsonResponse([
+      'success' => TRUE,
+      'plan' => [
+        'id' => $job->id,
+        'status' => $job->status->value,
+        'documents' => array_keys($job->documents),
+        'urls' => $job->urls,
+        'contexts' => $job->contexts,
+        'template_id' => $job->templateId,
+        'content' => $job->plan?->toArray(),
+        'error' => $job->error !== NULL ? ['code' => $job->errorCode, 'message' => $job->error] : NULL,
+        'page' => $job->pageId !== NULL ? ['id' => $job->pageId, 'url' => $job->pageUrl] : NULL,
+        'created_at' => date(\DateTimeInterface::RFC3339, $job->createdAt),
+        'updated_at' => date(\DateTimeInterface::RFC3339, $job->updatedAt),
+      ],
+    ], $status, $headers);
+  }
+
+  /**
+   * Builds the JSON data of a document.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload $upload
+   *   The complete upload.
+   *
+   * @return array
+   *   The document data.
+   */
+  protected function buildDocumentData(ChunkedUpload $upload): array {
+    return [
+      'id' => $upload->id,
+      'filename' => $upload->filename,
+      'size' => $upload->size,
+      'processed' => $upload->isUsable(),
+      'processor' => $upload->result['processor'] ?? NULL,
+      'pages' => $upload->result['pages'] ?? NULL,
+      'words' => $upload->result['words'] ?? NULL,
+      'error' => $upload->result['error'] ?? NULL,
+    ];
+  }
+
+  /**
+   * Maps an exception to an error response.
+   *
+   * @param \Exception $e
+   *   The exception.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The error response.
+   */
+  protected function exceptionResponse(\Exception $e): JsonResponse {
+    return match (TRUE) {
+      $e instanceof DocumentProcessingException => $this->errorResponse(PlanJobManagerInterface::ERROR_DOCUMENT_PROCESSING, $e->getMessage(), 422),
+      $e instanceof PlanGenerationException => $this->errorResponse(PlanJobManagerInterface::ERROR_PLAN_GENERATION, $e->getMessage(), 502),
+      $e instanceof CanvasCreationException => $this->errorResponse('canvas_creation_failed', $e->getMessage(), 422, [
+        'details' => $e->validationErrors ?? [],
+      ]),
+      $e instanceof InvalidWizardStateException => $this->errorResponse('invalid_state', $e->getMessage(), 409),
+      $e instanceof \InvalidArgumentException => $this->errorResponse('invalid_request', $e->getMessage(), 400),
+      default => $this->internalErrorResponse($e),
+    };
+  }
+
+  /**
+   * Logs an unexpected exception and builds the error response.
+   *
+   * @param \Exception $e
+   *   The exception.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   A 500 error response without the internal details.
+   */
+  protected function internalErrorResponse(\Exception $e): JsonResponse {
+    $this->getLogger('ai_content_preparation_wizard')->error('API request failed: @message', [
+      '@message' => $e->getMessage(),
+    ]);
+
+    return $this->errorResponse(PlanJobManagerInterface::ERROR_INTERNAL, $this->t('The request could not be completed. Please try again.'), 500);
+  }
+
+  /**
+   * Builds an error response.
+   *
+   * @param string $code
+   *   The machine-readable error code.
+   * @param string|\Stringable $message
+   *   The error message.
+   * @param int $status
+   *   The HTTP status code.
+   * @param array $data
+   *   Additional response data.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The error response.
+   */
+  protected function errorResponse(string $code, string|\Stringable $message, int $status, array $data = []): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => (string) $message,
+      'code' => $code,
+    ] + $data, $status);
+  }
+
+  /**
+   * Builds the error response for unknown or foreign plan jobs.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   A 404 JSON response.
+   */
+  protected function jobNotFoundResponse(): JsonResponse {
+    return $this->errorResponse('not_found', $this->t('This plan does not exist or has expired.'), 404);
+  }
+
+  /**
+   * Gets the absolute URL of an API route.
+   *
+   * @param string $route
+   *   The route name.
+   * @param array $parameters
+   *   The route parameters.
+   *
+   * @return string
+   *   The URL.
+   */
+  protected function getUrl(string $route, array $parameters): string {
+    return Url::fromRoute($route, $parameters, ['absolute' => TRUE])->toString();
+  }
+
+}
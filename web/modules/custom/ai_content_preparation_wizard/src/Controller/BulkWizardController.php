@@ -0,0 +1,306 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Controller;
+
+use Drupal\ai_content_preparation_wizard\Enum\BulkItemStatus;
+use Drupal\ai_content_preparation_wizard\Model\BulkItem;
+use Drupal\ai_content_preparation_wizard\Model\BulkRun;
+use Drupal\ai_content_preparation_wizard\Service\BulkWizardManagerInterface;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Url;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Controller for the bulk mode dashboard and its JSON endpoints.
+ */
+final class BulkWizardController extends ControllerBase {
+
+  /**
+   * Constructs a BulkWizardController object.
+   */
+  public function __construct(
+    protected BulkWizardManagerInterface $bulkManager,
+  ) {}
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('ai_content_preparation_wizard.bulk_wizard_manager'),
+    );
+  }
+
+  /**
+   * Renders the dashboard of a bulk run.
+   *
+   * @param string $run_id
+   *   The run ID.
+   *
+   * @return array
+   *   The render array.
+   */
+  public function dashboard(string $run_id): array {
+    $run = $this->bulkManager->getRun($run_id);
+    if ($run === NULL) {
+      throw new NotFoundHttpException();
+    }
+
+    $config = $this->config('ai_content_preparation_wizard.settings');
+    $parameters = ['run_id' => $run->id];
+
+    return [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['bulk-dashboard'],
+        'data-bulk-dashboard' => '',
+      ],
+      'intro' => [
+        '#markup' => '<p>' . $this->t('Every document and webpage gets its own content plan. Pages are created unpublished once you approve their plans. Processing continues on cron if you leave this page.') . '</p>',
+      ],
+      'restart' => [
+        '#type' => 'link',
+        '#title' => $this->t('Start a new wizard'),
+        '#url' => Url::fromRoute('ai_content_preparation_wizard.wizard'),
+        '#attributes' => ['class' => ['button']],
+        '#weight' => 10,
+      ],
+      '#attached' => [
+        'library' => ['ai_content_preparation_wizard/bulk-dashboard'],
+        'drupalSettings' => [
+          'aiContentPreparationWizard' => [
+            'bulkRun' => $this->buildRunData($run),
+            'bulkStatusEndpoint' => Url::fromRoute('ai_content_preparation_wizard.bulk_status', $parameters)->toString(),
+            'bulkProcessEndpoint' => Url::fromRoute('ai_content_preparation_wizard.bulk_process', $parameters)->toString(),
+            'bulkRetryEndpoint' => Url::fromRoute('ai_content_preparation_wizard.bulk_retry', $parameters)->toString(),
+            'bulkCreateEndpoint' => Url::fromRoute('ai_content_preparation_wizard.bulk_create', $parameters)->toString(),
+            'client' => [
+              'csrfTokenEndpoint' => Url::fromRoute('system.csrftoken')->toString(),
+              'restartUrl' => Url::fromRoute('ai_content_preparation_wizard.wizard')->toString(),
+              'timeouts' => [
+                'generation' => (int) ($config->get('ai_request_timeout') ?? 300) * 1000,
+              ],
+            ],
+          ],
+        ],
+      ],
+      '#cache' => ['max-age' => 0],
+    ];
+  }
+
+  /**
+   * JSON endpoint returning the state of a bulk run.
+   *
+   * @param string $run_id
+   *   The run ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the run data.
+   */
+  public function status(string $run_id): JsonResponse {
+    $run = $this->bulkManager->getRun($run_id);
+    if ($run === NULL) {
+      return $this->runNotFoundResponse();
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'run' => $this->buildRunData($run),
+    ]);
+  }
+
+  /**
+   * JSON endpoint processing the next queued item of a bulk run.
+   *
+   * @param string $run_id
+   *   The run ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the processed item ('item', NULL if nothing was
+   *   queued) and the run data.
+   */
+  public function process(string $run_id): JsonResponse {
+    if ($this->bulkManager->getRun($run_id) === NULL) {
+      return $this->runNotFoundResponse();
+    }
+
+    try {
+      $item = $this->bulkManager->processNext($run_id);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Bulk processing failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Failed to process the next item: @error', ['@error' => $e->getMessage()]),
+      ], 500);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'item' => $item ? $this->buildItemData($item) : NULL,
+      'run' => $this->buildRunData($this->bulkManager->getRun($run_id)),
+    ]);
+  }
+
+  /**
+   * JSON endpoint retrying failed items of a bulk run.
+   *
+   * Expects a JSON body with the 'item_ids' to retry.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $run_id
+   *   The run ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the run data.
+   */
+  public function retry(Request $request, string $run_id): JsonResponse {
+    if ($this->bulkManager->getRun($run_id) === NULL) {
+      return $this->runNotFoundResponse();
+    }
+
+    $data = Json::decode($request->getContent()) ?? [];
+    $itemIds = array_filter((array) ($data['item_ids'] ?? []), 'is_string');
+    if (empty($itemIds)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No items selected.'),
+      ], 400);
+    }
+
+    try {
+      $run = $this->bulkManager->retryItems($run_id, $itemIds);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Bulk retry failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Failed to retry the items: @error', ['@error' => $e->getMessage()]),
+      ], 500);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'run' => $this->buildRunData($run),
+    ]);
+  }
+
+  /**
+   * JSON endpoint creating the Canvas page of an approved item.
+   *
+   * Expects a JSON body with the 'item_id'.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $run_id
+   *   The run ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the updated item. A failed creation is reported in
+   *   the item and with 'success' set to FALSE.
+   */
+  public function createPage(Request $request, string $run_id): JsonResponse {
+    if ($this->bulkManager->getRun($run_id) === NULL) {
+      return $this->runNotFoundResponse();
+    }
+
+    $data = Json::decode($request->getContent()) ?? [];
+    $itemId = $data['item_id'] ?? NULL;
+    if (!is_string($itemId) || $itemId === '') {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No item selected.'),
+      ], 400);
+    }
+
+    try {
+      $item = $this->bulkManager->createPage($run_id, $itemId);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Bulk page creation failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Failed to create the page: @error', ['@error' => $e->getMessage()]),
+      ], 400);
+    }
+
+    $created = $item->status === BulkItemStatus::CREATED;
+    return new JsonResponse([
+      'success' => $created,
+      'item' => $this->buildItemData($item),
+    ] + ($created ? [] : [
+      'error' => (string) $this->t('Failed to create the page: @error', ['@error' => $item->error]),
+    ]));
+  }
+
+  /**
+   * Builds the JSON data of a bulk run.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\BulkRun $run
+   *   The run.
+   *
+   * @return array
+   *   The run data.
+   */
+  protected function buildRunData(BulkRun $run): array {
+    return [
+      'id' => $run->id,
+      'total' => count($run->items),
+      'counts' => $run->getCounts(),
+      'pending' => $run->isPending(),
+      'items' => array_values(array_map([$this, 'buildItemData'], $run->items)),
+    ];
+  }
+
+  /**
+   * Builds the JSON data of a bulk item.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\BulkItem $item
+   *   The item.
+   *
+   * @return array
+   *   The item data.
+   */
+  protected function buildItemData(BulkItem $item): array {
+    return [
+      'id' => $item->id,
+      'label' => $item->label,
+      'sourceType' => $item->sourceType,
+      'status' => $item->status->value,
+      'error' => $item->error,
+      'attempts' => $item->attempts,
+      'plan' => $item->plan ? [
+        'title' => $item->plan->title,
+        'sectionCount' => count($item->plan->sections),
+      ] : NULL,
+      'pageUrl' => $item->pageUrl,
+    ];
+  }
+
+  /**
+   * Builds the error response for unknown or foreign bulk runs.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   A 404 JSON response.
+   */
+  protected function runNotFoundResponse(): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => (string) $this->t('This bulk run does not exist or has expired.'),
+    ], 404);
+  }
+
+}
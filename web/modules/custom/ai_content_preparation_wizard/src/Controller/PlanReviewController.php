@@ -0,0 +1,574 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Controller;
+
+use Drupal\ai_content_preparation_wizard\Enum\ReviewStatus;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanReview;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\ReviewComment;
+use Drupal\ai_content_preparation_wizard\Service\PlanReviewManagerInterface;
+use Drupal\ai_content_preparation_wizard\Service\WizardSessionManagerInterface;
+use Drupal\Component\Serialization\Json;
+use Drupal\Component\Utility\Html;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\StringTranslation\TranslatableMarkup;
+use Drupal\Core\Url;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Controller for the review page of shared plans and its JSON endpoints.
+ */
+final class PlanReviewController extends ControllerBase {
+
+  use PostedSectionsTrait;
+
+  /**
+   * The maximum number of sections accepted when sharing a plan.
+   */
+  private const MAX_SECTIONS = 200;
+
+  /**
+   * Constructs a PlanReviewController object.
+   */
+  public function __construct(
+    protected PlanReviewManagerInterface $reviewManager,
+    protected WizardSessionManagerInterface $sessionManager,
+  ) {}
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('ai_content_preparation_wizard.plan_review_manager'),
+      $container->get('ai_content_preparation_wizard.wizard_session_manager'),
+    );
+  }
+
+  /**
+   * Renders the review page of a shared plan.
+   *
+   * @param string $review_id
+   *   The review ID.
+   *
+   * @return array
+   *   The render array.
+   */
+  public function page(string $review_id): array {
+    $review = $this->reviewManager->getReview($review_id);
+    if ($review === NULL) {
+      throw new NotFoundHttpException();
+    }
+
+    $config = $this->config('ai_content_preparation_wizard.settings');
+    $owner = $this->entityTypeManager()->getStorage('user')->load($review->ownerId);
+
+    $build = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['plan-review-page'],
+        'data-plan-review-page' => '',
+      ],
+      'intro' => [
+        '#markup' => '<p>' . $this->t('@name shared this content plan for review. Comment on the sections, then approve the plan or request changes.', [
+          '@name' => $owner ? $owner->getDisplayName() : $this->t('Anonymous'),
+        ]) . '</p>',
+      ],
+      'status' => [
+        '#markup' => '<div class="plan-review-status" data-plan-review-status aria-live="polite"></div>',
+      ],
+      'summary' => [
+        '#type' => 'item',
+        '#title' => $this->t('Summary'),
+        '#plain_text' => $review->plan->summary,
+        '#access' => $review->plan->summary !== '',
+      ],
+      'sections' => [
+        '#type' => 'container',
+        '#attributes' => ['class' => ['plan-review-sections']],
+      ],
+      '#attached' => [
+        'library' => ['ai_content_preparation_wizard/plan-review'],
+        'drupalSettings' => [
+          'aiContentPreparationWizard' => [
+            'planReview' => $this->buildReviewData($review),
+            'client' => [
+              'csrfTokenEndpoint' => Url::fromRoute('system.csrftoken')->toString(),
+              'restartUrl' => Url::fromRoute('ai_content_preparation_wizard.wizard')->toString(),
+              'timeouts' => [
+                'generation' => (int) ($config->get('ai_request_timeout') ?? 300) * 1000,
+              ],
+            ],
+          ],
+        ],
+      ],
+      '#cache' => ['max-age' => 0],
+    ];
+
+    foreach ($review->plan->sections as $section) {
+      $this->buildSection($build['sections'], $section, 0);
+    }
+
+    if ($this->reviewManager->canDecide($review)) {
+      $build['decision'] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['plan-review-decision'],
+          'data-plan-review-decision' => '',
+        ],
+        'message' => [
+          '#type' => 'textarea',
+          '#title' => $this->t('Message to the author'),
+          '#rows' => 3,
+          '#attributes' => ['data-plan-review-message' => ''],
+        ],
+        'approve' => [
+          '#type' => 'html_tag',
+          '#tag' => 'button',
+          '#value' => $this->t('Approve plan'),
+          '#attributes' => [
+            'type' => 'button',
+            'class' => ['button', 'button--primary'],
+            'data-plan-review-decide' => ReviewStatus::APPROVED->value,
+          ],
+        ],
+        'request_changes' => [
+          '#type' => 'html_tag',
+          '#tag' => 'button',
+          '#value' => $this->t('Request changes'),
+          '#attributes' => [
+            'type' => 'button',
+            'class' => ['button'],
+            'data-plan-review-decide' => ReviewStatus::CHANGES_REQUESTED->value,
+          ],
+        ],
+      ];
+    }
+
+    return $build;
+  }
+
+  /**
+   * Title callback of the review page.
+   *
+   * @param string $review_id
+   *   The review ID.
+   *
+   * @return string|\Drupal\Core\StringTranslation\TranslatableMarkup
+   *   The page title.
+   */
+  public function title(string $review_id) {
+    $review = $this->reviewManager->getReview($review_id);
+    return $review ? $this->t('Review: @title', ['@title' => $review->plan->title]) : $this->t('Plan review');
+  }
+
+  /**
+   * JSON endpoint returning a shared plan's review state and comments.
+   *
+   * @param string $review_id
+   *   The review ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the review data.
+   */
+  public function data(string $review_id): JsonResponse {
+    $review = $this->reviewManager->getReview($review_id);
+    if ($review === NULL) {
+      return $this->reviewNotFoundResponse();
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'review' => $this->buildReviewData($review),
+    ]);
+  }
+
+  /**
+   * JSON endpoint returning the review of the wizard session's plan.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the review data, NULL if the plan was not shared.
+   */
+  public function sessionReview(): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+
+    $review = $this->reviewManager->getSessionReview();
+    return new JsonResponse([
+      'success' => TRUE,
+      'approvalRequired' => $this->reviewManager->isApprovalRequired(),
+      'review' => $review ? $this->buildReviewData($review, $session->getContentPlan()) : NULL,
+    ]);
+  }
+
+  /**
+   * JSON endpoint sharing the wizard session's plan for review.
+   *
+   * The request body may carry the editor's unsaved 'title' and 'sections',
+   * so reviewers see the plan the editor currently sees.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the review data or error.
+   */
+  public function share(Request $request): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found to share.'),
+      ], 400);
+    }
+
+    // Sections added in the editor keep their IDs, so comments on them are
+    // shown with the sections.
+    $plan = $this->applyPostedEdits($plan, Json::decode($request->getContent()) ?? [], self::MAX_SECTIONS);
+    if ($plan === NULL) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Invalid section data.'),
+      ], 400);
+    }
+
+    try {
+      // The shared version becomes the wizard's plan, so the review status
+      // compares against what the reviewers see.
+      $this->sessionManager->setContentPlan($plan);
+      $review = $this->reviewManager->share($plan);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Sharing the plan for review failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Failed to share the plan: @error', ['@error' => $e->getMessage()]),
+      ], 500);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'approvalRequired' => $this->reviewManager->isApprovalRequired(),
+      'review' => $this->buildReviewData($review, $plan),
+    ]);
+  }
+
+  /**
+   * JSON endpoint adding a comment to a section of a shared plan.
+   *
+   * Expects a JSON body with the 'section_id' and the comment 'body'.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $review_id
+   *   The review ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the review data or error.
+   */
+  public function addComment(Request $request, string $review_id): JsonResponse {
+    if ($this->reviewManager->getReview($review_id) === NULL) {
+      return $this->reviewNotFoundResponse();
+    }
+
+    $data = Json::decode($request->getContent()) ?? [];
+    $sectionId = $data['section_id'] ?? NULL;
+    $body = $data['body'] ?? NULL;
+    if (!is_string($sectionId) || !is_string($body)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No comment given.'),
+      ], 400);
+    }
+
+    try {
+      $this->reviewManager->addComment($review_id, $sectionId, $body);
+    }
+    catch (\InvalidArgumentException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => $e->getMessage(),
+      ], 400);
+    }
+    catch (\Exception $e) {
+      return $this->errorResponse($e, $this->t('Failed to add the comment: @error', ['@error' => $e->getMessage()]));
+    }
+
+    return $this->reviewResponse($review_id);
+  }
+
+  /**
+   * JSON endpoint resolving a comment or opening it again.
+   *
+   * Expects a JSON body with 'resolved', which defaults to TRUE.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $review_id
+   *   The review ID.
+   * @param string $comment_id
+   *   The comment ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the review data or error.
+   */
+  public function resolveComment(Request $request, string $review_id, string $comment_id): JsonResponse {
+    $review = $this->reviewManager->getReview($review_id);
+    if ($review === NULL) {
+      return $this->reviewNotFoundResponse();
+    }
+    $comment = $review->getComment($comment_id);
+    if ($comment === NULL) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('This comment does not exist.'),
+      ], 404);
+    }
+    if (!$this->reviewManager->canResolve($review, $comment)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Only the author of the plan or of the comment can resolve it.'),
+      ], 403);
+    }
+
+    $data = Json::decode($request->getContent()) ?? [];
+    try {
+      $this->reviewManager->resolveComment($review_id, $comment_id, (bool) ($data['resolved'] ?? TRUE));
+    }
+    catch (\Exception $e) {
+      return $this->errorResponse($e, $this->t('Failed to update the comment: @error', ['@error' => $e->getMessage()]));
+    }
+
+    return $this->reviewResponse($review_id);
+  }
+
+  /**
+   * JSON endpoint approving a shared plan or requesting changes.
+   *
+   * Expects a JSON body with the 'decision', 'approved' or
+   * 'changes_requested', and an optional 'message'.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $review_id
+   *   The review ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the review data or error.
+   */
+  public function decide(Request $request, string $review_id): JsonResponse {
+    $review = $this->reviewManager->getReview($review_id);
+    if ($review === NULL) {
+      return $this->reviewNotFoundResponse();
+    }
+    if (!$this->reviewManager->canDecide($review)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('You cannot review your own content plan.'),
+      ], 403);
+    }
+
+    $data = Json::decode($request->getContent()) ?? [];
+    $status = ReviewStatus::tryFrom((string) ($data['decision'] ?? ''));
+    if ($status === NULL || $status === ReviewStatus::PENDING) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Approve the plan or request changes.'),
+      ], 400);
+    }
+    $message = isset($data['message']) && is_string($data['message']) ? mb_substr($data['message'], 0, ReviewComment::MAX_LENGTH) : NULL;
+
+    try {
+      $this->reviewManager->decide($review_id, $status, $message);
+    }
+    catch (InvalidWizardStateException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => $e->getMessage(),
+      ], 409);
+    }
+    catch (\Exception $e) {
+      return $this->errorResponse($e, $this->t('Failed to save the review: @error', ['@error' => $e->getMessage()]));
+    }
+
+    return $this->reviewResponse($review_id);
+  }
+
+  /**
+   * Builds the JSON data of a review.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanReview $review
+   *   The review.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan|null $currentPlan
+   *   The plan of the wizard session. If given, the data flags whether the
+   *   shared copy is outdated.
+   *
+   * @return array
+   *   The review data.
+   */
+  protected function buildReviewData(PlanReview $review, ?ContentPlan $currentPlan = NULL): array {
+    $comments = [];
+    foreach ($review->comments as $comment) {
+      $comments[] = [
+        'id' => $comment->id,
+        'sectionId' => $comment->sectionId,
+        'authorName' => $comment->authorName,
+        'body' => $comment->body,
+        'createdAt' => date('c', $comment->createdAt),
+        'resolved' => $comment->resolved,
+        'canResolve' => $this->reviewManager->canResolve($review, $comment),
+      ];
+    }
+
+    $sections = [];
+    foreach ($review->plan->sections as $section) {
+      foreach ($section->flatten() as $flatSection) {
+        $sections[$flatSection->id] = $flatSection->title;
+      }
+    }
+
+    $data = [
+      'id' => $review->id,
+      'url' => Url::fromRoute('ai_content_preparation_wizard.review', ['review_id' => $review->id], ['absolute' => TRUE])->toString(),
+      'endpoint' => Url::fromRoute('ai_content_preparation_wizard.review', ['review_id' => $review->id])->toString(),
+      'status' => $review->status->value,
+      'reviewerName' => $review->reviewerName,
+      'decisionMessage' => $review->decisionMessage,
+      'updatedAt' => date('c', $review->updatedAt),
+      'canDecide' => $this->reviewManager->canDecide($review),
+      'openComments' => $review->countOpenComments(),
+      'sections' => $sections,
+      'comments' => $comments,
+    ];
+    if ($currentPlan !== NULL) {
+      $data['outdated'] = PlanReview::hashPlan($currentPlan) !== PlanReview::hashPlan($review->plan);
+    }
+
+    return $data;
+  }
+
+  /**
+   * Builds a section of the review page, followed by its children.
+   *
+   * @param array $container
+   *   The render array of the section list.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The section.
+   * @param int $depth
+   *   The nesting level.
+   */
+  protected function buildSection(array &$container, PlanSection $section, int $depth): void {
+    $container[$section->id] = [
+      '#type' => 'html_tag',
+      '#tag' => 'section',
+      '#attributes' => [
+        'class' => ['plan-review-section', 'plan-review-section--depth-' . min($depth, 3)],
+        'data-section-id' => $section->id,
+      ],
+      'title' => [
+        '#type' => 'html_tag',
+        '#tag' => 'h3',
+        '#value' => Html::escape($section->title),
+        '#attributes' => ['class' => ['plan-review-section__title']],
+      ],
+      'content' => [
+        '#type' => 'container',
+        '#attributes' => ['class' => ['plan-review-section__content']],
+        'text' => ['#plain_text' => $section->content],
+      ],
+      'thread' => [
+        '#markup' => '<div class="plan-review-thread" data-review-thread></div>',
+      ],
+    ];
+
+    foreach ($section->children as $child) {
+      $this->buildSection($container, $child, $depth + 1);
+    }
+  }
+
+  /**
+   * Builds the response with the current data of a review.
+   *
+   * @param string $reviewId
+   *   The review ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the review data.
+   */
+  protected function reviewResponse(string $reviewId): JsonResponse {
+    $review = $this->reviewManager->getReview($reviewId);
+    if ($review === NULL) {
+      return $this->reviewNotFoundResponse();
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'review' => $this->buildReviewData($review),
+    ]);
+  }
+
+  /**
+   * Logs an unexpected error and builds the error response.
+   *
+   * @param \Exception $e
+   *   The exception.
+   * @param \Drupal\Core\StringTranslation\TranslatableMarkup $message
+   *   The message for the editor.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The error response.
+   */
+  protected function errorResponse(\Exception $e, TranslatableMarkup $message): JsonResponse {
+    $this->getLogger('ai_content_preparation_wizard')->error('Plan review request failed: @message', [
+      '@message' => $e->getMessage(),
+    ]);
+
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => (string) $message,
+    ], 500);
+  }
+
+  /**
+   * Builds the response for reviews that do not exist.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The error response.
+   */
+  protected function reviewNotFoundResponse(): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => (string) $this->t('This review does not exist or has expired.'),
+    ], 404);
+  }
+
+  /**
+   * Builds the response for an expired wizard session.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The error response, detected by wizard-client.js.
+   */
+  protected function sessionExpiredResponse(): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => (string) $this->t('Your wizard session has expired. Please start over.'),
+      'code' => 'session_expired',
+    ], 410);
+  }
+
+}
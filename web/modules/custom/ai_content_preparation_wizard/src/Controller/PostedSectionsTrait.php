@@ -0,0 +1,97 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Controller;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+
+/**
+ * Applies the unsaved edits the Step 2 editor posts to JSON endpoints.
+ *
+ * The editor posts its title and top-level sections as serialized by
+ * Drupal.behaviors.sectionManager.serializeSections() (js/section-manager.js).
+ */
+trait PostedSectionsTrait {
+
+  /**
+   * Applies the editor's unsaved title and sections posted by the client.
+   *
+   * The posted sections replace the top-level sections of the plan, see
+   * buildPostedSections().
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The stored plan.
+   * @param array $data
+   *   The decoded request body, with optional 'title' and 'sections' keys.
+   * @param int $maxSections
+   *   The maximum number of posted sections.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan|null
+   *   The plan with the edits, or NULL if the section data is invalid.
+   */
+  protected function applyPostedEdits(ContentPlan $plan, array $data, int $maxSections): ?ContentPlan {
+    $sections = $this->buildPostedSections($plan, $data['sections'] ?? NULL, $maxSections);
+    if ($sections === NULL) {
+      return NULL;
+    }
+
+    $plan = $plan->withSections($sections);
+    if (isset($data['title']) && is_string($data['title']) && trim($data['title']) !== '') {
+      $plan = $plan->withTitle(trim($data['title']));
+    }
+    return $plan;
+  }
+
+  /**
+   * Builds the top-level sections from the editor's posted sections.
+   *
+   * Posted entries have an 'id' and optional 'title', 'content',
+   * 'component_type' and 'images' keys; omitted keys keep the value of the
+   * stored section. Sections added in the browser keep their client-side
+   * ID, so that responses can refer to them. Repeated IDs are skipped, and
+   * stored sections the editor does not list are kept, see
+   * ContentPlan::withEditorSections().
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The stored plan.
+   * @param mixed $posted
+   *   The posted 'sections' value, or NULL if none were posted.
+   * @param int $maxSections
+   *   The maximum number of posted sections.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\PlanSection>|null
+   *   The sections in posted order, the stored sections if none were
+   *   posted, or NULL if the section data is invalid.
+   */
+  protected function buildPostedSections(ContentPlan $plan, mixed $posted, int $maxSections): ?array {
+    if ($posted === NULL) {
+      return $plan->sections;
+    }
+    if (!is_array($posted) || count($posted) > $maxSections || array_filter($posted, fn($entry): bool => !is_array($entry))) {
+      return NULL;
+    }
+
+    $sections = [];
+    foreach ($posted as $entry) {
+      if (empty($entry['id']) || !is_string($entry['id']) || isset($sections[$entry['id']])) {
+        continue;
+      }
+      $existing = $plan->getSection($entry['id']);
+      $sections[$entry['id']] = new PlanSection(
+        $entry['id'],
+        (string) ($entry['title'] ?? $existing?->title ?? ''),
+        (string) ($entry['content'] ?? $existing?->content ?? ''),
+        (string) ($entry['component_type'] ?? $existing?->componentType ?? 'text'),
+        count($sections) + 1,
+        $existing?->componentConfig ?? [],
+        $existing?->children ?? [],
+        $existing?->sourceSpans ?? [],
+        is_array($entry['images'] ?? NULL) ? $plan->getImages($entry['images']) : ($existing?->images ?? []),
+      );
+    }
+    return $plan->withEditorSections(array_values($sections))->sections;
+  }
+
+}
@@ -0,0 +1,203 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Controller;
+
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Model\SiteCrawl;
+use Drupal\ai_content_preparation_wizard\Service\SiteCrawlerInterface;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Controller\ControllerBase;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Controller for the site crawls of Step 1.
+ */
+final class SiteCrawlController extends ControllerBase {
+
+  /**
+   * Constructs a SiteCrawlController object.
+   */
+  public function __construct(
+    protected SiteCrawlerInterface $siteCrawler,
+  ) {}
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('ai_content_preparation_wizard.site_crawler'),
+    );
+  }
+
+  /**
+   * JSON endpoint starting a crawl.
+   *
+   * Expects a JSON body with the start 'url' and optionally 'max_depth',
+   * 'max_pages' and the 'include' and 'exclude' path patterns.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the crawl data.
+   */
+  public function start(Request $request): JsonResponse {
+    $data = Json::decode($request->getContent()) ?? [];
+    $url = $data['url'] ?? NULL;
+    if (!is_string($url) || trim($url) === '') {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Enter the URL of a page or sitemap to crawl.'),
+      ], 400);
+    }
+
+    try {
+      $crawl = $this->siteCrawler->start($url, [
+        'max_depth' => $data['max_depth'] ?? NULL,
+        'max_pages' => $data['max_pages'] ?? NULL,
+        'include' => $data['include'] ?? [],
+        'exclude' => $data['exclude'] ?? [],
+      ]);
+    }
+    catch (\InvalidArgumentException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Enter an absolute http or https URL.'),
+      ], 400);
+    }
+    catch (\RuntimeException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The crawl could not be started: @error', ['@error' => $e->getMessage()]),
+      ], 422);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'crawl' => $this->buildCrawlData($crawl),
+    ], 201);
+  }
+
+  /**
+   * JSON endpoint returning the state of a crawl.
+   *
+   * @param string $crawl_id
+   *   The crawl ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the crawl data.
+   */
+  public function status(string $crawl_id): JsonResponse {
+    $crawl = $this->siteCrawler->getCrawl($crawl_id);
+    if ($crawl === NULL) {
+      return $this->crawlNotFoundResponse();
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'crawl' => $this->buildCrawlData($crawl),
+    ]);
+  }
+
+  /**
+   * JSON endpoint fetching the next queued pages of a crawl.
+   *
+   * @param string $crawl_id
+   *   The crawl ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the crawl data.
+   */
+  public function next(string $crawl_id): JsonResponse {
+    try {
+      $crawl = $this->siteCrawler->crawlNext($crawl_id);
+    }
+    catch (InvalidWizardStateException) {
+      return $this->crawlNotFoundResponse();
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Crawling pages of @crawl failed: @message', [
+        '@crawl' => $crawl_id,
+        '@message' => $e->getMessage(),
+      ]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The pages could not be crawled. Please try again.'),
+      ], 500);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'crawl' => $this->buildCrawlData($crawl),
+    ]);
+  }
+
+  /**
+   * JSON endpoint cancelling a crawl.
+   *
+   * @param string $crawl_id
+   *   The crawl ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response confirming the cancellation.
+   */
+  public function cancel(string $crawl_id): JsonResponse {
+    $this->siteCrawler->cancel($crawl_id);
+
+    return new JsonResponse(['success' => TRUE]);
+  }
+
+  /**
+   * Builds the JSON data of a crawl.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\SiteCrawl $crawl
+   *   The crawl.
+   *
+   * @return array
+   *   The crawl data. Word counts are of the content without boilerplate.
+   */
+  protected function buildCrawlData(SiteCrawl $crawl): array {
+    $contents = $this->siteCrawler->getContents($crawl);
+
+    $pages = [];
+    foreach ($crawl->pages as $url => $page) {
+      $pages[] = [
+        'url' => $url,
+        'depth' => $page->depth,
+        'status' => $page->status->value,
+        'title' => $page->title,
+        'words' => isset($contents[$url]) ? str_word_count($contents[$url]) : 0,
+        'error' => $page->error,
+      ];
+    }
+
+    return [
+      'id' => $crawl->id,
+      'startUrl' => $crawl->startUrl,
+      'maxPages' => $crawl->maxPages,
+      'finished' => $crawl->isFinished(),
+      'limitReached' => $crawl->isLimitReached(),
+      'counts' => $crawl->getCounts(),
+      'pages' => $pages,
+    ];
+  }
+
+  /**
+   * Builds the error response for unknown or foreign crawls.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   A 404 JSON response.
+   */
+  protected function crawlNotFoundResponse(): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => (string) $this->t('This crawl does not exist or has expired.'),
+    ], 404);
+  }
+
+}
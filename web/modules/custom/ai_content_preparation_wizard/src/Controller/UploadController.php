@@ -0,0 +1,224 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Controller;
+
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Model\ChunkedUpload;
+use Drupal\ai_content_preparation_wizard\Service\ChunkedUploadManagerInterface;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Controller\ControllerBase;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Controller for the resumable chunked uploads of the Step 1 upload zone.
+ */
+final class UploadController extends ControllerBase {
+
+  /**
+   * Constructs an UploadController object.
+   */
+  public function __construct(
+    protected ChunkedUploadManagerInterface $uploadManager,
+  ) {}
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('ai_content_preparation_wizard.chunked_upload_manager'),
+    );
+  }
+
+  /**
+   * JSON endpoint starting an upload.
+   *
+   * Expects a JSON body with the 'filename' and the 'size' in bytes.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the upload data and the 'chunkSize' to use.
+   */
+  public function start(Request $request): JsonResponse {
+    $data = Json::decode($request->getContent()) ?? [];
+    $filename = $data['filename'] ?? NULL;
+    $size = $data['size'] ?? NULL;
+    if (!is_string($filename) || trim($filename) === '' || !is_int($size)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The file name and size are required.'),
+      ], 400);
+    }
+
+    $errors = $this->uploadManager->validate($filename, $size);
+    if ($errors) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => implode(' ', $errors),
+      ], 422);
+    }
+
+    try {
+      $upload = $this->uploadManager->start($filename, $size);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Starting the upload of @filename failed: @message', [
+        '@filename' => $filename,
+        '@message' => $e->getMessage(),
+      ]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The upload could not be started. Please try again.'),
+      ], 500);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'upload' => $this->buildUploadData($upload),
+      'chunkSize' => ChunkedUploadManagerInterface::CHUNK_SIZE,
+    ], 201);
+  }
+
+  /**
+   * JSON endpoint returning the state of an upload, e.g. to resume it.
+   *
+   * @param string $upload_id
+   *   The upload ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the upload data.
+   */
+  public function status(string $upload_id): JsonResponse {
+    $upload = $this->uploadManager->getUpload($upload_id);
+    if ($upload === NULL) {
+      return $this->uploadNotFoundResponse();
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'upload' => $this->buildUploadData($upload),
+      'chunkSize' => ChunkedUploadManagerInterface::CHUNK_SIZE,
+    ]);
+  }
+
+  /**
+   * JSON endpoint receiving a chunk of an upload.
+   *
+   * The request body is the raw chunk; the 'offset' query parameter is its
+   * position in the file. A wrong offset, e.g. of a chunk sent twice, gets a
+   * 409 response with the upload data to continue from.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $upload_id
+   *   The upload ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the upload data, including the processing result
+   *   once the last chunk was received.
+   */
+  public function chunk(Request $request, string $upload_id): JsonResponse {
+    if ($this->uploadManager->getUpload($upload_id) === NULL) {
+      return $this->uploadNotFoundResponse();
+    }
+
+    $offset = $request->query->get('offset');
+    if (!is_numeric($offset) || (int) $offset < 0) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The chunk offset is missing.'),
+      ], 400);
+    }
+
+    try {
+      $upload = $this->uploadManager->appendChunk($upload_id, (int) $offset, $request->getContent(TRUE));
+    }
+    catch (InvalidWizardStateException $e) {
+      $upload = $this->uploadManager->getUpload($upload_id);
+      if ($upload === NULL) {
+        return $this->uploadNotFoundResponse();
+      }
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The upload continues at a different position.'),
+        'upload' => $this->buildUploadData($upload),
+      ], 409);
+    }
+    catch (\InvalidArgumentException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The chunk was rejected: @error', ['@error' => $e->getMessage()]),
+      ], 400);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Storing a chunk of upload @upload failed: @message', [
+        '@upload' => $upload_id,
+        '@message' => $e->getMessage(),
+      ]);
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The chunk could not be stored. Please try again.'),
+      ], 503);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'upload' => $this->buildUploadData($upload),
+    ]);
+  }
+
+  /**
+   * JSON endpoint cancelling an upload.
+   *
+   * @param string $upload_id
+   *   The upload ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response confirming the cancellation.
+   */
+  public function cancel(string $upload_id): JsonResponse {
+    $this->uploadManager->cancel($upload_id);
+
+    return new JsonResponse(['success' => TRUE]);
+  }
+
+  /**
+   * Builds the JSON data of an upload.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload $upload
+   *   The upload.
+   *
+   * @return array
+   *   The upload data.
+   */
+  protected function buildUploadData(ChunkedUpload $upload): array {
+    return [
+      'id' => $upload->id,
+      'filename' => $upload->filename,
+      'size' => $upload->size,
+      'received' => $upload->received,
+      'complete' => $upload->isComplete(),
+      'result' => $upload->result,
+    ];
+  }
+
+  /**
+   * Builds the error response for unknown or foreign uploads.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   A 404 JSON response.
+   */
+  protected function uploadNotFoundResponse(): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => (string) $this->t('This upload does not exist or has expired.'),
+    ], 404);
+  }
+
+}
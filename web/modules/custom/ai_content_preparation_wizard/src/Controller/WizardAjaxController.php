@@ -4,22 +4,56 @@ declare(strict_types=1);
 
 namespace Drupal\ai_content_preparation_wizard\Controller;
 
+use Drupal\ai_content_preparation_wizard\Enum\TranslationStatus;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\ExtractedImage;
+use Drupal\ai_content_preparation_wizard\Model\PlanDraft;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\PlanTranslation;
+use Drupal\ai_content_preparation_wizard\Model\PlanVersion;
+use Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage;
+use Drupal\ai_content_preparation_wizard\Model\SourceSpan;
+use Drupal\ai_content_preparation_wizard\Model\WizardSession;
+use Drupal\ai_content_preparation_wizard\Service\CanvasCreatorInterface;
 use Drupal\ai_content_preparation_wizard\Service\ContentPlanGeneratorInterface;
+use Drupal\ai_content_preparation_wizard\Service\PlanSerializerInterface;
+use Drupal\ai_content_preparation_wizard\Service\PlanTranslationManagerInterface;
+use Drupal\ai_content_preparation_wizard\Service\SourceSpanMapperInterface;
 use Drupal\ai_content_preparation_wizard\Service\WizardSessionManagerInterface;
+use Drupal\Component\Serialization\Json;
 use Drupal\Core\Ajax\AjaxResponse;
 use Drupal\Core\Ajax\ReplaceCommand;
 use Drupal\Core\Ajax\MessageCommand;
 use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Render\BareHtmlPageRendererInterface;
+use Drupal\Core\Render\BubbleableMetadata;
 use Drupal\Core\Render\RendererInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\HeaderUtils;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 /**
  * Controller for wizard AJAX operations.
  */
 final class WizardAjaxController extends ControllerBase {
 
+  use PostedSectionsTrait;
+
+  /**
+   * The content type of streamed plan generation responses.
+   */
+  private const STREAM_CONTENT_TYPE = 'application/x-ndjson';
+
+  /**
+   * The maximum number of sections rendered in one preview.
+   */
+  private const MAX_PREVIEW_SECTIONS = 100;
+
   /**
    * The Canvas AI page builder helper service.
    *
@@ -34,6 +68,11 @@ final class WizardAjaxController extends ControllerBase {
     protected WizardSessionManagerInterface $sessionManager,
     protected ContentPlanGeneratorInterface $planGenerator,
     protected RendererInterface $renderer,
+    protected CanvasCreatorInterface $canvasCreator,
+    protected BareHtmlPageRendererInterface $bareHtmlPageRenderer,
+    protected SourceSpanMapperInterface $sourceSpanMapper,
+    protected PlanSerializerInterface $planSerializer,
+    protected PlanTranslationManagerInterface $planTranslationManager,
   ) {}
 
   /**
@@ -44,6 +83,11 @@ final class WizardAjaxController extends ControllerBase {
       $container->get('ai_content_preparation_wizard.wizard_session_manager'),
       $container->get('ai_content_preparation_wizard.content_plan_generator'),
       $container->get('renderer'),
+      $container->get('ai_content_preparation_wizard.canvas_creator'),
+      $container->get('bare_html_page_renderer'),
+      $container->get('ai_content_preparation_wizard.source_span_mapper'),
+      $container->get('ai_content_preparation_wizard.plan_serializer'),
+      $container->get('ai_content_preparation_wizard.plan_translation_manager'),
     );
 
     // Inject the page builder helper if canvas_ai module is available.
@@ -103,6 +147,7 @@ final class WizardAjaxController extends ControllerBase {
       }
 
       // Refine the plan with selected contexts.
+      $this->assertCanRefine($session);
       $contexts = $session->getSelectedContexts();
       $refinedPlan = $this->planGenerator->refine($plan, $refinementPrompt, $contexts);
       $this->sessionManager->setContentPlan($refinedPlan);
@@ -148,10 +193,7 @@ final class WizardAjaxController extends ControllerBase {
     try {
       $session = $this->sessionManager->getSession();
       if (!$session) {
-        return new JsonResponse([
-          'success' => FALSE,
-          'error' => (string) $this->t('No active wizard session found. Please start over.'),
-        ], 400);
+        return $this->sessionExpiredResponse();
       }
 
       $plan = $session->getContentPlan();
@@ -183,9 +225,10 @@ final class WizardAjaxController extends ControllerBase {
       }
 
       // Refine the plan with selected contexts.
+      $this->assertCanRefine($session);
       $contexts = $session->getSelectedContexts();
       $refinedPlan = $this->planGenerator->refine($plan, $refinementPrompt, $contexts);
-      $this->sessionManager->setContentPlan($refinedPlan);
+      $session->setContentPlan($refinedPlan);
       $this->sessionManager->updateSession($session);
 
       return $this->buildPlanJsonResponse($refinedPlan, $session);
@@ -204,27 +247,847 @@ final class WizardAjaxController extends ControllerBase {
   }
 
   /**
-   * AJAX endpoint for async plan generation.
+   * JSON endpoint to rewrite a single section of the content plan.
    *
-   * Called from Step 2 to generate the content plan asynchronously,
-   * allowing faster page load.
+   * Expects a JSON body with 'section_id', 'instructions' and the section's
+   * current (possibly unsaved) 'section' values, so the AI rewrites what the
+   * editor currently sees. Only the rewritten section is returned.
    *
    * @param \Symfony\Component\HttpFoundation\Request $request
    *   The request object.
    *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
-   *   JSON response with plan data or error.
+   *   JSON response with the rewritten section or error.
    */
-  public function generatePlanAsync(Request $request): JsonResponse {
+  public function refineSectionJson(Request $request): JsonResponse {
     try {
       $session = $this->sessionManager->getSession();
       if (!$session) {
+        return $this->sessionExpiredResponse();
+      }
+
+      $plan = $session->getContentPlan();
+      if (!$plan) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'error' => (string) $this->t('No content plan found to refine.'),
+        ], 400);
+      }
+
+      $data = json_decode($request->getContent(), TRUE) ?? [];
+      $sectionId = (string) ($data['section_id'] ?? '');
+      $instructions = trim((string) ($data['instructions'] ?? ''));
+
+      if ($sectionId === '' || $instructions === '') {
         return new JsonResponse([
           'success' => FALSE,
-          'error' => $this->t('No active wizard session found.'),
+          'error' => (string) $this->t('Please provide instructions for how to rewrite the section.'),
         ], 400);
       }
 
+      // Rewrite the section as currently edited rather than as last saved.
+      // Sections added in the browser are not part of the stored plan yet.
+      $current = is_array($data['section'] ?? NULL) ? $data['section'] : [];
+      $existing = $plan->getSection($sectionId);
+      if ($existing === NULL && trim((string) ($current['content'] ?? '')) === '') {
+        return new JsonResponse([
+          'success' => FALSE,
+          'error' => (string) $this->t('The section could not be found. Add some content to it first.'),
+        ], 404);
+      }
+
+      $plan = $plan->withSection(new PlanSection(
+        $sectionId,
+        (string) ($current['title'] ?? $existing?->title ?? ''),
+        (string) ($current['content'] ?? $existing?->content ?? ''),
+        (string) ($current['component_type'] ?? $existing?->componentType ?? 'text'),
+        $existing?->order ?? count($plan->sections) + 1,
+        $existing?->componentConfig ?? [],
+        $existing?->children ?? [],
+        $existing?->sourceSpans ?? [],
+        $existing?->images ?? [],
+      ));
+
+      $this->assertCanRefine($session);
+      $contexts = $session->getSelectedContexts();
+      $refinedPlan = $this->planGenerator->refineSection($plan, $sectionId, $instructions, $contexts);
+      $session->setContentPlan($refinedPlan);
+      $this->sessionManager->updateSession($session);
+
+      $refinedSection = $refinedPlan->getSection($sectionId);
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'section' => [
+          'id' => $refinedSection->id,
+          'title' => $refinedSection->title,
+          'content' => $refinedSection->content,
+          'componentType' => $refinedSection->componentType,
+        ],
+        'refinementsRemaining' => max(0, $this->planGenerator->getMaxRefinementIterations() - $session->getRefinementCount()),
+      ]);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Section refinement failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Failed to rewrite section: @error', ['@error' => $e->getMessage()]),
+      ], 500);
+    }
+  }
+
+  /**
+   * JSON endpoint listing the stored versions of the content plan.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the plan versions, newest first.
+   */
+  public function planVersions(): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    if (!$session->getContentPlan()) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found.'),
+      ], 400);
+    }
+
+    $currentVersion = $session->getCurrentPlanVersion();
+    $versions = [];
+    foreach (array_reverse($session->getPlanVersions()) as $version) {
+      $versions[] = $this->buildVersionData($version, $currentVersion?->id === $version->id);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'versions' => $versions,
+      'refinementsRemaining' => max(0, $this->planGenerator->getMaxRefinementIterations() - $session->getRefinementCount()),
+    ]);
+  }
+
+  /**
+   * JSON endpoint returning a plan version and the version it came from.
+   *
+   * @param string $version_id
+   *   The plan version ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the version's plan and its parent's plan, if any.
+   */
+  public function planVersion(string $version_id): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $version = $session->getPlanVersion($version_id);
+    if (!$version) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The requested plan version was not found.'),
+      ], 404);
+    }
+
+    $parent = $version->parentId !== NULL ? $session->getPlanVersion($version->parentId) : NULL;
+    $currentVersion = $session->getCurrentPlanVersion();
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'version' => $this->buildVersionData($version, $currentVersion?->id === $version->id) + [
+        'plan' => $this->buildPlanData($version->plan, $session)['plan'],
+      ],
+      'previous' => $parent ? $this->buildVersionData($parent, $currentVersion?->id === $parent->id) + [
+        'plan' => $this->buildPlanData($parent->plan, $session)['plan'],
+      ] : NULL,
+    ]);
+  }
+
+  /**
+   * JSON endpoint reverting the content plan to a stored version.
+   *
+   * @param string $version_id
+   *   The plan version ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the reverted plan data or error.
+   */
+  public function revertPlanVersion(string $version_id): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $version = $session->getPlanVersion($version_id);
+    if (!$version) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The requested plan version was not found.'),
+      ], 404);
+    }
+
+    $session->setContentPlan($version->plan);
+    $this->sessionManager->updateSession($session);
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'versionId' => $version->id,
+    ] + $this->buildPlanData($version->plan, $session));
+  }
+
+  /**
+   * JSON endpoint returning the autosaved Step 2 draft, if any.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the current plan key and the draft or NULL.
+   */
+  public function planDraft(): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found.'),
+      ], 400);
+    }
+
+    $draft = $this->sessionManager->getPlanDraft();
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'planKey' => PlanVersion::keyFor($plan),
+      'draft' => $draft ? $this->buildDraftData($draft) : NULL,
+    ]);
+  }
+
+  /**
+   * JSON endpoint autosaving unsaved Step 2 edits.
+   *
+   * Expects a JSON body with 'sections' (in display order), an optional
+   * 'title' and the 'plan_key' the edits were based on. Drafts based on a
+   * plan state that has since been refined or reverted are rejected.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the save time or error.
+   */
+  public function savePlanDraft(Request $request): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found.'),
+      ], 400);
+    }
+
+    $data = json_decode($request->getContent(), TRUE);
+    if (!is_array($data)) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Invalid draft data.'),
+      ], 400);
+    }
+
+    $planKey = PlanVersion::keyFor($plan);
+    if (!empty($data['plan_key']) && $data['plan_key'] !== $planKey) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The content plan has changed since these edits were made.'),
+        'planKey' => $planKey,
+      ], 409);
+    }
+
+    try {
+      $title = isset($data['title']) && is_string($data['title']) ? $data['title'] : NULL;
+      $draft = PlanDraft::create($planKey, $data['sections'] ?? NULL, $title);
+    }
+    catch (\InvalidArgumentException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Invalid draft data: @error', ['@error' => $e->getMessage()]),
+      ], 400);
+    }
+
+    $this->sessionManager->savePlanDraft($draft);
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'planKey' => $planKey,
+      'savedAt' => $draft->savedAt->format(\DateTimeInterface::RFC3339),
+    ]);
+  }
+
+  /**
+   * JSON endpoint discarding the autosaved Step 2 draft.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response confirming the draft was discarded.
+   */
+  public function deletePlanDraft(): JsonResponse {
+    $this->sessionManager->clearPlanDraft();
+
+    return new JsonResponse(['success' => TRUE]);
+  }
+
+  /**
+   * Renders a live preview of the plan as Canvas components.
+   *
+   * Expects a JSON body with the page 'title' and the 'sections' to render,
+   * each with 'id', 'title', 'content', 'component_type' and optionally the
+   * 'images' IDs, usually the editor's unsaved values. Without 'sections'
+   * the stored plan is rendered.
+   * Nothing is saved. The preview is a bare HTML page in the site's default
+   * theme, with every section wrapped in a [data-preview-section-id] element.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   The rendered preview page, or a JSON error response.
+   */
+  public function previewPlan(Request $request): Response {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found.'),
+      ], 400);
+    }
+
+    $data = json_decode($request->getContent(), TRUE) ?? [];
+    $sections = $this->buildPostedSections($plan, $data['sections'] ?? NULL, self::MAX_PREVIEW_SECTIONS);
+    if ($sections === NULL) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Invalid preview data.'),
+      ], 400);
+    }
+
+    $build = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['content-preparation-preview']],
+      '#attached' => ['library' => ['ai_content_preparation_wizard/plan-preview-frame']],
+      '#cache' => ['max-age' => 0],
+    ];
+    foreach ($sections as $section) {
+      $build[$section->id] = $this->buildSectionPreview($section);
+    }
+
+    $title = isset($data['title']) && is_string($data['title']) && $data['title'] !== '' ? $data['title'] : $plan->title;
+
+    return $this->bareHtmlPageRenderer->renderBarePage($build, $title, 'page', [
+      '#show_messages' => FALSE,
+    ]);
+  }
+
+  /**
+   * JSON endpoint mapping the plan sections to their source passages.
+   *
+   * Expects an optional JSON body with the 'sections' as currently edited
+   * (id, title and content); the stored plan is used otherwise. Source spans
+   * of sections that match the stored plan are saved with it.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the 'sources' split into blocks, each listing the
+   *   sections it belongs to, the source 'spans' per section ID and the
+   *   share of source words used by the plan ('coverage').
+   */
+  public function sourceMap(Request $request): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found.'),
+      ], 400);
+    }
+
+    $data = json_decode($request->getContent(), TRUE) ?? [];
+    $sections = $this->buildPostedSections($plan, $data['sections'] ?? NULL, self::MAX_PREVIEW_SECTIONS);
+    if ($sections === NULL) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Invalid section data.'),
+      ], 400);
+    }
+
+    $sources = array_merge($session->getProcessedDocuments(), array_values($session->getProcessedWebpages()));
+    $sections = $this->sourceSpanMapper->mapSections($sections, $sources);
+
+    $spans = [];
+    $storedPlan = $plan;
+    foreach ($sections as $section) {
+      foreach ($section->flatten() as $item) {
+        $spans[$item->id] = array_map(fn(SourceSpan $span): array => [
+          'sourceId' => $span->sourceId,
+          'start' => $span->start,
+          'end' => $span->end,
+          'score' => $span->score,
+        ], $item->sourceSpans);
+
+        // Unsaved edits must not change the spans of the stored plan.
+        $existing = $plan->getSection($item->id);
+        if ($existing && $existing->title === $item->title && $existing->content === $item->content && $existing->sourceSpans != $item->sourceSpans) {
+          $plan = $plan->withSection($existing->withSourceSpans($item->sourceSpans));
+        }
+      }
+    }
+    if ($plan !== $storedPlan) {
+      $session->setContentPlan($plan);
+      $this->sessionManager->updateSession($session);
+    }
+
+    $allSections = array_merge(...array_map(fn(PlanSection $section): array => $section->flatten(), $sections ?: []));
+    $totalWords = 0;
+    $usedWords = 0;
+    $sourceData = [];
+    foreach ($sources as $source) {
+      $blocks = [];
+      foreach ($this->sourceSpanMapper->getBlocks($source->markdownContent) as $block) {
+        $sectionIds = [];
+        foreach ($allSections as $section) {
+          foreach ($section->sourceSpans as $span) {
+            if ($span->overlaps($source->id, $block['start'], $block['end'])) {
+              $sectionIds[] = $section->id;
+              break;
+            }
+          }
+        }
+
+        $words = str_word_count(strip_tags($block['text']));
+        $totalWords += $words;
+        if ($sectionIds) {
+          $usedWords += $words;
+        }
+        $blocks[] = $block + ['sections' => $sectionIds];
+      }
+
+      $isWebpage = $source instanceof ProcessedWebpage;
+      $sourceData[] = [
+        'id' => $source->id,
+        'type' => $isWebpage ? 'webpage' : 'document',
+        'label' => $isWebpage ? ($source->title ?: $source->url) : $source->fileName,
+        'url' => $isWebpage ? $source->url : NULL,
+        'blocks' => $blocks,
+      ];
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'sources' => $sourceData,
+      'spans' => (object) $spans,
+      'coverage' => [
+        'totalWords' => $totalWords,
+        'usedWords' => $usedWords,
+      ],
+    ]);
+  }
+
+  /**
+   * Downloads the plan as a JSON or Markdown file.
+   *
+   * POST requests may send a JSON body with the page 'title' and the
+   * 'sections' as currently edited (id, title, content, component_type and
+   * images), which are exported instead of the stored values. Nothing is
+   * saved.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $type
+   *   The file type, 'json' or 'md'.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   The file download, or a JSON error response.
+   */
+  public function exportPlan(Request $request, string $type): Response {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found.'),
+      ], 400);
+    }
+
+    if ($request->isMethod('POST')) {
+      $plan = $this->applyPostedEdits($plan, json_decode($request->getContent(), TRUE) ?? [], self::MAX_PREVIEW_SECTIONS);
+      if ($plan === NULL) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'error' => (string) $this->t('Invalid section data.'),
+        ], 400);
+      }
+    }
+
+    $contentType = $type === PlanSerializerInterface::TYPE_JSON ? 'application/json' : 'text/markdown';
+
+    return new Response($this->planSerializer->export($plan, $type), 200, [
+      'Content-Type' => $contentType . '; charset=utf-8',
+      'Content-Disposition' => HeaderUtils::makeDisposition(HeaderUtils::DISPOSITION_ATTACHMENT, $this->planSerializer->getFilename($plan, $type)),
+      'Cache-Control' => 'no-store',
+    ]);
+  }
+
+  /**
+   * JSON endpoint listing the translated variants of the content plan.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the target languages and the translations.
+   */
+  public function planTranslations(): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found.'),
+      ], 400);
+    }
+
+    $languages = $this->planTranslationManager->getTargetLanguages();
+    $translations = [];
+    foreach ($session->getPlanTranslations() as $translation) {
+      $translations[] = $this->buildTranslationData($translation, $plan, $languages);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'languages' => $languages,
+      'translations' => $translations,
+      'pageCreated' => $session->getCreatedPageId() !== NULL,
+    ]);
+  }
+
+  /**
+   * JSON endpoint translating the content plan to a language.
+   *
+   * The request body may carry the editor's unsaved 'title' and 'sections',
+   * so the text the editor currently sees is translated. A failed
+   * translation is reported through the status of the returned translation.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $langcode
+   *   The code of the target language.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the translation or error.
+   */
+  public function translatePlan(Request $request, string $langcode): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('No content plan found to translate.'),
+      ], 400);
+    }
+
+    $languages = $this->planTranslationManager->getTargetLanguages();
+    if (!isset($languages[$langcode])) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('The content plan cannot be translated to this language.'),
+      ], 404);
+    }
+
+    $plan = $this->applyPostedEdits($plan, json_decode($request->getContent(), TRUE) ?? [], self::MAX_PREVIEW_SECTIONS);
+    if ($plan === NULL) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Invalid section data.'),
+      ], 400);
+    }
+
+    try {
+      $translation = $this->planTranslationManager->translate($plan, $langcode);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Plan translation failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Failed to translate the plan: @error', ['@error' => $e->getMessage()]),
+      ], 500);
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'translation' => $this->buildTranslationData($translation, $plan, $languages),
+    ]);
+  }
+
+  /**
+   * JSON endpoint retrying a failed translation of the created Canvas page.
+   *
+   * @param string $langcode
+   *   The language code.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the translation and whether all translations of
+   *   the page have been created, or error.
+   */
+  public function retryPageTranslation(string $langcode): JsonResponse {
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      return $this->sessionExpiredResponse();
+    }
+
+    try {
+      $translation = $this->planTranslationManager->retryPageTranslation($langcode);
+    }
+    catch (InvalidWizardStateException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => $e->getMessage(),
+      ], 409);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('ai_content_preparation_wizard')->error('Retrying the page translation failed: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => (string) $this->t('Failed to retry the translation: @error', ['@error' => $e->getMessage()]),
+      ], 500);
+    }
+
+    // The session was updated by the translation manager.
+    $session = $this->sessionManager->getSession();
+    $failed = array_filter(
+      $session->getPlanTranslations(),
+      fn(PlanTranslation $item): bool => $item->status === TranslationStatus::FAILED
+    );
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'translation' => $this->buildTranslationData($translation, $session->getContentPlan(), $this->planTranslationManager->getTargetLanguages()),
+      'complete' => !$failed,
+    ]);
+  }
+
+  /**
+   * Ensures the session's content plan may be refined again.
+   *
+   * The limit applies to the refinements counted by the session, so that
+   * reverting to an earlier plan version does not reset it.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\WizardSession $session
+   *   The wizard session.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
+   *   If the plan has reached the maximum number of refinements.
+   */
+  private function assertCanRefine(WizardSession $session): void {
+    $max = $this->planGenerator->getMaxRefinementIterations();
+    if ($session->getRefinementCount() >= $max) {
+      throw new PlanGenerationException(sprintf('Plan has reached maximum refinement iterations (%d).', $max));
+    }
+  }
+
+  /**
+   * Builds the client-side data of a translated plan variant.
+   *
+   * Every section with content is listed with its source and translated
+   * text, for the side-by-side review.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanTranslation $translation
+   *   The translation.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $source
+   *   The source plan.
+   * @param array<string, string> $languages
+   *   The names of the target languages, keyed by language code.
+   *
+   * @return array
+   *   The translation data.
+   */
+  protected function buildTranslationData(PlanTranslation $translation, ContentPlan $source, array $languages): array {
+    $sections = [];
+    foreach ($source->sections as $section) {
+      foreach ($section->flatten() as $flatSection) {
+        if (trim($flatSection->content) === '') {
+          continue;
+        }
+        $translated = $translation->plan?->getSection($flatSection->id);
+        $sections[] = [
+          'id' => $flatSection->id,
+          'sourceTitle' => $flatSection->title,
+          'sourceContent' => $flatSection->content,
+          'title' => $translated?->title,
+          'content' => $translated?->content,
+        ];
+      }
+    }
+
+    return [
+      'langcode' => $translation->langcode,
+      'language' => $languages[$translation->langcode] ?? $translation->langcode,
+      'status' => $translation->status->value,
+      'attempts' => $translation->attempts,
+      'error' => $translation->error,
+      'outdated' => $translation->isOutdated($source),
+      'sourceTitle' => $source->title,
+      'title' => $translation->plan?->title,
+      'sections' => $sections,
+    ];
+  }
+
+  /**
+   * Renders the preview of a single section.
+   *
+   * Each section is rendered on its own, so a component that fails to render
+   * with the mapped inputs does not break the rest of the preview.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The plan section.
+   *
+   * @return array
+   *   A render array wrapping the rendered section.
+   */
+  protected function buildSectionPreview(PlanSection $section): array {
+    $element = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['content-preparation-preview__section'],
+        'data-preview-section-id' => $section->id,
+        'data-component-type' => $section->componentType,
+      ],
+    ];
+
+    try {
+      $build = $this->canvasCreator->buildSectionPreview($section);
+      $element['section'] = ['#markup' => $this->renderer->renderInIsolation($build)];
+      BubbleableMetadata::createFromRenderArray($build)->applyTo($element['section']);
+    }
+    catch (\Throwable $e) {
+      $this->getLogger('ai_content_preparation_wizard')->warning('Preview of section @id failed: @message', [
+        '@id' => $section->id,
+        '@message' => $e->getMessage(),
+      ]);
+      $element['#attributes']['class'][] = 'has-error';
+      $element['section'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'p',
+        '#value' => $this->t('The "@title" section cannot be previewed with the selected component: @error', [
+          '@title' => $section->title,
+          '@error' => $e->getMessage(),
+        ]),
+      ];
+    }
+
+    return $element;
+  }
+
+  /**
+   * Builds the client-side representation of a plan draft.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanDraft $draft
+   *   The plan draft.
+   *
+   * @return array
+   *   The draft data.
+   */
+  protected function buildDraftData(PlanDraft $draft): array {
+    return [
+      'planKey' => $draft->planKey,
+      'title' => $draft->title,
+      'savedAt' => $draft->savedAt->format(\DateTimeInterface::RFC3339),
+      'sections' => array_map(fn(array $section): array => [
+        'id' => $section['id'],
+        'title' => $section['title'],
+        'content' => $section['content'],
+        'componentType' => $section['component_type'],
+      ], $draft->sections),
+    ];
+  }
+
+  /**
+   * Builds the client-side summary of a plan version.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanVersion $version
+   *   The plan version.
+   * @param bool $isCurrent
+   *   Whether this version is the current plan.
+   *
+   * @return array
+   *   The version data.
+   */
+  protected function buildVersionData(PlanVersion $version, bool $isCurrent): array {
+    $refinement = $version->getRefinement();
+
+    return [
+      'id' => $version->id,
+      'parentId' => $version->parentId,
+      'createdAt' => $version->createdAt->format(\DateTimeInterface::RFC3339),
+      'instructions' => $refinement?->instructions,
+      'response' => $refinement?->response,
+      'affectedSections' => $refinement?->affectedSections ?? [],
+      'sectionCount' => $version->plan->getTotalSectionCount(),
+      'isCurrent' => $isCurrent,
+    ];
+  }
+
+  /**
+   * AJAX endpoint for async plan generation.
+   *
+   * Called from Step 2 to generate the content plan asynchronously,
+   * allowing faster page load. Clients that accept application/x-ndjson
+   * receive progress stages and sections as they are produced; all other
+   * clients receive a single JSON response once the plan is complete. The
+   * 'oversized' query parameter selects how documents that do not fit the
+   * prompt are handled, see ContentPlanGeneratorInterface::OVERSIZED_*.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   NDJSON stream or JSON response with plan data or error.
+   */
+  public function generatePlanAsync(Request $request): Response {
+    $oversized = $this->getOversizedStrategy($request);
+    if (str_contains((string) $request->headers->get('Accept'), self::STREAM_CONTENT_TYPE)) {
+      return $this->streamPlanGeneration($oversized);
+    }
+
+    try {
+      $session = $this->sessionManager->getSession();
+      if (!$session) {
+        return $this->sessionExpiredResponse();
+      }
+
       // Check if we already have a plan (might be a refresh).
       $existingPlan = $session->getContentPlan();
       if ($existingPlan) {
@@ -247,7 +1110,7 @@ final class WizardAjaxController extends ControllerBase {
       $templateId = $session->getTemplateId();
 
       // Build options including webpages if available.
-      $options = [];
+      $options = ['oversized' => $oversized];
       if ($hasWebpages) {
         $options['webpages'] = $session->getProcessedWebpages();
       }
@@ -272,6 +1135,209 @@ final class WizardAjaxController extends ControllerBase {
     }
   }
 
+  /**
+   * Streams plan generation progress and sections as NDJSON.
+   *
+   * Each line is a JSON object with a 'type' of 'start', 'progress',
+   * 'section', 'plan' or 'error'. A 'progress' event with 'reset' set means
+   * previously streamed sections must be discarded.
+   *
+   * @param string $oversized
+   *   How documents that do not fit the prompt are handled.
+   *
+   * @return \Symfony\Component\HttpFoundation\StreamedResponse
+   *   The streamed response.
+   */
+  protected function streamPlanGeneration(string $oversized): StreamedResponse {
+    $response = new StreamedResponse(function () use ($oversized) {
+      $emit = function (array $event): void {
+        echo Json::encode($event) . "\n";
+        if (ob_get_level() > 0) {
+          ob_flush();
+        }
+        flush();
+      };
+
+      try {
+        $session = $this->sessionManager->getSession();
+        if (!$session) {
+          $emit([
+            'type' => 'error',
+            'error' => (string) $this->t('Your wizard session has expired. Please start over.'),
+            'code' => 'session_expired',
+          ]);
+          return;
+        }
+
+        // Replay an existing plan (might be a refresh).
+        $existingPlan = $session->getContentPlan();
+        if ($existingPlan) {
+          $emit(['type' => 'plan'] + $this->buildPlanData($existingPlan, $session));
+          return;
+        }
+
+        $processedDocs = $session->getProcessedDocuments() ?? [];
+        $hasWebpages = $session->hasProcessedWebpages();
+
+        if (empty($processedDocs) && !$hasWebpages) {
+          $emit([
+            'type' => 'error',
+            'error' => (string) $this->t('No processed documents or webpages found.'),
+          ]);
+          return;
+        }
+
+        $emit([
+          'type' => 'start',
+          'componentOptions' => $this->getAvailableComponentOptions($session),
+        ]);
+
+        $options = [
+          'oversized' => $oversized,
+          'progress_callback' => function (string $stage, array $context = []) use ($emit): void {
+            $emit([
+              'type' => 'progress',
+              'stage' => $stage,
+              'message' => $this->getProgressMessage($stage, $context),
+              'reset' => !empty($context['reset']),
+            ]);
+          },
+          'section_callback' => function (PlanSection $section, int $index) use ($emit): void {
+            $sectionData = $this->buildSectionData($section, $index);
+            if ($sectionData !== NULL) {
+              $emit(['type' => 'section', 'section' => $sectionData]);
+            }
+          },
+        ];
+        if ($hasWebpages) {
+          $options['webpages'] = $session->getProcessedWebpages();
+        }
+
+        $plan = $this->planGenerator->generate($processedDocs, $session->getSelectedContexts(), $session->getTemplateId(), $options);
+
+        $emit([
+          'type' => 'progress',
+          'stage' => 'saving',
+          'message' => $this->getProgressMessage('saving'),
+          'reset' => FALSE,
+        ]);
+        $session->setContentPlan($plan);
+        $this->sessionManager->updateSession($session);
+
+        $emit(['type' => 'plan'] + $this->buildPlanData($plan, $session));
+      }
+      catch (\Exception $e) {
+        $this->getLogger('ai_content_preparation_wizard')->error('Streamed plan generation failed: @message', [
+          '@message' => $e->getMessage(),
+        ]);
+        $emit([
+          'type' => 'error',
+          'error' => (string) $this->t('Failed to generate plan: @error', ['@error' => $e->getMessage()]),
+        ]);
+      }
+    });
+
+    $response->headers->set('Content-Type', self::STREAM_CONTENT_TYPE . '; charset=utf-8');
+    $response->headers->set('Cache-Control', 'no-cache, no-store');
+    // Disable proxy buffering (nginx) so events reach the browser immediately.
+    $response->headers->set('X-Accel-Buffering', 'no');
+
+    return $response;
+  }
+
+  /**
+   * JSON endpoint keeping the wizard session alive while the editor works.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the new session expiry as timestamp ('expiresAt')
+   *   and in seconds ('expiresIn'), or a session expired error.
+   */
+  public function keepAlive(): JsonResponse {
+    $expiresAt = $this->sessionManager->keepAlive();
+    if ($expiresAt === NULL) {
+      return $this->sessionExpiredResponse();
+    }
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'expiresAt' => $expiresAt,
+      // The session was just used, so it lasts for the full timeout.
+      'expiresIn' => $this->sessionManager->getSessionTimeout(),
+    ]);
+  }
+
+  /**
+   * Builds the error response for requests without an active session.
+   *
+   * The wizard session is missing when it expired (see the session timeout
+   * setting) or was never started, so the client is told to start over.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   A 410 Gone JSON response with the 'session_expired' error code.
+   */
+  protected function sessionExpiredResponse(): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => (string) $this->t('Your wizard session has expired. Please start over.'),
+      'code' => 'session_expired',
+    ], 410);
+  }
+
+  /**
+   * Gets the user-facing message for a plan generation progress stage.
+   *
+   * @param string $stage
+   *   The stage machine name.
+   * @param array $context
+   *   The stage context, such as the attempt number.
+   *
+   * @return string
+   *   The translated message.
+   */
+  protected function getProgressMessage(string $stage, array $context = []): string {
+    if ($stage === 'requesting' && isset($context['part'])) {
+      return (string) $this->t('Waiting for the AI model (part @part of @parts)...', [
+        '@part' => $context['part'],
+        '@parts' => $context['parts'],
+      ]);
+    }
+
+    return (string) match ($stage) {
+      'analyzing' => $this->t('Analyzing document content...'),
+      'summarizing' => $this->t('Summarizing @document (part @part of @parts)...', [
+        '@document' => $context['document'] ?? '',
+        '@part' => $context['part'] ?? 1,
+        '@parts' => $context['parts'] ?? 1,
+      ]),
+      'requesting' => $this->t('Waiting for the AI model...'),
+      'retrying' => $this->t('The AI response was invalid, retrying (attempt @attempt)...', [
+        '@attempt' => $context['attempt'] ?? 2,
+      ]),
+      'receiving' => $this->t('Receiving sections...'),
+      'parsing' => $this->t('Finalizing content plan...'),
+      'saving' => $this->t('Saving content plan...'),
+      default => $this->t('Generating content plan...'),
+    };
+  }
+
+  /**
+   * Gets the requested handling of documents that do not fit the prompt.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return string
+   *   One of the ContentPlanGeneratorInterface::OVERSIZED_* constants.
+   */
+  protected function getOversizedStrategy(Request $request): string {
+    $strategy = (string) $request->query->get('oversized', '');
+    $strategies = [
+      ContentPlanGeneratorInterface::OVERSIZED_SUMMARIZE,
+      ContentPlanGeneratorInterface::OVERSIZED_CHUNK,
+    ];
+    return in_array($strategy, $strategies, TRUE) ? $strategy : ContentPlanGeneratorInterface::OVERSIZED_TRUNCATE;
+  }
+
   /**
    * Builds JSON response with plan data.
    *
@@ -284,31 +1350,34 @@ final class WizardAjaxController extends ControllerBase {
    *   JSON response with plan data.
    */
   protected function buildPlanJsonResponse($plan, $session): JsonResponse {
+    return new JsonResponse(['success' => TRUE] + $this->buildPlanData($plan, $session));
+  }
+
+  /**
+   * Builds the plan data shared by the JSON and streamed responses.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   * @param mixed $session
+   *   The wizard session.
+   *
+   * @return array
+   *   An array with 'plan' and 'componentOptions' keys.
+   */
+  protected function buildPlanData($plan, $session): array {
     // Get component options for dropdowns.
     $componentOptions = $this->getAvailableComponentOptions($session);
 
     // Build sections data.
     $sections = [];
     foreach ($plan->sections as $index => $section) {
-      // Skip sections with empty content.
-      $content = trim($section->content ?? '');
-      if (empty($content)) {
-        continue;
+      $sectionData = $this->buildSectionData($section, $index);
+      if ($sectionData !== NULL) {
+        $sections[] = $sectionData;
       }
-
-      $sectionId = $section->id ?? 'section_' . $index;
-
-      $sections[] = [
-        'id' => $sectionId,
-        'title' => $section->title,
-        'content' => $content,
-        'componentType' => $section->componentType,
-        'index' => $index,
-      ];
     }
 
-    return new JsonResponse([
-      'success' => TRUE,
+    return [
       'plan' => [
         'title' => $plan->title,
         'summary' => $plan->summary,
@@ -317,7 +1386,35 @@ final class WizardAjaxController extends ControllerBase {
         'sections' => $sections,
       ],
       'componentOptions' => $componentOptions,
-    ]);
+    ];
+  }
+
+  /**
+   * Builds the client-side data for a single plan section.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The plan section.
+   * @param int $index
+   *   The position of the section in the plan.
+   *
+   * @return array|null
+   *   The section data, or NULL if the section has no content.
+   */
+  protected function buildSectionData(PlanSection $section, int $index): ?array {
+    // Skip sections with empty content.
+    if (!$section->isEditable()) {
+      return NULL;
+    }
+    $content = trim($section->content);
+
+    return [
+      'id' => $section->id ?? 'section_' . $index,
+      'title' => $section->title,
+      'content' => $content,
+      'componentType' => $section->componentType,
+      'images' => array_map(fn(ExtractedImage $image): string => $image->id, $section->images),
+      'index' => $index,
+    ];
   }
 
   /**
@@ -0,0 +1,86 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Enum;
+
+/**
+ * Status values for the items of a bulk wizard run.
+ *
+ * Every document or webpage URL of a bulk run becomes its own item, which
+ * moves from QUEUED through PROCESSING and PLANNING to READY, and to CREATED
+ * once its Canvas page has been created.
+ */
+enum BulkItemStatus: string {
+
+  /**
+   * Waiting to be processed.
+   */
+  case QUEUED = 'queued';
+
+  /**
+   * The document or webpage is being converted to Markdown.
+   */
+  case PROCESSING = 'processing';
+
+  /**
+   * The content plan is being generated.
+   */
+  case PLANNING = 'planning';
+
+  /**
+   * The content plan is ready for approval.
+   */
+  case READY = 'ready';
+
+  /**
+   * The Canvas page has been created.
+   */
+  case CREATED = 'created';
+
+  /**
+   * Processing, planning or page creation failed.
+   */
+  case FAILED = 'failed';
+
+  /**
+   * Gets a human-readable label for the status.
+   *
+   * @return string
+   *   The human-readable label.
+   */
+  public function label(): string {
+    return match ($this) {
+      self::QUEUED => 'Queued',
+      self::PROCESSING => 'Processing',
+      self::PLANNING => 'Planning',
+      self::READY => 'Ready',
+      self::CREATED => 'Created',
+      self::FAILED => 'Failed',
+    };
+  }
+
+  /**
+   * Checks if the item is being worked on.
+   *
+   * @return bool
+   *   TRUE while the item is processed or its plan is generated.
+   */
+  public function isProcessing(): bool {
+    return match ($this) {
+      self::PROCESSING, self::PLANNING => TRUE,
+      default => FALSE,
+    };
+  }
+
+  /**
+   * Checks if the item still needs processing.
+   *
+   * @return bool
+   *   TRUE if the item is queued or being worked on.
+   */
+  public function isPending(): bool {
+    return $this === self::QUEUED || $this->isProcessing();
+  }
+
+}
@@ -0,0 +1,51 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Enum;
+
+/**
+ * Status values for the pages of a site crawl.
+ *
+ * Every page the crawl discovers starts as QUEUED and becomes FETCHED or
+ * FAILED once it was crawled. Pages robots.txt disallows are BLOCKED and
+ * never fetched.
+ */
+enum CrawlPageStatus: string {
+
+  /**
+   * Waiting to be crawled.
+   */
+  case QUEUED = 'queued';
+
+  /**
+   * The page was fetched and converted to Markdown.
+   */
+  case FETCHED = 'fetched';
+
+  /**
+   * The page could not be fetched or had no content.
+   */
+  case FAILED = 'failed';
+
+  /**
+   * The site's robots.txt disallows crawling the page.
+   */
+  case BLOCKED = 'blocked';
+
+  /**
+   * Gets a human-readable label for the status.
+   *
+   * @return string
+   *   The human-readable label.
+   */
+  public function label(): string {
+    return match ($this) {
+      self::QUEUED => 'Queued',
+      self::FETCHED => 'Fetched',
+      self::FAILED => 'Failed',
+      self::BLOCKED => 'Blocked by robots.txt',
+    };
+  }
+
+}
@@ -0,0 +1,44 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Enum;
+
+/**
+ * Status values for the shared review of a content plan.
+ *
+ * A review is PENDING until a reviewer approves the plan or requests
+ * changes. Sharing a changed plan again returns it to PENDING.
+ */
+enum ReviewStatus: string {
+
+  /**
+   * Waiting for a reviewer's decision.
+   */
+  case PENDING = 'pending';
+
+  /**
+   * A reviewer approved the plan.
+   */
+  case APPROVED = 'approved';
+
+  /**
+   * A reviewer asked for changes to the plan.
+   */
+  case CHANGES_REQUESTED = 'changes_requested';
+
+  /**
+   * Gets a human-readable label for the status.
+   *
+   * @return string
+   *   The human-readable label.
+   */
+  public function label(): string {
+    return match ($this) {
+      self::PENDING => 'Awaiting review',
+      self::APPROVED => 'Approved',
+      self::CHANGES_REQUESTED => 'Changes requested',
+    };
+  }
+
+}
@@ -0,0 +1,61 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Enum;
+
+/**
+ * Kinds of change between a page's content plan and a revised plan.
+ *
+ * Sections of the revised plan are matched to the sections the page was
+ * built from. Matched sections are CHANGED or UNCHANGED, revised sections
+ * without a match are ADDED and page sections without one are REMOVED.
+ */
+enum SectionChange: string {
+
+  /**
+   * The section is new in the revised plan.
+   */
+  case ADDED = 'added';
+
+  /**
+   * The title or content of the section was revised.
+   */
+  case CHANGED = 'changed';
+
+  /**
+   * The section is not in the revised plan anymore.
+   */
+  case REMOVED = 'removed';
+
+  /**
+   * The section is the same in both plans.
+   */
+  case UNCHANGED = 'unchanged';
+
+  /**
+   * Gets a human-readable label for the change.
+   *
+   * @return string
+   *   The human-readable label.
+   */
+  public function label(): string {
+    return match ($this) {
+      self::ADDED => 'Added',
+      self::CHANGED => 'Changed',
+      self::REMOVED => 'Removed',
+      self::UNCHANGED => 'Unchanged',
+    };
+  }
+
+  /**
+   * Checks whether applying the change modifies the page.
+   *
+   * @return bool
+   *   TRUE for added, changed and removed sections.
+   */
+  public function isChange(): bool {
+    return $this !== self::UNCHANGED;
+  }
+
+}
@@ -0,0 +1,45 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Enum;
+
+/**
+ * Status values for the translated variants of a content plan.
+ *
+ * A variant is TRANSLATED once the AI has translated the plan, and CREATED
+ * once it has been attached to the Canvas page as a translation. Variants
+ * that could not be translated or attached are FAILED and can be retried.
+ */
+enum TranslationStatus: string {
+
+  /**
+   * The plan has been translated and is ready for review.
+   */
+  case TRANSLATED = 'translated';
+
+  /**
+   * The translation has been added to the Canvas page.
+   */
+  case CREATED = 'created';
+
+  /**
+   * Translating the plan or adding the page translation failed.
+   */
+  case FAILED = 'failed';
+
+  /**
+   * Gets a human-readable label for the status.
+   *
+   * @return string
+   *   The human-readable label.
+   */
+  public function label(): string {
+    return match ($this) {
+      self::TRANSLATED => 'Translated',
+      self::CREATED => 'Created',
+      self::FAILED => 'Failed',
+    };
+  }
+
+}
@@ -31,10 +31,14 @@ final class CanvasPageCreatedEvent extends Event {
    *   The created Canvas page entity.
    * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
    *   The content plan that was used to create the page.
+   * @param array<string, string> $sectionComponents
+   *   The UUID of the component each section was placed in, keyed by section
+   *   ID. Sections without a component are not listed.
    */
   public function __construct(
     public readonly EntityInterface $page,
     public readonly ContentPlan $plan,
+    public readonly array $sectionComponents = [],
   ) {}
 
   /**
@@ -0,0 +1,39 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Exception;
+
+/**
+ * Exception thrown when an exported content plan cannot be imported.
+ *
+ * This exception is thrown when a plan file cannot be parsed, was exported
+ * by an unsupported version, or does not match the plan schema.
+ *
+ * @see \Drupal\ai_content_preparation_wizard\Service\PlanSerializer
+ */
+class PlanImportException extends \RuntimeException {
+
+  /**
+   * Constructs a PlanImportException.
+   *
+   * @param string $message
+   *   The exception message.
+   * @param array<string> $errors
+   *   The problems found in the file, each prefixed with the path of the
+   *   invalid value, e.g. "plan.sections[2].title: ...".
+   * @param int $code
+   *   The exception code.
+   * @param \Throwable|null $previous
+   *   The previous throwable used for exception chaining.
+   */
+  public function __construct(
+    string $message,
+    public readonly array $errors = [],
+    int $code = 0,
+    ?\Throwable $previous = NULL,
+  ) {
+    parent::__construct($message, $code, $previous);
+  }
+
+}
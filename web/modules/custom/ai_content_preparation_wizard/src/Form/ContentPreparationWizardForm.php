@@ -4,16 +4,48 @@ declare(strict_types=1);
 
 namespace Drupal\ai_content_preparation_wizard\Form;
 
+use Drupal\ai_content_preparation_wizard\Enum\PlanStatus;
+use Drupal\ai_content_preparation_wizard\Enum\ReviewStatus;
+use Drupal\ai_content_preparation_wizard\Enum\SectionChange;
+use Drupal\ai_content_preparation_wizard\Enum\TranslationStatus;
+use Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException;
+use Drupal\ai_content_preparation_wizard\Exception\PlanImportException;
+use Drupal\ai_content_preparation_wizard\Model\AIContext;
+use Drupal\ai_content_preparation_wizard\Model\ComponentMapping;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\PromptBudget;
+use Drupal\ai_content_preparation_wizard\Model\WizardSession;
+use Drupal\ai_content_preparation_wizard\Service\BulkWizardManagerInterface;
 use Drupal\ai_content_preparation_wizard\Service\CanvasCreatorInterface;
+use Drupal\ai_content_preparation_wizard\Service\ChunkedUploadManagerInterface;
+use Drupal\ai_content_preparation_wizard\Service\ComponentMappingManagerInterface;
 use Drupal\ai_content_preparation_wizard\Service\ContentPlanGeneratorInterface;
+use Drupal\ai_content_preparation_wizard\Service\ContentQualityAnalyzerInterface;
 use Drupal\ai_content_preparation_wizard\Service\DocumentProcessingServiceInterface;
+use Drupal\ai_content_preparation_wizard\Service\FixtureAiProviderInterface;
+use Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface;
+use Drupal\ai_content_preparation_wizard\Service\PageUpdaterInterface;
+use Drupal\ai_content_preparation_wizard\Service\PlanReviewManagerInterface;
+use Drupal\ai_content_preparation_wizard\Service\PlanSerializerInterface;
+use Drupal\ai_content_preparation_wizard\Service\PlanTranslationManagerInterface;
+use Drupal\ai_content_preparation_wizard\Service\SiteCrawlerInterface;
 use Drupal\ai_content_preparation_wizard\Service\WebpageProcessorInterface;
 use Drupal\ai_content_preparation_wizard\Service\WizardSessionManagerInterface;
+use Drupal\Component\Serialization\Json;
 use Drupal\Component\Utility\Html;
 use Drupal\Component\Utility\Xss;
+use Drupal\Core\Ajax\AjaxResponse;
+use Drupal\Core\Ajax\RedirectCommand;
+use Drupal\Core\Entity\EntityInterface;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Core\Form\FormBase;
+use Drupal\Core\Form\FormBuilderInterface;
 use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Render\Element;
+use Drupal\Core\Url;
 use League\CommonMark\CommonMarkConverter;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
@@ -22,6 +54,18 @@ use Symfony\Component\DependencyInjection\ContainerInterface;
  */
 final class ContentPreparationWizardForm extends FormBase {
 
+  use SectionStructureFormTrait;
+
+  /**
+   * The maximum size of imported plan files, in bytes.
+   */
+  private const MAX_PLAN_FILE_SIZE = 2097152;
+
+  /**
+   * The maximum number of schema errors listed for an invalid plan file.
+   */
+  private const MAX_IMPORT_ERRORS = 10;
+
   /**
    * The Canvas AI page builder helper service.
    *
@@ -36,6 +80,76 @@ final class ContentPreparationWizardForm extends FormBase {
    */
   protected ?WebpageProcessorInterface $webpageProcessor = NULL;
 
+  /**
+   * The bulk wizard manager.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\BulkWizardManagerInterface|null
+   */
+  protected ?BulkWizardManagerInterface $bulkManager = NULL;
+
+  /**
+   * The content quality analyzer.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\ContentQualityAnalyzerInterface|null
+   */
+  protected ?ContentQualityAnalyzerInterface $qualityAnalyzer = NULL;
+
+  /**
+   * The chunked upload manager.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\ChunkedUploadManagerInterface|null
+   */
+  protected ?ChunkedUploadManagerInterface $uploadManager = NULL;
+
+  /**
+   * The image importer.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface|null
+   */
+  protected ?ImageImporterInterface $imageImporter = NULL;
+
+  /**
+   * The plan serializer.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\PlanSerializerInterface|null
+   */
+  protected ?PlanSerializerInterface $planSerializer = NULL;
+
+  /**
+   * The plan translation manager.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\PlanTranslationManagerInterface|null
+   */
+  protected ?PlanTranslationManagerInterface $planTranslationManager = NULL;
+
+  /**
+   * The plan review manager.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\PlanReviewManagerInterface|null
+   */
+  protected ?PlanReviewManagerInterface $planReviewManager = NULL;
+
+  /**
+   * The page updater.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\PageUpdaterInterface|null
+   */
+  protected ?PageUpdaterInterface $pageUpdater = NULL;
+
+  /**
+   * The component mapping manager.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\ComponentMappingManagerInterface|null
+   */
+  protected ?ComponentMappingManagerInterface $mappingManager = NULL;
+
+  /**
+   * The site crawler.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\SiteCrawlerInterface|null
+   */
+  protected ?SiteCrawlerInterface $siteCrawler = NULL;
+
   /**
    * The AI provider plugin manager.
    *
@@ -93,6 +207,56 @@ final class ContentPreparationWizardForm extends FormBase {
       $instance->webpageProcessor = $container->get('ai_content_preparation_wizard.webpage_processor');
     }
 
+    // Inject the bulk wizard manager if available.
+    if ($container->has('ai_content_preparation_wizard.bulk_wizard_manager')) {
+      $instance->bulkManager = $container->get('ai_content_preparation_wizard.bulk_wizard_manager');
+    }
+
+    // Inject the content quality analyzer if available.
+    if ($container->has('ai_content_preparation_wizard.content_quality_analyzer')) {
+      $instance->qualityAnalyzer = $container->get('ai_content_preparation_wizard.content_quality_analyzer');
+    }
+
+    // Inject the chunked upload manager if available.
+    if ($container->has('ai_content_preparation_wizard.chunked_upload_manager')) {
+      $instance->uploadManager = $container->get('ai_content_preparation_wizard.chunked_upload_manager');
+    }
+
+    // Inject the image importer if available.
+    if ($container->has('ai_content_preparation_wizard.image_importer')) {
+      $instance->imageImporter = $container->get('ai_content_preparation_wizard.image_importer');
+    }
+
+    // Inject the plan serializer if available.
+    if ($container->has('ai_content_preparation_wizard.plan_serializer')) {
+      $instance->planSerializer = $container->get('ai_content_preparation_wizard.plan_serializer');
+    }
+
+    // Inject the plan translation manager if available.
+    if ($container->has('ai_content_preparation_wizard.plan_translation_manager')) {
+      $instance->planTranslationManager = $container->get('ai_content_preparation_wizard.plan_translation_manager');
+    }
+
+    // Inject the plan review manager if available.
+    if ($container->has('ai_content_preparation_wizard.plan_review_manager')) {
+      $instance->planReviewManager = $container->get('ai_content_preparation_wizard.plan_review_manager');
+    }
+
+    // Inject the page updater if available.
+    if ($container->has('ai_content_preparation_wizard.page_updater')) {
+      $instance->pageUpdater = $container->get('ai_content_preparation_wizard.page_updater');
+    }
+
+    // Inject the component mapping manager if available.
+    if ($container->has('ai_content_preparation_wizard.component_mapping_manager')) {
+      $instance->mappingManager = $container->get('ai_content_preparation_wizard.component_mapping_manager');
+    }
+
+    // Inject the site crawler if available.
+    if ($container->has('ai_content_preparation_wizard.site_crawler')) {
+      $instance->siteCrawler = $container->get('ai_content_preparation_wizard.site_crawler');
+    }
+
     // Inject AI provider manager and config factory for model info display.
     if ($container->has('ai.provider')) {
       $instance->aiProviderManager = $container->get('ai.provider');
@@ -179,9 +343,34 @@ final class ContentPreparationWizardForm extends FormBase {
         break;
     }
 
+    $this->attachClientSettings($form);
+
     return $form;
   }
 
+  /**
+   * Attaches the settings of the shared request client (wizard-client.js).
+   *
+   * @param array $form
+   *   The form array.
+   */
+  protected function attachClientSettings(array &$form): void {
+    $config = $this->configFactory()->get('ai_content_preparation_wizard.settings');
+    $expires = $this->sessionManager->getSessionExpiry();
+
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['client'] = [
+      'csrfTokenEndpoint' => Url::fromRoute('system.csrftoken')->toString(),
+      'keepAliveEndpoint' => Url::fromRoute('ai_content_preparation_wizard.keep_alive')->toString(),
+      'restartUrl' => Url::fromRoute('ai_content_preparation_wizard.wizard')->toString(),
+      'sessionTimeout' => $this->sessionManager->getSessionTimeout(),
+      'sessionExpires' => $expires,
+      'sessionExpiresIn' => $expires !== NULL ? max(0, $expires - time()) : NULL,
+      'timeouts' => [
+        'generation' => (int) ($config->get('ai_request_timeout') ?? 300) * 1000,
+      ],
+    ];
+  }
+
   /**
    * Builds the step indicator.
    */
@@ -229,6 +418,46 @@ final class ContentPreparationWizardForm extends FormBase {
       '#attributes' => ['class' => ['wizard-step-content']],
     ];
 
+    // Bulk mode turns every source into its own plan and page.
+    $form['step1']['mode'] = [
+      '#type' => 'radios',
+      '#title' => $this->t('Mode'),
+      '#options' => [
+        'single' => $this->t('Single page: combine all sources into one content plan'),
+        'bulk' => $this->t('Bulk: create a separate content plan and page for each document or URL'),
+      ],
+      '#default_value' => 'single',
+      '#access' => $this->bulkManager !== NULL,
+    ];
+
+    // Drag-and-drop upload zone with resumable chunked uploads, built by
+    // upload-zone.js. It replaces the file field below once the script runs.
+    if ($this->uploadManager) {
+      $form['step1']['upload_zone'] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['upload-zone'],
+          'data-upload-zone' => 'true',
+          'hidden' => 'hidden',
+        ],
+      ];
+
+      // Space-separated IDs of the complete uploads.
+      $form['step1']['uploaded_files'] = [
+        '#type' => 'hidden',
+        '#default_value' => '',
+        '#attributes' => ['data-upload-ids' => 'true'],
+      ];
+
+      // Endpoint and limits for the upload zone (upload-zone.js).
+      $form['#attached']['drupalSettings']['aiContentPreparationWizard']['uploadEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.upload_start')->toString();
+      $form['#attached']['drupalSettings']['aiContentPreparationWizard']['uploadLimits'] = [
+        'extensions' => array_values($extensions),
+        'maxFileSize' => (int) $maxSize,
+        'chunkSize' => ChunkedUploadManagerInterface::CHUNK_SIZE,
+      ];
+    }
+
     $form['step1']['documents'] = [
       '#type' => 'managed_file',
       '#title' => $this->t('Upload Documents'),
@@ -242,6 +471,7 @@ final class ContentPreparationWizardForm extends FormBase {
       ],
       '#multiple' => TRUE,
       '#required' => FALSE,
+      '#wrapper_attributes' => ['data-upload-fallback' => 'true'],
     ];
 
     // Webpage URLs input field.
@@ -254,17 +484,112 @@ final class ContentPreparationWizardForm extends FormBase {
       '#required' => FALSE,
     ];
 
+    // Crawl mode finds the pages of a site instead of pasting their URLs.
+    // The crawl and its progress view are driven by site-crawl.js.
+    if ($this->siteCrawler) {
+      $form['step1']['crawl'] = [
+        '#type' => 'details',
+        '#title' => $this->t('Crawl a site'),
+        '#description' => $this->t('Start from a page or a sitemap.xml to find the pages of a site. Links to pages of the same host are followed, and pages disallowed by the robots.txt of the site are skipped. Navigation and footer text found on many pages is removed from the content. Pick the pages to use once the crawl is finished.'),
+        '#open' => FALSE,
+      ];
+      $form['step1']['crawl']['crawl_url'] = [
+        '#type' => 'url',
+        '#title' => $this->t('Start URL or sitemap'),
+        '#placeholder' => 'https://example.com/sitemap.xml',
+        '#attributes' => ['data-crawl-field' => 'url'],
+      ];
+      $form['step1']['crawl']['crawl_max_depth'] = [
+        '#type' => 'number',
+        '#title' => $this->t('Link depth'),
+        '#description' => $this->t('How many links are followed from the start page or the sitemap pages.'),
+        '#min' => 0,
+        '#max' => SiteCrawlerInterface::MAX_DEPTH,
+        '#default_value' => 2,
+        '#attributes' => ['data-crawl-field' => 'max_depth'],
+      ];
+      $form['step1']['crawl']['crawl_max_pages'] = [
+        '#type' => 'number',
+        '#title' => $this->t('Page limit'),
+        '#min' => 1,
+        '#max' => SiteCrawlerInterface::MAX_PAGES,
+        '#default_value' => 20,
+        '#attributes' => ['data-crawl-field' => 'max_pages'],
+      ];
+      $form['step1']['crawl']['crawl_include'] = [
+        '#type' => 'textarea',
+        '#title' => $this->t('Only crawl paths'),
+        '#description' => $this->t('One path pattern per line, where * matches any characters, e.g. /blog/*. Leave empty to crawl all pages.'),
+        '#rows' => 2,
+        '#attributes' => ['data-crawl-field' => 'include'],
+      ];
+      $form['step1']['crawl']['crawl_exclude'] = [
+        '#type' => 'textarea',
+        '#title' => $this->t('Never crawl paths'),
+        '#description' => $this->t('One path pattern per line, e.g. /tag/* or /search*.'),
+        '#rows' => 2,
+        '#attributes' => ['data-crawl-field' => 'exclude'],
+      ];
+      $form['step1']['crawl']['site_crawl'] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['site-crawl'],
+          'data-site-crawl' => 'true',
+          'hidden' => 'hidden',
+        ],
+      ];
+
+      // The crawl and the space-separated URLs of the picked pages.
+      $form['step1']['crawl_id'] = [
+        '#type' => 'hidden',
+        '#default_value' => '',
+        '#attributes' => ['data-crawl-id' => 'true'],
+      ];
+      $form['step1']['crawl_pages'] = [
+        '#type' => 'hidden',
+        '#default_value' => '',
+        '#attributes' => ['data-crawl-pages' => 'true'],
+      ];
+
+      // Endpoint for the site crawl (site-crawl.js).
+      $form['#attached']['drupalSettings']['aiContentPreparationWizard']['siteCrawlEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.crawl_start')->toString();
+    }
+
     $form['step1']['content_source_note'] = [
-      '#markup' => '<p class="form-item__description">' . $this->t('You must provide at least one document upload OR one webpage URL to proceed.') . '</p>',
+      '#markup' => '<p class="form-item__description">' . ($this->planSerializer
+        ? $this->t('You must provide at least one document upload OR one webpage URL, or import a content plan, to proceed.')
+        : $this->t('You must provide at least one document upload OR one webpage URL to proceed.')) . '</p>',
     ];
 
+    // A plan downloaded in Step 2 replaces the sources and AI generation.
+    if ($this->planSerializer) {
+      $form['step1']['plan_import'] = [
+        '#type' => 'details',
+        '#title' => $this->t('Import a content plan'),
+        '#open' => FALSE,
+      ];
+      $form['step1']['plan_import']['plan_file'] = [
+        '#type' => 'managed_file',
+        '#title' => $this->t('Plan file'),
+        '#description' => $this->t('A content plan downloaded from this wizard as JSON or Markdown. The plan is opened for review as it is: no documents are processed and no plan is generated. Documents and URLs entered above are ignored.'),
+        '#upload_location' => 'private://ai_content_preparation_wizard',
+        '#upload_validators' => [
+          'FileExtension' => ['extensions' => 'json md'],
+          'FileSizeLimit' => ['fileLimit' => self::MAX_PLAN_FILE_SIZE],
+        ],
+        '#required' => FALSE,
+      ];
+    }
+
     // Load AI context entities dynamically.
     $contextOptions = [];
+    $contextPreviews = [];
     try {
       $contextStorage = $this->entityTypeManager->getStorage('ai_context');
       $contexts = $contextStorage->loadMultiple();
       foreach ($contexts as $context) {
         $contextOptions[$context->id()] = $context->label();
+        $contextPreviews[$context->id()] = AIContext::create($context->id(), $context->label(), (string) ($context->get('content') ?? ''));
       }
     }
     catch (\Exception $e) {
@@ -275,11 +600,18 @@ final class ContentPreparationWizardForm extends FormBase {
     $form['step1']['ai_contexts'] = [
       '#type' => 'checkboxes',
       '#title' => $this->t('AI Contexts'),
-      '#description' => $this->t('Select contexts to apply during content planning.'),
+      '#description' => $this->t('Select contexts to apply during content planning. Every context is added to the prompt, so it takes part of the tokens the AI model accepts.'),
       '#options' => $contextOptions,
       '#default_value' => [],
       '#access' => !empty($contextOptions),
     ];
+    // Preview every context with its share of the prompt.
+    foreach ($contextPreviews as $id => $context) {
+      $form['step1']['ai_contexts'][$id]['#description'] = $this->t('@preview (about @tokens tokens)', [
+        '@preview' => $context->getContentPreview(150),
+        '@tokens' => number_format(PromptBudget::estimateTokens($context->formatForPrompt())),
+      ]);
+    }
 
     // Load Canvas pages for template selection.
     $canvasPageOptions = $this->getCanvasPageOptions();
@@ -292,6 +624,17 @@ final class ContentPreparationWizardForm extends FormBase {
       '#access' => !empty($canvasPageOptions),
     ];
 
+    // Pages created by the wizard can be updated from a revised plan instead.
+    $updatablePages = $this->pageUpdater ? $this->pageUpdater->getUpdatablePages() : [];
+    $form['step1']['target_page'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Update an existing page'),
+      '#description' => $this->t('Select a page created by this wizard to update it from a new version of its documents. You review the changes section by section before the page is updated, and manual edits to unchanged sections are kept. The template above is not used.'),
+      '#options' => ['' => $this->t('- Create a new page -')] + $updatablePages,
+      '#default_value' => '',
+      '#access' => !empty($updatablePages),
+    ];
+
     // Show message if no Canvas pages available.
     if (empty($canvasPageOptions)) {
       $form['step1']['no_canvas_pages'] = [
@@ -326,6 +669,19 @@ final class ContentPreparationWizardForm extends FormBase {
    */
   protected function buildStep2(array &$form, FormStateInterface $form_state): void {
     $session = $this->sessionManager->getSession();
+
+    // The page was created, but some of its translations still failed.
+    if ($session?->getCreatedPageId() !== NULL && $this->planTranslationManager) {
+      $this->buildTranslationStatus($form, $session);
+      return;
+    }
+
+    // The changes of the plan to the page being updated are under review.
+    if ($this->isPageUpdateReview($form_state) && $this->loadTargetPage($session)) {
+      $this->buildPageUpdateReview($form, $session);
+      return;
+    }
+
     $plan = $session?->getContentPlan();
     $processedDocs = $session?->getProcessedDocuments() ?? [];
     $documentErrors = [];
@@ -446,9 +802,46 @@ final class ContentPreparationWizardForm extends FormBase {
     if ($needsAsyncGeneration) {
       // Pass endpoint URL for async plan generation.
       // The async-plan.js is already loaded via the main wizard library.
-      $form['#attached']['drupalSettings']['aiContentPreparationWizard'] = [
-        'asyncPlanEndpoint' => '/admin/content/preparation-wizard/generate-plan',
-      ];
+      $form['#attached']['drupalSettings']['aiContentPreparationWizard']['asyncPlanEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.generate_plan_async')->toString();
+    }
+
+    // Endpoint for regenerating the plan with instructions (async-plan.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['regeneratePlanEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.regenerate_plan_json')->toString();
+
+    // Endpoint for rewriting a single section (section-rewrite.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['refineSectionEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.refine_section_json')->toString();
+    // Endpoint for the refinement history (plan-history.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['planVersionsEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.plan_versions')->toString();
+    // Endpoint for autosaved drafts of unsaved edits (plan-autosave.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['planDraftEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.plan_draft')->toString();
+    // Endpoint for the live Canvas preview (plan-preview.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['planPreviewEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.plan_preview')->toString();
+    // Endpoint for the section to source mapping (source-map.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['sourceMapEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.source_map')->toString();
+    // Endpoint for the translated variants of the plan (plan-translations.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['planTranslationsEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.plan_translations')->toString();
+    // Endpoints for sharing the plan for review (plan-review.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['planReviewEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.plan_review')->toString();
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['planReviewShareEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.plan_review_share')->toString();
+    // Limits of the content quality checks (plan-quality.js).
+    if ($this->qualityAnalyzer) {
+      $form['#attached']['drupalSettings']['aiContentPreparationWizard']['qualityLimits'] = $this->qualityAnalyzer->getLimits();
+    }
+    // Images extracted from the documents, offered by plan-images.js.
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['planImages'] = $this->buildImageSettings(
+      $plan ? $plan->images : array_merge([], ...array_values(array_map(fn($doc) => $doc->images, $processedDocs)))
+    );
+
+    // Show the size of the prompt before the plan is generated. When the
+    // sources do not fit, generation waits until the editor has chosen how
+    // to handle them.
+    $awaitBudget = FALSE;
+    if ($needsAsyncGeneration && $this->planGenerator) {
+      $budget = $this->planGenerator->estimateBudget($processedDocs, $session->getSelectedContexts(), $session->getTemplateId(), [
+        'webpages' => $sessionWebpages,
+      ]);
+      $this->buildPromptBudget($form, $budget);
+      $awaitBudget = $budget->hasOversizedContent();
     }
 
     if ($plan || $needsAsyncGeneration) {
@@ -471,12 +864,70 @@ final class ContentPreparationWizardForm extends FormBase {
       // Build tabbed document preview (includes both documents and webpages).
       $this->buildTabbedDocumentPreview($form['step2']['split_layout']['markdown_panel'], $allProcessedContent, $webpageUrls);
 
+      // Live Canvas preview, shown in place of the source content by
+      // plan-preview.js.
+      $form['step2']['split_layout']['canvas_preview_panel'] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['canvas-preview-panel'],
+          'id' => 'plan-canvas-preview',
+          'data-plan-preview' => 'true',
+          'hidden' => 'hidden',
+        ],
+        'header' => [
+          '#markup' => '<div class="markdown-preview-header">' . $this->t('Live Page Preview') . '</div>',
+        ],
+      ];
+
+      // Source text next to the plan, linked to the sections by
+      // source-map.js.
+      $form['step2']['split_layout']['source_map_panel'] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['source-map-panel'],
+          'id' => 'plan-source-map',
+          'data-source-map' => 'true',
+          'hidden' => 'hidden',
+        ],
+        'header' => [
+          '#markup' => '<div class="markdown-preview-header">' . $this->t('Source Mapping') . '</div>',
+        ],
+      ];
+
       // Right panel: Plan Review.
       $form['step2']['split_layout']['plan_panel'] = [
         '#type' => 'container',
         '#attributes' => ['class' => ['plan-review-panel']],
       ];
 
+      $form['step2']['split_layout']['plan_panel']['preview_toggle'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'button',
+        '#value' => $this->t('Show live preview'),
+        '#attributes' => [
+          'type' => 'button',
+          'class' => ['button', 'button--small', 'plan-preview-toggle'],
+          'data-plan-preview-toggle' => 'true',
+          'aria-controls' => 'plan-canvas-preview',
+          'aria-pressed' => 'false',
+          'hidden' => 'hidden',
+        ],
+      ];
+
+      $form['step2']['split_layout']['plan_panel']['source_map_toggle'] = [
+        '#type' => 'html_tag',
+        '#tag' => 'button',
+        '#value' => $this->t('Show source mapping'),
+        '#attributes' => [
+          'type' => 'button',
+          'class' => ['button', 'button--small', 'source-map-toggle'],
+          'data-source-map-toggle' => 'true',
+          'aria-controls' => 'plan-source-map',
+          'aria-pressed' => 'false',
+          'hidden' => 'hidden',
+        ],
+      ];
+
       $form['step2']['split_layout']['plan_panel']['plan_preview'] = [
         '#type' => 'container',
         '#attributes' => ['id' => 'plan-preview-wrapper', 'class' => ['plan-preview']],
@@ -489,6 +940,9 @@ final class ContentPreparationWizardForm extends FormBase {
           '#attributes' => [
             'class' => ['plan-loading-container'],
             'id' => 'plan-loading',
+            // Started by prompt-budget.js once the editor has chosen how to
+            // handle oversized documents.
+            'data-await-budget' => $awaitBudget ? 'true' : 'false',
           ],
           'spinner' => [
             '#markup' => '<div class="plan-loading-spinner"></div>',
@@ -500,7 +954,7 @@ final class ContentPreparationWizardForm extends FormBase {
             '#markup' => '<div class="plan-loading-model"><strong>' . $this->t('Using:') . '</strong> ' . $this->getAiModelInfo() . '</div>',
           ],
           'status' => [
-            '#markup' => '<div class="plan-loading-status" id="plan-loading-status">' . $this->t('Analyzing documents and creating sections...') . '</div>',
+            '#markup' => '<div class="plan-loading-status" id="plan-loading-status" role="status">' . $this->t('Analyzing documents and creating sections...') . '</div>',
           ],
         ];
 
@@ -531,6 +985,7 @@ final class ContentPreparationWizardForm extends FormBase {
           '#attributes' => [
             'class' => ['plan-sections-list'],
             'id' => 'plan-sections-container',
+            'data-section-manager' => 'true',
           ],
           '#tree' => TRUE,
         ];
@@ -548,6 +1003,7 @@ final class ContentPreparationWizardForm extends FormBase {
           '#type' => 'item',
           '#title' => $this->t('Summary'),
           '#markup' => '<p>' . $plan->summary . '</p>',
+          '#wrapper_attributes' => ['class' => ['plan-summary']],
         ];
 
         $form['step2']['split_layout']['plan_panel']['plan_preview']['metadata'] = [
@@ -570,16 +1026,19 @@ final class ContentPreparationWizardForm extends FormBase {
         // Display sections (skip empty ones).
         $form['step2']['split_layout']['plan_panel']['plan_preview']['sections'] = [
           '#type' => 'container',
-          '#attributes' => ['class' => ['plan-sections-list']],
+          '#attributes' => [
+            'class' => ['plan-sections-list'],
+            'data-section-manager' => 'true',
+          ],
           '#tree' => TRUE,
         ];
 
         foreach ($plan->sections as $index => $section) {
           // Skip sections with empty content.
-          $content = trim($section->content ?? '');
-          if (empty($content)) {
+          if (!$section->isEditable()) {
             continue;
           }
+          $content = trim($section->content);
 
           $sectionId = $section->id ?? 'section_' . $index;
 
@@ -587,7 +1046,11 @@ final class ContentPreparationWizardForm extends FormBase {
             '#type' => 'details',
             '#title' => $section->title,
             '#open' => FALSE,
-            '#attributes' => ['class' => ['plan-section-item']],
+            '#attributes' => [
+              'class' => ['plan-section-item'],
+              'data-section-id' => $sectionId,
+              'data-section-images' => Json::encode(array_map(fn($image) => $image->id, $section->images)),
+            ],
           ];
 
           // Component type dropdown.
@@ -616,6 +1079,24 @@ final class ContentPreparationWizardForm extends FormBase {
         }
       }
 
+      // Content quality checks, calculated by plan-quality.js while the
+      // sections are edited. validateCreatePage() runs the same checks on the
+      // server.
+      $form['step2']['split_layout']['plan_panel']['quality'] = [
+        '#type' => 'details',
+        '#title' => $this->t('Content Quality'),
+        '#open' => FALSE,
+        '#access' => $this->qualityAnalyzer !== NULL,
+        '#attributes' => [
+          'class' => ['plan-quality'],
+          'id' => 'plan-quality',
+          'data-plan-quality' => 'true',
+        ],
+        'content' => [
+          '#markup' => '<div class="plan-quality-content"></div>',
+        ],
+      ];
+
       // Refinement section (always visible, but disabled during async loading).
       $form['step2']['split_layout']['plan_panel']['refinement_section'] = [
         '#type' => 'container',
@@ -648,9 +1129,46 @@ final class ContentPreparationWizardForm extends FormBase {
           'id' => 'edit-regenerate-plan',
           'type' => 'button',
           'onclick' => 'return false;',
+          'aria-keyshortcuts' => 'Alt+Shift+R',
+        ],
+      ];
+
+      $form['step2']['split_layout']['plan_panel']['refinement_section']['shortcuts'] = [
+        '#markup' => '<p class="plan-shortcuts-help">' . $this->t('Keyboard shortcuts: <kbd>Alt</kbd>+<kbd>Shift</kbd>+<kbd>R</kbd> regenerates the plan, <kbd>Alt</kbd>+<kbd>Shift</kbd>+<kbd>N</kbd> creates the page.') . '</p>',
+      ];
+
+      // Refinement history, populated by plan-history.js.
+      $form['step2']['split_layout']['plan_panel']['plan_history'] = [
+        '#type' => 'details',
+        '#title' => $this->t('Refinement History'),
+        '#open' => FALSE,
+        '#attributes' => [
+          'class' => ['plan-history'],
+          'id' => 'plan-history',
+          'data-plan-history' => 'true',
+        ],
+        'content' => [
+          '#markup' => '<div class="plan-history-content" aria-live="polite"></div>',
         ],
       ];
 
+      // Download links for the plan, see plan-export.js.
+      if ($this->planSerializer) {
+        $form['step2']['split_layout']['plan_panel']['plan_export'] = $this->buildExportLinks($needsAsyncGeneration);
+      }
+
+      // Target languages and the translation review, see plan-translations.js.
+      // Only the default language of existing pages is updated.
+      $targetPage = $this->loadTargetPage($session);
+      if ($this->planTranslationManager && $this->planTranslationManager->getTargetLanguages() && !$targetPage) {
+        $form['step2']['split_layout']['plan_panel']['plan_translations'] = $this->buildTranslationSection($session, $needsAsyncGeneration);
+      }
+
+      // Share link and review status of the plan, see plan-review.js.
+      if ($this->planReviewManager) {
+        $form['step2']['split_layout']['plan_panel']['plan_review'] = $this->buildReviewSection($needsAsyncGeneration);
+      }
+
       // Page settings section (for final page creation).
       $form['step2']['split_layout']['plan_panel']['page_settings'] = [
         '#type' => 'fieldset',
@@ -661,6 +1179,20 @@ final class ContentPreparationWizardForm extends FormBase {
         ],
       ];
 
+      // The title, alias and status of an updated page are kept.
+      if ($targetPage) {
+        $form['step2']['split_layout']['plan_panel']['page_settings']['target_page'] = [
+          '#type' => 'container',
+          '#attributes' => ['class' => ['target-page-info', 'messages', 'messages--status']],
+          'label' => [
+            '#markup' => '<strong>' . $this->t('Updating:') . '</strong> ' . Html::escape((string) $targetPage->label()),
+          ],
+          'description' => [
+            '#markup' => '<br><small>' . $this->t('You will review the changes to each section of the page before it is updated as a new revision.') . '</small>',
+          ],
+        ];
+      }
+
       $form['step2']['split_layout']['plan_panel']['page_settings']['page_title'] = [
         '#type' => 'textfield',
         '#title' => $this->t('Page Title'),
@@ -670,6 +1202,7 @@ final class ContentPreparationWizardForm extends FormBase {
         '#attributes' => [
           'id' => 'edit-page-title',
         ],
+        '#access' => !$targetPage,
       ];
 
       $form['step2']['split_layout']['plan_panel']['page_settings']['url_alias'] = [
@@ -678,6 +1211,7 @@ final class ContentPreparationWizardForm extends FormBase {
         '#description' => $this->t('Leave empty for automatic alias generation.'),
         '#default_value' => '',
         '#disabled' => $needsAsyncGeneration,
+        '#access' => !$targetPage,
       ];
 
       $form['step2']['split_layout']['plan_panel']['page_settings']['status'] = [
@@ -689,11 +1223,12 @@ final class ContentPreparationWizardForm extends FormBase {
         ],
         '#default_value' => 0,
         '#disabled' => $needsAsyncGeneration,
+        '#access' => !$targetPage,
       ];
 
       // Show template information if one was selected.
       $templateId = $session->getTemplateId();
-      if (!empty($templateId)) {
+      if (!empty($templateId) && !$targetPage) {
         $templateInfo = $this->getTemplateInfo($templateId);
         if ($templateInfo) {
           $form['step2']['split_layout']['plan_panel']['page_settings']['template_info'] = [
@@ -708,6 +1243,12 @@ final class ContentPreparationWizardForm extends FormBase {
           ];
         }
       }
+
+      // The components, props and slots the sections are placed in. An
+      // updated page keeps its components.
+      if ($this->mappingManager && !$targetPage) {
+        $form['step2']['split_layout']['plan_panel']['component_mapping'] = $this->buildComponentMappingSection($plan, $form_state);
+      }
     }
     else {
       $form['step2']['no_plan'] = [
@@ -735,79 +1276,849 @@ final class ContentPreparationWizardForm extends FormBase {
     $form['actions']['submit'] = [
       '#type' => 'submit',
       '#name' => 'create_page',
-      '#value' => $this->t('Create Canvas Page Now'),
+      '#value' => $this->loadTargetPage($session) ? $this->t('Review changes to the page') : $this->t('Create Canvas Page Now'),
       '#button_type' => 'primary',
       '#attributes' => [
         'id' => 'edit-create-page',
         'data-async-hide' => $needsAsyncGeneration ? 'true' : 'false',
+        'aria-keyshortcuts' => 'Alt+Shift+N',
       ],
     ];
   }
 
   /**
-   * Builds a tabbed document preview with proper markdown rendering.
+   * Builds the estimated prompt size shown before plan generation.
    *
-   * @param array &$container
-   *   The form container to add elements to.
-   * @param array $processedDocs
-   *   Array of ProcessedDocument objects.
-   * @param array $webpageUrls
-   *   Array of webpage URLs that were processed (for display purposes).
+   * Lists the tokens of the system prompt, documents, webpages and contexts.
+   * If the sources do not fit, the editor chooses whether oversized
+   * documents are truncated, summarized or planned in parts.
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PromptBudget $budget
+   *   The estimated budget.
    */
-  protected function buildTabbedDocumentPreview(array &$container, array $processedDocs, array $webpageUrls = []): void {
-    // Check if we have any content sources.
-    if (empty($processedDocs) && empty($webpageUrls)) {
-      $container['content'] = [
-        '#markup' => '<div class="markdown-preview-content"><em>' . $this->t('No content available for preview.') . '</em></div>',
+  protected function buildPromptBudget(array &$form, PromptBudget $budget): void {
+    $typeLabels = [
+      'system' => $this->t('Instructions'),
+      'document' => $this->t('Document'),
+      'webpage' => $this->t('Webpage'),
+      'context' => $this->t('AI context'),
+    ];
+
+    $form['step2']['prompt_budget'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Prompt size: about @total of @available tokens', [
+        '@total' => number_format($budget->getTotalTokens()),
+        '@available' => number_format($budget->getAvailableTokens()),
+      ]),
+      '#open' => $budget->hasOversizedContent(),
+      '#attributes' => [
+        'class' => ['prompt-budget', $budget->isExceeded() ? 'is-exceeded' : 'is-within'],
+        'data-prompt-budget' => 'true',
+      ],
+    ];
+
+    if ($budget->isExceeded()) {
+      $warning = $this->t('The sources are estimated at @total tokens, more than the @available tokens the AI model accepts besides its response. Choose how to handle oversized documents before the plan is generated.', [
+        '@total' => number_format($budget->getTotalTokens()),
+        '@available' => number_format($budget->getAvailableTokens()),
+      ]);
+    }
+    elseif ($truncated = $budget->getTruncatedItems()) {
+      $warning = $this->t('Some sources are longer than the wizard sends to the AI model: %sources. Choose how to handle them before the plan is generated.', [
+        '%sources' => implode(', ', array_column($truncated, 'label')),
+      ]);
+    }
+    if (isset($warning)) {
+      $form['step2']['prompt_budget']['warning'] = [
+        '#markup' => '<div class="messages messages--warning" role="alert">' . $warning . '</div>',
       ];
-      return;
     }
 
-    // If we have URLs but no processed docs yet, show loading state.
-    if (empty($processedDocs) && !empty($webpageUrls)) {
-      $container['content'] = [
-        '#markup' => '<div class="markdown-preview-content"><em>' . $this->t('Processing webpage content...') . '</em></div>',
+    $form['step2']['prompt_budget']['items'] = [
+      '#type' => 'table',
+      '#header' => [
+        $this->t('Source'),
+        $this->t('Type'),
+        $this->t('Preview'),
+        $this->t('Tokens'),
+      ],
+      '#attributes' => ['class' => ['prompt-budget__items']],
+    ];
+    foreach ($budget->items as $index => $item) {
+      $form['step2']['prompt_budget']['items'][$index] = [
+        '#attributes' => ['class' => $item['truncated'] ? ['is-truncated'] : []],
+        'label' => ['#plain_text' => $item['type'] === 'system' ? $this->t('System prompt and component list') : $item['label']],
+        'type' => ['#plain_text' => $typeLabels[$item['type']] ?? $item['type']],
+        'preview' => ['#plain_text' => $item['preview']],
+        'tokens' => [
+          '#markup' => $item['truncated']
+            ? $this->t('@tokens (truncated)', ['@tokens' => number_format($item['tokens'])])
+            : number_format($item['tokens']),
+        ],
       ];
+    }
+
+    $form['step2']['prompt_budget']['limit'] = [
+      '#markup' => '<p class="prompt-budget__limit">' . $this->t('Token counts are estimates. The AI model accepts @limit tokens, of which @reserved are kept free for the generated plan.', [
+        '@limit' => number_format($budget->tokenLimit),
+        '@reserved' => number_format($budget->reservedTokens),
+      ]) . '</p>',
+    ];
+
+    if (!$budget->hasOversizedContent()) {
       return;
     }
 
-    // Separate documents from webpages based on type.
-    // ProcessedWebpage has 'url' property, ProcessedDocument has 'fileName'.
-    $documents = [];
-    $webpages = [];
-    foreach ($processedDocs as $doc) {
-      if (!isset($doc->markdownContent)) {
-        continue;
-      }
-      // Check if this is a ProcessedWebpage (has 'url' property) or ProcessedDocument.
-      if ($doc instanceof \Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage) {
-        $webpages[] = $doc;
-      }
-      elseif ($doc instanceof \Drupal\ai_content_preparation_wizard\Model\ProcessedDocument) {
-        // ProcessedDocument could still be a webpage (from older code).
-        $providerValue = '';
-        if (isset($doc->provider)) {
-          $providerValue = is_object($doc->provider) ? ($doc->provider->value ?? '') : (string) $doc->provider;
-        }
-        $isWebpage = $providerValue === 'webpage' ||
-                     isset($doc->metadata->customProperties['source_url']);
-        if ($isWebpage) {
-          $webpages[] = $doc;
-        }
-        else {
-          $documents[] = $doc;
+    $form['step2']['prompt_budget']['oversized'] = [
+      '#type' => 'radios',
+      '#title' => $this->t('Oversized documents'),
+      '#options' => [
+        ContentPlanGeneratorInterface::OVERSIZED_SUMMARIZE => $this->t('Summarize them first, then plan from the summaries'),
+        ContentPlanGeneratorInterface::OVERSIZED_CHUNK => $this->t('Plan them in parts and merge the sections into one plan'),
+        ContentPlanGeneratorInterface::OVERSIZED_TRUNCATE => $this->t('Cut them off and plan from the beginning only'),
+      ],
+      '#default_value' => ContentPlanGeneratorInterface::OVERSIZED_SUMMARIZE,
+      '#attributes' => ['data-prompt-budget-strategy' => 'true'],
+    ];
+    $form['step2']['prompt_budget']['start'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'button',
+      '#value' => $this->t('Generate plan'),
+      '#attributes' => [
+        'type' => 'button',
+        'class' => ['button', 'button--primary'],
+        'data-prompt-budget-start' => 'true',
+      ],
+    ];
+  }
+
+  /**
+   * Builds the download links of the plan.
+   *
+   * @param bool $hidden
+   *   Whether to hide the links until the plan has been generated.
+   *
+   * @return array
+   *   The render array.
+   */
+  protected function buildExportLinks(bool $hidden): array {
+    $element = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['plan-export'],
+        'data-plan-export' => 'true',
+      ],
+      'label' => [
+        '#markup' => '<span class="plan-export__label">' . $this->t('Download plan:') . '</span>',
+      ],
+    ];
+    if ($hidden) {
+      $element['#attributes']['hidden'] = 'hidden';
+    }
+
+    $types = [
+      PlanSerializerInterface::TYPE_JSON => $this->t('JSON'),
+      PlanSerializerInterface::TYPE_MARKDOWN => $this->t('Markdown'),
+    ];
+    foreach ($types as $type => $label) {
+      $element[$type] = [
+        '#type' => 'link',
+        '#title' => $label,
+        '#url' => Url::fromRoute('ai_content_preparation_wizard.plan_export', ['type' => $type]),
+        '#attributes' => [
+          'class' => ['button', 'button--small'],
+          'data-plan-export-type' => $type,
+          'download' => 'download',
+          'aria-label' => $this->t('Download plan as @type', ['@type' => $label]),
+        ],
+      ];
+    }
+
+    return $element;
+  }
+
+  /**
+   * Builds the target language selection and the translation review.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\WizardSession $session
+   *   The wizard session.
+   * @param bool $hidden
+   *   Whether to hide the section until the plan has been generated.
+   *
+   * @return array
+   *   The render array.
+   */
+  protected function buildTranslationSection(WizardSession $session, bool $hidden): array {
+    $languages = $this->planTranslationManager->getTargetLanguages();
+    $selected = array_keys(array_intersect_key($session->getPlanTranslations(), $languages));
+
+    $element = [
+      '#type' => 'details',
+      '#title' => $this->t('Translations'),
+      '#open' => !empty($selected),
+      '#attributes' => [
+        'class' => ['plan-translations'],
+        'id' => 'plan-translations',
+        'data-plan-translations' => 'true',
+      ],
+      'translation_languages' => [
+        '#type' => 'checkboxes',
+        '#title' => $this->t('Target languages'),
+        '#description' => $this->t('The page is created with a translation in each selected language. Translate the plan first to review the translations side by side; languages that were not reviewed are translated when the page is created.'),
+        '#options' => $languages,
+        '#default_value' => $selected,
+      ],
+      'translate' => [
+        '#type' => 'html_tag',
+        '#tag' => 'button',
+        '#value' => $this->t('Translate plan'),
+        '#attributes' => [
+          'type' => 'button',
+          'class' => ['button', 'button--small', 'plan-translations__translate'],
+          'data-plan-translations-translate' => 'true',
+        ],
+      ],
+      // Side-by-side review of each language, rendered by plan-translations.js.
+      'review' => [
+        '#markup' => '<div class="plan-translations__review" aria-live="polite"></div>',
+      ],
+    ];
+    if ($hidden) {
+      $element['#attributes']['hidden'] = 'hidden';
+    }
+
+    return $element;
+  }
+
+  /**
+   * Builds the share link and the review status of the plan.
+   *
+   * @param bool $hidden
+   *   Whether to hide the section until the plan has been generated.
+   *
+   * @return array
+   *   The render array.
+   */
+  protected function buildReviewSection(bool $hidden): array {
+    $approvalRequired = $this->planReviewManager->isApprovalRequired();
+
+    $element = [
+      '#type' => 'details',
+      '#title' => $this->t('Review'),
+      '#open' => $approvalRequired || $this->planReviewManager->getSessionReview() !== NULL,
+      '#attributes' => [
+        'class' => ['plan-review'],
+        'id' => 'plan-review',
+        'data-plan-review' => 'true',
+      ],
+      'description' => [
+        '#markup' => '<p>' . ($approvalRequired
+          ? $this->t('The page can only be created after a reviewer approved this plan. Share the plan to get a review link for your reviewers.')
+          : $this->t('Share the plan to get a review link. Reviewers can comment on sections and approve the plan or request changes.')) . '</p>',
+      ],
+      'share' => [
+        '#type' => 'html_tag',
+        '#tag' => 'button',
+        '#value' => $this->t('Share for review'),
+        '#attributes' => [
+          'type' => 'button',
+          'class' => ['button', 'button--small', 'plan-review__share'],
+          'data-plan-review-share' => 'true',
+        ],
+      ],
+      // Review status and share link, rendered by plan-review.js.
+      'status' => [
+        '#markup' => '<div class="plan-review__status" aria-live="polite"></div>',
+      ],
+    ];
+    if ($hidden) {
+      $element['#attributes']['hidden'] = 'hidden';
+    }
+
+    return $element;
+  }
+
+  /**
+   * Builds the component mapping editor.
+   *
+   * Shows the sections of the plan as nested components. Editors choose the
+   * Canvas component of each section, the props its title, content and list
+   * items fill and, for child sections, the slot of the parent component.
+   * The form is not cached, so the mappings the editor was built with are
+   * kept in a hidden field for the next request.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan|null $plan
+   *   The content plan, or NULL while it is generated.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return array
+   *   The component mapping section render array.
+   */
+  protected function buildComponentMappingSection(?ContentPlan $plan, FormStateInterface $form_state): array {
+    $mappings = $this->getEditorMappings($form_state);
+
+    $section = [
+      '#type' => 'details',
+      '#title' => $this->t('Component Mapping'),
+      '#open' => !empty($mappings) || $form_state->has('component_mappings'),
+      '#prefix' => '<div id="component-mapping-editor">',
+      '#suffix' => '</div>',
+      '#attributes' => [
+        'class' => ['wizard-component-mapping-section'],
+      ],
+    ];
+
+    // Plans generated in the browser are only listed once they are saved.
+    if ($plan === NULL || empty($plan->sections)) {
+      $section['empty'] = [
+        '#markup' => '<p>' . $this->t('The sections can be mapped once the plan is generated.') . '</p>',
+      ];
+      $section['load'] = [
+        '#type' => 'submit',
+        '#name' => 'load_component_mappings',
+        '#value' => $this->t('Show sections'),
+      ] + $this->mappingEditorAjax();
+      return $section;
+    }
+
+    $section['description'] = [
+      '#markup' => '<p>' . $this->t('Choose the Canvas component of each section and the props its title, content and list items fill. Sections left on <em>Automatic</em> get the default component of their type.') . '</p>',
+    ];
+
+    $section['state'] = [
+      '#type' => 'hidden',
+      '#value' => Json::encode(array_values(array_map(fn(ComponentMapping $mapping): array => $mapping->toArray(), $mappings))),
+      '#parents' => ['component_mapping_state'],
+    ];
+
+    $componentOptions = $this->mappingManager->getComponentOptions();
+    $section['sections'] = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['component-mapping-tree'],
+      ],
+    ];
+    foreach ($plan->sections as $planSection) {
+      $section['sections'][$planSection->id] = $this->buildSectionMapping($planSection, $mappings, $componentOptions);
+    }
+
+    // Without JavaScript, changed components get their props on request.
+    $section['update'] = [
+      '#type' => 'submit',
+      '#name' => 'update_component_mappings',
+      '#value' => $this->t('Update mappings'),
+      '#attributes' => [
+        'class' => ['js-hide'],
+      ],
+    ] + $this->mappingEditorAjax();
+
+    $section['presets'] = $this->buildMappingPresets();
+
+    return $section;
+  }
+
+  /**
+   * Builds the mapping of a section and its children.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The plan section.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   The current mappings, keyed by section ID.
+   * @param array<string, string> $componentOptions
+   *   The components sections can be mapped to.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ComponentMapping|null $parent
+   *   The mapping of the parent section, if the section is a mapped child.
+   * @param bool $nested
+   *   Whether the section is the child of another section.
+   *
+   * @return array
+   *   The section mapping render array.
+   */
+  protected function buildSectionMapping(PlanSection $section, array $mappings, array $componentOptions, ?ComponentMapping $parent = NULL, bool $nested = FALSE): array {
+    $mapping = $mappings[$section->id] ?? NULL;
+    $parents = ['component_mappings', $section->id];
+
+    $element = [
+      '#type' => 'fieldset',
+      '#title' => $section->title !== '' ? $section->title : $section->componentType,
+      '#attributes' => [
+        'class' => ['component-mapping-section'],
+      ],
+    ];
+
+    $element['component'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Component'),
+      '#options' => ['' => $this->t('Automatic (@type)', ['@type' => $section->componentType])] + $componentOptions,
+      '#default_value' => $mapping?->componentType ?? '',
+      '#parents' => array_merge($parents, ['component']),
+    ] + $this->mappingEditorAjax();
+
+    // Children of a mapped section choose the slot of its component.
+    if ($nested && $mapping !== NULL && $parent !== NULL) {
+      $slots = $this->mappingManager->getSlotOptions($parent->componentType);
+      if (!empty($slots)) {
+        $element['slot'] = [
+          '#type' => 'select',
+          '#title' => $this->t('Slot in the parent component'),
+          '#options' => $slots,
+          '#default_value' => isset($slots[$mapping->region ?? '']) ? $mapping->region : $this->getDefaultSlot($slots),
+          '#parents' => array_merge($parents, ['slot']),
+        ] + $this->mappingEditorAjax();
+      }
+      else {
+        $element['slot'] = [
+          '#type' => 'item',
+          '#markup' => $this->t('The parent component has no slots, so this section is placed after it.'),
+        ];
+      }
+    }
+
+    if ($mapping !== NULL) {
+      $sources = [
+        ComponentMapping::SOURCE_TITLE => $this->t('Title'),
+        ComponentMapping::SOURCE_CONTENT => $this->t('Content'),
+        ComponentMapping::SOURCE_LIST_ITEMS => $this->t('List items'),
+      ];
+      $element['props'] = [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['component-mapping-props'],
+        ],
+      ];
+      foreach ($sources as $source => $label) {
+        $props = $this->mappingManager->getPropOptions($mapping->componentType, $source);
+        if (empty($props)) {
+          continue;
+        }
+        $element['props'][$source] = [
+          '#type' => 'select',
+          '#title' => $this->t('@source prop', ['@source' => $label]),
+          '#options' => ['' => $this->t('Not used')] + $props,
+          '#default_value' => (string) (array_search($source, $mapping->fieldMappings, TRUE) ?: ''),
+          '#parents' => array_merge($parents, ['props', $source]),
+        ] + $this->mappingEditorAjax();
+      }
+      if (!Element::children($element['props'])) {
+        $element['props']['none'] = [
+          '#markup' => $this->t('This component has no text props for the section content.'),
+        ];
+      }
+    }
+
+    foreach ($section->children as $child) {
+      $element['children'][$child->id] = $this->buildSectionMapping($child, $mappings, $componentOptions, $mapping, TRUE);
+    }
+
+    return $element;
+  }
+
+  /**
+   * Builds the preset controls of the component mapping editor.
+   *
+   * @return array
+   *   The presets render array.
+   */
+  protected function buildMappingPresets(): array {
+    $presetOptions = $this->mappingManager->getPresetOptions($this->getMappingTemplateId());
+
+    $presets = [
+      '#type' => 'fieldset',
+      '#title' => $this->t('Presets'),
+      '#description' => $this->t('Presets map section types, so they can be applied to other plans for the same template.'),
+      '#attributes' => [
+        'class' => ['component-mapping-presets'],
+      ],
+    ];
+
+    if (!empty($presetOptions)) {
+      $presets['mapping_preset'] = [
+        '#type' => 'select',
+        '#title' => $this->t('Preset'),
+        '#description' => $this->t('If no section is mapped, the page is created with the selected preset.'),
+        '#options' => $presetOptions,
+        '#empty_option' => $this->t('- None -'),
+      ];
+      $presets['apply_preset'] = [
+        '#type' => 'submit',
+        '#name' => 'apply_mapping_preset',
+        '#value' => $this->t('Apply preset'),
+        '#submit' => ['::applyMappingPreset'],
+        '#limit_validation_errors' => [['mapping_preset']],
+      ] + $this->mappingEditorAjax();
+      $presets['delete_preset'] = [
+        '#type' => 'submit',
+        '#name' => 'delete_mapping_preset',
+        '#value' => $this->t('Delete preset'),
+        '#submit' => ['::deleteMappingPreset'],
+        '#limit_validation_errors' => [['mapping_preset']],
+      ] + $this->mappingEditorAjax();
+    }
+
+    $presets['preset_label'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Preset name'),
+      '#description' => $this->t('Saving with the name of an existing preset replaces it.'),
+      '#maxlength' => 128,
+    ];
+    $presets['save_preset'] = [
+      '#type' => 'submit',
+      '#name' => 'save_mapping_preset',
+      '#value' => $this->t('Save as preset'),
+      '#submit' => ['::saveMappingPreset'],
+      '#limit_validation_errors' => [['component_mappings'], ['preset_label']],
+    ] + $this->mappingEditorAjax();
+
+    return $presets;
+  }
+
+  /**
+   * Gets the AJAX properties of the component mapping editor elements.
+   *
+   * Every change is submitted, so the props and slots offered match the
+   * chosen components.
+   *
+   * @return array
+   *   The element properties.
+   */
+  protected function mappingEditorAjax(): array {
+    return [
+      '#executes_submit_callback' => TRUE,
+      '#submit' => ['::rebuildMappingEditor'],
+      '#limit_validation_errors' => [['component_mappings']],
+      '#ajax' => [
+        'callback' => '::mappingEditorAjaxCallback',
+        'wrapper' => 'component-mapping-editor',
+      ],
+    ];
+  }
+
+  /**
+   * Builds the message explaining why the plan cannot be created yet.
+   *
+   * @return \Drupal\Core\StringTranslation\TranslatableMarkup
+   *   The message.
+   */
+  protected function getReviewRequiredMessage() {
+    $review = $this->planReviewManager->getSessionReview();
+    if ($review === NULL) {
+      return $this->t('This plan must be approved before the page can be created. Share it for review first.');
+    }
+    if ($review->status === ReviewStatus::APPROVED) {
+      return $this->t('The plan was changed after it was approved. Share the changes for another review before creating the page.');
+    }
+    return $this->t('This plan must be approved before the page can be created. Review status: @status.', [
+      '@status' => $review->status->label(),
+    ]);
+  }
+
+  /**
+   * Builds the translation status of a created page, with retry actions.
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\ai_content_preparation_wizard\Model\WizardSession $session
+   *   The wizard session.
+   */
+  protected function buildTranslationStatus(array &$form, WizardSession $session): void {
+    $page = $this->planTranslationManager->getCreatedPage();
+    $languages = $this->planTranslationManager->getTargetLanguages();
+    $statusLabels = [
+      TranslationStatus::TRANSLATED->value => $this->t('Translated'),
+      TranslationStatus::CREATED->value => $this->t('Created'),
+      TranslationStatus::FAILED->value => $this->t('Failed'),
+    ];
+
+    // Endpoint for retrying the failed languages (plan-translations.js).
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['planTranslationsEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.plan_translations')->toString();
+
+    $form['step2'] = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['wizard-step-content', 'plan-translation-status'],
+        'data-plan-translation-status' => 'true',
+      ],
+      'intro' => [
+        '#markup' => '<p>' . $this->t('The page "@title" has been created, but not all of its translations could be added. Retry the failed languages, or finish without them.', [
+          '@title' => $page ? $page->label() : $this->t('Untitled'),
+        ]) . '</p>',
+      ],
+      'languages' => [
+        '#type' => 'table',
+        '#header' => [
+          $this->t('Language'),
+          $this->t('Status'),
+          $this->t('Message'),
+          $this->t('Operations'),
+        ],
+        '#empty' => $this->t('The page has no translations.'),
+      ],
+    ];
+
+    foreach ($session->getPlanTranslations() as $langcode => $translation) {
+      $row = [
+        '#attributes' => [
+          'data-translation-langcode' => $langcode,
+          'class' => ['plan-translation-status__row', 'is-' . $translation->status->value],
+        ],
+        'language' => ['#plain_text' => $languages[$langcode] ?? $langcode],
+        'status' => [
+          '#markup' => '<span class="plan-translation-status__status">' . $statusLabels[$translation->status->value] . '</span>',
+        ],
+        'message' => [
+          '#markup' => '<span class="plan-translation-status__message">' . Html::escape((string) $translation->error) . '</span>',
+        ],
+        'operations' => [],
+      ];
+      if ($translation->status === TranslationStatus::FAILED) {
+        $row['operations'] = [
+          '#type' => 'html_tag',
+          '#tag' => 'button',
+          '#value' => $this->t('Retry'),
+          '#attributes' => [
+            'type' => 'button',
+            'class' => ['button', 'button--small'],
+            'data-translation-retry' => $langcode,
+          ],
+        ];
+      }
+      $form['step2']['languages'][$langcode] = $row;
+    }
+
+    $form['actions'] = [
+      '#type' => 'actions',
+    ];
+    if ($page) {
+      $form['actions']['view_page'] = [
+        '#type' => 'link',
+        '#title' => $this->t('View page'),
+        '#url' => $page->toUrl(),
+        '#attributes' => ['class' => ['button']],
+      ];
+    }
+    $form['actions']['finish'] = [
+      '#type' => 'submit',
+      '#name' => 'finish_translations',
+      '#value' => $this->t('Finish'),
+      '#button_type' => 'primary',
+      '#submit' => ['::finishTranslations'],
+      '#limit_validation_errors' => [],
+    ];
+  }
+
+  /**
+   * Builds the review of the changes of the plan to the page being updated.
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\ai_content_preparation_wizard\Model\WizardSession $session
+   *   The wizard session.
+   */
+  protected function buildPageUpdateReview(array &$form, WizardSession $session): void {
+    $page = $this->loadTargetPage($session);
+    $plan = $session->getContentPlan();
+    $changeLabels = [
+      SectionChange::ADDED->value => $this->t('Added'),
+      SectionChange::CHANGED->value => $this->t('Changed'),
+      SectionChange::REMOVED->value => $this->t('Removed'),
+      SectionChange::UNCHANGED->value => $this->t('Unchanged'),
+    ];
+
+    $diffs = [];
+    try {
+      $diffs = $plan ? $this->pageUpdater->diff($page, $plan) : [];
+    }
+    catch (InvalidWizardStateException $e) {
+      $this->messenger()->addError($e->getMessage());
+    }
+
+    // Keeps the review open across submissions of this step.
+    $form['page_update_review'] = [
+      '#type' => 'hidden',
+      '#default_value' => 1,
+    ];
+
+    $form['step2'] = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['wizard-step-content', 'page-update-review']],
+      'intro' => [
+        '#markup' => '<p>' . $this->t('Review the changes of the revised plan to the page "@title". Accepted changes are saved as a new revision of the page. All other components, including your manual edits to them, are kept.', [
+          '@title' => $page->label(),
+        ]) . '</p>',
+      ],
+      'changes' => [
+        '#type' => 'table',
+        '#header' => [
+          $this->t('Apply'),
+          $this->t('Section'),
+          $this->t('Change'),
+          $this->t('On the page'),
+          $this->t('In the revised plan'),
+        ],
+        '#empty' => $this->t('The plan has no sections.'),
+      ],
+    ];
+
+    $applicable = 0;
+    foreach ($diffs as $diff) {
+      $notes = [];
+      if ($diff->editedOnPage && $diff->change->isChange()) {
+        $notes[] = $this->t('Edited on the page since it was created or last updated. Applying the change replaces these edits.');
+      }
+      if ($diff->change !== SectionChange::ADDED && $diff->componentUuid === NULL) {
+        $notes[] = $this->t('The component of this section was removed from the page.');
+      }
+
+      $row = [
+        '#attributes' => [
+          'class' => ['page-update-review__row', 'is-' . $diff->change->value],
+        ],
+        'apply' => [],
+        'section' => ['#plain_text' => $diff->getTitle()],
+        'change' => [
+          'label' => [
+            '#markup' => '<span class="page-update-review__change">' . $changeLabels[$diff->change->value] . '</span>',
+          ],
+          'notes' => [
+            '#theme' => 'item_list',
+            '#items' => $notes,
+            '#attributes' => ['class' => ['page-update-review__notes']],
+            '#access' => !empty($notes),
+          ],
+        ],
+        'current' => [
+          '#type' => 'container',
+          '#attributes' => ['class' => ['page-update-review__text']],
+          'text' => ['#plain_text' => $diff->pageText],
+        ],
+        'revised' => [
+          '#type' => 'container',
+          '#attributes' => ['class' => ['page-update-review__text']],
+          'text' => ['#plain_text' => $diff->revised ? trim($diff->revised->title . "\n\n" . $diff->revised->content) : ''],
+        ],
+      ];
+      if ($diff->change->isChange()) {
+        $row['apply'] = [
+          '#type' => 'checkbox',
+          '#title' => $this->t('Apply the change to @section', ['@section' => $diff->getTitle()]),
+          '#title_display' => 'invisible',
+          '#parents' => ['accepted_changes', $diff->id],
+          '#default_value' => $diff->isApplicable(),
+          '#disabled' => !$diff->isApplicable(),
+        ];
+        $applicable += (int) $diff->isApplicable();
+      }
+      $form['step2']['changes'][$diff->id] = $row;
+    }
+
+    if ($diffs && $applicable === 0) {
+      $form['step2']['no_changes'] = [
+        '#markup' => '<p class="messages messages--status">' . $this->t('The revised plan has no changes that can be applied to the page.') . '</p>',
+      ];
+    }
+
+    $form['actions'] = [
+      '#type' => 'actions',
+    ];
+    $form['actions']['back'] = [
+      '#type' => 'submit',
+      '#name' => 'back_to_plan',
+      '#value' => $this->t('Back to the plan'),
+      '#submit' => ['::cancelPageUpdate'],
+      '#limit_validation_errors' => [],
+    ];
+    $form['actions']['update'] = [
+      '#type' => 'submit',
+      '#name' => 'update_page',
+      '#value' => $this->t('Update page'),
+      '#button_type' => 'primary',
+      '#submit' => ['::submitPageUpdate'],
+      '#disabled' => $applicable === 0,
+    ];
+  }
+
+  /**
+   * Builds a tabbed document preview with proper markdown rendering.
+   *
+   * @param array &$container
+   *   The form container to add elements to.
+   * @param array $processedDocs
+   *   Array of ProcessedDocument objects.
+   * @param array $webpageUrls
+   *   Array of webpage URLs that were processed (for display purposes).
+   */
+  protected function buildTabbedDocumentPreview(array &$container, array $processedDocs, array $webpageUrls = []): void {
+    // Check if we have any content sources.
+    if (empty($processedDocs) && empty($webpageUrls)) {
+      $container['content'] = [
+        '#markup' => '<div class="markdown-preview-content"><em>' . $this->t('No content available for preview.') . '</em></div>',
+      ];
+      return;
+    }
+
+    // If we have URLs but no processed docs yet, show loading state.
+    if (empty($processedDocs) && !empty($webpageUrls)) {
+      $container['content'] = [
+        '#markup' => '<div class="markdown-preview-content"><em>' . $this->t('Processing webpage content...') . '</em></div>',
+      ];
+      return;
+    }
+
+    // Separate documents from webpages based on type.
+    // ProcessedWebpage has 'url' property, ProcessedDocument has 'fileName'.
+    $documents = [];
+    $webpages = [];
+    foreach ($processedDocs as $doc) {
+      if (!isset($doc->markdownContent)) {
+        continue;
+      }
+      // Check if this is a ProcessedWebpage (has 'url' property) or ProcessedDocument.
+      if ($doc instanceof \Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage) {
+        $webpages[] = $doc;
+      }
+      elseif ($doc instanceof \Drupal\ai_content_preparation_wizard\Model\ProcessedDocument) {
+        // ProcessedDocument could still be a webpage (from older code).
+        $providerValue = '';
+        if (isset($doc->provider)) {
+          $providerValue = is_object($doc->provider) ? ($doc->provider->value ?? '') : (string) $doc->provider;
+        }
+        $isWebpage = $providerValue === 'webpage' ||
+                     isset($doc->metadata->customProperties['source_url']);
+        if ($isWebpage) {
+          $webpages[] = $doc;
+        }
+        else {
+          $documents[] = $doc;
         }
       }
     }
 
     $hasBothTypes = !empty($documents) && !empty($webpages);
 
-    // Use Drupal native vertical_tabs for document switching.
-    // Set weight to ensure it appears after any section headers.
+    // Tabs following the WAI-ARIA tabs pattern, made interactive by
+    // document-tabs.js.
     $container['document_tabs'] = [
-      '#type' => 'vertical_tabs',
-      '#default_tab' => 'edit-doc-0',
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['document-tabs'],
+        'data-document-tabs' => 'true',
+      ],
       '#weight' => 0,
+      'nav' => [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['document-tabs-nav'],
+          'role' => 'tablist',
+          'aria-label' => $this->t('Source content'),
+        ],
+      ],
+      'panels' => [
+        '#type' => 'container',
+        '#attributes' => ['class' => ['document-tabs-content']],
+      ],
     ];
 
     $tabIndex = 0;
@@ -817,31 +2128,17 @@ final class ContentPreparationWizardForm extends FormBase {
     // Add uploaded documents.
     foreach ($documents as $doc) {
       $fileName = $doc->fileName ?? $this->t('Document @num', ['@num' => $docIndex + 1]);
-      $tabKey = 'doc_' . $tabIndex;
-
-      // Create a details element for each document (becomes a vertical tab).
-      // The data attribute helps with CSS styling of the vertical tabs menu.
-      $container[$tabKey] = [
-        '#type' => 'details',
-        '#title' => $fileName,
-        '#group' => 'document_tabs',
-        '#attributes' => [
-          'class' => ['document-tab-panel', 'document-type-file'],
-          'data-content-type' => 'document',
-        ],
-        '#weight' => $tabIndex,
-      ];
-
-      // Add document type indicator badge.
-      $container[$tabKey]['type_indicator'] = [
-        '#markup' => '<div class="content-type-badge content-type-document">' . $this->t('Document') . '</div>',
-      ];
 
       // Render markdown content inside the tab.
-      $renderedMarkdown = $this->renderMarkdownToHtml($doc->markdownContent);
-      $container[$tabKey]['content'] = [
-        '#markup' => '<div class="markdown-preview-content">' . $renderedMarkdown . '</div>',
-      ];
+      $renderedMarkdown = $this->renderMarkdownToHtml($this->resolveImageReferences($doc->markdownContent, $doc->images ?? []));
+      $this->addDocumentTab($container['document_tabs'], 'doc_' . $tabIndex, (string) $fileName, 'document', $tabIndex === 0, [
+        'type_indicator' => [
+          '#markup' => '<div class="content-type-badge content-type-document">' . $this->t('Document') . '</div>',
+        ],
+        'content' => [
+          '#markup' => '<div class="markdown-preview-content">' . $renderedMarkdown . '</div>',
+        ],
+      ]);
 
       $tabIndex++;
       $docIndex++;
@@ -857,46 +2154,87 @@ final class ContentPreparationWizardForm extends FormBase {
       else {
         // Legacy ProcessedDocument with WEBPAGE type.
         $sourceUrl = $doc->metadata->customProperties['source_url'] ?? '';
-        $pageTitle = $doc->metadata->title ?? $doc->fileName ?? $this->t('Webpage @num', ['@num' => $webpageIndex + 1]);
-      }
-      $tabKey = 'webpage_' . $tabIndex;
-
-      // Create a details element for each webpage (becomes a vertical tab).
-      // The data attribute helps with CSS styling of the vertical tabs menu.
-      $container[$tabKey] = [
-        '#type' => 'details',
-        '#title' => $pageTitle,
-        '#group' => 'document_tabs',
-        '#attributes' => [
-          'class' => ['document-tab-panel', 'document-type-webpage'],
-          'data-content-type' => 'webpage',
-        ],
-        '#weight' => 100 + $tabIndex,
-      ];
+        $pageTitle = $doc->metadata->title ?? $doc->fileName ?? $this->t('Webpage @num', ['@num' => $webpageIndex + 1]);
+      }
 
-      // Add webpage type indicator badge.
-      $container[$tabKey]['type_indicator'] = [
-        '#markup' => '<div class="content-type-badge content-type-webpage">' . $this->t('Web Page') . '</div>',
+      $content = [
+        'type_indicator' => [
+          '#markup' => '<div class="content-type-badge content-type-webpage">' . $this->t('Web Page') . '</div>',
+        ],
       ];
 
       // Show source URL.
       if (!empty($sourceUrl)) {
-        $container[$tabKey]['source_url'] = [
-          '#markup' => '<div class="webpage-source-url"><strong>' . $this->t('Source:') . '</strong> <a href="' . Html::escape($sourceUrl) . '" target="_blank" rel="noopener">' . Html::escape($sourceUrl) . '</a></div>',
+        $content['source_url'] = [
+          '#markup' => '<div class="webpage-source-url"><strong>' . $this->t('Source:') . '</strong> <a href="' . Html::escape($sourceUrl) . '" target="_blank" rel="noopener">' . Html::escape($sourceUrl) . '<span class="visually-hidden"> ' . $this->t('(opens in a new window)') . '</span></a></div>',
         ];
       }
 
       // Render markdown content inside the tab.
       $renderedMarkdown = $this->renderMarkdownToHtml($doc->markdownContent);
-      $container[$tabKey]['content'] = [
+      $content['content'] = [
         '#markup' => '<div class="markdown-preview-content webpage-content">' . $renderedMarkdown . '</div>',
       ];
 
+      $this->addDocumentTab($container['document_tabs'], 'webpage_' . $tabIndex, (string) $pageTitle, 'webpage', $tabIndex === 0, $content);
+
       $tabIndex++;
       $webpageIndex++;
     }
   }
 
+  /**
+   * Adds a tab and its panel to the tabbed document preview.
+   *
+   * @param array &$tabs
+   *   The document tabs container.
+   * @param string $key
+   *   The tab key.
+   * @param string $label
+   *   The tab label.
+   * @param string $contentType
+   *   The content type, either 'document' or 'webpage'.
+   * @param bool $selected
+   *   Whether the tab is selected initially.
+   * @param array $content
+   *   The render array of the panel content.
+   */
+  protected function addDocumentTab(array &$tabs, string $key, string $label, string $contentType, bool $selected, array $content): void {
+    $idSuffix = Html::getClass($key);
+    $typeClass = $contentType === 'webpage' ? 'document-type-webpage' : 'document-type-file';
+
+    $tabs['nav'][$key] = [
+      '#type' => 'html_tag',
+      '#tag' => 'button',
+      '#value' => Html::escape($label),
+      '#attributes' => [
+        'type' => 'button',
+        'class' => ['document-tab', $typeClass],
+        'id' => 'document-tab-' . $idSuffix,
+        'role' => 'tab',
+        'aria-controls' => 'document-panel-' . $idSuffix,
+        'aria-selected' => $selected ? 'true' : 'false',
+        'tabindex' => $selected ? '0' : '-1',
+        'data-tab-hash' => 'source-' . $idSuffix,
+        'title' => $label,
+      ],
+    ];
+
+    // Panels are focusable, so that their content can be scrolled with the
+    // keyboard.
+    $tabs['panels'][$key] = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['document-tab-panel', $typeClass],
+        'id' => 'document-panel-' . $idSuffix,
+        'role' => 'tabpanel',
+        'aria-labelledby' => 'document-tab-' . $idSuffix,
+        'tabindex' => '0',
+        'data-content-type' => $contentType,
+      ] + ($selected ? [] : ['hidden' => 'hidden']),
+    ] + $content;
+  }
+
   /**
    * Renders markdown content to sanitized HTML.
    *
@@ -940,10 +2278,77 @@ final class ContentPreparationWizardForm extends FormBase {
     }
   }
 
+  /**
+   * Replaces image:ID references in markdown with the URLs of the images.
+   *
+   * @param string $markdown
+   *   The markdown content.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images the content references.
+   *
+   * @return string
+   *   The markdown with resolved image URLs.
+   */
+  protected function resolveImageReferences(string $markdown, array $images): string {
+    if (empty($images) || $this->imageImporter === NULL) {
+      return $markdown;
+    }
+
+    $urls = [];
+    foreach ($images as $image) {
+      $url = $this->imageImporter->getImageUrl($image, 'medium');
+      if ($url !== NULL) {
+        $urls['(image:' . $image->id . ')'] = '(' . $url . ')';
+      }
+    }
+
+    return strtr($markdown, $urls);
+  }
+
+  /**
+   * Builds the client-side data of the images a plan can use.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images.
+   *
+   * @return array<int, array<string, string>>
+   *   Objects with the image id, alt, name and thumbnail URL.
+   */
+  protected function buildImageSettings(array $images): array {
+    if ($this->imageImporter === NULL) {
+      return [];
+    }
+
+    $settings = [];
+    foreach ($images as $image) {
+      $thumbnail = $this->imageImporter->getImageUrl($image, 'thumbnail');
+      // Skip images whose file was deleted in the meantime.
+      if ($thumbnail !== NULL) {
+        $settings[] = [
+          'id' => $image->id,
+          'alt' => $image->alt,
+          'name' => $image->fileName,
+          'thumbnail' => $thumbnail,
+        ];
+      }
+    }
+
+    return $settings;
+  }
+
   /**
    * AJAX callback.
    */
-  public function ajaxCallback(array &$form, FormStateInterface $form_state): array {
+  public function ajaxCallback(array &$form, FormStateInterface $form_state): array|AjaxResponse {
+    // Bulk runs continue on their own dashboard.
+    if ($runId = $form_state->get('bulk_run_id')) {
+      $response = new AjaxResponse();
+      $response->addCommand(new RedirectCommand(Url::fromRoute('ai_content_preparation_wizard.bulk_dashboard', [
+        'run_id' => $runId,
+      ])->toString()));
+      return $response;
+    }
+
     // Add status messages to the form.
     $form['messages'] = [
       '#type' => 'status_messages',
@@ -957,12 +2362,22 @@ final class ContentPreparationWizardForm extends FormBase {
    * Submit handler for Step 1.
    */
   public function submitStep1(array &$form, FormStateInterface $form_state): void {
+    if ($form_state->getValue('mode') === 'bulk' && $this->bulkManager) {
+      $this->submitBulk($form_state);
+      return;
+    }
+
+    if ($plan = $form_state->get('imported_plan')) {
+      $this->submitPlanImport($form_state, $plan);
+      return;
+    }
+
     // Get or create session.
     $session = $this->sessionManager->getOrCreateSession();
 
     // Store uploaded file IDs.
-    $fileIds = $form_state->getValue('documents') ?? [];
-    $session->setUploadedFileIds(array_filter($fileIds));
+    $fileIds = $this->getDocumentFileIds($form_state);
+    $session->setUploadedFileIds($fileIds);
 
     // Store webpage URLs (parsed in validation, with fallback).
     $webpageUrls = $form_state->get('parsed_webpage_urls') ?? [];
@@ -992,6 +2407,7 @@ final class ContentPreparationWizardForm extends FormBase {
     if ($canvasPageId) {
       $session->setTemplateId($canvasPageId);
     }
+    $session->setTargetPageId($form_state->getValue('target_page') ?: NULL);
 
     // Clear existing documents, webpages, and plan for fresh generation.
     // Documents and webpages are processed async in buildStep2 for better UX.
@@ -999,6 +2415,11 @@ final class ContentPreparationWizardForm extends FormBase {
     $session->clearProcessedWebpages();
     $session->clearContentPlan();
 
+    // Crawled pages were fetched during the crawl, so buildStep2 skips them.
+    foreach ($form_state->get('crawled_webpages') ?? [] as $webpage) {
+      $session->addProcessedWebpage($webpage);
+    }
+
     // Note: Document processing is now deferred to buildStep2 along with
     // webpage processing, to provide a consistent async loading experience.
     // The file IDs are already stored in session above.
@@ -1011,78 +2432,530 @@ final class ContentPreparationWizardForm extends FormBase {
       ));
     }
 
-    $this->sessionManager->updateSession($session);
+    $this->sessionManager->updateSession($session);
+
+    // Go to step 2.
+    $form_state->set('step', 2);
+    // Also set in user input to ensure persistence across AJAX rebuild.
+    $input = $form_state->getUserInput();
+    $input['wizard_step'] = 2;
+    $form_state->setUserInput($input);
+    $form_state->setRebuild();
+  }
+
+  /**
+   * Starts the review of an imported plan.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan imported in validateForm().
+   */
+  protected function submitPlanImport(FormStateInterface $form_state, ContentPlan $plan): void {
+    $session = $this->sessionManager->getOrCreateSession();
+
+    // The plan has no sources; it is refined and created as it is.
+    $session->setUploadedFileIds([]);
+    $session->setWebpageUrls([]);
+    $session->clearProcessedDocuments();
+    $session->clearProcessedWebpages();
+
+    $contexts = array_filter($form_state->getValue('ai_contexts') ?? []);
+    $session->setSelectedContexts(array_values($contexts));
+
+    // The template selected in Step 1 takes precedence over the one of the
+    // plan, which may not exist on this site.
+    $templateId = $form_state->getValue('canvas_page') ?: $plan->templateId;
+    if ($templateId && isset($this->getCanvasPageOptions()[$templateId])) {
+      $session->setTemplateId((string) $templateId);
+    }
+    elseif ($templateId) {
+      $this->messenger()->addWarning($this->t('The template page of the plan is not available on this site. The page will be built from components.'));
+    }
+    $session->setTargetPageId($form_state->getValue('target_page') ?: NULL);
+
+    $session->setContentPlan($plan);
+    $this->sessionManager->updateSession($session);
+
+    foreach ($form_state->get('import_warnings') ?? [] as $warning) {
+      $this->messenger()->addWarning($warning);
+    }
+    $this->messenger()->addStatus($this->t('The content plan "@title" has been imported.', [
+      '@title' => $plan->title,
+    ]));
+
+    // Go to step 2.
+    $form_state->set('step', 2);
+    $input = $form_state->getUserInput();
+    $input['wizard_step'] = 2;
+    $form_state->setUserInput($input);
+    $form_state->setRebuild();
+  }
+
+  /**
+   * Imports the plan file uploaded in Step 1.
+   *
+   * The imported plan and any warnings are stored in the form state for
+   * submitPlanImport().
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   * @param int $fileId
+   *   The ID of the uploaded plan file.
+   */
+  protected function validatePlanImport(FormStateInterface $form_state, int $fileId): void {
+    if ($form_state->getValue('mode') === 'bulk') {
+      $form_state->setErrorByName('plan_file', $this->t('Imported content plans cannot be used in bulk mode.'));
+      return;
+    }
+
+    /** @var \Drupal\file\FileInterface|null $file */
+    $file = $this->entityTypeManager->getStorage('file')->load($fileId);
+    $contents = $file ? @file_get_contents($file->getFileUri()) : FALSE;
+    if ($contents === FALSE) {
+      $form_state->setErrorByName('plan_file', $this->t('The plan file could not be read. Please upload it again.'));
+      return;
+    }
+
+    $extension = strtolower(pathinfo($file->getFilename(), PATHINFO_EXTENSION));
+    $type = $extension === PlanSerializerInterface::TYPE_JSON ? PlanSerializerInterface::TYPE_JSON : PlanSerializerInterface::TYPE_MARKDOWN;
+
+    try {
+      $result = $this->planSerializer->import($contents, $type);
+    }
+    catch (PlanImportException $e) {
+      $form_state->setErrorByName('plan_file', $this->t('@file could not be imported. @error', [
+        '@file' => $file->getFilename(),
+        '@error' => $e->getMessage(),
+      ]));
+      // Only the first error is shown per form element.
+      foreach (array_slice($e->errors, 0, self::MAX_IMPORT_ERRORS) as $error) {
+        $this->messenger()->addError($error);
+      }
+      if (count($e->errors) > self::MAX_IMPORT_ERRORS) {
+        $this->messenger()->addError($this->formatPlural(
+          count($e->errors) - self::MAX_IMPORT_ERRORS,
+          '1 more problem was found.',
+          '@count more problems were found.'
+        ));
+      }
+      return;
+    }
+
+    $form_state->set('imported_plan', $result['plan']);
+    $form_state->set('import_warnings', $result['warnings']);
+  }
+
+  /**
+   * Gets the IDs of the documents uploaded in Step 1.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return array<int>
+   *   The IDs of the files of the file field and of the complete uploads of
+   *   the upload zone.
+   */
+  protected function getDocumentFileIds(FormStateInterface $form_state): array {
+    $fileIds = array_map('intval', array_filter($form_state->getValue('documents') ?? []));
+
+    $uploadIds = preg_split('/\s+/', trim((string) $form_state->getValue('uploaded_files')), -1, PREG_SPLIT_NO_EMPTY);
+    if ($uploadIds && $this->uploadManager) {
+      $fileIds = array_merge($fileIds, $this->uploadManager->getFileIds($uploadIds));
+    }
+
+    return array_values(array_unique($fileIds));
+  }
+
+  /**
+   * Gets the pages picked from the site crawl of Step 1.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage>|null
+   *   The picked pages without shared boilerplate, or NULL if the crawl has
+   *   expired, in which case a form error is set.
+   */
+  protected function getCrawledWebpages(FormStateInterface $form_state): ?array {
+    $crawlId = trim((string) $form_state->getValue('crawl_id'));
+    $urls = preg_split('/\s+/', trim((string) $form_state->getValue('crawl_pages')), -1, PREG_SPLIT_NO_EMPTY);
+    if ($crawlId === '' || !$urls || !$this->siteCrawler) {
+      return [];
+    }
+
+    try {
+      return $this->siteCrawler->getWebpages($crawlId, $urls);
+    }
+    catch (InvalidWizardStateException $e) {
+      $form_state->setErrorByName('crawl_url', $this->t('The site crawl has expired. Please crawl the site again.'));
+      return NULL;
+    }
+  }
+
+  /**
+   * Starts a bulk run from the Step 1 sources.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  protected function submitBulk(FormStateInterface $form_state): void {
+    $fileIds = $this->getDocumentFileIds($form_state);
+    $webpageUrls = $form_state->get('parsed_webpage_urls') ?? [];
+    $contexts = array_values(array_filter($form_state->getValue('ai_contexts') ?? []));
+    $templateId = $form_state->getValue('canvas_page') ?: NULL;
+
+    try {
+      $run = $this->bulkManager->createRun($fileIds, $webpageUrls, $contexts, $templateId !== NULL ? (string) $templateId : NULL);
+    }
+    catch (\Exception $e) {
+      $this->messenger()->addError($this->t('Failed to start the bulk run: @error', [
+        '@error' => $e->getMessage(),
+      ]));
+      $form_state->setRebuild();
+      return;
+    }
+
+    $this->messenger()->addStatus($this->formatPlural(
+      count($run->items),
+      '1 content source will be processed.',
+      '@count content sources will be processed.'
+    ));
+
+    // AJAX submissions are redirected by ajaxCallback().
+    if ($this->getRequest()->request->has(FormBuilderInterface::AJAX_FORM_REQUEST)) {
+      $form_state->set('bulk_run_id', $run->id);
+      $form_state->setRebuild();
+      return;
+    }
+    $form_state->setRedirect('ai_content_preparation_wizard.bulk_dashboard', ['run_id' => $run->id]);
+  }
+
+  /**
+   * Submit handler to regenerate plan.
+   */
+  public function regeneratePlan(array &$form, FormStateInterface $form_state): void {
+    // Always stay on step 2 when regenerating.
+    $form_state->set('step', 2);
+    // Also set in user input to ensure persistence across rebuild.
+    $input = $form_state->getUserInput();
+    $input['wizard_step'] = 2;
+    $form_state->setUserInput($input);
+
+    // Get refinement text from the named field.
+    $refinement = $form_state->getValue('refinement');
+    if (!$refinement || !$this->planGenerator) {
+      $this->messenger()->addWarning($this->t('Please enter refinement instructions.'));
+      $form_state->setRebuild();
+      return;
+    }
+
+    $session = $this->sessionManager->getSession();
+    if (!$session) {
+      $this->messenger()->addError($this->t('No active session found.'));
+      $form_state->setRebuild();
+      return;
+    }
+
+    $plan = $session->getContentPlan();
+    if (!$plan) {
+      $this->messenger()->addError($this->t('No plan to refine.'));
+      $form_state->setRebuild();
+      return;
+    }
+
+    try {
+      // The session counts refinements across reverts to earlier versions.
+      $max = $this->planGenerator->getMaxRefinementIterations();
+      if ($session->getRefinementCount() >= $max) {
+        throw new PlanGenerationException(sprintf('Plan has reached maximum refinement iterations (%d).', $max));
+      }
+
+      // Get the selected contexts from session to apply during refinement.
+      $contexts = $session->getSelectedContexts();
+      $refinedPlan = $this->planGenerator->refine($plan, $refinement, $contexts);
+      $session->setContentPlan($refinedPlan);
+      $this->sessionManager->updateSession($session);
+      $this->messenger()->addStatus($this->t('Plan has been updated.'));
+    }
+    catch (\Exception $e) {
+      $this->messenger()->addError($this->t('Failed to refine plan: @error', [
+        '@error' => $e->getMessage(),
+      ]));
+    }
+
+    // Ensure we stay on step 2 after regeneration.
+    $form_state->set('step', 2);
+    $form_state->setRebuild();
+  }
+
+  /**
+   * Submit handler to go back.
+   */
+  public function goBack(array &$form, FormStateInterface $form_state): void {
+    $currentStep = $form_state->get('step') ?? 1;
+    if ($currentStep > 1) {
+      $form_state->set('step', $currentStep - 1);
+    }
+    $form_state->setRebuild();
+  }
+
+  /**
+   * AJAX callback returning the component mapping editor.
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return array
+   *   The component mapping section render array.
+   */
+  public function mappingEditorAjaxCallback(array &$form, FormStateInterface $form_state): array {
+    $element = $form['step2']['split_layout']['plan_panel']['component_mapping'];
+    $element['messages'] = [
+      '#type' => 'status_messages',
+      '#weight' => -100,
+    ];
+    return $element;
+  }
+
+  /**
+   * Submit handler storing the mappings of the editor.
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  public function rebuildMappingEditor(array &$form, FormStateInterface $form_state): void {
+    $plan = $this->sessionManager->getSession()?->getContentPlan();
+    if ($plan !== NULL) {
+      $this->setEditorMappings($form_state, $this->collectMappings($plan, $form_state));
+    }
+    $form_state->setRebuild();
+  }
+
+  /**
+   * Submit handler applying a preset to the mappings of the editor.
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  public function applyMappingPreset(array &$form, FormStateInterface $form_state): void {
+    $plan = $this->sessionManager->getSession()?->getContentPlan();
+    $preset = $this->mappingManager->getPreset((string) $form_state->getValue('mapping_preset'));
+    if ($plan !== NULL && $preset !== NULL) {
+      $this->setEditorMappings($form_state, $preset->resolve($plan));
+      $this->messenger()->addStatus($this->t('The preset "@label" was applied.', ['@label' => $preset->label]));
+    }
+    $form_state->setRebuild();
+  }
+
+  /**
+   * Submit handler saving the mappings of the editor as a preset.
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  public function saveMappingPreset(array &$form, FormStateInterface $form_state): void {
+    $form_state->setRebuild();
+    $plan = $this->sessionManager->getSession()?->getContentPlan();
+    if ($plan === NULL) {
+      return;
+    }
+
+    $mappings = $this->collectMappings($plan, $form_state);
+    $this->setEditorMappings($form_state, $mappings);
 
-    // Go to step 2.
-    $form_state->set('step', 2);
-    // Also set in user input to ensure persistence across AJAX rebuild.
-    $input = $form_state->getUserInput();
-    $input['wizard_step'] = 2;
-    $form_state->setUserInput($input);
+    $label = trim((string) $form_state->getValue('preset_label'));
+    if ($label === '') {
+      $this->messenger()->addError($this->t('Enter a name for the preset.'));
+      return;
+    }
+    if (empty($mappings)) {
+      $this->messenger()->addError($this->t('Map at least one section to a component before saving a preset.'));
+      return;
+    }
+
+    $this->mappingManager->savePreset($label, $this->getMappingTemplateId(), $plan, $mappings);
+    $this->messenger()->addStatus($this->t('The preset "@label" was saved.', ['@label' => $label]));
+  }
+
+  /**
+   * Submit handler deleting the selected preset.
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  public function deleteMappingPreset(array &$form, FormStateInterface $form_state): void {
+    $preset = $this->mappingManager->getPreset((string) $form_state->getValue('mapping_preset'));
+    if ($preset !== NULL) {
+      $this->mappingManager->deletePreset($preset->id);
+      $this->messenger()->addStatus($this->t('The preset "@label" was deleted.', ['@label' => $preset->label]));
+    }
     $form_state->setRebuild();
   }
 
   /**
-   * Submit handler to regenerate plan.
+   * Gets the mappings the component mapping editor is built with.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping>
+   *   The mappings set by a submit handler of this request, else those of
+   *   the submitted editor, keyed by section ID.
    */
-  public function regeneratePlan(array &$form, FormStateInterface $form_state): void {
-    // Always stay on step 2 when regenerating.
-    $form_state->set('step', 2);
-    // Also set in user input to ensure persistence across rebuild.
+  protected function getEditorMappings(FormStateInterface $form_state): array {
+    if ($form_state->has('component_mappings')) {
+      return $form_state->get('component_mappings');
+    }
+
+    $state = Json::decode((string) ($form_state->getUserInput()['component_mapping_state'] ?? ''));
+    $mappings = [];
+    foreach (is_array($state) ? $state : [] as $data) {
+      try {
+        $mapping = ComponentMapping::fromArray(is_array($data) ? $data : []);
+        $mappings[$mapping->sectionId] = $mapping;
+      }
+      catch (\InvalidArgumentException | \TypeError $e) {
+        // Invalid mappings are left to the editor to choose again.
+      }
+    }
+    return $mappings;
+  }
+
+  /**
+   * Stores the mappings of the editor and resets its submitted values.
+   *
+   * The rebuilt editor offers props and slots for the chosen components, so
+   * its elements take their values from the stored mappings.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   The mappings, keyed by section ID.
+   */
+  protected function setEditorMappings(FormStateInterface $form_state, array $mappings): void {
+    $form_state->set('component_mappings', $mappings);
+
     $input = $form_state->getUserInput();
-    $input['wizard_step'] = 2;
+    unset($input['component_mappings'], $input['preset_label']);
     $form_state->setUserInput($input);
+  }
 
-    // Get refinement text from the named field.
-    $refinement = $form_state->getValue('refinement');
-    if (!$refinement || !$this->planGenerator) {
-      $this->messenger()->addWarning($this->t('Please enter refinement instructions.'));
-      $form_state->setRebuild();
-      return;
+  /**
+   * Collects the mappings submitted in the editor.
+   *
+   * A section whose component changed gets the suggested props of the new
+   * component.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping>
+   *   The mappings, keyed by section ID.
+   */
+  protected function collectMappings(ContentPlan $plan, FormStateInterface $form_state): array {
+    $values = $form_state->getValue('component_mappings');
+    $previous = $this->getEditorMappings($form_state);
+    $mappings = [];
+    foreach ($plan->sections as $section) {
+      $this->collectSectionMapping($section, is_array($values) ? $values : [], $previous, $mappings);
     }
+    return $mappings;
+  }
 
-    $session = $this->sessionManager->getSession();
-    if (!$session) {
-      $this->messenger()->addError($this->t('No active session found.'));
-      $form_state->setRebuild();
-      return;
-    }
+  /**
+   * Collects the submitted mapping of a section and its children.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The plan section.
+   * @param array<string, array<string, mixed>> $values
+   *   The submitted editor values, keyed by section ID.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $previous
+   *   The mappings the editor was built with, keyed by section ID.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   Receives the mappings, keyed by section ID.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ComponentMapping|null $parent
+   *   The mapping of the parent section, if it has one.
+   */
+  protected function collectSectionMapping(PlanSection $section, array $values, array $previous, array &$mappings, ?ComponentMapping $parent = NULL): void {
+    $sectionValues = $values[$section->id] ?? [];
+    $componentId = (string) ($sectionValues['component'] ?? '');
+    $mapping = NULL;
+
+    if ($componentId !== '') {
+      $old = $previous[$section->id] ?? NULL;
+      if ($old === NULL || $old->componentType !== $componentId) {
+        $fieldMappings = $this->mappingManager->suggestFieldMappings($componentId);
+      }
+      else {
+        $fieldMappings = [];
+        foreach ($sectionValues['props'] ?? [] as $source => $prop) {
+          if ((string) $prop !== '') {
+            $fieldMappings[(string) $prop] = (string) $source;
+          }
+        }
+      }
 
-    $plan = $session->getContentPlan();
-    if (!$plan) {
-      $this->messenger()->addError($this->t('No plan to refine.'));
-      $form_state->setRebuild();
-      return;
-    }
+      // The slot must exist in the component the parent is mapped to now.
+      $region = NULL;
+      if ($parent !== NULL) {
+        $slots = $this->mappingManager->getSlotOptions($parent->componentType);
+        $slot = (string) ($sectionValues['slot'] ?? $old?->region ?? '');
+        $region = isset($slots[$slot]) ? $slot : $this->getDefaultSlot($slots);
+      }
 
-    try {
-      // Get the selected contexts from session to apply during refinement.
-      $contexts = $session->getSelectedContexts();
-      $refinedPlan = $this->planGenerator->refine($plan, $refinement, $contexts);
-      $session->setContentPlan($refinedPlan);
-      $this->sessionManager->updateSession($session);
-      $this->messenger()->addStatus($this->t('Plan has been updated.'));
+      $mapping = new ComponentMapping(
+        id: $old?->id ?? 'mapping_' . bin2hex(random_bytes(6)),
+        sectionId: $section->id,
+        componentType: $componentId,
+        componentBundle: '',
+        fieldMappings: $fieldMappings,
+        weight: $section->order,
+        parentMappingId: $parent?->id,
+        region: $region,
+      );
+      $mappings[$section->id] = $mapping;
     }
-    catch (\Exception $e) {
-      $this->messenger()->addError($this->t('Failed to refine plan: @error', [
-        '@error' => $e->getMessage(),
-      ]));
+
+    foreach ($section->children as $child) {
+      $this->collectSectionMapping($child, $values, $previous, $mappings, $mapping);
     }
+  }
 
-    // Ensure we stay on step 2 after regeneration.
-    $form_state->set('step', 2);
-    $form_state->setRebuild();
+  /**
+   * Gets the slot children are placed in by default.
+   *
+   * @param array<string, string> $slots
+   *   The slots of the parent component, keyed by slot name.
+   *
+   * @return string|null
+   *   The "content" slot if the component has one, else its first slot, or
+   *   NULL if it has no slots.
+   */
+  protected function getDefaultSlot(array $slots): ?string {
+    return isset($slots['content']) ? 'content' : array_key_first($slots);
   }
 
   /**
-   * Submit handler to go back.
+   * Gets the template the mapping presets belong to.
+   *
+   * @return string
+   *   The ID of the template selected in step 1, or an empty string.
    */
-  public function goBack(array &$form, FormStateInterface $form_state): void {
-    $currentStep = $form_state->get('step') ?? 1;
-    if ($currentStep > 1) {
-      $form_state->set('step', $currentStep - 1);
-    }
-    $form_state->setRebuild();
+  protected function getMappingTemplateId(): string {
+    return (string) ($this->sessionManager->getSession()?->getTemplateId() ?? '');
   }
 
   /**
@@ -1106,15 +2979,32 @@ final class ContentPreparationWizardForm extends FormBase {
       }
     }
 
-    // Skip validation for step 2 buttons (back, regenerate, create).
+    if ($step === 2 && $triggerName === 'create_page') {
+      $this->validateCreatePage($form, $form_state);
+      return;
+    }
+
+    // Skip validation for other step 2 buttons (back, regenerate).
     if ($step >= 2 || str_contains($triggerName, 'back') || str_contains($triggerName, 'regenerate') || str_contains($triggerName, 'create')) {
       return;
     }
 
     // Only validate step 1 fields when on step 1.
     if ($step === 1 && str_contains($triggerName, 'next')) {
-      $documents = $form_state->getValue('documents');
-      $hasDocuments = !empty(array_filter($documents ?? []));
+      if ($form_state->getValue('target_page') && $form_state->getValue('mode') === 'bulk') {
+        $form_state->setErrorByName('target_page', $this->t('Existing pages cannot be updated in bulk mode.'));
+        return;
+      }
+
+      // An imported plan needs no content sources.
+      $planFileIds = array_filter((array) ($form_state->getValue('plan_file') ?? []));
+      if ($planFileIds && $this->planSerializer) {
+        $this->validatePlanImport($form_state, (int) reset($planFileIds));
+        return;
+      }
+
+      $fileIds = $this->getDocumentFileIds($form_state);
+      $hasDocuments = !empty($fileIds);
 
       // Parse and validate webpage URLs.
       $webpageUrlsRaw = trim($form_state->getValue('webpage_urls') ?? '');
@@ -1133,6 +3023,16 @@ final class ContentPreparationWizardForm extends FormBase {
           }
         }
       }
+
+      // Pages picked from a site crawl count as webpages, too.
+      $crawledWebpages = $this->getCrawledWebpages($form_state);
+      if ($crawledWebpages === NULL) {
+        return;
+      }
+      foreach ($crawledWebpages as $webpage) {
+        $webpageUrls[] = $webpage->url;
+      }
+      $webpageUrls = array_values(array_unique($webpageUrls));
       $hasWebpages = !empty($webpageUrls);
 
       // Require at least one content source.
@@ -1140,8 +3040,59 @@ final class ContentPreparationWizardForm extends FormBase {
         $form_state->setErrorByName('documents', $this->t('Please upload at least one document or enter at least one webpage URL.'));
       }
 
+      $sourceCount = count($fileIds) + count(array_unique($webpageUrls));
+      if ($form_state->getValue('mode') === 'bulk' && $sourceCount > BulkWizardManagerInterface::MAX_ITEMS) {
+        $form_state->setErrorByName('documents', $this->t('Bulk mode supports at most @max documents and URLs per run.', [
+          '@max' => BulkWizardManagerInterface::MAX_ITEMS,
+        ]));
+      }
+
       // Store parsed URLs for submit handler.
       $form_state->set('parsed_webpage_urls', $webpageUrls);
+      $form_state->set('crawled_webpages', $crawledWebpages);
+    }
+  }
+
+  /**
+   * Validates the plan before the page is created from it.
+   *
+   * Runs the checks of the Step 2 quality panel on the server, with the edits
+   * of the editor applied. Quality issues never block the creation; they are
+   * kept in the form state and shown as warnings by submitForm().
+   *
+   * @param array $form
+   *   The form array.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  protected function validateCreatePage(array &$form, FormStateInterface $form_state): void {
+    $session = $this->sessionManager->getSession();
+    $plan = $session?->getContentPlan();
+    if (!$plan) {
+      // The submit handler reports the missing session or plan.
+      return;
+    }
+    $plan = $this->applyUserEditsToplan($plan, $form_state);
+
+    // The title of an updated page is kept.
+    if (!$this->loadTargetPage($session)) {
+      $pageTitle = trim((string) ($form_state->getValue('page_title') ?: ($form_state->getUserInput()['page_title'] ?? '')));
+      if ($pageTitle === '') {
+        $pageTitle = $plan->title;
+      }
+      if (mb_strlen($pageTitle) > 255) {
+        $form_state->setErrorByName('page_title', $this->t('Page title cannot exceed 255 characters.'));
+      }
+      $plan = $plan->withTitle($pageTitle);
+    }
+
+    if (empty($plan->sections)) {
+      $form_state->setError($form, $this->t('The content plan has no sections. Please go back and generate a valid plan.'));
+    }
+
+    if ($this->qualityAnalyzer && !$form_state->hasAnyErrors()) {
+      $analysis = $this->qualityAnalyzer->analyze($plan);
+      $form_state->set('quality_issues', array_column($analysis['issues'], 'message'));
     }
   }
 
@@ -1197,6 +3148,28 @@ final class ContentPreparationWizardForm extends FormBase {
     $session->setContentPlan($plan);
     $this->sessionManager->updateSession($session);
 
+    // Plans that need an approval are only created in the approved version.
+    if ($this->planReviewManager && !$this->planReviewManager->isCreationAllowed($plan)) {
+      $this->messenger()->addError($this->getReviewRequiredMessage());
+      $form_state->setRebuild();
+      return;
+    }
+    if ($this->planReviewManager?->getSessionReview()?->approves($plan)) {
+      $plan = $plan->withStatus(PlanStatus::APPROVED);
+    }
+
+    // Quality issues found by validateCreatePage().
+    foreach ($form_state->get('quality_issues') ?? [] as $message) {
+      $this->messenger()->addWarning($message);
+    }
+
+    // Changes to an existing page are reviewed before the page is updated.
+    if ($this->loadTargetPage($session)) {
+      $form_state->set('page_update_review', TRUE);
+      $form_state->setRebuild();
+      return;
+    }
+
     try {
       // Get page title from form, fall back to plan title.
       $pageTitle = $form_state->getValue('page_title');
@@ -1210,6 +3183,23 @@ final class ContentPreparationWizardForm extends FormBase {
         'alias' => $form_state->getValue('url_alias') ?: NULL,
         'status' => (bool) $form_state->getValue('status'),
       ];
+      // Moderation state and revision log of the basic_editorial workflow.
+      if ($this->planReviewManager) {
+        $options += $this->planReviewManager->getModerationOptions($plan, $options['status']);
+      }
+
+      // Place the sections in the components chosen in the mapping editor.
+      // Without any, the preset selected in the editor is applied.
+      if ($this->mappingManager) {
+        $mappings = $this->collectMappings($plan, $form_state);
+        $preset = $this->mappingManager->getPreset((string) $form_state->getValue('mapping_preset'));
+        if (empty($mappings) && $preset !== NULL) {
+          $mappings = $preset->resolve($plan);
+        }
+        if (!empty($mappings)) {
+          $options['component_mappings'] = $mappings;
+        }
+      }
 
       // Get the template ID from the session (selected in step 1).
       $templateId = $session->getTemplateId();
@@ -1229,6 +3219,12 @@ final class ContentPreparationWizardForm extends FormBase {
         ]));
       }
 
+      // Keep the session while translations of the page can be retried.
+      if ($this->planTranslationManager && !$this->addPageTranslations($page, $plan, $form_state)) {
+        $form_state->setRebuild();
+        return;
+      }
+
       $this->sessionManager->clearSession();
 
       // Redirect to the created page.
@@ -1252,6 +3248,173 @@ final class ContentPreparationWizardForm extends FormBase {
     }
   }
 
+  /**
+   * Adds the translations selected in Step 2 to a created page.
+   *
+   * Edits from the side-by-side review are applied to the translated
+   * variants first.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The created Canvas page.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan the page was created from.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return bool
+   *   TRUE if all translations were added, FALSE if any of them failed.
+   */
+  protected function addPageTranslations(EntityInterface $page, ContentPlan $plan, FormStateInterface $form_state): bool {
+    $langcodes = array_map('strval', array_keys(array_filter((array) ($form_state->getValue('translation_languages') ?? []))));
+    $userInput = $form_state->getUserInput();
+    foreach ((array) ($userInput['plan_translations'] ?? []) as $langcode => $edits) {
+      if (is_array($edits) && in_array((string) $langcode, $langcodes, TRUE)) {
+        $this->planTranslationManager->applyEdits((string) $langcode, $edits);
+      }
+    }
+
+    $languages = $this->planTranslationManager->getTargetLanguages();
+    $session = $this->sessionManager->getSession();
+    foreach ($langcodes as $langcode) {
+      if ($session?->getPlanTranslation($langcode)?->isOutdated($plan)) {
+        $this->messenger()->addWarning($this->t('The plan was changed after it was translated to @language. Review the @language translation of the page.', [
+          '@language' => $languages[$langcode] ?? $langcode,
+        ]));
+      }
+    }
+
+    $complete = TRUE;
+    foreach ($this->planTranslationManager->createPageTranslations($page, $plan, $langcodes) as $langcode => $translation) {
+      if ($translation->status === TranslationStatus::CREATED) {
+        $this->messenger()->addStatus($this->t('The @language translation has been added to the page.', [
+          '@language' => $languages[$langcode] ?? $langcode,
+        ]));
+      }
+      else {
+        $complete = FALSE;
+        $this->messenger()->addError($this->t('The @language translation could not be added: @error', [
+          '@language' => $languages[$langcode] ?? $langcode,
+          '@error' => $translation->error ?? $this->t('Unknown error'),
+        ]));
+      }
+    }
+
+    return $complete;
+  }
+
+  /**
+   * Form submission handler for finishing the wizard with failed translations.
+   */
+  public function finishTranslations(array &$form, FormStateInterface $form_state): void {
+    $page = $this->planTranslationManager?->getCreatedPage();
+    $this->sessionManager->clearSession();
+
+    if ($page) {
+      $form_state->setRedirectUrl($page->toUrl());
+    }
+    else {
+      $form_state->setRedirect('ai_content_preparation_wizard.wizard');
+    }
+  }
+
+  /**
+   * Form submission handler for updating the page with the accepted changes.
+   */
+  public function submitPageUpdate(array &$form, FormStateInterface $form_state): void {
+    $session = $this->sessionManager->getSession();
+    $plan = $session?->getContentPlan();
+    $page = $this->loadTargetPage($session);
+    if (!$plan || !$page) {
+      $this->messenger()->addError($this->t('The page to update or its content plan is not available anymore.'));
+      $form_state->setRebuild();
+      return;
+    }
+
+    if ($this->planReviewManager && !$this->planReviewManager->isCreationAllowed($plan)) {
+      $this->messenger()->addError($this->getReviewRequiredMessage());
+      $form_state->setRebuild();
+      return;
+    }
+
+    $accepted = array_map('strval', array_keys(array_filter((array) ($form_state->getValue('accepted_changes') ?? []))));
+    try {
+      $count = $this->pageUpdater->update($page, $plan, $accepted);
+    }
+    catch (InvalidWizardStateException $e) {
+      $this->messenger()->addError($e->getMessage());
+      $form_state->setRebuild();
+      return;
+    }
+    catch (CanvasCreationException $e) {
+      $this->messenger()->addError($this->t('Failed to update Canvas page: @error', [
+        '@error' => $e->getMessage(),
+      ]));
+      foreach ($e->validationErrors ?? [] as $validationError) {
+        $this->messenger()->addError($validationError);
+      }
+      $form_state->setRebuild();
+      return;
+    }
+
+    if ($count === 0) {
+      $this->messenger()->addStatus($this->t('No changes were applied to the page "@title".', [
+        '@title' => $page->label(),
+      ]));
+    }
+    else {
+      $this->messenger()->addStatus($this->formatPlural(
+        $count,
+        '1 section of the page "@title" has been updated.',
+        '@count sections of the page "@title" have been updated.',
+        ['@title' => $page->label()]
+      ));
+    }
+
+    $this->sessionManager->clearSession();
+    $form_state->setRedirectUrl($page->toUrl());
+  }
+
+  /**
+   * Form submission handler for returning from the page update review.
+   */
+  public function cancelPageUpdate(array &$form, FormStateInterface $form_state): void {
+    $form_state->set('page_update_review', FALSE);
+    $form_state->setRebuild();
+  }
+
+  /**
+   * Checks whether the changes to the page being updated are under review.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return bool
+   *   TRUE if the review was opened, in this request or a previous one.
+   */
+  protected function isPageUpdateReview(FormStateInterface $form_state): bool {
+    return $form_state->get('page_update_review') ?? !empty($form_state->getUserInput()['page_update_review']);
+  }
+
+  /**
+   * Loads the page selected in Step 1 to be updated.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\WizardSession|null $session
+   *   The wizard session.
+   *
+   * @return \Drupal\Core\Entity\EntityInterface|null
+   *   The page, or NULL if a new page is created or the page cannot be
+   *   updated anymore.
+   */
+  protected function loadTargetPage(?WizardSession $session): ?EntityInterface {
+    $pageId = $session?->getTargetPageId();
+    if ($pageId === NULL || !$this->pageUpdater) {
+      return NULL;
+    }
+
+    $page = $this->entityTypeManager->getStorage('canvas_page')->load($pageId);
+    return $page && $page->access('update') ? $page : NULL;
+  }
+
   /**
    * Applies user edits from step 2 form to the content plan.
    *
@@ -1276,6 +3439,13 @@ final class ContentPreparationWizardForm extends FormBase {
       $plan = $plan->withTitle($newTitle);
     }
 
+    // Sections managed client-side carry their full order and structure,
+    // including added, split, merged and deleted sections.
+    $restructuredPlan = $this->applySectionStructure($plan, $form_state);
+    if ($restructuredPlan !== $plan) {
+      return $restructuredPlan;
+    }
+
     // Update section component types and content if changed.
     $sectionsData = $form_state->getValue('sections') ?? [];
     if (empty($sectionsData) && isset($userInput['sections'])) {
@@ -1317,9 +3487,16 @@ final class ContentPreparationWizardForm extends FormBase {
             $newComponentType,
             $section->order,
             $section->componentConfig,
-            $section->children
+            $section->children,
+            $section->sourceSpans,
+            $section->images
           );
         }
+
+        // Images swapped or removed in the image picker.
+        if (isset($sectionsData[$sectionId]['images']) && is_array($sectionsData[$sectionId]['images'])) {
+          $section = $section->withImages($plan->getImages($sectionsData[$sectionId]['images']));
+        }
         $updatedSections[] = $section;
       }
       $plan = $plan->withSections($updatedSections);
@@ -1519,6 +3696,10 @@ final class ContentPreparationWizardForm extends FormBase {
       return $this->t('Not configured')->render();
     }
 
+    if ($providerId === FixtureAiProviderInterface::PROVIDER_ID) {
+      return $this->t('Offline fixtures')->render();
+    }
+
     // Try to get provider label from plugin manager.
     $providerLabel = $providerId;
     if ($this->aiProviderManager !== NULL) {
@@ -0,0 +1,86 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Form;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\Core\Form\FormStateInterface;
+
+/**
+ * Applies the section structure posted by the Step 2 section manager.
+ *
+ * The section manager (js/section-manager.js) adds 'weight' and 'title'
+ * inputs to every section so that reordered, added, split, merged and
+ * deleted sections can be reconstructed on submit.
+ */
+trait SectionStructureFormTrait {
+
+  /**
+   * Applies the submitted section structure to a content plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
+   *   The restructured plan, or the original plan if no structure was posted.
+   */
+  protected function applySectionStructure(ContentPlan $plan, FormStateInterface $form_state): ContentPlan {
+    $structure = $this->extractSectionStructure($form_state->getUserInput()['sections'] ?? []);
+    if ($structure === NULL) {
+      return $plan;
+    }
+
+    return $plan->withEditorSections($plan->withSectionStructure($structure)->sections);
+  }
+
+  /**
+   * Extracts the ordered section structure from submitted section values.
+   *
+   * @param mixed $sections_input
+   *   The raw 'sections' user input, keyed by section ID.
+   *
+   * @return array<array<string, mixed>>|null
+   *   The ordered section entries, or NULL if the input does not carry a
+   *   complete structure (e.g. JavaScript was unavailable).
+   */
+  protected function extractSectionStructure(mixed $sections_input): ?array {
+    if (!is_array($sections_input) || empty($sections_input)) {
+      return NULL;
+    }
+
+    $structure = [];
+    foreach ($sections_input as $id => $values) {
+      if (!is_array($values) || !isset($values['weight']) || !is_numeric($values['weight'])) {
+        return NULL;
+      }
+
+      $entry = [
+        'id' => (string) $id,
+        'weight' => (int) $values['weight'],
+      ];
+      if (isset($values['title']) && is_string($values['title'])) {
+        $entry['title'] = trim($values['title']);
+      }
+      if (isset($values['content']) && is_string($values['content'])) {
+        $entry['content'] = trim($values['content']);
+      }
+      if (isset($values['component_type']) && is_string($values['component_type'])) {
+        $entry['component_type'] = $values['component_type'];
+      }
+      // The image picker always posts an empty marker, so removing the last
+      // image is not mistaken for an untouched section.
+      if (isset($values['images']) && is_array($values['images'])) {
+        $entry['images'] = array_values(array_filter($values['images'], fn($image_id): bool => is_string($image_id) && $image_id !== ''));
+      }
+      $structure[] = $entry;
+    }
+
+    usort($structure, fn(array $a, array $b): int => $a['weight'] <=> $b['weight']);
+
+    return $structure;
+  }
+
+}
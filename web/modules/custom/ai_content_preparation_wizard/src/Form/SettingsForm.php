@@ -5,8 +5,10 @@ declare(strict_types=1);
 namespace Drupal\ai_content_preparation_wizard\Form;
 
 use Drupal\ai\AiProviderPluginManager;
+use Drupal\ai_content_preparation_wizard\Service\FixtureAiProviderInterface;
 use Drupal\Core\Config\ConfigFactoryInterface;
 use Drupal\Core\Config\TypedConfigManagerInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Core\Form\ConfigFormBase;
 use Drupal\Core\Form\FormStateInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
@@ -23,6 +25,13 @@ class SettingsForm extends ConfigFormBase {
    */
   protected AiProviderPluginManager $aiProviderManager;
 
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected EntityTypeManagerInterface $entityTypeManager;
+
   /**
    * Constructs a SettingsForm object.
    *
@@ -32,14 +41,18 @@ class SettingsForm extends ConfigFormBase {
    *   The typed configuration manager.
    * @param \Drupal\ai\AiProviderPluginManager $ai_provider_manager
    *   The AI provider plugin manager.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
    */
   public function __construct(
     ConfigFactoryInterface $config_factory,
     TypedConfigManagerInterface $typed_config_manager,
     AiProviderPluginManager $ai_provider_manager,
+    EntityTypeManagerInterface $entity_type_manager,
   ) {
     parent::__construct($config_factory, $typed_config_manager);
     $this->aiProviderManager = $ai_provider_manager;
+    $this->entityTypeManager = $entity_type_manager;
   }
 
   /**
@@ -50,6 +63,7 @@ class SettingsForm extends ConfigFormBase {
       $container->get('config.factory'),
       $container->get('config.typed'),
       $container->get('ai.provider'),
+      $container->get('entity_type.manager'),
     );
   }
 
@@ -114,6 +128,28 @@ class SettingsForm extends ConfigFormBase {
       '#required' => TRUE,
     ];
 
+    $media_type_options = $this->getImageMediaTypeOptions();
+    $form['document_processing']['extract_images'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Extract images from documents'),
+      '#description' => $this->t('Save images embedded in DOCX and PDF files as media with AI generated alt text, so they can be placed in the content plan. Alt text uses the prompt and model of the AI Image Alt Text settings. Requires the Media module; PDF images require pdfimages (poppler-utils).'),
+      '#default_value' => $config->get('extract_images') ?? TRUE,
+      '#disabled' => empty($media_type_options),
+    ];
+
+    $form['document_processing']['image_media_type'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Media type of extracted images'),
+      '#options' => $media_type_options,
+      '#default_value' => $config->get('image_media_type') ?? 'image',
+      '#access' => !empty($media_type_options),
+      '#states' => [
+        'visible' => [
+          ':input[name="extract_images"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
     // AI Settings.
     $form['ai_settings'] = [
       '#type' => 'details',
@@ -137,6 +173,53 @@ class SettingsForm extends ConfigFormBase {
       '#default_value' => $config->get('default_ai_model') ?? '',
     ];
 
+    $form['ai_settings']['context_window'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Context window'),
+      '#description' => $this->t('The number of tokens the default AI model accepts, as listed by its provider. The wizard estimates the size of the plan prompt against it and offers to summarize or split documents that do not fit.'),
+      '#default_value' => $config->get('context_window') ?? 128000,
+      '#min' => 4000,
+      '#max' => 10000000,
+      '#field_suffix' => $this->t('tokens'),
+    ];
+
+    // The fixture provider answers without network access or API keys, for
+    // development, demos and tests.
+    $fixtureStates = [
+      'visible' => [
+        ':input[name="default_ai_provider"]' => ['value' => FixtureAiProviderInterface::PROVIDER_ID],
+      ],
+    ];
+
+    $form['ai_settings']['fixture_directory'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Recorded responses directory'),
+      '#description' => $this->t('Directory with recorded responses, as a path relative to the Drupal root, an absolute path or a stream wrapper URI such as private://fixtures. A response is replayed from the file named after the request, such as generate-3f2a9c0d1e4b5a6f.json, or from the file of its request type: generate.json, refine.json, refine_section.json, translate.json or summarize.md. Requests without a recording get plans built from the headings of the documents. Leave empty to always build them.'),
+      '#default_value' => $config->get('fixture_directory') ?? '',
+      '#states' => $fixtureStates,
+    ];
+
+    $form['ai_settings']['fixture_latency'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Simulated latency'),
+      '#description' => $this->t('Time every fixture response is delayed by, to try progress and cancellation.'),
+      '#default_value' => $config->get('fixture_latency') ?? 0,
+      '#min' => 0,
+      '#max' => 60000,
+      '#field_suffix' => $this->t('milliseconds'),
+      '#states' => $fixtureStates,
+    ];
+
+    $form['ai_settings']['ai_request_timeout'] = [
+      '#type' => 'number',
+      '#title' => $this->t('AI request timeout'),
+      '#description' => $this->t('Maximum time in seconds the wizard waits for plan generation, refinement and section rewrites before giving up.'),
+      '#default_value' => $config->get('ai_request_timeout') ?? 300,
+      '#min' => 30,
+      '#max' => 1800,
+      '#field_suffix' => $this->t('seconds'),
+    ];
+
     // Session Settings.
     $form['session_settings'] = [
       '#type' => 'details',
@@ -241,6 +324,20 @@ class SettingsForm extends ConfigFormBase {
       ],
     ];
 
+    // Review Settings.
+    $form['review_settings'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Plan Review'),
+      '#open' => TRUE,
+    ];
+
+    $form['review_settings']['require_plan_approval'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Require approval before page creation'),
+      '#description' => $this->t('Pages can only be created from plans that a user with the "Review content plans" permission has approved through the review link.'),
+      '#default_value' => $config->get('require_plan_approval') ?? FALSE,
+    ];
+
     return parent::buildForm($form, $form_state);
   }
 
@@ -366,11 +463,18 @@ class SettingsForm extends ConfigFormBase {
       ->set('enable_logging', (bool) $form_state->getValue('enable_logging'))
       ->set('max_file_size', (int) $form_state->getValue('max_file_size'))
       ->set('allowed_extensions', $form_state->getValue('allowed_extensions'))
+      ->set('extract_images', (bool) $form_state->getValue('extract_images'))
+      ->set('image_media_type', $form_state->getValue('image_media_type') ?? 'image')
       ->set('default_ai_provider', $form_state->getValue('default_ai_provider'))
       ->set('default_ai_model', $form_state->getValue('default_ai_model'))
+      ->set('context_window', (int) $form_state->getValue('context_window'))
+      ->set('fixture_directory', trim((string) $form_state->getValue('fixture_directory')))
+      ->set('fixture_latency', (int) $form_state->getValue('fixture_latency'))
+      ->set('ai_request_timeout', (int) $form_state->getValue('ai_request_timeout'))
       ->set('session_timeout', (int) $form_state->getValue('session_timeout'))
       ->set('enable_refinement', (bool) $form_state->getValue('enable_refinement'))
       ->set('max_refinement_iterations', (int) $form_state->getValue('max_refinement_iterations'))
+      ->set('require_plan_approval', (bool) $form_state->getValue('require_plan_approval'))
       ->set('webpage_processor_mode', $form_state->getValue('webpage_processor_mode'))
       ->set('webpage_processor_binary', $form_state->getValue('webpage_processor_binary'))
       ->set('webpage_processor_arguments', $form_state->getValue('webpage_processor_arguments'))
@@ -401,6 +505,31 @@ class SettingsForm extends ConfigFormBase {
       // This allows the form to still load even if AI module has issues.
     }
 
+    $options[FixtureAiProviderInterface::PROVIDER_ID] = $this->t('Offline fixtures (no network access, for development and tests)');
+
+    return $options;
+  }
+
+  /**
+   * Get the media types extracted images can be saved as.
+   *
+   * @return array
+   *   An array of media type labels keyed by media type ID, empty if the
+   *   Media module is not installed.
+   */
+  protected function getImageMediaTypeOptions(): array {
+    if (!$this->entityTypeManager->hasDefinition('media_type')) {
+      return [];
+    }
+
+    $options = [];
+    /** @var \Drupal\media\MediaTypeInterface $media_type */
+    foreach ($this->entityTypeManager->getStorage('media_type')->loadMultiple() as $id => $media_type) {
+      if ($media_type->getSource()->getPluginId() === 'image') {
+        $options[$id] = $media_type->label();
+      }
+    }
+
     return $options;
   }
 
@@ -15,6 +15,7 @@ use Drupal\Core\Ajax\MessageCommand;
 use Drupal\Core\Ajax\ReplaceCommand;
 use Drupal\Core\Form\FormBase;
 use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Url;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
@@ -25,6 +26,8 @@ use Symfony\Component\DependencyInjection\ContainerInterface;
  */
 class Step2PlanForm extends FormBase {
 
+  use SectionStructureFormTrait;
+
   /**
    * The wizard session manager.
    *
@@ -202,7 +205,13 @@ class Step2PlanForm extends FormBase {
       '#attributes' => ['class' => ['plan-sections']],
     ];
 
-    $form['plan_preview']['sections']['list'] = $this->buildSectionsList($plan->sections);
+    $form['plan_preview']['sections']['list'] = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['plan-sections-list'],
+        'data-section-manager' => 'true',
+      ],
+    ] + $this->buildSectionsList($plan->sections);
 
     // Refinement history.
     if ($plan->getRefinementCount() > 0) {
@@ -311,6 +320,8 @@ class Step2PlanForm extends FormBase {
 
     // Attach library for styling.
     $form['#attached']['library'][] = 'ai_content_preparation_wizard/step2_plan';
+    $form['#attached']['library'][] = 'ai_content_preparation_wizard/section-manager';
+    $form['#attached']['drupalSettings']['aiContentPreparationWizard']['refineSectionEndpoint'] = Url::fromRoute('ai_content_preparation_wizard.refine_section_json')->toString();
 
     return $form;
   }
@@ -380,6 +391,22 @@ class Step2PlanForm extends FormBase {
         '#attributes' => ['class' => ['section-content-preview']],
       ];
 
+      // Top-level sections can be reordered, split and merged by the section
+      // manager, which needs their content and component type as inputs.
+      if ($depth === 0) {
+        $items[$section_key]['#attributes']['data-section-id'] = $section->id;
+        $items[$section_key]['content_input'] = [
+          '#type' => 'hidden',
+          '#name' => 'sections[' . $section->id . '][content]',
+          '#value' => $section->content,
+        ];
+        $items[$section_key]['component_type_input'] = [
+          '#type' => 'hidden',
+          '#name' => 'sections[' . $section->id . '][component_type]',
+          '#value' => $section->componentType,
+        ];
+      }
+
       // Nested children.
       if ($section->hasChildren()) {
         $items[$section_key]['children'] = $this->buildSectionsList($section->children, $depth + 1);
@@ -449,6 +476,9 @@ class Step2PlanForm extends FormBase {
       return;
     }
 
+    // Keep structural edits made before asking for a refinement.
+    $plan = $this->applySectionStructure($plan, $form_state);
+
     try {
       // Get the selected contexts from session to apply during refinement.
       $contexts = $session->getSelectedContexts();
@@ -551,6 +581,9 @@ class Step2PlanForm extends FormBase {
       $plan = $plan->withTitle($new_title);
     }
 
+    // Apply reordered, added, split, merged and deleted sections.
+    $plan = $this->applySectionStructure($plan, $form_state);
+
     // Set status to approved.
     $plan = $plan->withStatus(PlanStatus::APPROVED);
     $this->sessionManager->setContentPlan($plan);
@@ -6,10 +6,13 @@ namespace Drupal\ai_content_preparation_wizard\Form;
 
 use Drupal\Component\Utility\Html;
 use Drupal\ai_content_preparation_wizard\Enum\PlanStatus;
+use Drupal\ai_content_preparation_wizard\Enum\ReviewStatus;
 use Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException;
 use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
 use Drupal\ai_content_preparation_wizard\Model\PlanSection;
 use Drupal\ai_content_preparation_wizard\Service\CanvasCreatorInterface;
+use Drupal\ai_content_preparation_wizard\Service\ContentQualityAnalyzerInterface;
+use Drupal\ai_content_preparation_wizard\Service\PlanReviewManagerInterface;
 use Drupal\ai_content_preparation_wizard\Service\WizardSessionManagerInterface;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Core\Extension\ModuleHandlerInterface;
@@ -38,12 +41,18 @@ class Step3CreateForm extends FormBase {
    *   The entity type manager.
    * @param \Drupal\Core\Extension\ModuleHandlerInterface $moduleHandler
    *   The module handler service.
+   * @param \Drupal\ai_content_preparation_wizard\Service\ContentQualityAnalyzerInterface $qualityAnalyzer
+   *   The content quality analyzer.
+   * @param \Drupal\ai_content_preparation_wizard\Service\PlanReviewManagerInterface $reviewManager
+   *   The plan review manager.
    */
   public function __construct(
     protected readonly WizardSessionManagerInterface $sessionManager,
     protected readonly CanvasCreatorInterface $canvasCreator,
     protected readonly EntityTypeManagerInterface $entityTypeManager,
     protected readonly ModuleHandlerInterface $moduleHandler,
+    protected readonly ContentQualityAnalyzerInterface $qualityAnalyzer,
+    protected readonly PlanReviewManagerInterface $reviewManager,
   ) {}
 
   /**
@@ -55,6 +64,8 @@ class Step3CreateForm extends FormBase {
       $container->get('ai_content_preparation_wizard.canvas_creator'),
       $container->get('entity_type.manager'),
       $container->get('module_handler'),
+      $container->get('ai_content_preparation_wizard.content_quality_analyzer'),
+      $container->get('ai_content_preparation_wizard.plan_review_manager'),
     );
   }
 
@@ -523,6 +534,26 @@ class Step3CreateForm extends FormBase {
       ];
     }
 
+    // Download links for reviewing the plan offline.
+    $section['download_json'] = [
+      '#type' => 'link',
+      '#title' => $this->t('Download as JSON'),
+      '#url' => Url::fromRoute('ai_content_preparation_wizard.plan_export', ['type' => 'json']),
+      '#attributes' => [
+        'class' => ['button'],
+        'download' => 'download',
+      ],
+    ];
+    $section['download_markdown'] = [
+      '#type' => 'link',
+      '#title' => $this->t('Download as Markdown'),
+      '#url' => Url::fromRoute('ai_content_preparation_wizard.plan_export', ['type' => 'md']),
+      '#attributes' => [
+        'class' => ['button'],
+        'download' => 'download',
+      ],
+    ];
+
     // Back button.
     $section['back'] = [
       '#type' => 'link',
@@ -710,6 +741,22 @@ class Step3CreateForm extends FormBase {
       ]));
     }
 
+    // Check if the plan was approved in a review, if the site requires that.
+    if (!$this->reviewManager->isCreationAllowed($plan->withTitle(trim($title)))) {
+      $review = $this->reviewManager->getSessionReview();
+      if ($review === NULL) {
+        $form_state->setError($form, $this->t('This plan must be approved before the page can be created. Go back and share it for review first.'));
+      }
+      elseif ($review->status === ReviewStatus::APPROVED) {
+        $form_state->setError($form, $this->t('The plan was changed after it was approved. Go back and share the changes for another review.'));
+      }
+      else {
+        $form_state->setError($form, $this->t('This plan must be approved before the page can be created. Review status: @status', [
+          '@status' => $review->status->label(),
+        ]));
+      }
+    }
+
     // Check if plan has sections.
     if (empty($plan->sections)) {
       $form_state->setError($form, $this->t('The content plan has no sections. Please go back and generate a valid plan.'));
@@ -719,6 +766,14 @@ class Step3CreateForm extends FormBase {
     if (!$this->isCanvasAvailable()) {
       $form_state->setError($form, $this->t('Canvas module is not available. Please contact the site administrator.'));
     }
+
+    // Quality issues never block the creation; they are shown as warnings.
+    if (!$form_state->hasAnyErrors()) {
+      $analysis = $this->qualityAnalyzer->analyze($plan->withTitle(trim($title)));
+      foreach ($analysis['issues'] as $issue) {
+        $this->messenger()->addWarning($issue['message']);
+      }
+    }
   }
 
   /**
@@ -757,6 +812,8 @@ class Step3CreateForm extends FormBase {
       'status' => $pageStatus === 'published',
       'owner' => (int) $this->currentUser()->id(),
     ];
+    // Moderation state and revision log of the basic_editorial workflow.
+    $options += $this->reviewManager->getModerationOptions($plan, $options['status']);
 
     try {
       // Update plan status to creating.
@@ -0,0 +1,266 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+use Drupal\ai_content_preparation_wizard\Enum\BulkItemStatus;
+
+/**
+ * Immutable value object representing one document or URL of a bulk run.
+ *
+ * Each item is processed into its own content plan and Canvas page.
+ */
+final class BulkItem {
+
+  /**
+   * Source type of uploaded documents; the source is the file ID.
+   */
+  public const SOURCE_FILE = 'file';
+
+  /**
+   * Source type of webpages; the source is the URL.
+   */
+  public const SOURCE_URL = 'url';
+
+  /**
+   * Constructs a BulkItem object.
+   *
+   * @param string $id
+   *   Unique identifier for this item.
+   * @param string $sourceType
+   *   The source type, self::SOURCE_FILE or self::SOURCE_URL.
+   * @param string $source
+   *   The file ID or URL.
+   * @param string $label
+   *   The human-readable source name, e.g. the file name.
+   * @param \Drupal\ai_content_preparation_wizard\Enum\BulkItemStatus $status
+   *   The processing status.
+   * @param int $updatedAt
+   *   Unix timestamp of the last status change.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan|null $plan
+   *   The generated content plan, if any.
+   * @param string|null $error
+   *   The error message of a failed item.
+   * @param string|null $pageId
+   *   The ID of the created Canvas page.
+   * @param string|null $pageUrl
+   *   The URL of the created Canvas page.
+   * @param int $attempts
+   *   How often the item was retried.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly string $sourceType,
+    public readonly string $source,
+    public readonly string $label,
+    public readonly BulkItemStatus $status = BulkItemStatus::QUEUED,
+    public readonly int $updatedAt = 0,
+    public readonly ?ContentPlan $plan = NULL,
+    public readonly ?string $error = NULL,
+    public readonly ?string $pageId = NULL,
+    public readonly ?string $pageUrl = NULL,
+    public readonly int $attempts = 0,
+  ) {}
+
+  /**
+   * Creates a new instance with an updated status.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Enum\BulkItemStatus $status
+   *   The new status.
+   * @param string|null $error
+   *   The error message for the FAILED status.
+   *
+   * @return self
+   *   A new instance with the updated status.
+   */
+  public function withStatus(BulkItemStatus $status, ?string $error = NULL): self {
+    return new self(
+      $this->id,
+      $this->sourceType,
+      $this->source,
+      $this->label,
+      $status,
+      time(),
+      $this->plan,
+      $error,
+      $this->pageId,
+      $this->pageUrl,
+      $this->attempts,
+    );
+  }
+
+  /**
+   * Creates a new READY instance with the generated plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The generated content plan.
+   *
+   * @return self
+   *   A new instance with the plan.
+   */
+  public function withPlan(ContentPlan $plan): self {
+    return new self(
+      $this->id,
+      $this->sourceType,
+      $this->source,
+      $this->label,
+      BulkItemStatus::READY,
+      time(),
+      $plan,
+      NULL,
+      $this->pageId,
+      $this->pageUrl,
+      $this->attempts,
+    );
+  }
+
+  /**
+   * Creates a new CREATED instance for the created Canvas page.
+   *
+   * @param string $pageId
+   *   The page ID.
+   * @param string $pageUrl
+   *   The page URL.
+   *
+   * @return self
+   *   A new instance with the page.
+   */
+  public function withPage(string $pageId, string $pageUrl): self {
+    return new self(
+      $this->id,
+      $this->sourceType,
+      $this->source,
+      $this->label,
+      BulkItemStatus::CREATED,
+      time(),
+      $this->plan,
+      NULL,
+      $pageId,
+      $pageUrl,
+      $this->attempts,
+    );
+  }
+
+  /**
+   * Creates a new instance to retry a failed item.
+   *
+   * Items whose plan was generated are only missing their page, so they go
+   * back to READY; all others are queued again.
+   *
+   * @return self
+   *   A new instance with an increased attempt count.
+   */
+  public function withRetry(): self {
+    return new self(
+      $this->id,
+      $this->sourceType,
+      $this->source,
+      $this->label,
+      $this->plan ? BulkItemStatus::READY : BulkItemStatus::QUEUED,
+      time(),
+      $this->plan,
+      NULL,
+      $this->pageId,
+      $this->pageUrl,
+      $this->attempts + 1,
+    );
+  }
+
+  /**
+   * Checks if the item is being worked on but has not changed for a while.
+   *
+   * Such items were most likely abandoned by a request that died, so they
+   * may be claimed again.
+   *
+   * @param int $timeout
+   *   Seconds after which an unchanged item is considered stale.
+   *
+   * @return bool
+   *   TRUE if the item is stale.
+   */
+  public function isStale(int $timeout): bool {
+    return $this->status->isProcessing() && $this->updatedAt + $timeout < time();
+  }
+
+  /**
+   * Converts the item to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The item as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'source_type' => $this->sourceType,
+      'source' => $this->source,
+      'label' => $this->label,
+      'status' => $this->status->value,
+      'updated_at' => $this->updatedAt,
+      'plan' => $this->plan?->toArray(),
+      'error' => $this->error,
+      'page_id' => $this->pageId,
+      'page_url' => $this->pageUrl,
+      'attempts' => $this->attempts,
+    ];
+  }
+
+  /**
+   * Creates a BulkItem instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new BulkItem instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'source_type', 'source', 'label'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      id: $data['id'],
+      sourceType: $data['source_type'],
+      source: (string) $data['source'],
+      label: $data['label'],
+      status: BulkItemStatus::tryFrom($data['status'] ?? '') ?? BulkItemStatus::QUEUED,
+      updatedAt: (int) ($data['updated_at'] ?? 0),
+      plan: !empty($data['plan']) ? ContentPlan::fromArray($data['plan']) : NULL,
+      error: $data['error'] ?? NULL,
+      pageId: isset($data['page_id']) ? (string) $data['page_id'] : NULL,
+      pageUrl: $data['page_url'] ?? NULL,
+      attempts: (int) ($data['attempts'] ?? 0),
+    );
+  }
+
+  /**
+   * Creates a new queued BulkItem with a generated unique ID.
+   *
+   * @param string $sourceType
+   *   The source type, self::SOURCE_FILE or self::SOURCE_URL.
+   * @param string $source
+   *   The file ID or URL.
+   * @param string $label
+   *   The human-readable source name.
+   *
+   * @return self
+   *   A new BulkItem instance.
+   */
+  public static function create(string $sourceType, string $source, string $label): self {
+    return new self(
+      id: 'item_' . bin2hex(random_bytes(6)),
+      sourceType: $sourceType,
+      source: $source,
+      label: $label,
+      updatedAt: time(),
+    );
+  }
+
+}
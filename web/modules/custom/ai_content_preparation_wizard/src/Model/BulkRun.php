@@ -0,0 +1,215 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+use Drupal\ai_content_preparation_wizard\Enum\BulkItemStatus;
+
+/**
+ * Immutable value object representing a bulk wizard run.
+ *
+ * A bulk run turns every uploaded document and webpage URL into its own
+ * content plan and Canvas page, using the same AI contexts and template.
+ */
+final class BulkRun {
+
+  /**
+   * Constructs a BulkRun object.
+   *
+   * @param string $id
+   *   Unique identifier for this run.
+   * @param int $userId
+   *   The ID of the user who started the run.
+   * @param int $createdAt
+   *   Unix timestamp of when the run was started.
+   * @param array<string> $contexts
+   *   The selected AI context IDs.
+   * @param string|null $templateId
+   *   The Canvas page template ID, if any.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\BulkItem> $items
+   *   The items of the run, keyed by item ID.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly int $userId,
+    public readonly int $createdAt,
+    public readonly array $contexts = [],
+    public readonly ?string $templateId = NULL,
+    public readonly array $items = [],
+  ) {}
+
+  /**
+   * Gets an item of the run.
+   *
+   * @param string $itemId
+   *   The item ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkItem|null
+   *   The item, or NULL if the run has no such item.
+   */
+  public function getItem(string $itemId): ?BulkItem {
+    return $this->items[$itemId] ?? NULL;
+  }
+
+  /**
+   * Creates a new instance with an added or replaced item.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\BulkItem $item
+   *   The item.
+   *
+   * @return self
+   *   A new instance containing the item.
+   */
+  public function withItem(BulkItem $item): self {
+    $items = $this->items;
+    $items[$item->id] = $item;
+
+    return new self(
+      $this->id,
+      $this->userId,
+      $this->createdAt,
+      $this->contexts,
+      $this->templateId,
+      $items,
+    );
+  }
+
+  /**
+   * Gets the next item that may be processed.
+   *
+   * @param int $staleTimeout
+   *   Seconds after which items stuck in processing may be claimed again.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkItem|null
+   *   The first queued or stale item, or NULL if there is none.
+   */
+  public function getNextItem(int $staleTimeout): ?BulkItem {
+    foreach ($this->items as $item) {
+      if ($item->status === BulkItemStatus::QUEUED || $item->isStale($staleTimeout)) {
+        return $item;
+      }
+    }
+    return NULL;
+  }
+
+  /**
+   * Counts the items per status.
+   *
+   * @return array<string, int>
+   *   Item counts keyed by status value, including statuses without items.
+   */
+  public function getCounts(): array {
+    $counts = array_fill_keys(array_map(
+      static fn(BulkItemStatus $status): string => $status->value,
+      BulkItemStatus::cases(),
+    ), 0);
+    foreach ($this->items as $item) {
+      $counts[$item->status->value]++;
+    }
+    return $counts;
+  }
+
+  /**
+   * Checks if any item still needs processing.
+   *
+   * @return bool
+   *   TRUE if at least one item is queued or being worked on.
+   */
+  public function isPending(): bool {
+    foreach ($this->items as $item) {
+      if ($item->status->isPending()) {
+        return TRUE;
+      }
+    }
+    return FALSE;
+  }
+
+  /**
+   * Converts the run to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The run as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'user_id' => $this->userId,
+      'created_at' => $this->createdAt,
+      'contexts' => $this->contexts,
+      'template_id' => $this->templateId,
+      'items' => array_values(array_map(
+        static fn(BulkItem $item): array => $item->toArray(),
+        $this->items,
+      )),
+    ];
+  }
+
+  /**
+   * Creates a BulkRun instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new BulkRun instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'user_id', 'created_at'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    $items = [];
+    foreach ($data['items'] ?? [] as $itemData) {
+      $item = BulkItem::fromArray($itemData);
+      $items[$item->id] = $item;
+    }
+
+    return new self(
+      id: $data['id'],
+      userId: (int) $data['user_id'],
+      createdAt: (int) $data['created_at'],
+      contexts: $data['contexts'] ?? [],
+      templateId: isset($data['template_id']) ? (string) $data['template_id'] : NULL,
+      items: $items,
+    );
+  }
+
+  /**
+   * Creates a new BulkRun with a generated unique ID.
+   *
+   * @param int $userId
+   *   The ID of the user starting the run.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\BulkItem> $items
+   *   The items to process.
+   * @param array<string> $contexts
+   *   The selected AI context IDs.
+   * @param string|null $templateId
+   *   The Canvas page template ID, if any.
+   *
+   * @return self
+   *   A new BulkRun instance.
+   */
+  public static function create(int $userId, array $items, array $contexts = [], ?string $templateId = NULL): self {
+    $keyed = [];
+    foreach ($items as $item) {
+      $keyed[$item->id] = $item;
+    }
+
+    return new self(
+      id: 'bulk_' . bin2hex(random_bytes(8)),
+      userId: $userId,
+      createdAt: time(),
+      contexts: array_values($contexts),
+      templateId: $templateId,
+      items: $keyed,
+    );
+  }
+
+}
@@ -0,0 +1,188 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object representing a resumable chunked upload.
+ *
+ * The received bytes are the authoritative upload position: a chunk is only
+ * counted once it has been written completely, so interrupted uploads resume
+ * from there.
+ */
+final class ChunkedUpload {
+
+  /**
+   * Constructs a ChunkedUpload object.
+   *
+   * @param string $id
+   *   Unique identifier for this upload.
+   * @param int $userId
+   *   The ID of the user uploading the file.
+   * @param string $filename
+   *   The original file name.
+   * @param int $size
+   *   The total file size in bytes.
+   * @param int $received
+   *   The number of bytes received so far.
+   * @param int $updatedAt
+   *   Unix timestamp of the last received chunk.
+   * @param int|null $fileId
+   *   The ID of the file entity, once the upload is complete.
+   * @param array<string, mixed>|null $result
+   *   The document processing result of the complete file: 'processor',
+   *   'pages', 'words' and 'error'.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly int $userId,
+    public readonly string $filename,
+    public readonly int $size,
+    public readonly int $received = 0,
+    public readonly int $updatedAt = 0,
+    public readonly ?int $fileId = NULL,
+    public readonly ?array $result = NULL,
+  ) {}
+
+  /**
+   * Creates a new instance with more bytes received.
+   *
+   * @param int $received
+   *   The number of bytes received so far.
+   *
+   * @return self
+   *   A new instance with the updated position.
+   */
+  public function withReceived(int $received): self {
+    return new self(
+      $this->id,
+      $this->userId,
+      $this->filename,
+      $this->size,
+      $received,
+      time(),
+      $this->fileId,
+      $this->result,
+    );
+  }
+
+  /**
+   * Creates a new instance for the complete file.
+   *
+   * @param int $fileId
+   *   The ID of the file entity.
+   * @param array<string, mixed> $result
+   *   The document processing result.
+   *
+   * @return self
+   *   A new complete instance.
+   */
+  public function withFile(int $fileId, array $result): self {
+    return new self(
+      $this->id,
+      $this->userId,
+      $this->filename,
+      $this->size,
+      $this->size,
+      time(),
+      $fileId,
+      $result,
+    );
+  }
+
+  /**
+   * Checks if all bytes were received and the file was created.
+   *
+   * @return bool
+   *   TRUE if the upload is complete.
+   */
+  public function isComplete(): bool {
+    return $this->fileId !== NULL;
+  }
+
+  /**
+   * Checks if the complete file could be processed.
+   *
+   * @return bool
+   *   TRUE if the file is complete and processing did not fail.
+   */
+  public function isUsable(): bool {
+    return $this->isComplete() && empty($this->result['error']);
+  }
+
+  /**
+   * Converts the upload to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The upload as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'user_id' => $this->userId,
+      'filename' => $this->filename,
+      'size' => $this->size,
+      'received' => $this->received,
+      'updated_at' => $this->updatedAt,
+      'file_id' => $this->fileId,
+      'result' => $this->result,
+    ];
+  }
+
+  /**
+   * Creates a ChunkedUpload instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new ChunkedUpload instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'user_id', 'filename', 'size'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      id: $data['id'],
+      userId: (int) $data['user_id'],
+      filename: $data['filename'],
+      size: (int) $data['size'],
+      received: (int) ($data['received'] ?? 0),
+      updatedAt: (int) ($data['updated_at'] ?? 0),
+      fileId: isset($data['file_id']) ? (int) $data['file_id'] : NULL,
+      result: $data['result'] ?? NULL,
+    );
+  }
+
+  /**
+   * Creates a new ChunkedUpload with a generated unique ID.
+   *
+   * @param int $userId
+   *   The ID of the uploading user.
+   * @param string $filename
+   *   The original file name.
+   * @param int $size
+   *   The total file size in bytes.
+   *
+   * @return self
+   *   A new ChunkedUpload instance.
+   */
+  public static function create(int $userId, string $filename, int $size): self {
+    return new self(
+      id: 'upload_' . bin2hex(random_bytes(12)),
+      userId: $userId,
+      filename: $filename,
+      size: $size,
+      updatedAt: time(),
+    );
+  }
+
+}
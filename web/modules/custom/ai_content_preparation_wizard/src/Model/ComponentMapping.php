@@ -12,6 +12,21 @@ namespace Drupal\ai_content_preparation_wizard\Model;
  */
 final class ComponentMapping {
 
+  /**
+   * Field mapping source: the section title.
+   */
+  public const SOURCE_TITLE = 'title';
+
+  /**
+   * Field mapping source: the section content.
+   */
+  public const SOURCE_CONTENT = 'content';
+
+  /**
+   * Field mapping source: the section content split into list items.
+   */
+  public const SOURCE_LIST_ITEMS = 'list_items';
+
   /**
    * Constructs a ComponentMapping object.
    *
@@ -24,7 +39,9 @@ final class ComponentMapping {
    * @param string $componentBundle
    *   The component bundle/variant if applicable.
    * @param array<string, mixed> $fieldMappings
-   *   Mapping of component fields to content sources.
+   *   Mapping of component fields to content sources. For Canvas components
+   *   these are the component prop names, keyed to one of the SOURCE_*
+   *   constants.
    * @param array<string, mixed> $componentSettings
    *   Additional component-specific settings.
    * @param int $weight
@@ -32,7 +49,8 @@ final class ComponentMapping {
    * @param string|null $parentMappingId
    *   Parent mapping ID for nested components.
    * @param string|null $region
-   *   The region within the parent component.
+   *   The region within the parent component, i.e. the slot of the parent
+   *   Canvas component the section is placed in.
    */
   public function __construct(
     public readonly string $id,
@@ -39,6 +39,9 @@ final class ContentPlan {
    *   IDs of the source ProcessedDocuments.
    * @param string|null $templateId
    *   The AI template ID used for generation.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images extracted from the source documents, available to the
+   *   sections.
    */
   public function __construct(
     public readonly string $id,
@@ -52,6 +55,7 @@ final class ContentPlan {
     public readonly array $refinementHistory = [],
     public readonly array $sourceDocumentIds = [],
     public readonly ?string $templateId = NULL,
+    public readonly array $images = [],
   ) {}
 
   /**
@@ -76,6 +80,7 @@ final class ContentPlan {
       $this->refinementHistory,
       $this->sourceDocumentIds,
       $this->templateId,
+      $this->images,
     );
   }
 
@@ -104,6 +109,7 @@ final class ContentPlan {
       $history,
       $this->sourceDocumentIds,
       $this->templateId,
+      $this->images,
     );
   }
 
@@ -129,9 +135,198 @@ final class ContentPlan {
       $this->refinementHistory,
       $this->sourceDocumentIds,
       $this->templateId,
+      $this->images,
     );
   }
 
+  /**
+   * Creates a new instance with restructured top-level sections.
+   *
+   * Sections are rebuilt in the given order and renumbered from 1. Entries
+   * referencing an existing section ID keep that section's configuration and
+   * children; entries with an unknown ID become new sections. Later entries
+   * repeating an ID that was already used are skipped.
+   *
+   * Existing sections that are not referenced are removed. Step 2 does not
+   * list every section, so its structure is applied with
+   * withEditorSections().
+   *
+   * @param array<array<string, mixed>> $structure
+   *   Ordered list of section entries, each with an 'id' and optional
+   *   'title', 'content', 'component_type' and 'images' keys, the latter
+   *   listing IDs of the plan's images. Omitted keys keep the existing
+   *   section's value.
+   *
+   * @return self
+   *   A new instance with the restructured sections.
+   */
+  public function withSectionStructure(array $structure): self {
+    $existing = [];
+    foreach ($this->sections as $section) {
+      $existing[$section->id] = $section;
+    }
+
+    $sections = [];
+    $used = [];
+    foreach ($structure as $entry) {
+      $order = count($sections) + 1;
+      $id = (string) ($entry['id'] ?? '');
+
+      if ($id !== '' && isset($used[$id])) {
+        continue;
+      }
+      $used[$id] = TRUE;
+
+      if (isset($existing[$id])) {
+        $section = $existing[$id];
+        $sections[] = new PlanSection(
+          $section->id,
+          $entry['title'] ?? $section->title,
+          $entry['content'] ?? $section->content,
+          $entry['component_type'] ?? $section->componentType,
+          $order,
+          $section->componentConfig,
+          $section->children,
+          $section->sourceSpans,
+          isset($entry['images']) ? $this->getImages($entry['images']) : $section->images,
+        );
+        continue;
+      }
+
+      $section = PlanSection::create(
+        $entry['title'] ?? '',
+        $entry['content'] ?? '',
+        $entry['component_type'] ?? 'text',
+        $order,
+      );
+      $sections[] = isset($entry['images']) ? $section->withImages($this->getImages($entry['images'])) : $section;
+    }
+
+    return $this->withSections($sections);
+  }
+
+  /**
+   * Creates a new instance with the top-level sections of the Step 2 editor.
+   *
+   * The editor lists only the sections PlanSection::isEditable() accepts, and
+   * the sections it no longer lists were deleted there. Stored sections it
+   * never listed, such as empty parents of nested sections, are kept after
+   * the listed section they followed. Sections are renumbered from 1.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\PlanSection> $sections
+   *   The sections listed by the editor, in order.
+   *
+   * @return self
+   *   A new instance with the sections.
+   */
+  public function withEditorSections(array $sections): self {
+    $listed = [];
+    foreach ($sections as $section) {
+      $listed[$section->id] = TRUE;
+    }
+
+    // Unlisted sections follow the last listed section before them.
+    $kept = [];
+    $anchor = '';
+    foreach ($this->sections as $section) {
+      if (isset($listed[$section->id])) {
+        $anchor = $section->id;
+      }
+      elseif (!$section->isEditable()) {
+        $kept[$anchor][] = $section;
+      }
+    }
+
+    $merged = $kept[''] ?? [];
+    foreach ($sections as $section) {
+      $merged[] = $section;
+      array_push($merged, ...($kept[$section->id] ?? []));
+    }
+
+    $result = [];
+    foreach ($merged as $section) {
+      $result[] = new PlanSection(
+        $section->id,
+        $section->title,
+        $section->content,
+        $section->componentType,
+        count($result) + 1,
+        $section->componentConfig,
+        $section->children,
+        $section->sourceSpans,
+        $section->images,
+      );
+    }
+
+    return $this->withSections($result);
+  }
+
+  /**
+   * Creates a new instance with a single section replaced.
+   *
+   * The section with the same ID is replaced wherever it is nested. If no
+   * section has that ID, the section is appended to the top level.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The updated section.
+   *
+   * @return self
+   *   A new instance with the section replaced or added.
+   */
+  public function withSection(PlanSection $section): self {
+    $replaced = FALSE;
+    $sections = self::replaceSection($this->sections, $section, $replaced);
+
+    if (!$replaced) {
+      $sections[] = $section;
+    }
+
+    return $this->withSections($sections);
+  }
+
+  /**
+   * Replaces a section by ID within a list of sections and their children.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\PlanSection> $sections
+   *   The sections to search.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $replacement
+   *   The replacement section.
+   * @param bool $replaced
+   *   Set to TRUE when the section was found.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\PlanSection>
+   *   The updated sections.
+   */
+  private static function replaceSection(array $sections, PlanSection $replacement, bool &$replaced): array {
+    foreach ($sections as $index => $section) {
+      if ($section->id === $replacement->id) {
+        $sections[$index] = $replacement;
+        $replaced = TRUE;
+        break;
+      }
+
+      if ($section->hasChildren()) {
+        $children = self::replaceSection($section->children, $replacement, $replaced);
+        if ($replaced) {
+          $sections[$index] = new PlanSection(
+            $section->id,
+            $section->title,
+            $section->content,
+            $section->componentType,
+            $section->order,
+            $section->componentConfig,
+            $children,
+            $section->sourceSpans,
+            $section->images,
+          );
+          break;
+        }
+      }
+    }
+
+    return $sections;
+  }
+
   /**
    * Creates a new instance with an updated title.
    *
@@ -154,9 +349,74 @@ final class ContentPlan {
       $this->refinementHistory,
       $this->sourceDocumentIds,
       $this->templateId,
+      $this->images,
     );
   }
 
+  /**
+   * Creates a new instance with other images available to the sections.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images.
+   *
+   * @return self
+   *   A new instance with the images replaced.
+   */
+  public function withImages(array $images): self {
+    return new self(
+      $this->id,
+      $this->title,
+      $this->summary,
+      $this->sections,
+      $this->targetAudience,
+      $this->estimatedReadTime,
+      $this->generatedAt,
+      $this->status,
+      $this->refinementHistory,
+      $this->sourceDocumentIds,
+      $this->templateId,
+      array_values($images),
+    );
+  }
+
+  /**
+   * Gets an image available to the sections.
+   *
+   * @param string $imageId
+   *   The image ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ExtractedImage|null
+   *   The image, or NULL if the plan has no image with that ID.
+   */
+  public function getImage(string $imageId): ?ExtractedImage {
+    foreach ($this->images as $image) {
+      if ($image->id === $imageId) {
+        return $image;
+      }
+    }
+    return NULL;
+  }
+
+  /**
+   * Gets images available to the sections by ID.
+   *
+   * @param array<string> $imageIds
+   *   The image IDs. Unknown and repeated IDs are skipped.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage>
+   *   The images, in the given order.
+   */
+  public function getImages(array $imageIds): array {
+    $images = [];
+    foreach ($imageIds as $imageId) {
+      $image = is_string($imageId) ? $this->getImage($imageId) : NULL;
+      if ($image !== NULL) {
+        $images[$image->id] = $image;
+      }
+    }
+    return array_values($images);
+  }
+
   /**
    * Gets the total section count including nested sections.
    *
@@ -267,6 +527,10 @@ final class ContentPlan {
       ),
       'source_document_ids' => $this->sourceDocumentIds,
       'template_id' => $this->templateId,
+      'images' => array_map(
+        fn(ExtractedImage $image): array => $image->toArray(),
+        $this->images
+      ),
       'total_section_count' => $this->getTotalSectionCount(),
       'total_word_count' => $this->getTotalWordCount(),
     ];
@@ -321,6 +585,10 @@ final class ContentPlan {
       refinementHistory: $refinementHistory,
       sourceDocumentIds: $data['source_document_ids'] ?? [],
       templateId: $data['template_id'] ?? NULL,
+      images: array_map(
+        fn(array $imageData): ExtractedImage => ExtractedImage::fromArray($imageData),
+        $data['images'] ?? []
+      ),
     );
   }
 
@@ -341,6 +609,8 @@ final class ContentPlan {
    *   Source document IDs.
    * @param string|null $templateId
    *   The template ID used.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images available to the sections.
    *
    * @return self
    *   A new ContentPlan instance.
@@ -353,6 +623,7 @@ final class ContentPlan {
     int $estimatedReadTime,
     array $sourceDocumentIds = [],
     ?string $templateId = NULL,
+    array $images = [],
   ): self {
     return new self(
       id: 'plan_' . bin2hex(random_bytes(8)),
@@ -366,6 +637,7 @@ final class ContentPlan {
       refinementHistory: [],
       sourceDocumentIds: $sourceDocumentIds,
       templateId: $templateId,
+      images: $images,
     );
   }
 
@@ -0,0 +1,119 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+use Drupal\ai_content_preparation_wizard\Enum\CrawlPageStatus;
+
+/**
+ * Immutable value object representing a page discovered by a site crawl.
+ *
+ * The Markdown is the page content as the webpage processor extracted it,
+ * before boilerplate shared with other pages of the crawl is removed.
+ */
+final class CrawledPage {
+
+  /**
+   * Constructs a CrawledPage object.
+   *
+   * @param string $url
+   *   The absolute page URL, without fragment.
+   * @param int $depth
+   *   The number of links followed from the start URL or sitemap.
+   * @param \Drupal\ai_content_preparation_wizard\Enum\CrawlPageStatus $status
+   *   The crawl status.
+   * @param string $title
+   *   The page title, once fetched.
+   * @param string $markdown
+   *   The extracted Markdown content, once fetched.
+   * @param string|null $error
+   *   The error message of a failed page.
+   */
+  public function __construct(
+    public readonly string $url,
+    public readonly int $depth,
+    public readonly CrawlPageStatus $status = CrawlPageStatus::QUEUED,
+    public readonly string $title = '',
+    public readonly string $markdown = '',
+    public readonly ?string $error = NULL,
+  ) {}
+
+  /**
+   * Creates a new instance for the fetched page.
+   *
+   * @param string $title
+   *   The page title.
+   * @param string $markdown
+   *   The extracted Markdown content.
+   *
+   * @return self
+   *   A new FETCHED instance.
+   */
+  public function withContent(string $title, string $markdown): self {
+    return new self($this->url, $this->depth, CrawlPageStatus::FETCHED, $title, $markdown);
+  }
+
+  /**
+   * Creates a new instance with an updated status.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Enum\CrawlPageStatus $status
+   *   The new status.
+   * @param string|null $error
+   *   The error message for the FAILED status.
+   *
+   * @return self
+   *   A new instance with the updated status.
+   */
+  public function withStatus(CrawlPageStatus $status, ?string $error = NULL): self {
+    return new self($this->url, $this->depth, $status, $this->title, $this->markdown, $error);
+  }
+
+  /**
+   * Converts the page to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The page as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'url' => $this->url,
+      'depth' => $this->depth,
+      'status' => $this->status->value,
+      'title' => $this->title,
+      'markdown' => $this->markdown,
+      'error' => $this->error,
+    ];
+  }
+
+  /**
+   * Creates a CrawledPage instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new CrawledPage instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['url', 'depth'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      url: $data['url'],
+      depth: (int) $data['depth'],
+      status: CrawlPageStatus::tryFrom($data['status'] ?? '') ?? CrawlPageStatus::QUEUED,
+      title: (string) ($data['title'] ?? ''),
+      markdown: (string) ($data['markdown'] ?? ''),
+      error: $data['error'] ?? NULL,
+    );
+  }
+
+}
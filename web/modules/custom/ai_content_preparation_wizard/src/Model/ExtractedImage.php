@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object representing an image extracted from a document.
+ *
+ * Images embedded in uploaded documents are saved as Media entities. The
+ * Markdown content of the document references them as ![alt](image:ID), so
+ * the AI can place them in the sections of the content plan.
+ *
+ * @see \Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface
+ */
+final class ExtractedImage {
+
+  /**
+   * Constructs an ExtractedImage object.
+   *
+   * @param string $id
+   *   Unique identifier for this image.
+   * @param int $mediaId
+   *   The ID of the Media entity holding the image.
+   * @param int $fileId
+   *   The ID of the image file entity.
+   * @param string $fileName
+   *   The name of the image file.
+   * @param string $alt
+   *   The alternative text of the image.
+   * @param int|null $width
+   *   The width of the image in pixels, if known.
+   * @param int|null $height
+   *   The height of the image in pixels, if known.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly int $mediaId,
+    public readonly int $fileId,
+    public readonly string $fileName,
+    public readonly string $alt = '',
+    public readonly ?int $width = NULL,
+    public readonly ?int $height = NULL,
+  ) {}
+
+  /**
+   * Gets the Markdown reference to this image.
+   *
+   * @return string
+   *   The reference, e.g. "![A red bicycle](image:img_0123456789ab)".
+   */
+  public function toMarkdown(): string {
+    $alt = str_replace(['[', ']', "\n"], ['(', ')', ' '], $this->alt);
+    return sprintf('![%s](image:%s)', $alt, $this->id);
+  }
+
+  /**
+   * Converts the image to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The image as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'media_id' => $this->mediaId,
+      'file_id' => $this->fileId,
+      'file_name' => $this->fileName,
+      'alt' => $this->alt,
+      'width' => $this->width,
+      'height' => $this->height,
+    ];
+  }
+
+  /**
+   * Creates an ExtractedImage instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new ExtractedImage instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'media_id', 'file_id', 'file_name'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      id: $data['id'],
+      mediaId: (int) $data['media_id'],
+      fileId: (int) $data['file_id'],
+      fileName: $data['file_name'],
+      alt: $data['alt'] ?? '',
+      width: isset($data['width']) ? (int) $data['width'] : NULL,
+      height: isset($data['height']) ? (int) $data['height'] : NULL,
+    );
+  }
+
+  /**
+   * Creates a new ExtractedImage with a generated unique ID.
+   *
+   * @param int $mediaId
+   *   The Media entity ID.
+   * @param int $fileId
+   *   The image file entity ID.
+   * @param string $fileName
+   *   The name of the image file.
+   * @param string $alt
+   *   The alternative text.
+   * @param int|null $width
+   *   The width in pixels.
+   * @param int|null $height
+   *   The height in pixels.
+   *
+   * @return self
+   *   A new ExtractedImage instance.
+   */
+  public static function create(int $mediaId, int $fileId, string $fileName, string $alt = '', ?int $width = NULL, ?int $height = NULL): self {
+    return new self(
+      id: 'img_' . bin2hex(random_bytes(6)),
+      mediaId: $mediaId,
+      fileId: $fileId,
+      fileName: $fileName,
+      alt: $alt,
+      width: $width,
+      height: $height,
+    );
+  }
+
+}
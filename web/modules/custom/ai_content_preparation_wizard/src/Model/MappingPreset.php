@@ -0,0 +1,188 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object representing a reusable set of component mappings.
+ *
+ * Section IDs differ from plan to plan, so a preset maps section types
+ * instead: every section of a type gets the component, prop mappings and
+ * slot that were chosen for a section of that type when the preset was
+ * saved. Presets belong to the Canvas page template they were saved for.
+ */
+final class MappingPreset {
+
+  /**
+   * Constructs a MappingPreset object.
+   *
+   * @param string $id
+   *   Unique identifier for this preset.
+   * @param string $label
+   *   The human-readable name.
+   * @param string $templateId
+   *   The ID of the template page, or an empty string for pages built
+   *   without a template.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   The mapping of each section type, keyed by section type. The region
+   *   is the slot sections of the type take when nested.
+   * @param int $ownerId
+   *   The ID of the user who saved the preset.
+   * @param int $updatedAt
+   *   Unix timestamp of when the preset was saved.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly string $label,
+    public readonly string $templateId,
+    public readonly array $mappings,
+    public readonly int $ownerId = 0,
+    public readonly int $updatedAt = 0,
+  ) {}
+
+  /**
+   * Creates a preset from the mappings of a plan's sections.
+   *
+   * The first mapped section of each type, in page order, defines the
+   * mapping of the type.
+   *
+   * @param string $id
+   *   The preset ID.
+   * @param string $label
+   *   The human-readable name.
+   * @param string $templateId
+   *   The ID of the template page, or an empty string.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan the mappings were made for.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   The mappings, keyed by section ID.
+   * @param int $ownerId
+   *   The ID of the user saving the preset.
+   *
+   * @return self
+   *   The preset.
+   */
+  public static function fromPlan(string $id, string $label, string $templateId, ContentPlan $plan, array $mappings, int $ownerId = 0): self {
+    $typeMappings = [];
+    foreach ($plan->sections as $section) {
+      foreach ($section->flatten() as $flatSection) {
+        $mapping = $mappings[$flatSection->id] ?? NULL;
+        if ($mapping !== NULL && !isset($typeMappings[$flatSection->componentType])) {
+          $typeMappings[$flatSection->componentType] = $mapping;
+        }
+      }
+    }
+
+    return new self($id, $label, $templateId, $typeMappings, $ownerId, time());
+  }
+
+  /**
+   * Applies the preset to the sections of a plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan.
+   *
+   * @return array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping>
+   *   The mappings of the sections whose type the preset maps, keyed by
+   *   section ID.
+   */
+  public function resolve(ContentPlan $plan): array {
+    $mappings = [];
+    foreach ($plan->sections as $section) {
+      $this->resolveSection($section, NULL, $mappings);
+    }
+    return $mappings;
+  }
+
+  /**
+   * Applies the preset to a section and its children.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The section.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ComponentMapping|null $parent
+   *   The mapping of the parent section, if it has one.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   The mappings, keyed by section ID.
+   * @param bool $nested
+   *   Whether the section is the child of another section.
+   */
+  private function resolveSection(PlanSection $section, ?ComponentMapping $parent, array &$mappings, bool $nested = FALSE): void {
+    $preset = $this->mappings[$section->componentType] ?? NULL;
+    $mapping = NULL;
+    if ($preset !== NULL) {
+      $mapping = new ComponentMapping(
+        id: 'mapping_' . bin2hex(random_bytes(6)),
+        sectionId: $section->id,
+        componentType: $preset->componentType,
+        componentBundle: $preset->componentBundle,
+        fieldMappings: $preset->fieldMappings,
+        componentSettings: $preset->componentSettings,
+        weight: $section->order,
+        parentMappingId: $parent?->id,
+        region: $nested ? $preset->region : NULL,
+      );
+      $mappings[$section->id] = $mapping;
+    }
+
+    foreach ($section->children as $child) {
+      $this->resolveSection($child, $mapping, $mappings, TRUE);
+    }
+  }
+
+  /**
+   * Converts the preset to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The preset as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'label' => $this->label,
+      'template_id' => $this->templateId,
+      'mappings' => array_map(
+        fn(ComponentMapping $mapping): array => $mapping->toArray(),
+        $this->mappings
+      ),
+      'owner_id' => $this->ownerId,
+      'updated_at' => $this->updatedAt,
+    ];
+  }
+
+  /**
+   * Creates a MappingPreset instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new MappingPreset instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'label', 'template_id', 'mappings'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    $mappings = [];
+    foreach ($data['mappings'] as $type => $mappingData) {
+      $mappings[(string) $type] = ComponentMapping::fromArray($mappingData);
+    }
+
+    return new self(
+      id: $data['id'],
+      label: $data['label'],
+      templateId: (string) $data['template_id'],
+      mappings: $mappings,
+      ownerId: (int) ($data['owner_id'] ?? 0),
+      updatedAt: (int) ($data['updated_at'] ?? 0),
+    );
+  }
+
+}
@@ -0,0 +1,138 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object recording what a Canvas page was built from.
+ *
+ * The wizard records the plan of every page it creates, with the component
+ * each section was placed in and a hash of that component's inputs as the
+ * wizard wrote them. Comparing the hash with the page's current inputs shows
+ * which components were edited on the page since.
+ */
+final class PageSource {
+
+  /**
+   * Constructs a PageSource object.
+   *
+   * @param string $pageId
+   *   The Canvas page ID.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan as it is on the page, with flat sections.
+   * @param array<string, array{uuid: string, hash: string}> $components
+   *   The component of each section, keyed by section ID: its UUID and the
+   *   hash of its inputs, see ::hashInputs().
+   * @param int $updatedAt
+   *   Unix timestamp of the creation or last update of the page.
+   */
+  public function __construct(
+    public readonly string $pageId,
+    public readonly ContentPlan $plan,
+    public readonly array $components = [],
+    public readonly int $updatedAt = 0,
+  ) {}
+
+  /**
+   * Gets the component a section was placed in.
+   *
+   * @param string $sectionId
+   *   The section ID.
+   *
+   * @return array{uuid: string, hash: string}|null
+   *   The component UUID and input hash, or NULL if the section was not
+   *   placed in a component.
+   */
+  public function getComponent(string $sectionId): ?array {
+    return $this->components[$sectionId] ?? NULL;
+  }
+
+  /**
+   * Builds the hash of the inputs of a component.
+   *
+   * @param mixed $inputs
+   *   The inputs, as an array or a JSON string.
+   *
+   * @return string
+   *   The hash.
+   */
+  public static function hashInputs(mixed $inputs): string {
+    if (is_string($inputs)) {
+      $inputs = json_decode($inputs, TRUE) ?? $inputs;
+    }
+    if (is_array($inputs)) {
+      self::sortKeys($inputs);
+    }
+    return hash('sha256', (string) json_encode($inputs, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+  }
+
+  /**
+   * Sorts nested arrays by key, so equal inputs hash the same.
+   *
+   * @param array<mixed> $data
+   *   The data to sort.
+   */
+  private static function sortKeys(array &$data): void {
+    ksort($data);
+    foreach ($data as &$value) {
+      if (is_array($value)) {
+        self::sortKeys($value);
+      }
+    }
+  }
+
+  /**
+   * Converts the page source to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The page source as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'page_id' => $this->pageId,
+      'plan' => $this->plan->toArray(),
+      'components' => $this->components,
+      'updated_at' => $this->updatedAt,
+    ];
+  }
+
+  /**
+   * Creates a PageSource instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new PageSource instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['page_id', 'plan'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    $components = [];
+    foreach ((array) ($data['components'] ?? []) as $sectionId => $component) {
+      if (is_array($component) && isset($component['uuid'])) {
+        $components[(string) $sectionId] = [
+          'uuid' => (string) $component['uuid'],
+          'hash' => (string) ($component['hash'] ?? ''),
+        ];
+      }
+    }
+
+    return new self(
+      pageId: (string) $data['page_id'],
+      plan: ContentPlan::fromArray($data['plan']),
+      components: $components,
+      updatedAt: (int) ($data['updated_at'] ?? 0),
+    );
+  }
+
+}
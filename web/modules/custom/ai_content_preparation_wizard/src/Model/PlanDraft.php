@@ -0,0 +1,143 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object holding unsaved Step 2 edits of a content plan.
+ *
+ * Drafts are autosaved while the editor works on the plan, so that edits
+ * survive reloads. A draft belongs to the plan state it was based on, see
+ * PlanVersion::keyFor().
+ */
+final class PlanDraft {
+
+  /**
+   * The maximum number of sections kept in a draft.
+   */
+  public const MAX_SECTIONS = 100;
+
+  /**
+   * Constructs a PlanDraft object.
+   *
+   * @param string $planKey
+   *   The key of the plan state the draft was based on.
+   * @param array<int, array{id: string, title: string, content: string, component_type: string}> $sections
+   *   The edited sections in display order.
+   * @param \DateTimeImmutable $savedAt
+   *   When the draft was saved.
+   * @param string|null $title
+   *   The edited page title, if any.
+   */
+  public function __construct(
+    public readonly string $planKey,
+    public readonly array $sections,
+    public readonly \DateTimeImmutable $savedAt,
+    public readonly ?string $title = NULL,
+  ) {}
+
+  /**
+   * Converts the draft to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The draft as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'plan_key' => $this->planKey,
+      'sections' => $this->sections,
+      'saved_at' => $this->savedAt->format(\DateTimeInterface::RFC3339),
+      'title' => $this->title,
+    ];
+  }
+
+  /**
+   * Creates a PlanDraft instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new PlanDraft instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['plan_key', 'sections', 'saved_at'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      planKey: $data['plan_key'],
+      sections: self::normalizeSections($data['sections']),
+      savedAt: new \DateTimeImmutable($data['saved_at']),
+      title: $data['title'] ?? NULL,
+    );
+  }
+
+  /**
+   * Creates a new PlanDraft saved now.
+   *
+   * @param string $planKey
+   *   The key of the plan state the draft is based on.
+   * @param mixed $sections
+   *   The edited sections as posted by the editor.
+   * @param string|null $title
+   *   The edited page title.
+   *
+   * @return self
+   *   A new PlanDraft instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If the sections are not a list or exceed the section limit.
+   */
+  public static function create(string $planKey, mixed $sections, ?string $title = NULL): self {
+    return new self(
+      planKey: $planKey,
+      sections: self::normalizeSections($sections),
+      savedAt: new \DateTimeImmutable(),
+      title: $title,
+    );
+  }
+
+  /**
+   * Normalizes posted sections to a list of string fields.
+   *
+   * @param mixed $sections
+   *   The raw sections.
+   *
+   * @return array<int, array{id: string, title: string, content: string, component_type: string}>
+   *   The normalized sections. Entries without an ID are dropped.
+   *
+   * @throws \InvalidArgumentException
+   *   If the sections are not a list or exceed the section limit.
+   */
+  private static function normalizeSections(mixed $sections): array {
+    if (!is_array($sections)) {
+      throw new \InvalidArgumentException('Draft sections must be a list.');
+    }
+    if (count($sections) > self::MAX_SECTIONS) {
+      throw new \InvalidArgumentException(sprintf('A draft can contain at most %d sections.', self::MAX_SECTIONS));
+    }
+
+    $normalized = [];
+    foreach ($sections as $section) {
+      if (!is_array($section) || !isset($section['id']) || !is_string($section['id']) || $section['id'] === '') {
+        continue;
+      }
+      $normalized[] = [
+        'id' => $section['id'],
+        'title' => is_string($section['title'] ?? NULL) ? $section['title'] : '',
+        'content' => is_string($section['content'] ?? NULL) ? $section['content'] : '',
+        'component_type' => is_string($section['component_type'] ?? NULL) ? $section['component_type'] : '',
+      ];
+    }
+    return $normalized;
+  }
+
+}
@@ -0,0 +1,340 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+use Drupal\ai_content_preparation_wizard\Enum\PlanStatus;
+
+/**
+ * Immutable value object representing a content plan job of the JSON API.
+ *
+ * A job carries everything the wizard keeps in the PHP session, so API
+ * clients can generate, refine and publish a plan across stateless requests.
+ * Generation and refinement wait in the GENERATING or REFINING status until
+ * a request claims them.
+ */
+final class PlanJob {
+
+  /**
+   * Constructs a PlanJob object.
+   *
+   * @param string $id
+   *   Unique identifier for this job.
+   * @param int $userId
+   *   The ID of the user who started the job.
+   * @param \Drupal\ai_content_preparation_wizard\Enum\PlanStatus $status
+   *   The job status.
+   * @param array<string, int> $documents
+   *   The file IDs of the source documents, keyed by document ID.
+   * @param array<string> $urls
+   *   The source webpage URLs.
+   * @param array<string> $contexts
+   *   The AI context IDs.
+   * @param string|null $templateId
+   *   The Canvas page template ID, if any.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan|null $plan
+   *   The generated content plan, if any.
+   * @param string|null $instructions
+   *   The refinement instructions waiting to be applied.
+   * @param string|null $error
+   *   The message of the last failure.
+   * @param string|null $errorCode
+   *   The machine-readable code of the last failure.
+   * @param string|null $pageId
+   *   The ID of the created Canvas page.
+   * @param string|null $pageUrl
+   *   The URL of the created Canvas page.
+   * @param int $createdAt
+   *   Unix timestamp of the job creation.
+   * @param int $updatedAt
+   *   Unix timestamp of the last change.
+   * @param int|null $claimedAt
+   *   Unix timestamp of when a request started working on the job, NULL while
+   *   it waits.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly int $userId,
+    public readonly PlanStatus $status = PlanStatus::GENERATING,
+    public readonly array $documents = [],
+    public readonly array $urls = [],
+    public readonly array $contexts = [],
+    public readonly ?string $templateId = NULL,
+    public readonly ?ContentPlan $plan = NULL,
+    public readonly ?string $instructions = NULL,
+    public readonly ?string $error = NULL,
+    public readonly ?string $errorCode = NULL,
+    public readonly ?string $pageId = NULL,
+    public readonly ?string $pageUrl = NULL,
+    public readonly int $createdAt = 0,
+    public readonly int $updatedAt = 0,
+    public readonly ?int $claimedAt = NULL,
+  ) {}
+
+  /**
+   * Creates a new instance claimed by the current request.
+   *
+   * @return self
+   *   A new claimed instance.
+   */
+  public function withClaim(): self {
+    return new self(
+      $this->id,
+      $this->userId,
+      $this->status,
+      $this->documents,
+      $this->urls,
+      $this->contexts,
+      $this->templateId,
+      $this->plan,
+      $this->instructions,
+      $this->error,
+      $this->errorCode,
+      $this->pageId,
+      $this->pageUrl,
+      $this->createdAt,
+      time(),
+      time(),
+    );
+  }
+
+  /**
+   * Creates a new READY instance with a generated, refined or edited plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   *
+   * @return self
+   *   A new instance with the plan.
+   */
+  public function withPlan(ContentPlan $plan): self {
+    return new self(
+      $this->id,
+      $this->userId,
+      PlanStatus::READY,
+      $this->documents,
+      $this->urls,
+      $this->contexts,
+      $this->templateId,
+      $plan,
+      NULL,
+      NULL,
+      NULL,
+      $this->pageId,
+      $this->pageUrl,
+      $this->createdAt,
+      time(),
+    );
+  }
+
+  /**
+   * Creates a new REFINING instance waiting for the plan to be refined.
+   *
+   * @param string $instructions
+   *   The refinement instructions.
+   *
+   * @return self
+   *   A new instance waiting to be claimed.
+   */
+  public function withRefinement(string $instructions): self {
+    return new self(
+      $this->id,
+      $this->userId,
+      PlanStatus::REFINING,
+      $this->documents,
+      $this->urls,
+      $this->contexts,
+      $this->templateId,
+      $this->plan,
+      $instructions,
+      NULL,
+      NULL,
+      $this->pageId,
+      $this->pageUrl,
+      $this->createdAt,
+      time(),
+    );
+  }
+
+  /**
+   * Creates a new instance recording a failure.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Enum\PlanStatus $status
+   *   The status after the failure: FAILED if there is no plan, READY if the
+   *   plan is kept.
+   * @param string $error
+   *   The error message.
+   * @param string $errorCode
+   *   The machine-readable error code.
+   *
+   * @return self
+   *   A new instance with the error.
+   */
+  public function withError(PlanStatus $status, string $error, string $errorCode): self {
+    return new self(
+      $this->id,
+      $this->userId,
+      $status,
+      $this->documents,
+      $this->urls,
+      $this->contexts,
+      $this->templateId,
+      $this->plan,
+      NULL,
+      $error,
+      $errorCode,
+      $this->pageId,
+      $this->pageUrl,
+      $this->createdAt,
+      time(),
+    );
+  }
+
+  /**
+   * Creates a new COMPLETED instance for the created Canvas page.
+   *
+   * @param string $pageId
+   *   The page ID.
+   * @param string $pageUrl
+   *   The page URL.
+   *
+   * @return self
+   *   A new instance with the page.
+   */
+  public function withPage(string $pageId, string $pageUrl): self {
+    return new self(
+      $this->id,
+      $this->userId,
+      PlanStatus::COMPLETED,
+      $this->documents,
+      $this->urls,
+      $this->contexts,
+      $this->templateId,
+      $this->plan,
+      NULL,
+      NULL,
+      NULL,
+      $pageId,
+      $pageUrl,
+      $this->createdAt,
+      time(),
+    );
+  }
+
+  /**
+   * Checks if the job waits to be worked on.
+   *
+   * Jobs claimed by a request that died are claimable again after a while.
+   *
+   * @param int $timeout
+   *   Seconds after which a claim is considered abandoned.
+   *
+   * @return bool
+   *   TRUE if the job may be claimed.
+   */
+  public function isClaimable(int $timeout): bool {
+    if ($this->status !== PlanStatus::GENERATING && $this->status !== PlanStatus::REFINING) {
+      return FALSE;
+    }
+    return $this->claimedAt === NULL || $this->claimedAt + $timeout < time();
+  }
+
+  /**
+   * Converts the job to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The job as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'user_id' => $this->userId,
+      'status' => $this->status->value,
+      'documents' => $this->documents,
+      'urls' => $this->urls,
+      'contexts' => $this->contexts,
+      'template_id' => $this->templateId,
+      'plan' => $this->plan?->toArray(),
+      'instructions' => $this->instructions,
+      'error' => $this->error,
+      'error_code' => $this->errorCode,
+      'page_id' => $this->pageId,
+      'page_url' => $this->pageUrl,
+      'created_at' => $this->createdAt,
+      'updated_at' => $this->updatedAt,
+      'claimed_at' => $this->claimedAt,
+    ];
+  }
+
+  /**
+   * Creates a PlanJob instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new PlanJob instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'user_id', 'status'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      id: $data['id'],
+      userId: (int) $data['user_id'],
+      status: PlanStatus::tryFrom($data['status']) ?? PlanStatus::FAILED,
+      documents: array_map('intval', $data['documents'] ?? []),
+      urls: $data['urls'] ?? [],
+      contexts: $data['contexts'] ?? [],
+      templateId: $data['template_id'] ?? NULL,
+      plan: !empty($data['plan']) ? ContentPlan::fromArray($data['plan']) : NULL,
+      instructions: $data['instructions'] ?? NULL,
+      error: $data['error'] ?? NULL,
+      errorCode: $data['error_code'] ?? NULL,
+      pageId: isset($data['page_id']) ? (string) $data['page_id'] : NULL,
+      pageUrl: $data['page_url'] ?? NULL,
+      createdAt: (int) ($data['created_at'] ?? 0),
+      updatedAt: (int) ($data['updated_at'] ?? 0),
+      claimedAt: isset($data['claimed_at']) ? (int) $data['claimed_at'] : NULL,
+    );
+  }
+
+  /**
+   * Creates a new GENERATING PlanJob with a generated unique ID.
+   *
+   * @param int $userId
+   *   The ID of the user starting the job.
+   * @param array<string, int> $documents
+   *   The file IDs of the source documents, keyed by document ID.
+   * @param array<string> $urls
+   *   The source webpage URLs.
+   * @param array<string> $contexts
+   *   The AI context IDs.
+   * @param string|null $templateId
+   *   The Canvas page template ID, if any.
+   *
+   * @return self
+   *   A new PlanJob instance.
+   */
+  public static function create(int $userId, array $documents, array $urls, array $contexts = [], ?string $templateId = NULL): self {
+    return new self(
+      id: 'job_' . bin2hex(random_bytes(12)),
+      userId: $userId,
+      documents: $documents,
+      urls: $urls,
+      contexts: $contexts,
+      templateId: $templateId,
+      createdAt: time(),
+      updatedAt: time(),
+    );
+  }
+
+}
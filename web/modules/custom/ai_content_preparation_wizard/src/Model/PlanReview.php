@@ -0,0 +1,282 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+use Drupal\ai_content_preparation_wizard\Enum\ReviewStatus;
+
+/**
+ * Immutable value object representing the shared review of a content plan.
+ *
+ * The review holds a copy of the plan as it was shared, so reviewers see
+ * the same plan as the wizard user, along with the reviewers' comments on
+ * its sections and the latest decision. The ID is also the secret part of
+ * the review link.
+ */
+final class PlanReview {
+
+  /**
+   * Constructs a PlanReview object.
+   *
+   * @param string $id
+   *   Unique identifier for this review.
+   * @param int $ownerId
+   *   The ID of the user who shared the plan.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The shared copy of the plan.
+   * @param \Drupal\ai_content_preparation_wizard\Enum\ReviewStatus $status
+   *   The review status.
+   * @param int $createdAt
+   *   Unix timestamp of when the plan was first shared.
+   * @param int $updatedAt
+   *   Unix timestamp of the last change.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ReviewComment> $comments
+   *   The comments, keyed by comment ID, oldest first.
+   * @param int|null $reviewerId
+   *   The ID of the user who made the latest decision.
+   * @param string|null $reviewerName
+   *   The display name of that user.
+   * @param string|null $decisionMessage
+   *   The message left with the latest decision.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly int $ownerId,
+    public readonly ContentPlan $plan,
+    public readonly ReviewStatus $status = ReviewStatus::PENDING,
+    public readonly int $createdAt = 0,
+    public readonly int $updatedAt = 0,
+    public readonly array $comments = [],
+    public readonly ?int $reviewerId = NULL,
+    public readonly ?string $reviewerName = NULL,
+    public readonly ?string $decisionMessage = NULL,
+  ) {}
+
+  /**
+   * Creates a new instance with an updated copy of the plan.
+   *
+   * A changed plan needs a new decision, so the review returns to PENDING.
+   * Comments are kept.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The current plan.
+   *
+   * @return self
+   *   A new instance with the plan.
+   */
+  public function withPlan(ContentPlan $plan): self {
+    if (self::hashPlan($plan) === self::hashPlan($this->plan)) {
+      return $this;
+    }
+
+    return new self(
+      $this->id,
+      $this->ownerId,
+      $plan,
+      ReviewStatus::PENDING,
+      $this->createdAt,
+      time(),
+      $this->comments,
+    );
+  }
+
+  /**
+   * Creates a new instance with an added or replaced comment.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ReviewComment $comment
+   *   The comment.
+   *
+   * @return self
+   *   A new instance containing the comment.
+   */
+  public function withComment(ReviewComment $comment): self {
+    $comments = $this->comments;
+    $comments[$comment->id] = $comment;
+
+    return new self(
+      $this->id,
+      $this->ownerId,
+      $this->plan,
+      $this->status,
+      $this->createdAt,
+      time(),
+      $comments,
+      $this->reviewerId,
+      $this->reviewerName,
+      $this->decisionMessage,
+    );
+  }
+
+  /**
+   * Creates a new instance with a reviewer's decision.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Enum\ReviewStatus $status
+   *   APPROVED or CHANGES_REQUESTED.
+   * @param int $reviewerId
+   *   The ID of the reviewer.
+   * @param string $reviewerName
+   *   The display name of the reviewer.
+   * @param string|null $message
+   *   An optional message for the wizard user.
+   *
+   * @return self
+   *   A new instance with the decision.
+   */
+  public function withDecision(ReviewStatus $status, int $reviewerId, string $reviewerName, ?string $message = NULL): self {
+    return new self(
+      $this->id,
+      $this->ownerId,
+      $this->plan,
+      $status,
+      $this->createdAt,
+      time(),
+      $this->comments,
+      $reviewerId,
+      $reviewerName,
+      $message,
+    );
+  }
+
+  /**
+   * Gets a comment of the review.
+   *
+   * @param string $commentId
+   *   The comment ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ReviewComment|null
+   *   The comment, or NULL if the review has no such comment.
+   */
+  public function getComment(string $commentId): ?ReviewComment {
+    return $this->comments[$commentId] ?? NULL;
+  }
+
+  /**
+   * Counts the comments that have not been resolved.
+   *
+   * @return int
+   *   The number of open comments.
+   */
+  public function countOpenComments(): int {
+    return count(array_filter($this->comments, fn(ReviewComment $comment): bool => !$comment->resolved));
+  }
+
+  /**
+   * Checks if the review approves a plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan about to be used.
+   *
+   * @return bool
+   *   TRUE if the review is approved and the plan has not been changed since
+   *   it was shared.
+   */
+  public function approves(ContentPlan $plan): bool {
+    return $this->status === ReviewStatus::APPROVED && self::hashPlan($plan) === self::hashPlan($this->plan);
+  }
+
+  /**
+   * Builds the hash of the reviewable content of a plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan.
+   *
+   * @return string
+   *   The hash.
+   */
+  public static function hashPlan(ContentPlan $plan): string {
+    $content = [$plan->title, $plan->summary];
+    foreach ($plan->sections as $section) {
+      foreach ($section->flatten() as $flatSection) {
+        $content[] = [$flatSection->id, $flatSection->title, $flatSection->content, $flatSection->componentType];
+      }
+    }
+    return hash('sha256', (string) json_encode($content));
+  }
+
+  /**
+   * Converts the review to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The review as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'owner_id' => $this->ownerId,
+      'plan' => $this->plan->toArray(),
+      'status' => $this->status->value,
+      'created_at' => $this->createdAt,
+      'updated_at' => $this->updatedAt,
+      'comments' => array_map(
+        fn(ReviewComment $comment): array => $comment->toArray(),
+        array_values($this->comments)
+      ),
+      'reviewer_id' => $this->reviewerId,
+      'reviewer_name' => $this->reviewerName,
+      'decision_message' => $this->decisionMessage,
+    ];
+  }
+
+  /**
+   * Creates a PlanReview instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new PlanReview instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'owner_id', 'plan'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    $comments = [];
+    foreach ($data['comments'] ?? [] as $commentData) {
+      $comment = ReviewComment::fromArray($commentData);
+      $comments[$comment->id] = $comment;
+    }
+
+    return new self(
+      id: $data['id'],
+      ownerId: (int) $data['owner_id'],
+      plan: ContentPlan::fromArray($data['plan']),
+      status: ReviewStatus::tryFrom($data['status'] ?? '') ?? ReviewStatus::PENDING,
+      createdAt: (int) ($data['created_at'] ?? 0),
+      updatedAt: (int) ($data['updated_at'] ?? 0),
+      comments: $comments,
+      reviewerId: isset($data['reviewer_id']) ? (int) $data['reviewer_id'] : NULL,
+      reviewerName: $data['reviewer_name'] ?? NULL,
+      decisionMessage: $data['decision_message'] ?? NULL,
+    );
+  }
+
+  /**
+   * Shares a plan for review.
+   *
+   * @param int $ownerId
+   *   The ID of the user sharing the plan.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan.
+   *
+   * @return self
+   *   The new review.
+   */
+  public static function create(int $ownerId, ContentPlan $plan): self {
+    return new self(
+      id: 'review_' . bin2hex(random_bytes(16)),
+      ownerId: $ownerId,
+      plan: $plan,
+      createdAt: time(),
+      updatedAt: time(),
+    );
+  }
+
+}
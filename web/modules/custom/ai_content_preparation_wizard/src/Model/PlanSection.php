@@ -29,6 +29,10 @@ final class PlanSection {
    *   Additional configuration for the Canvas component.
    * @param array<self> $children
    *   Nested child sections for hierarchical content.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\SourceSpan> $sourceSpans
+   *   The passages of the source documents this section is based on.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images shown in this section.
    */
   public function __construct(
     public readonly string $id,
@@ -38,6 +42,8 @@ final class PlanSection {
     public readonly int $order,
     public readonly array $componentConfig = [],
     public readonly array $children = [],
+    public readonly array $sourceSpans = [],
+    public readonly array $images = [],
   ) {}
 
   /**
@@ -58,6 +64,8 @@ final class PlanSection {
       $this->order,
       $this->componentConfig,
       $this->children,
+      $this->sourceSpans,
+      $this->images,
     );
   }
 
@@ -82,6 +90,8 @@ final class PlanSection {
       $this->order,
       $this->componentConfig,
       $children,
+      $this->sourceSpans,
+      $this->images,
     );
   }
 
@@ -103,6 +113,54 @@ final class PlanSection {
       $this->order,
       array_merge($this->componentConfig, $config),
       $this->children,
+      $this->sourceSpans,
+      $this->images,
+    );
+  }
+
+  /**
+   * Creates a new instance with updated source span references.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\SourceSpan> $sourceSpans
+   *   The source passages of this section.
+   *
+   * @return self
+   *   A new instance with the source spans replaced.
+   */
+  public function withSourceSpans(array $sourceSpans): self {
+    return new self(
+      $this->id,
+      $this->title,
+      $this->content,
+      $this->componentType,
+      $this->order,
+      $this->componentConfig,
+      $this->children,
+      array_values($sourceSpans),
+      $this->images,
+    );
+  }
+
+  /**
+   * Creates a new instance with other images.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images shown in this section.
+   *
+   * @return self
+   *   A new instance with the images replaced.
+   */
+  public function withImages(array $images): self {
+    return new self(
+      $this->id,
+      $this->title,
+      $this->content,
+      $this->componentType,
+      $this->order,
+      $this->componentConfig,
+      $this->children,
+      $this->sourceSpans,
+      array_values($images),
     );
   }
 
@@ -116,6 +174,17 @@ final class PlanSection {
     return !empty($this->children);
   }
 
+  /**
+   * Checks if the Step 2 editor lists this section.
+   *
+   * @return bool
+   *   TRUE if the section has content of its own. Sections without, such as
+   *   the parents of nested sections, are not listed.
+   */
+  public function isEditable(): bool {
+    return trim($this->content) !== '';
+  }
+
   /**
    * Gets the total word count including children.
    *
@@ -166,6 +235,14 @@ final class PlanSection {
         fn(self $child): array => $child->toArray(),
         $this->children
       ),
+      'source_spans' => array_map(
+        fn(SourceSpan $span): array => $span->toArray(),
+        $this->sourceSpans
+      ),
+      'images' => array_map(
+        fn(ExtractedImage $image): array => $image->toArray(),
+        $this->images
+      ),
     ];
   }
 
@@ -204,6 +281,14 @@ final class PlanSection {
       order: (int) $data['order'],
       componentConfig: $data['component_config'] ?? [],
       children: $children,
+      sourceSpans: array_map(
+        fn(array $spanData): SourceSpan => SourceSpan::fromArray($spanData),
+        $data['source_spans'] ?? []
+      ),
+      images: array_map(
+        fn(array $imageData): ExtractedImage => ExtractedImage::fromArray($imageData),
+        $data['images'] ?? []
+      ),
     );
   }
 
@@ -0,0 +1,191 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+use Drupal\ai_content_preparation_wizard\Enum\TranslationStatus;
+
+/**
+ * Immutable value object representing a translated variant of a content plan.
+ *
+ * The variant has the same sections as the source plan, with translated
+ * titles and content. It remembers the source text it was translated from,
+ * so translations of a plan that was edited afterwards can be flagged.
+ */
+final class PlanTranslation {
+
+  /**
+   * Constructs a PlanTranslation object.
+   *
+   * @param string $langcode
+   *   The language code of the translation.
+   * @param \Drupal\ai_content_preparation_wizard\Enum\TranslationStatus $status
+   *   The translation status.
+   * @param int $updatedAt
+   *   Unix timestamp of the last status change.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan|null $plan
+   *   The translated plan, or NULL if translating failed.
+   * @param string|null $sourceHash
+   *   The hash of the source plan text, see ::hashSource().
+   * @param string|null $error
+   *   The error message of a failed translation.
+   * @param int $attempts
+   *   How often the translation was retried.
+   */
+  public function __construct(
+    public readonly string $langcode,
+    public readonly TranslationStatus $status,
+    public readonly int $updatedAt = 0,
+    public readonly ?ContentPlan $plan = NULL,
+    public readonly ?string $sourceHash = NULL,
+    public readonly ?string $error = NULL,
+    public readonly int $attempts = 0,
+  ) {}
+
+  /**
+   * Creates a new TRANSLATED instance with a translated plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The translated plan.
+   * @param string $sourceHash
+   *   The hash of the source plan text it was translated from.
+   *
+   * @return self
+   *   A new instance with the plan.
+   */
+  public function withPlan(ContentPlan $plan, string $sourceHash): self {
+    return new self(
+      $this->langcode,
+      TranslationStatus::TRANSLATED,
+      time(),
+      $plan,
+      $sourceHash,
+      NULL,
+      $this->attempts,
+    );
+  }
+
+  /**
+   * Creates a new instance with an updated status.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Enum\TranslationStatus $status
+   *   The new status.
+   * @param string|null $error
+   *   The error message for the FAILED status.
+   *
+   * @return self
+   *   A new instance with the updated status.
+   */
+  public function withStatus(TranslationStatus $status, ?string $error = NULL): self {
+    return new self(
+      $this->langcode,
+      $status,
+      time(),
+      $this->plan,
+      $this->sourceHash,
+      $error,
+      $this->attempts,
+    );
+  }
+
+  /**
+   * Creates a new instance to retry a failed translation.
+   *
+   * @return self
+   *   A new instance with an increased attempt count.
+   */
+  public function withRetry(): self {
+    return new self(
+      $this->langcode,
+      $this->status,
+      $this->updatedAt,
+      $this->plan,
+      $this->sourceHash,
+      $this->error,
+      $this->attempts + 1,
+    );
+  }
+
+  /**
+   * Checks if the source plan was changed after it was translated.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $source
+   *   The current source plan.
+   *
+   * @return bool
+   *   TRUE if the translation is based on other source text.
+   */
+  public function isOutdated(ContentPlan $source): bool {
+    return $this->plan !== NULL && $this->sourceHash !== self::hashSource($source);
+  }
+
+  /**
+   * Builds the hash of the translatable text of a plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The source plan.
+   *
+   * @return string
+   *   The hash.
+   */
+  public static function hashSource(ContentPlan $plan): string {
+    $text = [$plan->title, $plan->summary];
+    foreach ($plan->sections as $section) {
+      foreach ($section->flatten() as $flatSection) {
+        $text[] = [$flatSection->id, $flatSection->title, $flatSection->content];
+      }
+    }
+    return hash('sha256', (string) json_encode($text));
+  }
+
+  /**
+   * Converts the translation to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The translation as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'langcode' => $this->langcode,
+      'status' => $this->status->value,
+      'updated_at' => $this->updatedAt,
+      'plan' => $this->plan?->toArray(),
+      'source_hash' => $this->sourceHash,
+      'error' => $this->error,
+      'attempts' => $this->attempts,
+    ];
+  }
+
+  /**
+   * Creates a PlanTranslation instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new PlanTranslation instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['langcode', 'status'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      langcode: $data['langcode'],
+      status: TranslationStatus::tryFrom($data['status']) ?? TranslationStatus::FAILED,
+      updatedAt: (int) ($data['updated_at'] ?? 0),
+      plan: !empty($data['plan']) ? ContentPlan::fromArray($data['plan']) : NULL,
+      sourceHash: $data['source_hash'] ?? NULL,
+      error: $data['error'] ?? NULL,
+      attempts: (int) ($data['attempts'] ?? 0),
+    );
+  }
+
+}
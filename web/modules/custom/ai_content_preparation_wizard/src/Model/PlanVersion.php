@@ -0,0 +1,133 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object representing a stored version of a content plan.
+ *
+ * A version is recorded for the initial plan and after every refinement, so
+ * editors can compare versions and revert to an earlier one.
+ */
+final class PlanVersion {
+
+  /**
+   * Constructs a PlanVersion object.
+   *
+   * @param string $id
+   *   Unique identifier for this version.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan as it was at this version.
+   * @param \DateTimeImmutable $createdAt
+   *   When this version was recorded.
+   * @param string|null $parentId
+   *   The ID of the version this one was derived from, if any.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly ContentPlan $plan,
+    public readonly \DateTimeImmutable $createdAt,
+    public readonly ?string $parentId = NULL,
+  ) {}
+
+  /**
+   * Gets the key identifying the plan state of this version.
+   *
+   * @return string
+   *   The version key.
+   */
+  public function getKey(): string {
+    return self::keyFor($this->plan);
+  }
+
+  /**
+   * Gets the refinement that produced this version.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\RefinementEntry|null
+   *   The refinement, or NULL for the initially generated plan.
+   */
+  public function getRefinement(): ?RefinementEntry {
+    return $this->plan->getLastRefinement();
+  }
+
+  /**
+   * Builds the key identifying a plan state.
+   *
+   * Two plans share a key when they have the same ID and the same latest
+   * refinement, i.e. when one is the other with only manual edits applied.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   *
+   * @return string
+   *   The version key.
+   */
+  public static function keyFor(ContentPlan $plan): string {
+    return $plan->id . ':' . ($plan->getLastRefinement()?->id ?? 'initial');
+  }
+
+  /**
+   * Converts the version to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The version as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'plan' => $this->plan->toArray(),
+      'created_at' => $this->createdAt->format(\DateTimeInterface::RFC3339),
+      'parent_id' => $this->parentId,
+    ];
+  }
+
+  /**
+   * Creates a PlanVersion instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new PlanVersion instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'plan', 'created_at'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      id: $data['id'],
+      plan: ContentPlan::fromArray($data['plan']),
+      createdAt: new \DateTimeImmutable($data['created_at']),
+      parentId: $data['parent_id'] ?? NULL,
+    );
+  }
+
+  /**
+   * Creates a new PlanVersion with a generated unique ID.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan to store.
+   * @param string|null $parentId
+   *   The ID of the version this one was derived from.
+   *
+   * @return self
+   *   A new PlanVersion instance.
+   */
+  public static function create(ContentPlan $plan, ?string $parentId = NULL): self {
+    return new self(
+      id: 'version_' . bin2hex(random_bytes(6)),
+      plan: $plan,
+      createdAt: new \DateTimeImmutable(),
+      parentId: $parentId,
+    );
+  }
+
+}
@@ -34,6 +34,8 @@ final class ProcessedDocument {
    *   The processor that was used.
    * @param \DateTimeImmutable $processedAt
    *   When the document was processed.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images extracted from the document, in order of appearance.
    */
   public function __construct(
     public readonly string $id,
@@ -44,8 +46,32 @@ final class ProcessedDocument {
     public readonly DocumentMetadata $metadata,
     public readonly ProcessingProvider $provider,
     public readonly \DateTimeImmutable $processedAt,
+    public readonly array $images = [],
   ) {}
 
+  /**
+   * Creates a new instance with different content.
+   *
+   * @param string $markdownContent
+   *   The new content in Markdown format.
+   *
+   * @return self
+   *   A new instance with the content replaced.
+   */
+  public function withMarkdownContent(string $markdownContent): self {
+    return new self(
+      $this->id,
+      $this->fileId,
+      $this->fileName,
+      $this->fileType,
+      $markdownContent,
+      $this->metadata,
+      $this->provider,
+      $this->processedAt,
+      $this->images,
+    );
+  }
+
   /**
    * Gets the word count of the markdown content.
    *
@@ -132,6 +158,10 @@ final class ProcessedDocument {
       'processed_at' => $this->processedAt->format(\DateTimeInterface::RFC3339),
       'word_count' => $this->getWordCount(),
       'character_count' => $this->getCharacterCount(),
+      'images' => array_map(
+        fn(ExtractedImage $image): array => $image->toArray(),
+        $this->images
+      ),
     ];
   }
 
@@ -174,6 +204,10 @@ final class ProcessedDocument {
       metadata: isset($data['metadata']) ? DocumentMetadata::fromArray($data['metadata']) : new DocumentMetadata(),
       provider: $provider,
       processedAt: new \DateTimeImmutable($data['processed_at']),
+      images: array_map(
+        fn(array $imageData): ExtractedImage => ExtractedImage::fromArray($imageData),
+        $data['images'] ?? []
+      ),
     );
   }
 
@@ -192,6 +226,8 @@ final class ProcessedDocument {
    *   The extracted metadata.
    * @param \Drupal\ai_content_preparation_wizard\Enum\ProcessingProvider $provider
    *   The provider used for processing.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images extracted from the document.
    *
    * @return self
    *   A new ProcessedDocument instance.
@@ -203,6 +239,7 @@ final class ProcessedDocument {
     string $markdownContent,
     DocumentMetadata $metadata,
     ProcessingProvider $provider,
+    array $images = [],
   ): self {
     return new self(
       id: 'doc_' . bin2hex(random_bytes(8)),
@@ -213,6 +250,7 @@ final class ProcessedDocument {
       metadata: $metadata,
       provider: $provider,
       processedAt: new \DateTimeImmutable(),
+      images: $images,
     );
   }
 
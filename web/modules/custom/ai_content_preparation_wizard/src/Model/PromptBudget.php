@@ -0,0 +1,121 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object with the estimated token budget of a plan prompt.
+ *
+ * Lists how many tokens the system prompt, the documents, the webpages and
+ * the AI contexts of a plan generation request take, and compares their sum
+ * with the context window of the configured model. Token counts are
+ * estimates, as they depend on the tokenizer of the model.
+ */
+final class PromptBudget {
+
+  /**
+   * The average number of characters per token used for estimates.
+   */
+  public const CHARS_PER_TOKEN = 4;
+
+  /**
+   * Constructs a PromptBudget object.
+   *
+   * @param array<int, array{type: string, label: string, preview: string, tokens: int, truncated: bool}> $items
+   *   The parts of the prompt. The type is 'system', 'document', 'webpage'
+   *   or 'context'; tokens is the estimate for the full content, and
+   *   truncated tells whether the content is longer than the generator
+   *   sends without summarizing or chunking it.
+   * @param int $tokenLimit
+   *   The context window of the model, in tokens.
+   * @param int $reservedTokens
+   *   The tokens kept free for the generated plan.
+   */
+  public function __construct(
+    public readonly array $items,
+    public readonly int $tokenLimit,
+    public readonly int $reservedTokens,
+  ) {}
+
+  /**
+   * Estimates the number of tokens of a text.
+   *
+   * @param string $text
+   *   The text.
+   *
+   * @return int
+   *   The estimated number of tokens.
+   */
+  public static function estimateTokens(string $text): int {
+    return (int) ceil(mb_strlen($text) / self::CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Gets the estimated number of tokens of the whole prompt.
+   *
+   * @return int
+   *   The sum of the tokens of all items.
+   */
+  public function getTotalTokens(): int {
+    return array_sum(array_column($this->items, 'tokens'));
+  }
+
+  /**
+   * Gets the number of tokens the prompt may take.
+   *
+   * @return int
+   *   The context window without the tokens reserved for the response.
+   */
+  public function getAvailableTokens(): int {
+    return max(0, $this->tokenLimit - $this->reservedTokens);
+  }
+
+  /**
+   * Checks whether the prompt is larger than the model accepts.
+   *
+   * @return bool
+   *   TRUE if the estimated prompt exceeds the available tokens.
+   */
+  public function isExceeded(): bool {
+    return $this->getTotalTokens() > $this->getAvailableTokens();
+  }
+
+  /**
+   * Gets the items whose content would be cut off.
+   *
+   * @return array<int, array{type: string, label: string, preview: string, tokens: int, truncated: bool}>
+   *   The truncated items.
+   */
+  public function getTruncatedItems(): array {
+    return array_values(array_filter($this->items, fn(array $item): bool => $item['truncated']));
+  }
+
+  /**
+   * Checks whether generation would lose source content.
+   *
+   * @return bool
+   *   TRUE if the budget is exceeded or content would be truncated, so the
+   *   editor should choose how oversized documents are handled.
+   */
+  public function hasOversizedContent(): bool {
+    return $this->isExceeded() || !empty($this->getTruncatedItems());
+  }
+
+  /**
+   * Converts the budget to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The budget as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'items' => $this->items,
+      'token_limit' => $this->tokenLimit,
+      'reserved_tokens' => $this->reservedTokens,
+      'total_tokens' => $this->getTotalTokens(),
+      'exceeded' => $this->isExceeded(),
+    ];
+  }
+
+}
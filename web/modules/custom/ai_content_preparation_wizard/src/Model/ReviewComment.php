@@ -0,0 +1,141 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object representing a comment on a content plan section.
+ */
+final class ReviewComment {
+
+  /**
+   * The maximum length of a comment, in characters.
+   */
+  public const MAX_LENGTH = 5000;
+
+  /**
+   * Constructs a ReviewComment object.
+   *
+   * @param string $id
+   *   Unique identifier for this comment.
+   * @param string $sectionId
+   *   The ID of the commented section.
+   * @param int $authorId
+   *   The ID of the user who wrote the comment.
+   * @param string $authorName
+   *   The display name of the author when the comment was written.
+   * @param string $body
+   *   The comment text.
+   * @param int $createdAt
+   *   Unix timestamp of when the comment was written.
+   * @param bool $resolved
+   *   Whether the comment has been resolved.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly string $sectionId,
+    public readonly int $authorId,
+    public readonly string $authorName,
+    public readonly string $body,
+    public readonly int $createdAt,
+    public readonly bool $resolved = FALSE,
+  ) {}
+
+  /**
+   * Creates a new instance with an updated resolved flag.
+   *
+   * @param bool $resolved
+   *   Whether the comment has been resolved.
+   *
+   * @return self
+   *   A new instance with the flag.
+   */
+  public function withResolved(bool $resolved): self {
+    return new self(
+      $this->id,
+      $this->sectionId,
+      $this->authorId,
+      $this->authorName,
+      $this->body,
+      $this->createdAt,
+      $resolved,
+    );
+  }
+
+  /**
+   * Converts the comment to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The comment as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'section_id' => $this->sectionId,
+      'author_id' => $this->authorId,
+      'author_name' => $this->authorName,
+      'body' => $this->body,
+      'created_at' => $this->createdAt,
+      'resolved' => $this->resolved,
+    ];
+  }
+
+  /**
+   * Creates a ReviewComment instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new ReviewComment instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'section_id', 'author_id', 'body'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      id: $data['id'],
+      sectionId: $data['section_id'],
+      authorId: (int) $data['author_id'],
+      authorName: $data['author_name'] ?? '',
+      body: $data['body'],
+      createdAt: (int) ($data['created_at'] ?? 0),
+      resolved: !empty($data['resolved']),
+    );
+  }
+
+  /**
+   * Creates a new comment.
+   *
+   * @param string $sectionId
+   *   The ID of the commented section.
+   * @param int $authorId
+   *   The ID of the author.
+   * @param string $authorName
+   *   The display name of the author.
+   * @param string $body
+   *   The comment text.
+   *
+   * @return self
+   *   The new comment.
+   */
+  public static function create(string $sectionId, int $authorId, string $authorName, string $body): self {
+    return new self(
+      id: 'comment_' . bin2hex(random_bytes(6)),
+      sectionId: $sectionId,
+      authorId: $authorId,
+      authorName: $authorName,
+      body: $body,
+      createdAt: time(),
+    );
+  }
+
+}
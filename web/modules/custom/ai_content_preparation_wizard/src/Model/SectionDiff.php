@@ -0,0 +1,73 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+use Drupal\ai_content_preparation_wizard\Enum\SectionChange;
+
+/**
+ * Immutable value object describing how a revised plan changes a page section.
+ */
+final class SectionDiff {
+
+  /**
+   * Constructs a SectionDiff object.
+   *
+   * @param string $id
+   *   The ID of the change: the revised section's ID, or the page section's
+   *   ID for removed sections.
+   * @param \Drupal\ai_content_preparation_wizard\Enum\SectionChange $change
+   *   The kind of change.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection|null $current
+   *   The section the page was built from, NULL for added sections.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection|null $revised
+   *   The section of the revised plan, NULL for removed sections.
+   * @param string|null $componentUuid
+   *   The UUID of the page component of the section. NULL for added
+   *   sections, and for sections whose component was deleted on the page.
+   * @param string $pageText
+   *   The text of the component as it is on the page now.
+   * @param bool $editedOnPage
+   *   Whether the component was edited on the page after the wizard wrote it.
+   * @param string|null $anchorUuid
+   *   For added sections, the component the new component is placed after,
+   *   or NULL to place it first.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly SectionChange $change,
+    public readonly ?PlanSection $current = NULL,
+    public readonly ?PlanSection $revised = NULL,
+    public readonly ?string $componentUuid = NULL,
+    public readonly string $pageText = '',
+    public readonly bool $editedOnPage = FALSE,
+    public readonly ?string $anchorUuid = NULL,
+  ) {}
+
+  /**
+   * Checks whether the change can be applied to the page.
+   *
+   * @return bool
+   *   FALSE for unchanged sections and for changed or removed sections whose
+   *   component was deleted on the page.
+   */
+  public function isApplicable(): bool {
+    return match ($this->change) {
+      SectionChange::ADDED => TRUE,
+      SectionChange::CHANGED, SectionChange::REMOVED => $this->componentUuid !== NULL,
+      SectionChange::UNCHANGED => FALSE,
+    };
+  }
+
+  /**
+   * Gets the title of the section.
+   *
+   * @return string
+   *   The revised title, or the current one for removed sections.
+   */
+  public function getTitle(): string {
+    return $this->revised?->title ?? $this->current?->title ?? '';
+  }
+
+}
@@ -0,0 +1,247 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+use Drupal\ai_content_preparation_wizard\Enum\CrawlPageStatus;
+
+/**
+ * Immutable value object representing a crawl of a site.
+ *
+ * A crawl starts from a page or a sitemap and follows links to pages of the
+ * same host, breadth first, until no page is left within the link depth or
+ * the page limit is reached. The pages are kept in discovery order.
+ */
+final class SiteCrawl {
+
+  /**
+   * Constructs a SiteCrawl object.
+   *
+   * @param string $id
+   *   Unique identifier for this crawl.
+   * @param int $userId
+   *   The ID of the user who started the crawl.
+   * @param string $startUrl
+   *   The URL of the start page or sitemap.
+   * @param int $createdAt
+   *   Unix timestamp of when the crawl was started.
+   * @param int $maxDepth
+   *   How many links are followed from the start page or sitemap.
+   * @param int $maxPages
+   *   How many pages are fetched at most.
+   * @param array<string> $includePatterns
+   *   Path patterns of the pages to fetch; empty for all pages.
+   * @param array<string> $excludePatterns
+   *   Path patterns of pages never to fetch.
+   * @param array<int, array{allow: bool, path: string}> $robotsRules
+   *   The Allow and Disallow rules of robots.txt that apply to the crawler.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\CrawledPage> $pages
+   *   The discovered pages, keyed by URL.
+   */
+  public function __construct(
+    public readonly string $id,
+    public readonly int $userId,
+    public readonly string $startUrl,
+    public readonly int $createdAt,
+    public readonly int $maxDepth,
+    public readonly int $maxPages,
+    public readonly array $includePatterns = [],
+    public readonly array $excludePatterns = [],
+    public readonly array $robotsRules = [],
+    public readonly array $pages = [],
+  ) {}
+
+  /**
+   * Creates a new instance with an added or replaced page.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\CrawledPage $page
+   *   The page.
+   *
+   * @return self
+   *   A new instance containing the page.
+   */
+  public function withPage(CrawledPage $page): self {
+    $pages = $this->pages;
+    $pages[$page->url] = $page;
+
+    return new self(
+      $this->id,
+      $this->userId,
+      $this->startUrl,
+      $this->createdAt,
+      $this->maxDepth,
+      $this->maxPages,
+      $this->includePatterns,
+      $this->excludePatterns,
+      $this->robotsRules,
+      $pages,
+    );
+  }
+
+  /**
+   * Gets the next page to crawl.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\CrawledPage|null
+   *   The first queued page, or NULL if there is none.
+   */
+  public function getNextPage(): ?CrawledPage {
+    foreach ($this->pages as $page) {
+      if ($page->status === CrawlPageStatus::QUEUED) {
+        return $page;
+      }
+    }
+    return NULL;
+  }
+
+  /**
+   * Gets the fetched pages.
+   *
+   * @return array<string, \Drupal\ai_content_preparation_wizard\Model\CrawledPage>
+   *   The fetched pages, keyed by URL, in discovery order.
+   */
+  public function getFetchedPages(): array {
+    return array_filter(
+      $this->pages,
+      static fn(CrawledPage $page): bool => $page->status === CrawlPageStatus::FETCHED,
+    );
+  }
+
+  /**
+   * Counts the pages per status.
+   *
+   * @return array<string, int>
+   *   Page counts keyed by status value, including statuses without pages.
+   */
+  public function getCounts(): array {
+    $counts = array_fill_keys(array_map(
+      static fn(CrawlPageStatus $status): string => $status->value,
+      CrawlPageStatus::cases(),
+    ), 0);
+    foreach ($this->pages as $page) {
+      $counts[$page->status->value]++;
+    }
+    return $counts;
+  }
+
+  /**
+   * Checks if the crawl has discovered as many pages as it may fetch.
+   *
+   * @return bool
+   *   TRUE if no more pages are queued.
+   */
+  public function isLimitReached(): bool {
+    $counts = $this->getCounts();
+    return count($this->pages) - $counts[CrawlPageStatus::BLOCKED->value] >= $this->maxPages;
+  }
+
+  /**
+   * Checks if the crawl is finished.
+   *
+   * @return bool
+   *   TRUE if no page is waiting to be crawled.
+   */
+  public function isFinished(): bool {
+    return $this->getNextPage() === NULL;
+  }
+
+  /**
+   * Converts the crawl to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The crawl as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'id' => $this->id,
+      'user_id' => $this->userId,
+      'start_url' => $this->startUrl,
+      'created_at' => $this->createdAt,
+      'max_depth' => $this->maxDepth,
+      'max_pages' => $this->maxPages,
+      'include_patterns' => $this->includePatterns,
+      'exclude_patterns' => $this->excludePatterns,
+      'robots_rules' => $this->robotsRules,
+      'pages' => array_values(array_map(
+        static fn(CrawledPage $page): array => $page->toArray(),
+        $this->pages,
+      )),
+    ];
+  }
+
+  /**
+   * Creates a SiteCrawl instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new SiteCrawl instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['id', 'user_id', 'start_url', 'created_at', 'max_depth', 'max_pages'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    $pages = [];
+    foreach ($data['pages'] ?? [] as $pageData) {
+      $page = CrawledPage::fromArray($pageData);
+      $pages[$page->url] = $page;
+    }
+
+    return new self(
+      id: $data['id'],
+      userId: (int) $data['user_id'],
+      startUrl: $data['start_url'],
+      createdAt: (int) $data['created_at'],
+      maxDepth: (int) $data['max_depth'],
+      maxPages: (int) $data['max_pages'],
+      includePatterns: $data['include_patterns'] ?? [],
+      excludePatterns: $data['exclude_patterns'] ?? [],
+      robotsRules: $data['robots_rules'] ?? [],
+      pages: $pages,
+    );
+  }
+
+  /**
+   * Creates a new SiteCrawl with a generated unique ID.
+   *
+   * @param int $userId
+   *   The ID of the user starting the crawl.
+   * @param string $startUrl
+   *   The URL of the start page or sitemap.
+   * @param int $maxDepth
+   *   How many links are followed from the start page or sitemap.
+   * @param int $maxPages
+   *   How many pages are fetched at most.
+   * @param array<string> $includePatterns
+   *   Path patterns of the pages to fetch; empty for all pages.
+   * @param array<string> $excludePatterns
+   *   Path patterns of pages never to fetch.
+   * @param array<int, array{allow: bool, path: string}> $robotsRules
+   *   The robots.txt rules that apply to the crawler.
+   *
+   * @return self
+   *   A new SiteCrawl instance without pages.
+   */
+  public static function create(int $userId, string $startUrl, int $maxDepth, int $maxPages, array $includePatterns = [], array $excludePatterns = [], array $robotsRules = []): self {
+    return new self(
+      id: 'crawl_' . bin2hex(random_bytes(8)),
+      userId: $userId,
+      startUrl: $startUrl,
+      createdAt: time(),
+      maxDepth: $maxDepth,
+      maxPages: $maxPages,
+      includePatterns: array_values($includePatterns),
+      excludePatterns: array_values($excludePatterns),
+      robotsRules: $robotsRules,
+    );
+  }
+
+}
@@ -0,0 +1,96 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Model;
+
+/**
+ * Immutable value object linking a plan section to a passage of its source.
+ *
+ * Offsets are character (not byte) offsets into the Markdown content of the
+ * ProcessedDocument or ProcessedWebpage with the given ID.
+ *
+ * @see \Drupal\ai_content_preparation_wizard\Service\SourceSpanMapperInterface
+ */
+final class SourceSpan {
+
+  /**
+   * Constructs a SourceSpan object.
+   *
+   * @param string $sourceId
+   *   The ID of the processed document or webpage.
+   * @param int $start
+   *   The offset of the first character of the passage.
+   * @param int $end
+   *   The offset after the last character of the passage.
+   * @param float $score
+   *   How closely the section matches the passage, from 0 to 1.
+   */
+  public function __construct(
+    public readonly string $sourceId,
+    public readonly int $start,
+    public readonly int $end,
+    public readonly float $score = 1.0,
+  ) {}
+
+  /**
+   * Checks if this span overlaps a range of the same source.
+   *
+   * @param string $sourceId
+   *   The source ID.
+   * @param int $start
+   *   The start offset of the range.
+   * @param int $end
+   *   The end offset of the range.
+   *
+   * @return bool
+   *   TRUE if the span and the range share at least one character.
+   */
+  public function overlaps(string $sourceId, int $start, int $end): bool {
+    return $this->sourceId === $sourceId && $this->start < $end && $start < $this->end;
+  }
+
+  /**
+   * Converts the span to an array for serialization.
+   *
+   * @return array<string, mixed>
+   *   The span as an associative array.
+   */
+  public function toArray(): array {
+    return [
+      'source_id' => $this->sourceId,
+      'start' => $this->start,
+      'end' => $this->end,
+      'score' => $this->score,
+    ];
+  }
+
+  /**
+   * Creates a SourceSpan instance from an array.
+   *
+   * @param array<string, mixed> $data
+   *   The data array from serialization.
+   *
+   * @return self
+   *   A new SourceSpan instance.
+   *
+   * @throws \InvalidArgumentException
+   *   If required data is missing.
+   */
+  public static function fromArray(array $data): self {
+    $requiredFields = ['source_id', 'start', 'end'];
+    foreach ($requiredFields as $field) {
+      if (!isset($data[$field])) {
+        throw new \InvalidArgumentException("Missing required field: {$field}");
+      }
+    }
+
+    return new self(
+      sourceId: (string) $data['source_id'],
+      start: (int) $data['start'],
+      end: (int) $data['end'],
+      score: (float) ($data['score'] ?? 1.0),
+    );
+  }
+
+}
@@ -16,6 +16,11 @@ use Drupal\ai_content_preparation_wizard\Enum\WizardStep;
  */
 final class WizardSession {
 
+  /**
+   * The maximum number of plan versions kept in the session.
+   */
+  public const MAX_PLAN_VERSIONS = 20;
+
   /**
    * The processed documents in this session.
    *
@@ -30,6 +35,58 @@ final class WizardSession {
    */
   private ?ContentPlan $contentPlan = NULL;
 
+  /**
+   * Stored versions of the content plan, keyed by version ID.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Model\PlanVersion[]
+   */
+  private array $planVersions = [];
+
+  /**
+   * The number of refinements made to the content plan.
+   *
+   * Unlike the refinement history of the plan, this count is kept when
+   * reverting to an earlier plan version.
+   */
+  private int $refinementCount = 0;
+
+  /**
+   * Unsaved Step 2 edits autosaved from the plan editor.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Model\PlanDraft|null
+   */
+  private ?PlanDraft $planDraft = NULL;
+
+  /**
+   * Translated variants of the content plan, keyed by language code.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Model\PlanTranslation[]
+   */
+  private array $planTranslations = [];
+
+  /**
+   * The ID of the Canvas page created from the plan.
+   *
+   * Only kept while translations of the page still need to be retried.
+   *
+   * @var string|null
+   */
+  private ?string $createdPageId = NULL;
+
+  /**
+   * The ID of the shared review of the plan.
+   *
+   * @var string|null
+   */
+  private ?string $reviewId = NULL;
+
+  /**
+   * The ID of the wizard-created Canvas page the plan updates.
+   *
+   * @var string|null
+   */
+  private ?string $targetPageId = NULL;
+
   /**
    * The current wizard step.
    *
@@ -215,6 +272,12 @@ final class WizardSession {
   /**
    * Sets the content plan.
    *
+   * A new plan version is recorded when the plan is new or has been refined
+   * since the last stored version. Manual edits and status changes update
+   * the current plan without recording a version. An autosaved draft that
+   * was based on a different plan state is discarded. The refinement count
+   * restarts for a new plan and never drops for the same plan.
+   *
    * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
    *   The content plan.
    *
@@ -222,19 +285,259 @@ final class WizardSession {
    *   This session for chaining.
    */
   public function setContentPlan(ContentPlan $plan): self {
+    $currentVersion = $this->getCurrentPlanVersion();
+    $this->refinementCount = $plan->id === $this->contentPlan?->id
+      ? max($this->refinementCount, $plan->getRefinementCount())
+      : $plan->getRefinementCount();
     $this->contentPlan = $plan;
+
+    if ($this->planDraft !== NULL && $this->planDraft->planKey !== PlanVersion::keyFor($plan)) {
+      $this->planDraft = NULL;
+    }
+
+    if ($this->findPlanVersionByKey(PlanVersion::keyFor($plan)) === NULL) {
+      $version = PlanVersion::create($plan, $currentVersion?->id);
+      $this->planVersions[$version->id] = $version;
+
+      // Drop the oldest versions once the limit is reached.
+      while (count($this->planVersions) > self::MAX_PLAN_VERSIONS) {
+        array_shift($this->planVersions);
+      }
+    }
+
     $this->touch();
     return $this;
   }
 
   /**
-   * Clears the content plan.
+   * Clears the content plan, its stored versions and translations.
    *
    * @return self
    *   This session for chaining.
    */
   public function clearContentPlan(): self {
     $this->contentPlan = NULL;
+    $this->planVersions = [];
+    $this->refinementCount = 0;
+    $this->planDraft = NULL;
+    $this->planTranslations = [];
+    $this->touch();
+    return $this;
+  }
+
+  /**
+   * Gets the number of refinements made to the content plan.
+   *
+   * @return int
+   *   The refinement count, including refinements of reverted versions.
+   */
+  public function getRefinementCount(): int {
+    return $this->refinementCount;
+  }
+
+  /**
+   * Gets the stored plan versions in chronological order.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanVersion[]
+   *   The plan versions, keyed by version ID.
+   */
+  public function getPlanVersions(): array {
+    return $this->planVersions;
+  }
+
+  /**
+   * Gets a stored plan version by ID.
+   *
+   * @param string $versionId
+   *   The version ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanVersion|null
+   *   The plan version, or NULL if not found.
+   */
+  public function getPlanVersion(string $versionId): ?PlanVersion {
+    return $this->planVersions[$versionId] ?? NULL;
+  }
+
+  /**
+   * Gets the stored version matching the current content plan.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanVersion|null
+   *   The current plan version, or NULL if there is no plan.
+   */
+  public function getCurrentPlanVersion(): ?PlanVersion {
+    if ($this->contentPlan === NULL) {
+      return NULL;
+    }
+    return $this->findPlanVersionByKey(PlanVersion::keyFor($this->contentPlan));
+  }
+
+  /**
+   * Finds a stored plan version by its key.
+   *
+   * @param string $key
+   *   The version key.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanVersion|null
+   *   The plan version, or NULL if not found.
+   */
+  private function findPlanVersionByKey(string $key): ?PlanVersion {
+    foreach ($this->planVersions as $version) {
+      if ($version->getKey() === $key) {
+        return $version;
+      }
+    }
+    return NULL;
+  }
+
+  /**
+   * Gets the autosaved plan draft.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanDraft|null
+   *   The draft, or NULL if there are no unsaved edits.
+   */
+  public function getPlanDraft(): ?PlanDraft {
+    return $this->planDraft;
+  }
+
+  /**
+   * Sets or clears the autosaved plan draft.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanDraft|null $draft
+   *   The draft, or NULL to discard it.
+   *
+   * @return self
+   *   This session for chaining.
+   */
+  public function setPlanDraft(?PlanDraft $draft): self {
+    $this->planDraft = $draft;
+    $this->touch();
+    return $this;
+  }
+
+  /**
+   * Gets the translated variants of the content plan.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanTranslation[]
+   *   The translations, keyed by language code.
+   */
+  public function getPlanTranslations(): array {
+    return $this->planTranslations;
+  }
+
+  /**
+   * Gets the translated variant of the content plan for a language.
+   *
+   * @param string $langcode
+   *   The language code.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanTranslation|null
+   *   The translation, or NULL if the plan was not translated to it.
+   */
+  public function getPlanTranslation(string $langcode): ?PlanTranslation {
+    return $this->planTranslations[$langcode] ?? NULL;
+  }
+
+  /**
+   * Adds or replaces a translated variant of the content plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanTranslation $translation
+   *   The translation.
+   *
+   * @return self
+   *   This session for chaining.
+   */
+  public function setPlanTranslation(PlanTranslation $translation): self {
+    $this->planTranslations[$translation->langcode] = $translation;
+    $this->touch();
+    return $this;
+  }
+
+  /**
+   * Removes a translated variant of the content plan.
+   *
+   * @param string $langcode
+   *   The language code.
+   *
+   * @return self
+   *   This session for chaining.
+   */
+  public function removePlanTranslation(string $langcode): self {
+    unset($this->planTranslations[$langcode]);
+    $this->touch();
+    return $this;
+  }
+
+  /**
+   * Gets the ID of the Canvas page created from the plan.
+   *
+   * @return string|null
+   *   The page ID, or NULL if no page has been created yet.
+   */
+  public function getCreatedPageId(): ?string {
+    return $this->createdPageId;
+  }
+
+  /**
+   * Sets the ID of the Canvas page created from the plan.
+   *
+   * @param string|null $pageId
+   *   The page ID, or NULL to clear it.
+   *
+   * @return self
+   *   This session for chaining.
+   */
+  public function setCreatedPageId(?string $pageId): self {
+    $this->createdPageId = $pageId;
+    $this->touch();
+    return $this;
+  }
+
+  /**
+   * Gets the ID of the shared review of the plan.
+   *
+   * @return string|null
+   *   The review ID, or NULL if the plan was not shared for review.
+   */
+  public function getReviewId(): ?string {
+    return $this->reviewId;
+  }
+
+  /**
+   * Sets the ID of the shared review of the plan.
+   *
+   * @param string|null $reviewId
+   *   The review ID, or NULL to clear it.
+   *
+   * @return self
+   *   This session for chaining.
+   */
+  public function setReviewId(?string $reviewId): self {
+    $this->reviewId = $reviewId;
+    $this->touch();
+    return $this;
+  }
+
+  /**
+   * Gets the ID of the Canvas page the plan updates.
+   *
+   * @return string|null
+   *   The page ID, or NULL if the plan creates a new page.
+   */
+  public function getTargetPageId(): ?string {
+    return $this->targetPageId;
+  }
+
+  /**
+   * Sets the ID of the Canvas page the plan updates.
+   *
+   * @param string|null $pageId
+   *   The page ID, or NULL to create a new page.
+   *
+   * @return self
+   *   This session for chaining.
+   */
+  public function setTargetPageId(?string $pageId): self {
+    $this->targetPageId = $pageId;
     $this->touch();
     return $this;
   }
@@ -524,6 +827,18 @@ final class WizardSession {
     };
   }
 
+  /**
+   * Marks the session as active without changing its data.
+   *
+   * Used to keep the session from expiring while the editor is still working.
+   *
+   * @return $this
+   */
+  public function markActive(): self {
+    $this->touch();
+    return $this;
+  }
+
   /**
    * Updates the updatedAt timestamp.
    */
@@ -557,6 +872,19 @@ final class WizardSession {
       'processed_documents' => $processedDocs,
       'processed_webpages' => $processedWebpages,
       'content_plan' => $this->contentPlan?->toArray(),
+      'plan_versions' => array_map(
+        fn(PlanVersion $version): array => $version->toArray(),
+        array_values($this->planVersions)
+      ),
+      'refinement_count' => $this->refinementCount,
+      'plan_draft' => $this->planDraft?->toArray(),
+      'plan_translations' => array_map(
+        fn(PlanTranslation $translation): array => $translation->toArray(),
+        array_values($this->planTranslations)
+      ),
+      'created_page_id' => $this->createdPageId,
+      'review_id' => $this->reviewId,
+      'target_page_id' => $this->targetPageId,
       'selected_contexts' => $this->selectedContexts,
       'template_id' => $this->templateId,
       'uploaded_file_ids' => $this->uploadedFileIds,
@@ -588,6 +916,9 @@ final class WizardSession {
     $session->uploadedFileIds = $data['uploaded_file_ids'] ?? [];
     $session->webpageUrls = $data['webpage_urls'] ?? [];
     $session->refinementInstructions = $data['refinement_instructions'] ?? NULL;
+    $session->createdPageId = isset($data['created_page_id']) ? (string) $data['created_page_id'] : NULL;
+    $session->reviewId = $data['review_id'] ?? NULL;
+    $session->targetPageId = isset($data['target_page_id']) ? (string) $data['target_page_id'] : NULL;
 
     if (!empty($data['processed_documents'])) {
       foreach ($data['processed_documents'] as $docData) {
@@ -605,6 +936,23 @@ final class WizardSession {
       $session->contentPlan = ContentPlan::fromArray($data['content_plan']);
     }
 
+    if (!empty($data['plan_versions'])) {
+      foreach ($data['plan_versions'] as $versionData) {
+        $session->planVersions[$versionData['id']] = PlanVersion::fromArray($versionData);
+      }
+    }
+    $session->refinementCount = (int) ($data['refinement_count'] ?? $session->contentPlan?->getRefinementCount() ?? 0);
+
+    if (!empty($data['plan_draft'])) {
+      $session->planDraft = PlanDraft::fromArray($data['plan_draft']);
+    }
+
+    if (!empty($data['plan_translations'])) {
+      foreach ($data['plan_translations'] as $translationData) {
+        $session->planTranslations[$translationData['langcode']] = PlanTranslation::fromArray($translationData);
+      }
+    }
+
     return $session;
   }
 
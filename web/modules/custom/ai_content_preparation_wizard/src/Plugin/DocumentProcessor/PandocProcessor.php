@@ -14,6 +14,7 @@ use Drupal\ai_content_preparation_wizard\Enum\ProcessingProvider;
 use Drupal\ai_content_preparation_wizard\Exception\DocumentProcessingException;
 use Drupal\ai_content_preparation_wizard\Model\DocumentMetadata;
 use Drupal\ai_content_preparation_wizard\Model\ProcessedDocument;
+use Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface;
 use Drupal\ai_content_preparation_wizard\Service\PandocConverterInterface;
 use Drupal\file\FileInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
@@ -48,6 +49,13 @@ class PandocProcessor extends DocumentProcessorBase {
    */
   protected ConfigFactoryInterface $configFactory;
 
+  /**
+   * The image importer service.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface
+   */
+  protected ImageImporterInterface $imageImporter;
+
   /**
    * Mapping of file extensions to Pandoc format identifiers.
    *
@@ -77,6 +85,8 @@ class PandocProcessor extends DocumentProcessorBase {
    *   The Pandoc converter service.
    * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
    *   The config factory service.
+   * @param \Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface $image_importer
+   *   The image importer service.
    */
   public function __construct(
     array $configuration,
@@ -86,10 +96,12 @@ class PandocProcessor extends DocumentProcessorBase {
     LoggerChannelFactoryInterface $logger_factory,
     PandocConverterInterface $pandoc_converter,
     ConfigFactoryInterface $config_factory,
+    ImageImporterInterface $image_importer,
   ) {
     parent::__construct($configuration, $plugin_id, $plugin_definition, $file_system, $logger_factory);
     $this->pandocConverter = $pandoc_converter;
     $this->configFactory = $config_factory;
+    $this->imageImporter = $image_importer;
   }
 
   /**
@@ -109,6 +121,7 @@ class PandocProcessor extends DocumentProcessorBase {
       $container->get('logger.factory'),
       $container->get('ai_content_preparation_wizard.pandoc_converter'),
       $container->get('config.factory'),
+      $container->get('ai_content_preparation_wizard.image_importer'),
     );
   }
 
@@ -181,9 +194,18 @@ class PandocProcessor extends DocumentProcessorBase {
 
     $this->logInfo('Processing file with Pandoc', $file, ['@format' => $format]);
 
+    // Embedded images are extracted next to the markdown and imported.
+    $mediaDirectory = $this->imageImporter->isEnabled() ? $this->imageImporter->prepareDirectory() : NULL;
+
     try {
       // Convert document to markdown.
-      $markdownContent = $this->pandocConverter->convertToMarkdown($realPath, $format);
+      $markdownContent = $this->pandocConverter->convertToMarkdown($realPath, $format, $mediaDirectory);
+
+      $images = [];
+      if ($mediaDirectory !== NULL) {
+        ['markdown' => $markdownContent, 'images' => $images] = $this->imageImporter->import($markdownContent, $mediaDirectory, $file);
+        $this->logInfo('Imported @count images', $file, ['@count' => count($images)]);
+      }
 
       // Save markdown log if logging is enabled in configuration.
       if ($this->configFactory->get('ai_content_preparation_wizard.settings')->get('enable_logging')) {
@@ -204,6 +226,7 @@ class PandocProcessor extends DocumentProcessorBase {
         markdownContent: $markdownContent,
         metadata: $metadata,
         provider: ProcessingProvider::PANDOC,
+        images: $images,
       );
     }
     catch (DocumentProcessingException $e) {
@@ -224,6 +247,11 @@ class PandocProcessor extends DocumentProcessorBase {
         $e
       );
     }
+    finally {
+      if ($mediaDirectory !== NULL) {
+        $this->imageImporter->removeDirectory($mediaDirectory);
+      }
+    }
   }
 
   /**
@@ -13,6 +13,7 @@ use Drupal\ai_content_preparation_wizard\Enum\ProcessingProvider;
 use Drupal\ai_content_preparation_wizard\Exception\DocumentProcessingException;
 use Drupal\ai_content_preparation_wizard\Model\DocumentMetadata;
 use Drupal\ai_content_preparation_wizard\Model\ProcessedDocument;
+use Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface;
 use Drupal\file\FileInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\Process\Exception\ProcessFailedException;
@@ -48,6 +49,20 @@ class PdfToTextProcessor extends DocumentProcessorBase {
    */
   protected string $pdfinfoPath;
 
+  /**
+   * The path to the pdfimages binary for image extraction.
+   *
+   * @var string
+   */
+  protected string $pdfimagesPath;
+
+  /**
+   * The image importer service.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface|null
+   */
+  protected ?ImageImporterInterface $imageImporter;
+
   /**
    * Constructs a PdfToTextProcessor object.
    *
@@ -65,6 +80,10 @@ class PdfToTextProcessor extends DocumentProcessorBase {
    *   Path to the pdftotext binary.
    * @param string $pdfinfo_path
    *   Path to the pdfinfo binary.
+   * @param string $pdfimages_path
+   *   Path to the pdfimages binary.
+   * @param \Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface|null $image_importer
+   *   The image importer service, NULL to keep only the text.
    */
   public function __construct(
     array $configuration,
@@ -74,10 +93,14 @@ class PdfToTextProcessor extends DocumentProcessorBase {
     LoggerChannelFactoryInterface $logger_factory,
     string $pdftotext_path = 'pdftotext',
     string $pdfinfo_path = 'pdfinfo',
+    string $pdfimages_path = 'pdfimages',
+    ?ImageImporterInterface $image_importer = NULL,
   ) {
     parent::__construct($configuration, $plugin_id, $plugin_definition, $file_system, $logger_factory);
     $this->pdftotextPath = $pdftotext_path;
     $this->pdfinfoPath = $pdfinfo_path;
+    $this->pdfimagesPath = $pdfimages_path;
+    $this->imageImporter = $image_importer;
   }
 
   /**
@@ -112,6 +135,12 @@ class PdfToTextProcessor extends DocumentProcessorBase {
       $pdfinfoPath = $pdfinfoPath ?: 'pdfinfo';
     }
 
+    // pdfimages ships with pdftotext, so look in the same directory.
+    $pdfimagesPath = 'pdfimages';
+    if ($pdftotextPath !== 'pdftotext' && file_exists(dirname($pdftotextPath) . '/pdfimages')) {
+      $pdfimagesPath = dirname($pdftotextPath) . '/pdfimages';
+    }
+
     return new static(
       $configuration,
       $plugin_id,
@@ -120,6 +149,8 @@ class PdfToTextProcessor extends DocumentProcessorBase {
       $container->get('logger.factory'),
       $pdftotextPath,
       $pdfinfoPath,
+      $pdfimagesPath,
+      $container->get('ai_content_preparation_wizard.image_importer'),
     );
   }
 
@@ -232,6 +263,23 @@ class PdfToTextProcessor extends DocumentProcessorBase {
     }
   }
 
+  /**
+   * Checks if pdfimages binary is available.
+   *
+   * @return bool
+   *   TRUE if pdfimages is available, FALSE otherwise.
+   */
+  protected function isPdfimagesAvailable(): bool {
+    try {
+      $process = new Process([$this->pdfimagesPath, '-v']);
+      $process->run();
+      return $process->isSuccessful() || str_contains($process->getErrorOutput(), 'pdfimages');
+    }
+    catch (\Exception $e) {
+      return FALSE;
+    }
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -271,13 +319,29 @@ class PdfToTextProcessor extends DocumentProcessorBase {
 
     $this->logInfo('Processing PDF with pdftotext', $file);
 
+    $imageDirectory = NULL;
+    if ($this->imageImporter?->isEnabled() && $this->isPdfimagesAvailable()) {
+      $imageDirectory = $this->imageImporter->prepareDirectory();
+    }
+
     try {
       // Extract text using pdftotext.
       $textContent = $this->extractText($realPath);
 
+      // Reference the images of each page after the text of that page.
+      if ($imageDirectory !== NULL) {
+        $textContent = $this->addImageReferences($textContent, $this->extractImages($realPath, $imageDirectory));
+      }
+
       // Convert to basic markdown format.
       $markdownContent = $this->convertToMarkdown($textContent, $file->getFilename());
 
+      $images = [];
+      if ($imageDirectory !== NULL) {
+        ['markdown' => $markdownContent, 'images' => $images] = $this->imageImporter->import($markdownContent, $imageDirectory, $file);
+        $this->logInfo('Imported @count images', $file, ['@count' => count($images)]);
+      }
+
       // Extract metadata.
       $metadata = $this->extractMetadata($file);
 
@@ -289,6 +353,7 @@ class PdfToTextProcessor extends DocumentProcessorBase {
         markdownContent: $markdownContent,
         metadata: $metadata,
         provider: ProcessingProvider::PDFTOTEXT,
+        images: $images,
       );
     }
     catch (DocumentProcessingException $e) {
@@ -308,6 +373,11 @@ class PdfToTextProcessor extends DocumentProcessorBase {
         $e
       );
     }
+    finally {
+      if ($imageDirectory !== NULL) {
+        $this->imageImporter->removeDirectory($imageDirectory);
+      }
+    }
   }
 
   /**
@@ -342,6 +412,79 @@ class PdfToTextProcessor extends DocumentProcessorBase {
     return $process->getOutput();
   }
 
+  /**
+   * Extracts the images of a PDF file using pdfimages.
+   *
+   * Soft masks and stencils are listed by pdfimages as separate images; only
+   * actual images are returned.
+   *
+   * @param string $filePath
+   *   The path to the PDF file.
+   * @param string $directory
+   *   The directory to extract the images to.
+   *
+   * @return array<int, array<string>>
+   *   The paths of the extracted images, keyed by page number.
+   */
+  protected function extractImages(string $filePath, string $directory): array {
+    $list = new Process([$this->pdfimagesPath, '-list', $filePath]);
+    $list->setTimeout(60);
+    $list->run();
+
+    // Lines look like "   1     0 image     640   480  rgb ...".
+    $imageNumbers = [];
+    foreach (explode("\n", $list->getOutput()) as $line) {
+      if (preg_match('/^\s*\d+\s+(\d+)\s+image\s/', $line, $matches)) {
+        $imageNumbers[(int) $matches[1]] = TRUE;
+      }
+    }
+    if (empty($imageNumbers)) {
+      return [];
+    }
+
+    $process = new Process([$this->pdfimagesPath, '-png', '-p', $filePath, $directory . '/img']);
+    $process->setTimeout(120);
+    $process->run();
+
+    if (!$process->isSuccessful()) {
+      $this->logger->warning('pdfimages failed: @error', ['@error' => $process->getErrorOutput()]);
+      return [];
+    }
+
+    // With -p the files are named img-PAGE-NUMBER.png.
+    $images = [];
+    foreach (glob($directory . '/img-*.png') ?: [] as $path) {
+      if (preg_match('/-(\d+)-(\d+)\.png$/', $path, $matches) && isset($imageNumbers[(int) $matches[2]])) {
+        $images[(int) $matches[1]][] = $path;
+      }
+    }
+    ksort($images);
+
+    return $images;
+  }
+
+  /**
+   * Adds Markdown references to the extracted images after each page.
+   *
+   * @param string $text
+   *   The text extracted by pdftotext, with pages separated by form feeds.
+   * @param array<int, array<string>> $images
+   *   The paths of the extracted images, keyed by page number.
+   *
+   * @return string
+   *   The text with image references.
+   */
+  protected function addImageReferences(string $text, array $images): string {
+    $pages = explode("\f", $text);
+    foreach ($images as $pageNumber => $paths) {
+      $index = min($pageNumber, count($pages)) - 1;
+      foreach ($paths as $path) {
+        $pages[$index] .= "\n\n![](" . $path . ")\n";
+      }
+    }
+    return implode("\f", $pages);
+  }
+
   /**
    * Converts extracted text to basic markdown format.
    *
@@ -389,7 +532,7 @@ class PdfToTextProcessor extends DocumentProcessorBase {
       $isAllCaps = $trimmedLine === mb_strtoupper($trimmedLine) && preg_match('/[A-Z]/', $trimmedLine);
       $nextLineBlank = !isset($lines[$i + 1]) || trim($lines[$i + 1]) === '';
 
-      if ($prevLineBlank && $isShortLine && ($isAllCaps || $nextLineBlank) && !preg_match('/^[\d\.\-\*]/', $trimmedLine)) {
+      if ($prevLineBlank && $isShortLine && ($isAllCaps || $nextLineBlank) && !preg_match('/^[\d\.\-\*!]/', $trimmedLine)) {
         // Format as heading.
         if ($isAllCaps && mb_strlen($trimmedLine) < 50) {
           $formatted[] = '## ' . ucwords(strtolower($trimmedLine));
@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Plugin\QueueWorker;
+
+use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
+use Drupal\Core\Queue\Attribute\QueueWorker;
+use Drupal\Core\Queue\QueueWorkerBase;
+use Drupal\Core\StringTranslation\TranslatableMarkup;
+use Drupal\ai_content_preparation_wizard\Service\BulkWizardManagerInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Processes the items of bulk wizard runs on cron.
+ *
+ * The bulk dashboard processes items while it is open; this worker finishes
+ * runs whose dashboard was closed. Items the dashboard already took care of
+ * are skipped.
+ */
+#[QueueWorker(
+  id: BulkWizardManagerInterface::QUEUE_NAME,
+  title: new TranslatableMarkup('Content Preparation Wizard bulk items'),
+  cron: ['time' => 60],
+)]
+final class BulkItemWorker extends QueueWorkerBase implements ContainerFactoryPluginInterface {
+
+  /**
+   * Constructs a BulkItemWorker object.
+   *
+   * @param array $configuration
+   *   The plugin configuration.
+   * @param string $plugin_id
+   *   The plugin ID.
+   * @param mixed $plugin_definition
+   *   The plugin definition.
+   * @param \Drupal\ai_content_preparation_wizard\Service\BulkWizardManagerInterface $bulkManager
+   *   The bulk wizard manager.
+   */
+  public function __construct(
+    array $configuration,
+    $plugin_id,
+    $plugin_definition,
+    protected BulkWizardManagerInterface $bulkManager,
+  ) {
+    parent::__construct($configuration, $plugin_id, $plugin_definition);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container, array $configuration, $plugin_id, $plugin_definition): static {
+    return new static(
+      $configuration,
+      $plugin_id,
+      $plugin_definition,
+      $container->get('ai_content_preparation_wizard.bulk_wizard_manager'),
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processItem($data): void {
+    if (empty($data['run_id']) || empty($data['item_id'])) {
+      return;
+    }
+
+    $this->bulkManager->processItem($data['run_id'], $data['item_id']);
+  }
+
+}
@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Plugin\QueueWorker;
+
+use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
+use Drupal\Core\Queue\Attribute\QueueWorker;
+use Drupal\Core\Queue\QueueWorkerBase;
+use Drupal\Core\StringTranslation\TranslatableMarkup;
+use Drupal\ai_content_preparation_wizard\Service\PlanJobManagerInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Processes the plan jobs of the JSON API on cron.
+ *
+ * Jobs are normally processed right after the request that started them;
+ * this worker finishes jobs whose request died. Jobs that were processed
+ * already are skipped.
+ */
+#[QueueWorker(
+  id: PlanJobManagerInterface::QUEUE_NAME,
+  title: new TranslatableMarkup('Content Preparation Wizard API plan jobs'),
+  cron: ['time' => 60],
+)]
+final class PlanJobWorker extends QueueWorkerBase implements ContainerFactoryPluginInterface {
+
+  /**
+   * Constructs a PlanJobWorker object.
+   *
+   * @param array $configuration
+   *   The plugin configuration.
+   * @param string $plugin_id
+   *   The plugin ID.
+   * @param mixed $plugin_definition
+   *   The plugin definition.
+   * @param \Drupal\ai_content_preparation_wizard\Service\PlanJobManagerInterface $jobManager
+   *   The plan job manager.
+   */
+  public function __construct(
+    array $configuration,
+    $plugin_id,
+    $plugin_definition,
+    protected PlanJobManagerInterface $jobManager,
+  ) {
+    parent::__construct($configuration, $plugin_id, $plugin_definition);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container, array $configuration, $plugin_id, $plugin_definition): static {
+    return new static(
+      $configuration,
+      $plugin_id,
+      $plugin_definition,
+      $container->get('ai_content_preparation_wizard.plan_job_manager'),
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processItem($data): void {
+    if (empty($data['job_id'])) {
+      return;
+    }
+
+    $this->jobManager->processJob($data['job_id']);
+  }
+
+}
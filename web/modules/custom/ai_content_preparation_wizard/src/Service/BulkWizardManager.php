@@ -0,0 +1,483 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Enum\BulkItemStatus;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Model\BulkItem;
+use Drupal\ai_content_preparation_wizard\Model\BulkRun;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface;
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Queue\QueueFactory;
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\file\FileInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Manages bulk wizard runs.
+ *
+ * Runs are stored in an expirable key/value collection rather than the
+ * user's private tempstore, so the queue worker can process them on cron.
+ * Item updates happen under a per-run lock; the slow document processing
+ * and plan generation happen outside of it.
+ */
+final class BulkWizardManager implements BulkWizardManagerInterface {
+
+  /**
+   * The key/value collection storing the runs.
+   *
+   * @var string
+   */
+  private const COLLECTION = 'ai_content_preparation_wizard.bulk_runs';
+
+  /**
+   * How long runs are kept after their last change, in seconds.
+   *
+   * @var int
+   */
+  private const RUN_TTL = 604800;
+
+  /**
+   * Seconds after which an item stuck in processing may be claimed again.
+   *
+   * @var int
+   */
+  private const STALE_TIMEOUT = 900;
+
+  /**
+   * Seconds to wait for the run lock.
+   *
+   * @var int
+   */
+  private const LOCK_WAIT = 10;
+
+  /**
+   * The key/value store.
+   *
+   * @var \Drupal\Core\KeyValueStore\KeyValueStoreExpirableInterface
+   */
+  private $store;
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs a BulkWizardManager.
+   *
+   * @param \Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface $keyValueFactory
+   *   The expirable key/value factory.
+   * @param \Drupal\Core\Lock\LockBackendInterface $lock
+   *   The lock backend.
+   * @param \Drupal\Core\Queue\QueueFactory $queueFactory
+   *   The queue factory.
+   * @param \Drupal\Core\Session\AccountProxyInterface $currentUser
+   *   The current user.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\ai_content_preparation_wizard\Service\DocumentProcessingServiceInterface $documentProcessing
+   *   The document processing service.
+   * @param \Drupal\ai_content_preparation_wizard\Service\WebpageProcessorInterface $webpageProcessor
+   *   The webpage processor.
+   * @param \Drupal\ai_content_preparation_wizard\Service\ContentPlanGeneratorInterface $planGenerator
+   *   The content plan generator.
+   * @param \Drupal\ai_content_preparation_wizard\Service\CanvasCreatorInterface $canvasCreator
+   *   The Canvas creator.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   */
+  public function __construct(
+    KeyValueExpirableFactoryInterface $keyValueFactory,
+    private readonly LockBackendInterface $lock,
+    private readonly QueueFactory $queueFactory,
+    private readonly AccountProxyInterface $currentUser,
+    private readonly TimeInterface $time,
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly DocumentProcessingServiceInterface $documentProcessing,
+    private readonly WebpageProcessorInterface $webpageProcessor,
+    private readonly ContentPlanGeneratorInterface $planGenerator,
+    private readonly CanvasCreatorInterface $canvasCreator,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->store = $keyValueFactory->get(self::COLLECTION);
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function createRun(array $fileIds, array $urls, array $contexts = [], ?string $templateId = NULL): BulkRun {
+    $items = [];
+
+    $fileIds = array_filter($fileIds);
+    $files = $fileIds ? $this->entityTypeManager->getStorage('file')->loadMultiple($fileIds) : [];
+    foreach ($files as $file) {
+      $items[] = BulkItem::create(BulkItem::SOURCE_FILE, (string) $file->id(), $file->getFilename());
+    }
+    foreach (array_unique(array_filter($urls)) as $url) {
+      $items[] = BulkItem::create(BulkItem::SOURCE_URL, $url, $url);
+    }
+
+    if (empty($items)) {
+      throw new \InvalidArgumentException('A bulk run needs at least one document or webpage URL.');
+    }
+    if (count($items) > self::MAX_ITEMS) {
+      throw new \InvalidArgumentException(sprintf('A bulk run can have at most %d items.', self::MAX_ITEMS));
+    }
+
+    $run = BulkRun::create((int) $this->currentUser->id(), $items, $contexts, $templateId);
+    $this->saveRun($run);
+
+    $queue = $this->queueFactory->get(self::QUEUE_NAME);
+    foreach ($run->items as $item) {
+      $queue->createItem(['run_id' => $run->id, 'item_id' => $item->id]);
+    }
+
+    $this->logger->info('Started bulk run @run with @count items.', [
+      '@run' => $run->id,
+      '@count' => count($items),
+    ]);
+
+    return $run;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getRun(string $runId): ?BulkRun {
+    $run = $this->loadRun($runId);
+    if ($run === NULL || $run->userId !== (int) $this->currentUser->id()) {
+      return NULL;
+    }
+    return $run;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processNext(string $runId): ?BulkItem {
+    if ($this->getRun($runId) === NULL) {
+      return NULL;
+    }
+
+    $item = $this->claimItem($runId, NULL);
+    return $item ? $this->runItem($runId, $item) : NULL;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processItem(string $runId, string $itemId): ?BulkItem {
+    $item = $this->claimItem($runId, $itemId);
+    return $item ? $this->runItem($runId, $item) : NULL;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function retryItems(string $runId, array $itemIds): BulkRun {
+    $requeued = [];
+
+    $run = $this->updateRun($runId, function (BulkRun $run) use ($itemIds, &$requeued): BulkRun {
+      foreach ($itemIds as $itemId) {
+        $item = $run->getItem((string) $itemId);
+        if ($item === NULL || $item->status !== BulkItemStatus::FAILED) {
+          continue;
+        }
+        $item = $item->withRetry();
+        $run = $run->withItem($item);
+        if ($item->status === BulkItemStatus::QUEUED) {
+          $requeued[] = $item->id;
+        }
+      }
+      return $run;
+    });
+
+    $queue = $this->queueFactory->get(self::QUEUE_NAME);
+    foreach ($requeued as $itemId) {
+      $queue->createItem(['run_id' => $runId, 'item_id' => $itemId]);
+    }
+
+    return $run;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function createPage(string $runId, string $itemId): BulkItem {
+    $run = $this->getRun($runId);
+    if ($run === NULL) {
+      throw new InvalidWizardStateException(sprintf('Bulk run %s does not exist.', $runId));
+    }
+
+    // Page creation is quick, so it runs under the lock to rule out
+    // creating the same page twice.
+    $this->acquireLock($runId);
+    try {
+      $run = $this->loadRun($runId);
+      $item = $run?->getItem($itemId);
+      if ($item === NULL) {
+        throw new InvalidWizardStateException(sprintf('Bulk item %s does not exist.', $itemId));
+      }
+      if ($item->status === BulkItemStatus::CREATED) {
+        return $item;
+      }
+      if ($item->status !== BulkItemStatus::READY || $item->plan === NULL) {
+        throw new InvalidWizardStateException(sprintf('Bulk item %s has no plan to create a page from.', $itemId));
+      }
+
+      try {
+        $page = $this->buildPage($run, $item->plan);
+        $item = $item->withPage((string) $page->id(), $page->toUrl()->toString());
+      }
+      catch (\Exception $e) {
+        $this->logger->error('Bulk page creation failed for @label: @message', [
+          '@label' => $item->label,
+          '@message' => $e->getMessage(),
+        ]);
+        $item = $item->withStatus(BulkItemStatus::FAILED, $e->getMessage());
+      }
+
+      $this->saveRun($run->withItem($item));
+      return $item;
+    }
+    finally {
+      $this->lock->release($this->getLockName($runId));
+    }
+  }
+
+  /**
+   * Converts the source of a claimed item and generates its plan.
+   *
+   * @param string $runId
+   *   The run ID.
+   * @param \Drupal\ai_content_preparation_wizard\Model\BulkItem $item
+   *   The item, already in the PROCESSING state.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkItem
+   *   The item in its final READY or FAILED state.
+   */
+  private function runItem(string $runId, BulkItem $item): BulkItem {
+    try {
+      $documents = [];
+      $options = [];
+      if ($item->sourceType === BulkItem::SOURCE_URL) {
+        $options['webpages'] = [$this->webpageProcessor->processUrl($item->source)];
+      }
+      else {
+        $file = $this->entityTypeManager->getStorage('file')->load($item->source);
+        if (!$file instanceof FileInterface) {
+          throw new \RuntimeException(sprintf('The file %s no longer exists.', $item->label));
+        }
+        $documents[] = $this->documentProcessing->process($file);
+      }
+
+      $item = $item->withStatus(BulkItemStatus::PLANNING);
+      $run = $this->saveItem($runId, $item);
+
+      $plan = $this->planGenerator->generate($documents, $run?->contexts ?? [], $run?->templateId, $options);
+      $item = $item->withPlan($plan);
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Bulk processing failed for @label: @message', [
+        '@label' => $item->label,
+        '@message' => $e->getMessage(),
+      ]);
+      $item = $item->withStatus(BulkItemStatus::FAILED, $e->getMessage());
+    }
+
+    $this->saveItem($runId, $item);
+    return $item;
+  }
+
+  /**
+   * Creates the Canvas page for a plan of a run.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\BulkRun $run
+   *   The run.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   *
+   * @return \Drupal\Core\Entity\EntityInterface
+   *   The created page.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException
+   */
+  private function buildPage(BulkRun $run, ContentPlan $plan) {
+    $options = [
+      'title' => $plan->title,
+      'status' => FALSE,
+      'owner' => (int) $this->currentUser->id(),
+    ];
+
+    if (!empty($run->templateId)) {
+      return $this->canvasCreator->createFromTemplate($plan, $run->templateId, $options);
+    }
+    return $this->canvasCreator->create($plan, $options);
+  }
+
+  /**
+   * Marks an item as processing, unless someone else is working on it.
+   *
+   * @param string $runId
+   *   The run ID.
+   * @param string|null $itemId
+   *   The item to claim, or NULL to claim the next waiting item.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkItem|null
+   *   The claimed item, or NULL if there was nothing to claim.
+   */
+  private function claimItem(string $runId, ?string $itemId): ?BulkItem {
+    $claimed = NULL;
+
+    $this->updateRun($runId, function (BulkRun $run) use ($itemId, &$claimed): BulkRun {
+      $item = $itemId === NULL ? $run->getNextItem(self::STALE_TIMEOUT) : $run->getItem($itemId);
+      if ($item === NULL || ($item->status !== BulkItemStatus::QUEUED && !$item->isStale(self::STALE_TIMEOUT))) {
+        return $run;
+      }
+      $claimed = $item->withStatus(BulkItemStatus::PROCESSING);
+      return $run->withItem($claimed);
+    }, FALSE);
+
+    return $claimed;
+  }
+
+  /**
+   * Stores the new state of an item.
+   *
+   * @param string $runId
+   *   The run ID.
+   * @param \Drupal\ai_content_preparation_wizard\Model\BulkItem $item
+   *   The item.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkRun|null
+   *   The updated run, or NULL if the run has expired meanwhile.
+   */
+  private function saveItem(string $runId, BulkItem $item): ?BulkRun {
+    try {
+      return $this->updateRun($runId, fn(BulkRun $run): BulkRun => $run->withItem($item));
+    }
+    catch (InvalidWizardStateException) {
+      return NULL;
+    }
+  }
+
+  /**
+   * Loads, changes and saves a run under its lock.
+   *
+   * @param string $runId
+   *   The run ID.
+   * @param callable $update
+   *   Receives the current run and returns the changed run.
+   * @param bool $required
+   *   Whether a missing run is an error.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkRun|null
+   *   The changed run, or NULL if it does not exist and is not required.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If a required run does not exist.
+   */
+  private function updateRun(string $runId, callable $update, bool $required = TRUE): ?BulkRun {
+    $this->acquireLock($runId);
+    try {
+      $run = $this->loadRun($runId);
+      if ($run === NULL) {
+        if ($required) {
+          throw new InvalidWizardStateException(sprintf('Bulk run %s does not exist.', $runId));
+        }
+        return NULL;
+      }
+
+      $run = $update($run);
+      $this->saveRun($run);
+      return $run;
+    }
+    finally {
+      $this->lock->release($this->getLockName($runId));
+    }
+  }
+
+  /**
+   * Loads a run regardless of its owner.
+   *
+   * @param string $runId
+   *   The run ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkRun|null
+   *   The run, or NULL if it does not exist or has expired.
+   */
+  private function loadRun(string $runId): ?BulkRun {
+    $data = $this->store->get($runId);
+    if (!is_array($data)) {
+      return NULL;
+    }
+
+    try {
+      return BulkRun::fromArray($data);
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->logger->warning('Discarding invalid bulk run @run: @message', [
+        '@run' => $runId,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+  }
+
+  /**
+   * Saves a run, extending its expiry.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\BulkRun $run
+   *   The run.
+   */
+  private function saveRun(BulkRun $run): void {
+    $this->store->setWithExpire($run->id, $run->toArray(), self::RUN_TTL);
+  }
+
+  /**
+   * Acquires the lock of a run, waiting for other requests to release it.
+   *
+   * @param string $runId
+   *   The run ID.
+   *
+   * @throws \RuntimeException
+   *   If the lock could not be acquired in time.
+   */
+  private function acquireLock(string $runId): void {
+    $name = $this->getLockName($runId);
+    $deadline = $this->time->getCurrentTime() + self::LOCK_WAIT;
+
+    while (!$this->lock->acquire($name)) {
+      if ($this->time->getCurrentTime() >= $deadline) {
+        throw new \RuntimeException(sprintf('Bulk run %s is locked.', $runId));
+      }
+      $this->lock->wait($name, 1);
+    }
+  }
+
+  /**
+   * Gets the lock name of a run.
+   *
+   * @param string $runId
+   *   The run ID.
+   *
+   * @return string
+   *   The lock name.
+   */
+  private function getLockName(string $runId): string {
+    return 'ai_content_preparation_wizard_bulk:' . $runId;
+  }
+
+}
@@ -0,0 +1,131 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\BulkItem;
+use Drupal\ai_content_preparation_wizard\Model\BulkRun;
+
+/**
+ * Interface for the bulk wizard manager.
+ *
+ * In bulk mode every uploaded document and webpage URL becomes its own
+ * content plan and Canvas page. Items are processed one at a time, either by
+ * the dashboard or by the queue worker on cron, so runs survive closed
+ * browser windows and long generation times.
+ */
+interface BulkWizardManagerInterface {
+
+  /**
+   * The name of the queue processing bulk items.
+   */
+  public const QUEUE_NAME = 'ai_content_preparation_wizard_bulk';
+
+  /**
+   * The maximum number of items of a single run.
+   */
+  public const MAX_ITEMS = 50;
+
+  /**
+   * Starts a bulk run and queues all of its items.
+   *
+   * @param array<int|string> $fileIds
+   *   The uploaded file IDs.
+   * @param array<string> $urls
+   *   The webpage URLs.
+   * @param array<string> $contexts
+   *   The selected AI context IDs.
+   * @param string|null $templateId
+   *   The Canvas page template ID, if any.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkRun
+   *   The new run.
+   *
+   * @throws \InvalidArgumentException
+   *   If there are no sources or more than self::MAX_ITEMS.
+   */
+  public function createRun(array $fileIds, array $urls, array $contexts = [], ?string $templateId = NULL): BulkRun;
+
+  /**
+   * Gets a run of the current user.
+   *
+   * @param string $runId
+   *   The run ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkRun|null
+   *   The run, or NULL if it does not exist, has expired or belongs to
+   *   another user.
+   */
+  public function getRun(string $runId): ?BulkRun;
+
+  /**
+   * Processes the next queued item of a run.
+   *
+   * The source is converted to Markdown and a content plan is generated for
+   * it. Failures are recorded on the item rather than thrown.
+   *
+   * @param string $runId
+   *   The run ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkItem|null
+   *   The processed item, or NULL if no item was waiting.
+   */
+  public function processNext(string $runId): ?BulkItem;
+
+  /**
+   * Processes a specific item of a run, unless it is already taken care of.
+   *
+   * Unlike the other methods this does not check the run owner, so the
+   * queue worker can process items on cron.
+   *
+   * @param string $runId
+   *   The run ID.
+   * @param string $itemId
+   *   The item ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkItem|null
+   *   The processed item, or NULL if the item is gone or was processed
+   *   already.
+   */
+  public function processItem(string $runId, string $itemId): ?BulkItem;
+
+  /**
+   * Queues failed items again.
+   *
+   * Items that already have a plan only failed to become a page, so they
+   * return to the ready state instead.
+   *
+   * @param string $runId
+   *   The run ID.
+   * @param array<string> $itemIds
+   *   The IDs of the items to retry. Items that did not fail are ignored.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkRun
+   *   The updated run.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the run does not exist.
+   */
+  public function retryItems(string $runId, array $itemIds): BulkRun;
+
+  /**
+   * Creates the Canvas page of a ready item.
+   *
+   * Pages are created unpublished and owned by the current user. A failed
+   * creation is recorded on the item rather than thrown.
+   *
+   * @param string $runId
+   *   The run ID.
+   * @param string $itemId
+   *   The item ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\BulkItem
+   *   The updated item.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the run or item does not exist or the item has no plan yet.
+   */
+  public function createPage(string $runId, string $itemId): BulkItem;
+
+}
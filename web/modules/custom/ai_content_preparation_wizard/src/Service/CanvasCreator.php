@@ -5,13 +5,21 @@ declare(strict_types=1);
 namespace Drupal\ai_content_preparation_wizard\Service;
 
 use Drupal\Component\Uuid\UuidInterface;
+use Drupal\ai_content_preparation_wizard\Enum\SectionChange;
 use Drupal\ai_content_preparation_wizard\Event\CanvasPageCreatedEvent;
 use Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException;
+use Drupal\ai_content_preparation_wizard\Model\ComponentMapping;
 use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\ExtractedImage;
 use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\SectionDiff;
+use Drupal\Core\Entity\ContentEntityInterface;
 use Drupal\Core\Entity\EntityInterface;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Entity\RevisionableInterface;
+use Drupal\Core\Entity\RevisionLogInterface;
 use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Theme\ComponentPluginManager;
 use League\CommonMark\CommonMarkConverter;
 use League\CommonMark\Exception\CommonMarkException;
 use Psr\Log\LoggerInterface;
@@ -63,12 +71,18 @@ class CanvasCreator implements CanvasCreatorInterface {
    *   The event dispatcher service.
    * @param \Drupal\Component\Uuid\UuidInterface $uuid
    *   The UUID generator service.
+   * @param \Drupal\Core\Theme\ComponentPluginManager $componentPluginManager
+   *   The Single Directory Components plugin manager.
+   * @param \Drupal\ai_content_preparation_wizard\Service\ImageImporterInterface $imageImporter
+   *   The image importer, for the URLs of section images.
    */
   public function __construct(
     protected readonly EntityTypeManagerInterface $entityTypeManager,
     LoggerChannelFactoryInterface $loggerFactory,
     protected readonly EventDispatcherInterface $eventDispatcher,
     protected readonly UuidInterface $uuid,
+    protected readonly ComponentPluginManager $componentPluginManager,
+    protected readonly ImageImporterInterface $imageImporter,
   ) {
     $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
   }
@@ -118,11 +132,21 @@ class CanvasCreator implements CanvasCreatorInterface {
       $page = $storage->create($values);
 
       // Build and set the component tree.
-      $components = $this->mapToComponents($plan);
+      $components = $this->mapToComponents($plan, $options['component_mappings'] ?? []);
       if (!empty($components)) {
         $this->setComponentTree($page, $components);
       }
 
+      // Every section is mapped to one component, in the same order.
+      $sectionComponents = [];
+      foreach ($this->flattenSections($plan) as $index => $section) {
+        if (isset($components[$index]['uuid'])) {
+          $sectionComponents[$section->id] = $components[$index]['uuid'];
+        }
+      }
+
+      $this->applyModerationOptions($page, $options);
+
       // Set URL alias if provided.
       if (isset($options['alias']) && $page->hasField('path')) {
         $page->set('path', ['alias' => $options['alias']]);
@@ -152,7 +176,7 @@ class CanvasCreator implements CanvasCreatorInterface {
       ]);
 
       // Dispatch the creation event.
-      $event = new CanvasPageCreatedEvent($page, $plan);
+      $event = new CanvasPageCreatedEvent($page, $plan, $sectionComponents);
       $this->eventDispatcher->dispatch($event, CanvasPageCreatedEvent::EVENT_NAME);
 
       return $page;
@@ -180,12 +204,12 @@ class CanvasCreator implements CanvasCreatorInterface {
   /**
    * {@inheritdoc}
    */
-  public function mapToComponents(ContentPlan $plan): array {
+  public function mapToComponents(ContentPlan $plan, array $mappings = []): array {
     $components = [];
     $order = 0;
 
     foreach ($plan->sections as $section) {
-      $sectionComponents = $this->mapSectionToComponents($section, $order);
+      $sectionComponents = $this->mapSectionToComponents($section, $order, NULL, NULL, $mappings);
       $components = array_merge($components, $sectionComponents);
       $order += count($sectionComponents);
     }
@@ -204,6 +228,8 @@ class CanvasCreator implements CanvasCreatorInterface {
    *   The parent component UUID if this is a child section.
    * @param string|null $slot
    *   The slot name in the parent component.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   Mappings chosen in the component mapping editor, keyed by section ID.
    *
    * @return array<int, array<string, mixed>>
    *   Array of component structures.
@@ -212,19 +238,26 @@ class CanvasCreator implements CanvasCreatorInterface {
     PlanSection $section,
     int $order,
     ?string $parentUuid = NULL,
-    ?string $slot = NULL
+    ?string $slot = NULL,
+    array $mappings = []
   ): array {
     $components = [];
     $componentUuid = $this->uuid->generate();
+    $mapping = $mappings[$section->id] ?? NULL;
 
-    // Get the Canvas component ID for this section type.
-    $componentId = $this->resolveComponentId($section->componentType);
+    // Get the Canvas component ID for this section type, unless the section
+    // was mapped to a component.
+    $componentId = $mapping !== NULL
+      ? $mapping->componentType
+      : $this->resolveComponentId($section->componentType);
 
     // Build the component structure.
     $component = [
       'uuid' => $componentUuid,
       'component_id' => $componentId,
-      'inputs' => $this->buildComponentInputs($section),
+      'inputs' => $this->buildImageInputs($section, $componentId, fn(ExtractedImage $image): array => [
+        'target_id' => $image->mediaId,
+      ]) + ($mapping !== NULL ? $this->buildMappedInputs($section, $mapping) : $this->buildComponentInputs($section)),
     ];
 
     // Add parent reference for nested components.
@@ -244,12 +277,18 @@ class CanvasCreator implements CanvasCreatorInterface {
 
     // Process child sections recursively.
     if ($section->hasChildren()) {
+      $slots = $this->getSlotNames($componentId);
       foreach ($section->children as $childIndex => $child) {
+        $childSlot = ($mappings[$child->id] ?? NULL)?->region ?? 'content';
+        // A component without the slot cannot hold the child, so the child
+        // follows the component instead.
+        $nested = $slots === NULL || in_array($childSlot, $slots, TRUE);
         $childComponents = $this->mapSectionToComponents(
           $child,
           $order + count($components),
-          $componentUuid,
-          'content'
+          $nested ? $componentUuid : $parentUuid,
+          $nested ? $childSlot : $slot,
+          $mappings
         );
         $components = array_merge($components, $childComponents);
       }
@@ -342,6 +381,9 @@ class CanvasCreator implements CanvasCreatorInterface {
         if (isset($section->componentConfig['media_id'])) {
           $inputs['image'] = $section->componentConfig['media_id'];
         }
+        elseif (!empty($section->images)) {
+          $inputs['image'] = $section->images[0]->mediaId;
+        }
         if (!empty($section->content)) {
           $inputs['alt'] = $section->content;
         }
@@ -367,6 +409,268 @@ class CanvasCreator implements CanvasCreatorInterface {
     return $inputs;
   }
 
+  /**
+   * Builds the component inputs of a mapped section.
+   *
+   * Only the props the mapping assigns a content source to are filled with
+   * section content. Component config of the section fills the other props
+   * the component declares.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The plan section.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ComponentMapping $mapping
+   *   The mapping of the section.
+   *
+   * @return array<string, mixed>
+   *   The component inputs structure.
+   */
+  protected function buildMappedInputs(PlanSection $section, ComponentMapping $mapping): array {
+    $props = $this->getPropDefinitions($mapping->componentType);
+    $inputs = $this->buildMappedSourceInputs($section, $mapping, $props);
+
+    foreach ($section->componentConfig as $key => $value) {
+      if (!isset($inputs[$key]) && ($props === [] || isset($props[$key]))) {
+        $inputs[$key] = $value;
+      }
+    }
+
+    return $inputs;
+  }
+
+  /**
+   * Fills the props a mapping assigns a content source to.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The plan section.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ComponentMapping $mapping
+   *   The mapping of the section.
+   * @param array<string, array<string, mixed>> $props
+   *   The JSON schemas of the component props, keyed by prop name.
+   *
+   * @return array<string, mixed>
+   *   The prop values, keyed by prop name. Sources the section has no
+   *   content for are left out.
+   */
+  protected function buildMappedSourceInputs(PlanSection $section, ComponentMapping $mapping, array $props): array {
+    $inputs = [];
+
+    foreach ($mapping->fieldMappings as $prop => $source) {
+      $value = match ($source) {
+        ComponentMapping::SOURCE_TITLE => $section->title,
+        // Section content is Markdown; rich text props take it as HTML and
+        // plain text props without the markup.
+        ComponentMapping::SOURCE_CONTENT => ($props[$prop]['contentMediaType'] ?? NULL) === 'text/html'
+          ? $this->convertMarkdownToHtml($section->content)
+          : trim(html_entity_decode(strip_tags($this->convertMarkdownToHtml($section->content)), ENT_QUOTES | ENT_HTML5)),
+        ComponentMapping::SOURCE_LIST_ITEMS => $this->parseListItems($section->content),
+        default => NULL,
+      };
+
+      if ($value !== NULL && $value !== '' && $value !== []) {
+        $inputs[(string) $prop] = $value;
+      }
+    }
+
+    return $inputs;
+  }
+
+  /**
+   * Gets the prop definitions of a component.
+   *
+   * @param string $componentId
+   *   The Canvas component ID.
+   *
+   * @return array<string, array<string, mixed>>
+   *   The JSON schemas of the props, keyed by prop name. Empty if the
+   *   component is not an available SDC.
+   */
+  protected function getPropDefinitions(string $componentId): array {
+    $pluginId = $this->resolveSdcPluginId($componentId);
+    if ($pluginId === NULL) {
+      return [];
+    }
+
+    return $this->componentPluginManager->find($pluginId)->metadata->schema['properties'] ?? [];
+  }
+
+  /**
+   * Gets the slot names of a component.
+   *
+   * @param string $componentId
+   *   The Canvas component ID.
+   *
+   * @return array<string>|null
+   *   The slot names, or NULL if the component is not an available SDC and
+   *   its slots are unknown.
+   */
+  protected function getSlotNames(string $componentId): ?array {
+    $pluginId = $this->resolveSdcPluginId($componentId);
+    if ($pluginId === NULL) {
+      return NULL;
+    }
+
+    return array_map('strval', array_keys($this->componentPluginManager->find($pluginId)->metadata->slots));
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildSectionPreview(PlanSection $section): array {
+    // Component options are Canvas component entity IDs, which are previewed
+    // as selected; other types go through the page creation mapping.
+    $componentId = str_starts_with($section->componentType, 'sdc.')
+      ? $section->componentType
+      : $this->resolveComponentId($section->componentType);
+    $inputs = $this->buildComponentInputs($section);
+
+    $children = [];
+    foreach ($section->children as $child) {
+      $children[$child->id] = $this->buildSectionPreview($child);
+    }
+
+    $pluginId = $this->resolveSdcPluginId($componentId);
+    if ($pluginId === NULL) {
+      return [
+        '#type' => 'container',
+        '#attributes' => ['class' => ['content-preparation-preview__fallback']],
+        'title' => [
+          '#type' => 'html_tag',
+          '#tag' => 'h2',
+          '#value' => $section->title,
+          '#access' => $section->title !== '',
+        ],
+        'content' => ['#markup' => $this->convertMarkdownToHtml($section->content)],
+        'images' => array_map(fn(ExtractedImage $image): array => [
+          '#type' => 'html_tag',
+          '#tag' => 'img',
+          '#attributes' => array_filter([
+            'src' => $this->imageImporter->getImageUrl($image),
+            'alt' => $image->alt,
+            'width' => $image->width,
+            'height' => $image->height,
+          ], fn($value): bool => $value !== NULL),
+        ], $section->images),
+        'children' => $children,
+      ];
+    }
+
+    // Only pass the inputs the component declares as props. Image props take
+    // the image itself rather than the media reference stored on the page.
+    $metadata = $this->componentPluginManager->find($pluginId)->metadata;
+    $imageProps = $this->buildImageInputs($section, $componentId, fn(ExtractedImage $image): array => array_filter([
+      'src' => $this->imageImporter->getImageUrl($image),
+      'alt' => $image->alt,
+      'width' => $image->width,
+      'height' => $image->height,
+    ], fn($value): bool => $value !== NULL));
+    $build = [
+      '#type' => 'component',
+      '#component' => $pluginId,
+      '#props' => $imageProps + array_intersect_key($inputs, $metadata->schema['properties'] ?? []),
+    ];
+
+    if ($children === []) {
+      return $build;
+    }
+
+    // Children are placed in the "content" slot on the page; show them after
+    // the component when it has no such slot.
+    if (isset($metadata->slots['content'])) {
+      $build['#slots'] = ['content' => $children];
+      return $build;
+    }
+
+    return ['component' => $build, 'children' => $children];
+  }
+
+  /**
+   * Gets the names of the props of a component that take an image.
+   *
+   * @param string $componentId
+   *   The Canvas component ID.
+   *
+   * @return array<string>
+   *   The prop names, in the order the component declares them.
+   */
+  protected function getImagePropNames(string $componentId): array {
+    $pluginId = $this->resolveSdcPluginId($componentId);
+    if ($pluginId === NULL) {
+      return [];
+    }
+
+    $names = [];
+    foreach ($this->componentPluginManager->find($pluginId)->metadata->schema['properties'] ?? [] as $name => $definition) {
+      // Canvas image props reference its image shape; once resolved, the
+      // shape is an object with a "src" property.
+      if (str_contains((string) ($definition['$ref'] ?? ''), 'image') || isset($definition['properties']['src'])) {
+        $names[] = (string) $name;
+      }
+    }
+
+    return $names;
+  }
+
+  /**
+   * Assigns the images of a section to the image props of its component.
+   *
+   * Images are assigned in order; images beyond the number of image props
+   * are not shown.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The plan section.
+   * @param string $componentId
+   *   The Canvas component ID.
+   * @param callable $format
+   *   Formats an image as a prop value.
+   *
+   * @return array<string, mixed>
+   *   The image props, keyed by prop name.
+   */
+  protected function buildImageInputs(PlanSection $section, string $componentId, callable $format): array {
+    if (empty($section->images)) {
+      return [];
+    }
+
+    $inputs = [];
+    foreach ($this->getImagePropNames($componentId) as $index => $name) {
+      if (!isset($section->images[$index])) {
+        break;
+      }
+      $inputs[$name] = $format($section->images[$index]);
+    }
+
+    return $inputs;
+  }
+
+  /**
+   * Resolves the Single Directory Component plugin ID of a Canvas component.
+   *
+   * @param string $componentId
+   *   The Canvas component ID, e.g. "sdc.mercury.hero" or "mercury:hero".
+   *
+   * @return string|null
+   *   The SDC plugin ID, or NULL if the component is not an available SDC.
+   */
+  protected function resolveSdcPluginId(string $componentId): ?string {
+    $pluginId = NULL;
+
+    if (str_starts_with($componentId, 'sdc.')) {
+      $parts = explode('.', $componentId, 3);
+      if (count($parts) === 3) {
+        $pluginId = $parts[1] . ':' . $parts[2];
+      }
+    }
+    elseif (str_contains($componentId, ':')) {
+      $pluginId = $componentId;
+    }
+
+    if ($pluginId === NULL || !$this->componentPluginManager->hasDefinition($pluginId)) {
+      return NULL;
+    }
+
+    return $pluginId;
+  }
+
   /**
    * Parses content into list items.
    *
@@ -424,6 +728,24 @@ class CanvasCreator implements CanvasCreatorInterface {
     }
   }
 
+  /**
+   * Applies the moderation state and revision log options to a new page.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The page.
+   * @param array<string, mixed> $options
+   *   The page creation options.
+   */
+  protected function applyModerationOptions(EntityInterface $page, array $options): void {
+    // The moderation state field only exists while a workflow applies.
+    if (!empty($options['moderation_state']) && $page instanceof ContentEntityInterface && $page->hasField('moderation_state')) {
+      $page->set('moderation_state', $options['moderation_state']);
+    }
+    if (!empty($options['revision_log']) && $page instanceof RevisionLogInterface) {
+      $page->setRevisionLogMessage($options['revision_log']);
+    }
+  }
+
   /**
    * Checks if the Canvas module is available.
    *
@@ -485,6 +807,8 @@ class CanvasCreator implements CanvasCreatorInterface {
         $newPage->set('owner', $options['owner']);
       }
 
+      $this->applyModerationOptions($newPage, $options);
+
       // Set URL alias if provided, otherwise let Pathauto generate one.
       if (isset($options['alias']) && $newPage->hasField('path') && !empty($options['alias'])) {
         $newPage->set('path', ['alias' => $options['alias'], 'pathauto' => 0]);
@@ -496,8 +820,9 @@ class CanvasCreator implements CanvasCreatorInterface {
 
       // Get the component tree from the cloned page and fill with section content.
       $componentTree = $newPage->getComponentTree();
+      $sectionComponents = [];
       if ($componentTree !== NULL) {
-        $filledComponents = $this->fillComponentsWithSectionContent($componentTree, $plan);
+        $filledComponents = $this->fillComponentsWithSectionContent($componentTree, $plan, $sectionComponents, $options['component_mappings'] ?? []);
         $this->setComponentTree($newPage, $filledComponents);
       }
 
@@ -534,7 +859,7 @@ class CanvasCreator implements CanvasCreatorInterface {
       ]);
 
       // Dispatch the creation event.
-      $event = new CanvasPageCreatedEvent($newPage, $plan);
+      $event = new CanvasPageCreatedEvent($newPage, $plan, $sectionComponents);
       $this->eventDispatcher->dispatch($event, CanvasPageCreatedEvent::EVENT_NAME);
 
       return $newPage;
@@ -560,6 +885,310 @@ class CanvasCreator implements CanvasCreatorInterface {
     }
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function addTranslation(EntityInterface $page, ContentPlan $plan, string $langcode, array $options = []): EntityInterface {
+    try {
+      if (!$page instanceof ContentEntityInterface || !$page->isTranslatable()) {
+        throw new CanvasCreationException(
+          'Canvas pages are not translatable. Enable translation for Canvas pages in the content language settings.',
+          $plan->title
+        );
+      }
+
+      // Translating only the title would change the components of all
+      // languages at once.
+      if (!$page->hasField('components') || !$page->getFieldDefinition('components')->isTranslatable()) {
+        throw new CanvasCreationException(
+          'The components of Canvas pages are not translatable. Enable translation for the components field in the content language settings.',
+          $plan->title
+        );
+      }
+
+      $translation = $page->hasTranslation($langcode)
+        ? $page->getTranslation($langcode)
+        : $page->addTranslation($langcode);
+
+      $translation->set('title', $options['title'] ?? $plan->title);
+      $translation->set('status', $options['status'] ?? FALSE);
+      if (!empty($plan->summary) && $translation->hasField('description')) {
+        $translation->set('description', $plan->summary);
+      }
+
+      // Let Pathauto generate the alias of the translation.
+      if ($translation->hasField('path')) {
+        $translation->set('path', ['pathauto' => 1]);
+      }
+
+      if (!empty($options['template_id'])) {
+        // Fill the template components of the source page, so every
+        // language shares the layout of the template.
+        $componentTree = $page->getUntranslated()->getComponentTree();
+        if ($componentTree !== NULL) {
+          $this->setComponentTree($translation, $this->fillComponentsWithSectionContent($componentTree, $plan));
+          foreach ($translation->getComponentTree() as $item) {
+            $item->optimizeInputs();
+          }
+        }
+      }
+      else {
+        $components = $this->mapToComponents($plan);
+        if (!empty($components)) {
+          $this->setComponentTree($translation, $components);
+        }
+      }
+
+      $violations = $translation->validate();
+      if ($violations->count() > 0) {
+        $errors = [];
+        foreach ($violations as $violation) {
+          $errors[] = sprintf('%s: %s', $violation->getPropertyPath(), $violation->getMessage());
+        }
+        throw new CanvasCreationException(
+          'Canvas page translation validation failed.',
+          $plan->title,
+          $errors
+        );
+      }
+
+      $translation->save();
+
+      $this->logger->info('Added the @langcode translation "@title" to Canvas page @id from content plan @plan_id.', [
+        '@langcode' => $langcode,
+        '@title' => $translation->label(),
+        '@id' => $page->id(),
+        '@plan_id' => $plan->id,
+      ]);
+
+      return $translation;
+    }
+    catch (CanvasCreationException $e) {
+      // Re-throw CanvasCreationException as-is.
+      throw $e;
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Failed to add the @langcode translation to Canvas page @id: @message', [
+        '@langcode' => $langcode,
+        '@id' => $page->id(),
+        '@message' => $e->getMessage(),
+      ]);
+
+      throw new CanvasCreationException(
+        sprintf('Failed to add the page translation: %s', $e->getMessage()),
+        $plan->title,
+        NULL,
+        0,
+        $e
+      );
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function updatePage(EntityInterface $page, array $changes, array $options = []): EntityInterface {
+    $title = (string) $page->label();
+    try {
+      if (!$page instanceof ContentEntityInterface || !$page->hasField('components')) {
+        throw new CanvasCreationException('The page has no Canvas components to update.', $title);
+      }
+
+      $components = array_values($page->get('components')->getValue());
+      foreach ($changes as $change) {
+        $components = match ($change->change) {
+          SectionChange::CHANGED => $this->updateSectionComponent($components, $change),
+          SectionChange::ADDED => $this->insertSectionComponent($components, $change),
+          SectionChange::REMOVED => $this->removeComponent($components, (string) $change->componentUuid),
+          SectionChange::UNCHANGED => $components,
+        };
+      }
+      $this->setComponentTree($page, $components);
+
+      if (method_exists($page, 'getComponentTree')) {
+        foreach ($page->getComponentTree() as $item) {
+          $item->optimizeInputs();
+        }
+      }
+
+      if ($page instanceof RevisionableInterface) {
+        $page->setNewRevision(TRUE);
+      }
+      if ($page instanceof RevisionLogInterface) {
+        $page->setRevisionCreationTime(time());
+        if (isset($options['revision_user'])) {
+          $page->setRevisionUserId((int) $options['revision_user']);
+        }
+      }
+      $this->applyModerationOptions($page, $options);
+
+      $violations = $page->validate();
+      if ($violations->count() > 0) {
+        $errors = [];
+        foreach ($violations as $violation) {
+          $errors[] = sprintf('%s: %s', $violation->getPropertyPath(), $violation->getMessage());
+        }
+        throw new CanvasCreationException(
+          'Canvas page validation failed.',
+          $title,
+          $errors
+        );
+      }
+
+      $page->save();
+
+      $this->logger->info('Updated @count sections of Canvas page "@title" (ID: @id) from a revised content plan.', [
+        '@count' => count($changes),
+        '@title' => $title,
+        '@id' => $page->id(),
+      ]);
+
+      return $page;
+    }
+    catch (CanvasCreationException $e) {
+      // Re-throw CanvasCreationException as-is.
+      throw $e;
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Failed to update Canvas page @id: @message', [
+        '@id' => $page->id(),
+        '@message' => $e->getMessage(),
+      ]);
+
+      throw new CanvasCreationException(
+        sprintf('Failed to update the Canvas page: %s', $e->getMessage()),
+        $title,
+        NULL,
+        0,
+        $e
+      );
+    }
+  }
+
+  /**
+   * Fills a revised section into its existing component.
+   *
+   * @param array<int, array<string, mixed>> $components
+   *   The component tree data.
+   * @param \Drupal\ai_content_preparation_wizard\Model\SectionDiff $change
+   *   The change of the section.
+   *
+   * @return array<int, array<string, mixed>>
+   *   The updated component tree data.
+   */
+  protected function updateSectionComponent(array $components, SectionDiff $change): array {
+    $revised = $change->revised;
+    $current = $change->current;
+    $imageIds = fn(PlanSection $section): array => array_map(fn(ExtractedImage $image): string => $image->id, $section->images);
+
+    // Only revised parts are filled in, so edits of the other inputs of the
+    // component are kept.
+    $section = new PlanSection(
+      $revised->id,
+      $current !== NULL && $current->title === $revised->title ? '' : $revised->title,
+      $current !== NULL && $current->content === $revised->content ? '' : $revised->content,
+      $revised->componentType,
+      $revised->order,
+      $revised->componentConfig,
+      [],
+      $revised->sourceSpans,
+      $current !== NULL && $imageIds($current) === $imageIds($revised) ? [] : $revised->images,
+    );
+
+    foreach ($components as &$component) {
+      if (($component['uuid'] ?? NULL) !== $change->componentUuid) {
+        continue;
+      }
+
+      $inputs = $component['inputs'] ?? [];
+      $decoded = is_string($inputs) ? (json_decode($inputs, TRUE) ?? []) : $inputs;
+      $filled = $this->fillComponentInputsFromSection(is_array($decoded) ? $decoded : [], $section, (string) ($component['component_id'] ?? ''));
+      $component['inputs'] = is_string($inputs)
+        ? json_encode($filled, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)
+        : $filled;
+
+      if ($section->title !== '') {
+        $component['label'] = $section->title;
+      }
+      break;
+    }
+
+    return $components;
+  }
+
+  /**
+   * Adds the component of a new section after its anchor component.
+   *
+   * The component is placed in the same slot as the anchor, or first on the
+   * page without an anchor. Children of the section are not added; they
+   * are changes of their own.
+   *
+   * @param array<int, array<string, mixed>> $components
+   *   The component tree data.
+   * @param \Drupal\ai_content_preparation_wizard\Model\SectionDiff $change
+   *   The change of the section.
+   *
+   * @return array<int, array<string, mixed>>
+   *   The updated component tree data.
+   */
+  protected function insertSectionComponent(array $components, SectionDiff $change): array {
+    $section = $change->revised;
+    $position = 0;
+    $parentUuid = NULL;
+    $slot = NULL;
+    foreach ($components as $index => $component) {
+      if ($change->anchorUuid !== NULL && ($component['uuid'] ?? NULL) === $change->anchorUuid) {
+        $position = $index + 1;
+        $parentUuid = $component['parent_uuid'] ?? NULL;
+        $slot = $component['slot'] ?? NULL;
+        break;
+      }
+    }
+
+    $withoutChildren = new PlanSection(
+      $section->id,
+      $section->title,
+      $section->content,
+      $section->componentType,
+      $section->order,
+      $section->componentConfig,
+      [],
+      $section->sourceSpans,
+      $section->images,
+    );
+    $component = $this->mapSectionToComponents($withoutChildren, $position, $parentUuid, $slot)[0];
+    $component['uuid'] = $change->componentUuid ?? $component['uuid'];
+
+    array_splice($components, $position, 0, [$component]);
+    return $components;
+  }
+
+  /**
+   * Removes a component and the components in its slots.
+   *
+   * @param array<int, array<string, mixed>> $components
+   *   The component tree data.
+   * @param string $uuid
+   *   The UUID of the component to remove.
+   *
+   * @return array<int, array<string, mixed>>
+   *   The updated component tree data.
+   */
+  protected function removeComponent(array $components, string $uuid): array {
+    $removed = [$uuid => TRUE];
+    // Children may be listed before their parent.
+    do {
+      $count = count($removed);
+      foreach ($components as $component) {
+        if (isset($component['parent_uuid'], $removed[$component['parent_uuid']])) {
+          $removed[$component['uuid']] = TRUE;
+        }
+      }
+    } while (count($removed) > $count);
+
+    return array_values(array_filter($components, fn(array $component): bool => !isset($removed[$component['uuid'] ?? ''])));
+  }
+
   /**
    * Fills component tree with content from plan sections.
    *
@@ -571,21 +1200,20 @@ class CanvasCreator implements CanvasCreatorInterface {
    *   The component tree from the template.
    * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
    *   The content plan with sections to fill.
+   * @param array<string, string> $sectionComponents
+   *   Receives the UUID of the component each section was filled into, keyed
+   *   by section ID.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   Mappings chosen in the component mapping editor, keyed by section ID.
    *
    * @return array<int, array<string, mixed>>
    *   The modified component tree data with filled content.
    */
-  protected function fillComponentsWithSectionContent($componentTree, ContentPlan $plan): array {
+  protected function fillComponentsWithSectionContent($componentTree, ContentPlan $plan, array &$sectionComponents = [], array $mappings = []): array {
     $components = $componentTree->getValue();
-    $sections = $plan->sections;
 
     // Build a flat list of sections for sequential matching.
-    $flatSections = [];
-    foreach ($sections as $section) {
-      foreach ($section->flatten() as $flatSection) {
-        $flatSections[] = $flatSection;
-      }
-    }
+    $flatSections = $this->flattenSections($plan);
 
     // Index for tracking which section to use next.
     $sectionIndex = 0;
@@ -624,7 +1252,7 @@ class CanvasCreator implements CanvasCreatorInterface {
       $sectionIndex++;
 
       // Fill the component inputs with section content.
-      $filledInputs = $this->fillComponentInputsFromSection($inputs, $section, $componentId);
+      $filledInputs = $this->fillComponentInputsFromSection($inputs, $section, $componentId, $mappings[$section->id] ?? NULL);
 
       // Re-encode as JSON string if it was originally a string.
       if (is_string($component['inputs'])) {
@@ -646,11 +1274,31 @@ class CanvasCreator implements CanvasCreatorInterface {
 
       // Update parent_uuid references in child components.
       $this->updateParentReferences($components, $oldUuid, $newUuid);
+      $sectionComponents[$section->id] = $newUuid;
     }
 
     return $components;
   }
 
+  /**
+   * Gets the sections of a plan and their children in page order.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   *
+   * @return array<int, \Drupal\ai_content_preparation_wizard\Model\PlanSection>
+   *   The sections.
+   */
+  protected function flattenSections(ContentPlan $plan): array {
+    $flatSections = [];
+    foreach ($plan->sections as $section) {
+      foreach ($section->flatten() as $flatSection) {
+        $flatSections[] = $flatSection;
+      }
+    }
+    return $flatSections;
+  }
+
   /**
    * Checks if a component is text-based and can receive content.
    *
@@ -698,15 +1346,28 @@ class CanvasCreator implements CanvasCreatorInterface {
    *   The plan section with content.
    * @param string $componentId
    *   The component ID for context.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ComponentMapping|null $mapping
+   *   The mapping of the section. Its prop mappings replace the guessing
+   *   below if the template component is of the mapped component type.
    *
    * @return array<string, mixed>
    *   The filled component inputs.
    */
-  protected function fillComponentInputsFromSection(array $inputs, PlanSection $section, string $componentId): array {
+  protected function fillComponentInputsFromSection(array $inputs, PlanSection $section, string $componentId, ?ComponentMapping $mapping = NULL): array {
     $filledInputs = $inputs;
     $contentFilled = FALSE;
     $titleFilled = FALSE;
 
+    if ($mapping !== NULL && $mapping->componentType === $componentId && !empty($mapping->fieldMappings)) {
+      foreach ($this->buildMappedSourceInputs($section, $mapping, $this->getPropDefinitions($componentId)) as $prop => $value) {
+        $filledInputs[$prop] = is_string($value) ? $this->fillFieldValue($inputs[$prop] ?? NULL, $value) : $value;
+      }
+      $imageInputs = array_intersect_key($this->buildImageInputs($section, $componentId, fn(ExtractedImage $image): array => [
+        'target_id' => $image->mediaId,
+      ]), $inputs);
+      return $imageInputs + $filledInputs;
+    }
+
     // Primary text content fields to fill with section content (long text).
     $contentFields = ['text', 'content', 'body', 'description', 'paragraph', 'quote'];
 
@@ -730,6 +1391,12 @@ class CanvasCreator implements CanvasCreatorInterface {
       }
     }
 
+    // Replace the template's images with the images of the section.
+    $imageInputs = array_intersect_key($this->buildImageInputs($section, $componentId, fn(ExtractedImage $image): array => [
+      'target_id' => $image->mediaId,
+    ]), $inputs);
+    $filledInputs = $imageInputs + $filledInputs;
+
     // If no content field was found but we have a title field with content, use it.
     // This handles components that only have a heading_text or title field.
     if (!$contentFilled && !$titleFilled && !empty($section->content)) {
@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace Drupal\ai_content_preparation_wizard\Service;
 
 use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
 use Drupal\Core\Entity\EntityInterface;
 
 /**
@@ -27,6 +28,11 @@ interface CanvasCreatorInterface {
    *   - 'owner': (int) User ID of the page owner.
    *   - 'description': (string) Meta description override.
    *   - 'template_id': (string|int) ID of a Canvas page to use as template.
+   *   - 'moderation_state': (string) Content moderation state, for pages
+   *     under a workflow.
+   *   - 'revision_log': (string) Revision log message.
+   *   - 'component_mappings': (array) ComponentMapping objects keyed by
+   *     section ID, choosing the component, props and slot of sections.
    *
    * @return \Drupal\Core\Entity\EntityInterface
    *   The created and saved Canvas page entity.
@@ -53,6 +59,12 @@ interface CanvasCreatorInterface {
    *   - 'status': (bool) Publication status (default: FALSE).
    *   - 'owner': (int) User ID of the page owner.
    *   - 'description': (string) Meta description override.
+   *   - 'moderation_state': (string) Content moderation state, for pages
+   *     under a workflow.
+   *   - 'revision_log': (string) Revision log message.
+   *   - 'component_mappings': (array) ComponentMapping objects keyed by
+   *     section ID. The prop mappings are used for template components of
+   *     the mapped component type.
    *
    * @return \Drupal\Core\Entity\EntityInterface
    *   The created and saved Canvas page entity.
@@ -63,6 +75,64 @@ interface CanvasCreatorInterface {
    */
   public function createFromTemplate(ContentPlan $plan, string|int $templateId, array $options = []): EntityInterface;
 
+  /**
+   * Adds a translation to a Canvas page created from a content plan.
+   *
+   * The translation gets the components of the translated plan. For pages
+   * created from a template, the template components of the page are filled
+   * with the translated sections instead. An existing translation in the
+   * language is replaced.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The Canvas page created from the source plan.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The translated content plan, see
+   *   ContentPlanGeneratorInterface::translate().
+   * @param string $langcode
+   *   The language code of the translation.
+   * @param array<string, mixed> $options
+   *   Additional options for the translation:
+   *   - 'title': (string) The translated page title.
+   *   - 'status': (bool) Publication status (default: FALSE).
+   *   - 'template_id': (string|int) The template the page was created from.
+   *
+   * @return \Drupal\Core\Entity\EntityInterface
+   *   The saved page translation.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException
+   *   When Canvas pages or their components are not translatable, or the
+   *   translation fails validation or cannot be saved.
+   */
+  public function addTranslation(EntityInterface $page, ContentPlan $plan, string $langcode, array $options = []): EntityInterface;
+
+  /**
+   * Applies section changes of a revised plan to a Canvas page.
+   *
+   * Changed sections are filled into their existing components, keeping the
+   * component's other inputs. Added sections get a new component after
+   * their anchor component, and the components of removed sections are
+   * deleted with their children. All other components are left as they are.
+   * The page is saved as a new revision.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The Canvas page.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\SectionDiff> $changes
+   *   The changes to apply, in page order. Added sections must have the
+   *   UUID to give their new component.
+   * @param array<string, mixed> $options
+   *   Additional options for the revision:
+   *   - 'revision_log': (string) Revision log message.
+   *   - 'revision_user': (int) The user ID of the revision author.
+   *
+   * @return \Drupal\Core\Entity\EntityInterface
+   *   The saved page.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException
+   *   When the page has no component tree, or the updated page fails
+   *   validation or cannot be saved.
+   */
+  public function updatePage(EntityInterface $page, array $changes, array $options = []): EntityInterface;
+
   /**
    * Maps content plan sections to Canvas component structures.
    *
@@ -71,10 +141,28 @@ interface CanvasCreatorInterface {
    *
    * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
    *   The content plan containing sections to map.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   Mappings chosen in the component mapping editor, keyed by section ID.
+   *   Sections without a mapping get the default component for their type.
    *
    * @return array<int, array<string, mixed>>
    *   Array of component structures ready for the Canvas page.
    */
-  public function mapToComponents(ContentPlan $plan): array;
+  public function mapToComponents(ContentPlan $plan, array $mappings = []): array;
+
+  /**
+   * Builds a render array previewing a plan section as a Canvas component.
+   *
+   * Uses the same component and input mapping as page creation, without
+   * creating or saving any entity. Sections whose component cannot be
+   * rendered as a Single Directory Component get a plain fallback.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The plan section to preview, including its children.
+   *
+   * @return array<string, mixed>
+   *   A render array for the section.
+   */
+  public function buildSectionPreview(PlanSection $section): array;
 
 }
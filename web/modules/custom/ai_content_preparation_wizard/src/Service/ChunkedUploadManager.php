@@ -0,0 +1,431 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Model\ChunkedUpload;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\File\FileExists;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface;
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\Core\StringTranslation\ByteSizeMarkup;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Manages resumable chunked uploads.
+ *
+ * Upload state is kept in an expirable key/value collection; the received
+ * bytes are collected in a temporary part file. Chunks are appended under a
+ * per-upload lock, so a chunk that is retried while the first attempt is
+ * still running cannot be written twice.
+ */
+final class ChunkedUploadManager implements ChunkedUploadManagerInterface {
+
+  use StringTranslationTrait;
+
+  /**
+   * The key/value collection storing the uploads.
+   *
+   * @var string
+   */
+  private const COLLECTION = 'ai_content_preparation_wizard.uploads';
+
+  /**
+   * How long uploads can be resumed after their last chunk, in seconds.
+   *
+   * @var int
+   */
+  private const UPLOAD_TTL = 86400;
+
+  /**
+   * The directory collecting the received bytes.
+   *
+   * @var string
+   */
+  private const PART_DIRECTORY = 'temporary://ai_content_preparation_wizard/uploads';
+
+  /**
+   * The directory of complete files, the same as for managed_file uploads.
+   *
+   * @var string
+   */
+  private const DESTINATION = 'private://ai_content_preparation_wizard';
+
+  /**
+   * Seconds to wait for the upload lock.
+   *
+   * @var int
+   */
+  private const LOCK_WAIT = 10;
+
+  /**
+   * Seconds the upload lock is held at most; covers processing the file.
+   *
+   * @var int
+   */
+  private const LOCK_TIMEOUT = 600;
+
+  /**
+   * The key/value store.
+   *
+   * @var \Drupal\Core\KeyValueStore\KeyValueStoreExpirableInterface
+   */
+  private $store;
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs a ChunkedUploadManager.
+   *
+   * @param \Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface $keyValueFactory
+   *   The expirable key/value factory.
+   * @param \Drupal\Core\Lock\LockBackendInterface $lock
+   *   The lock backend.
+   * @param \Drupal\Core\Session\AccountProxyInterface $currentUser
+   *   The current user.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\Core\File\FileSystemInterface $fileSystem
+   *   The file system service.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $configFactory
+   *   The config factory.
+   * @param \Drupal\ai_content_preparation_wizard\Service\DocumentProcessingServiceInterface $documentProcessing
+   *   The document processing service.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   */
+  public function __construct(
+    KeyValueExpirableFactoryInterface $keyValueFactory,
+    private readonly LockBackendInterface $lock,
+    private readonly AccountProxyInterface $currentUser,
+    private readonly TimeInterface $time,
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly FileSystemInterface $fileSystem,
+    private readonly ConfigFactoryInterface $configFactory,
+    private readonly DocumentProcessingServiceInterface $documentProcessing,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->store = $keyValueFactory->get(self::COLLECTION);
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validate(string $filename, int $size): array {
+    $config = $this->configFactory->get('ai_content_preparation_wizard.settings');
+    $extensions = $config->get('allowed_extensions') ?? ['txt', 'md', 'docx', 'pdf'];
+    $maxSize = (int) ($config->get('max_file_size') ?? 10485760);
+    $errors = [];
+
+    $extension = mb_strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+    if (!in_array($extension, $extensions, TRUE)) {
+      $errors[] = (string) $this->t('%name is not a supported file type. Allowed types: @extensions.', [
+        '%name' => $filename,
+        '@extensions' => implode(', ', $extensions),
+      ]);
+    }
+    if ($size <= 0) {
+      $errors[] = (string) $this->t('%name is empty.', ['%name' => $filename]);
+    }
+    elseif ($size > $maxSize) {
+      $errors[] = (string) $this->t('%name is @size, which exceeds the maximum file size of @max.', [
+        '%name' => $filename,
+        '@size' => ByteSizeMarkup::create($size),
+        '@max' => ByteSizeMarkup::create($maxSize),
+      ]);
+    }
+
+    return $errors;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function start(string $filename, int $size): ChunkedUpload {
+    $filename = trim($this->fileSystem->basename(str_replace('\\', '/', $filename)));
+    if ($errors = $this->validate($filename, $size)) {
+      throw new \InvalidArgumentException(strip_tags(reset($errors)));
+    }
+
+    $directory = self::PART_DIRECTORY;
+    if (!$this->fileSystem->prepareDirectory($directory, FileSystemInterface::CREATE_DIRECTORY | FileSystemInterface::MODIFY_PERMISSIONS)) {
+      throw new \RuntimeException(sprintf('The upload directory %s is not writable.', $directory));
+    }
+    $this->deleteAbandonedParts();
+
+    $upload = ChunkedUpload::create((int) $this->currentUser->id(), $filename, $size);
+    if (file_put_contents($this->getPartUri($upload->id), '') === FALSE) {
+      throw new \RuntimeException(sprintf('The upload %s could not be started.', $upload->id));
+    }
+    $this->saveUpload($upload);
+
+    return $upload;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function upload(string $filename, int $size, $data): ChunkedUpload {
+    $upload = $this->start($filename, $size);
+
+    try {
+      while (!$upload->isComplete()) {
+        $chunk = fopen('php://temp', 'r+b');
+        try {
+          if (!stream_copy_to_stream($data, $chunk, min(self::CHUNK_SIZE, $size - $upload->received))) {
+            throw new \InvalidArgumentException(sprintf('The data ended after %d of %d bytes.', $upload->received, $size));
+          }
+          rewind($chunk);
+          $upload = $this->appendChunk($upload->id, $upload->received, $chunk);
+        }
+        finally {
+          fclose($chunk);
+        }
+      }
+    }
+    catch (\Exception $e) {
+      $this->cancel($upload->id);
+      throw $e;
+    }
+
+    return $upload;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getUpload(string $uploadId): ?ChunkedUpload {
+    $data = $this->store->get($uploadId);
+    if (!is_array($data)) {
+      return NULL;
+    }
+
+    try {
+      $upload = ChunkedUpload::fromArray($data);
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->logger->warning('Discarding invalid upload @upload: @message', [
+        '@upload' => $uploadId,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+
+    return $upload->userId === (int) $this->currentUser->id() ? $upload : NULL;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function appendChunk(string $uploadId, int $offset, $data): ChunkedUpload {
+    $this->acquireLock($uploadId);
+    try {
+      $upload = $this->getUpload($uploadId);
+      if ($upload === NULL) {
+        throw new InvalidWizardStateException(sprintf('Upload %s does not exist.', $uploadId));
+      }
+      if ($upload->isComplete() || $offset !== $upload->received) {
+        throw new InvalidWizardStateException(sprintf('Upload %s expects offset %d, not %d.', $uploadId, $upload->received, $offset));
+      }
+
+      $handle = fopen($this->getPartUri($upload->id), 'c+b');
+      if ($handle === FALSE) {
+        throw new \RuntimeException(sprintf('The upload %s could not be opened.', $uploadId));
+      }
+      try {
+        // Drops the bytes of chunks that were interrupted halfway.
+        ftruncate($handle, $offset);
+        fseek($handle, $offset);
+        $written = stream_copy_to_stream($data, $handle, self::CHUNK_SIZE + 1);
+        if ($written === FALSE) {
+          throw new \RuntimeException(sprintf('The chunk of upload %s could not be stored.', $uploadId));
+        }
+        if ($written === 0 || $written > self::CHUNK_SIZE || $offset + $written > $upload->size) {
+          ftruncate($handle, $offset);
+          throw new \InvalidArgumentException(sprintf('Chunks must have 1 to %d bytes and must not exceed the file size.', self::CHUNK_SIZE));
+        }
+      }
+      finally {
+        fclose($handle);
+      }
+
+      $upload = $upload->withReceived($offset + $written);
+      if ($upload->received === $upload->size) {
+        $upload = $this->complete($upload);
+      }
+      $this->saveUpload($upload);
+
+      return $upload;
+    }
+    finally {
+      $this->lock->release($this->getLockName($uploadId));
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function cancel(string $uploadId): void {
+    $upload = $this->getUpload($uploadId);
+    if ($upload === NULL) {
+      return;
+    }
+
+    $this->store->delete($upload->id);
+    if (!$upload->isComplete()) {
+      $this->fileSystem->delete($this->getPartUri($upload->id));
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFileIds(array $uploadIds): array {
+    $fileIds = [];
+    foreach (array_unique(array_filter($uploadIds, 'is_string')) as $uploadId) {
+      $upload = $this->getUpload($uploadId);
+      if ($upload !== NULL && $upload->isUsable()) {
+        $fileIds[] = $upload->fileId;
+      }
+    }
+    return $fileIds;
+  }
+
+  /**
+   * Turns a fully received upload into a file entity and processes it.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload $upload
+   *   The upload with all bytes received.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload
+   *   The complete upload with the processing result.
+   */
+  private function complete(ChunkedUpload $upload): ChunkedUpload {
+    $directory = self::DESTINATION;
+    if (!$this->fileSystem->prepareDirectory($directory, FileSystemInterface::CREATE_DIRECTORY | FileSystemInterface::MODIFY_PERMISSIONS)) {
+      throw new \RuntimeException(sprintf('The upload destination %s is not writable.', $directory));
+    }
+    $uri = $this->fileSystem->move($this->getPartUri($upload->id), $directory . '/' . $upload->filename, FileExists::Rename);
+
+    // Temporary like managed_file uploads; the file is kept once used.
+    /** @var \Drupal\file\FileInterface $file */
+    $file = $this->entityTypeManager->getStorage('file')->create([
+      'uri' => $uri,
+      'filename' => $this->fileSystem->basename($uri),
+      'uid' => $upload->userId,
+    ]);
+    $file->setTemporary();
+    $file->save();
+
+    try {
+      $document = $this->documentProcessing->process($file);
+      $pages = $document->metadata->getCustomProperty('pages');
+      $result = [
+        'processor' => $document->provider->label(),
+        'pages' => is_numeric($pages) ? (int) $pages : NULL,
+        'words' => $document->getWordCount(),
+        'error' => $document->hasContent() ? NULL : (string) $this->t('No text could be extracted from this document.'),
+      ];
+    }
+    catch (\Exception $e) {
+      $this->logger->warning('Processing the uploaded file @filename failed: @message', [
+        '@filename' => $file->getFilename(),
+        '@message' => $e->getMessage(),
+      ]);
+      $result = [
+        'processor' => NULL,
+        'pages' => NULL,
+        'words' => NULL,
+        'error' => $e->getMessage(),
+      ];
+    }
+
+    return $upload->withFile((int) $file->id(), $result);
+  }
+
+  /**
+   * Deletes part files of uploads that can no longer be resumed.
+   */
+  private function deleteAbandonedParts(): void {
+    $threshold = $this->time->getRequestTime() - self::UPLOAD_TTL;
+    foreach ($this->fileSystem->scanDirectory(self::PART_DIRECTORY, '/\.part$/', ['recurse' => FALSE]) as $part) {
+      if (filemtime($part->uri) < $threshold) {
+        $this->fileSystem->delete($part->uri);
+      }
+    }
+  }
+
+  /**
+   * Saves an upload, extending its expiry.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload $upload
+   *   The upload.
+   */
+  private function saveUpload(ChunkedUpload $upload): void {
+    $this->store->setWithExpire($upload->id, $upload->toArray(), self::UPLOAD_TTL);
+  }
+
+  /**
+   * Gets the URI of the part file of an upload.
+   *
+   * @param string $uploadId
+   *   The upload ID.
+   *
+   * @return string
+   *   The part file URI.
+   */
+  private function getPartUri(string $uploadId): string {
+    return self::PART_DIRECTORY . '/' . $uploadId . '.part';
+  }
+
+  /**
+   * Acquires the lock of an upload, waiting for other requests to release it.
+   *
+   * @param string $uploadId
+   *   The upload ID.
+   *
+   * @throws \RuntimeException
+   *   If the lock could not be acquired in time.
+   */
+  private function acquireLock(string $uploadId): void {
+    $name = $this->getLockName($uploadId);
+    $deadline = $this->time->getCurrentTime() + self::LOCK_WAIT;
+
+    while (!$this->lock->acquire($name, self::LOCK_TIMEOUT)) {
+      if ($this->time->getCurrentTime() >= $deadline) {
+        throw new \RuntimeException(sprintf('Upload %s is locked.', $uploadId));
+      }
+      $this->lock->wait($name, 1);
+    }
+  }
+
+  /**
+   * Gets the lock name of an upload.
+   *
+   * @param string $uploadId
+   *   The upload ID.
+   *
+   * @return string
+   *   The lock name.
+   */
+  private function getLockName(string $uploadId): string {
+    return 'ai_content_preparation_wizard_upload:' . $uploadId;
+  }
+
+}
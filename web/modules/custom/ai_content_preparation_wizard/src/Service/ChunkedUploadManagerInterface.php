@@ -0,0 +1,140 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ChunkedUpload;
+
+/**
+ * Interface for the chunked upload manager.
+ *
+ * The Step 1 upload zone sends documents in chunks, so uploads over slow or
+ * flaky connections can resume where they stopped instead of starting over.
+ * Complete files become temporary file entities like managed_file uploads
+ * and are processed right away, so editors see the result before they
+ * continue.
+ */
+interface ChunkedUploadManagerInterface {
+
+  /**
+   * The maximum size of a single chunk, in bytes.
+   */
+  public const CHUNK_SIZE = 1048576;
+
+  /**
+   * Checks a file against the allowed extensions and the maximum file size.
+   *
+   * @param string $filename
+   *   The file name.
+   * @param int $size
+   *   The file size in bytes.
+   *
+   * @return array<string>
+   *   Translated error messages, empty if the file may be uploaded.
+   */
+  public function validate(string $filename, int $size): array;
+
+  /**
+   * Starts an upload for the current user.
+   *
+   * @param string $filename
+   *   The file name.
+   * @param int $size
+   *   The file size in bytes.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload
+   *   The new upload.
+   *
+   * @throws \InvalidArgumentException
+   *   If the file does not pass validate().
+   */
+  public function start(string $filename, int $size): ChunkedUpload;
+
+  /**
+   * Uploads a whole file at once, e.g. for API clients.
+   *
+   * The data is stored chunk by chunk like a resumable upload, so the file is
+   * validated, stored and processed the same way.
+   *
+   * @param string $filename
+   *   The file name.
+   * @param int $size
+   *   The file size in bytes.
+   * @param resource $data
+   *   A stream with the file data.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload
+   *   The complete upload with the processing result.
+   *
+   * @throws \InvalidArgumentException
+   *   If the file does not pass validate() or the stream does not have the
+   *   given size.
+   * @throws \RuntimeException
+   *   If the file could not be stored.
+   */
+  public function upload(string $filename, int $size, $data): ChunkedUpload;
+
+  /**
+   * Gets an upload of the current user.
+   *
+   * @param string $uploadId
+   *   The upload ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload|null
+   *   The upload, or NULL if it does not exist, has expired or belongs to
+   *   another user.
+   */
+  public function getUpload(string $uploadId): ?ChunkedUpload;
+
+  /**
+   * Appends a chunk to an upload.
+   *
+   * The last chunk completes the upload: the file entity is created and the
+   * document is processed.
+   *
+   * @param string $uploadId
+   *   The upload ID.
+   * @param int $offset
+   *   The position of the chunk in the file, which must be the number of
+   *   bytes received so far.
+   * @param resource $data
+   *   A stream with the chunk data, at most self::CHUNK_SIZE bytes.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ChunkedUpload
+   *   The updated upload.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the upload does not exist or the offset does not match the received
+   *   bytes, e.g. because a chunk was sent twice.
+   * @throws \InvalidArgumentException
+   *   If the chunk is too large or exceeds the file size.
+   * @throws \RuntimeException
+   *   If the chunk could not be stored.
+   */
+  public function appendChunk(string $uploadId, int $offset, $data): ChunkedUpload;
+
+  /**
+   * Cancels an upload, deleting what was received.
+   *
+   * Complete uploads keep their temporary file entity, which is removed by
+   * the usual temporary file cleanup.
+   *
+   * @param string $uploadId
+   *   The upload ID.
+   */
+  public function cancel(string $uploadId): void;
+
+  /**
+   * Gets the file IDs of complete, usable uploads of the current user.
+   *
+   * @param array<string> $uploadIds
+   *   The upload IDs.
+   *
+   * @return array<int>
+   *   The file IDs, in the order of the given uploads. Unknown, incomplete
+   *   and failed uploads are skipped.
+   */
+  public function getFileIds(array $uploadIds): array;
+
+}
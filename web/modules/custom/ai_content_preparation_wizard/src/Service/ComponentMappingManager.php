@@ -0,0 +1,331 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ComponentMapping;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\MappingPreset;
+use Drupal\Component\Uuid\UuidInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\KeyValueStore\KeyValueFactoryInterface;
+use Drupal\Core\KeyValueStore\KeyValueStoreInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\Core\Theme\Component\ComponentMetadata;
+use Drupal\Core\Theme\ComponentPluginManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Provides component schemas to the mapping editor and stores presets.
+ *
+ * Presets are shared by all wizard users and kept in a key/value collection
+ * until they are deleted.
+ */
+final class ComponentMappingManager implements ComponentMappingManagerInterface {
+
+  /**
+   * The key/value collection of the presets.
+   */
+  private const COLLECTION = 'ai_content_preparation_wizard.mapping_presets';
+
+  /**
+   * Prop names suggested for the section title, in order of preference.
+   */
+  private const TITLE_PROPS = ['title', 'heading', 'heading_text', 'name', 'label'];
+
+  /**
+   * Prop names suggested for the section content, in order of preference.
+   */
+  private const CONTENT_PROPS = ['text', 'content', 'body', 'description', 'paragraph', 'quote'];
+
+  /**
+   * String formats of props that take a link rather than text.
+   */
+  private const LINK_FORMATS = ['uri', 'uri-reference', 'iri', 'iri-reference'];
+
+  /**
+   * The presets.
+   *
+   * @var \Drupal\Core\KeyValueStore\KeyValueStoreInterface
+   */
+  private KeyValueStoreInterface $store;
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs a ComponentMappingManager.
+   *
+   * @param \Drupal\Core\KeyValueStore\KeyValueFactoryInterface $keyValueFactory
+   *   The key/value factory.
+   * @param \Drupal\Core\Theme\ComponentPluginManager $componentPluginManager
+   *   The Single Directory Components plugin manager.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\Core\Session\AccountProxyInterface $currentUser
+   *   The current user.
+   * @param \Drupal\Component\Uuid\UuidInterface $uuid
+   *   The UUID generator.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   */
+  public function __construct(
+    KeyValueFactoryInterface $keyValueFactory,
+    private readonly ComponentPluginManager $componentPluginManager,
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly AccountProxyInterface $currentUser,
+    private readonly UuidInterface $uuid,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->store = $keyValueFactory->get(self::COLLECTION);
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getComponentOptions(): array {
+    // Only components Canvas offers can be placed on pages.
+    $canvasComponents = NULL;
+    if ($this->entityTypeManager->hasDefinition('component')) {
+      $canvasComponents = [];
+      foreach ($this->entityTypeManager->getStorage('component')->loadMultiple() as $id => $component) {
+        if ($component->status()) {
+          $canvasComponents[(string) $id] = (string) $component->label();
+        }
+      }
+    }
+
+    $options = [];
+    foreach ($this->componentPluginManager->getDefinitions() as $pluginId => $definition) {
+      $componentId = 'sdc.' . str_replace(':', '.', (string) $pluginId);
+      if ($canvasComponents === NULL) {
+        $options[$componentId] = (string) ($definition['name'] ?? $pluginId);
+      }
+      elseif (isset($canvasComponents[$componentId])) {
+        $options[$componentId] = $canvasComponents[$componentId];
+      }
+    }
+    asort($options);
+
+    return $options;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getSlotOptions(string $componentId): array {
+    $metadata = $this->getMetadata($componentId);
+    if ($metadata === NULL) {
+      return [];
+    }
+
+    $options = [];
+    foreach ($metadata->slots as $name => $slot) {
+      $options[(string) $name] = (string) ($slot['title'] ?? $name);
+    }
+    return $options;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getPropOptions(string $componentId, string $source): array {
+    $options = [];
+    foreach ($this->getProps($componentId) as $name => $definition) {
+      if ($this->acceptsSource($definition, $source)) {
+        $options[$name] = (string) ($definition['title'] ?? $name);
+      }
+    }
+    return $options;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function suggestFieldMappings(string $componentId): array {
+    $props = $this->getProps($componentId);
+    $mappings = [];
+
+    $title = $this->findProp($props, ComponentMapping::SOURCE_TITLE, fn(string $name): bool => in_array($name, self::TITLE_PROPS, TRUE));
+    if ($title !== NULL) {
+      $mappings[$title] = ComponentMapping::SOURCE_TITLE;
+      // The title and content never share a prop.
+      unset($props[$title]);
+    }
+
+    // Rich text props are the best fit for the content, which is Markdown.
+    $content = $this->findProp($props, ComponentMapping::SOURCE_CONTENT, fn(string $name, array $definition): bool => ($definition['contentMediaType'] ?? NULL) === 'text/html')
+      ?? $this->findProp($props, ComponentMapping::SOURCE_CONTENT, fn(string $name): bool => in_array($name, self::CONTENT_PROPS, TRUE));
+    if ($content !== NULL) {
+      $mappings[$content] = ComponentMapping::SOURCE_CONTENT;
+    }
+
+    $listItems = $this->findProp($props, ComponentMapping::SOURCE_LIST_ITEMS, fn(): bool => TRUE);
+    if ($listItems !== NULL) {
+      $mappings[$listItems] = ComponentMapping::SOURCE_LIST_ITEMS;
+    }
+
+    return $mappings;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getPresetOptions(string $templateId): array {
+    $options = [];
+    foreach ($this->store->getAll() as $id => $data) {
+      if (is_array($data) && (string) ($data['template_id'] ?? '') === $templateId) {
+        $options[(string) $id] = (string) ($data['label'] ?? $id);
+      }
+    }
+    asort($options);
+
+    return $options;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getPreset(string $presetId): ?MappingPreset {
+    $data = $this->store->get($presetId);
+    if (!is_array($data)) {
+      return NULL;
+    }
+
+    try {
+      return MappingPreset::fromArray($data);
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->logger->warning('Mapping preset @id is invalid: @message', [
+        '@id' => $presetId,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function savePreset(string $label, string $templateId, ContentPlan $plan, array $mappings): MappingPreset {
+    $existing = array_search($label, $this->getPresetOptions($templateId), TRUE);
+    $preset = MappingPreset::fromPlan(
+      $existing !== FALSE ? (string) $existing : $this->uuid->generate(),
+      $label,
+      $templateId,
+      $plan,
+      $mappings,
+      (int) $this->currentUser->id(),
+    );
+    $this->store->set($preset->id, $preset->toArray());
+
+    $this->logger->info('@user saved the component mapping preset "@label".', [
+      '@user' => $this->currentUser->getAccountName(),
+      '@label' => $label,
+    ]);
+
+    return $preset;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function deletePreset(string $presetId): void {
+    $this->store->delete($presetId);
+  }
+
+  /**
+   * Finds the first prop for a source that matches a condition.
+   *
+   * @param array<string, array<string, mixed>> $props
+   *   The prop definitions, keyed by prop name.
+   * @param string $source
+   *   The content source.
+   * @param callable $condition
+   *   Receives the prop name and definition.
+   *
+   * @return string|null
+   *   The prop name, or NULL if no prop matches.
+   */
+  private function findProp(array $props, string $source, callable $condition): ?string {
+    foreach ($props as $name => $definition) {
+      if ($this->acceptsSource($definition, $source) && $condition($name, $definition)) {
+        return $name;
+      }
+    }
+    return NULL;
+  }
+
+  /**
+   * Checks whether a prop can take a content source.
+   *
+   * @param array<string, mixed> $definition
+   *   The JSON schema of the prop.
+   * @param string $source
+   *   The content source.
+   *
+   * @return bool
+   *   TRUE if the prop can take the source.
+   */
+  private function acceptsSource(array $definition, string $source): bool {
+    $types = (array) ($definition['type'] ?? []);
+
+    if ($source === ComponentMapping::SOURCE_LIST_ITEMS) {
+      return in_array('array', $types, TRUE)
+        && in_array('string', (array) ($definition['items']['type'] ?? []), TRUE);
+    }
+
+    return in_array('string', $types, TRUE)
+      && !isset($definition['enum'])
+      && !in_array($definition['format'] ?? NULL, self::LINK_FORMATS, TRUE);
+  }
+
+  /**
+   * Gets the props of a component that are not image props.
+   *
+   * @param string $componentId
+   *   The Canvas component ID.
+   *
+   * @return array<string, array<string, mixed>>
+   *   The JSON schemas of the props, keyed by prop name.
+   */
+  private function getProps(string $componentId): array {
+    $props = [];
+    foreach ($this->getMetadata($componentId)?->schema['properties'] ?? [] as $name => $definition) {
+      // Canvas image props reference its image shape, see
+      // CanvasCreator::getImagePropNames().
+      if (!is_array($definition) || str_contains((string) ($definition['$ref'] ?? ''), 'image') || isset($definition['properties']['src'])) {
+        continue;
+      }
+      $props[(string) $name] = $definition;
+    }
+    return $props;
+  }
+
+  /**
+   * Gets the metadata of the Single Directory Component of a component.
+   *
+   * @param string $componentId
+   *   The Canvas component ID, e.g. "sdc.mercury.hero".
+   *
+   * @return \Drupal\Core\Theme\Component\ComponentMetadata|null
+   *   The metadata, or NULL if the component is not an available SDC.
+   */
+  private function getMetadata(string $componentId): ?ComponentMetadata {
+    $parts = explode('.', $componentId, 3);
+    $pluginId = count($parts) === 3 && $parts[0] === 'sdc' ? $parts[1] . ':' . $parts[2] : $componentId;
+    if (!str_contains($pluginId, ':') || !$this->componentPluginManager->hasDefinition($pluginId)) {
+      return NULL;
+    }
+
+    return $this->componentPluginManager->find($pluginId)->metadata;
+  }
+
+}
@@ -0,0 +1,118 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\MappingPreset;
+
+/**
+ * Interface for the component mapping manager.
+ *
+ * Provides the Canvas components, props and slots the component mapping
+ * editor offers, based on the Single Directory Component schemas, and
+ * stores mapping presets for reuse with later plans.
+ */
+interface ComponentMappingManagerInterface {
+
+  /**
+   * Gets the Canvas components sections can be mapped to.
+   *
+   * @return array<string, string>
+   *   The component labels, keyed by Canvas component ID.
+   */
+  public function getComponentOptions(): array;
+
+  /**
+   * Gets the slots of a component.
+   *
+   * @param string $componentId
+   *   The Canvas component ID.
+   *
+   * @return array<string, string>
+   *   The slot labels, keyed by slot name. Empty if the component has no
+   *   slots or is not a Single Directory Component.
+   */
+  public function getSlotOptions(string $componentId): array;
+
+  /**
+   * Gets the props of a component that can take a content source.
+   *
+   * Title and content need a free text prop, list items an array of
+   * strings. Image props are filled with the section images and never
+   * offered.
+   *
+   * @param string $componentId
+   *   The Canvas component ID.
+   * @param string $source
+   *   One of the ComponentMapping::SOURCE_* constants.
+   *
+   * @return array<string, string>
+   *   The prop labels, keyed by prop name.
+   */
+  public function getPropOptions(string $componentId, string $source): array;
+
+  /**
+   * Suggests the props of a component for the content sources.
+   *
+   * @param string $componentId
+   *   The Canvas component ID.
+   *
+   * @return array<string, string>
+   *   Field mappings: the content source of each suggested prop, keyed by
+   *   prop name.
+   */
+  public function suggestFieldMappings(string $componentId): array;
+
+  /**
+   * Gets the presets of a template.
+   *
+   * @param string $templateId
+   *   The ID of the template page, or an empty string for pages built
+   *   without a template.
+   *
+   * @return array<string, string>
+   *   The preset labels, keyed by preset ID.
+   */
+  public function getPresetOptions(string $templateId): array;
+
+  /**
+   * Gets a preset.
+   *
+   * @param string $presetId
+   *   The preset ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\MappingPreset|null
+   *   The preset, or NULL if it does not exist.
+   */
+  public function getPreset(string $presetId): ?MappingPreset;
+
+  /**
+   * Saves the mappings of a plan as a preset of a template.
+   *
+   * A preset of the template with the same label is replaced.
+   *
+   * @param string $label
+   *   The preset label.
+   * @param string $templateId
+   *   The ID of the template page, or an empty string.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan the mappings were made for.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ComponentMapping> $mappings
+   *   The mappings, keyed by section ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\MappingPreset
+   *   The saved preset.
+   */
+  public function savePreset(string $label, string $templateId, ContentPlan $plan, array $mappings): MappingPreset;
+
+  /**
+   * Deletes a preset.
+   *
+   * @param string $presetId
+   *   The preset ID.
+   */
+  public function deletePreset(string $presetId): void;
+
+}
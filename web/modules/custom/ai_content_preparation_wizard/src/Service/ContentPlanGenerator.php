@@ -7,6 +7,7 @@ namespace Drupal\ai_content_preparation_wizard\Service;
 use Drupal\ai\AiProviderPluginManager;
 use Drupal\ai\OperationType\Chat\ChatInput;
 use Drupal\ai\OperationType\Chat\ChatMessage;
+use Drupal\ai\OperationType\Chat\StreamedChatMessageIteratorInterface;
 use Drupal\Component\Datetime\TimeInterface;
 use Drupal\Component\Serialization\Json;
 use Drupal\Component\Serialization\Yaml;
@@ -15,12 +16,14 @@ use Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException;
 use Drupal\ai_content_preparation_wizard\Model\AIContext;
 use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
 use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\PromptBudget;
 use Drupal\ai_content_preparation_wizard\Model\ProcessedDocument;
 use Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage;
 use Drupal\ai_content_preparation_wizard\Model\RefinementEntry;
 use Drupal\Core\Config\ConfigFactoryInterface;
 use Drupal\canvas_ai\CanvasAiPageBuilderHelper;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Language\LanguageManagerInterface;
 use Drupal\Core\Logger\LoggerChannelFactoryInterface;
 use Psr\Log\LoggerInterface;
 
@@ -52,6 +55,29 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
    */
   private const MAX_TOTAL_CONTENT_LENGTH = 100000;
 
+  /**
+   * The context window in tokens assumed when none is configured.
+   */
+  private const DEFAULT_CONTEXT_WINDOW = 128000;
+
+  /**
+   * Tokens kept free in the context window for the AI response.
+   */
+  private const RESPONSE_TOKENS = 8000;
+
+  /**
+   * The smallest document allowance (in characters) of a prompt.
+   *
+   * Keeps chunks and summaries useful when the other sources and the system
+   * prompt leave hardly any room in the context window.
+   */
+  private const MIN_DOCUMENT_ALLOWANCE = 4000;
+
+  /**
+   * The average number of characters per word, to size summaries.
+   */
+  private const CHARS_PER_WORD = 6;
+
   /**
    * The logger instance.
    *
@@ -76,6 +102,12 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
    *   The entity type manager.
    * @param \Drupal\canvas_ai\CanvasAiPageBuilderHelper $pageBuilderHelper
    *   The Canvas AI page builder helper for component descriptions.
+   * @param \Drupal\ai_content_preparation_wizard\Service\SourceSpanMapperInterface $sourceSpanMapper
+   *   The source span mapper.
+   * @param \Drupal\Core\Language\LanguageManagerInterface $languageManager
+   *   The language manager, for the names of translation languages.
+   * @param \Drupal\ai_content_preparation_wizard\Service\FixtureAiProviderInterface $fixtureProvider
+   *   The offline provider used when it is the configured AI provider.
    */
   public function __construct(
     protected readonly AiProviderPluginManager $aiProviderManager,
@@ -85,6 +117,9 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
     protected readonly TimeInterface $time,
     protected readonly EntityTypeManagerInterface $entityTypeManager,
     protected readonly CanvasAiPageBuilderHelper $pageBuilderHelper,
+    protected readonly SourceSpanMapperInterface $sourceSpanMapper,
+    protected readonly LanguageManagerInterface $languageManager,
+    protected readonly FixtureAiProviderInterface $fixtureProvider,
   ) {
     $this->logger = $this->loggerFactory->get('ai_content_preparation_wizard');
   }
@@ -111,8 +146,7 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
 
     [$provider, $modelId] = $providerInfo;
 
-    // Build the document content.
-    $documentContent = $this->buildDocumentContent($documents);
+    $this->reportProgress($options, 'analyzing');
 
     // Build the webpage content.
     $webpageContent = $this->buildWebpageContent($webpages);
@@ -123,24 +157,125 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
     // Build the system prompt.
     $systemPrompt = $this->buildGenerationSystemPrompt($templateId, $options);
 
-    // Build the user message.
-    $userMessage = $this->buildGenerationUserMessage($documentContent, $webpageContent, $contextContent, $options);
+    // Images extracted from the documents can be placed in sections.
+    $images = $this->collectDocumentImages($documents);
+    $systemPrompt .= $this->buildImageInstructions($images);
+
+    // Documents that do not fit the prompt are summarized or planned in
+    // parts if the editor chose so; by default they are truncated.
+    $strategy = $options['oversized'] ?? self::OVERSIZED_TRUNCATE;
+    $allowance = $this->getDocumentAllowance($systemPrompt . $webpageContent . $contextContent);
+    $sourceDocuments = $documents;
+    if ($strategy === self::OVERSIZED_SUMMARIZE) {
+      $documents = $this->summarizeOversizedDocuments($documents, $allowance, $provider, $modelId, $options);
+    }
 
-    // Execute the AI call with retries.
-    $responseData = $this->executeAiCallWithRetries(
-      $provider,
-      $modelId,
-      $systemPrompt,
-      $userMessage
-    );
+    $fullDocumentContent = $this->buildDocumentContent($documents, FALSE);
+    if ($strategy === self::OVERSIZED_CHUNK && mb_strlen($fullDocumentContent) > $allowance) {
+      $responseData = $this->generateInParts(
+        $provider,
+        $modelId,
+        $systemPrompt,
+        $this->splitContent($fullDocumentContent, $allowance),
+        $webpageContent,
+        $contextContent,
+        $options
+      );
+    }
+    else {
+      // Build the document content.
+      $documentContent = $this->buildDocumentContent($documents);
+
+      // Build the user message.
+      $userMessage = $this->buildGenerationUserMessage($documentContent, $webpageContent, $contextContent, $options);
+
+      // Execute the AI call with retries.
+      $responseData = $this->executeAiCallWithRetries(
+        $provider,
+        $modelId,
+        $systemPrompt,
+        $userMessage,
+        $options
+      );
+    }
+
+    $this->reportProgress($options, 'parsing');
 
     // Parse response into ContentPlan.
     $sourceDocumentIds = array_map(
       fn(ProcessedDocument $doc): string => $doc->id,
-      $documents
+      $sourceDocuments
     );
 
-    return $this->parseContentPlanResponse($responseData, $sourceDocumentIds, $templateId);
+    $plan = $this->parseContentPlanResponse($responseData, $sourceDocumentIds, $templateId, $images);
+
+    // Link every section to the source passages it was generated from.
+    return $this->sourceSpanMapper->mapPlan($plan, array_merge($sourceDocuments, array_values($webpages)));
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function estimateBudget(array $documents, array $contexts = [], ?string $templateId = NULL, array $options = []): PromptBudget {
+    $systemPrompt = $this->buildGenerationSystemPrompt($templateId, $options)
+      . $this->buildImageInstructions($this->collectDocumentImages($documents));
+    $items = [
+      [
+        'type' => 'system',
+        'label' => 'System prompt',
+        'preview' => '',
+        'tokens' => PromptBudget::estimateTokens($systemPrompt),
+        'truncated' => FALSE,
+      ],
+    ];
+
+    // Mirror the limits of buildDocumentContent() and buildWebpageContent().
+    $length = 0;
+    foreach ($documents as $document) {
+      if (!$document instanceof ProcessedDocument) {
+        continue;
+      }
+      $content = $this->cleanMarkdownContent($document->markdownContent);
+      $length += min(mb_strlen($content), self::MAX_DOCUMENT_CONTENT_LENGTH);
+      $items[] = [
+        'type' => 'document',
+        'label' => $document->fileName,
+        'preview' => $document->getSummary(),
+        'tokens' => PromptBudget::estimateTokens($content),
+        'truncated' => mb_strlen($content) > self::MAX_DOCUMENT_CONTENT_LENGTH || $length > self::MAX_TOTAL_CONTENT_LENGTH,
+      ];
+    }
+
+    $length = 0;
+    foreach ($options['webpages'] ?? [] as $webpage) {
+      if (!$webpage instanceof ProcessedWebpage) {
+        continue;
+      }
+      $content = $this->cleanMarkdownContent($webpage->markdownContent);
+      $length += min(mb_strlen($content), self::MAX_WEBPAGE_CONTENT_LENGTH);
+      $items[] = [
+        'type' => 'webpage',
+        'label' => $webpage->title !== '' ? $webpage->title : $webpage->url,
+        'preview' => $webpage->getSummary(),
+        'tokens' => PromptBudget::estimateTokens($content),
+        'truncated' => mb_strlen($content) > self::MAX_WEBPAGE_CONTENT_LENGTH || $length > self::MAX_TOTAL_CONTENT_LENGTH / 2,
+      ];
+    }
+
+    foreach (AIContext::sortByPriority($this->resolveContexts($contexts)) as $context) {
+      if (!$context->enabled) {
+        continue;
+      }
+      $items[] = [
+        'type' => 'context',
+        'label' => $context->label,
+        'preview' => $context->getContentPreview(),
+        'tokens' => PromptBudget::estimateTokens($context->formatForPrompt()),
+        'truncated' => FALSE,
+      ];
+    }
+
+    return new PromptBudget($items, $this->getContextWindow(), self::RESPONSE_TOKENS);
   }
 
   /**
@@ -194,6 +329,108 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
     return $refinedPlan->withRefinement($refinementEntry);
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function refineSection(ContentPlan $plan, string $sectionId, string $instructions, array $contexts = [], array $options = []): ContentPlan {
+    $section = $plan->getSection($sectionId);
+    if ($section === NULL) {
+      throw new PlanGenerationException(sprintf('Section "%s" was not found in the content plan.', $sectionId));
+    }
+
+    if (!$this->canRefine($plan)) {
+      throw new PlanGenerationException(
+        sprintf(
+          'Plan has reached maximum refinement iterations (%d).',
+          $this->getMaxRefinementIterations()
+        )
+      );
+    }
+
+    $providerInfo = $this->getAiProvider();
+    if ($providerInfo === NULL) {
+      throw new PlanGenerationException(
+        'No AI provider configured. Please configure an AI provider in the AI module settings.'
+      );
+    }
+
+    [$provider, $modelId] = $providerInfo;
+
+    $contextContent = $this->buildContextContent($contexts);
+    $systemPrompt = $this->buildSectionRefinementSystemPrompt();
+    $userMessage = $this->buildSectionRefinementUserMessage($plan, $section, $instructions, $contextContent);
+
+    $responseData = $this->executeAiCallWithRetries(
+      $provider,
+      $modelId,
+      $systemPrompt,
+      $userMessage
+    );
+
+    // Some models wrap the section in a "section" key.
+    $sectionData = isset($responseData['section']) && is_array($responseData['section'])
+      ? $responseData['section']
+      : $responseData;
+    $parsed = $this->parseSectionData($sectionData, $section->order - 1);
+
+    // Only the section's text and component may change.
+    $refinedSection = new PlanSection(
+      id: $section->id,
+      title: $parsed->title,
+      content: trim($parsed->content) !== '' ? $parsed->content : $section->content,
+      componentType: $parsed->componentType,
+      order: $section->order,
+      componentConfig: array_merge($section->componentConfig, $parsed->componentConfig),
+      children: $section->children,
+      // The rewrite is based on the same source passages.
+      sourceSpans: $section->sourceSpans,
+      images: $section->images,
+    );
+
+    $refinementEntry = RefinementEntry::create(
+      instructions: $instructions,
+      response: $responseData['refinement_summary'] ?? sprintf('Section "%s" rewritten based on instructions.', $section->title),
+      affectedSections: [$section->id],
+    );
+
+    return $plan->withSection($refinedSection)->withRefinement($refinementEntry);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function translate(ContentPlan $plan, string $langcode, array $contexts = [], array $options = []): ContentPlan {
+    $language = $this->languageManager->getLanguage($langcode);
+    if ($language === NULL) {
+      throw new PlanGenerationException(sprintf('Language "%s" is not available.', $langcode));
+    }
+
+    $providerInfo = $this->getAiProvider();
+    if ($providerInfo === NULL) {
+      throw new PlanGenerationException(
+        'No AI provider configured. Please configure an AI provider in the AI module settings.'
+      );
+    }
+
+    [$provider, $modelId] = $providerInfo;
+
+    $contextContent = $this->buildContextContent($contexts);
+    $systemPrompt = $this->buildTranslationSystemPrompt($language->getName());
+    $userMessage = $this->buildTranslationUserMessage($plan, $contextContent);
+
+    $responseData = $this->executeAiCallWithRetries(
+      $provider,
+      $modelId,
+      $systemPrompt,
+      $userMessage,
+      $options
+    );
+
+    $this->reportProgress($options, 'parsing');
+
+    return $this->parseTranslationResponse($responseData, $plan);
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -209,6 +446,33 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
     return (int) ($config->get('max_refinement_iterations') ?? 5);
   }
 
+  /**
+   * Gets the context window of the configured model.
+   *
+   * @return int
+   *   The number of tokens the model accepts.
+   */
+  protected function getContextWindow(): int {
+    $config = $this->configFactory->get('ai_content_preparation_wizard.settings');
+    return (int) ($config->get('context_window') ?: self::DEFAULT_CONTEXT_WINDOW);
+  }
+
+  /**
+   * Gets how much document content fits into a generation prompt.
+   *
+   * @param string $otherContent
+   *   The other parts of the prompt, such as the system prompt, webpages
+   *   and contexts.
+   *
+   * @return int
+   *   The number of characters of document content.
+   */
+  protected function getDocumentAllowance(string $otherContent): int {
+    $available = $this->getContextWindow() - self::RESPONSE_TOKENS - PromptBudget::estimateTokens($otherContent);
+    $allowance = min(self::MAX_TOTAL_CONTENT_LENGTH, $available * PromptBudget::CHARS_PER_TOKEN);
+    return max(self::MIN_DOCUMENT_ALLOWANCE, $allowance);
+  }
+
   /**
    * Gets the AI provider and model for chat operations.
    *
@@ -216,16 +480,21 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
    *   An array containing [provider, model_id] or NULL if unavailable.
    */
   protected function getAiProvider(): ?array {
-    // Check if any providers are available for chat.
-    if (!$this->aiProviderManager->hasProvidersForOperationType(self::OPERATION_TYPE)) {
-      return NULL;
-    }
-
     // Get configured provider from module settings.
     $config = $this->configFactory->get('ai_content_preparation_wizard.settings');
     $defaultProvider = $config->get('default_ai_provider');
     $defaultModel = $config->get('default_ai_model');
 
+    // The offline fixture provider is not an AI module provider.
+    if ($defaultProvider === FixtureAiProviderInterface::PROVIDER_ID) {
+      return [$this->fixtureProvider, FixtureAiProviderInterface::MODEL_ID];
+    }
+
+    // Check if any providers are available for chat.
+    if (!$this->aiProviderManager->hasProvidersForOperationType(self::OPERATION_TYPE)) {
+      return NULL;
+    }
+
     // Build simple option format if both provider and model are configured.
     $preferredModel = NULL;
     if (!empty($defaultProvider) && !empty($defaultModel)) {
@@ -249,11 +518,13 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
    *
    * @param array<\Drupal\ai_content_preparation_wizard\Model\ProcessedDocument> $documents
    *   The processed documents.
+   * @param bool $truncate
+   *   Whether to cut off content exceeding the content length limits.
    *
    * @return string
    *   The combined markdown content.
    */
-  protected function buildDocumentContent(array $documents): string {
+  protected function buildDocumentContent(array $documents, bool $truncate = TRUE): string {
     $parts = [];
 
     foreach ($documents as $document) {
@@ -265,7 +536,7 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
       $content = $this->cleanMarkdownContent($document->markdownContent);
 
       // Truncate if exceeds per-document limit.
-      if (mb_strlen($content) > self::MAX_DOCUMENT_CONTENT_LENGTH) {
+      if ($truncate && mb_strlen($content) > self::MAX_DOCUMENT_CONTENT_LENGTH) {
         $content = mb_substr($content, 0, self::MAX_DOCUMENT_CONTENT_LENGTH);
         $content .= "\n\n[Content truncated due to length...]";
       }
@@ -280,7 +551,7 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
     $combined = implode("\n\n---\n\n", $parts);
 
     // Truncate total content if exceeds limit.
-    if (mb_strlen($combined) > self::MAX_TOTAL_CONTENT_LENGTH) {
+    if ($truncate && mb_strlen($combined) > self::MAX_TOTAL_CONTENT_LENGTH) {
       $combined = mb_substr($combined, 0, self::MAX_TOTAL_CONTENT_LENGTH);
       $combined .= "\n\n[Total content truncated due to length...]";
     }
@@ -323,6 +594,323 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
     return trim($content);
   }
 
+  /**
+   * Splits content into chunks at paragraph boundaries.
+   *
+   * @param string $content
+   *   The Markdown content.
+   * @param int $maxLength
+   *   The maximum length of a chunk, in characters.
+   *
+   * @return array<string>
+   *   The chunks, in order. Paragraphs longer than a chunk are split.
+   */
+  protected function splitContent(string $content, int $maxLength): array {
+    $chunks = [];
+    $chunk = '';
+    foreach (preg_split('/\n{2,}/', $content) as $paragraph) {
+      foreach (mb_str_split($paragraph, $maxLength) as $piece) {
+        if ($chunk !== '' && mb_strlen($chunk) + mb_strlen($piece) + 2 > $maxLength) {
+          $chunks[] = $chunk;
+          $chunk = '';
+        }
+        $chunk .= ($chunk === '' ? '' : "\n\n") . $piece;
+      }
+    }
+    if (trim($chunk) !== '') {
+      $chunks[] = $chunk;
+    }
+    return $chunks;
+  }
+
+  /**
+   * Replaces the content of documents that do not fit the prompt by a summary.
+   *
+   * Every document gets an equal share of the document allowance. Longer
+   * documents are summarized part by part, so that the parts fit the
+   * context window of the model, too.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ProcessedDocument> $documents
+   *   The processed documents.
+   * @param int $allowance
+   *   The number of characters of document content that fit the prompt.
+   * @param mixed $provider
+   *   The AI provider instance.
+   * @param string $modelId
+   *   The model ID to use.
+   * @param array<string, mixed> $options
+   *   Generation options, may include 'progress_callback'.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\ProcessedDocument>
+   *   The documents, with summaries in place of oversized content.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
+   *   When the AI provider fails.
+   */
+  protected function summarizeOversizedDocuments(array $documents, int $allowance, mixed $provider, string $modelId, array $options): array {
+    $share = min(self::MAX_DOCUMENT_CONTENT_LENGTH, intdiv($allowance, max(1, count($documents))));
+    $chunkLength = $this->getDocumentAllowance($this->buildSummarySystemPrompt(0));
+
+    foreach ($documents as $key => $document) {
+      if (!$document instanceof ProcessedDocument) {
+        continue;
+      }
+      $content = $this->cleanMarkdownContent($document->markdownContent);
+      if (mb_strlen($content) <= $share) {
+        continue;
+      }
+
+      $chunks = $this->splitContent($content, $chunkLength);
+      // Leave some room, as models do not keep exactly to a word count.
+      $words = max(50, (int) ($share * 0.8 / count($chunks) / self::CHARS_PER_WORD));
+      $summaries = [];
+      foreach ($chunks as $index => $chunk) {
+        $this->reportProgress($options, 'summarizing', [
+          'document' => $document->fileName,
+          'part' => $index + 1,
+          'parts' => count($chunks),
+        ]);
+        $summaries[] = $this->summarizeContent($provider, $modelId, $chunk, $words);
+      }
+
+      $this->logger->info('Summarized @document from @from to @to characters for plan generation.', [
+        '@document' => $document->fileName,
+        '@from' => mb_strlen($content),
+        '@to' => mb_strlen(implode("\n\n", $summaries)),
+      ]);
+      $documents[$key] = $document->withMarkdownContent(implode("\n\n", $summaries));
+    }
+
+    return $documents;
+  }
+
+  /**
+   * Summarizes a part of a document with the AI.
+   *
+   * @param mixed $provider
+   *   The AI provider instance.
+   * @param string $modelId
+   *   The model ID to use.
+   * @param string $content
+   *   The Markdown content to summarize.
+   * @param int $words
+   *   The maximum length of the summary, in words.
+   *
+   * @return string
+   *   The summary in Markdown.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
+   *   When the AI provider fails.
+   */
+  protected function summarizeContent(mixed $provider, string $modelId, string $content, int $words): string {
+    $chatInput = new ChatInput([
+      new ChatMessage('user', $content),
+    ]);
+    $chatInput->setSystemPrompt($this->buildSummarySystemPrompt($words));
+
+    try {
+      $response = $provider->chat($chatInput, $modelId, ['ai_content_preparation_wizard']);
+      return trim((string) $response->getNormalized()->getText());
+    }
+    catch (\Exception $e) {
+      throw new PlanGenerationException(
+        sprintf('AI provider error: %s', $e->getMessage()),
+        method_exists($provider, 'getPluginId') ? $provider->getPluginId() : 'unknown',
+        $modelId,
+        0,
+        $e
+      );
+    }
+  }
+
+  /**
+   * Builds the system prompt for summarizing a part of a document.
+   *
+   * @param int $words
+   *   The maximum length of the summary, in words.
+   *
+   * @return string
+   *   The system prompt.
+   */
+  protected function buildSummarySystemPrompt(int $words): string {
+    return <<<PROMPT
+You condense source documents that are too long to plan a web page from in one go. Summarize the Markdown you receive in at most {$words} words.
+
+Rules:
+1. Keep the headings of the document as Markdown headings, in their order
+2. Keep facts, figures, names, dates, quotes and calls to action
+3. Leave out repetition, filler and navigation text
+4. Keep image references of the form ![alt text](image:ID) next to the text they illustrate
+5. Respond with the Markdown summary only, without introduction or comments
+PROMPT;
+  }
+
+  /**
+   * Generates a plan from document content that is split into parts.
+   *
+   * Every part is planned in a request of its own, with the contexts, and
+   * the webpages with the first part. The sections of all parts are joined
+   * in order; the title, summary and audience of the first part are used.
+   *
+   * @param mixed $provider
+   *   The AI provider instance.
+   * @param string $modelId
+   *   The model ID to use.
+   * @param string $systemPrompt
+   *   The system prompt.
+   * @param array<string> $parts
+   *   The parts of the combined document content.
+   * @param string $webpageContent
+   *   The combined webpage content.
+   * @param string $contextContent
+   *   The combined context content.
+   * @param array<string, mixed> $options
+   *   Generation options.
+   *
+   * @return array<string, mixed>
+   *   The merged plan data, as parsed from a single response.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
+   *   When the AI call or JSON parsing of a part fails.
+   */
+  protected function generateInParts(mixed $provider, string $modelId, string $systemPrompt, array $parts, string $webpageContent, string $contextContent, array $options): array {
+    // The sections of several responses cannot be streamed in order.
+    unset($options['section_callback']);
+    $progressCallback = $options['progress_callback'] ?? NULL;
+
+    $data = [];
+    $sections = [];
+    $sectionIds = [];
+    $readTime = 0;
+    foreach ($parts as $index => $part) {
+      if (is_callable($progressCallback)) {
+        $options['progress_callback'] = function (string $stage, array $context = []) use ($progressCallback, $index, $parts): void {
+          $progressCallback($stage, $context + ['part' => $index + 1, 'parts' => count($parts)]);
+        };
+      }
+
+      $userMessage = sprintf(
+        "The source documents are too long for one request, so they are planned in %d parts. This is part %d: plan sections for the content of this part only. The sections of all parts are joined in order.\n\n",
+        count($parts),
+        $index + 1
+      );
+      $userMessage .= $this->buildGenerationUserMessage($part, $index === 0 ? $webpageContent : '', $contextContent, $options);
+
+      $partData = $this->executeAiCallWithRetries($provider, $modelId, $systemPrompt, $userMessage, $options);
+      $data += $partData;
+      $readTime += (int) ($partData['estimated_read_time'] ?? 0);
+
+      foreach ($partData['sections'] ?? [] as $sectionData) {
+        if (!is_array($sectionData)) {
+          continue;
+        }
+        // Parts are planned independently, so their section IDs may clash.
+        $id = (string) ($sectionData['id'] ?? '');
+        if ($id === '' || isset($sectionIds[$id])) {
+          $id = sprintf('part%d_%s', $index + 1, $id !== '' ? $id : sprintf('section_%03d', count($sections) + 1));
+        }
+        $sectionIds[$id] = TRUE;
+        $sectionData['id'] = $id;
+        $sectionData['order'] = count($sections) + 1;
+        $sections[] = $sectionData;
+      }
+    }
+
+    $data['sections'] = $sections;
+    if ($readTime > 0) {
+      $data['estimated_read_time'] = $readTime;
+    }
+
+    return $data;
+  }
+
+  /**
+   * Collects the images extracted from the documents.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ProcessedDocument> $documents
+   *   The processed documents.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage>
+   *   The images of all documents, in document order.
+   */
+  protected function collectDocumentImages(array $documents): array {
+    $images = [];
+    foreach ($documents as $document) {
+      if ($document instanceof ProcessedDocument) {
+        array_push($images, ...$document->images);
+      }
+    }
+    return $images;
+  }
+
+  /**
+   * Builds the prompt instructions for placing document images.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images extracted from the documents.
+   *
+   * @return string
+   *   The instructions, or an empty string when there are no images.
+   */
+  protected function buildImageInstructions(array $images): string {
+    if (empty($images)) {
+      return '';
+    }
+
+    $imageList = [];
+    foreach ($images as $image) {
+      $entry = "- **{$image->id}**: " . ($image->alt !== '' ? $image->alt : $image->fileName);
+      if ($image->width && $image->height) {
+        $entry .= " ({$image->width}x{$image->height})";
+      }
+      $imageList[] = $entry;
+    }
+    $imageListText = implode("\n", $imageList);
+
+    $instructions = <<<TEXT
+
+
+## Document Images
+
+The documents contain images, referenced in their text as ![alt text](image:ID):
+
+{$imageListText}
+
+### Image Placement Rules:
+1. Put the IDs of the images that belong to a section in its "images" array, in display order
+2. Place each image in at most one section, next to the text it illustrates
+3. Leave out decorative images such as logos, icons and separators
+4. Do not copy the ![...](image:...) references into the section content
+TEXT;
+
+    $imageComponents = $this->getImageComponentIds();
+    if (!empty($imageComponents)) {
+      $instructions .= "\n5. Sections with images should use a component that can show them: " . implode(', ', $imageComponents);
+    }
+
+    return $instructions;
+  }
+
+  /**
+   * Gets the IDs of the SDC components that have an image prop.
+   *
+   * @return array<string>
+   *   The component IDs.
+   */
+  protected function getImageComponentIds(): array {
+    $componentIds = [];
+    foreach ($this->getSdcComponentsForPrompt() as $componentId => $componentData) {
+      foreach ($componentData['props'] ?? [] as $propName => $propData) {
+        $definition = is_array($propData) ? Json::encode($propData) : (string) $propData;
+        if (stripos((string) $propName, 'image') !== FALSE || stripos($definition, 'image') !== FALSE) {
+          $componentIds[] = (string) $componentId;
+          break;
+        }
+      }
+    }
+    return $componentIds;
+  }
+
   /**
    * Maximum content length per webpage (in characters) before truncation.
    */
@@ -392,11 +980,24 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
    *   The combined context content.
    */
   protected function buildContextContent(array $contexts): string {
-    if (empty($contexts)) {
+    $aiContexts = $this->resolveContexts($contexts);
+    if (empty($aiContexts)) {
       return '';
     }
 
-    // Convert string context IDs to AIContext objects.
+    return AIContext::combineForPrompt($aiContexts, TRUE);
+  }
+
+  /**
+   * Converts string context IDs to AIContext objects.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\AIContext|string> $contexts
+   *   The AI contexts. Can be either AIContext objects or string context IDs.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\AIContext>
+   *   The AI contexts as objects.
+   */
+  protected function resolveContexts(array $contexts): array {
     $aiContexts = [];
     foreach ($contexts as $context) {
       if ($context instanceof AIContext) {
@@ -407,12 +1008,7 @@ class ContentPlanGenerator implements ContentPlanGeneratorInterface {
         $aiContexts[] = $this->createContextFromId($context);
       }
     }
-
-    if (empty($aiContexts)) {
-      return '';
-    }
-
-    return AIContext::combineForPrompt($aiContexts, TRUE);
+    return $aiContexts;
   }
 
   /**
@@ -494,6 +1090,7 @@ Your response MUST be valid JSON matching this schema:
       "component_type": "string - MUST be one of the exact component IDs listed below",
       "order": "integer - Display order (starting from 1)",
       "component_config": "object - Optional component configuration",
+      "images": "array - Optional IDs of the document images shown in this section",
       "children": "array - Nested child sections (same structure)"
     }
   ]
@@ -891,6 +1488,7 @@ Your response MUST be valid JSON matching this schema:
       "component_type": "string - MUST be one of the exact component IDs listed below",
       "order": "integer - Display order",
       "component_config": "object - Optional configuration",
+      "images": "array - IDs of the images shown in this section (keep the current ones unless asked to change them)",
       "children": "array - Nested sections"
     }
   ],
@@ -943,6 +1541,166 @@ PROMPT;
     return $message;
   }
 
+  /**
+   * Builds the system prompt for rewriting a single section.
+   *
+   * @return string
+   *   The system prompt.
+   */
+  protected function buildSectionRefinementSystemPrompt(): string {
+    $componentTypeInstruction = $this->buildComponentTypeInstruction('');
+
+    return <<<PROMPT
+You are a content planning assistant rewriting a single section of an existing content plan based on user feedback.
+
+Your response MUST be valid JSON matching this schema:
+{
+  "title": "string - Section heading",
+  "content": "string - The rewritten section content",
+  "component_type": "string - MUST be one of the exact component IDs listed below",
+  "component_config": "object - Optional configuration",
+  "refinement_summary": "string - Brief description of changes made"
+}
+
+{$componentTypeInstruction}
+
+Guidelines:
+1. Rewrite only the requested section; the rest of the plan is provided as context
+2. Keep tone, terminology and level of detail consistent with the surrounding sections
+3. Do not repeat content that is already covered by other sections
+4. Keep the current component type unless the instructions ask for a different one
+5. CRITICAL: The component_type MUST be one of the exact component IDs listed above
+PROMPT;
+  }
+
+  /**
+   * Builds the user message for rewriting a single section.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan providing context.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The section to rewrite.
+   * @param string $instructions
+   *   The user's instructions for this section.
+   * @param string $contextContent
+   *   The formatted context content to include.
+   *
+   * @return string
+   *   The user message.
+   */
+  protected function buildSectionRefinementUserMessage(ContentPlan $plan, PlanSection $section, string $instructions, string $contextContent = ''): string {
+    $message = sprintf(
+      "Current plan (for context):\n%s\n\nSection to rewrite:\n%s\n\nInstructions for this section:\n%s",
+      Json::encode($this->buildMinimalPlanForRefinement($plan)),
+      Json::encode([
+        'id' => $section->id,
+        'title' => $section->title,
+        'content' => $section->content,
+        'component_type' => $section->componentType,
+      ]),
+      $instructions
+    );
+
+    if (!empty($contextContent)) {
+      $message .= "\n\n## Context Guidelines\n\nWhen rewriting the section, ensure the changes align with these guidelines:\n\n" . $contextContent;
+    }
+
+    $message .= "\n\nRespond with only valid JSON, no additional text.";
+
+    return $message;
+  }
+
+  /**
+   * Builds the system prompt for translating a plan.
+   *
+   * @param string $languageName
+   *   The English name of the target language.
+   *
+   * @return string
+   *   The system prompt.
+   */
+  protected function buildTranslationSystemPrompt(string $languageName): string {
+    return <<<PROMPT
+You are a professional translator localizing a web page content plan into {$languageName}.
+
+Your response MUST be valid JSON matching this schema:
+{
+  "title": "string - The translated page title",
+  "summary": "string - The translated summary",
+  "target_audience": "string - The translated target audience",
+  "sections": [
+    {
+      "id": "string - The unchanged section ID",
+      "title": "string - The translated section heading",
+      "content": "string - The translated section content",
+      "children": "array - The translated nested sections, in the same format"
+    }
+  ]
+}
+
+Guidelines:
+1. Translate every section, including nested sections, and keep their IDs and order
+2. Do not add, remove, merge or split sections
+3. Keep Markdown formatting, links and list structure intact; translate link text, not URLs
+4. Write natural, idiomatic {$languageName} for the target audience rather than a literal translation
+5. Keep product names, brand names and code unchanged
+PROMPT;
+  }
+
+  /**
+   * Builds the user message for translating a plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan to translate.
+   * @param string $contextContent
+   *   The formatted context content to include.
+   *
+   * @return string
+   *   The user message.
+   */
+  protected function buildTranslationUserMessage(ContentPlan $plan, string $contextContent = ''): string {
+    $message = sprintf(
+      "Plan to translate:\n%s",
+      Json::encode([
+        'title' => $plan->title,
+        'summary' => $plan->summary,
+        'target_audience' => $plan->targetAudience,
+        'sections' => array_map(fn(PlanSection $section): array => $this->buildTranslatableSection($section), $plan->sections),
+      ])
+    );
+
+    if (!empty($contextContent)) {
+      $message .= "\n\n## Context Guidelines\n\nFollow these guidelines, e.g. for terminology, in the translation:\n\n" . $contextContent;
+    }
+
+    $message .= "\n\nRespond with only valid JSON, no additional text.";
+
+    return $message;
+  }
+
+  /**
+   * Builds the text of a section and its children for translation.
+   *
+   * Unlike refinement, the content is not truncated: all of it is needed.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The section.
+   *
+   * @return array<string, mixed>
+   *   The section ID, title, content and children.
+   */
+  protected function buildTranslatableSection(PlanSection $section): array {
+    $data = [
+      'id' => $section->id,
+      'title' => $section->title,
+      'content' => $section->content,
+    ];
+    if (!empty($section->children)) {
+      $data['children'] = array_map(fn(PlanSection $child): array => $this->buildTranslatableSection($child), $section->children);
+    }
+    return $data;
+  }
+
   /**
    * Builds a minimal plan representation for refinement to reduce token usage.
    *
@@ -971,6 +1729,11 @@ PROMPT;
         'order' => $section->order,
       ];
 
+      // Only include images if the section shows any.
+      if (!empty($section->images)) {
+        $sectionData['images'] = array_map(fn($image) => $image->id, $section->images);
+      }
+
       // Only include children if they exist.
       if (!empty($section->children)) {
         $sectionData['children'] = array_map(function ($child) {
@@ -1004,6 +1767,10 @@ PROMPT;
   /**
    * Executes an AI call with retry logic for JSON parsing failures.
    *
+   * When a 'section_callback' option is given and the provider supports
+   * streamed output, the response is streamed and each completed section is
+   * passed to the callback as soon as it has been received.
+   *
    * @param mixed $provider
    *   The AI provider instance.
    * @param string $modelId
@@ -1012,6 +1779,9 @@ PROMPT;
    *   The system prompt.
    * @param string $userMessage
    *   The user message.
+   * @param array<string, mixed> $options
+   *   Generation options, may include 'progress_callback' and
+   *   'section_callback'.
    *
    * @return array<string, mixed>
    *   The parsed JSON response.
@@ -1019,11 +1789,19 @@ PROMPT;
    * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
    *   When AI call or JSON parsing fails after all retries.
    */
-  protected function executeAiCallWithRetries(mixed $provider, string $modelId, string $systemPrompt, string $userMessage): array {
+  protected function executeAiCallWithRetries(mixed $provider, string $modelId, string $systemPrompt, string $userMessage, array $options = []): array {
     $lastException = NULL;
     $providerLabel = method_exists($provider, 'getPluginId') ? $provider->getPluginId() : 'unknown';
+    $sectionCallback = $options['section_callback'] ?? NULL;
+    $streamSections = is_callable($sectionCallback) && method_exists($provider, 'streamedOutput');
 
     for ($attempt = 1; $attempt <= self::MAX_RETRIES; $attempt++) {
+      // Sections streamed by a failed attempt must be discarded by listeners.
+      $this->reportProgress($options, $attempt === 1 ? 'requesting' : 'retrying', [
+        'attempt' => $attempt,
+        'reset' => $attempt > 1,
+      ]);
+
       try {
         // Create chat input.
         $chatInput = new ChatInput([
@@ -1031,12 +1809,21 @@ PROMPT;
         ]);
         $chatInput->setSystemPrompt($systemPrompt);
 
+        if ($streamSections) {
+          $provider->streamedOutput(TRUE);
+        }
+
         // Execute chat.
         $response = $provider->chat($chatInput, $modelId, ['ai_content_preparation_wizard']);
 
         // Get the response text.
         $normalized = $response->getNormalized();
-        $responseText = $normalized->getText();
+        if ($normalized instanceof StreamedChatMessageIteratorInterface) {
+          $responseText = $this->consumeStreamedResponse($normalized, $options);
+        }
+        else {
+          $responseText = $normalized->getText();
+        }
 
         // Parse JSON response.
         $data = $this->parseJsonResponse($responseText);
@@ -1065,6 +1852,11 @@ PROMPT;
           $e
         );
       }
+      finally {
+        if ($streamSections) {
+          $provider->streamedOutput(FALSE);
+        }
+      }
     }
 
     throw new PlanGenerationException(
@@ -1076,6 +1868,155 @@ PROMPT;
     );
   }
 
+  /**
+   * Reads a streamed AI response and reports sections as they complete.
+   *
+   * @param \Drupal\ai\OperationType\Chat\StreamedChatMessageIteratorInterface $stream
+   *   The streamed chat response.
+   * @param array<string, mixed> $options
+   *   Generation options, may include 'progress_callback' and
+   *   'section_callback'.
+   *
+   * @return string
+   *   The full response text.
+   */
+  protected function consumeStreamedResponse(StreamedChatMessageIteratorInterface $stream, array $options): string {
+    $responseText = '';
+    $emitted = 0;
+    $receiving = FALSE;
+
+    foreach ($stream as $chunk) {
+      $text = (string) $chunk->getText();
+      if ($text === '') {
+        continue;
+      }
+
+      if (!$receiving) {
+        $receiving = TRUE;
+        $this->reportProgress($options, 'receiving');
+      }
+
+      $responseText .= $text;
+
+      // Only a closing brace can complete a section object.
+      if (!str_contains($text, '}')) {
+        continue;
+      }
+
+      $completed = $this->extractCompletedSections($responseText);
+      for (; $emitted < count($completed); $emitted++) {
+        $section = $this->parseSectionData($completed[$emitted], $emitted);
+        ($options['section_callback'])($section, $emitted);
+      }
+    }
+
+    return $responseText;
+  }
+
+  /**
+   * Extracts the fully received objects of the top-level "sections" array.
+   *
+   * @param string $buffer
+   *   The (possibly incomplete) JSON response received so far.
+   *
+   * @return array<int, array<string, mixed>>
+   *   The decoded section objects that are complete, in order.
+   */
+  protected function extractCompletedSections(string $buffer): array {
+    $start = strpos($buffer, '{');
+    if ($start === FALSE) {
+      return [];
+    }
+
+    $sections = [];
+    $depth = 0;
+    $inString = FALSE;
+    $escaped = FALSE;
+    $stringStart = 0;
+    $lastKey = NULL;
+    $sectionsDepth = NULL;
+    $objectStart = NULL;
+    $length = strlen($buffer);
+
+    for ($i = $start; $i < $length; $i++) {
+      $char = $buffer[$i];
+
+      if ($inString) {
+        if ($escaped) {
+          $escaped = FALSE;
+        }
+        elseif ($char === '\\') {
+          $escaped = TRUE;
+        }
+        elseif ($char === '"') {
+          $inString = FALSE;
+          if ($depth === 1) {
+            $lastKey = substr($buffer, $stringStart + 1, $i - $stringStart - 1);
+          }
+        }
+        continue;
+      }
+
+      switch ($char) {
+        case '"':
+          $inString = TRUE;
+          $stringStart = $i;
+          break;
+
+        case '[':
+          $depth++;
+          if ($depth === 2 && $lastKey === 'sections' && $sectionsDepth === NULL) {
+            $sectionsDepth = $depth;
+          }
+          break;
+
+        case '{':
+          if ($sectionsDepth !== NULL && $depth === $sectionsDepth) {
+            $objectStart = $i;
+          }
+          $depth++;
+          break;
+
+        case '}':
+          $depth--;
+          if ($objectStart !== NULL && $depth === $sectionsDepth) {
+            $decoded = json_decode(substr($buffer, $objectStart, $i - $objectStart + 1), TRUE);
+            if (is_array($decoded)) {
+              $sections[] = $decoded;
+            }
+            $objectStart = NULL;
+          }
+          break;
+
+        case ']':
+          if ($sectionsDepth !== NULL && $depth === $sectionsDepth) {
+            // The sections array is complete.
+            return $sections;
+          }
+          $depth--;
+          break;
+      }
+    }
+
+    return $sections;
+  }
+
+  /**
+   * Reports a generation progress stage to the optional progress callback.
+   *
+   * @param array<string, mixed> $options
+   *   Generation options, may include 'progress_callback'.
+   * @param string $stage
+   *   The stage machine name (e.g. 'analyzing', 'requesting', 'parsing').
+   * @param array<string, mixed> $context
+   *   Additional stage data, such as the attempt number.
+   */
+  protected function reportProgress(array $options, string $stage, array $context = []): void {
+    if (isset($options['progress_callback']) && is_callable($options['progress_callback'])) {
+      ($options['progress_callback'])($stage, $context);
+    }
+  }
+
   /**
    * Parses a JSON response from the AI.
    *
@@ -1124,6 +2065,8 @@ PROMPT;
    *   IDs of source documents.
    * @param string|null $templateId
    *   The template ID used.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images extracted from the source documents.
    *
    * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
    *   The created content plan.
@@ -1131,7 +2074,7 @@ PROMPT;
    * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
    *   When required fields are missing.
    */
-  protected function parseContentPlanResponse(array $data, array $sourceDocumentIds, ?string $templateId): ContentPlan {
+  protected function parseContentPlanResponse(array $data, array $sourceDocumentIds, ?string $templateId, array $images = []): ContentPlan {
     // Validate required fields.
     $requiredFields = ['title', 'summary', 'sections'];
     foreach ($requiredFields as $field) {
@@ -1145,7 +2088,7 @@ PROMPT;
     // Parse sections.
     $sections = [];
     foreach ($data['sections'] as $index => $sectionData) {
-      $sections[] = $this->parseSectionData($sectionData, $index);
+      $sections[] = $this->parseSectionData($sectionData, $index, $images);
     }
 
     return ContentPlan::create(
@@ -1156,6 +2099,7 @@ PROMPT;
       estimatedReadTime: (int) ($data['estimated_read_time'] ?? 5),
       sourceDocumentIds: $sourceDocumentIds,
       templateId: $templateId,
+      images: $images,
     );
   }
 
@@ -1166,16 +2110,18 @@ PROMPT;
    *   The section data.
    * @param int $index
    *   The section index for default ordering.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images the section may reference by ID.
    *
    * @return \Drupal\ai_content_preparation_wizard\Model\PlanSection
    *   The parsed section.
    */
-  protected function parseSectionData(array $sectionData, int $index): PlanSection {
+  protected function parseSectionData(array $sectionData, int $index, array $images = []): PlanSection {
     // Handle children recursively.
     $children = [];
     if (!empty($sectionData['children'])) {
       foreach ($sectionData['children'] as $childIndex => $childData) {
-        $children[] = $this->parseSectionData($childData, $childIndex);
+        $children[] = $this->parseSectionData($childData, $childIndex, $images);
       }
     }
 
@@ -1189,6 +2135,27 @@ PROMPT;
         return is_array($item) ? json_encode($item) : (string) $item;
       }, $content));
     }
+    $content = (string) $content;
+
+    // Image references copied into the content count as placed images.
+    $imageIds = is_array($sectionData['images'] ?? NULL) ? $sectionData['images'] : [];
+    if (preg_match_all('/!\[[^\]]*\]\(image:([\w-]+)\)\s*/', $content, $matches)) {
+      $content = preg_replace('/!\[[^\]]*\]\(image:([\w-]+)\)\s*/', '', $content);
+      $imageIds = array_merge($imageIds, $matches[1]);
+    }
+
+    // Resolve the referenced images in order, ignoring IDs the AI made up.
+    $imagesById = [];
+    foreach ($images as $image) {
+      $imagesById[$image->id] = $image;
+    }
+    $sectionImages = [];
+    foreach ($imageIds as $imageId) {
+      if (is_string($imageId) && isset($imagesById[$imageId])) {
+        $sectionImages[$imageId] = $imagesById[$imageId];
+      }
+    }
+    $sectionImages = array_values($sectionImages);
 
     // Ensure title is a string.
     $title = $sectionData['title'] ?? 'Untitled Section';
@@ -1204,6 +2171,86 @@ PROMPT;
       order: (int) ($sectionData['order'] ?? $index + 1),
       componentConfig: $sectionData['component_config'] ?? [],
       children: $children,
+      images: $sectionImages,
+    );
+  }
+
+  /**
+   * Parses a translated plan response from AI data.
+   *
+   * The translated text is applied to the structure of the source plan, so
+   * the AI cannot change components, images or the order of the sections.
+   *
+   * @param array<string, mixed> $data
+   *   The parsed JSON data.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $source
+   *   The plan that was translated.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
+   *   The translated plan.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
+   *   When sections with content are missing from the translation.
+   */
+  protected function parseTranslationResponse(array $data, ContentPlan $source): ContentPlan {
+    // Index the translated sections by ID, wherever the AI nested them.
+    $translated = [];
+    $pending = is_array($data['sections'] ?? NULL) ? $data['sections'] : [];
+    while ($pending) {
+      $sectionData = array_shift($pending);
+      if (!is_array($sectionData)) {
+        continue;
+      }
+      if (isset($sectionData['id']) && is_scalar($sectionData['id'])) {
+        $translated[(string) $sectionData['id']] = $sectionData;
+      }
+      if (is_array($sectionData['children'] ?? NULL)) {
+        array_push($pending, ...array_values($sectionData['children']));
+      }
+    }
+
+    $missing = [];
+    $translateSection = function (PlanSection $section) use (&$translateSection, &$missing, $translated): PlanSection {
+      $sectionData = $translated[$section->id] ?? NULL;
+      if ($sectionData === NULL && trim($section->content) !== '') {
+        $missing[] = $section->id;
+      }
+      $title = $sectionData['title'] ?? NULL;
+      $content = $sectionData['content'] ?? NULL;
+
+      return new PlanSection(
+        id: $section->id,
+        title: is_string($title) && trim($title) !== '' ? $title : $section->title,
+        content: is_string($content) && trim($content) !== '' ? $content : $section->content,
+        componentType: $section->componentType,
+        order: $section->order,
+        componentConfig: $section->componentConfig,
+        children: array_map($translateSection, $section->children),
+        sourceSpans: $section->sourceSpans,
+        images: $section->images,
+      );
+    };
+    $sections = array_map($translateSection, $source->sections);
+
+    if ($missing) {
+      throw new PlanGenerationException(sprintf('The translation is missing sections: %s.', implode(', ', $missing)));
+    }
+
+    $text = fn(string $key, string $fallback): string => is_string($data[$key] ?? NULL) && trim($data[$key]) !== '' ? $data[$key] : $fallback;
+
+    return new ContentPlan(
+      id: $source->id,
+      title: $text('title', $source->title),
+      summary: $text('summary', $source->summary),
+      sections: $sections,
+      targetAudience: $text('target_audience', $source->targetAudience),
+      estimatedReadTime: $source->estimatedReadTime,
+      generatedAt: new \DateTimeImmutable(),
+      status: $source->status,
+      refinementHistory: [],
+      sourceDocumentIds: $source->sourceDocumentIds,
+      templateId: $source->templateId,
+      images: $source->images,
     );
   }
 
@@ -1222,11 +2269,20 @@ PROMPT;
    *   When parsing fails.
    */
   protected function parseRefinedPlanResponse(array $data, ContentPlan $originalPlan): ContentPlan {
-    // Parse sections.
+    // Parse sections. Sections that are kept keep their source passages.
     $sections = [];
     if (!empty($data['sections'])) {
       foreach ($data['sections'] as $index => $sectionData) {
-        $sections[] = $this->parseSectionData($sectionData, $index);
+        $section = $this->parseSectionData($sectionData, $index, $originalPlan->images);
+        $original = $originalPlan->getSection($section->id);
+        if ($original) {
+          $section = $section->withSourceSpans($original->sourceSpans);
+          // Models often leave out images they were not asked to change.
+          if (!isset($sectionData['images'])) {
+            $section = $section->withImages($original->images);
+          }
+        }
+        $sections[] = $section;
       }
     }
 
@@ -1243,6 +2299,7 @@ PROMPT;
       refinementHistory: $originalPlan->refinementHistory,
       sourceDocumentIds: $originalPlan->sourceDocumentIds,
       templateId: $originalPlan->templateId,
+      images: $originalPlan->images,
     );
   }
 
@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace Drupal\ai_content_preparation_wizard\Service;
 
 use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PromptBudget;
 
 /**
  * Interface for the content plan generator service.
@@ -15,6 +16,21 @@ use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
  */
 interface ContentPlanGeneratorInterface {
 
+  /**
+   * Oversized documents are cut off at the content length limits.
+   */
+  public const OVERSIZED_TRUNCATE = 'truncate';
+
+  /**
+   * Oversized documents are summarized by the AI before planning.
+   */
+  public const OVERSIZED_SUMMARIZE = 'summarize';
+
+  /**
+   * The documents are planned in parts that are merged into one plan.
+   */
+  public const OVERSIZED_CHUNK = 'chunk';
+
   /**
    * Generates a content plan from processed documents, webpages, and AI contexts.
    *
@@ -34,6 +50,15 @@ interface ContentPlanGeneratorInterface {
    *   - 'tone': The desired tone (formal, casual, technical).
    *   - 'max_sections': Maximum number of sections to generate.
    *   - 'webpages': Array of ProcessedWebpage objects to include.
+   *   - 'oversized': How documents are handled that do not fit the prompt,
+   *     one of the OVERSIZED_* constants. Defaults to truncating them.
+   *   - 'progress_callback': Callable receiving a stage name ('analyzing',
+   *     'requesting', 'retrying', 'receiving', 'parsing') and a context
+   *     array as generation advances.
+   *   - 'section_callback': Callable receiving each PlanSection and its index
+   *     as soon as it has been streamed from the AI provider. Listeners must
+   *     discard received sections when a 'retrying' stage is reported.
+   *     Sections are not streamed when the documents are planned in parts.
    *
    * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
    *   The generated content plan.
@@ -43,6 +68,26 @@ interface ContentPlanGeneratorInterface {
    */
   public function generate(array $documents, array $contexts = [], ?string $templateId = NULL, array $options = []): ContentPlan;
 
+  /**
+   * Estimates the token budget of generating a plan.
+   *
+   * Takes the same arguments as generate() and measures the prompt that
+   * would be sent, without calling the AI provider.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ProcessedDocument> $documents
+   *   The processed documents.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\AIContext|string> $contexts
+   *   The AI contexts.
+   * @param string|null $templateId
+   *   Optional template ID.
+   * @param array<string, mixed> $options
+   *   The generation options, see generate().
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PromptBudget
+   *   The estimated budget.
+   */
+  public function estimateBudget(array $documents, array $contexts = [], ?string $templateId = NULL, array $options = []): PromptBudget;
+
   /**
    * Refines an existing content plan based on user instructions.
    *
@@ -67,6 +112,57 @@ interface ContentPlanGeneratorInterface {
    */
   public function refine(ContentPlan $plan, string $refinementPrompt, array $contexts = [], array $options = []): ContentPlan;
 
+  /**
+   * Rewrites a single section of a content plan based on user instructions.
+   *
+   * The rest of the plan is passed to the AI as context so the rewritten
+   * section stays consistent with its surroundings, but only the given
+   * section is changed. The section keeps its ID, order and children.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan containing the section.
+   * @param string $sectionId
+   *   The ID of the section to rewrite.
+   * @param string $instructions
+   *   The user's instructions for this section.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\AIContext|string> $contexts
+   *   An array of AI contexts to consider during refinement.
+   * @param array<string, mixed> $options
+   *   Additional options for refinement.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
+   *   The plan with the rewritten section and a new refinement history entry.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
+   *   If the section does not exist or refinement fails.
+   */
+  public function refineSection(ContentPlan $plan, string $sectionId, string $instructions, array $contexts = [], array $options = []): ContentPlan;
+
+  /**
+   * Translates a content plan to another language.
+   *
+   * The translated plan keeps the ID, sections, section IDs, components and
+   * images of the source plan. Only the title, summary, target audience and
+   * the section titles and content are translated.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan to translate.
+   * @param string $langcode
+   *   The code of the target language.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\AIContext|string> $contexts
+   *   An array of AI contexts to consider, e.g. a glossary or style guide.
+   * @param array<string, mixed> $options
+   *   Additional options for translation, may include 'progress_callback'.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
+   *   The translated plan.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException
+   *   If the language does not exist, translation fails or the translation
+   *   is missing sections.
+   */
+  public function translate(ContentPlan $plan, string $langcode, array $contexts = [], array $options = []): ContentPlan;
+
   /**
    * Checks if refinement is available for a plan.
    *
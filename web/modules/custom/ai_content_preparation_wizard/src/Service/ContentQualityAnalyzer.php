@@ -0,0 +1,336 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+
+/**
+ * Runs content quality checks on content plans.
+ *
+ * Readability is the Flesch reading ease with an English syllable heuristic,
+ * so scores of other languages are only a rough indication. Component kinds
+ * are derived from the component ID like the Step 2 editor does, e.g.
+ * "sdc.mercury.hero" is a hero.
+ */
+final class ContentQualityAnalyzer implements ContentQualityAnalyzerInterface {
+
+  use StringTranslationTrait;
+
+  /**
+   * Length limits per component kind.
+   *
+   * 'title' is the maximum number of title characters, 'words' and
+   * 'characters' limit the section content.
+   *
+   * @var array<string, array<string, int>>
+   */
+  private const COMPONENT_LIMITS = [
+    'hero' => ['title' => 60, 'words' => 50],
+    'cta' => ['title' => 60, 'words' => 40],
+    'heading' => ['title' => 70],
+    'quote' => ['words' => 80],
+    'image' => ['characters' => 150],
+    'list' => ['title' => 90, 'words' => 300],
+    'text' => ['title' => 90, 'words' => 500],
+  ];
+
+  /**
+   * Recommended page title length for search results, in characters.
+   *
+   * @var array{min: int, max: int}
+   */
+  private const PAGE_TITLE_LENGTH = ['min' => 30, 'max' => 60];
+
+  /**
+   * Recommended summary (meta description) length, in characters.
+   *
+   * @var array{min: int, max: int}
+   */
+  private const SUMMARY_LENGTH = ['min' => 70, 'max' => 160];
+
+  /**
+   * Reading ease below which a text is reported as hard to read.
+   *
+   * @var int
+   */
+  private const MIN_READABILITY = 30;
+
+  /**
+   * Minimum number of words for a meaningful readability score.
+   *
+   * @var int
+   */
+  private const READABILITY_MIN_WORDS = 30;
+
+  /**
+   * {@inheritdoc}
+   */
+  public function analyze(ContentPlan $plan): array {
+    $sections = [];
+    $issues = [];
+    $texts = [];
+    $headings = [];
+    $number = 0;
+
+    foreach ($plan->sections as $topSection) {
+      foreach ($topSection->flatten() as $section) {
+        $number++;
+        $kind = $this->getComponentKind($section->componentType);
+        $limits = self::COMPONENT_LIMITS[$kind];
+        $text = $this->getPlainText($section->content);
+        $words = count($this->getWords($text));
+        $characters = mb_strlen($text);
+        $readability = $this->getReadability($text);
+        $title = trim($section->title);
+        $titleLabel = $title !== '' ? $title : (string) $this->t('Section @number', ['@number' => $number]);
+
+        $sections[$section->id] = [
+          'title' => $title,
+          'words' => $words,
+          'characters' => $characters,
+          'readability' => $readability,
+        ];
+        $texts[] = $text;
+
+        if ($title === '') {
+          $issues[] = $this->issue($section->id, 'empty', (string) $this->t('Section @number has no title.', ['@number' => $number]));
+        }
+        else {
+          $headings[] = [$section->id, $title];
+        }
+        // Heading components only show the title.
+        if ($kind !== 'heading' && $text === '') {
+          $issues[] = $this->issue($section->id, 'empty', (string) $this->t('Section "@title" has no content.', ['@title' => $titleLabel]));
+        }
+
+        if (isset($limits['title']) && mb_strlen($title) > $limits['title']) {
+          $issues[] = $this->issue($section->id, 'length', (string) $this->t('The title of section "@title" has @count characters; the @component component fits at most @max.', [
+            '@title' => $titleLabel,
+            '@count' => mb_strlen($title),
+            '@component' => $kind,
+            '@max' => $limits['title'],
+          ]));
+        }
+        if (isset($limits['words']) && $words > $limits['words']) {
+          $issues[] = $this->issue($section->id, 'length', (string) $this->t('Section "@title" has @count words; the @component component fits at most @max.', [
+            '@title' => $titleLabel,
+            '@count' => $words,
+            '@component' => $kind,
+            '@max' => $limits['words'],
+          ]));
+        }
+        if (isset($limits['characters']) && $characters > $limits['characters']) {
+          $issues[] = $this->issue($section->id, 'length', (string) $this->t('Section "@title" has @count characters; the @component component fits at most @max.', [
+            '@title' => $titleLabel,
+            '@count' => $characters,
+            '@component' => $kind,
+            '@max' => $limits['characters'],
+          ]));
+        }
+
+        if ($readability !== NULL && $readability < self::MIN_READABILITY) {
+          $issues[] = $this->issue($section->id, 'readability', (string) $this->t('Section "@title" is hard to read (reading ease @score). Use shorter sentences and simpler words.', [
+            '@title' => $titleLabel,
+            '@score' => $readability,
+          ]));
+        }
+
+        if (preg_match_all('/^#{1,6}\s+(.+?)\s*#*\s*$/m', $section->content, $matches)) {
+          foreach ($matches[1] as $heading) {
+            $headings[] = [$section->id, $heading];
+          }
+        }
+      }
+    }
+
+    $seen = [];
+    foreach ($headings as [$sectionId, $heading]) {
+      $key = mb_strtolower(preg_replace('/\s+/u', ' ', trim($heading)));
+      if (($seen[$key] ?? 0) === 1) {
+        $issues[] = $this->issue($sectionId, 'duplicate_heading', (string) $this->t('The heading "@heading" is used more than once.', ['@heading' => trim($heading)]));
+      }
+      $seen[$key] = ($seen[$key] ?? 0) + 1;
+    }
+
+    $allText = implode("\n\n", array_filter($texts));
+    $readability = $this->getReadability($allText);
+    if ($readability !== NULL && $readability < self::MIN_READABILITY) {
+      $issues[] = $this->issue(NULL, 'readability', (string) $this->t('The page is hard to read overall (reading ease @score).', ['@score' => $readability]));
+    }
+
+    $titleLength = mb_strlen(trim($plan->title));
+    if ($titleLength > 0 && $titleLength < self::PAGE_TITLE_LENGTH['min']) {
+      $issues[] = $this->issue(NULL, 'seo', (string) $this->t('The page title is short (@count characters). Titles of @min to @max characters work best in search results.', [
+        '@count' => $titleLength,
+        '@min' => self::PAGE_TITLE_LENGTH['min'],
+        '@max' => self::PAGE_TITLE_LENGTH['max'],
+      ]));
+    }
+    elseif ($titleLength > self::PAGE_TITLE_LENGTH['max']) {
+      $issues[] = $this->issue(NULL, 'seo', (string) $this->t('The page title is long (@count characters) and may be cut off in search results. Keep it to @max characters or fewer.', [
+        '@count' => $titleLength,
+        '@max' => self::PAGE_TITLE_LENGTH['max'],
+      ]));
+    }
+
+    $summaryLength = mb_strlen(trim($plan->summary));
+    if ($summaryLength < self::SUMMARY_LENGTH['min']) {
+      $issues[] = $this->issue(NULL, 'seo', (string) $this->t('The summary is short (@count characters). As meta description, @min to @max characters work best.', [
+        '@count' => $summaryLength,
+        '@min' => self::SUMMARY_LENGTH['min'],
+        '@max' => self::SUMMARY_LENGTH['max'],
+      ]));
+    }
+    elseif ($summaryLength > self::SUMMARY_LENGTH['max']) {
+      $issues[] = $this->issue(NULL, 'seo', (string) $this->t('The summary is long (@count characters) and will be cut off as meta description. Keep it to @max characters or fewer.', [
+        '@count' => $summaryLength,
+        '@max' => self::SUMMARY_LENGTH['max'],
+      ]));
+    }
+
+    return [
+      'readability' => $readability,
+      'words' => array_sum(array_column($sections, 'words')),
+      'characters' => array_sum(array_column($sections, 'characters')),
+      'sections' => $sections,
+      'issues' => $issues,
+    ];
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getLimits(): array {
+    return [
+      'components' => self::COMPONENT_LIMITS,
+      'pageTitle' => self::PAGE_TITLE_LENGTH,
+      'summary' => self::SUMMARY_LENGTH,
+      'readability' => [
+        'min' => self::MIN_READABILITY,
+        'minWords' => self::READABILITY_MIN_WORDS,
+      ],
+    ];
+  }
+
+  /**
+   * Builds an issue.
+   *
+   * @param string|null $sectionId
+   *   The section ID, or NULL for page-level issues.
+   * @param string $type
+   *   The issue type.
+   * @param string $message
+   *   The translated message.
+   *
+   * @return array{section: ?string, type: string, message: string}
+   *   The issue.
+   */
+  private function issue(?string $sectionId, string $type, string $message): array {
+    return [
+      'section' => $sectionId,
+      'type' => $type,
+      'message' => $message,
+    ];
+  }
+
+  /**
+   * Gets the component kind the limits apply to.
+   *
+   * @param string $componentType
+   *   The component type, e.g. "hero" or "sdc.mercury.hero".
+   *
+   * @return string
+   *   A key of COMPONENT_LIMITS.
+   */
+  private function getComponentKind(string $componentType): string {
+    $parts = preg_split('/[.:]/', mb_strtolower($componentType));
+    $name = end($parts);
+    foreach (['heading', 'list', 'quote', 'image', 'hero', 'cta'] as $kind) {
+      if (str_contains($name, $kind)) {
+        return $kind;
+      }
+    }
+    return 'text';
+  }
+
+  /**
+   * Strips the Markdown syntax from section content.
+   *
+   * @param string $markdown
+   *   The Markdown content.
+   *
+   * @return string
+   *   The plain text, with one line per block.
+   */
+  private function getPlainText(string $markdown): string {
+    $text = preg_replace('/^(```|~~~).*?^\1/ms', '', $markdown);
+    $text = preg_replace('/!?\[([^\]]*)\]\([^)]*\)/', '$1', $text);
+    $text = preg_replace('/^\s*(#{1,6}|[-*+]|\d+[.)]|>)\s+/m', '', $text);
+    $text = str_replace(['**', '__', '`'], '', $text);
+    return trim(strip_tags($text));
+  }
+
+  /**
+   * Splits text into words.
+   *
+   * @param string $text
+   *   The plain text.
+   *
+   * @return array<string>
+   *   The words.
+   */
+  private function getWords(string $text): array {
+    preg_match_all("/[\\p{L}\\p{N}]+(?:['’-][\\p{L}\\p{N}]+)*/u", $text, $matches);
+    return $matches[0];
+  }
+
+  /**
+   * Calculates the Flesch reading ease of a text.
+   *
+   * @param string $text
+   *   The plain text.
+   *
+   * @return float|null
+   *   The score from 0 (hard) to 100 (easy), or NULL if the text is too
+   *   short to score.
+   */
+  private function getReadability(string $text): ?float {
+    $words = $this->getWords($text);
+    if (count($words) < self::READABILITY_MIN_WORDS) {
+      return NULL;
+    }
+
+    // Lines without closing punctuation, such as list items, are sentences
+    // as well.
+    $sentences = preg_split('/[.!?]+(?=\s|$)|\n+/u', $text);
+    $sentenceCount = count(array_filter($sentences, fn(string $sentence): bool => $this->getWords($sentence) !== []));
+
+    $syllables = array_sum(array_map([$this, 'countSyllables'], $words));
+    $score = 206.835 - 1.015 * (count($words) / max(1, $sentenceCount)) - 84.6 * ($syllables / count($words));
+
+    return round(max(0, min(100, $score)), 1);
+  }
+
+  /**
+   * Estimates the number of syllables of an English word.
+   *
+   * @param string $word
+   *   The word.
+   *
+   * @return int
+   *   The number of syllables, at least 1.
+   */
+  private function countSyllables(string $word): int {
+    $word = preg_replace('/[^a-z]/', '', mb_strtolower($word));
+    if (strlen($word) <= 3) {
+      return 1;
+    }
+    $word = preg_replace('/(?:[^laeiouy]es|ed|[^laeiouy]e)$/', '', $word);
+    $word = preg_replace('/^y/', '', $word);
+    return max(1, preg_match_all('/[aeiouy]{1,2}/', $word));
+  }
+
+}
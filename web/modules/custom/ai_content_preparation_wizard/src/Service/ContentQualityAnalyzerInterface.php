@@ -0,0 +1,44 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+
+/**
+ * Interface for the content quality analyzer.
+ *
+ * Checks what editors end up with rather than what the AI estimated:
+ * readability, lengths against the limits of the selected components,
+ * duplicate headings, empty sections and the length of the page title and
+ * summary used for SEO meta tags. The Step 2 quality panel (plan-quality.js)
+ * runs the same checks in the browser with the limits from getLimits().
+ */
+interface ContentQualityAnalyzerInterface {
+
+  /**
+   * Analyzes a content plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   *
+   * @return array{readability: ?float, words: int, characters: int, sections: array<string, array{title: string, words: int, characters: int, readability: ?float}>, issues: array<int, array{section: ?string, type: string, message: string}>}
+   *   The overall and per-section (including nested sections) statistics.
+   *   Readability is the Flesch reading ease from 0 (hard) to 100 (easy),
+   *   or NULL for texts too short to score. Issues are warnings, never
+   *   errors.
+   */
+  public function analyze(ContentPlan $plan): array;
+
+  /**
+   * Gets the limits the checks are based on.
+   *
+   * @return array<string, array>
+   *   The length limits per component kind ('components'), the recommended
+   *   page title and summary lengths ('pageTitle', 'summary') and the
+   *   readability thresholds ('readability').
+   */
+  public function getLimits(): array;
+
+}
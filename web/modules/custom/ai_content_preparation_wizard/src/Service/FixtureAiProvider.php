@@ -0,0 +1,595 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai\OperationType\Chat\ChatInput;
+use Drupal\ai\OperationType\Chat\ChatMessage;
+use Drupal\ai\OperationType\Chat\ChatOutput;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\State\StateInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Answers the requests of the content plan generator offline.
+ *
+ * The request type is recognized by the system prompt of the generator.
+ * Responses are deterministic: the same request always gets the same
+ * answer, so they can be asserted on in tests.
+ */
+final class FixtureAiProvider implements FixtureAiProviderInterface {
+
+  /**
+   * The state key of the queued failures.
+   *
+   * @var string
+   */
+  private const FAILURES_STATE_KEY = 'ai_content_preparation_wizard.fixture_failures';
+
+  /**
+   * The request types, keyed by the opening of their system prompt.
+   *
+   * @var array<string, string>
+   */
+  private const REQUEST_TYPES = [
+    'You are a content planning assistant specializing' => 'generate',
+    'You are a content planning assistant helping to refine' => 'refine',
+    'You are a content planning assistant rewriting a single section' => 'refine_section',
+    'You are a professional translator' => 'translate',
+    'You condense source documents' => 'summarize',
+  ];
+
+  /**
+   * The failures injected by markers in a request, keyed by marker.
+   *
+   * @var array<string, string>
+   */
+  private const FAILURE_MARKERS = [
+    '[fixture:error]' => self::FAILURE_ERROR,
+    '[fixture:invalid-json]' => self::FAILURE_INVALID_JSON,
+  ];
+
+  /**
+   * Lines the generator wraps the source content in.
+   *
+   * @var array<int, string>
+   */
+  private const WRAPPER_PATTERNS = [
+    '/^#{1,2} (Uploaded Documents|Referenced Webpages|Document: .*|Referenced Webpage: .*)$/',
+    '/^\*\*Source URL:\*\* /',
+    '/^The following content was extracted from referenced web pages\./',
+    '/^\[(Total content|Content) truncated due to length\.\.\.\]$/',
+    '/^---$/',
+  ];
+
+  /**
+   * The number of words read per minute for the estimated read time.
+   *
+   * @var int
+   */
+  private const WORDS_PER_MINUTE = 200;
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs a FixtureAiProvider.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $configFactory
+   *   The config factory.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state storing queued failures.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger channel factory.
+   */
+  public function __construct(
+    private readonly ConfigFactoryInterface $configFactory,
+    private readonly StateInterface $state,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function chat(ChatInput $input, string $modelId, array $tags = []): ChatOutput {
+    $systemPrompt = (string) $input->getSystemPrompt();
+    $userMessage = implode("\n\n", array_map(
+      fn(ChatMessage $message): string => $message->getText(),
+      $input->getMessages()
+    ));
+
+    $latency = (int) ($this->configFactory->get('ai_content_preparation_wizard.settings')->get('fixture_latency') ?? 0);
+    if ($latency > 0) {
+      usleep($latency * 1000);
+    }
+
+    $failure = $this->takeFailure($userMessage);
+    if ($failure !== NULL) {
+      $this->logger->notice('The fixture AI provider simulates a failure: @failure', [
+        '@failure' => $failure,
+      ]);
+    }
+    if ($failure === self::FAILURE_ERROR) {
+      throw new \RuntimeException('The fixture provider simulated a provider error.');
+    }
+
+    $text = $failure === self::FAILURE_INVALID_JSON
+      ? 'This fixture response is not valid JSON.'
+      : $this->buildResponse($systemPrompt, $userMessage);
+
+    return new ChatOutput(new ChatMessage('assistant', $text), $text, []);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getPluginId(): string {
+    return self::PROVIDER_ID;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function queueFailures(array $failures): void {
+    $queue = $this->state->get(self::FAILURES_STATE_KEY, []);
+    $this->state->set(self::FAILURES_STATE_KEY, array_merge($queue, array_values($failures)));
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getRecordingName(string $systemPrompt, string $userMessage): string {
+    $type = $this->getRequestType($systemPrompt);
+    return $type . '-' . substr(hash('sha256', $userMessage), 0, 16) . '.' . $this->getRecordingExtension($type);
+  }
+
+  /**
+   * Takes the failure of a request.
+   *
+   * @param string $userMessage
+   *   The user message of the request.
+   *
+   * @return string|null
+   *   A FAILURE_* constant, or NULL if the request succeeds.
+   */
+  private function takeFailure(string $userMessage): ?string {
+    foreach (self::FAILURE_MARKERS as $marker => $failure) {
+      if (str_contains($userMessage, $marker)) {
+        return $failure;
+      }
+    }
+
+    $queue = $this->state->get(self::FAILURES_STATE_KEY, []);
+    if (empty($queue)) {
+      return NULL;
+    }
+    $failure = array_shift($queue);
+    $this->state->set(self::FAILURES_STATE_KEY, $queue);
+    return $failure;
+  }
+
+  /**
+   * Builds the response text of a request.
+   *
+   * @param string $systemPrompt
+   *   The system prompt.
+   * @param string $userMessage
+   *   The user message.
+   *
+   * @return string
+   *   The response text.
+   *
+   * @throws \RuntimeException
+   *   When the request type is unknown and no response was recorded.
+   */
+  private function buildResponse(string $systemPrompt, string $userMessage): string {
+    $recorded = $this->loadRecording($systemPrompt, $userMessage);
+    if ($recorded !== NULL) {
+      return $recorded;
+    }
+
+    return match ($this->getRequestType($systemPrompt)) {
+      'generate' => Json::encode($this->buildPlan($systemPrompt, $userMessage)),
+      'refine' => Json::encode($this->buildRefinement($userMessage)),
+      'refine_section' => Json::encode($this->buildSectionRefinement($userMessage)),
+      'translate' => Json::encode($this->buildTranslation($systemPrompt, $userMessage)),
+      'summarize' => $this->buildSummary($systemPrompt, $userMessage),
+      default => throw new \RuntimeException('The fixture provider has no response for this request.'),
+    };
+  }
+
+  /**
+   * Gets the type of a request.
+   *
+   * @param string $systemPrompt
+   *   The system prompt.
+   *
+   * @return string
+   *   A REQUEST_TYPES value, or 'chat' for other requests.
+   */
+  private function getRequestType(string $systemPrompt): string {
+    foreach (self::REQUEST_TYPES as $opening => $type) {
+      if (str_contains($systemPrompt, $opening)) {
+        return $type;
+      }
+    }
+    return 'chat';
+  }
+
+  /**
+   * Gets the file extension of recorded responses.
+   *
+   * @param string $type
+   *   The request type.
+   *
+   * @return string
+   *   The extension.
+   */
+  private function getRecordingExtension(string $type): string {
+    return match ($type) {
+      'summarize' => 'md',
+      'chat' => 'txt',
+      default => 'json',
+    };
+  }
+
+  /**
+   * Loads the recorded response of a request.
+   *
+   * The recording of the exact request is used first, then the recording
+   * of its request type, e.g. 'refine.json'.
+   *
+   * @param string $systemPrompt
+   *   The system prompt.
+   * @param string $userMessage
+   *   The user message.
+   *
+   * @return string|null
+   *   The recorded response, or NULL if there is none.
+   */
+  private function loadRecording(string $systemPrompt, string $userMessage): ?string {
+    $directory = rtrim(trim((string) ($this->configFactory->get('ai_content_preparation_wizard.settings')->get('fixture_directory') ?? '')), '/');
+    if ($directory === '') {
+      return NULL;
+    }
+
+    $type = $this->getRequestType($systemPrompt);
+    $name = $this->getRecordingName($systemPrompt, $userMessage);
+    foreach ([$name, $type . '.' . $this->getRecordingExtension($type)] as $candidate) {
+      $path = $directory . '/' . $candidate;
+      if (is_file($path) && is_readable($path)) {
+        return (string) file_get_contents($path);
+      }
+    }
+
+    $this->logger->debug('No recorded @type response in @directory, record it as @name.', [
+      '@type' => $type,
+      '@directory' => $directory,
+      '@name' => $name,
+    ]);
+    return NULL;
+  }
+
+  /**
+   * Builds a plan from the headings of the source content.
+   *
+   * The first top-level heading becomes the title, and every other heading
+   * a section with the text below it.
+   *
+   * @param string $systemPrompt
+   *   The system prompt listing the available components.
+   * @param string $userMessage
+   *   The user message with the source content.
+   *
+   * @return array<string, mixed>
+   *   The plan data.
+   */
+  private function buildPlan(string $systemPrompt, string $userMessage): array {
+    $title = NULL;
+    $documentName = NULL;
+    $intro = [];
+    $sections = [];
+
+    foreach (preg_split('/\R/', $this->extractSources($userMessage)) as $line) {
+      if ($documentName === NULL && preg_match('/^## (?:Document|Referenced Webpage): (.+)$/', $line, $matches)) {
+        $documentName = $matches[1];
+      }
+      if ($this->isWrapperLine($line)) {
+        continue;
+      }
+
+      if (preg_match('/^(#{1,6})\s+(.+?)\s*#*$/', $line, $matches)) {
+        if ($title === NULL && strlen($matches[1]) === 1) {
+          $title = $matches[2];
+        }
+        else {
+          $sections[] = ['title' => $matches[2], 'lines' => []];
+        }
+        continue;
+      }
+
+      if (empty($sections)) {
+        $intro[] = $line;
+      }
+      else {
+        $sections[array_key_last($sections)]['lines'][] = $line;
+      }
+    }
+
+    $title ??= $documentName !== NULL ? pathinfo($documentName, PATHINFO_FILENAME) : 'Content plan';
+    $intro = trim(implode("\n", $intro));
+
+    // Text before the first heading opens the page, and content without
+    // headings is a single section.
+    if ($intro !== '' || empty($sections)) {
+      array_unshift($sections, ['title' => $title, 'lines' => [$intro]]);
+    }
+
+    $componentType = $this->getComponentType($systemPrompt);
+    $words = 0;
+    $planSections = [];
+    foreach (array_values($sections) as $index => $section) {
+      $content = trim(implode("\n", $section['lines']));
+      if ($content === '') {
+        $content = $section['title'];
+      }
+      $words += str_word_count($content);
+
+      preg_match_all('/!\[[^\]]*\]\(image:([^)\s]+)\)/', $content, $images);
+      $planSections[] = [
+        'id' => sprintf('section_%03d', $index + 1),
+        'title' => $section['title'],
+        'content' => $content,
+        'component_type' => $componentType,
+        'order' => $index + 1,
+        'images' => $images[1],
+      ];
+    }
+
+    return [
+      'title' => $title,
+      'summary' => sprintf('A page with %d sections: %s.', count($planSections), implode(', ', array_column($planSections, 'title'))),
+      'target_audience' => preg_match('/^Target audience: (.+)$/m', $userMessage, $matches) ? $matches[1] : 'General audience',
+      'estimated_read_time' => max(1, (int) ceil($words / self::WORDS_PER_MINUTE)),
+      'sections' => $planSections,
+    ];
+  }
+
+  /**
+   * Extracts the source content from a plan generation message.
+   *
+   * @param string $userMessage
+   *   The user message.
+   *
+   * @return string
+   *   The documents and webpages, without the instructions around them.
+   */
+  private function extractSources(string $userMessage): string {
+    if (preg_match('/^# (?:Uploaded Documents|Referenced Webpages)$/m', $userMessage, $matches, PREG_OFFSET_CAPTURE)) {
+      $userMessage = substr($userMessage, $matches[0][1]);
+    }
+
+    // The generator appends these after the sources, in this order.
+    foreach (["\n\nRespond with only valid JSON", "\n\nTarget audience: ", "\n\n## Additional Context\n\n"] as $tail) {
+      $position = strrpos($userMessage, $tail);
+      if ($position !== FALSE) {
+        $userMessage = substr($userMessage, 0, $position);
+      }
+    }
+
+    return $userMessage;
+  }
+
+  /**
+   * Checks whether a line was added by the generator around the sources.
+   *
+   * @param string $line
+   *   The line.
+   *
+   * @return bool
+   *   TRUE if the line is not part of the source content.
+   */
+  private function isWrapperLine(string $line): bool {
+    foreach (self::WRAPPER_PATTERNS as $pattern) {
+      if (preg_match($pattern, $line)) {
+        return TRUE;
+      }
+    }
+    return FALSE;
+  }
+
+  /**
+   * Gets the component type of generated sections.
+   *
+   * @param string $systemPrompt
+   *   The system prompt listing the available components.
+   *
+   * @return string
+   *   The first text component listed, the first component if none is for
+   *   text, or 'text' without a component list.
+   */
+  private function getComponentType(string $systemPrompt): string {
+    if (!preg_match_all('/^- \*\*([^*]+)\*\*:/m', $systemPrompt, $matches)) {
+      return 'text';
+    }
+    foreach ($matches[1] as $componentId) {
+      if (preg_match('/text|paragraph|prose/i', $componentId)) {
+        return $componentId;
+      }
+    }
+    return $matches[1][0];
+  }
+
+  /**
+   * Builds the refinement of a plan.
+   *
+   * The title is marked as refined and the sections are kept.
+   *
+   * @param string $userMessage
+   *   The user message with the plan and the instructions.
+   *
+   * @return array<string, mixed>
+   *   The refined plan data.
+   */
+  private function buildRefinement(string $userMessage): array {
+    $plan = $this->decodeBlock($userMessage, 'Current plan:');
+    $instructions = $this->extractInstructions($userMessage, 'Refinement instructions:');
+
+    return [
+      'title' => ($plan['title'] ?? 'Content plan') . ' (refined)',
+      'refinement_summary' => sprintf('Applied the instructions: %s', $instructions),
+    ];
+  }
+
+  /**
+   * Builds the rewrite of a section.
+   *
+   * The instructions are appended to the content of the section.
+   *
+   * @param string $userMessage
+   *   The user message with the section and the instructions.
+   *
+   * @return array<string, mixed>
+   *   The rewritten section data.
+   */
+  private function buildSectionRefinement(string $userMessage): array {
+    $section = $this->decodeBlock($userMessage, 'Section to rewrite:');
+    $instructions = $this->extractInstructions($userMessage, 'Instructions for this section:');
+
+    return [
+      'title' => $section['title'] ?? '',
+      'content' => rtrim((string) ($section['content'] ?? '')) . "\n\n" . $instructions,
+      'component_type' => $section['component_type'] ?? 'text',
+      'refinement_summary' => sprintf('Applied the instructions: %s', $instructions),
+    ];
+  }
+
+  /**
+   * Builds the translation of a plan.
+   *
+   * Texts are prefixed with the name of the language in brackets.
+   *
+   * @param string $systemPrompt
+   *   The system prompt naming the language.
+   * @param string $userMessage
+   *   The user message with the plan.
+   *
+   * @return array<string, mixed>
+   *   The translated plan data.
+   */
+  private function buildTranslation(string $systemPrompt, string $userMessage): array {
+    $language = preg_match('/content plan into (.+?)\.$/m', $systemPrompt, $matches) ? $matches[1] : 'Translated';
+    $prefix = '[' . $language . '] ';
+    $plan = $this->decodeBlock($userMessage, 'Plan to translate:');
+
+    $translateSection = function (array $section) use (&$translateSection, $prefix): array {
+      $translated = [
+        'id' => $section['id'] ?? '',
+        'title' => $prefix . ($section['title'] ?? ''),
+        'content' => $prefix . ($section['content'] ?? ''),
+      ];
+      if (!empty($section['children'])) {
+        $translated['children'] = array_map($translateSection, $section['children']);
+      }
+      return $translated;
+    };
+
+    return [
+      'title' => $prefix . ($plan['title'] ?? ''),
+      'summary' => $prefix . ($plan['summary'] ?? ''),
+      'target_audience' => $prefix . ($plan['target_audience'] ?? ''),
+      'sections' => array_map($translateSection, $plan['sections'] ?? []),
+    ];
+  }
+
+  /**
+   * Builds the summary of a document.
+   *
+   * Headings are kept, and text is cut off at the requested number of
+   * words.
+   *
+   * @param string $systemPrompt
+   *   The system prompt with the maximum length.
+   * @param string $userMessage
+   *   The content to summarize.
+   *
+   * @return string
+   *   The summary in Markdown.
+   */
+  private function buildSummary(string $systemPrompt, string $userMessage): string {
+    $remaining = preg_match('/in at most (\d+) words/', $systemPrompt, $matches) ? (int) $matches[1] : 100;
+    $lines = [];
+
+    foreach (preg_split('/\R/', $userMessage) as $line) {
+      if (preg_match('/^#{1,6}\s/', $line)) {
+        $lines[] = $line;
+        continue;
+      }
+      if ($remaining <= 0) {
+        continue;
+      }
+      $words = preg_split('/\s+/', trim($line), -1, PREG_SPLIT_NO_EMPTY);
+      $lines[] = implode(' ', array_slice($words, 0, $remaining));
+      $remaining -= count($words);
+    }
+
+    return trim(preg_replace('/\n{3,}/', "\n\n", implode("\n", $lines)));
+  }
+
+  /**
+   * Decodes the JSON line following a label in a message.
+   *
+   * @param string $message
+   *   The user message.
+   * @param string $label
+   *   The label on the line before the JSON.
+   *
+   * @return array<string, mixed>
+   *   The decoded data, empty if it is missing.
+   */
+  private function decodeBlock(string $message, string $label): array {
+    if (!preg_match('/^' . preg_quote($label, '/') . '\n(.+)$/m', $message, $matches)) {
+      return [];
+    }
+    $data = Json::decode($matches[1]);
+    return is_array($data) ? $data : [];
+  }
+
+  /**
+   * Extracts the instructions following a label in a message.
+   *
+   * @param string $message
+   *   The user message.
+   * @param string $label
+   *   The label on the line before the instructions.
+   *
+   * @return string
+   *   The instructions without failure markers.
+   */
+  private function extractInstructions(string $message, string $label): string {
+    $position = strpos($message, $label . "\n");
+    if ($position === FALSE) {
+      return '';
+    }
+    $instructions = substr($message, $position + strlen($label) + 1);
+
+    foreach (["\n\nRespond with only valid JSON", "\n\n## Context Guidelines\n\n"] as $tail) {
+      $end = strrpos($instructions, $tail);
+      if ($end !== FALSE) {
+        $instructions = substr($instructions, 0, $end);
+      }
+    }
+
+    return trim(str_replace(array_keys(self::FAILURE_MARKERS), '', $instructions));
+  }
+
+}
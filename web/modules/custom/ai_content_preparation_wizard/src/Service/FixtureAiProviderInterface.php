@@ -0,0 +1,94 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai\OperationType\Chat\ChatInput;
+use Drupal\ai\OperationType\Chat\ChatOutput;
+
+/**
+ * Interface for the offline fixture AI provider.
+ *
+ * The fixture provider answers the chat requests of the content plan
+ * generator without network access or API keys, so the wizard can run in
+ * CI, demos and local development. Plans are built from the structure of
+ * the source documents, where headings become sections, or replayed from
+ * recorded response files. Latency and failures can be simulated.
+ *
+ * Failures are injected with a marker in the source content or the
+ * instructions of a request, which fails every matching request, or queued
+ * in the state with queueFailures(), which fails the next requests once.
+ */
+interface FixtureAiProviderInterface {
+
+  /**
+   * The provider ID selectable as the default AI provider.
+   */
+  public const PROVIDER_ID = 'ai_content_preparation_wizard_fixture';
+
+  /**
+   * The model ID of the fixture provider.
+   */
+  public const MODEL_ID = 'fixture';
+
+  /**
+   * A failure throwing a provider error.
+   */
+  public const FAILURE_ERROR = 'error';
+
+  /**
+   * A failure answering with text that is not JSON.
+   */
+  public const FAILURE_INVALID_JSON = 'invalid_json';
+
+  /**
+   * Answers a chat request.
+   *
+   * @param \Drupal\ai\OperationType\Chat\ChatInput $input
+   *   The chat input with the system prompt of the generator.
+   * @param string $modelId
+   *   The model ID.
+   * @param array<int, string> $tags
+   *   The tags of the request.
+   *
+   * @return \Drupal\ai\OperationType\Chat\ChatOutput
+   *   The response.
+   *
+   * @throws \RuntimeException
+   *   When a provider error is injected.
+   */
+  public function chat(ChatInput $input, string $modelId, array $tags = []): ChatOutput;
+
+  /**
+   * Gets the provider ID.
+   *
+   * @return string
+   *   The provider ID, used in logs and error messages like a plugin ID.
+   */
+  public function getPluginId(): string;
+
+  /**
+   * Queues failures for the next requests.
+   *
+   * @param array<int, string> $failures
+   *   FAILURE_* constants, used by the next requests in order. Requests
+   *   after them succeed again.
+   */
+  public function queueFailures(array $failures): void;
+
+  /**
+   * Gets the file name a recorded response is replayed from.
+   *
+   * @param string $systemPrompt
+   *   The system prompt of the request.
+   * @param string $userMessage
+   *   The user message of the request.
+   *
+   * @return string
+   *   The file name in the fixture directory, made of the request type and
+   *   a hash of the user message, e.g. 'generate-3f2a….json'.
+   */
+  public function getRecordingName(string $systemPrompt, string $userMessage): string;
+
+}
@@ -0,0 +1,379 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai\AiProviderPluginManager;
+use Drupal\ai\OperationType\Chat\ChatInput;
+use Drupal\ai\OperationType\Chat\ChatMessage;
+use Drupal\ai\OperationType\GenericType\ImageFile;
+use Drupal\ai_content_preparation_wizard\Model\ExtractedImage;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Extension\ModuleHandlerInterface;
+use Drupal\Core\File\FileExists;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\File\FileUrlGeneratorInterface;
+use Drupal\Core\Language\LanguageManagerInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\file\FileInterface;
+use Drupal\media\MediaTypeInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Imports images extracted from documents as Media entities.
+ *
+ * Alt text is generated with the prompt, image style and model configured
+ * for the AI Image Alt Text module, so extracted images are described the
+ * same way as images editors upload themselves.
+ */
+final class ImageImporter implements ImageImporterInterface {
+
+  /**
+   * The directory the imported images are saved to.
+   *
+   * @var string
+   */
+  private const DESTINATION = 'public://ai_content_preparation_wizard/images';
+
+  /**
+   * The maximum number of images imported from one document.
+   *
+   * @var int
+   */
+  private const MAX_IMAGES = 30;
+
+  /**
+   * Images narrower or lower than this are icons or bullets, in pixels.
+   *
+   * @var int
+   */
+  private const MIN_DIMENSION = 64;
+
+  /**
+   * The maximum length of generated alt text.
+   *
+   * @var int
+   */
+  private const MAX_ALT_LENGTH = 512;
+
+  /**
+   * Matches Markdown images, including Pandoc's {width=...} attributes.
+   *
+   * @var string
+   */
+  private const IMAGE_PATTERN = '/!\[((?:[^\[\]]|\[[^\]]*\])*)\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)(\{[^}]*\})?/';
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs an ImageImporter.
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\Core\File\FileSystemInterface $fileSystem
+   *   The file system service.
+   * @param \Drupal\Core\File\FileUrlGeneratorInterface $fileUrlGenerator
+   *   The file URL generator.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $configFactory
+   *   The config factory.
+   * @param \Drupal\ai\AiProviderPluginManager $aiProviderManager
+   *   The AI provider plugin manager.
+   * @param \Drupal\Core\Language\LanguageManagerInterface $languageManager
+   *   The language manager.
+   * @param \Drupal\Core\Extension\ModuleHandlerInterface $moduleHandler
+   *   The module handler.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   */
+  public function __construct(
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly FileSystemInterface $fileSystem,
+    private readonly FileUrlGeneratorInterface $fileUrlGenerator,
+    private readonly ConfigFactoryInterface $configFactory,
+    private readonly AiProviderPluginManager $aiProviderManager,
+    private readonly LanguageManagerInterface $languageManager,
+    private readonly ModuleHandlerInterface $moduleHandler,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function isEnabled(): bool {
+    $config = $this->configFactory->get('ai_content_preparation_wizard.settings');
+    return ($config->get('extract_images') ?? TRUE)
+      && $this->moduleHandler->moduleExists('media')
+      && $this->loadMediaType() !== NULL;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function prepareDirectory(): string {
+    $directory = $this->fileSystem->getTempDirectory() . '/ai_content_preparation_wizard_images_' . bin2hex(random_bytes(6));
+    if (!$this->fileSystem->mkdir($directory, 0700, TRUE)) {
+      throw new \RuntimeException(sprintf('Could not create the directory %s.', $directory));
+    }
+    return $directory;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function removeDirectory(string $directory): void {
+    try {
+      $this->fileSystem->deleteRecursive($directory);
+    }
+    catch (\Exception $e) {
+      $this->logger->warning('Could not delete the image directory @dir: @message', [
+        '@dir' => $directory,
+        '@message' => $e->getMessage(),
+      ]);
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function import(string $markdown, string $directory, FileInterface $source): array {
+    $directory = realpath($directory);
+    $mediaType = $this->loadMediaType();
+    $sourceField = $mediaType?->getSource()->getSourceFieldDefinition($mediaType);
+    if ($directory === FALSE || $sourceField === NULL) {
+      return ['markdown' => $markdown, 'images' => []];
+    }
+
+    $extensions = preg_split('/\s+/', (string) ($sourceField->getSetting('file_extensions') ?: 'png gif jpg jpeg webp'));
+    $images = [];
+    // The same file can be referenced more than once.
+    $imported = [];
+
+    $markdown = preg_replace_callback(self::IMAGE_PATTERN, function (array $matches) use ($directory, $source, $mediaType, $sourceField, $extensions, &$images, &$imported): string {
+      $path = realpath(rawurldecode($matches[2]));
+      if ($path === FALSE || !str_starts_with($path, $directory . DIRECTORY_SEPARATOR)) {
+        return $matches[0];
+      }
+
+      if (!array_key_exists($path, $imported)) {
+        $imported[$path] = NULL;
+        $extension = mb_strtolower(pathinfo($path, PATHINFO_EXTENSION));
+        $size = @getimagesize($path);
+        if (!in_array($extension, $extensions, TRUE)) {
+          $this->logger->info('Skipped image @name of @document: unsupported format.', [
+            '@name' => basename($path),
+            '@document' => $source->getFilename(),
+          ]);
+        }
+        elseif ($size === FALSE || $size[0] < self::MIN_DIMENSION || $size[1] < self::MIN_DIMENSION) {
+          // Too small to be content, or not an image at all.
+        }
+        elseif (count($images) >= self::MAX_IMAGES) {
+          $this->logger->info('Skipped image @name of @document: more than @max images.', [
+            '@name' => basename($path),
+            '@document' => $source->getFilename(),
+            '@max' => self::MAX_IMAGES,
+          ]);
+        }
+        else {
+          $image = $this->createMedia($path, $size, trim($matches[1]), $source, $mediaType, $sourceField->getName());
+          if ($image !== NULL) {
+            $images[] = $image;
+            $imported[$path] = $image;
+          }
+        }
+      }
+
+      return $imported[$path]?->toMarkdown() ?? '';
+    }, $markdown);
+
+    return ['markdown' => $markdown, 'images' => $images];
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getImageUrl(ExtractedImage $image, ?string $imageStyle = NULL): ?string {
+    $file = $this->entityTypeManager->getStorage('file')->load($image->fileId);
+    if (!$file instanceof FileInterface) {
+      return NULL;
+    }
+
+    if ($imageStyle !== NULL) {
+      /** @var \Drupal\image\ImageStyleInterface|null $style */
+      $style = $this->entityTypeManager->getStorage('image_style')->load($imageStyle);
+      if ($style !== NULL) {
+        return $this->fileUrlGenerator->transformRelative($style->buildUrl($file->getFileUri()));
+      }
+    }
+
+    return $this->fileUrlGenerator->generateString($file->getFileUri());
+  }
+
+  /**
+   * Loads the media type extracted images are saved as.
+   *
+   * @return \Drupal\media\MediaTypeInterface|null
+   *   The media type, or NULL if it does not exist.
+   */
+  private function loadMediaType(): ?MediaTypeInterface {
+    if (!$this->entityTypeManager->hasDefinition('media_type')) {
+      return NULL;
+    }
+    $config = $this->configFactory->get('ai_content_preparation_wizard.settings');
+    return $this->entityTypeManager->getStorage('media_type')->load($config->get('image_media_type') ?: 'image');
+  }
+
+  /**
+   * Saves an extracted image as a file and Media entity.
+   *
+   * @param string $path
+   *   The local path of the extracted image.
+   * @param array $size
+   *   The result of getimagesize() for the image.
+   * @param string $documentAlt
+   *   The alt text found in the document, if any.
+   * @param \Drupal\file\FileInterface $source
+   *   The document the image was extracted from.
+   * @param \Drupal\media\MediaTypeInterface $mediaType
+   *   The media type to create.
+   * @param string $sourceFieldName
+   *   The name of the media type's source field.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ExtractedImage|null
+   *   The imported image, or NULL if it could not be saved.
+   */
+  private function createMedia(string $path, array $size, string $documentAlt, FileInterface $source, MediaTypeInterface $mediaType, string $sourceFieldName): ?ExtractedImage {
+    $documentName = pathinfo($source->getFilename(), PATHINFO_FILENAME);
+    $fileName = preg_replace('/[^a-z0-9._-]+/i', '-', $documentName . '-' . basename($path));
+    $destination = self::DESTINATION . '/' . date('Y-m');
+
+    try {
+      if (!$this->fileSystem->prepareDirectory($destination, FileSystemInterface::CREATE_DIRECTORY | FileSystemInterface::MODIFY_PERMISSIONS)) {
+        throw new \RuntimeException(sprintf('Could not create the directory %s.', $destination));
+      }
+      $uri = $this->fileSystem->copy($path, $destination . '/' . $fileName, FileExists::Rename);
+
+      $alt = $this->generateAltText($path, $size['mime'], $fileName);
+      if ($alt === '') {
+        $alt = $documentAlt !== '' ? $documentAlt : pathinfo($fileName, PATHINFO_FILENAME);
+      }
+
+      $file = $this->entityTypeManager->getStorage('file')->create([
+        'uri' => $uri,
+        'uid' => $source->getOwnerId(),
+        'status' => 1,
+      ]);
+      $file->save();
+
+      $media = $this->entityTypeManager->getStorage('media')->create([
+        'bundle' => $mediaType->id(),
+        'uid' => $source->getOwnerId(),
+        'name' => mb_substr($alt, 0, 255),
+        'status' => 1,
+        $sourceFieldName => [
+          'target_id' => $file->id(),
+          'alt' => $alt,
+          'width' => $size[0],
+          'height' => $size[1],
+        ],
+      ]);
+      $media->save();
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Could not import image @name of @document: @message', [
+        '@name' => basename($path),
+        '@document' => $source->getFilename(),
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+
+    return ExtractedImage::create((int) $media->id(), (int) $file->id(), basename($uri), $alt, $size[0], $size[1]);
+  }
+
+  /**
+   * Generates alt text for an image with AI.
+   *
+   * @param string $path
+   *   The local path of the image.
+   * @param string $mimeType
+   *   The MIME type of the image.
+   * @param string $fileName
+   *   The file name of the image.
+   *
+   * @return string
+   *   The alt text, or an empty string if none could be generated.
+   */
+  private function generateAltText(string $path, string $mimeType, string $fileName): string {
+    if (!$this->moduleHandler->moduleExists('ai_image_alt_text')) {
+      return '';
+    }
+
+    $config = $this->configFactory->get('ai_image_alt_text.settings');
+    $prompt = str_replace(
+      '{{ entity_lang_name }}',
+      $this->languageManager->getDefaultLanguage()->getName(),
+      (string) $config->get('prompt')
+    );
+
+    try {
+      $model = $config->get('ai_model');
+      if (empty($model)) {
+        $default = $this->aiProviderManager->getDefaultProviderForOperationType('chat_with_image_vision');
+        if (empty($default['provider_id'])) {
+          return '';
+        }
+        $model = $default['provider_id'] . '__' . $default['model_id'];
+      }
+      $providerData = $this->aiProviderManager->getSetProvider('chat', $model);
+
+      $imageFile = new ImageFile($this->loadScaledImage($path), $mimeType, $fileName);
+      $input = new ChatInput([new ChatMessage('user', trim($prompt), [$imageFile])]);
+      $output = $providerData['provider_id']->chat($input, $providerData['model_id'], ['ai_content_preparation_wizard']);
+      $alt = trim(strip_tags((string) $output->getNormalized()->getText()), " \t\n\r\0\x0B\"'");
+    }
+    catch (\Exception $e) {
+      $this->logger->warning('Could not generate alt text for @name: @message', [
+        '@name' => $fileName,
+        '@message' => $e->getMessage(),
+      ]);
+      return '';
+    }
+
+    return mb_substr(preg_replace('/\s+/', ' ', $alt), 0, self::MAX_ALT_LENGTH);
+  }
+
+  /**
+   * Loads an image scaled with the image style of the alt text module.
+   *
+   * @param string $path
+   *   The local path of the image.
+   *
+   * @return string
+   *   The binary image data.
+   */
+  private function loadScaledImage(string $path): string {
+    $styleId = $this->configFactory->get('ai_image_alt_text.settings')->get('image_style');
+    /** @var \Drupal\image\ImageStyleInterface|null $style */
+    $style = $styleId ? $this->entityTypeManager->getStorage('image_style')->load($styleId) : NULL;
+    if ($style !== NULL) {
+      $derivative = $this->fileSystem->getTempDirectory() . '/' . bin2hex(random_bytes(6)) . '.' . pathinfo($path, PATHINFO_EXTENSION);
+      if ($style->createDerivative($path, $derivative)) {
+        $data = (string) file_get_contents($derivative);
+        $this->fileSystem->unlink($derivative);
+        return $data;
+      }
+    }
+    return (string) file_get_contents($path);
+  }
+
+}
@@ -0,0 +1,81 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ExtractedImage;
+use Drupal\file\FileInterface;
+
+/**
+ * Interface for the image importer.
+ *
+ * Document processors extract embedded images to a temporary directory and
+ * reference them from the Markdown they produce. The importer saves these
+ * images as Media entities with AI generated alt text and rewrites the
+ * references to ![alt](image:ID), so the images can be placed in the plan.
+ */
+interface ImageImporterInterface {
+
+  /**
+   * Checks whether images should be extracted from documents.
+   *
+   * @return bool
+   *   TRUE if image extraction is enabled and the Media module is installed.
+   */
+  public function isEnabled(): bool;
+
+  /**
+   * Creates an empty temporary directory to extract images to.
+   *
+   * @return string
+   *   The local path of the directory.
+   *
+   * @throws \RuntimeException
+   *   If the directory could not be created.
+   */
+  public function prepareDirectory(): string;
+
+  /**
+   * Deletes a directory created by prepareDirectory() and its contents.
+   *
+   * @param string $directory
+   *   The local path of the directory.
+   */
+  public function removeDirectory(string $directory): void;
+
+  /**
+   * Imports the images referenced from Markdown.
+   *
+   * Only images inside the given directory are imported; other references
+   * are left alone. References to images that are not imported, e.g. because
+   * their format is not supported or they are too small, are removed.
+   *
+   * @param string $markdown
+   *   The Markdown content of the document.
+   * @param string $directory
+   *   The local path of the directory the images were extracted to.
+   * @param \Drupal\file\FileInterface $source
+   *   The document the images were extracted from. The Media entities belong
+   *   to the owner of this file.
+   *
+   * @return array{markdown: string, images: array<\Drupal\ai_content_preparation_wizard\Model\ExtractedImage>}
+   *   The Markdown with rewritten references and the imported images, in the
+   *   order they appear in the document.
+   */
+  public function import(string $markdown, string $directory, FileInterface $source): array;
+
+  /**
+   * Gets the URL of an imported image.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ExtractedImage $image
+   *   The image.
+   * @param string|null $imageStyle
+   *   An image style to apply, e.g. 'thumbnail'.
+   *
+   * @return string|null
+   *   The URL, or NULL if the image file no longer exists.
+   */
+  public function getImageUrl(ExtractedImage $image, ?string $imageStyle = NULL): ?string;
+
+}
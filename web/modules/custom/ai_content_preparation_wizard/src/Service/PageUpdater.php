@@ -0,0 +1,564 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Enum\SectionChange;
+use Drupal\ai_content_preparation_wizard\Event\CanvasPageCreatedEvent;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\ExtractedImage;
+use Drupal\ai_content_preparation_wizard\Model\PageSource;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\SectionDiff;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Component\Uuid\UuidInterface;
+use Drupal\Core\Entity\ContentEntityInterface;
+use Drupal\Core\Entity\EntityInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\KeyValueStore\KeyValueFactoryInterface;
+use Drupal\Core\KeyValueStore\KeyValueStoreInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Session\AccountProxyInterface;
+use Psr\Log\LoggerInterface;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+
+/**
+ * Updates wizard-created Canvas pages from revised content plans.
+ *
+ * Records are kept in a key/value collection for as long as the page exists,
+ * and are written whenever the wizard creates a page, whichever way it was
+ * created.
+ */
+final class PageUpdater implements PageUpdaterInterface, EventSubscriberInterface {
+
+  /**
+   * The key/value collection of the page records.
+   */
+  private const COLLECTION = 'ai_content_preparation_wizard.page_sources';
+
+  /**
+   * Minimum content similarity, in percent, to match renamed sections.
+   */
+  private const MIN_SIMILARITY = 60.0;
+
+  /**
+   * Characters of section content compared when matching sections.
+   */
+  private const SIMILARITY_LENGTH = 1000;
+
+  /**
+   * Component inputs that hold the text of a section.
+   */
+  private const CONTENT_INPUTS = ['text', 'content', 'body', 'description', 'paragraph', 'quote'];
+
+  /**
+   * Component inputs that hold the title of a section.
+   */
+  private const TITLE_INPUTS = ['title', 'heading', 'heading_text', 'name', 'label'];
+
+  /**
+   * The page records.
+   *
+   * @var \Drupal\Core\KeyValueStore\KeyValueStoreInterface
+   */
+  private KeyValueStoreInterface $store;
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs a PageUpdater.
+   *
+   * @param \Drupal\Core\KeyValueStore\KeyValueFactoryInterface $keyValueFactory
+   *   The key/value factory.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\ai_content_preparation_wizard\Service\CanvasCreatorInterface $canvasCreator
+   *   The Canvas creator.
+   * @param \Drupal\Core\Session\AccountProxyInterface $currentUser
+   *   The current user.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   * @param \Drupal\Component\Uuid\UuidInterface $uuid
+   *   The UUID generator.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   */
+  public function __construct(
+    KeyValueFactoryInterface $keyValueFactory,
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly CanvasCreatorInterface $canvasCreator,
+    private readonly AccountProxyInterface $currentUser,
+    private readonly TimeInterface $time,
+    private readonly UuidInterface $uuid,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->store = $keyValueFactory->get(self::COLLECTION);
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function getSubscribedEvents(): array {
+    return [
+      CanvasPageCreatedEvent::EVENT_NAME => 'onPageCreated',
+    ];
+  }
+
+  /**
+   * Records pages created by the wizard.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Event\CanvasPageCreatedEvent $event
+   *   The event.
+   */
+  public function onPageCreated(CanvasPageCreatedEvent $event): void {
+    $this->recordPage($event->page, $event->plan, $event->sectionComponents);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function recordPage(EntityInterface $page, ContentPlan $plan, array $sectionComponents): void {
+    $sections = [];
+    foreach ($plan->sections as $section) {
+      foreach ($section->flatten() as $flatSection) {
+        if (isset($sectionComponents[$flatSection->id])) {
+          $sections[] = $this->withoutChildren($flatSection);
+        }
+      }
+    }
+
+    $hashes = $this->getInputHashes($page);
+    $components = [];
+    foreach ($sectionComponents as $sectionId => $uuid) {
+      if (isset($hashes[$uuid])) {
+        $components[$sectionId] = ['uuid' => $uuid, 'hash' => $hashes[$uuid]];
+      }
+    }
+
+    $this->saveSource(new PageSource((string) $page->id(), $plan->withSections($sections), $components, $this->time->getCurrentTime()));
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getSource(string $pageId): ?PageSource {
+    $data = $this->store->get($pageId);
+    if (!is_array($data)) {
+      return NULL;
+    }
+
+    try {
+      return PageSource::fromArray($data);
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->logger->warning('Discarding the invalid record of Canvas page @id: @message', [
+        '@id' => $pageId,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getUpdatablePages(): array {
+    $pageIds = array_keys($this->store->getAll());
+    if ($pageIds === []) {
+      return [];
+    }
+
+    $pages = $this->entityTypeManager->getStorage('canvas_page')->loadMultiple($pageIds);
+    // Records of deleted pages are not needed anymore.
+    $deleted = array_diff(array_map('strval', $pageIds), array_map('strval', array_keys($pages)));
+    if ($deleted) {
+      $this->store->deleteMultiple($deleted);
+    }
+
+    $options = [];
+    foreach ($pages as $id => $page) {
+      if ($page->access('update', $this->currentUser)) {
+        $options[(string) $id] = (string) $page->label();
+      }
+    }
+    asort($options);
+
+    return $options;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function diff(EntityInterface $page, ContentPlan $plan): array {
+    $source = $this->requireSource($page);
+    $current = $source->plan->sections;
+    $revised = [];
+    foreach ($plan->sections as $section) {
+      foreach ($section->flatten() as $flatSection) {
+        $revised[] = $flatSection;
+      }
+    }
+
+    $matches = $this->matchSections($current, $revised);
+    $pageComponents = $this->getPageComponents($page);
+
+    // Revised sections in plan order; page sections without a match are
+    // listed after the page section before them.
+    $diffs = [];
+    $matchedCurrent = array_flip($matches);
+    $removedAfter = [];
+    $previous = NULL;
+    foreach ($current as $index => $section) {
+      if (isset($matchedCurrent[$index])) {
+        $previous = $index;
+      }
+      else {
+        $removedAfter[$previous ?? -1][] = $section;
+      }
+    }
+
+    foreach ($removedAfter[-1] ?? [] as $section) {
+      $diffs[] = $this->buildDiff($source, $pageComponents, SectionChange::REMOVED, $section, NULL);
+    }
+    foreach ($revised as $revisedIndex => $section) {
+      if (!isset($matches[$revisedIndex])) {
+        $diffs[] = new SectionDiff($section->id, SectionChange::ADDED, revised: $section);
+        continue;
+      }
+
+      $currentIndex = $matches[$revisedIndex];
+      $currentSection = $current[$currentIndex];
+      $change = $this->hasChanged($currentSection, $section) ? SectionChange::CHANGED : SectionChange::UNCHANGED;
+      $diffs[] = $this->buildDiff($source, $pageComponents, $change, $currentSection, $section);
+      foreach ($removedAfter[$currentIndex] ?? [] as $removedSection) {
+        $diffs[] = $this->buildDiff($source, $pageComponents, SectionChange::REMOVED, $removedSection, NULL);
+      }
+    }
+
+    return $diffs;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function update(EntityInterface $page, ContentPlan $plan, array $acceptedIds): int {
+    $source = $this->requireSource($page);
+    $accepted = array_flip($acceptedIds);
+
+    // New components are placed after the section before them that is on the
+    // page once the changes are applied.
+    $changes = [];
+    $sections = [];
+    $components = [];
+    $anchor = NULL;
+    foreach ($this->diff($page, $plan) as $diff) {
+      $apply = isset($accepted[$diff->id]) && $diff->isApplicable();
+      if ($diff->change === SectionChange::ADDED) {
+        if ($apply) {
+          $uuid = $this->uuid->generate();
+          $changes[] = new SectionDiff($diff->id, SectionChange::ADDED, revised: $diff->revised, componentUuid: $uuid, anchorUuid: $anchor);
+          $sections[] = $this->withoutChildren($diff->revised);
+          $components[$diff->id] = ['uuid' => $uuid, 'hash' => ''];
+          $anchor = $uuid;
+        }
+        continue;
+      }
+
+      // Sections whose component was deleted on the page stay deleted.
+      if ($diff->componentUuid === NULL) {
+        continue;
+      }
+      if ($apply) {
+        $changes[] = $diff;
+      }
+      if ($apply && $diff->change === SectionChange::REMOVED) {
+        continue;
+      }
+
+      // Rejected changes keep the page section, and its record, as it was.
+      $section = $apply || $diff->change === SectionChange::UNCHANGED ? $diff->revised : $diff->current;
+      $sections[] = $this->withoutChildren($section);
+      $components[$section->id] = [
+        'uuid' => $diff->componentUuid,
+        'hash' => $apply ? '' : $source->getComponent($diff->current->id)['hash'],
+      ];
+      $anchor = $diff->componentUuid;
+    }
+
+    if ($changes === []) {
+      return 0;
+    }
+
+    $page = $this->canvasCreator->updatePage($page, $changes, [
+      'revision_log' => sprintf('Updated %d sections from the revised content plan "%s".', count($changes), $plan->title),
+      'revision_user' => (int) $this->currentUser->id(),
+    ]);
+
+    // Components written now are the baseline for later manual edits.
+    $hashes = $this->getInputHashes($page);
+    foreach ($components as $sectionId => $component) {
+      if ($component['hash'] === '') {
+        $components[$sectionId]['hash'] = $hashes[$component['uuid']] ?? '';
+      }
+    }
+    $this->saveSource(new PageSource($source->pageId, $plan->withSections($sections), $components, $this->time->getCurrentTime()));
+
+    $this->logger->info('@user updated @count sections of Canvas page @id from content plan @plan_id.', [
+      '@user' => $this->currentUser->getAccountName(),
+      '@count' => count($changes),
+      '@id' => $page->id(),
+      '@plan_id' => $plan->id,
+    ]);
+
+    return count($changes);
+  }
+
+  /**
+   * Matches revised sections to the sections the page was built from.
+   *
+   * Sections with the same title are matched first, in order. Remaining
+   * sections are matched by the similarity of their content.
+   *
+   * @param array<int, \Drupal\ai_content_preparation_wizard\Model\PlanSection> $current
+   *   The page sections.
+   * @param array<int, \Drupal\ai_content_preparation_wizard\Model\PlanSection> $revised
+   *   The revised sections.
+   *
+   * @return array<int, int>
+   *   The index of the matching page section, keyed by revised section index.
+   */
+  private function matchSections(array $current, array $revised): array {
+    $matches = [];
+    $available = $current;
+
+    foreach ($revised as $revisedIndex => $section) {
+      $title = $this->normalize($section->title);
+      if ($title === '') {
+        continue;
+      }
+      foreach ($available as $currentIndex => $candidate) {
+        if ($this->normalize($candidate->title) === $title) {
+          $matches[$revisedIndex] = $currentIndex;
+          unset($available[$currentIndex]);
+          break;
+        }
+      }
+    }
+
+    foreach ($revised as $revisedIndex => $section) {
+      if (isset($matches[$revisedIndex])) {
+        continue;
+      }
+      $content = mb_substr($this->normalize($section->content), 0, self::SIMILARITY_LENGTH);
+      $best = NULL;
+      $bestScore = self::MIN_SIMILARITY;
+      foreach ($available as $currentIndex => $candidate) {
+        similar_text($content, mb_substr($this->normalize($candidate->content), 0, self::SIMILARITY_LENGTH), $score);
+        if ($content !== '' && $score >= $bestScore) {
+          $best = $currentIndex;
+          $bestScore = $score;
+        }
+      }
+      if ($best !== NULL) {
+        $matches[$revisedIndex] = $best;
+        unset($available[$best]);
+      }
+    }
+
+    ksort($matches);
+    return $matches;
+  }
+
+  /**
+   * Builds the change of a page section.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PageSource $source
+   *   The page record.
+   * @param array<string, array<string, mixed>> $pageComponents
+   *   The current components of the page, keyed by UUID.
+   * @param \Drupal\ai_content_preparation_wizard\Enum\SectionChange $change
+   *   The kind of change.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $current
+   *   The page section.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection|null $revised
+   *   The revised section, NULL if it was removed.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\SectionDiff
+   *   The change.
+   */
+  private function buildDiff(PageSource $source, array $pageComponents, SectionChange $change, PlanSection $current, ?PlanSection $revised): SectionDiff {
+    $record = $source->getComponent($current->id);
+    $component = $record !== NULL ? ($pageComponents[$record['uuid']] ?? NULL) : NULL;
+
+    return new SectionDiff(
+      $revised?->id ?? $current->id,
+      $change,
+      $current,
+      $revised,
+      $component !== NULL ? $record['uuid'] : NULL,
+      $component !== NULL ? $this->getComponentText($component['inputs'] ?? []) : '',
+      $component !== NULL && PageSource::hashInputs($component['inputs'] ?? []) !== $record['hash'],
+    );
+  }
+
+  /**
+   * Checks whether a revised section differs from the page section.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $current
+   *   The page section.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $revised
+   *   The revised section.
+   *
+   * @return bool
+   *   TRUE if the title, content or images differ.
+   */
+  private function hasChanged(PlanSection $current, PlanSection $revised): bool {
+    $imageIds = fn(PlanSection $section): array => array_map(fn(ExtractedImage $image): string => $image->id, $section->images);
+    return trim($current->title) !== trim($revised->title)
+      || trim($current->content) !== trim($revised->content)
+      || $imageIds($current) !== $imageIds($revised);
+  }
+
+  /**
+   * Gets the text a component shows, for comparison with a section.
+   *
+   * @param mixed $inputs
+   *   The component inputs, as an array or a JSON string.
+   *
+   * @return string
+   *   The title and content inputs as plain text.
+   */
+  private function getComponentText(mixed $inputs): string {
+    if (is_string($inputs)) {
+      $inputs = json_decode($inputs, TRUE);
+    }
+    if (!is_array($inputs)) {
+      return '';
+    }
+
+    $text = [];
+    foreach ([self::TITLE_INPUTS, self::CONTENT_INPUTS] as $names) {
+      foreach ($names as $name) {
+        $value = $inputs[$name] ?? NULL;
+        $value = is_array($value) ? ($value['value'] ?? NULL) : $value;
+        if (is_string($value) && trim($value) !== '') {
+          $text[] = trim(html_entity_decode(strip_tags(preg_replace('#<br\s*/?>|</p>#i', "\n", $value)), ENT_QUOTES | ENT_HTML5));
+          break;
+        }
+      }
+    }
+
+    return implode("\n\n", $text);
+  }
+
+  /**
+   * Gets the current components of a page.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The Canvas page.
+   *
+   * @return array<string, array<string, mixed>>
+   *   The component tree items, keyed by UUID.
+   */
+  private function getPageComponents(EntityInterface $page): array {
+    if (!$page instanceof ContentEntityInterface || !$page->hasField('components')) {
+      return [];
+    }
+
+    $components = [];
+    foreach ($page->get('components')->getValue() as $component) {
+      if (isset($component['uuid'])) {
+        $components[$component['uuid']] = $component;
+      }
+    }
+    return $components;
+  }
+
+  /**
+   * Gets the hashes of the component inputs of a page.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The Canvas page.
+   *
+   * @return array<string, string>
+   *   The input hashes, keyed by component UUID.
+   */
+  private function getInputHashes(EntityInterface $page): array {
+    return array_map(fn(array $component): string => PageSource::hashInputs($component['inputs'] ?? []), $this->getPageComponents($page));
+  }
+
+  /**
+   * Normalizes text for matching sections.
+   *
+   * @param string $text
+   *   The text.
+   *
+   * @return string
+   *   The lowercase text with collapsed whitespace.
+   */
+  private function normalize(string $text): string {
+    return trim((string) preg_replace('/\s+/u', ' ', mb_strtolower($text)));
+  }
+
+  /**
+   * Gets a copy of a section without its children.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The section.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanSection
+   *   The section without children.
+   */
+  private function withoutChildren(PlanSection $section): PlanSection {
+    return new PlanSection(
+      $section->id,
+      $section->title,
+      $section->content,
+      $section->componentType,
+      $section->order,
+      $section->componentConfig,
+      [],
+      $section->sourceSpans,
+      $section->images,
+    );
+  }
+
+  /**
+   * Gets the record of a page.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The Canvas page.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PageSource
+   *   The record.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the page was not created by the wizard.
+   */
+  private function requireSource(EntityInterface $page): PageSource {
+    $source = $this->getSource((string) $page->id());
+    if ($source === NULL) {
+      throw new InvalidWizardStateException(sprintf('Canvas page %s was not created by the wizard.', $page->id()));
+    }
+    return $source;
+  }
+
+  /**
+   * Saves the record of a page.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PageSource $source
+   *   The record.
+   */
+  private function saveSource(PageSource $source): void {
+    $this->store->set($source->pageId, $source->toArray());
+  }
+
+}
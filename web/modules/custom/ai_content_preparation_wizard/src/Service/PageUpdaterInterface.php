@@ -0,0 +1,94 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PageSource;
+use Drupal\Core\Entity\EntityInterface;
+
+/**
+ * Interface for the updater of wizard-created Canvas pages.
+ *
+ * Every page the wizard creates is recorded with the plan it was built from.
+ * When the source document is revised, the new plan is compared with that
+ * record and with the page's current components. Editors accept or reject
+ * each changed section, and only the accepted ones are written to the page,
+ * as a new revision.
+ */
+interface PageUpdaterInterface {
+
+  /**
+   * Records the plan a Canvas page was created from.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The saved Canvas page.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan the page was created from.
+   * @param array<string, string> $sectionComponents
+   *   The UUID of the component each section was placed in, keyed by
+   *   section ID.
+   */
+  public function recordPage(EntityInterface $page, ContentPlan $plan, array $sectionComponents): void;
+
+  /**
+   * Gets the record of a wizard-created page.
+   *
+   * @param string $pageId
+   *   The Canvas page ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PageSource|null
+   *   The record, or NULL if the page was not created by the wizard.
+   */
+  public function getSource(string $pageId): ?PageSource;
+
+  /**
+   * Gets the wizard-created pages the current user can update.
+   *
+   * @return array<string, string>
+   *   Page labels keyed by page ID.
+   */
+  public function getUpdatablePages(): array;
+
+  /**
+   * Compares a revised plan with a wizard-created page.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The Canvas page.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The revised plan.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\SectionDiff>
+   *   The section changes in page order, including unchanged sections.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the page was not created by the wizard.
+   */
+  public function diff(EntityInterface $page, ContentPlan $plan): array;
+
+  /**
+   * Applies the accepted changes of a revised plan to a page.
+   *
+   * The page is saved as a new revision. The record of the page is updated
+   * with the accepted sections; rejected changes show up again when the page
+   * is compared the next time.
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The Canvas page.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The revised plan.
+   * @param array<string> $acceptedIds
+   *   The IDs of the accepted changes, see SectionDiff::$id.
+   *
+   * @return int
+   *   The number of changes applied.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the page was not created by the wizard.
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException
+   *   If the page cannot be saved.
+   */
+  public function update(EntityInterface $page, ContentPlan $plan, array $acceptedIds): int;
+
+}
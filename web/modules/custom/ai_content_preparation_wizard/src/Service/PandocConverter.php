@@ -57,7 +57,7 @@ class PandocConverter implements PandocConverterInterface {
   /**
    * {@inheritdoc}
    */
-  public function convertToMarkdown(string $filePath, string $format): string {
+  public function convertToMarkdown(string $filePath, string $format, ?string $mediaDirectory = NULL): string {
     if (!$this->isAvailable()) {
       throw new DocumentProcessingException(
         'Pandoc is not available on this system.',
@@ -80,9 +80,10 @@ class PandocConverter implements PandocConverterInterface {
 
     // Build the pandoc command.
     $command = sprintf(
-      '%s -f %s -t markdown --wrap=none %s 2>&1',
+      '%s -f %s -t markdown --wrap=none %s%s 2>&1',
       escapeshellcmd($pandocPath),
       $escapedFormat,
+      $mediaDirectory !== NULL ? '--extract-media=' . escapeshellarg($mediaDirectory) . ' ' : '',
       $escapedFile
     );
 
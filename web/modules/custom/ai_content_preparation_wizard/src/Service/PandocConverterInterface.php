@@ -16,6 +16,9 @@ interface PandocConverterInterface {
    *   The path to the file to convert.
    * @param string $format
    *   The input format (e.g., 'docx', 'pdf', 'odt', 'rtf').
+   * @param string|null $mediaDirectory
+   *   A local directory to extract embedded images to. The markdown then
+   *   references the extracted files by their path in this directory.
    *
    * @return string
    *   The converted markdown content.
@@ -23,7 +26,7 @@ interface PandocConverterInterface {
    * @throws \Drupal\ai_content_preparation_wizard\Exception\DocumentProcessingException
    *   If conversion fails.
    */
-  public function convertToMarkdown(string $filePath, string $format): string;
+  public function convertToMarkdown(string $filePath, string $format, ?string $mediaDirectory = NULL): string;
 
   /**
    * Extracts metadata from a file using Pandoc.
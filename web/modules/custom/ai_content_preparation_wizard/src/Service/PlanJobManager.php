@@ -0,0 +1,514 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Enum\PlanStatus;
+use Drupal\ai_content_preparation_wizard\Exception\DocumentProcessingException;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException;
+use Drupal\ai_content_preparation_wizard\Model\PlanJob;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\DestructableInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface;
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Queue\QueueFactory;
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\file\FileInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Manages the plan jobs of the headless JSON API.
+ *
+ * Jobs are stored in an expirable key/value collection like bulk runs. Jobs
+ * started or refined during a request are processed when the service is
+ * destructed, which happens after the response has been sent; every job is
+ * queued as well, so cron finishes jobs whose request died.
+ */
+final class PlanJobManager implements PlanJobManagerInterface, DestructableInterface {
+
+  /**
+   * The key/value collection storing the jobs.
+   *
+   * @var string
+   */
+  private const COLLECTION = 'ai_content_preparation_wizard.plan_jobs';
+
+  /**
+   * How long jobs are kept after their last change, in seconds.
+   *
+   * @var int
+   */
+  private const JOB_TTL = 604800;
+
+  /**
+   * Seconds after which a claimed job may be claimed again.
+   *
+   * @var int
+   */
+  private const STALE_TIMEOUT = 900;
+
+  /**
+   * Seconds to wait for the job lock.
+   *
+   * @var int
+   */
+  private const LOCK_WAIT = 10;
+
+  /**
+   * The key/value store.
+   *
+   * @var \Drupal\Core\KeyValueStore\KeyValueStoreExpirableInterface
+   */
+  private $store;
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * The IDs of the jobs to process once the response has been sent.
+   *
+   * @var array<string, string>
+   */
+  private array $pending = [];
+
+  /**
+   * Constructs a PlanJobManager.
+   *
+   * @param \Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface $keyValueFactory
+   *   The expirable key/value factory.
+   * @param \Drupal\Core\Lock\LockBackendInterface $lock
+   *   The lock backend.
+   * @param \Drupal\Core\Queue\QueueFactory $queueFactory
+   *   The queue factory.
+   * @param \Drupal\Core\Session\AccountProxyInterface $currentUser
+   *   The current user.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\ai_content_preparation_wizard\Service\ChunkedUploadManagerInterface $uploadManager
+   *   The chunked upload manager.
+   * @param \Drupal\ai_content_preparation_wizard\Service\DocumentProcessingServiceInterface $documentProcessing
+   *   The document processing service.
+   * @param \Drupal\ai_content_preparation_wizard\Service\WebpageProcessorInterface $webpageProcessor
+   *   The webpage processor.
+   * @param \Drupal\ai_content_preparation_wizard\Service\ContentPlanGeneratorInterface $planGenerator
+   *   The content plan generator.
+   * @param \Drupal\ai_content_preparation_wizard\Service\CanvasCreatorInterface $canvasCreator
+   *   The Canvas creator.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   */
+  public function __construct(
+    KeyValueExpirableFactoryInterface $keyValueFactory,
+    private readonly LockBackendInterface $lock,
+    private readonly QueueFactory $queueFactory,
+    private readonly AccountProxyInterface $currentUser,
+    private readonly TimeInterface $time,
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly ChunkedUploadManagerInterface $uploadManager,
+    private readonly DocumentProcessingServiceInterface $documentProcessing,
+    private readonly WebpageProcessorInterface $webpageProcessor,
+    private readonly ContentPlanGeneratorInterface $planGenerator,
+    private readonly CanvasCreatorInterface $canvasCreator,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->store = $keyValueFactory->get(self::COLLECTION);
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function createJob(array $documentIds, array $urls, array $contexts = [], ?string $templateId = NULL): PlanJob {
+    $documents = [];
+    foreach (array_unique($documentIds) as $documentId) {
+      $fileIds = $this->uploadManager->getFileIds([(string) $documentId]);
+      if (!$fileIds) {
+        throw new \InvalidArgumentException(sprintf('Document %s does not exist or could not be processed.', $documentId));
+      }
+      $documents[(string) $documentId] = reset($fileIds);
+    }
+
+    $urls = array_values(array_unique(array_filter($urls)));
+    foreach ($urls as $url) {
+      if (!$this->webpageProcessor->isValidUrl($url)) {
+        throw new \InvalidArgumentException(sprintf('%s is not a valid webpage URL.', $url));
+      }
+    }
+
+    if (empty($documents) && empty($urls)) {
+      throw new \InvalidArgumentException('A plan needs at least one document or webpage URL.');
+    }
+
+    $job = PlanJob::create((int) $this->currentUser->id(), $documents, $urls, array_values($contexts), $templateId);
+    $this->saveJob($job);
+    $this->schedule($job->id);
+
+    $this->logger->info('Started plan job @job with @documents documents and @urls URLs.', [
+      '@job' => $job->id,
+      '@documents' => count($documents),
+      '@urls' => count($urls),
+    ]);
+
+    return $job;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getJob(string $jobId): ?PlanJob {
+    $job = $this->loadJob($jobId);
+    if ($job === NULL || $job->userId !== (int) $this->currentUser->id()) {
+      return NULL;
+    }
+    return $job;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processJob(string $jobId): ?PlanJob {
+    $claimed = NULL;
+
+    $this->updateJob($jobId, function (PlanJob $job) use (&$claimed): PlanJob {
+      if (!$job->isClaimable(self::STALE_TIMEOUT)) {
+        return $job;
+      }
+      $claimed = $job->withClaim();
+      return $claimed;
+    }, FALSE);
+
+    if ($claimed === NULL) {
+      return NULL;
+    }
+
+    $job = $claimed->status === PlanStatus::REFINING ? $this->runRefinement($claimed) : $this->runGeneration($claimed);
+    try {
+      return $this->updateJob($jobId, fn(): PlanJob => $job);
+    }
+    catch (InvalidWizardStateException) {
+      // The job was deleted meanwhile.
+      return NULL;
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function updatePlan(string $jobId, ?string $title, ?array $sections): PlanJob {
+    $this->getOwnJob($jobId);
+
+    return $this->updateJob($jobId, function (PlanJob $job) use ($title, $sections): PlanJob {
+      if ($job->plan === NULL || !$job->status->canRefine()) {
+        throw new InvalidWizardStateException(sprintf('The plan of job %s cannot be changed while it is %s.', $job->id, $job->status->value));
+      }
+
+      $plan = $job->plan;
+      if ($title !== NULL) {
+        $plan = $plan->withTitle($title);
+      }
+      if ($sections !== NULL) {
+        $plan = $plan->withSectionStructure($sections);
+      }
+      return $job->withPlan($plan);
+    });
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function refine(string $jobId, string $instructions): PlanJob {
+    $this->getOwnJob($jobId);
+
+    $job = $this->updateJob($jobId, function (PlanJob $job) use ($instructions): PlanJob {
+      if ($job->plan === NULL || !$job->status->canRefine()) {
+        throw new InvalidWizardStateException(sprintf('The plan of job %s cannot be refined while it is %s.', $job->id, $job->status->value));
+      }
+      if (!$this->planGenerator->canRefine($job->plan)) {
+        throw new InvalidWizardStateException(sprintf('The plan of job %s has reached the limit of %d refinements.', $job->id, $this->planGenerator->getMaxRefinementIterations()));
+      }
+      return $job->withRefinement($instructions);
+    });
+    $this->schedule($job->id);
+
+    return $job;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function createPage(string $jobId, array $options = []): PlanJob {
+    $this->getOwnJob($jobId);
+
+    // Page creation is quick, so it runs under the lock to rule out
+    // creating the same page twice.
+    return $this->updateJob($jobId, function (PlanJob $job) use ($options): PlanJob {
+      if ($job->status === PlanStatus::COMPLETED) {
+        return $job;
+      }
+      if ($job->plan === NULL || !$job->status->canCreate()) {
+        throw new InvalidWizardStateException(sprintf('Job %s has no plan to create a page from while it is %s.', $job->id, $job->status->value));
+      }
+
+      $options = [
+        'title' => $job->plan->title,
+        'status' => FALSE,
+      ] + $options;
+      $options['owner'] = (int) $this->currentUser->id();
+
+      $page = !empty($job->templateId)
+        ? $this->canvasCreator->createFromTemplate($job->plan, $job->templateId, $options)
+        : $this->canvasCreator->create($job->plan, $options);
+
+      $this->logger->info('Plan job @job created Canvas page @page.', [
+        '@job' => $job->id,
+        '@page' => $page->id(),
+      ]);
+
+      return $job->withPage((string) $page->id(), $page->toUrl()->toString());
+    });
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function deleteJob(string $jobId): void {
+    if ($this->getJob($jobId) !== NULL) {
+      $this->store->delete($jobId);
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function destruct(): void {
+    foreach ($this->pending as $jobId) {
+      $this->processJob($jobId);
+    }
+    $this->pending = [];
+  }
+
+  /**
+   * Converts the sources of a claimed job and generates its plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanJob $job
+   *   The claimed job.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob
+   *   The job with the plan, or the FAILED job.
+   */
+  private function runGeneration(PlanJob $job): PlanJob {
+    try {
+      $documents = [];
+      $files = $this->entityTypeManager->getStorage('file')->loadMultiple(array_values($job->documents));
+      foreach ($job->documents as $documentId => $fileId) {
+        if (!isset($files[$fileId]) || !$files[$fileId] instanceof FileInterface) {
+          throw new DocumentProcessingException(sprintf('The file of document %s no longer exists.', $documentId));
+        }
+        $documents[] = $this->documentProcessing->process($files[$fileId]);
+      }
+
+      $options = [];
+      if ($job->urls) {
+        $options['webpages'] = array_map(fn(string $url) => $this->webpageProcessor->processUrl($url), $job->urls);
+      }
+
+      return $job->withPlan($this->planGenerator->generate($documents, $job->contexts, $job->templateId, $options));
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Plan job @job failed: @message', [
+        '@job' => $job->id,
+        '@message' => $e->getMessage(),
+      ]);
+      return $job->withError(PlanStatus::FAILED, $e->getMessage(), $this->getErrorCode($e));
+    }
+  }
+
+  /**
+   * Refines the plan of a claimed job.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanJob $job
+   *   The claimed job.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob
+   *   The job with the refined plan, or with the previous plan and the error.
+   */
+  private function runRefinement(PlanJob $job): PlanJob {
+    try {
+      return $job->withPlan($this->planGenerator->refine($job->plan, (string) $job->instructions, $job->contexts));
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Refining the plan of job @job failed: @message', [
+        '@job' => $job->id,
+        '@message' => $e->getMessage(),
+      ]);
+      // The previous plan is still good to use.
+      return $job->withError(PlanStatus::READY, $e->getMessage(), $this->getErrorCode($e));
+    }
+  }
+
+  /**
+   * Gets the error code for a processing failure.
+   *
+   * @param \Exception $e
+   *   The exception.
+   *
+   * @return string
+   *   One of the ERROR_* codes.
+   */
+  private function getErrorCode(\Exception $e): string {
+    return match (TRUE) {
+      $e instanceof DocumentProcessingException => self::ERROR_DOCUMENT_PROCESSING,
+      $e instanceof PlanGenerationException => self::ERROR_PLAN_GENERATION,
+      default => self::ERROR_INTERNAL,
+    };
+  }
+
+  /**
+   * Queues a job and processes it once the response has been sent.
+   *
+   * @param string $jobId
+   *   The job ID.
+   */
+  private function schedule(string $jobId): void {
+    $this->queueFactory->get(self::QUEUE_NAME)->createItem(['job_id' => $jobId]);
+    $this->pending[$jobId] = $jobId;
+  }
+
+  /**
+   * Gets a job of the current user or fails.
+   *
+   * @param string $jobId
+   *   The job ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob
+   *   The job.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the job does not exist or belongs to another user.
+   */
+  private function getOwnJob(string $jobId): PlanJob {
+    $job = $this->getJob($jobId);
+    if ($job === NULL) {
+      throw new InvalidWizardStateException(sprintf('Plan job %s does not exist.', $jobId));
+    }
+    return $job;
+  }
+
+  /**
+   * Loads, changes and saves a job under its lock.
+   *
+   * @param string $jobId
+   *   The job ID.
+   * @param callable $update
+   *   Receives the current job and returns the changed job.
+   * @param bool $required
+   *   Whether a missing job is an error.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob|null
+   *   The changed job, or NULL if it does not exist and is not required.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If a required job does not exist.
+   */
+  private function updateJob(string $jobId, callable $update, bool $required = TRUE): ?PlanJob {
+    $this->acquireLock($jobId);
+    try {
+      $job = $this->loadJob($jobId);
+      if ($job === NULL) {
+        if ($required) {
+          throw new InvalidWizardStateException(sprintf('Plan job %s does not exist.', $jobId));
+        }
+        return NULL;
+      }
+
+      $job = $update($job);
+      $this->saveJob($job);
+      return $job;
+    }
+    finally {
+      $this->lock->release($this->getLockName($jobId));
+    }
+  }
+
+  /**
+   * Loads a job regardless of its owner.
+   *
+   * @param string $jobId
+   *   The job ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob|null
+   *   The job, or NULL if it does not exist or has expired.
+   */
+  private function loadJob(string $jobId): ?PlanJob {
+    $data = $this->store->get($jobId);
+    if (!is_array($data)) {
+      return NULL;
+    }
+
+    try {
+      return PlanJob::fromArray($data);
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->logger->warning('Discarding invalid plan job @job: @message', [
+        '@job' => $jobId,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+  }
+
+  /**
+   * Saves a job, extending its expiry.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanJob $job
+   *   The job.
+   */
+  private function saveJob(PlanJob $job): void {
+    $this->store->setWithExpire($job->id, $job->toArray(), self::JOB_TTL);
+  }
+
+  /**
+   * Acquires the lock of a job, waiting for other requests to release it.
+   *
+   * @param string $jobId
+   *   The job ID.
+   *
+   * @throws \RuntimeException
+   *   If the lock could not be acquired in time.
+   */
+  private function acquireLock(string $jobId): void {
+    $name = $this->getLockName($jobId);
+    $deadline = $this->time->getCurrentTime() + self::LOCK_WAIT;
+
+    while (!$this->lock->acquire($name)) {
+      if ($this->time->getCurrentTime() >= $deadline) {
+        throw new \RuntimeException(sprintf('Plan job %s is locked.', $jobId));
+      }
+      $this->lock->wait($name, 1);
+    }
+  }
+
+  /**
+   * Gets the lock name of a job.
+   *
+   * @param string $jobId
+   *   The job ID.
+   *
+   * @return string
+   *   The lock name.
+   */
+  private function getLockName(string $jobId): string {
+    return 'ai_content_preparation_wizard_plan_job:' . $jobId;
+  }
+
+}
@@ -0,0 +1,156 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\PlanJob;
+
+/**
+ * Interface for the plan job manager behind the headless JSON API.
+ *
+ * Jobs take the place of the wizard session, so scripts and other systems
+ * can run the whole pipeline without a browser. Plan generation and
+ * refinement take too long for a single request; they run after the
+ * response has been sent, or on cron if that did not happen, while clients
+ * poll the job status.
+ */
+interface PlanJobManagerInterface {
+
+  /**
+   * The name of the queue processing jobs left over by their request.
+   */
+  public const QUEUE_NAME = 'ai_content_preparation_wizard_plan_jobs';
+
+  /**
+   * The error code of jobs whose sources could not be processed.
+   */
+  public const ERROR_DOCUMENT_PROCESSING = 'document_processing_failed';
+
+  /**
+   * The error code of jobs whose plan could not be generated or refined.
+   */
+  public const ERROR_PLAN_GENERATION = 'plan_generation_failed';
+
+  /**
+   * The error code of unexpected failures.
+   */
+  public const ERROR_INTERNAL = 'internal_error';
+
+  /**
+   * Starts a job generating a plan for the current user.
+   *
+   * @param array<string> $documentIds
+   *   The IDs of processed uploads of the current user, see
+   *   ChunkedUploadManagerInterface.
+   * @param array<string> $urls
+   *   The webpage URLs.
+   * @param array<string> $contexts
+   *   The AI context IDs.
+   * @param string|null $templateId
+   *   The Canvas page template ID, if any.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob
+   *   The new job, waiting to be processed.
+   *
+   * @throws \InvalidArgumentException
+   *   If there are no sources, a document is unknown or could not be
+   *   processed, or a URL is invalid.
+   */
+  public function createJob(array $documentIds, array $urls, array $contexts = [], ?string $templateId = NULL): PlanJob;
+
+  /**
+   * Gets a job of the current user.
+   *
+   * @param string $jobId
+   *   The job ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob|null
+   *   The job, or NULL if it does not exist, has expired or belongs to
+   *   another user.
+   */
+  public function getJob(string $jobId): ?PlanJob;
+
+  /**
+   * Generates or refines the plan of a waiting job.
+   *
+   * Unlike the other methods this does not check the job owner, so the
+   * queue worker can process jobs on cron. Failures are recorded on the job
+   * rather than thrown.
+   *
+   * @param string $jobId
+   *   The job ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob|null
+   *   The processed job, or NULL if the job is gone or not waiting.
+   */
+  public function processJob(string $jobId): ?PlanJob;
+
+  /**
+   * Changes the plan of a job.
+   *
+   * @param string $jobId
+   *   The job ID.
+   * @param string|null $title
+   *   The new plan title, or NULL to keep it.
+   * @param array<array<string, mixed>>|null $sections
+   *   The new top-level sections as for ContentPlan::withSectionStructure(),
+   *   or NULL to keep them.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob
+   *   The updated job.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the job does not exist or its plan cannot be changed now.
+   */
+  public function updatePlan(string $jobId, ?string $title, ?array $sections): PlanJob;
+
+  /**
+   * Queues the refinement of a job's plan.
+   *
+   * @param string $jobId
+   *   The job ID.
+   * @param string $instructions
+   *   The refinement instructions.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob
+   *   The job, waiting to be refined.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the job does not exist, its plan cannot be refined now or the
+   *   refinement limit has been reached.
+   */
+  public function refine(string $jobId, string $instructions): PlanJob;
+
+  /**
+   * Creates the Canvas page of a job's plan.
+   *
+   * Creating the page again returns the job with the existing page.
+   *
+   * @param string $jobId
+   *   The job ID.
+   * @param array<string, mixed> $options
+   *   Options for CanvasCreatorInterface::create(), e.g. 'title' and
+   *   'status'. The page is owned by the current user.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanJob
+   *   The completed job.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the job does not exist or has no plan to create a page from.
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException
+   *   If the page could not be created.
+   */
+  public function createPage(string $jobId, array $options = []): PlanJob;
+
+  /**
+   * Deletes a job of the current user.
+   *
+   * Created pages and uploaded documents are kept.
+   *
+   * @param string $jobId
+   *   The job ID.
+   */
+  public function deleteJob(string $jobId): void;
+
+}
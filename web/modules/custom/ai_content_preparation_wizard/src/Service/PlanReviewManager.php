@@ -0,0 +1,345 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Enum\ReviewStatus;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanReview;
+use Drupal\ai_content_preparation_wizard\Model\ReviewComment;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\content_moderation\ModerationInformationInterface;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface;
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Session\AccountProxyInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Manages the shared reviews of content plans.
+ *
+ * Reviews are stored in an expirable key/value collection rather than the
+ * user's private tempstore, so reviewers can open them. Changes happen under
+ * a per-review lock, as several reviewers may comment at the same time.
+ */
+final class PlanReviewManager implements PlanReviewManagerInterface {
+
+  /**
+   * The key/value collection storing the reviews.
+   *
+   * @var string
+   */
+  private const COLLECTION = 'ai_content_preparation_wizard.plan_reviews';
+
+  /**
+   * How long reviews are kept after their last change, in seconds.
+   *
+   * @var int
+   */
+  private const REVIEW_TTL = 2592000;
+
+  /**
+   * Seconds to wait for the review lock.
+   *
+   * @var int
+   */
+  private const LOCK_WAIT = 10;
+
+  /**
+   * The moderation state of pages from approved plans that are published.
+   *
+   * @var string
+   */
+  private const PUBLISHED_STATE = 'published';
+
+  /**
+   * The key/value store.
+   *
+   * @var \Drupal\Core\KeyValueStore\KeyValueStoreExpirableInterface
+   */
+  private $store;
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs a PlanReviewManager.
+   *
+   * @param \Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface $keyValueFactory
+   *   The expirable key/value factory.
+   * @param \Drupal\Core\Lock\LockBackendInterface $lock
+   *   The lock backend.
+   * @param \Drupal\Core\Session\AccountProxyInterface $currentUser
+   *   The current user.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $configFactory
+   *   The config factory.
+   * @param \Drupal\ai_content_preparation_wizard\Service\WizardSessionManagerInterface $sessionManager
+   *   The wizard session manager.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   * @param \Drupal\content_moderation\ModerationInformationInterface|null $moderationInformation
+   *   The moderation information service, if Content Moderation is enabled.
+   */
+  public function __construct(
+    KeyValueExpirableFactoryInterface $keyValueFactory,
+    private readonly LockBackendInterface $lock,
+    private readonly AccountProxyInterface $currentUser,
+    private readonly TimeInterface $time,
+    private readonly ConfigFactoryInterface $configFactory,
+    private readonly WizardSessionManagerInterface $sessionManager,
+    LoggerChannelFactoryInterface $loggerFactory,
+    private readonly ?ModerationInformationInterface $moderationInformation = NULL,
+  ) {
+    $this->store = $keyValueFactory->get(self::COLLECTION);
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function isApprovalRequired(): bool {
+    return (bool) $this->configFactory->get('ai_content_preparation_wizard.settings')->get('require_plan_approval');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getReview(string $reviewId): ?PlanReview {
+    $data = $this->store->get($reviewId);
+    if (!is_array($data)) {
+      return NULL;
+    }
+
+    try {
+      return PlanReview::fromArray($data);
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->logger->warning('Discarding invalid plan review @review: @message', [
+        '@review' => $reviewId,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getSessionReview(): ?PlanReview {
+    $reviewId = $this->sessionManager->getSession()?->getReviewId();
+    return $reviewId !== NULL ? $this->getReview($reviewId) : NULL;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function share(ContentPlan $plan): PlanReview {
+    $session = $this->sessionManager->getSession();
+    if ($session === NULL) {
+      throw new InvalidWizardStateException('There is no active wizard session.');
+    }
+
+    $reviewId = $session->getReviewId();
+    $review = $reviewId !== NULL ? $this->updateReview($reviewId, fn(PlanReview $review): PlanReview => $review->withPlan($plan), FALSE) : NULL;
+    if ($review !== NULL) {
+      return $review;
+    }
+
+    // Reviews that have expired are started again.
+    $review = PlanReview::create((int) $this->currentUser->id(), $plan);
+    $this->saveReview($review);
+    $session->setReviewId($review->id);
+    $this->sessionManager->updateSession($session);
+
+    $this->logger->info('Shared content plan @plan_id for review @review.', [
+      '@plan_id' => $plan->id,
+      '@review' => $review->id,
+    ]);
+
+    return $review;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function addComment(string $reviewId, string $sectionId, string $body): ReviewComment {
+    $body = trim($body);
+    if ($body === '') {
+      throw new \InvalidArgumentException('The comment is empty.');
+    }
+    if (mb_strlen($body) > ReviewComment::MAX_LENGTH) {
+      throw new \InvalidArgumentException(sprintf('Comments can have at most %d characters.', ReviewComment::MAX_LENGTH));
+    }
+
+    $comment = ReviewComment::create($sectionId, (int) $this->currentUser->id(), (string) $this->currentUser->getDisplayName(), $body);
+    $this->updateReview($reviewId, function (PlanReview $review) use ($comment): PlanReview {
+      if ($review->plan->getSection($comment->sectionId) === NULL) {
+        throw new \InvalidArgumentException(sprintf('The plan has no section %s.', $comment->sectionId));
+      }
+      return $review->withComment($comment);
+    });
+
+    return $comment;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function resolveComment(string $reviewId, string $commentId, bool $resolved = TRUE): ReviewComment {
+    $comment = NULL;
+    $this->updateReview($reviewId, function (PlanReview $review) use ($commentId, $resolved, &$comment): PlanReview {
+      $comment = $review->getComment($commentId);
+      if ($comment === NULL) {
+        throw new \InvalidArgumentException(sprintf('The review has no comment %s.', $commentId));
+      }
+      $comment = $comment->withResolved($resolved);
+      return $review->withComment($comment);
+    });
+
+    return $comment;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function decide(string $reviewId, ReviewStatus $status, ?string $message = NULL): PlanReview {
+    if ($status === ReviewStatus::PENDING) {
+      throw new \InvalidArgumentException('A review decision approves the plan or requests changes.');
+    }
+    $message = $message !== NULL && trim($message) !== '' ? trim($message) : NULL;
+
+    $review = $this->updateReview($reviewId, function (PlanReview $review) use ($status, $message): PlanReview {
+      if (!$this->canDecide($review)) {
+        throw new InvalidWizardStateException('You cannot review this content plan.');
+      }
+      return $review->withDecision($status, (int) $this->currentUser->id(), (string) $this->currentUser->getDisplayName(), $message);
+    });
+
+    $this->logger->info('@user set review @review of content plan @plan_id to @status.', [
+      '@user' => $this->currentUser->getAccountName(),
+      '@review' => $review->id,
+      '@plan_id' => $review->plan->id,
+      '@status' => $status->value,
+    ]);
+
+    return $review;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function canDecide(PlanReview $review): bool {
+    return $this->currentUser->hasPermission(self::PERMISSION)
+      && $review->ownerId !== (int) $this->currentUser->id();
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function canResolve(PlanReview $review, ReviewComment $comment): bool {
+    $userId = (int) $this->currentUser->id();
+    return $userId === $review->ownerId || $userId === $comment->authorId;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function isCreationAllowed(ContentPlan $plan): bool {
+    if (!$this->isApprovalRequired()) {
+      return TRUE;
+    }
+    return (bool) $this->getSessionReview()?->approves($plan);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getModerationOptions(ContentPlan $plan, bool $publish): array {
+    $options = [];
+    $review = $this->getSessionReview();
+    $approved = $review !== NULL && $review->approves($plan);
+    if ($approved) {
+      $options['revision_log'] = sprintf('Created from a content plan approved by %s.', $review->reviewerName);
+    }
+
+    // Canvas pages have no bundles.
+    $workflow = $this->moderationInformation?->getWorkflowForEntityTypeAndBundle('canvas_page', 'canvas_page');
+    if ($workflow === NULL) {
+      return $options;
+    }
+
+    $workflowType = $workflow->getTypePlugin();
+    if ($approved && $publish && $workflowType->hasState(self::PUBLISHED_STATE)) {
+      $options['moderation_state'] = self::PUBLISHED_STATE;
+    }
+    else {
+      $options['moderation_state'] = $workflowType->getConfiguration()['default_moderation_state'] ?? 'draft';
+    }
+
+    return $options;
+  }
+
+  /**
+   * Changes a review under its lock.
+   *
+   * @param string $reviewId
+   *   The review ID.
+   * @param callable $update
+   *   Receives the current review and returns the changed review.
+   * @param bool $required
+   *   Whether a missing review is an error.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanReview|null
+   *   The changed review, or NULL if it does not exist and is not required.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If a required review does not exist.
+   */
+  private function updateReview(string $reviewId, callable $update, bool $required = TRUE): ?PlanReview {
+    $name = 'ai_content_preparation_wizard_review:' . $reviewId;
+    $deadline = $this->time->getCurrentTime() + self::LOCK_WAIT;
+    while (!$this->lock->acquire($name)) {
+      if ($this->time->getCurrentTime() >= $deadline) {
+        throw new \RuntimeException(sprintf('Plan review %s is locked.', $reviewId));
+      }
+      $this->lock->wait($name, 1);
+    }
+
+    try {
+      $review = $this->getReview($reviewId);
+      if ($review === NULL) {
+        if ($required) {
+          throw new InvalidWizardStateException(sprintf('Plan review %s does not exist.', $reviewId));
+        }
+        return NULL;
+      }
+
+      $review = $update($review);
+      $this->saveReview($review);
+      return $review;
+    }
+    finally {
+      $this->lock->release($name);
+    }
+  }
+
+  /**
+   * Saves a review, extending its expiry.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanReview $review
+   *   The review.
+   */
+  private function saveReview(PlanReview $review): void {
+    $this->store->setWithExpire($review->id, $review->toArray(), self::REVIEW_TTL);
+  }
+
+}
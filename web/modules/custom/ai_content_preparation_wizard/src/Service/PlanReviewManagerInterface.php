@@ -0,0 +1,190 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Enum\ReviewStatus;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanReview;
+use Drupal\ai_content_preparation_wizard\Model\ReviewComment;
+
+/**
+ * Interface for the plan review manager.
+ *
+ * Wizard users share their content plan through a review link. Reviewers
+ * comment on sections and approve the plan or request changes. Reviews are
+ * stored outside the wizard session, so every reviewer and the wizard user
+ * see the same plan and comments. When the site requires approval, pages
+ * can only be created from approved plans.
+ */
+interface PlanReviewManagerInterface {
+
+  /**
+   * The permission to review shared plans.
+   */
+  public const PERMISSION = 'review content plans';
+
+  /**
+   * Checks if pages may only be created from approved plans.
+   *
+   * @return bool
+   *   TRUE if the site requires approval.
+   */
+  public function isApprovalRequired(): bool;
+
+  /**
+   * Gets a review.
+   *
+   * @param string $reviewId
+   *   The review ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanReview|null
+   *   The review, or NULL if it does not exist or has expired.
+   */
+  public function getReview(string $reviewId): ?PlanReview;
+
+  /**
+   * Gets the review of the plan of the current wizard session.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanReview|null
+   *   The review, or NULL if the plan was not shared.
+   */
+  public function getSessionReview(): ?PlanReview;
+
+  /**
+   * Shares the plan of the current wizard session for review.
+   *
+   * The first call creates the review. Later calls update its copy of the
+   * plan; a changed plan needs to be approved again.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan, including unsaved edits.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanReview
+   *   The review.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If there is no wizard session.
+   */
+  public function share(ContentPlan $plan): PlanReview;
+
+  /**
+   * Adds a comment to a section of a shared plan.
+   *
+   * @param string $reviewId
+   *   The review ID.
+   * @param string $sectionId
+   *   The ID of the section, at any nesting level.
+   * @param string $body
+   *   The comment text.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ReviewComment
+   *   The new comment.
+   *
+   * @throws \InvalidArgumentException
+   *   If the comment is empty or too long, or the plan has no such section.
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the review does not exist.
+   */
+  public function addComment(string $reviewId, string $sectionId, string $body): ReviewComment;
+
+  /**
+   * Resolves a comment, or opens it again.
+   *
+   * @param string $reviewId
+   *   The review ID.
+   * @param string $commentId
+   *   The comment ID.
+   * @param bool $resolved
+   *   Whether the comment is resolved.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ReviewComment
+   *   The updated comment.
+   *
+   * @throws \InvalidArgumentException
+   *   If the review has no such comment.
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the review does not exist.
+   */
+  public function resolveComment(string $reviewId, string $commentId, bool $resolved = TRUE): ReviewComment;
+
+  /**
+   * Approves a shared plan or requests changes.
+   *
+   * @param string $reviewId
+   *   The review ID.
+   * @param \Drupal\ai_content_preparation_wizard\Enum\ReviewStatus $status
+   *   APPROVED or CHANGES_REQUESTED.
+   * @param string|null $message
+   *   An optional message for the wizard user.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanReview
+   *   The updated review.
+   *
+   * @throws \InvalidArgumentException
+   *   If the status is PENDING.
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the review does not exist or the current user may not decide on it.
+   */
+  public function decide(string $reviewId, ReviewStatus $status, ?string $message = NULL): PlanReview;
+
+  /**
+   * Checks if the current user may approve a plan or request changes.
+   *
+   * Reviewers need the review permission and cannot review their own plans.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanReview $review
+   *   The review.
+   *
+   * @return bool
+   *   TRUE if the user may decide.
+   */
+  public function canDecide(PlanReview $review): bool;
+
+  /**
+   * Checks if the current user may resolve a comment.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanReview $review
+   *   The review.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ReviewComment $comment
+   *   The comment.
+   *
+   * @return bool
+   *   TRUE for the owner of the plan and the author of the comment.
+   */
+  public function canResolve(PlanReview $review, ReviewComment $comment): bool;
+
+  /**
+   * Checks if a page may be created from the plan of the wizard session.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan, including unsaved edits.
+   *
+   * @return bool
+   *   TRUE if approval is not required, or the session's review approves
+   *   the plan as it is.
+   */
+  public function isCreationAllowed(ContentPlan $plan): bool;
+
+  /**
+   * Gets the moderation options for a page created from a plan.
+   *
+   * When a content moderation workflow, such as the Basic editorial
+   * workflow, applies to Canvas pages, pages from approved plans that
+   * should be published get the 'published' state. All other pages start
+   * in the workflow's default state.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan, including unsaved edits.
+   * @param bool $publish
+   *   Whether the wizard user asked to publish the page.
+   *
+   * @return array<string, string>
+   *   Options for CanvasCreatorInterface::create(): 'moderation_state' if
+   *   Canvas pages are moderated, and 'revision_log' naming the reviewer if
+   *   the plan is approved.
+   */
+  public function getModerationOptions(ContentPlan $plan, bool $publish): array;
+
+}
@@ -0,0 +1,612 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Exception\PlanImportException;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\ExtractedImage;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Component\Serialization\Exception\InvalidDataTypeException;
+use Drupal\Component\Serialization\Yaml;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Extension\ModuleExtensionList;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use JsonSchema\Validator;
+
+/**
+ * Exports content plans to JSON and Markdown files and imports them.
+ *
+ * Both file types are converted to the same document, which is validated
+ * against the plan schema before the plan is built. Images are exported with
+ * their media and file IDs; on import they are only kept if that media
+ * entity still holds that file, so plans can move between sites.
+ */
+final class PlanSerializer implements PlanSerializerInterface {
+
+  use StringTranslationTrait;
+
+  /**
+   * The plan schema, relative to the module directory.
+   */
+  private const SCHEMA_FILE = 'schema/content-plan.schema.json';
+
+  /**
+   * Matches the comment with the properties of a section in Markdown.
+   */
+  private const SECTION_COMMENT_PATTERN = '/^<!--\s*section:\s*(.*?)\s*-->$/';
+
+  /**
+   * Matches Markdown headings.
+   */
+  private const HEADING_PATTERN = '/^(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/';
+
+  /**
+   * Matches references to plan images, e.g. ![alt](image:img_0123456789ab).
+   */
+  private const IMAGE_PATTERN = '/!\[[^\]]*\]\(image:([A-Za-z0-9_-]+)\)/';
+
+  /**
+   * Words per minute used to estimate the read time of imported plans.
+   */
+  private const WORDS_PER_MINUTE = 200;
+
+  /**
+   * Constructs a PlanSerializer object.
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\Core\Extension\ModuleExtensionList $moduleList
+   *   The module extension list.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   */
+  public function __construct(
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    private readonly ModuleExtensionList $moduleList,
+    private readonly TimeInterface $time,
+  ) {}
+
+  /**
+   * {@inheritdoc}
+   */
+  public function export(ContentPlan $plan, string $type): string {
+    $document = $this->buildDocument($plan);
+
+    return match ($type) {
+      self::TYPE_JSON => json_encode($document, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_THROW_ON_ERROR) . "\n",
+      self::TYPE_MARKDOWN => $this->buildMarkdown($document),
+      default => throw new \InvalidArgumentException("Unsupported plan file type: {$type}"),
+    };
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFilename(ContentPlan $plan, string $type): string {
+    return ($plan->getSuggestedPath() ?: 'content') . '-plan.' . $type;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function import(string $contents, string $type): array {
+    // Strip a byte order mark left by some editors.
+    $contents = preg_replace('/^\xEF\xBB\xBF/', '', $contents);
+
+    $document = match ($type) {
+      self::TYPE_JSON => $this->parseJson($contents),
+      self::TYPE_MARKDOWN => $this->parseMarkdown($contents),
+      default => throw new \InvalidArgumentException("Unsupported plan file type: {$type}"),
+    };
+
+    $this->validate($document);
+
+    $warnings = [];
+    $plan = $this->buildPlan($document['plan'], $warnings);
+
+    return ['plan' => $plan, 'warnings' => $warnings];
+  }
+
+  /**
+   * Builds the exported document of a plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan.
+   *
+   * @return array<string, mixed>
+   *   The document.
+   */
+  private function buildDocument(ContentPlan $plan): array {
+    return [
+      'format' => self::FORMAT,
+      'version' => self::VERSION,
+      'exported_at' => date(\DateTimeInterface::RFC3339, $this->time->getRequestTime()),
+      'plan' => [
+        'title' => $plan->title,
+        'summary' => $plan->summary,
+        'target_audience' => $plan->targetAudience,
+        'estimated_read_time' => $plan->estimatedReadTime,
+        'template_id' => $plan->templateId,
+        'sections' => array_map($this->buildSectionData(...), $plan->sections),
+        'images' => array_map(
+          fn(ExtractedImage $image): array => $image->toArray(),
+          $plan->images
+        ),
+      ],
+    ];
+  }
+
+  /**
+   * Builds the exported data of a section and its children.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The section.
+   *
+   * @return array<string, mixed>
+   *   The section data.
+   */
+  private function buildSectionData(PlanSection $section): array {
+    return [
+      'id' => $section->id,
+      'title' => $section->title,
+      'content' => $section->content,
+      'component_type' => $section->componentType,
+      // Keep an empty configuration an object in JSON.
+      'component_config' => $section->componentConfig ?: new \stdClass(),
+      'images' => array_map(fn(ExtractedImage $image): string => $image->id, $section->images),
+      'children' => array_map($this->buildSectionData(...), $section->children),
+    ];
+  }
+
+  /**
+   * Builds the Markdown file of an exported document.
+   *
+   * @param array<string, mixed> $document
+   *   The document.
+   *
+   * @return string
+   *   The Markdown with YAML front matter.
+   */
+  private function buildMarkdown(array $document): string {
+    $plan = $document['plan'];
+    $frontMatter = [
+      'format' => $document['format'],
+      'version' => $document['version'],
+      'exported_at' => $document['exported_at'],
+    ] + array_diff_key($plan, ['sections' => TRUE]);
+
+    $markdown = "---\n" . Yaml::encode($frontMatter) . "---\n\n";
+    $markdown .= '# ' . $this->toHeadingText($plan['title']) . "\n";
+    $images = array_column($plan['images'], NULL, 'id');
+    foreach ($plan['sections'] as $section) {
+      $markdown .= $this->buildMarkdownSection($section, 2, $images);
+    }
+
+    return $markdown;
+  }
+
+  /**
+   * Builds the Markdown of a section and its children.
+   *
+   * Sections nested deeper than the smallest heading share its level and are
+   * imported as siblings.
+   *
+   * @param array<string, mixed> $section
+   *   The section data.
+   * @param int $level
+   *   The heading level.
+   * @param array<string, array<string, mixed>> $images
+   *   The data of the plan images, keyed by ID.
+   *
+   * @return string
+   *   The Markdown.
+   */
+  private function buildMarkdownSection(array $section, int $level, array $images): string {
+    $properties = [
+      'id' => $section['id'],
+      'component_type' => $section['component_type'],
+    ];
+    if ((array) $section['component_config']) {
+      $properties['component_config'] = $section['component_config'];
+    }
+
+    $markdown = "\n" . str_repeat('#', $level) . ' ' . $this->toHeadingText($section['title']) . "\n";
+    $markdown .= '<!-- section: ' . json_encode($properties, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_THROW_ON_ERROR) . " -->\n";
+
+    $blocks = [trim($section['content'])];
+    foreach ($section['images'] as $imageId) {
+      if (isset($images[$imageId])) {
+        $blocks[] = ExtractedImage::fromArray($images[$imageId])->toMarkdown();
+      }
+    }
+    $blocks = array_filter($blocks, fn(string $block): bool => $block !== '');
+    if ($blocks) {
+      $markdown .= "\n" . implode("\n\n", $blocks) . "\n";
+    }
+
+    foreach ($section['children'] as $child) {
+      $markdown .= $this->buildMarkdownSection($child, min($level + 1, 6), $images);
+    }
+
+    return $markdown;
+  }
+
+  /**
+   * Converts a title to the text of a single-line heading.
+   *
+   * @param string $title
+   *   The title.
+   *
+   * @return string
+   *   The heading text.
+   */
+  private function toHeadingText(string $title): string {
+    return trim(preg_replace('/\s+/', ' ', $title));
+  }
+
+  /**
+   * Parses a JSON plan file.
+   *
+   * @param string $contents
+   *   The file contents.
+   *
+   * @return array<string, mixed>
+   *   The document.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanImportException
+   *   If the file is not a JSON object.
+   */
+  private function parseJson(string $contents): array {
+    try {
+      $document = json_decode($contents, TRUE, 64, JSON_THROW_ON_ERROR);
+    }
+    catch (\JsonException $e) {
+      throw new PlanImportException((string) $this->t('The file is not valid JSON: @error', [
+        '@error' => $e->getMessage(),
+      ]), [], 0, $e);
+    }
+
+    if (!is_array($document) || array_is_list($document)) {
+      throw new PlanImportException((string) $this->t('The file must contain a JSON object.'));
+    }
+
+    return $document;
+  }
+
+  /**
+   * Parses a Markdown plan file.
+   *
+   * @param string $contents
+   *   The file contents.
+   *
+   * @return array<string, mixed>
+   *   The document.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanImportException
+   *   If the front matter is missing or invalid, or a section comment cannot
+   *   be parsed.
+   */
+  private function parseMarkdown(string $contents): array {
+    $contents = str_replace(["\r\n", "\r"], "\n", $contents);
+    if (!preg_match('/\A---\n(.*?)\n---[ \t]*(?:\n(.*))?\z/s', $contents, $matches)) {
+      throw new PlanImportException((string) $this->t('The Markdown file must start with YAML front matter between two "---" lines.'));
+    }
+
+    try {
+      $frontMatter = Yaml::decode($matches[1]);
+    }
+    catch (InvalidDataTypeException $e) {
+      throw new PlanImportException((string) $this->t('The front matter is not valid YAML: @error', [
+        '@error' => $e->getMessage(),
+      ]), [], 0, $e);
+    }
+    if (!is_array($frontMatter) || array_is_list($frontMatter)) {
+      throw new PlanImportException((string) $this->t('The front matter must contain the plan properties, e.g. "title: My page".'));
+    }
+
+    $document = array_intersect_key($frontMatter, array_flip(['format', 'version', 'exported_at']));
+    $document['plan'] = array_diff_key($frontMatter, $document);
+    // The body starts after both "---" lines and the front matter.
+    $firstLine = substr_count($matches[1], "\n") + 4;
+    $document['plan']['sections'] = $this->parseMarkdownSections($matches[2] ?? '', $firstLine);
+
+    return $document;
+  }
+
+  /**
+   * Parses the sections of a Markdown plan file.
+   *
+   * Headings of level 2 and below followed by a section comment start a
+   * section. In files without any section comment, every such heading starts
+   * a section. Content before the first section, such as the page title, is
+   * ignored.
+   *
+   * @param string $body
+   *   The Markdown after the front matter.
+   * @param int $firstLine
+   *   The line number of the body in the file, for error messages.
+   *
+   * @return array<array<string, mixed>>
+   *   The section data, nested by heading level.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanImportException
+   *   If a section comment does not contain a JSON object.
+   */
+  private function parseMarkdownSections(string $body, int $firstLine): array {
+    $lines = explode("\n", $body);
+    $hasComments = (bool) preg_grep(self::SECTION_COMMENT_PATTERN, array_map('trim', $lines));
+
+    $entries = [];
+    $errors = [];
+    $fence = NULL;
+    for ($index = 0, $count = count($lines); $index < $count; $index++) {
+      $line = $lines[$index];
+
+      // Lines in fenced code blocks are content.
+      if (preg_match('/^\s*(```|~~~)/', $line, $fenceMatch)) {
+        $fence = $fence === NULL ? $fenceMatch[1] : ($fence === $fenceMatch[1] ? NULL : $fence);
+      }
+
+      if ($fence === NULL && preg_match(self::HEADING_PATTERN, $line, $heading) && strlen($heading[1]) > 1) {
+        $next = trim($lines[$index + 1] ?? '');
+        $hasComment = (bool) preg_match(self::SECTION_COMMENT_PATTERN, $next, $comment);
+        if ($hasComment || !$hasComments) {
+          $properties = [];
+          if ($hasComment) {
+            $properties = json_decode($comment[1], TRUE);
+            if (!is_array($properties) || array_is_list($properties)) {
+              $errors[] = (string) $this->t('Line @line: the section comment must contain a JSON object.', [
+                '@line' => $firstLine + $index + 1,
+              ]);
+              $properties = [];
+            }
+            $index++;
+          }
+
+          $entries[] = [
+            'level' => strlen($heading[1]),
+            'data' => ['title' => $heading[2] ?? ''] + array_intersect_key($properties, array_flip(['id', 'component_type', 'component_config'])),
+            'lines' => [],
+          ];
+          continue;
+        }
+      }
+
+      if ($entries) {
+        $entries[array_key_last($entries)]['lines'][] = $line;
+      }
+    }
+
+    if ($errors) {
+      throw new PlanImportException((string) $this->t('The Markdown file could not be parsed.'), $errors);
+    }
+
+    foreach ($entries as &$entry) {
+      $entry['data']['content'] = trim(implode("\n", $entry['lines']));
+    }
+    unset($entry);
+
+    $position = 0;
+    return $this->buildSectionTree($entries, $position, 1);
+  }
+
+  /**
+   * Nests parsed Markdown sections by heading level.
+   *
+   * @param array<array{level: int, data: array<string, mixed>}> $entries
+   *   The parsed sections in document order.
+   * @param int $position
+   *   The position of the next entry, advanced while entries are nested.
+   * @param int $parentLevel
+   *   The heading level of the parent section.
+   *
+   * @return array<array<string, mixed>>
+   *   The section data of the entries below the parent.
+   */
+  private function buildSectionTree(array $entries, int &$position, int $parentLevel): array {
+    $sections = [];
+    while (isset($entries[$position]) && $entries[$position]['level'] > $parentLevel) {
+      $entry = $entries[$position++];
+      $section = $entry['data'];
+      $section['children'] = $this->buildSectionTree($entries, $position, $entry['level']);
+      $sections[] = $section;
+    }
+    return $sections;
+  }
+
+  /**
+   * Validates a document against the plan schema.
+   *
+   * @param array<string, mixed> $document
+   *   The document.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanImportException
+   *   If the document is not a supported plan.
+   */
+  private function validate(array $document): void {
+    if (($document['format'] ?? NULL) !== self::FORMAT) {
+      throw new PlanImportException((string) $this->t('This is not a content plan exported by the Content Preparation Wizard: "format" must be "@format".', [
+        '@format' => self::FORMAT,
+      ]));
+    }
+    if (is_int($document['version'] ?? NULL) && $document['version'] > self::VERSION) {
+      throw new PlanImportException((string) $this->t('This plan was exported by a newer version of the Content Preparation Wizard (format version @version). This site supports format version @supported.', [
+        '@version' => $document['version'],
+        '@supported' => self::VERSION,
+      ]));
+    }
+
+    // The validator expects decoded JSON, with objects instead of arrays.
+    $data = json_decode(json_encode($document, JSON_THROW_ON_ERROR));
+    $schemaFile = $this->moduleList->getPath('ai_content_preparation_wizard') . '/' . self::SCHEMA_FILE;
+    $schema = json_decode(file_get_contents($schemaFile));
+
+    $validator = new Validator();
+    $validator->validate($data, $schema);
+    if ($validator->isValid()) {
+      return;
+    }
+
+    $errors = [];
+    foreach ($validator->getErrors() as $error) {
+      $errors[] = ($error['property'] !== '' ? $error['property'] . ': ' : '') . $error['message'];
+    }
+    throw new PlanImportException((string) $this->t('The plan file does not match the content plan schema.'), array_values(array_unique($errors)));
+  }
+
+  /**
+   * Builds the imported plan from validated plan data.
+   *
+   * @param array<string, mixed> $data
+   *   The plan data of the document.
+   * @param array<string> $warnings
+   *   Collects messages about anything that was left out.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
+   *   The plan.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanImportException
+   *   If section IDs are repeated or sections reference unknown images.
+   */
+  private function buildPlan(array $data, array &$warnings): ContentPlan {
+    $images = [];
+    foreach ($data['images'] ?? [] as $imageData) {
+      $image = ExtractedImage::fromArray($imageData);
+      $images[$image->id] = $image;
+    }
+
+    $available = $this->filterAvailableImages($images);
+    $removed = array_diff_key($images, $available);
+    if ($removed) {
+      $warnings[] = (string) $this->formatPlural(
+        count($removed),
+        '1 image is not available on this site and was removed from the plan.',
+        '@count images are not available on this site and were removed from the plan.'
+      );
+    }
+
+    $errors = [];
+    $sectionIds = [];
+    $sections = $this->buildSections($data['sections'], 'plan.sections', $available, array_keys($removed), $sectionIds, $errors);
+    if ($errors) {
+      throw new PlanImportException((string) $this->t('The plan file contains invalid references.'), $errors);
+    }
+
+    $readTime = $data['estimated_read_time'] ?? NULL;
+    if ($readTime === NULL) {
+      $words = array_sum(array_map(fn(PlanSection $section): int => $section->getTotalWordCount(), $sections));
+      $readTime = max(1, (int) ceil($words / self::WORDS_PER_MINUTE));
+    }
+
+    return ContentPlan::create(
+      title: trim($data['title']),
+      summary: $data['summary'] ?? '',
+      sections: $sections,
+      targetAudience: $data['target_audience'] ?? '',
+      estimatedReadTime: (int) $readTime,
+      templateId: isset($data['template_id']) ? (string) $data['template_id'] : NULL,
+      images: array_values($available),
+    );
+  }
+
+  /**
+   * Builds the imported sections and their children.
+   *
+   * Image references in the content are moved to the section images, like
+   * in generated plans.
+   *
+   * @param array<array<string, mixed>> $items
+   *   The section data.
+   * @param string $path
+   *   The path of the data in the document, for error messages.
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The available images, keyed by ID.
+   * @param array<string> $removedImageIds
+   *   IDs of images that are not available on this site.
+   * @param array<string, bool> $sectionIds
+   *   Collects the section IDs of the whole plan.
+   * @param array<string> $errors
+   *   Collects invalid references.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\PlanSection>
+   *   The sections.
+   */
+  private function buildSections(array $items, string $path, array $images, array $removedImageIds, array &$sectionIds, array &$errors): array {
+    $sections = [];
+    foreach (array_values($items) as $index => $item) {
+      $itemPath = "{$path}[{$index}]";
+
+      $id = $item['id'] ?? 'section_' . bin2hex(random_bytes(6));
+      if (isset($sectionIds[$id])) {
+        $errors[] = (string) $this->t('@path.id: the section ID "@id" is used more than once.', [
+          '@path' => $itemPath,
+          '@id' => $id,
+        ]);
+      }
+      $sectionIds[$id] = TRUE;
+
+      $content = $item['content'];
+      $imageIds = $item['images'] ?? [];
+      if (preg_match_all(self::IMAGE_PATTERN, $content, $matches)) {
+        $imageIds = array_merge($imageIds, $matches[1]);
+        $content = preg_replace(self::IMAGE_PATTERN, '', $content);
+        $content = trim(preg_replace(['/[ \t]+$/m', '/\n{3,}/'], ['', "\n\n"], $content));
+      }
+
+      $sectionImages = [];
+      foreach (array_unique($imageIds) as $imageId) {
+        if (isset($images[$imageId])) {
+          $sectionImages[] = $images[$imageId];
+        }
+        elseif (!in_array($imageId, $removedImageIds, TRUE)) {
+          $errors[] = (string) $this->t('@path.images: the image "@id" is not listed in plan.images.', [
+            '@path' => $itemPath,
+            '@id' => $imageId,
+          ]);
+        }
+      }
+
+      $sections[] = new PlanSection(
+        id: $id,
+        title: trim($item['title']),
+        content: $content,
+        componentType: $item['component_type'] ?? 'text',
+        order: $index + 1,
+        componentConfig: (array) ($item['component_config'] ?? []),
+        children: $this->buildSections($item['children'] ?? [], "{$itemPath}.children", $images, $removedImageIds, $sectionIds, $errors),
+        images: $sectionImages,
+      );
+    }
+
+    return $sections;
+  }
+
+  /**
+   * Filters out images whose media entity does not hold their file.
+   *
+   * @param array<string, \Drupal\ai_content_preparation_wizard\Model\ExtractedImage> $images
+   *   The images, keyed by ID.
+   *
+   * @return array<string, \Drupal\ai_content_preparation_wizard\Model\ExtractedImage>
+   *   The images available on this site.
+   */
+  private function filterAvailableImages(array $images): array {
+    if (!$images || !$this->entityTypeManager->hasDefinition('media')) {
+      return [];
+    }
+
+    $mediaIds = array_unique(array_map(fn(ExtractedImage $image): int => $image->mediaId, $images));
+    /** @var \Drupal\media\MediaInterface[] $media */
+    $media = $this->entityTypeManager->getStorage('media')->loadMultiple($mediaIds);
+
+    // Media IDs are only meaningful on the site the plan was exported from.
+    return array_filter($images, function (ExtractedImage $image) use ($media): bool {
+      $entity = $media[$image->mediaId] ?? NULL;
+      return $entity !== NULL && (int) $entity->getSource()->getSourceFieldValue($entity) === $image->fileId;
+    });
+  }
+
+}
@@ -0,0 +1,95 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+
+/**
+ * Interface for the plan serializer.
+ *
+ * Content plans only live in the wizard session. The serializer exports them
+ * to files that can be reviewed offline, kept in version control and imported
+ * again, on the same or another site:
+ * - JSON: the plan wrapped in a document with the format name and version,
+ *   validated against schema/content-plan.schema.json on import.
+ * - Markdown: the plan properties as YAML front matter and every section as
+ *   a heading, followed by a "<!-- section: {...} -->" comment with its ID
+ *   and component, and its content. Hand-written Markdown without these
+ *   comments is imported too, with one section per heading.
+ */
+interface PlanSerializerInterface {
+
+  /**
+   * The name of the export format.
+   */
+  public const FORMAT = 'ai_content_preparation_wizard.content_plan';
+
+  /**
+   * The version of the export format written by this module.
+   */
+  public const VERSION = 1;
+
+  /**
+   * The JSON file type.
+   */
+  public const TYPE_JSON = 'json';
+
+  /**
+   * The Markdown file type.
+   */
+  public const TYPE_MARKDOWN = 'md';
+
+  /**
+   * Exports a content plan.
+   *
+   * Source spans and the refinement history are not exported: they only
+   * make sense within the wizard session the plan was generated in.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan.
+   * @param string $type
+   *   One of the TYPE_* constants.
+   *
+   * @return string
+   *   The file contents.
+   *
+   * @throws \InvalidArgumentException
+   *   If the type is not supported.
+   */
+  public function export(ContentPlan $plan, string $type): string;
+
+  /**
+   * Gets the file name of an exported plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan.
+   * @param string $type
+   *   One of the TYPE_* constants.
+   *
+   * @return string
+   *   The file name, e.g. "company-history-plan.json".
+   */
+  public function getFilename(ContentPlan $plan, string $type): string;
+
+  /**
+   * Imports an exported content plan.
+   *
+   * The plan gets a new ID and the draft status. Images whose media entity
+   * does not exist on this site are removed from the plan.
+   *
+   * @param string $contents
+   *   The file contents.
+   * @param string $type
+   *   One of the TYPE_* constants.
+   *
+   * @return array{plan: \Drupal\ai_content_preparation_wizard\Model\ContentPlan, warnings: array<string>}
+   *   The imported plan and messages about anything that was left out.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\PlanImportException
+   *   If the file cannot be parsed or does not match the schema.
+   */
+  public function import(string $contents, string $type): array;
+
+}
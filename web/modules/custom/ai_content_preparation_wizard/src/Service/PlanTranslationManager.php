@@ -0,0 +1,308 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Enum\TranslationStatus;
+use Drupal\ai_content_preparation_wizard\Exception\CanvasCreationException;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\PlanTranslation;
+use Drupal\ai_content_preparation_wizard\Model\WizardSession;
+use Drupal\Core\Entity\EntityInterface;
+use Drupal\Core\Entity\EntityPublishedInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Language\LanguageManagerInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Manages the translated variants of the wizard's content plan.
+ *
+ * Variants live in the wizard session next to the plan they were translated
+ * from. Every language is handled on its own, so one failing translation
+ * does not keep the others from being reviewed or added to the page.
+ */
+final class PlanTranslationManager implements PlanTranslationManagerInterface {
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs a PlanTranslationManager.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Service\WizardSessionManagerInterface $sessionManager
+   *   The wizard session manager.
+   * @param \Drupal\ai_content_preparation_wizard\Service\ContentPlanGeneratorInterface $planGenerator
+   *   The content plan generator.
+   * @param \Drupal\ai_content_preparation_wizard\Service\CanvasCreatorInterface $canvasCreator
+   *   The Canvas creator.
+   * @param \Drupal\Core\Language\LanguageManagerInterface $languageManager
+   *   The language manager.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entityTypeManager
+   *   The entity type manager.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   */
+  public function __construct(
+    private readonly WizardSessionManagerInterface $sessionManager,
+    private readonly ContentPlanGeneratorInterface $planGenerator,
+    private readonly CanvasCreatorInterface $canvasCreator,
+    private readonly LanguageManagerInterface $languageManager,
+    private readonly EntityTypeManagerInterface $entityTypeManager,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getTargetLanguages(): array {
+    if (!$this->languageManager->isMultilingual()) {
+      return [];
+    }
+
+    $defaultLangcode = $this->languageManager->getDefaultLanguage()->getId();
+    $languages = [];
+    foreach ($this->languageManager->getLanguages() as $langcode => $language) {
+      if ($langcode !== $defaultLangcode) {
+        $languages[$langcode] = $language->getName();
+      }
+    }
+    return $languages;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function translate(ContentPlan $plan, string $langcode): PlanTranslation {
+    if (!isset($this->getTargetLanguages()[$langcode])) {
+      throw new \InvalidArgumentException(sprintf('Content plans cannot be translated to "%s".', $langcode));
+    }
+
+    $session = $this->requireSession();
+    $translation = $this->translateInSession($session, $plan, $langcode);
+    $this->sessionManager->updateSession($session);
+
+    return $translation;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function applyEdits(string $langcode, array $edits): ?PlanTranslation {
+    $session = $this->requireSession();
+    $translation = $session->getPlanTranslation($langcode);
+    if ($translation?->plan === NULL) {
+      return NULL;
+    }
+
+    $plan = $translation->plan;
+    if (isset($edits['title']) && is_string($edits['title']) && trim($edits['title']) !== '') {
+      $plan = $plan->withTitle(trim($edits['title']));
+    }
+
+    foreach (is_array($edits['sections'] ?? NULL) ? $edits['sections'] : [] as $sectionId => $sectionEdits) {
+      $section = is_array($sectionEdits) ? $plan->getSection((string) $sectionId) : NULL;
+      if ($section === NULL) {
+        continue;
+      }
+      $plan = $plan->withSection(new PlanSection(
+        $section->id,
+        is_string($sectionEdits['title'] ?? NULL) ? $sectionEdits['title'] : $section->title,
+        is_string($sectionEdits['content'] ?? NULL) ? $sectionEdits['content'] : $section->content,
+        $section->componentType,
+        $section->order,
+        $section->componentConfig,
+        $section->children,
+        $section->sourceSpans,
+        $section->images,
+      ));
+    }
+
+    // Edited variants are still based on the same source text.
+    $translation = $translation->withPlan($plan, (string) $translation->sourceHash);
+    $session->setPlanTranslation($translation);
+    $this->sessionManager->updateSession($session);
+
+    return $translation;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function createPageTranslations(EntityInterface $page, ContentPlan $plan, array $langcodes): array {
+    $session = $this->requireSession();
+    $targetLanguages = $this->getTargetLanguages();
+    $langcodes = array_values(array_intersect(array_unique($langcodes), array_keys($targetLanguages)));
+
+    // Variants of languages that were deselected are not needed anymore.
+    foreach (array_keys($session->getPlanTranslations()) as $langcode) {
+      if (!in_array($langcode, $langcodes, TRUE)) {
+        $session->removePlanTranslation($langcode);
+      }
+    }
+
+    $translations = [];
+    foreach ($langcodes as $langcode) {
+      $translation = $session->getPlanTranslation($langcode);
+      if ($translation?->plan === NULL) {
+        $translation = $this->translateInSession($session, $plan, $langcode);
+      }
+      if ($translation->plan !== NULL) {
+        $translation = $this->addToPage($session, $page, $translation);
+        $session->setPlanTranslation($translation);
+      }
+      $translations[$langcode] = $translation;
+    }
+
+    $failed = array_filter($translations, fn(PlanTranslation $translation): bool => $translation->status === TranslationStatus::FAILED);
+    $session->setCreatedPageId($failed ? (string) $page->id() : NULL);
+    $this->sessionManager->updateSession($session);
+
+    return $translations;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function retryPageTranslation(string $langcode): PlanTranslation {
+    $session = $this->requireSession();
+    $page = $this->getCreatedPage();
+    $plan = $session->getContentPlan();
+    if ($page === NULL || $plan === NULL) {
+      throw new InvalidWizardStateException('No Canvas page was created in this wizard session.');
+    }
+
+    $translation = $session->getPlanTranslation($langcode);
+    if ($translation === NULL) {
+      throw new InvalidWizardStateException(sprintf('The page has no %s translation to retry.', $langcode));
+    }
+    if ($translation->status === TranslationStatus::CREATED) {
+      return $translation;
+    }
+
+    $translation = $translation->withRetry();
+    if ($translation->plan === NULL) {
+      $session->setPlanTranslation($translation);
+      $translation = $this->translateInSession($session, $plan, $langcode);
+    }
+    if ($translation->plan !== NULL) {
+      $translation = $this->addToPage($session, $page, $translation);
+    }
+    $session->setPlanTranslation($translation);
+    $this->sessionManager->updateSession($session);
+
+    return $translation;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getCreatedPage(): ?EntityInterface {
+    $pageId = $this->sessionManager->getSession()?->getCreatedPageId();
+    if ($pageId === NULL) {
+      return NULL;
+    }
+
+    try {
+      return $this->entityTypeManager->getStorage('canvas_page')->load($pageId);
+    }
+    catch (\Exception $e) {
+      return NULL;
+    }
+  }
+
+  /**
+   * Translates a plan and stores the variant in the given session.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\WizardSession $session
+   *   The wizard session. The caller saves it.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan to translate.
+   * @param string $langcode
+   *   The code of the target language.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanTranslation
+   *   The translation, TRANSLATED or FAILED.
+   */
+  private function translateInSession(WizardSession $session, ContentPlan $plan, string $langcode): PlanTranslation {
+    $translation = $session->getPlanTranslation($langcode)
+      ?? new PlanTranslation($langcode, TranslationStatus::FAILED, time());
+
+    try {
+      $translatedPlan = $this->planGenerator->translate($plan, $langcode, $session->getSelectedContexts());
+      $translation = $translation->withPlan($translatedPlan, PlanTranslation::hashSource($plan));
+    }
+    catch (PlanGenerationException $e) {
+      $this->logger->warning('Translating content plan @plan_id to @langcode failed: @message', [
+        '@plan_id' => $plan->id,
+        '@langcode' => $langcode,
+        '@message' => $e->getMessage(),
+      ]);
+      // A variant that was translated before is not valid for this text.
+      $translation = new PlanTranslation($langcode, TranslationStatus::FAILED, time(), error: $e->getMessage(), attempts: $translation->attempts);
+    }
+
+    $session->setPlanTranslation($translation);
+    return $translation;
+  }
+
+  /**
+   * Adds a translated variant to the Canvas page.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\WizardSession $session
+   *   The wizard session, for the template the page was created from.
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The Canvas page.
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanTranslation $translation
+   *   The translation, with a translated plan.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanTranslation
+   *   The translation, CREATED or FAILED.
+   */
+  private function addToPage(WizardSession $session, EntityInterface $page, PlanTranslation $translation): PlanTranslation {
+    try {
+      $this->canvasCreator->addTranslation($page, $translation->plan, $translation->langcode, [
+        'title' => $translation->plan->title,
+        // Translations are published along with the page.
+        'status' => $page instanceof EntityPublishedInterface && $page->isPublished(),
+        'template_id' => $session->getTemplateId(),
+      ]);
+      return $translation->withStatus(TranslationStatus::CREATED);
+    }
+    catch (CanvasCreationException $e) {
+      $message = $e->getMessage();
+      if ($e->validationErrors) {
+        $message .= ' ' . implode(' ', $e->validationErrors);
+      }
+      return $translation->withStatus(TranslationStatus::FAILED, $message);
+    }
+  }
+
+  /**
+   * Gets the wizard session.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\WizardSession
+   *   The wizard session.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If there is no wizard session.
+   */
+  private function requireSession(): WizardSession {
+    $session = $this->sessionManager->getSession();
+    if ($session === NULL) {
+      throw new InvalidWizardStateException('There is no active wizard session.');
+    }
+    return $session;
+  }
+
+}
@@ -0,0 +1,115 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanTranslation;
+use Drupal\Core\Entity\EntityInterface;
+
+/**
+ * Interface for the plan translation manager.
+ *
+ * Editors pick target languages in Step 2. The manager translates the plan
+ * to each of them, keeps the translated variants in the wizard session for
+ * review, and adds them to the Canvas page as translations once the page has
+ * been created. Failed translations stay in the session and can be retried.
+ */
+interface PlanTranslationManagerInterface {
+
+  /**
+   * Gets the languages content plans can be translated to.
+   *
+   * @return array<string, string>
+   *   Language names keyed by language code, without the default language.
+   *   Empty if the site is not multilingual.
+   */
+  public function getTargetLanguages(): array;
+
+  /**
+   * Translates a content plan and stores the variant in the wizard session.
+   *
+   * A failed translation is stored too, with its error, so it can be shown
+   * and retried.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan to translate, including unsaved edits.
+   * @param string $langcode
+   *   The code of the target language.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanTranslation
+   *   The translation, TRANSLATED or FAILED.
+   *
+   * @throws \InvalidArgumentException
+   *   If the language is not one of the target languages.
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If there is no wizard session.
+   */
+  public function translate(ContentPlan $plan, string $langcode): PlanTranslation;
+
+  /**
+   * Applies edits from the side-by-side review to a translated variant.
+   *
+   * @param string $langcode
+   *   The language code.
+   * @param array<string, mixed> $edits
+   *   The edits: an optional 'title' and optional 'sections', keyed by
+   *   section ID, each with optional 'title' and 'content' values.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanTranslation|null
+   *   The updated translation, or NULL if the session has no translated plan
+   *   in the language.
+   */
+  public function applyEdits(string $langcode, array $edits): ?PlanTranslation;
+
+  /**
+   * Adds translations to the Canvas page created from a plan.
+   *
+   * Languages the plan has not been translated to yet are translated first.
+   * Variants of other languages are removed from the session. While any
+   * translation failed, the page ID is kept in the session so it can be
+   * retried with ::retryPageTranslation().
+   *
+   * @param \Drupal\Core\Entity\EntityInterface $page
+   *   The created Canvas page.
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The plan the page was created from.
+   * @param array<string> $langcodes
+   *   The codes of the languages to add.
+   *
+   * @return array<string, \Drupal\ai_content_preparation_wizard\Model\PlanTranslation>
+   *   The translations, CREATED or FAILED, keyed by language code.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If there is no wizard session.
+   */
+  public function createPageTranslations(EntityInterface $page, ContentPlan $plan, array $langcodes): array;
+
+  /**
+   * Retries a failed translation of the created Canvas page.
+   *
+   * The plan is translated again if that failed, then added to the page.
+   *
+   * @param string $langcode
+   *   The language code.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanTranslation
+   *   The translation, CREATED or FAILED.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If no page was created in the session or it has no translation in the
+   *   language.
+   */
+  public function retryPageTranslation(string $langcode): PlanTranslation;
+
+  /**
+   * Loads the Canvas page whose translations are being created.
+   *
+   * @return \Drupal\Core\Entity\EntityInterface|null
+   *   The page, or NULL if no page was created in the session or it has been
+   *   deleted since.
+   */
+  public function getCreatedPage(): ?EntityInterface;
+
+}
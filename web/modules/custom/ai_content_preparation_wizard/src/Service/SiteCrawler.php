@@ -0,0 +1,797 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Enum\CrawlPageStatus;
+use Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException;
+use Drupal\ai_content_preparation_wizard\Model\CrawledPage;
+use Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage;
+use Drupal\ai_content_preparation_wizard\Model\SiteCrawl;
+use Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface;
+use Drupal\Core\Lock\LockBackendInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Session\AccountProxyInterface;
+use GuzzleHttp\ClientInterface;
+use GuzzleHttp\Exception\GuzzleException;
+use GuzzleHttp\Psr7\Uri;
+use GuzzleHttp\Psr7\UriResolver;
+use Psr\Http\Message\UriInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Crawls sites for the wizard.
+ *
+ * Crawls are stored in an expirable key/value collection and advanced by
+ * the browser a few pages per request. The pages of a request are fetched
+ * under a per-crawl lock, so concurrent requests never fetch a page twice.
+ */
+final class SiteCrawler implements SiteCrawlerInterface {
+
+  /**
+   * The key/value collection storing the crawls.
+   *
+   * @var string
+   */
+  private const COLLECTION = 'ai_content_preparation_wizard.crawls';
+
+  /**
+   * How long crawls are kept after their last change, in seconds.
+   *
+   * @var int
+   */
+  private const CRAWL_TTL = 86400;
+
+  /**
+   * The number of pages fetched per request.
+   *
+   * @var int
+   */
+  private const PAGES_PER_REQUEST = 3;
+
+  /**
+   * Seconds after which the crawl lock expires.
+   *
+   * Covers the fetch timeout of every page of a request.
+   *
+   * @var float
+   */
+  private const LOCK_TIMEOUT = 60.0;
+
+  /**
+   * Seconds after which a page request times out.
+   *
+   * @var int
+   */
+  private const FETCH_TIMEOUT = 15;
+
+  /**
+   * The maximum number of sitemaps read from a sitemap index.
+   *
+   * @var int
+   */
+  private const MAX_SITEMAPS = 10;
+
+  /**
+   * The share of fetched pages a block must appear on to be boilerplate.
+   *
+   * @var float
+   */
+  private const BOILERPLATE_SHARE = 0.5;
+
+  /**
+   * The user agent the crawler follows in robots.txt, in lowercase.
+   *
+   * @var string
+   */
+  private const ROBOTS_AGENT = 'drupalaicontentwizard';
+
+  /**
+   * File extensions of links that are not followed.
+   *
+   * @var array<string>
+   */
+  private const SKIP_EXTENSIONS = [
+    'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'zip', 'gz', 'tar',
+    'jpg', 'jpeg', 'png', 'gif', 'svg', 'webp', 'ico', 'mp3', 'mp4', 'mov',
+    'avi', 'css', 'js', 'json', 'xml', 'rss', 'txt',
+  ];
+
+  /**
+   * The key/value store.
+   *
+   * @var \Drupal\Core\KeyValueStore\KeyValueStoreExpirableInterface
+   */
+  private $store;
+
+  /**
+   * The logger instance.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  private LoggerInterface $logger;
+
+  /**
+   * Constructs a SiteCrawler.
+   *
+   * @param \Drupal\Core\KeyValueStore\KeyValueExpirableFactoryInterface $keyValueFactory
+   *   The expirable key/value factory.
+   * @param \Drupal\Core\Lock\LockBackendInterface $lock
+   *   The lock backend.
+   * @param \GuzzleHttp\ClientInterface $httpClient
+   *   The HTTP client.
+   * @param \Drupal\Core\Session\AccountProxyInterface $currentUser
+   *   The current user.
+   * @param \Drupal\ai_content_preparation_wizard\Service\WebpageProcessorInterface $webpageProcessor
+   *   The webpage processor.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $loggerFactory
+   *   The logger factory.
+   */
+  public function __construct(
+    KeyValueExpirableFactoryInterface $keyValueFactory,
+    private readonly LockBackendInterface $lock,
+    private readonly ClientInterface $httpClient,
+    private readonly AccountProxyInterface $currentUser,
+    private readonly WebpageProcessorInterface $webpageProcessor,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->store = $keyValueFactory->get(self::COLLECTION);
+    $this->logger = $loggerFactory->get('ai_content_preparation_wizard');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function start(string $url, array $options = []): SiteCrawl {
+    try {
+      $uri = new Uri(trim($url));
+    }
+    catch (\InvalidArgumentException) {
+      throw new \InvalidArgumentException(sprintf('Invalid crawl URL: %s', $url));
+    }
+    if (!in_array($uri->getScheme(), ['http', 'https'], TRUE) || $uri->getHost() === '') {
+      throw new \InvalidArgumentException(sprintf('Invalid crawl URL: %s', $url));
+    }
+
+    $maxDepth = max(0, min(self::MAX_DEPTH, (int) ($options['max_depth'] ?? 2)));
+    $maxPages = max(1, min(self::MAX_PAGES, (int) ($options['max_pages'] ?? 20)));
+    $include = $this->cleanPatterns($options['include'] ?? []);
+    $exclude = $this->cleanPatterns($options['exclude'] ?? []);
+
+    $robotsRules = $this->fetchRobotsRules($uri);
+    $startUrl = $this->normalizeUrl($uri);
+    $crawl = SiteCrawl::create((int) $this->currentUser->id(), $startUrl, $maxDepth, $maxPages, $include, $exclude, $robotsRules);
+
+    if (str_ends_with(strtolower($uri->getPath()), '.xml')) {
+      foreach ($this->fetchSitemapUrls($startUrl) as $pageUrl) {
+        $crawl = $this->queuePage($crawl, $pageUrl, 0);
+      }
+    }
+    else {
+      $crawl = $this->queuePage($crawl, $startUrl, 0);
+    }
+
+    $this->saveCrawl($crawl);
+
+    $this->logger->info('Started site crawl @crawl of @url with @count pages queued.', [
+      '@crawl' => $crawl->id,
+      '@url' => $startUrl,
+      '@count' => count($crawl->pages),
+    ]);
+
+    return $crawl;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getCrawl(string $crawlId): ?SiteCrawl {
+    $crawl = $this->loadCrawl($crawlId);
+    if ($crawl === NULL || $crawl->userId !== (int) $this->currentUser->id()) {
+      return NULL;
+    }
+    return $crawl;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function crawlNext(string $crawlId): SiteCrawl {
+    $crawl = $this->getCrawl($crawlId);
+    if ($crawl === NULL) {
+      throw new InvalidWizardStateException(sprintf('Site crawl %s does not exist.', $crawlId));
+    }
+
+    // Another request is fetching pages of the crawl, so report the crawl as
+    // it is.
+    $lockName = 'ai_content_preparation_wizard_crawl:' . $crawlId;
+    if (!$this->lock->acquire($lockName, self::LOCK_TIMEOUT)) {
+      return $crawl;
+    }
+
+    try {
+      // Reload the crawl, as the request holding the lock may have changed
+      // it.
+      $crawl = $this->getCrawl($crawlId) ?? $crawl;
+      for ($i = 0; $i < self::PAGES_PER_REQUEST; $i++) {
+        $page = $crawl->getNextPage();
+        if ($page === NULL) {
+          break;
+        }
+
+        $crawl = $this->crawlPage($crawl, $page);
+
+        // Stop if the crawl was cancelled meanwhile.
+        if (!$this->store->has($crawlId)) {
+          break;
+        }
+        $this->saveCrawl($crawl);
+      }
+    }
+    finally {
+      $this->lock->release($lockName);
+    }
+
+    return $crawl;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function cancel(string $crawlId): void {
+    if ($this->getCrawl($crawlId) !== NULL) {
+      $this->store->delete($crawlId);
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getContents(SiteCrawl $crawl): array {
+    $pages = $crawl->getFetchedPages();
+
+    // Count on how many pages each block appears.
+    $blocks = [];
+    $pageCounts = [];
+    foreach ($pages as $url => $page) {
+      $blocks[$url] = [];
+      foreach (preg_split('/\n\s*\n/', $page->markdown) as $block) {
+        $key = $this->normalizeBlock($block);
+        if ($key !== '') {
+          $blocks[$url][] = [$key, trim($block)];
+        }
+      }
+      foreach (array_unique(array_column($blocks[$url], 0)) as $key) {
+        $pageCounts[$key] = ($pageCounts[$key] ?? 0) + 1;
+      }
+    }
+
+    $threshold = max(2, (int) ceil(count($pages) * self::BOILERPLATE_SHARE));
+    $contents = [];
+    foreach ($pages as $url => $page) {
+      $kept = [];
+      foreach ($blocks[$url] as [$key, $block]) {
+        if ($pageCounts[$key] < $threshold) {
+          $kept[] = $block;
+        }
+      }
+      // Pages consisting only of shared blocks keep their content.
+      $contents[$url] = $kept ? implode("\n\n", $kept) : $page->markdown;
+    }
+
+    return $contents;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getWebpages(string $crawlId, array $urls): array {
+    $crawl = $this->getCrawl($crawlId);
+    if ($crawl === NULL) {
+      throw new InvalidWizardStateException(sprintf('Site crawl %s does not exist.', $crawlId));
+    }
+
+    $urls = array_flip($urls);
+    $webpages = [];
+    foreach ($this->getContents($crawl) as $url => $content) {
+      if (!isset($urls[$url])) {
+        continue;
+      }
+      $webpages[] = ProcessedWebpage::create(
+        url: $url,
+        title: $crawl->pages[$url]->title,
+        markdownContent: $content,
+        metadata: [
+          'word_count' => str_word_count($content),
+          'source_url' => $url,
+          'crawl_id' => $crawl->id,
+        ],
+      );
+    }
+
+    return $webpages;
+  }
+
+  /**
+   * Fetches a queued page and queues its links.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\SiteCrawl $crawl
+   *   The crawl.
+   * @param \Drupal\ai_content_preparation_wizard\Model\CrawledPage $page
+   *   The queued page.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\SiteCrawl
+   *   The crawl with the fetched or failed page and its links.
+   */
+  private function crawlPage(SiteCrawl $crawl, CrawledPage $page): SiteCrawl {
+    try {
+      $response = $this->httpClient->request('GET', $page->url, [
+        'timeout' => self::FETCH_TIMEOUT,
+        'connect_timeout' => 10,
+        'http_errors' => FALSE,
+        'allow_redirects' => ['max' => 5],
+        'headers' => [
+          'User-Agent' => WebpageProcessorInterface::USER_AGENT,
+          'Accept' => 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        ],
+      ]);
+
+      $status = $response->getStatusCode();
+      if ($status >= 400) {
+        return $crawl->withPage($page->withStatus(CrawlPageStatus::FAILED, sprintf('HTTP %d', $status)));
+      }
+
+      $contentType = $response->getHeaderLine('Content-Type');
+      if ($contentType !== '' && !preg_match('#text/html|application/xhtml\+xml#i', $contentType)) {
+        return $crawl->withPage($page->withStatus(CrawlPageStatus::FAILED, sprintf('Not an HTML page (%s)', $contentType)));
+      }
+
+      $html = (string) $response->getBody();
+      $webpage = $this->webpageProcessor->processHtml($page->url, $html, $contentType);
+      $crawl = $crawl->withPage($page->withContent($webpage->title, $webpage->markdownContent));
+    }
+    catch (GuzzleException | \RuntimeException $e) {
+      // DocumentProcessingException is a RuntimeException as well.
+      $this->logger->warning('Site crawl @crawl failed to fetch @url: @error', [
+        '@crawl' => $crawl->id,
+        '@url' => $page->url,
+        '@error' => $e->getMessage(),
+      ]);
+      return $crawl->withPage($page->withStatus(CrawlPageStatus::FAILED, $e->getMessage()));
+    }
+
+    if ($page->depth < $crawl->maxDepth) {
+      foreach ($this->extractLinks($page->url, $html) as $link) {
+        $crawl = $this->queuePage($crawl, $link, $page->depth + 1);
+      }
+    }
+
+    return $crawl;
+  }
+
+  /**
+   * Adds a discovered page to a crawl if it may be crawled.
+   *
+   * Pages of other hosts, excluded pages and pages past the page limit are
+   * left out. Pages robots.txt disallows are added as blocked.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\SiteCrawl $crawl
+   *   The crawl.
+   * @param string $url
+   *   The normalized page URL.
+   * @param int $depth
+   *   The link depth of the page.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\SiteCrawl
+   *   The crawl, with the page if it was added.
+   */
+  private function queuePage(SiteCrawl $crawl, string $url, int $depth): SiteCrawl {
+    if (isset($crawl->pages[$url]) || $crawl->isLimitReached()) {
+      return $crawl;
+    }
+
+    $uri = new Uri($url);
+    $start = new Uri($crawl->startUrl);
+    if ($uri->getHost() !== $start->getHost() || $uri->getPort() !== $start->getPort()) {
+      return $crawl;
+    }
+
+    $path = $this->getPathAndQuery($uri);
+    if ($this->matchesPatterns($path, $crawl->excludePatterns)) {
+      return $crawl;
+    }
+    // The start page is always crawled, so its links can lead to the
+    // included pages.
+    if ($crawl->includePatterns && $url !== $crawl->startUrl && !$this->matchesPatterns($path, $crawl->includePatterns)) {
+      return $crawl;
+    }
+
+    $page = new CrawledPage($url, $depth);
+    if (!$this->isAllowedByRobots($path, $crawl->robotsRules)) {
+      $page = $page->withStatus(CrawlPageStatus::BLOCKED);
+    }
+
+    return $crawl->withPage($page);
+  }
+
+  /**
+   * Extracts the links of a page to follow.
+   *
+   * @param string $url
+   *   The page URL.
+   * @param string $html
+   *   The page HTML.
+   *
+   * @return array<string>
+   *   The normalized absolute http(s) URLs of the links, without duplicates.
+   */
+  private function extractLinks(string $url, string $html): array {
+    // Suppress libxml errors for malformed HTML.
+    $internalErrors = libxml_use_internal_errors(TRUE);
+    $doc = new \DOMDocument();
+    @$doc->loadHTML('<?xml encoding="UTF-8">' . $html, LIBXML_NOWARNING);
+    libxml_clear_errors();
+    libxml_use_internal_errors($internalErrors);
+
+    $xpath = new \DOMXPath($doc);
+    foreach ($xpath->query('//meta[@name="robots"]/@content') as $content) {
+      if (str_contains(strtolower($content->nodeValue), 'nofollow')) {
+        return [];
+      }
+    }
+
+    try {
+      $base = new Uri($url);
+      $baseHref = $xpath->query('//base/@href')->item(0);
+      if ($baseHref !== NULL) {
+        $base = UriResolver::resolve($base, new Uri(trim($baseHref->nodeValue)));
+      }
+    }
+    catch (\InvalidArgumentException) {
+      $base = new Uri($url);
+    }
+
+    $links = [];
+    foreach ($xpath->query('//a[@href]') as $anchor) {
+      /** @var \DOMElement $anchor */
+      if (preg_match('/\bnofollow\b/i', $anchor->getAttribute('rel'))) {
+        continue;
+      }
+
+      try {
+        $link = UriResolver::resolve($base, new Uri(trim($anchor->getAttribute('href'))));
+      }
+      catch (\InvalidArgumentException) {
+        continue;
+      }
+      if (!in_array($link->getScheme(), ['http', 'https'], TRUE)) {
+        continue;
+      }
+      $extension = strtolower(pathinfo($link->getPath(), PATHINFO_EXTENSION));
+      if ($extension !== '' && in_array($extension, self::SKIP_EXTENSIONS, TRUE)) {
+        continue;
+      }
+
+      $links[] = $this->normalizeUrl($link);
+    }
+
+    return array_values(array_unique($links));
+  }
+
+  /**
+   * Fetches the robots.txt rules of a site that apply to the crawler.
+   *
+   * @param \Psr\Http\Message\UriInterface $uri
+   *   A URL of the site.
+   *
+   * @return array<int, array{allow: bool, path: string}>
+   *   The Allow and Disallow rules. Empty if the site has no robots.txt.
+   *
+   * @throws \RuntimeException
+   *   If robots.txt cannot be fetched due to a network or server error.
+   */
+  private function fetchRobotsRules(UriInterface $uri): array {
+    $robotsUrl = (string) $uri->withPath('/robots.txt')->withQuery('')->withFragment('');
+    try {
+      $response = $this->httpClient->request('GET', $robotsUrl, [
+        'timeout' => self::FETCH_TIMEOUT,
+        'connect_timeout' => 10,
+        'http_errors' => FALSE,
+        'headers' => ['User-Agent' => WebpageProcessorInterface::USER_AGENT],
+      ]);
+    }
+    catch (GuzzleException $e) {
+      throw new \RuntimeException(sprintf('Could not fetch %s: %s', $robotsUrl, $e->getMessage()), 0, $e);
+    }
+
+    // A missing robots.txt allows everything, an unavailable one nothing.
+    $status = $response->getStatusCode();
+    if ($status >= 500) {
+      throw new \RuntimeException(sprintf('Could not fetch %s: HTTP %d', $robotsUrl, $status));
+    }
+    if ($status >= 400) {
+      return [];
+    }
+
+    return $this->parseRobots((string) $response->getBody());
+  }
+
+  /**
+   * Parses the rules of robots.txt that apply to the crawler.
+   *
+   * Uses the group naming the crawler, or else the group for all user
+   * agents, as described in RFC 9309.
+   *
+   * @param string $robots
+   *   The robots.txt content.
+   *
+   * @return array<int, array{allow: bool, path: string}>
+   *   The Allow and Disallow rules.
+   */
+  private function parseRobots(string $robots): array {
+    $groups = [];
+    $inAgents = FALSE;
+    foreach (preg_split('/\R/', $robots) as $line) {
+      $line = trim(preg_replace('/#.*/', '', $line));
+      if (!str_contains($line, ':')) {
+        continue;
+      }
+      [$field, $value] = array_map('trim', explode(':', $line, 2));
+      $field = strtolower($field);
+
+      if ($field === 'user-agent') {
+        // Consecutive user-agent lines share a group.
+        if (!$inAgents) {
+          $groups[] = ['agents' => [], 'rules' => []];
+        }
+        $groups[array_key_last($groups)]['agents'][] = strtolower($value);
+        $inAgents = TRUE;
+        continue;
+      }
+
+      $inAgents = FALSE;
+      if ($groups && ($field === 'allow' || $field === 'disallow') && $value !== '') {
+        $groups[array_key_last($groups)]['rules'][] = [
+          'allow' => $field === 'allow',
+          'path' => $value,
+        ];
+      }
+    }
+
+    $ownRules = NULL;
+    $defaultRules = [];
+    foreach ($groups as $group) {
+      if (in_array(self::ROBOTS_AGENT, $group['agents'], TRUE)) {
+        $ownRules = array_merge($ownRules ?? [], $group['rules']);
+      }
+      elseif (in_array('*', $group['agents'], TRUE)) {
+        $defaultRules = array_merge($defaultRules, $group['rules']);
+      }
+    }
+
+    return $ownRules ?? $defaultRules;
+  }
+
+  /**
+   * Checks if robots.txt rules allow crawling a path.
+   *
+   * The longest matching rule wins; Allow wins over an equally long
+   * Disallow.
+   *
+   * @param string $path
+   *   The path and query of the page.
+   * @param array<int, array{allow: bool, path: string}> $rules
+   *   The robots.txt rules.
+   *
+   * @return bool
+   *   TRUE if the page may be crawled.
+   */
+  private function isAllowedByRobots(string $path, array $rules): bool {
+    $allowed = TRUE;
+    $matchLength = -1;
+    foreach ($rules as $rule) {
+      $length = strlen($rule['path']);
+      if ($length < $matchLength || ($length === $matchLength && $allowed)) {
+        continue;
+      }
+
+      $anchored = str_ends_with($rule['path'], '$');
+      $pattern = preg_quote($anchored ? substr($rule['path'], 0, -1) : $rule['path'], '#');
+      $pattern = '#^' . str_replace('\*', '.*', $pattern) . ($anchored ? '$' : '') . '#';
+      if (preg_match($pattern, $path)) {
+        $allowed = $rule['allow'];
+        $matchLength = $length;
+      }
+    }
+    return $allowed;
+  }
+
+  /**
+   * Fetches the page URLs of a sitemap, following sitemap indexes.
+   *
+   * @param string $url
+   *   The sitemap URL.
+   *
+   * @return array<string>
+   *   The normalized page URLs.
+   *
+   * @throws \RuntimeException
+   *   If the sitemap cannot be fetched or parsed.
+   */
+  private function fetchSitemapUrls(string $url): array {
+    $urls = [];
+    $sitemaps = [$url];
+    $read = 0;
+
+    while ($sitemaps && $read < self::MAX_SITEMAPS) {
+      $sitemapUrl = array_shift($sitemaps);
+      $read++;
+
+      try {
+        $response = $this->httpClient->request('GET', $sitemapUrl, [
+          'timeout' => self::FETCH_TIMEOUT,
+          'connect_timeout' => 10,
+          'headers' => ['User-Agent' => WebpageProcessorInterface::USER_AGENT],
+        ]);
+      }
+      catch (GuzzleException $e) {
+        throw new \RuntimeException(sprintf('Could not fetch sitemap %s: %s', $sitemapUrl, $e->getMessage()), 0, $e);
+      }
+
+      $internalErrors = libxml_use_internal_errors(TRUE);
+      $doc = new \DOMDocument();
+      $loaded = $doc->loadXML((string) $response->getBody(), LIBXML_NONET);
+      libxml_clear_errors();
+      libxml_use_internal_errors($internalErrors);
+      if (!$loaded || $doc->documentElement === NULL) {
+        throw new \RuntimeException(sprintf('Sitemap %s is not valid XML.', $sitemapUrl));
+      }
+
+      $isIndex = $doc->documentElement->localName === 'sitemapindex';
+      foreach ($doc->getElementsByTagName('loc') as $loc) {
+        try {
+          $locUrl = $this->normalizeUrl(new Uri(trim($loc->textContent)));
+        }
+        catch (\InvalidArgumentException) {
+          continue;
+        }
+        if ($isIndex) {
+          $sitemaps[] = $locUrl;
+        }
+        else {
+          $urls[] = $locUrl;
+        }
+      }
+    }
+
+    return array_values(array_unique($urls));
+  }
+
+  /**
+   * Checks if a path matches one of the crawl patterns.
+   *
+   * @param string $path
+   *   The path and query of the page.
+   * @param array<string> $patterns
+   *   Path patterns, where "*" matches any characters.
+   *
+   * @return bool
+   *   TRUE if a pattern matches the whole path.
+   */
+  private function matchesPatterns(string $path, array $patterns): bool {
+    foreach ($patterns as $pattern) {
+      $regex = '#^' . str_replace('\*', '.*', preg_quote($pattern, '#')) . '$#';
+      if (preg_match($regex, $path)) {
+        return TRUE;
+      }
+    }
+    return FALSE;
+  }
+
+  /**
+   * Cleans up the path patterns of crawl options.
+   *
+   * @param mixed $patterns
+   *   The patterns as an array or a newline-separated string.
+   *
+   * @return array<string>
+   *   The patterns, each starting with a slash.
+   */
+  private function cleanPatterns(mixed $patterns): array {
+    if (is_string($patterns)) {
+      $patterns = preg_split('/\R/', $patterns);
+    }
+
+    $clean = [];
+    foreach ((array) $patterns as $pattern) {
+      $pattern = trim((string) $pattern);
+      if ($pattern !== '') {
+        $clean[] = '/' . ltrim($pattern, '/');
+      }
+    }
+    return array_values(array_unique($clean));
+  }
+
+  /**
+   * Normalizes a page URL for comparison.
+   *
+   * @param \Psr\Http\Message\UriInterface $uri
+   *   The URL.
+   *
+   * @return string
+   *   The URL without fragment and with a path of at least "/".
+   */
+  private function normalizeUrl(UriInterface $uri): string {
+    $uri = $uri->withFragment('');
+    if ($uri->getPath() === '') {
+      $uri = $uri->withPath('/');
+    }
+    return (string) $uri;
+  }
+
+  /**
+   * Gets the path and query of a URL, as matched by patterns and robots.txt.
+   *
+   * @param \Psr\Http\Message\UriInterface $uri
+   *   The URL.
+   *
+   * @return string
+   *   The path, followed by the query if there is one.
+   */
+  private function getPathAndQuery(UriInterface $uri): string {
+    $path = $uri->getPath() === '' ? '/' : $uri->getPath();
+    return $uri->getQuery() === '' ? $path : $path . '?' . $uri->getQuery();
+  }
+
+  /**
+   * Normalizes a block of Markdown for boilerplate detection.
+   *
+   * @param string $block
+   *   The block.
+   *
+   * @return string
+   *   The block in lowercase, with collapsed whitespace.
+   */
+  private function normalizeBlock(string $block): string {
+    return trim(preg_replace('/\s+/', ' ', mb_strtolower($block)));
+  }
+
+  /**
+   * Loads a crawl regardless of its owner.
+   *
+   * @param string $crawlId
+   *   The crawl ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\SiteCrawl|null
+   *   The crawl, or NULL if it does not exist or has expired.
+   */
+  private function loadCrawl(string $crawlId): ?SiteCrawl {
+    $data = $this->store->get($crawlId);
+    if (!is_array($data)) {
+      return NULL;
+    }
+
+    try {
+      return SiteCrawl::fromArray($data);
+    }
+    catch (\InvalidArgumentException $e) {
+      $this->logger->warning('Discarding invalid site crawl @crawl: @message', [
+        '@crawl' => $crawlId,
+        '@message' => $e->getMessage(),
+      ]);
+      return NULL;
+    }
+  }
+
+  /**
+   * Saves a crawl, extending its expiry.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\SiteCrawl $crawl
+   *   The crawl.
+   */
+  private function saveCrawl(SiteCrawl $crawl): void {
+    $this->store->setWithExpire($crawl->id, $crawl->toArray(), self::CRAWL_TTL);
+  }
+
+}
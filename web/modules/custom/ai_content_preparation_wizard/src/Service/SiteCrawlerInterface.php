@@ -0,0 +1,127 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\SiteCrawl;
+
+/**
+ * Interface for the site crawler.
+ *
+ * The crawler discovers the pages of a site from a start page or a
+ * sitemap.xml, following links to pages of the same host. It respects the
+ * site's robots.txt and the include and exclude patterns of the crawl.
+ * Crawls are stored between requests and advanced a few pages at a time, so
+ * the browser can show their progress.
+ */
+interface SiteCrawlerInterface {
+
+  /**
+   * The maximum link depth of a crawl.
+   */
+  public const MAX_DEPTH = 5;
+
+  /**
+   * The maximum number of pages of a crawl.
+   */
+  public const MAX_PAGES = 100;
+
+  /**
+   * Starts a crawl.
+   *
+   * Fetches the site's robots.txt and, for sitemap URLs ending in ".xml",
+   * the sitemap. The pages of the sitemap, or else the start URL, are queued
+   * at depth 0.
+   *
+   * @param string $url
+   *   The URL of the start page or sitemap.
+   * @param array<string, mixed> $options
+   *   Crawl options:
+   *   - 'max_depth': (int) How many links are followed from the start page
+   *     or sitemap pages, up to self::MAX_DEPTH (default: 2).
+   *   - 'max_pages': (int) How many pages are fetched at most, up to
+   *     self::MAX_PAGES (default: 20).
+   *   - 'include': (array) Path patterns of the pages to fetch, where "*"
+   *     matches any characters. Empty for all pages.
+   *   - 'exclude': (array) Path patterns of pages never to fetch.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\SiteCrawl
+   *   The new crawl.
+   *
+   * @throws \InvalidArgumentException
+   *   If the URL is not an absolute http(s) URL.
+   * @throws \RuntimeException
+   *   If robots.txt or the sitemap cannot be fetched.
+   */
+  public function start(string $url, array $options = []): SiteCrawl;
+
+  /**
+   * Gets a crawl of the current user.
+   *
+   * @param string $crawlId
+   *   The crawl ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\SiteCrawl|null
+   *   The crawl, or NULL if it does not exist, has expired or belongs to
+   *   another user.
+   */
+  public function getCrawl(string $crawlId): ?SiteCrawl;
+
+  /**
+   * Fetches the next queued pages of a crawl.
+   *
+   * The links of fetched pages below the maximum depth are queued until the
+   * page limit is reached.
+   *
+   * @param string $crawlId
+   *   The crawl ID.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\SiteCrawl
+   *   The updated crawl.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the crawl does not exist.
+   */
+  public function crawlNext(string $crawlId): SiteCrawl;
+
+  /**
+   * Cancels a crawl and discards its pages.
+   *
+   * @param string $crawlId
+   *   The crawl ID.
+   */
+  public function cancel(string $crawlId): void;
+
+  /**
+   * Gets the content of the fetched pages without shared boilerplate.
+   *
+   * Blocks of Markdown found on many fetched pages, such as navigation and
+   * footer text, are removed from every page.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\SiteCrawl $crawl
+   *   The crawl.
+   *
+   * @return array<string, string>
+   *   The Markdown content of the fetched pages, keyed by URL.
+   */
+  public function getContents(SiteCrawl $crawl): array;
+
+  /**
+   * Gets fetched pages of a crawl as processed webpages.
+   *
+   * @param string $crawlId
+   *   The crawl ID.
+   * @param array<string> $urls
+   *   The URLs of the pages to get. Pages that were not fetched are left
+   *   out.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage>
+   *   The processed webpages, without shared boilerplate, in crawl order.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\InvalidWizardStateException
+   *   If the crawl does not exist.
+   */
+  public function getWebpages(string $crawlId, array $urls): array;
+
+}
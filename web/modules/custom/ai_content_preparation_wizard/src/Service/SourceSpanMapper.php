@@ -0,0 +1,283 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\SourceSpan;
+
+/**
+ * Links plan sections to the source passages they were generated from.
+ *
+ * Matching is purely lexical, so it works for every AI provider and needs no
+ * extra AI calls: a block belongs to a section when a large enough share of
+ * its word trigrams appears in the section. Headings are compared with the
+ * section title. Blocks the AI only paraphrased fall back to a comparison of
+ * their longer words, which yields a lower score.
+ */
+final class SourceSpanMapper implements SourceSpanMapperInterface {
+
+  /**
+   * The number of words per shingle.
+   *
+   * @var int
+   */
+  private const SHINGLE_SIZE = 3;
+
+  /**
+   * The share of a block's shingles a section must contain.
+   *
+   * @var float
+   */
+  private const TEXT_THRESHOLD = 0.2;
+
+  /**
+   * The share of a heading's words the section title must contain.
+   *
+   * @var float
+   */
+  private const HEADING_THRESHOLD = 0.6;
+
+  /**
+   * The share of a block's keywords a section must contain as a fallback.
+   *
+   * @var float
+   */
+  private const KEYWORD_THRESHOLD = 0.6;
+
+  /**
+   * The minimum length of keywords, in characters.
+   *
+   * @var int
+   */
+  private const KEYWORD_LENGTH = 5;
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getBlocks(string $markdown): array {
+    $ranges = [];
+    $current = NULL;
+    $fence = NULL;
+    $offset = 0;
+
+    foreach (preg_split('/(?<=\n)/', $markdown) as $line) {
+      $lineStart = $offset;
+      $offset += mb_strlen($line);
+      $text = rtrim($line, "\r\n");
+      $lineEnd = $lineStart + mb_strlen($text);
+      $trimmed = trim($text);
+
+      // Code blocks are kept whole, including their blank lines.
+      if ($fence !== NULL) {
+        $current[1] = $lineEnd;
+        if (str_starts_with($trimmed, $fence)) {
+          $ranges[] = $current;
+          $current = NULL;
+          $fence = NULL;
+        }
+        continue;
+      }
+
+      if ($trimmed === '') {
+        if ($current !== NULL) {
+          $ranges[] = $current;
+          $current = NULL;
+        }
+        continue;
+      }
+
+      $isFence = (bool) preg_match('/^(`{3,}|~{3,})/', $trimmed, $matches);
+      $isHeading = (bool) preg_match('/^#{1,6}(\s|$)/', $trimmed);
+      if ($isFence || $isHeading) {
+        if ($current !== NULL) {
+          $ranges[] = $current;
+          $current = NULL;
+        }
+        if ($isHeading) {
+          $ranges[] = [$lineStart, $lineEnd, TRUE];
+          continue;
+        }
+        $fence = $matches[1];
+      }
+
+      $current ??= [$lineStart, $lineEnd, FALSE];
+      $current[1] = $lineEnd;
+    }
+    if ($current !== NULL) {
+      $ranges[] = $current;
+    }
+
+    return array_map(fn(array $range): array => [
+      'start' => $range[0],
+      'end' => $range[1],
+      'text' => mb_substr($markdown, $range[0], $range[1] - $range[0]),
+      'heading' => $range[2],
+    ], $ranges);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function mapSections(array $sections, array $sources): array {
+    $blocks = [];
+    foreach ($sources as $source) {
+      foreach ($this->getBlocks($source->markdownContent) as $block) {
+        $words = $this->getWords($block['heading'] ? ltrim($block['text'], '# ') : $block['text']);
+        if (empty($words)) {
+          continue;
+        }
+        $blocks[] = $block + [
+          'source_id' => $source->id,
+          'words' => array_fill_keys($words, TRUE),
+          'shingles' => $this->getShingles($words),
+          'keywords' => $this->getKeywords($words),
+        ];
+      }
+    }
+
+    return array_map(fn(PlanSection $section): PlanSection => $this->mapSection($section, $blocks), $sections);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function mapPlan(ContentPlan $plan, array $sources): ContentPlan {
+    return $plan->withSections($this->mapSections($plan->sections, $sources));
+  }
+
+  /**
+   * Sets the source spans of a section and its children.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanSection $section
+   *   The section.
+   * @param array $blocks
+   *   The prepared source blocks.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanSection
+   *   The section with its source spans replaced.
+   */
+  private function mapSection(PlanSection $section, array $blocks): PlanSection {
+    $titleWords = array_fill_keys($this->getWords($section->title), TRUE);
+    $words = $this->getWords($section->title . "\n" . $section->content);
+    $shingles = $this->getShingles($words);
+    $keywords = $this->getKeywords($words);
+
+    $spans = [];
+    $lastIndex = NULL;
+    foreach ($blocks as $index => $block) {
+      $score = $block['heading']
+        ? max($this->getOverlap($block['words'], $titleWords), $this->getOverlap($block['shingles'], $shingles))
+        : $this->getOverlap($block['shingles'], $shingles);
+      $threshold = $block['heading'] ? self::HEADING_THRESHOLD : self::TEXT_THRESHOLD;
+
+      // Paraphrased passages share keywords rather than phrases.
+      if ($score < $threshold && !$block['heading'] && count($block['keywords']) >= self::SHINGLE_SIZE) {
+        $keywordScore = $this->getOverlap($block['keywords'], $keywords);
+        if ($keywordScore >= self::KEYWORD_THRESHOLD) {
+          $score = $keywordScore / 2;
+          $threshold = 0;
+        }
+      }
+
+      if ($score < $threshold || $score <= 0) {
+        continue;
+      }
+
+      // Adjacent blocks of the same source form a single passage.
+      $last = end($spans);
+      if ($last && $lastIndex === $index - 1 && $last->sourceId === $block['source_id']) {
+        $spans[key($spans)] = new SourceSpan($last->sourceId, $last->start, $block['end'], max($last->score, round($score, 2)));
+      }
+      else {
+        $spans[] = new SourceSpan($block['source_id'], $block['start'], $block['end'], round($score, 2));
+      }
+      $lastIndex = $index;
+    }
+
+    $children = array_map(fn(PlanSection $child): PlanSection => $this->mapSection($child, $blocks), $section->children);
+
+    return new PlanSection(
+      id: $section->id,
+      title: $section->title,
+      content: $section->content,
+      componentType: $section->componentType,
+      order: $section->order,
+      componentConfig: $section->componentConfig,
+      children: $children,
+      sourceSpans: array_values($spans),
+      images: $section->images,
+    );
+  }
+
+  /**
+   * Gets the share of a set that is contained in another set.
+   *
+   * @param array<string, bool> $part
+   *   The set to look up.
+   * @param array<string, bool> $whole
+   *   The set to look in.
+   *
+   * @return float
+   *   The contained share, from 0 to 1.
+   */
+  private function getOverlap(array $part, array $whole): float {
+    if (empty($part)) {
+      return 0.0;
+    }
+    return count(array_intersect_key($part, $whole)) / count($part);
+  }
+
+  /**
+   * Extracts the lowercase words of a text, ignoring Markdown syntax.
+   *
+   * @param string $text
+   *   The text.
+   *
+   * @return array<string>
+   *   The words in order.
+   */
+  private function getWords(string $text): array {
+    preg_match_all('/[\p{L}\p{N}]+/u', mb_strtolower(strip_tags($text)), $matches);
+    return $matches[0];
+  }
+
+  /**
+   * Builds the word trigrams of a word list.
+   *
+   * @param array<string> $words
+   *   The words.
+   *
+   * @return array<string, bool>
+   *   The trigrams as set, or the words themselves for very short texts.
+   */
+  private function getShingles(array $words): array {
+    $count = count($words);
+    if ($count < self::SHINGLE_SIZE) {
+      return array_fill_keys($words, TRUE);
+    }
+
+    $shingles = [];
+    for ($i = 0; $i <= $count - self::SHINGLE_SIZE; $i++) {
+      $shingles[implode(' ', array_slice($words, $i, self::SHINGLE_SIZE))] = TRUE;
+    }
+    return $shingles;
+  }
+
+  /**
+   * Gets the longer words of a word list.
+   *
+   * @param array<string> $words
+   *   The words.
+   *
+   * @return array<string, bool>
+   *   The keywords as set.
+   */
+  private function getKeywords(array $words): array {
+    $keywords = array_filter($words, fn(string $word): bool => mb_strlen($word) >= self::KEYWORD_LENGTH);
+    return array_fill_keys($keywords, TRUE);
+  }
+
+}
@@ -0,0 +1,56 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard\Service;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+
+/**
+ * Interface for the source span mapper.
+ *
+ * The mapper links plan sections to the passages of the processed documents
+ * and webpages they were generated from. Sources are split into blocks
+ * (headings, paragraphs, lists, code blocks); a block belongs to a section
+ * when enough of its wording appears in the section.
+ */
+interface SourceSpanMapperInterface {
+
+  /**
+   * Splits Markdown content into blocks.
+   *
+   * @param string $markdown
+   *   The Markdown content.
+   *
+   * @return array<int, array{start: int, end: int, text: string, heading: bool}>
+   *   The blocks in source order, with character offsets into the content.
+   */
+  public function getBlocks(string $markdown): array;
+
+  /**
+   * Sets the source spans of sections and their children.
+   *
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\PlanSection> $sections
+   *   The sections.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ProcessedDocument|\Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage> $sources
+   *   The processed documents and webpages.
+   *
+   * @return array<\Drupal\ai_content_preparation_wizard\Model\PlanSection>
+   *   The sections with their source spans replaced.
+   */
+  public function mapSections(array $sections, array $sources): array;
+
+  /**
+   * Sets the source spans of all sections of a plan.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\ContentPlan $plan
+   *   The content plan.
+   * @param array<\Drupal\ai_content_preparation_wizard\Model\ProcessedDocument|\Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage> $sources
+   *   The processed documents and webpages.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
+   *   The plan with source spans on every section.
+   */
+  public function mapPlan(ContentPlan $plan, array $sources): ContentPlan;
+
+}
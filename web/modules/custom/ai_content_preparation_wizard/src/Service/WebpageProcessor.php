@@ -122,7 +122,7 @@ final class WebpageProcessor implements WebpageProcessorInterface {
         'timeout' => 30,
         'connect_timeout' => 10,
         'headers' => [
-          'User-Agent' => 'Mozilla/5.0 (compatible; DrupalAIContentWizard/1.0)',
+          'User-Agent' => self::USER_AGENT,
           'Accept' => 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
           'Accept-Language' => 'en-US,en;q=0.5',
         ],
@@ -155,16 +155,6 @@ final class WebpageProcessor implements WebpageProcessorInterface {
       }
 
       $contentType = $response->getHeaderLine('Content-Type');
-
-      // Detect and convert encoding to UTF-8.
-      $encoding = $this->detectEncoding($html, $contentType);
-      if ($encoding !== 'UTF-8' && $encoding !== 'utf-8') {
-        $converted = @mb_convert_encoding($html, 'UTF-8', $encoding);
-        if ($converted !== FALSE) {
-          $html = $converted;
-        }
-      }
-
     }
     catch (GuzzleException $e) {
       $this->logger->error('Failed to fetch URL @url: @error', [
@@ -180,6 +170,22 @@ final class WebpageProcessor implements WebpageProcessorInterface {
       );
     }
 
+    return $this->processHtml($url, $html, $contentType);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processHtml(string $url, string $html, string $contentType = ''): ProcessedWebpage {
+    // Detect and convert encoding to UTF-8.
+    $encoding = $this->detectEncoding($html, $contentType);
+    if ($encoding !== 'UTF-8' && $encoding !== 'utf-8') {
+      $converted = @mb_convert_encoding($html, 'UTF-8', $encoding);
+      if ($converted !== FALSE) {
+        $html = $converted;
+      }
+    }
+
     // Extract metadata before aggressive cleaning.
     $metadata = $this->extractMetadata($html, $url);
 
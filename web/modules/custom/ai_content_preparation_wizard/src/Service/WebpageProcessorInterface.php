@@ -15,6 +15,14 @@ use Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage;
  */
 interface WebpageProcessorInterface {
 
+  /**
+   * The User-Agent header of requests to web pages.
+   *
+   * The "DrupalAIContentWizard" product token is the user agent robots.txt
+   * rules can address.
+   */
+  public const USER_AGENT = 'Mozilla/5.0 (compatible; DrupalAIContentWizard/1.0)';
+
   /**
    * Processes a single URL and extracts its content.
    *
@@ -33,6 +41,27 @@ interface WebpageProcessorInterface {
    */
   public function processUrl(string $url): ProcessedWebpage;
 
+  /**
+   * Extracts the content of a web page that was already fetched.
+   *
+   * Used by the site crawler, which needs the raw HTML for the links of the
+   * page.
+   *
+   * @param string $url
+   *   The URL the page was fetched from.
+   * @param string $html
+   *   The HTML of the page.
+   * @param string $contentType
+   *   The Content-Type header of the response, used to detect the encoding.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage
+   *   The processed webpage with extracted content.
+   *
+   * @throws \Drupal\ai_content_preparation_wizard\Exception\DocumentProcessingException
+   *   When the page has no extractable content.
+   */
+  public function processHtml(string $url, string $html, string $contentType = ''): ProcessedWebpage;
+
   /**
    * Processes multiple URLs and extracts their content.
    *
@@ -9,9 +9,12 @@ use Drupal\Component\Uuid\UuidInterface;
 use Drupal\ai_content_preparation_wizard\Enum\WizardStep;
 use Drupal\ai_content_preparation_wizard\Event\WizardStepChangedEvent;
 use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanDraft;
+use Drupal\ai_content_preparation_wizard\Model\PlanVersion;
 use Drupal\ai_content_preparation_wizard\Model\ProcessedDocument;
 use Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage;
 use Drupal\ai_content_preparation_wizard\Model\WizardSession;
+use Drupal\Core\Config\ConfigFactoryInterface;
 use Drupal\Core\Session\AccountProxyInterface;
 use Drupal\Core\TempStore\PrivateTempStoreFactory;
 use Symfony\Contracts\EventDispatcher\EventDispatcherInterface;
@@ -39,6 +42,13 @@ final class WizardSessionManager implements WizardSessionManagerInterface {
    */
   private const SESSION_KEY = 'wizard_session';
 
+  /**
+   * The session timeout used when none is configured, in seconds.
+   *
+   * @var int
+   */
+  private const DEFAULT_TIMEOUT = 3600;
+
   /**
    * The private tempstore.
    *
@@ -59,6 +69,8 @@ final class WizardSessionManager implements WizardSessionManagerInterface {
    *   The time service.
    * @param \Symfony\Contracts\EventDispatcher\EventDispatcherInterface $eventDispatcher
    *   The event dispatcher.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $configFactory
+   *   The config factory.
    */
   public function __construct(
     PrivateTempStoreFactory $tempStoreFactory,
@@ -66,6 +78,7 @@ final class WizardSessionManager implements WizardSessionManagerInterface {
     private readonly UuidInterface $uuid,
     private readonly TimeInterface $time,
     private readonly EventDispatcherInterface $eventDispatcher,
+    private readonly ConfigFactoryInterface $configFactory,
   ) {
     $this->tempStore = $tempStoreFactory->get(self::TEMPSTORE_KEY);
   }
@@ -82,15 +95,52 @@ final class WizardSessionManager implements WizardSessionManagerInterface {
 
     // If we have array data, reconstruct the session.
     if (is_array($data)) {
-      return WizardSession::fromArray($data);
+      $session = WizardSession::fromArray($data);
     }
-
     // If we somehow stored a WizardSession object directly.
-    if ($data instanceof WizardSession) {
-      return $data;
+    elseif ($data instanceof WizardSession) {
+      $session = $data;
+    }
+    else {
+      return NULL;
+    }
+
+    // Sessions left alone for longer than the configured timeout expire.
+    if ($session->getUpdatedAt() + $this->getSessionTimeout() < $this->time->getCurrentTime()) {
+      $this->clearSession();
+      return NULL;
+    }
+
+    return $session;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getSessionTimeout(): int {
+    $timeout = (int) $this->configFactory->get('ai_content_preparation_wizard.settings')->get('session_timeout');
+    return $timeout > 0 ? $timeout : self::DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getSessionExpiry(): ?int {
+    $session = $this->getSession();
+    return $session ? $session->getUpdatedAt() + $this->getSessionTimeout() : NULL;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function keepAlive(): ?int {
+    $session = $this->getSession();
+    if ($session === NULL) {
+      return NULL;
     }
 
-    return NULL;
+    $this->saveSession($session->markActive());
+    return $session->getUpdatedAt() + $this->getSessionTimeout();
   }
 
   /**
@@ -200,6 +250,42 @@ final class WizardSessionManager implements WizardSessionManagerInterface {
     $this->saveSession($session);
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function getPlanDraft(): ?PlanDraft {
+    $session = $this->getSession();
+    $plan = $session?->getContentPlan();
+    $draft = $session?->getPlanDraft();
+
+    if ($plan === NULL || $draft === NULL || $draft->planKey !== PlanVersion::keyFor($plan)) {
+      return NULL;
+    }
+
+    return $draft;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function savePlanDraft(PlanDraft $draft): void {
+    $session = $this->getOrCreateSession();
+    $session->setPlanDraft($draft);
+    $this->saveSession($session);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function clearPlanDraft(): void {
+    $session = $this->getSession();
+
+    if ($session !== NULL && $session->getPlanDraft() !== NULL) {
+      $session->setPlanDraft(NULL);
+      $this->saveSession($session);
+    }
+  }
+
   /**
    * Gets the session or creates one if it doesn't exist.
    *
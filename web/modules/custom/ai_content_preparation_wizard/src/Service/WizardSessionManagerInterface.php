@@ -6,6 +6,7 @@ namespace Drupal\ai_content_preparation_wizard\Service;
 
 use Drupal\ai_content_preparation_wizard\Enum\WizardStep;
 use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanDraft;
 use Drupal\ai_content_preparation_wizard\Model\ProcessedDocument;
 use Drupal\ai_content_preparation_wizard\Model\ProcessedWebpage;
 use Drupal\ai_content_preparation_wizard\Model\WizardSession;
@@ -22,7 +23,8 @@ interface WizardSessionManagerInterface {
    * Gets the current wizard session.
    *
    * @return \Drupal\ai_content_preparation_wizard\Model\WizardSession|null
-   *   The current wizard session, or NULL if no session exists.
+   *   The current wizard session, or NULL if no session exists or it has
+   *   expired.
    */
   public function getSession(): ?WizardSession;
 
@@ -36,6 +38,31 @@ interface WizardSessionManagerInterface {
    */
   public function createSession(): WizardSession;
 
+  /**
+   * Gets the number of seconds an inactive session is kept.
+   *
+   * @return int
+   *   The configured session timeout in seconds.
+   */
+  public function getSessionTimeout(): int;
+
+  /**
+   * Gets when the current session expires unless it is used again.
+   *
+   * @return int|null
+   *   The expiry as a Unix timestamp, or NULL if there is no active session.
+   */
+  public function getSessionExpiry(): ?int;
+
+  /**
+   * Marks the current session as active, postponing its expiry.
+   *
+   * @return int|null
+   *   The new expiry as a Unix timestamp, or NULL if there is no active
+   *   session.
+   */
+  public function keepAlive(): ?int;
+
   /**
    * Updates the wizard session in storage.
    *
@@ -94,4 +121,25 @@ interface WizardSessionManagerInterface {
    */
   public function setContentPlan(ContentPlan $plan): void;
 
+  /**
+   * Gets the autosaved Step 2 draft for the current content plan.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\PlanDraft|null
+   *   The draft, or NULL if there is none for the current plan.
+   */
+  public function getPlanDraft(): ?PlanDraft;
+
+  /**
+   * Stores an autosaved Step 2 draft in the session.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\PlanDraft $draft
+   *   The draft to store.
+   */
+  public function savePlanDraft(PlanDraft $draft): void;
+
+  /**
+   * Discards the autosaved Step 2 draft.
+   */
+  public function clearPlanDraft(): void;
+
 }
@@ -0,0 +1,24 @@
+<?php
+
+/**
+ * @file
+ * Router of the PHP built-in web server serving the crawl fixture site.
+ *
+ * Sitemaps need absolute URLs, so their {{base_url}} placeholder is replaced
+ * with the URL of the server. All other files are served as they are.
+ */
+
+$path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
+if (!str_ends_with($path, '.xml')) {
+  return FALSE;
+}
+
+$file = __DIR__ . '/crawl-site' . $path;
+if (!is_file($file)) {
+  http_response_code(404);
+  return TRUE;
+}
+
+header('Content-Type: application/xml; charset=utf-8');
+print str_replace('{{base_url}}', 'http://' . $_SERVER['HTTP_HOST'], file_get_contents($file));
+return TRUE;
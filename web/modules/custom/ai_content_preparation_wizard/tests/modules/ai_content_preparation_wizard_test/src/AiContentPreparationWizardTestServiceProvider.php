@@ -0,0 +1,26 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard_test;
+
+use Drupal\Core\DependencyInjection\ContainerBuilder;
+use Drupal\Core\DependencyInjection\ServiceProviderBase;
+
+/**
+ * Swaps the content plan generator for the deterministic test generator.
+ */
+class AiContentPreparationWizardTestServiceProvider extends ServiceProviderBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  public function alter(ContainerBuilder $container): void {
+    if ($container->hasDefinition('ai_content_preparation_wizard.content_plan_generator')) {
+      $container->getDefinition('ai_content_preparation_wizard.content_plan_generator')
+        ->setClass(TestContentPlanGenerator::class)
+        ->setArguments([]);
+    }
+  }
+
+}
@@ -0,0 +1,142 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\ai_content_preparation_wizard_test;
+
+use Drupal\ai_content_preparation_wizard\Exception\PlanGenerationException;
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Model\PromptBudget;
+use Drupal\ai_content_preparation_wizard\Model\RefinementEntry;
+use Drupal\ai_content_preparation_wizard\Service\ContentPlanGeneratorInterface;
+
+/**
+ * Generates content plans without an AI provider.
+ *
+ * Every second-level Markdown heading becomes a text section. Sources
+ * containing "FAIL PLAN" and instructions containing "FAIL" make generation
+ * and refinement fail. Translations prefix the text with the language code;
+ * plans whose title contains "FAIL TRANSLATION" cannot be translated.
+ * Budgets count the sources against a context window of TOKEN_LIMIT tokens.
+ */
+class TestContentPlanGenerator implements ContentPlanGeneratorInterface {
+
+  /**
+   * The number of refinements a plan may have.
+   */
+  public const MAX_REFINEMENTS = 2;
+
+  /**
+   * The context window of the test model, in tokens.
+   */
+  public const TOKEN_LIMIT = 1000;
+
+  /**
+   * {@inheritdoc}
+   */
+  public function generate(array $documents, array $contexts = [], ?string $templateId = NULL, array $options = []): ContentPlan {
+    $markdown = '';
+    foreach ($documents as $document) {
+      $markdown .= $document->markdownContent . "\n\n";
+    }
+    foreach ($options['webpages'] ?? [] as $webpage) {
+      $markdown .= $webpage->markdownContent . "\n\n";
+    }
+
+    if (str_contains($markdown, 'FAIL PLAN')) {
+      throw new PlanGenerationException('The test generator was asked to fail.', 'test');
+    }
+
+    $sections = [];
+    $parts = preg_split('/^## +(.+)$/m', $markdown, -1, PREG_SPLIT_DELIM_CAPTURE);
+    for ($i = 1; $i < count($parts); $i += 2) {
+      $sections[] = PlanSection::create(trim($parts[$i]), trim($parts[$i + 1] ?? ''), 'text', count($sections) + 1);
+    }
+
+    $title = preg_match('/^# +(.+)$/m', $markdown, $matches) ? trim($matches[1]) : 'Test plan';
+
+    return ContentPlan::create($title, 'A plan generated for tests.', $sections, 'Testers', 1, array_map(fn($document): string => $document->id, $documents), $templateId);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function estimateBudget(array $documents, array $contexts = [], ?string $templateId = NULL, array $options = []): PromptBudget {
+    $items = [];
+    foreach ($documents as $document) {
+      $items[] = ['type' => 'document', 'label' => $document->fileName, 'preview' => $document->getSummary(), 'tokens' => PromptBudget::estimateTokens($document->markdownContent), 'truncated' => FALSE];
+    }
+    foreach ($options['webpages'] ?? [] as $webpage) {
+      $items[] = ['type' => 'webpage', 'label' => $webpage->title, 'preview' => $webpage->getSummary(), 'tokens' => PromptBudget::estimateTokens($webpage->markdownContent), 'truncated' => FALSE];
+    }
+    return new PromptBudget($items, self::TOKEN_LIMIT, 0);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function refine(ContentPlan $plan, string $refinementPrompt, array $contexts = [], array $options = []): ContentPlan {
+    if (str_contains($refinementPrompt, 'FAIL')) {
+      throw new PlanGenerationException('The test generator was asked to fail.', 'test');
+    }
+
+    return $plan
+      ->withTitle($plan->title . ' (refined)')
+      ->withRefinement(RefinementEntry::create($refinementPrompt, 'Refined the title.'));
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function refineSection(ContentPlan $plan, string $sectionId, string $instructions, array $contexts = [], array $options = []): ContentPlan {
+    $section = $plan->getSection($sectionId);
+    if ($section === NULL) {
+      throw new PlanGenerationException(sprintf('Section "%s" was not found in the content plan.', $sectionId));
+    }
+
+    return $plan->withSection($section->withContent($section->content . "\n\n" . $instructions));
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function translate(ContentPlan $plan, string $langcode, array $contexts = [], array $options = []): ContentPlan {
+    if (str_contains($plan->title, 'FAIL TRANSLATION')) {
+      throw new PlanGenerationException('The test generator was asked to fail.', 'test');
+    }
+
+    $translateSection = function (PlanSection $section) use (&$translateSection, $langcode): PlanSection {
+      return new PlanSection(
+        $section->id,
+        "[$langcode] " . $section->title,
+        "[$langcode] " . $section->content,
+        $section->componentType,
+        $section->order,
+        $section->componentConfig,
+        array_map($translateSection, $section->children),
+        $section->sourceSpans,
+        $section->images,
+      );
+    };
+
+    return $plan
+      ->withSections(array_map($translateSection, $plan->sections))
+      ->withTitle("[$langcode] " . $plan->title);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function canRefine(ContentPlan $plan): bool {
+    return $plan->getRefinementCount() < self::MAX_REFINEMENTS;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getMaxRefinementIterations(): int {
+    return self::MAX_REFINEMENTS;
+  }
+
+}
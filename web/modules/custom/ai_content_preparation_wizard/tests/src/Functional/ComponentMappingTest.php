@@ -0,0 +1,105 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\ai_content_preparation_wizard\Functional;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Service\PlanSerializerInterface;
+use Drupal\Core\Url;
+use Drupal\Tests\BrowserTestBase;
+
+/**
+ * Tests the component mapping editor of the wizard.
+ *
+ * Sections are mapped to the card component of the test module.
+ *
+ * @group ai_content_preparation_wizard
+ */
+class ComponentMappingTest extends BrowserTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    'ai_content_preparation_wizard',
+    'ai_content_preparation_wizard_test',
+  ];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected $defaultTheme = 'stark';
+
+  /**
+   * The Canvas component ID of the test card.
+   *
+   * @var string
+   */
+  protected const COMPONENT = 'sdc.ai_content_preparation_wizard_test.card';
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+
+    $this->drupalLogin($this->drupalCreateUser([
+      'access content preparation wizard',
+    ]));
+  }
+
+  /**
+   * Tests saving the mappings as a preset and applying it.
+   */
+  public function testSaveAndApplyPreset(): void {
+    $this->importPlan();
+    $assert = $this->assertSession();
+    $assert->optionExists('component_mappings[overview][component]', self::COMPONENT);
+
+    // A newly chosen component starts with the suggested props.
+    $this->submitForm([
+      'component_mappings[overview][component]' => self::COMPONENT,
+      'preset_label' => 'Cards',
+    ], 'Save as preset');
+    $assert->pageTextContains('The preset "Cards" was saved.');
+    $assert->fieldValueEquals('component_mappings[overview][props][title]', 'heading');
+    $assert->fieldValueEquals('component_mappings[overview][props][content]', 'text');
+
+    $presetId = array_search('Cards', $this->container->get('ai_content_preparation_wizard.component_mapping_manager')->getPresetOptions(''), TRUE);
+    $this->assertNotFalse($presetId);
+    $assert->optionExists('mapping_preset', $presetId);
+
+    // Reset the mapping, then apply the preset.
+    $this->submitForm(['component_mappings[overview][component]' => ''], 'Update mappings');
+    $assert->fieldValueEquals('component_mappings[overview][component]', '');
+    $assert->fieldNotExists('component_mappings[overview][props][title]');
+
+    // The preset maps the section type, so both sections are mapped.
+    $this->submitForm(['mapping_preset' => $presetId], 'Apply preset');
+    $assert->pageTextContains('The preset "Cards" was applied.');
+    foreach (['overview', 'details'] as $sectionId) {
+      $assert->fieldValueEquals("component_mappings[$sectionId][component]", self::COMPONENT);
+      $assert->fieldValueEquals("component_mappings[$sectionId][props][title]", 'heading');
+      $assert->fieldValueEquals("component_mappings[$sectionId][props][content]", 'text');
+    }
+  }
+
+  /**
+   * Imports a plan with two text sections and moves on to Step 2.
+   */
+  protected function importPlan(): void {
+    $plan = ContentPlan::create('Launch notes', 'The launch.', [
+      new PlanSection('overview', 'Overview', 'We launch in May.', 'text', 1),
+      new PlanSection('details', 'Details', 'The launch has three phases.', 'text', 2),
+    ], 'Everyone', 1);
+    $path = $this->publicFilesDirectory . '/launch.json';
+    file_put_contents($path, $this->container->get('ai_content_preparation_wizard.plan_serializer')->export($plan, PlanSerializerInterface::TYPE_JSON));
+
+    $this->drupalGet(Url::fromRoute('ai_content_preparation_wizard.wizard'));
+    $this->submitForm(['files[plan_file]' => realpath($path)], 'Next');
+    $this->assertSession()->pageTextContains('The content plan "Launch notes" has been imported.');
+  }
+
+}
@@ -0,0 +1,351 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\ai_content_preparation_wizard\Functional;
+
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Url;
+use Drupal\Tests\BrowserTestBase;
+use Drupal\user\UserInterface;
+use Psr\Http\Message\ResponseInterface;
+
+/**
+ * Tests the headless JSON API.
+ *
+ * Plans are generated by the deterministic generator of the test module.
+ *
+ * @group ai_content_preparation_wizard
+ */
+class PlanApiTest extends BrowserTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    'basic_auth',
+    'ai_content_preparation_wizard',
+    'ai_content_preparation_wizard_test',
+  ];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected $defaultTheme = 'stark';
+
+  /**
+   * A user with all API permissions.
+   *
+   * @var \Drupal\user\UserInterface
+   */
+  protected UserInterface $apiUser;
+
+  /**
+   * A document with a title and two sections.
+   *
+   * @var string
+   */
+  protected const DOCUMENT = "# Launch notes\n\n## Overview\n\nWe launch in May.\n\n## Details\n\nThe launch has three phases.\n";
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+
+    $this->apiUser = $this->drupalCreateUser([
+      'use content preparation api',
+      'create canvas from wizard',
+    ]);
+  }
+
+  /**
+   * Tests the pipeline from a document to a Canvas page.
+   */
+  public function testPlanLifecycle(): void {
+    // Upload a document.
+    $response = $this->uploadDocument('launch.md', self::DOCUMENT);
+    $this->assertSame(201, $response->getStatusCode());
+    $document = $this->decode($response)['document'];
+    $this->assertTrue($document['processed']);
+    $this->assertNotEmpty($document['processor']);
+    $this->assertGreaterThan(0, $document['words']);
+    $this->assertStringEndsWith('/api/content-preparation/v1/documents/' . $document['id'], $response->getHeaderLine('Location'));
+
+    $response = $this->request('GET', 'documents/' . $document['id']);
+    $this->assertSame(200, $response->getStatusCode());
+    $this->assertSame('launch.md', $this->decode($response)['document']['filename']);
+
+    // Generate a plan.
+    $response = $this->request('POST', 'plans', ['json' => ['documents' => [$document['id']]]]);
+    $this->assertSame(202, $response->getStatusCode());
+    $plan = $this->decode($response)['plan'];
+    $this->assertSame('generating', $plan['status']);
+    $this->assertSame([$document['id']], $plan['documents']);
+    $this->assertStringEndsWith('/api/content-preparation/v1/plans/' . $plan['id'], $response->getHeaderLine('Location'));
+
+    $plan = $this->waitForPlan($plan['id']);
+    $this->assertSame('ready', $plan['status']);
+    $this->assertNull($plan['error']);
+    $this->assertSame('Launch notes', $plan['content']['title']);
+    $this->assertSame(['Overview', 'Details'], array_column($plan['content']['sections'], 'title'));
+
+    // Change the title and the section order.
+    $sections = $plan['content']['sections'];
+    $response = $this->request('PATCH', 'plans/' . $plan['id'], [
+      'json' => [
+        'title' => 'Launch',
+        'sections' => [
+          ['id' => $sections[1]['id']],
+          ['id' => $sections[0]['id'], 'content' => 'We launch in June.'],
+        ],
+      ],
+    ]);
+    $this->assertSame(200, $response->getStatusCode());
+    $content = $this->decode($response)['plan']['content'];
+    $this->assertSame('Launch', $content['title']);
+    $this->assertSame(['Details', 'Overview'], array_column($content['sections'], 'title'));
+    $this->assertSame('We launch in June.', $content['sections'][1]['content']);
+
+    // Refine the plan.
+    $response = $this->request('POST', 'plans/' . $plan['id'] . '/refine', ['json' => ['instructions' => 'Make it shorter.']]);
+    $this->assertSame(202, $response->getStatusCode());
+    $this->assertSame('refining', $this->decode($response)['plan']['status']);
+    $plan = $this->waitForPlan($plan['id']);
+    $this->assertSame('ready', $plan['status']);
+    $this->assertSame('Launch (refined)', $plan['content']['title']);
+
+    // A failed refinement keeps the plan.
+    $this->request('POST', 'plans/' . $plan['id'] . '/refine', ['json' => ['instructions' => 'FAIL now.']]);
+    $plan = $this->waitForPlan($plan['id']);
+    $this->assertSame('ready', $plan['status']);
+    $this->assertSame('plan_generation_failed', $plan['error']['code']);
+    $this->assertSame('Launch (refined)', $plan['content']['title']);
+
+    // The refinement limit of the test generator is two.
+    $this->request('POST', 'plans/' . $plan['id'] . '/refine', ['json' => ['instructions' => 'Once more.']]);
+    $plan = $this->waitForPlan($plan['id']);
+    $response = $this->request('POST', 'plans/' . $plan['id'] . '/refine', ['json' => ['instructions' => 'And again.']]);
+    $this->assertSame(409, $response->getStatusCode());
+    $this->assertSame('invalid_state', $this->decode($response)['code']);
+
+    // Create the page, which is unpublished by default.
+    $response = $this->request('POST', 'plans/' . $plan['id'] . '/page', ['json' => ['title' => 'Launch page']]);
+    $this->assertSame(201, $response->getStatusCode());
+    $plan = $this->decode($response)['plan'];
+    $this->assertSame('completed', $plan['status']);
+    $page = $this->container->get('entity_type.manager')->getStorage('canvas_page')->load($plan['page']['id']);
+    $this->assertNotNull($page);
+    $this->assertSame('Launch page', $page->label());
+    $this->assertFalse($page->isPublished());
+    $this->assertEquals($this->apiUser->id(), $page->getOwnerId());
+
+    // Creating the page again returns the existing page.
+    $response = $this->request('POST', 'plans/' . $plan['id'] . '/page');
+    $this->assertSame(200, $response->getStatusCode());
+    $this->assertSame($plan['page']['id'], $this->decode($response)['plan']['page']['id']);
+
+    // The completed plan can no longer change.
+    $response = $this->request('PATCH', 'plans/' . $plan['id'], ['json' => ['title' => 'Too late']]);
+    $this->assertSame(409, $response->getStatusCode());
+
+    // Delete the plan.
+    $this->assertSame(200, $this->request('DELETE', 'plans/' . $plan['id'])->getStatusCode());
+    $response = $this->request('GET', 'plans/' . $plan['id']);
+    $this->assertSame(404, $response->getStatusCode());
+    $this->assertSame('not_found', $this->decode($response)['code']);
+  }
+
+  /**
+   * Tests authentication and permission checks.
+   */
+  public function testAccess(): void {
+    $document = $this->decode($this->uploadDocument('launch.md', self::DOCUMENT))['document'];
+    $response = $this->request('POST', 'plans', ['json' => ['documents' => [$document['id']]]]);
+    $plan = $this->decode($response)['plan'];
+
+    // Anonymous requests are challenged for credentials.
+    $response = $this->getHttpClient()->request('GET', $this->buildApiUrl('plans/' . $plan['id']), [
+      'headers' => ['Accept' => 'application/json'],
+      'http_errors' => FALSE,
+    ]);
+    $this->assertSame(401, $response->getStatusCode());
+
+    // Users need the API permission.
+    $response = $this->request('GET', 'plans/' . $plan['id'], [], $this->drupalCreateUser(['access content preparation wizard']));
+    $this->assertSame(403, $response->getStatusCode());
+
+    // Plans and documents of other users are not found.
+    $other = $this->drupalCreateUser(['use content preparation api']);
+    $this->assertSame(404, $this->request('GET', 'plans/' . $plan['id'], [], $other)->getStatusCode());
+    $this->assertSame(404, $this->request('DELETE', 'plans/' . $plan['id'], [], $other)->getStatusCode());
+    $this->assertSame(404, $this->request('GET', 'documents/' . $document['id'], [], $other)->getStatusCode());
+
+    // Creating pages needs the permission to create Canvas pages.
+    $response = $this->request('POST', 'plans/' . $plan['id'] . '/page', [], $other);
+    $this->assertSame(403, $response->getStatusCode());
+
+    // Cookie sessions need the CSRF token for changes.
+    $this->drupalLogin($this->apiUser);
+    $options = [
+      'cookies' => $this->getSessionCookies(),
+      'headers' => ['Accept' => 'application/json'],
+      'json' => ['title' => 'Changed'],
+      'http_errors' => FALSE,
+    ];
+    $url = $this->buildApiUrl('plans/' . $plan['id']);
+    $this->assertSame(403, $this->getHttpClient()->request('PATCH', $url, $options)->getStatusCode());
+    $options['headers']['X-CSRF-Token'] = $this->drupalGet('session/token');
+    $this->assertNotSame(403, $this->getHttpClient()->request('PATCH', $url, $options)->getStatusCode());
+  }
+
+  /**
+   * Tests the error responses.
+   */
+  public function testErrors(): void {
+    // Documents are checked before they are stored.
+    $response = $this->uploadDocument('launch.exe', 'MZ');
+    $this->assertSame(422, $response->getStatusCode());
+    $this->assertSame('invalid_document', $this->decode($response)['code']);
+
+    $response = $this->request('POST', 'documents', ['body' => self::DOCUMENT]);
+    $this->assertSame(400, $response->getStatusCode());
+    $this->assertSame('invalid_request', $this->decode($response)['code']);
+
+    // Documents without text fail processing.
+    $response = $this->uploadDocument('empty.md', "   \n\n   ");
+    $this->assertSame(422, $response->getStatusCode());
+    $data = $this->decode($response);
+    $this->assertSame('document_processing_failed', $data['code']);
+    $this->assertFalse($data['document']['processed']);
+
+    // Plans need valid sources.
+    $response = $this->request('POST', 'plans', ['json' => []]);
+    $this->assertSame(400, $response->getStatusCode());
+    $this->assertSame('invalid_request', $this->decode($response)['code']);
+    $response = $this->request('POST', 'plans', ['json' => ['documents' => ['upload_unknown']]]);
+    $this->assertSame(400, $response->getStatusCode());
+    $response = $this->request('POST', 'plans', ['json' => ['documents' => 'not a list']]);
+    $this->assertSame(400, $response->getStatusCode());
+    $response = $this->request('POST', 'plans', ['json' => ['documents' => [$data['document']['id']]]]);
+    $this->assertSame(400, $response->getStatusCode());
+
+    // Generation failures are reported on the plan.
+    $document = $this->decode($this->uploadDocument('fail.md', "# Failing\n\nFAIL PLAN\n"))['document'];
+    $response = $this->request('POST', 'plans', ['json' => ['documents' => [$document['id']]]]);
+    $plan = $this->waitForPlan($this->decode($response)['plan']['id']);
+    $this->assertSame('failed', $plan['status']);
+    $this->assertSame('plan_generation_failed', $plan['error']['code']);
+    $this->assertNull($plan['content']);
+
+    // Failed plans cannot be changed, refined or turned into pages.
+    $response = $this->request('PATCH', 'plans/' . $plan['id'], ['json' => ['title' => 'Changed']]);
+    $this->assertSame(409, $response->getStatusCode());
+    $this->assertSame('invalid_state', $this->decode($response)['code']);
+    $response = $this->request('POST', 'plans/' . $plan['id'] . '/refine', ['json' => ['instructions' => 'Fix it.']]);
+    $this->assertSame(409, $response->getStatusCode());
+    $response = $this->request('POST', 'plans/' . $plan['id'] . '/page');
+    $this->assertSame(409, $response->getStatusCode());
+
+    // Requests need their parameters.
+    $response = $this->request('POST', 'plans/' . $plan['id'] . '/refine', ['json' => []]);
+    $this->assertSame(400, $response->getStatusCode());
+    $response = $this->request('PATCH', 'plans/' . $plan['id'], ['json' => ['sections' => 'none']]);
+    $this->assertSame(400, $response->getStatusCode());
+    $response = $this->request('GET', 'plans/job_unknown');
+    $this->assertSame(404, $response->getStatusCode());
+  }
+
+  /**
+   * Polls a plan until it is no longer being generated or refined.
+   *
+   * @param string $id
+   *   The plan ID.
+   *
+   * @return array
+   *   The plan data.
+   */
+  protected function waitForPlan(string $id): array {
+    // Plans are processed right after the response was sent.
+    for ($attempt = 0; $attempt < 50; $attempt++) {
+      $plan = $this->decode($this->request('GET', 'plans/' . $id))['plan'];
+      if (!in_array($plan['status'], ['generating', 'refining'], TRUE)) {
+        return $plan;
+      }
+      usleep(200000);
+    }
+    $this->fail(sprintf('Plan %s is still %s.', $id, $plan['status']));
+  }
+
+  /**
+   * Uploads a document as the API user.
+   *
+   * @param string $filename
+   *   The file name.
+   * @param string $content
+   *   The file content.
+   *
+   * @return \Psr\Http\Message\ResponseInterface
+   *   The response.
+   */
+  protected function uploadDocument(string $filename, string $content): ResponseInterface {
+    return $this->request('POST', 'documents', [
+      'body' => $content,
+      'headers' => [
+        'Content-Type' => 'application/octet-stream',
+        'Content-Disposition' => 'file; filename="' . $filename . '"',
+      ],
+    ]);
+  }
+
+  /**
+   * Sends an API request with HTTP Basic authentication.
+   *
+   * @param string $method
+   *   The HTTP method.
+   * @param string $path
+   *   The path below the API root.
+   * @param array $options
+   *   Guzzle request options.
+   * @param \Drupal\user\UserInterface|null $account
+   *   The user to authenticate as; defaults to the API user.
+   *
+   * @return \Psr\Http\Message\ResponseInterface
+   *   The response.
+   */
+  protected function request(string $method, string $path, array $options = [], ?UserInterface $account = NULL): ResponseInterface {
+    $account ??= $this->apiUser;
+    $options['auth'] = [$account->getAccountName(), $account->passRaw];
+    $options['headers']['Accept'] = 'application/json';
+    $options['http_errors'] = FALSE;
+
+    return $this->getHttpClient()->request($method, $this->buildApiUrl($path), $options);
+  }
+
+  /**
+   * Builds the URL of an API path.
+   *
+   * @param string $path
+   *   The path below the API root.
+   *
+   * @return string
+   *   The absolute URL.
+   */
+  protected function buildApiUrl(string $path): string {
+    return Url::fromUri('base:/api/content-preparation/v1/' . $path, ['absolute' => TRUE])->toString();
+  }
+
+  /**
+   * Decodes a JSON response.
+   *
+   * @param \Psr\Http\Message\ResponseInterface $response
+   *   The response.
+   *
+   * @return array
+   *   The decoded body.
+   */
+  protected function decode(ResponseInterface $response): array {
+    return Json::decode((string) $response->getBody()) ?? [];
+  }
+
+}
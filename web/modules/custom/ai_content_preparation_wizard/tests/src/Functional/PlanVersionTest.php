@@ -0,0 +1,131 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\ai_content_preparation_wizard\Functional;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\ai_content_preparation_wizard\Service\PlanSerializerInterface;
+use Drupal\ai_content_preparation_wizard_test\TestContentPlanGenerator;
+use Drupal\Component\Serialization\Json;
+use Drupal\Core\Url;
+use Drupal\Tests\BrowserTestBase;
+
+/**
+ * Tests the plan versions of the wizard.
+ *
+ * Plans are refined by the test generator, which allows two refinements.
+ *
+ * @group ai_content_preparation_wizard
+ */
+class PlanVersionTest extends BrowserTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    'ai_content_preparation_wizard',
+    'ai_content_preparation_wizard_test',
+  ];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected $defaultTheme = 'stark';
+
+  /**
+   * The CSRF token of the JSON endpoints.
+   *
+   * @var string
+   */
+  protected string $token;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+
+    $this->drupalLogin($this->drupalCreateUser([
+      'access content preparation wizard',
+    ]));
+    $this->drupalGet('session/token');
+    $this->token = $this->getSession()->getPage()->getContent();
+  }
+
+  /**
+   * Tests that reverting to an earlier version keeps the refinement limit.
+   */
+  public function testRevertKeepsRefinementLimit(): void {
+    $this->importPlan();
+    for ($i = 0; $i < TestContentPlanGenerator::MAX_REFINEMENTS; $i++) {
+      $data = $this->request('POST', 'ai_content_preparation_wizard.regenerate_plan_json', [], ['refinement_prompt' => 'Make it shorter.']);
+      $this->assertTrue($data['success']);
+    }
+
+    $data = $this->request('GET', 'ai_content_preparation_wizard.plan_versions');
+    $this->assertSame(0, $data['refinementsRemaining']);
+    $initial = end($data['versions']);
+    $this->assertNull($initial['instructions']);
+
+    $data = $this->request('POST', 'ai_content_preparation_wizard.plan_version_revert', ['version_id' => $initial['id']]);
+    $this->assertTrue($data['success']);
+    $this->assertSame('Launch notes', $data['plan']['title']);
+
+    // The reverted plan has no refinements of its own.
+    $data = $this->request('GET', 'ai_content_preparation_wizard.plan_versions');
+    $this->assertSame(0, $data['refinementsRemaining']);
+    $data = $this->request('POST', 'ai_content_preparation_wizard.regenerate_plan_json', [], ['refinement_prompt' => 'Make it shorter.']);
+    $this->assertFalse($data['success']);
+    $this->assertStringContainsString('maximum refinement iterations', $data['error']);
+  }
+
+  /**
+   * Imports a plan with one text section and moves on to Step 2.
+   */
+  protected function importPlan(): void {
+    $plan = ContentPlan::create('Launch notes', 'The launch.', [
+      new PlanSection('overview', 'Overview', 'We launch in May.', 'text', 1),
+    ], 'Everyone', 1);
+    $path = $this->publicFilesDirectory . '/launch.json';
+    file_put_contents($path, $this->container->get('ai_content_preparation_wizard.plan_serializer')->export($plan, PlanSerializerInterface::TYPE_JSON));
+
+    $this->drupalGet(Url::fromRoute('ai_content_preparation_wizard.wizard'));
+    $this->submitForm(['files[plan_file]' => realpath($path)], 'Next');
+    $this->assertSession()->pageTextContains('The content plan "Launch notes" has been imported.');
+  }
+
+  /**
+   * Sends a request to a JSON endpoint of the wizard in the browser session.
+   *
+   * @param string $method
+   *   The HTTP method.
+   * @param string $route
+   *   The route name.
+   * @param array $parameters
+   *   The route parameters.
+   * @param array|null $body
+   *   The JSON body, if any.
+   *
+   * @return array
+   *   The decoded response.
+   */
+  protected function request(string $method, string $route, array $parameters = [], ?array $body = NULL): array {
+    $options = [
+      'cookies' => $this->getSessionCookies(),
+      'headers' => [
+        'Accept' => 'application/json',
+        'X-CSRF-Token' => $this->token,
+      ],
+      'http_errors' => FALSE,
+    ];
+    if ($body !== NULL) {
+      $options['json'] = $body;
+    }
+
+    $response = $this->getHttpClient()->request($method, Url::fromRoute($route, $parameters, ['absolute' => TRUE])->toString(), $options);
+    return Json::decode((string) $response->getBody()) ?? [];
+  }
+
+}
@@ -0,0 +1,233 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\ai_content_preparation_wizard\Functional;
+
+use Drupal\ai_content_preparation_wizard\Enum\CrawlPageStatus;
+use Drupal\ai_content_preparation_wizard\Model\SiteCrawl;
+use Drupal\ai_content_preparation_wizard\Service\SiteCrawlerInterface;
+use Drupal\Tests\BrowserTestBase;
+
+/**
+ * Tests the site crawler against a local fixture site.
+ *
+ * The fixture site in tests/fixtures/crawl-site is served by the PHP
+ * built-in web server. Its robots.txt blocks all crawlers but the wizard
+ * from the whole site, and the wizard from /private/ except one page.
+ *
+ * @group ai_content_preparation_wizard
+ */
+class SiteCrawlerTest extends BrowserTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    'ai_content_preparation_wizard',
+  ];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected $defaultTheme = 'stark';
+
+  /**
+   * The site crawler.
+   *
+   * @var \Drupal\ai_content_preparation_wizard\Service\SiteCrawlerInterface
+   */
+  protected SiteCrawlerInterface $crawler;
+
+  /**
+   * The process of the fixture web server.
+   *
+   * @var resource|null
+   */
+  protected $server = NULL;
+
+  /**
+   * The base URL of the fixture site, without trailing slash.
+   *
+   * @var string
+   */
+  protected string $siteUrl;
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+
+    $this->startFixtureServer();
+    $this->crawler = $this->container->get('ai_content_preparation_wizard.site_crawler');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function tearDown(): void {
+    if (is_resource($this->server)) {
+      proc_terminate($this->server);
+      proc_close($this->server);
+    }
+
+    parent::tearDown();
+  }
+
+  /**
+   * Tests link following, link depth, robots.txt and boilerplate removal.
+   */
+  public function testCrawl(): void {
+    $crawl = $this->runCrawl($this->siteUrl . '/', ['max_depth' => 2]);
+
+    $this->assertSame([
+      '/' => CrawlPageStatus::FETCHED,
+      '/about.html' => CrawlPageStatus::FETCHED,
+      '/blog/' => CrawlPageStatus::FETCHED,
+      '/private/secret.html' => CrawlPageStatus::BLOCKED,
+      '/tags/widgets.html' => CrawlPageStatus::FETCHED,
+      '/private/open.html' => CrawlPageStatus::FETCHED,
+      '/blog/first-post.html' => CrawlPageStatus::FETCHED,
+      '/blog/second-post.html' => CrawlPageStatus::FETCHED,
+    ], $this->getStatuses($crawl));
+
+    // Depths count the links followed from the start page.
+    $this->assertSame(0, $crawl->pages[$this->siteUrl . '/']->depth);
+    $this->assertSame(1, $crawl->pages[$this->siteUrl . '/blog/']->depth);
+    $this->assertSame(2, $crawl->pages[$this->siteUrl . '/blog/first-post.html']->depth);
+    $this->assertSame('About us | Acme Widgets', $crawl->pages[$this->siteUrl . '/about.html']->title);
+
+    // The header and footer shared by all pages are removed.
+    $this->assertStringContainsString('All rights reserved', $crawl->pages[$this->siteUrl . '/about.html']->markdown);
+    $contents = $this->crawler->getContents($crawl);
+    $this->assertCount(7, $contents);
+    foreach ($contents as $content) {
+      $this->assertStringNotContainsString('All rights reserved', $content);
+      $this->assertStringNotContainsString('quality widgets since 1999', $content);
+    }
+    $this->assertStringContainsString('twelve engineers', $contents[$this->siteUrl . '/about.html']);
+
+    // Picked pages become processed webpages.
+    $webpages = $this->crawler->getWebpages($crawl->id, [
+      $this->siteUrl . '/blog/second-post.html',
+      $this->siteUrl . '/private/secret.html',
+    ]);
+    $this->assertCount(1, $webpages);
+    $this->assertSame($this->siteUrl . '/blog/second-post.html', $webpages[0]->url);
+    $this->assertStringContainsString('blue widget ships in spring', $webpages[0]->markdownContent);
+
+    $this->crawler->cancel($crawl->id);
+    $this->assertNull($this->crawler->getCrawl($crawl->id));
+  }
+
+  /**
+   * Tests the page limit and the include and exclude patterns.
+   */
+  public function testLimitsAndPatterns(): void {
+    $crawl = $this->runCrawl($this->siteUrl . '/', ['max_depth' => 3, 'max_pages' => 3]);
+    $this->assertCount(3, $crawl->getFetchedPages());
+    $this->assertTrue($crawl->isLimitReached());
+
+    // The start page is crawled for its links even if it is not included.
+    $crawl = $this->runCrawl($this->siteUrl . '/', [
+      'max_depth' => 3,
+      'include' => ['/blog/*'],
+      'exclude' => ['blog/second-*', '/blog/deep/*'],
+    ]);
+    $this->assertSame([
+      '/' => CrawlPageStatus::FETCHED,
+      '/blog/' => CrawlPageStatus::FETCHED,
+      '/blog/first-post.html' => CrawlPageStatus::FETCHED,
+    ], $this->getStatuses($crawl));
+    $this->assertFalse($crawl->isLimitReached());
+  }
+
+  /**
+   * Tests starting from a sitemap index.
+   */
+  public function testSitemap(): void {
+    $crawl = $this->runCrawl($this->siteUrl . '/sitemap-index.xml', ['max_depth' => 0]);
+
+    // Pages of other hosts are left out, and no links are followed.
+    $this->assertSame([
+      '/about.html' => CrawlPageStatus::FETCHED,
+      '/blog/second-post.html' => CrawlPageStatus::FETCHED,
+    ], $this->getStatuses($crawl));
+  }
+
+  /**
+   * Tests that crawls need an absolute http(s) URL.
+   */
+  public function testInvalidUrl(): void {
+    $this->expectException(\InvalidArgumentException::class);
+    $this->crawler->start('ftp://example.com/');
+  }
+
+  /**
+   * Runs a crawl until it is finished.
+   *
+   * @param string $url
+   *   The start URL.
+   * @param array<string, mixed> $options
+   *   The crawl options.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\SiteCrawl
+   *   The finished crawl.
+   */
+  protected function runCrawl(string $url, array $options): SiteCrawl {
+    $crawl = $this->crawler->start($url, $options);
+    for ($i = 0; $i < 20 && !$crawl->isFinished(); $i++) {
+      $crawl = $this->crawler->crawlNext($crawl->id);
+    }
+    $this->assertTrue($crawl->isFinished());
+    return $crawl;
+  }
+
+  /**
+   * Gets the page statuses of a crawl, keyed by path.
+   *
+   * @param \Drupal\ai_content_preparation_wizard\Model\SiteCrawl $crawl
+   *   The crawl.
+   *
+   * @return array<string, \Drupal\ai_content_preparation_wizard\Enum\CrawlPageStatus>
+   *   The statuses in discovery order.
+   */
+  protected function getStatuses(SiteCrawl $crawl): array {
+    $statuses = [];
+    foreach ($crawl->pages as $url => $page) {
+      $statuses[substr($url, strlen($this->siteUrl))] = $page->status;
+    }
+    return $statuses;
+  }
+
+  /**
+   * Starts the PHP built-in web server for the fixture site.
+   */
+  protected function startFixtureServer(): void {
+    // Let the system pick a free port.
+    $socket = stream_socket_server('tcp://127.0.0.1:0');
+    $address = stream_socket_get_name($socket, FALSE);
+    fclose($socket);
+
+    $fixtures = dirname(__DIR__, 2) . '/fixtures';
+    $this->server = proc_open(
+      [PHP_BINARY, '-S', $address, '-t', $fixtures . '/crawl-site', $fixtures . '/crawl-site-router.php'],
+      [['pipe', 'r'], ['file', '/dev/null', 'w'], ['file', '/dev/null', 'w']],
+      $pipes,
+    );
+    $this->assertIsResource($this->server, 'The fixture web server was started.');
+    $this->siteUrl = 'http://' . $address;
+
+    for ($i = 0; $i < 50; $i++) {
+      $connection = @fsockopen('127.0.0.1', (int) substr($address, strrpos($address, ':') + 1));
+      if ($connection) {
+        fclose($connection);
+        return;
+      }
+      usleep(100000);
+    }
+    $this->fail('The fixture web server is not reachable.');
+  }
+
+}
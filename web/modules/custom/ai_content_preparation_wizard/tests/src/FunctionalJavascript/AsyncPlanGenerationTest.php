@@ -0,0 +1,171 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\ai_content_preparation_wizard\FunctionalJavascript;
+
+use Drupal\ai_content_preparation_wizard\Service\FixtureAiProviderInterface;
+use Drupal\Core\Url;
+use Drupal\FunctionalJavascriptTests\WebDriverTestBase;
+
+/**
+ * Tests generating and refining plans in the browser.
+ *
+ * The content plan generator runs against the offline fixture provider, so
+ * plans are built from the headings of the uploaded document.
+ *
+ * @group ai_content_preparation_wizard
+ */
+class AsyncPlanGenerationTest extends WebDriverTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  protected static $modules = [
+    'ai_content_preparation_wizard',
+  ];
+
+  /**
+   * {@inheritdoc}
+   */
+  protected $defaultTheme = 'claro';
+
+  /**
+   * A document with a title and two sections.
+   *
+   * @var string
+   */
+  protected const DOCUMENT = "# Launch notes\n\n## Overview\n\nWe launch in May.\n\n## Details\n\nThe launch has three phases.\n";
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp(): void {
+    parent::setUp();
+
+    $this->config('ai_content_preparation_wizard.settings')
+      ->set('default_ai_provider', FixtureAiProviderInterface::PROVIDER_ID)
+      ->set('fixture_latency', 200)
+      ->save();
+
+    $this->drupalLogin($this->drupalCreateUser([
+      'access content preparation wizard',
+    ]));
+  }
+
+  /**
+   * Tests generating a plan and refining it.
+   */
+  public function testGenerationAndRefinement(): void {
+    $this->startGeneration();
+    $this->waitForPlanTitle('Launch notes');
+    $this->assertSectionTitles(['Overview', 'Details']);
+
+    // Refine the plan.
+    $this->refine('Make it shorter.');
+    $this->waitForPlanTitle('Launch notes (refined)');
+    $this->assertSectionTitles(['Overview', 'Details']);
+
+    // A failed refinement offers to show the unchanged plan.
+    $this->refine('[fixture:error] Make it longer.');
+    $this->assertErrorShown('Failed to regenerate plan: AI provider error: The fixture provider simulated a provider error.');
+    $this->getSession()->getPage()->pressButton('Show current plan');
+    $this->waitForPlanTitle('Launch notes (refined)');
+    $this->assertSectionTitles(['Overview', 'Details']);
+  }
+
+  /**
+   * Tests failed generations and retrying them.
+   */
+  public function testGenerationErrorAndRetry(): void {
+    $provider = $this->container->get('ai_content_preparation_wizard.fixture_ai_provider');
+
+    // Invalid responses are retried by the generator before it gives up.
+    $provider->queueFailures(array_fill(0, 3, FixtureAiProviderInterface::FAILURE_INVALID_JSON));
+    $this->startGeneration();
+    $this->assertErrorShown('Failed to parse AI response after 3 attempts.');
+
+    // A provider error fails the generation at once.
+    $provider->queueFailures([FixtureAiProviderInterface::FAILURE_ERROR]);
+    $this->getSession()->getPage()->pressButton('Retry');
+    $this->assertErrorShown('The fixture provider simulated a provider error.');
+
+    // The next attempt succeeds.
+    $this->getSession()->getPage()->pressButton('Retry');
+    $this->waitForPlanTitle('Launch notes');
+    $this->assertSectionTitles(['Overview', 'Details']);
+
+    // A single invalid response is retried without the user noticing.
+    $provider->queueFailures([FixtureAiProviderInterface::FAILURE_INVALID_JSON]);
+    $this->refine('Make it shorter.');
+    $this->waitForPlanTitle('Launch notes (refined)');
+  }
+
+  /**
+   * Uploads the document and moves on to the plan step.
+   */
+  protected function startGeneration(): void {
+    $path = $this->publicFilesDirectory . '/launch.md';
+    file_put_contents($path, self::DOCUMENT);
+
+    $this->drupalGet(Url::fromRoute('ai_content_preparation_wizard.wizard'));
+    $assert = $this->assertSession();
+    $input = $assert->waitForElement('css', '[data-upload-zone] input[type="file"]:not([webkitdirectory])');
+    $this->assertNotNull($input);
+
+    // The upload zone opens its file input from a button.
+    $this->getSession()->executeScript("document.querySelector('[data-upload-zone] input[type=\"file\"]:not([webkitdirectory])').hidden = false;");
+    $input->attachFile(realpath($path));
+    $this->assertTrue($this->getSession()->wait(10000, "document.querySelector('[data-upload-ids]').value !== ''"), 'The document was uploaded.');
+
+    $this->getSession()->getPage()->pressButton('Next');
+    $this->assertNotNull($assert->waitForElement('css', '#plan-loading'));
+  }
+
+  /**
+   * Submits refinement instructions.
+   *
+   * @param string $instructions
+   *   The instructions.
+   */
+  protected function refine(string $instructions): void {
+    $this->getSession()->getPage()->fillField('edit-refinement-textarea', $instructions);
+    $this->getSession()->getPage()->pressButton('Regenerate Plan');
+  }
+
+  /**
+   * Waits until a plan is shown.
+   *
+   * @param string $title
+   *   The expected title of the plan.
+   */
+  protected function waitForPlanTitle(string $title): void {
+    $condition = sprintf("document.getElementById('edit-title-async') && document.getElementById('edit-title-async').value === %s", json_encode($title));
+    $this->assertTrue($this->getSession()->wait(20000, $condition), sprintf('The plan "%s" is shown.', $title));
+  }
+
+  /**
+   * Asserts the titles of the rendered sections.
+   *
+   * @param array<int, string> $titles
+   *   The expected section titles, in order.
+   */
+  protected function assertSectionTitles(array $titles): void {
+    $summaries = $this->getSession()->getPage()->findAll('css', '#plan-sections-container .plan-section-item > summary');
+    $this->assertSame($titles, array_map(fn($summary): string => $summary->getText(), $summaries));
+  }
+
+  /**
+   * Waits for an error message with a retry button.
+   *
+   * @param string $message
+   *   Text of the error message.
+   */
+  protected function assertErrorShown(string $message): void {
+    $error = $this->assertSession()->waitForElementVisible('css', '#plan-loading.plan-error-container', 20000);
+    $this->assertNotNull($error);
+    $this->assertStringContainsString($message, $error->getText());
+    $this->assertNotNull($error->find('css', 'button'));
+  }
+
+}
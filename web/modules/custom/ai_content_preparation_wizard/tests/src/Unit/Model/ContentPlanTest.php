@@ -0,0 +1,100 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\Tests\ai_content_preparation_wizard\Unit\Model;
+
+use Drupal\ai_content_preparation_wizard\Model\ContentPlan;
+use Drupal\ai_content_preparation_wizard\Model\PlanSection;
+use Drupal\Tests\UnitTestCase;
+
+/**
+ * Tests restructuring the sections of a content plan.
+ *
+ * @coversDefaultClass \Drupal\ai_content_preparation_wizard\Model\ContentPlan
+ * @group ai_content_preparation_wizard
+ */
+class ContentPlanTest extends UnitTestCase {
+
+  /**
+   * Builds a plan with three sections.
+   *
+   * @return \Drupal\ai_content_preparation_wizard\Model\ContentPlan
+   *   The plan, with the sections 'intro', 'empty' and 'outro'.
+   */
+  protected function buildPlan(): ContentPlan {
+    return ContentPlan::create('Launch', 'The launch.', [
+      new PlanSection('intro', 'Intro', 'We launch in May.', 'text', 1),
+      new PlanSection('empty', 'Empty', '', 'text', 2),
+      new PlanSection('outro', 'Outro', 'See you there.', 'text', 3),
+    ], 'Everyone', 1);
+  }
+
+  /**
+   * Tests that a section posted twice is kept once.
+   *
+   * @covers ::withSectionStructure
+   */
+  public function testDuplicateIdsAreSkipped(): void {
+    $plan = $this->buildPlan()->withSectionStructure([
+      ['id' => 'outro'],
+      ['id' => 'intro', 'title' => 'Welcome'],
+      ['id' => 'outro', 'title' => 'Duplicate'],
+      ['id' => 'empty'],
+    ]);
+
+    $this->assertSame(['outro', 'intro', 'empty'], array_map(fn(PlanSection $section): string => $section->id, $plan->sections));
+    $this->assertSame(['Outro', 'Welcome', 'Empty'], array_map(fn(PlanSection $section): string => $section->title, $plan->sections));
+    $this->assertSame([1, 2, 3], array_map(fn(PlanSection $section): int => $section->order, $plan->sections));
+  }
+
+  /**
+   * Tests that sections left out of the structure are removed.
+   *
+   * @covers ::withSectionStructure
+   */
+  public function testUnreferencedSectionsAreRemoved(): void {
+    $plan = $this->buildPlan()->withSectionStructure([
+      ['id' => 'intro'],
+      ['id' => 'new_1', 'title' => 'Agenda', 'content' => 'Talks and demos.'],
+      ['id' => 'outro'],
+    ]);
+
+    $this->assertCount(3, $plan->sections);
+    $this->assertSame('intro', $plan->sections[0]->id);
+    $this->assertSame('Agenda', $plan->sections[1]->title);
+    $this->assertNotSame('new_1', $plan->sections[1]->id);
+    $this->assertSame('outro', $plan->sections[2]->id);
+    $this->assertNull($plan->getSection('empty'));
+  }
+
+  /**
+   * Tests that sections the Step 2 editor does not list are kept.
+   *
+   * @covers ::withEditorSections
+   */
+  public function testEditorKeepsUnlistedSections(): void {
+    $plan = ContentPlan::create('Launch', 'The launch.', [
+      new PlanSection('intro', 'Intro', 'We launch in May.', 'text', 1),
+      new PlanSection('agenda', 'Agenda', '', 'section', 2, [], [
+        new PlanSection('talks', 'Talks', 'Three talks.', 'text', 1),
+      ]),
+      new PlanSection('removed', 'Removed', 'Deleted in the editor.', 'text', 3),
+      new PlanSection('outro', 'Outro', 'See you there.', 'text', 4),
+    ], 'Everyone', 1);
+
+    // The editor lists intro, removed and outro; it moves outro up and
+    // deletes removed.
+    $edited = $plan->withSectionStructure([
+      ['id' => 'outro'],
+      ['id' => 'intro'],
+    ]);
+    $plan = $plan->withEditorSections($edited->sections);
+
+    $this->assertSame(['outro', 'intro', 'agenda'], array_map(fn(PlanSection $section): string => $section->id, $plan->sections));
+    $this->assertSame([1, 2, 3], array_map(fn(PlanSection $section): int => $section->order, $plan->sections));
+    $this->assertSame('Talks', $plan->getSection('talks')?->title);
+    $this->assertNull($plan->getSection('removed'));
+  }
+
+}
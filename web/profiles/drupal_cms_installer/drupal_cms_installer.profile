@@ -3,6 +3,8 @@
 declare(strict_types=1);
 
 use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Installer\InstallerKernel;
+use Drupal\Core\Recipe\Recipe;
 use Drupal\Core\Site\Settings;
 use Drupal\RecipeKit\Installer\Hooks;
 use Drupal\RecipeKit\Installer\Messenger;
@@ -53,3 +55,66 @@ function drupal_cms_installer_form_install_configure_form_alter(array &$form): v
   // notification settings.
   $form['update_notifications']['#access'] = FALSE;
 }
+
+/**
+ * Implements hook_batch_alter().
+ */
+function drupal_cms_installer_batch_alter(array &$batch): void {
+  if (!InstallerKernel::installationAttempted()) {
+    return;
+  }
+  // Wrap every operation so that the progress bar can say which recipe is
+  // being applied, and a failure can name it.
+  foreach ($batch['sets'] as &$set) {
+    foreach ($set['operations'] ?? [] as $i => $operation) {
+      $set['operations'][$i] = [
+        '_drupal_cms_installer_run_batch_operation',
+        [$operation[0], $operation[1] ?? []],
+      ];
+    }
+  }
+}
+
+/**
+ * Batch operation callback: runs an operation of an installer batch job.
+ *
+ * If the operation fails, it is not removed from the batch queue, so the
+ * progress bar can retry it by requesting the batch again.
+ *
+ * @param callable $callback
+ *   The wrapped operation callback.
+ * @param array $arguments
+ *   The arguments of the wrapped operation.
+ * @param array|\ArrayAccess $context
+ *   The batch context.
+ *
+ * @see drupal_cms_installer_batch_alter()
+ */
+function _drupal_cms_installer_run_batch_operation(callable $callback, array $arguments, &$context): void {
+  $recipe = NULL;
+  foreach ($arguments as $argument) {
+    if ($argument instanceof Recipe) {
+      $recipe = $argument->name;
+      break;
+    }
+  }
+
+  try {
+    call_user_func_array($callback, array_merge($arguments, [&$context]));
+  }
+  catch (\Throwable $e) {
+    if ($recipe === NULL) {
+      throw $e;
+    }
+    $message = sprintf('Could not apply the %s recipe: %s', $recipe, $e->getMessage());
+    \Drupal::logger('drupal_cms_installer')->error($message);
+    throw new \RuntimeException($message, 0, $e);
+  }
+
+  if ($recipe && !empty($context['message'])) {
+    $context['message'] = t('%recipe: @step', [
+      '%recipe' => $recipe,
+      '@step' => $context['message'],
+    ]);
+  }
+}
@@ -1,21 +1,91 @@
-(function (Drupal) {
+(function (Drupal, $) {
 
   /**
    * Renders a client-side progress bar.
    *
+   * The label names the step that was last completed, such as a module of a
+   * recipe being installed; every step is also added to the log below the
+   * bar.
+   *
    * This is for the Drupal CMS installer and is not meant to be reused.
    */
   Drupal.theme.progressBar = function (id) {
     const escapedId = Drupal.checkPlain(id);
     return (`
-      <p class="cms-installer__subhead">This will only take a moment.</p>
-      <div id="${escapedId}" class="progress" aria-live="polite">
-      <div class="progress__label">&nbsp;</div>
-      <div class="progress__track"><div class="progress__bar"></div></div>
-      <div class="progress__percentage visually-hidden"></div>
-      <div class="progress__description visually-hidden">&nbsp;</div>
-      </div>'
+      <p class="cms-installer__subhead">${Drupal.t('Applying the recipes of your site can take a few minutes.')}</p>
+      <div id="${escapedId}" class="progress">
+        <div class="progress__label" aria-live="polite">&nbsp;</div>
+        <div class="progress__track"><div class="progress__bar"></div></div>
+        <div class="progress__percentage"></div>
+        <div class="progress__description">&nbsp;</div>
+      </div>
+      <div class="cms-installer__progress-error" role="alert" hidden></div>
+      <details class="cms-installer__log">
+        <summary>${Drupal.t('Show all steps')}</summary>
+        <ol class="cms-installer__log-entries"></ol>
+      </details>
     `);
   };
 
-})(Drupal);
+  const { setProgress } = Drupal.ProgressBar.prototype;
+
+  /**
+   * Updates the progress bar and logs the completed step.
+   */
+  Drupal.ProgressBar.prototype.setProgress = function (percentage, message, label) {
+    setProgress.call(this, percentage, message, label);
+
+    const step = $('.progress__label', this.element).first();
+    const text = step.text().trim();
+    if (text && text !== this.lastStep) {
+      this.lastStep = text;
+      const log = $('.cms-installer__log-entries', this.element);
+      $('<li></li>').html(step.html()).appendTo(log);
+      // Keep the latest step in view while the log is open.
+      log.scrollTop(log.prop('scrollHeight'));
+    }
+  };
+
+  /**
+   * Shows why a step failed, and offers to retry it.
+   *
+   * The failed batch operation is still queued, so requesting the batch
+   * again runs just that step instead of starting over.
+   */
+  Drupal.ProgressBar.prototype.displayError = function (string) {
+    const progressBar = this;
+    const progress = this.element.filter('.progress');
+    const error = this.element.filter('.cms-installer__progress-error');
+
+    // Show the server's response rather than the AJAX debugging details.
+    const details = $('<div></div>').html(string).text();
+    const response = details.match(/ResponseText:\s*([\s\S]+)$/);
+
+    const heading = $('<p class="cms-installer__progress-error-heading"></p>')
+      .text(Drupal.t('Setting up your site stopped because a step failed.'));
+    const lastStep = this.lastStep
+      ? $('<p></p>').text(Drupal.t('Last completed step: @step', { '@step': this.lastStep }))
+      : null;
+    const message = $('<pre class="cms-installer__progress-error-message"></pre>')
+      .text((response ? response[1] : details).trim());
+    const retry = $('<button type="button" class="button button--primary"></button>')
+      .text(Drupal.t('Retry this step'))
+      .on('click', () => {
+        error.empty().prop('hidden', true);
+        progress.show();
+        // Remove the error link and restore the throbber of the batch page.
+        progress.parent().children('p.error').remove();
+        $('#wait').show();
+        progressBar.startMonitoring(progressBar.uri, progressBar.delay);
+      });
+
+    progress.hide();
+    error.empty().append(heading, lastStep, message, retry).prop('hidden', false);
+    retry.trigger('focus');
+
+    if (this.errorCallback) {
+      this.errorCallback(this);
+    }
+  };
+
+})(Drupal, jQuery);